@@ -0,0 +1,16 @@
+/**
+ * Project Data Storage Configuration
+ *
+ * - adapter: 'filesystem' | 'sqlite'
+ * - sqlite: { fileName } database file created inside the data directory
+ *
+ * Use scripts/migrate-storage.js to move existing projects between adapters
+ * before switching.
+ */
+
+export default {
+  adapter: process.env.FOREST_STORAGE_ADAPTER || 'filesystem',
+  sqlite: {
+    fileName: process.env.FOREST_STORAGE_SQLITE_FILE || 'forest-data.sqlite'
+  }
+};
@@ -3,10 +3,50 @@
  *
  * - provider: 'qdrant' | 'localjson' | 'chroma' | 'sqlitevec'
  * - qdrant: { url, apiKey, collection, dimension }
- * - embedding: { provider, model, cacheDir, batchSize }
+ * - embedding: { provider, fallbackProvider, model, cacheDir, batchSize, dimension, providers }
+ *   provider: 'tfidf' (offline, default) | 'local' (ONNX model on disk) | 'openai' | 'deterministic'
  * - fallbackProvider: used if main provider fails
+ *
+ * Each embedding provider has its own vector dimension; vector stores default
+ * to the dimension of the active embedding provider.
  */
 
+import path from 'path';
+
+const embeddingProvider = process.env.FOREST_EMBEDDING_PROVIDER || 'tfidf';
+const embeddingCacheDir = process.env.EMBEDDING_CACHE_DIR || '.embedding-cache';
+
+const embeddingProviders = {
+  tfidf: {
+    dimension: parseInt(process.env.FOREST_TFIDF_DIMENSION, 10) || 1536,
+    statsPath: process.env.FOREST_TFIDF_STATS_PATH || path.join(embeddingCacheDir, 'tfidf-stats.json')
+  },
+  local: {
+    modelPath: process.env.FOREST_LOCAL_MODEL_PATH || '.forest-models/all-MiniLM-L6-v2',
+    dimension: parseInt(process.env.FOREST_LOCAL_MODEL_DIMENSION, 10) || 384,
+    pooling: 'mean'
+  },
+  openai: {
+    model: process.env.FOREST_EMBEDDING_MODEL || 'text-embedding-3-small',
+    dimension: parseInt(process.env.FOREST_OPENAI_DIMENSION, 10) || 1536
+  },
+  deterministic: {
+    dimension: 1536
+  }
+};
+
+const embeddingDimension = embeddingProviders[embeddingProvider]?.dimension || 1536;
+
+// Approximate nearest-neighbour (HNSW) index of the local providers
+const annConfig = {
+  enabled: process.env.FOREST_ANN_ENABLED !== 'false',
+  minVectors: parseInt(process.env.FOREST_ANN_MIN_VECTORS, 10) || 1000,
+  exactLimit: parseInt(process.env.FOREST_ANN_EXACT_LIMIT, 10) || 2000,
+  M: parseInt(process.env.FOREST_ANN_M, 10) || 16,
+  efConstruction: parseInt(process.env.FOREST_ANN_EF_CONSTRUCTION, 10) || 100,
+  efSearch: parseInt(process.env.FOREST_ANN_EF_SEARCH, 10) || 128
+};
+
 export default {
   // Use SQLite as primary provider with LocalJSON as fallback
   provider: process.env.FOREST_VECTOR_PROVIDER || 'sqlitevec',
@@ -15,16 +55,21 @@ export default {
     url: process.env.QDRANT_URL || 'http://localhost:6333',
     apiKey: process.env.QDRANT_API_KEY || '',
     collection: process.env.QDRANT_COLLECTION || 'forest_vectors',
-    dimension: parseInt(process.env.QDRANT_DIMENSION, 10) || 1536
+    dimension: parseInt(process.env.QDRANT_DIMENSION, 10) || embeddingDimension
   },
   localjson: {
-    baseDir: process.env.LOCALJSON_DIR || '.forest-vectors'
+    baseDir: process.env.LOCALJSON_DIR || '.forest-vectors',
+    ann: annConfig
   },
   embedding: {
-    provider: process.env.FOREST_EMBEDDING_PROVIDER || 'deterministic',
-    model: process.env.FOREST_EMBEDDING_MODEL || 'deterministic-hash',
-    cacheDir: process.env.EMBEDDING_CACHE_DIR || '.embedding-cache',
-    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 32
+    provider: embeddingProvider,
+    // Offline, so it works when the configured provider cannot start
+    fallbackProvider: process.env.FOREST_EMBEDDING_FALLBACK || 'tfidf',
+    model: embeddingProviders[embeddingProvider]?.model || embeddingProviders[embeddingProvider]?.modelPath || embeddingProvider,
+    cacheDir: embeddingCacheDir,
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 32,
+    dimension: embeddingDimension,
+    providers: embeddingProviders
   },
   chroma: {
     // Use embedded mode by default (no server required)
@@ -32,10 +77,12 @@ export default {
     url: process.env.CHROMA_URL || '',
     path: process.env.CHROMA_PATH || '.chromadb',
     collection: process.env.CHROMA_COLLECTION || 'forest_vectors',
-    dimension: parseInt(process.env.CHROMA_DIMENSION, 10) || 1536
+    dimension: parseInt(process.env.CHROMA_DIMENSION, 10) || embeddingDimension
   },
   sqlitevec: {
     dbPath: process.env.SQLITEVEC_PATH || 'forest_vectors.sqlite',
-    dimension: parseInt(process.env.SQLITEVEC_DIMENSION, 10) || 1536
+    dimension: parseInt(process.env.SQLITEVEC_DIMENSION, 10) || embeddingDimension,
+    // Index persisted next to the database as `${dbPath}.hnsw`
+    ann: annConfig
   }
 }; 
\ No newline at end of file
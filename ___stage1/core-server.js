@@ -25,6 +25,24 @@ import { GatedOnboardingHandlers } from './modules/gated-onboarding-handlers.js'
 import { VectorizedHandlers } from './modules/vectorized-handlers.js';
 import { DiagnosticHandlers } from './modules/diagnostic-handlers.js';
 import { ForestDataVectorization } from './modules/forest-data-vectorization.js';
+import { DailyScheduleGenerator } from './modules/daily-schedule-generator.js';
+import { WeekPlanner } from './modules/week-planner.js';
+import { CalendarSync } from './modules/calendar-sync.js';
+import { ProjectBundle } from './modules/project-bundle.js';
+import { SnapshotManager } from './modules/snapshot-manager.js';
+import { HTAChangeTracker } from './modules/hta-change-tracker.js';
+import { DataIntegrityChecker } from './modules/data-integrity.js';
+import { LearningPathManager } from './modules/learning-paths.js';
+import { ProjectLifecycle } from './modules/project-lifecycle.js';
+import { HTAEditor } from './modules/hta-editor.js';
+import { TaskDependencyManager } from './modules/task-dependencies.js';
+import { GoalForecaster } from './modules/goal-forecaster.js';
+import { DurationCalibration } from './modules/duration-calibration.js';
+import { SelectionPolicyManager } from './modules/selection-policy-manager.js';
+import { TaskSkipManager } from './modules/task-skip-manager.js';
+import { TaskSessionTracker } from './modules/task-session-tracker.js';
+import { ProgressAnalytics } from './modules/progress-analytics.js';
+import { HybridRetriever } from './modules/hybrid-retriever.js';
 import { ClaudeDiagnosticHelper } from './utils/claude-diagnostic-helper.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -94,6 +112,28 @@ class Stage1CoreServer {
       },
     });
     this.memorySync = new MemorySync(this.dataPersistence);
+    this.dailyScheduleGenerator = new DailyScheduleGenerator(this.dataPersistence, this.projectManagement);
+    this.weekPlanner = new WeekPlanner(this.dataPersistence, this.projectManagement, this.dailyScheduleGenerator);
+    this.calendarSync = new CalendarSync(this.dataPersistence, this.projectManagement);
+    this.projectBundle = new ProjectBundle(
+      this.dataPersistence,
+      this.projectManagement,
+      this.ambiguousDesiresManager.clarificationDialogue?.dialoguePersistence || null
+    );
+    this.snapshotManager = new SnapshotManager(this.dataPersistence, this.projectManagement);
+    this.htaChangeTracker = new HTAChangeTracker(this.dataPersistence, this.projectManagement);
+    this.dataIntegrityChecker = new DataIntegrityChecker(this.dataPersistence);
+    this.learningPathManager = new LearningPathManager(this.dataPersistence, this.projectManagement);
+    this.projectLifecycle = new ProjectLifecycle(this.dataPersistence, this.projectManagement);
+    this.htaEditor = new HTAEditor(this.dataPersistence, this.projectManagement);
+    this.taskDependencies = new TaskDependencyManager(this.dataPersistence, this.projectManagement, this.htaEditor);
+    this.goalForecaster = new GoalForecaster(this.dataPersistence, this.projectManagement);
+    this.durationCalibration = new DurationCalibration(this.dataPersistence, this.projectManagement);
+    this.selectionPolicyManager = new SelectionPolicyManager(this.dataPersistence, this.projectManagement);
+    this.taskSkipManager = new TaskSkipManager(this.dataPersistence, this.projectManagement, this.htaChangeTracker);
+    this.taskSessionTracker = new TaskSessionTracker(this.dataPersistence, this.projectManagement);
+    this.progressAnalytics = new ProgressAnalytics(this.dataPersistence, this.projectManagement);
+    this.hybridRetriever = new HybridRetriever(this.dataPersistence, this.projectManagement);
     this.mcpCore = new McpCore(this.server);
     
     // Initialize diagnostic helper for preventing false positives
@@ -194,6 +234,17 @@ const __filename = fileURLToPath(import.meta.url);
         });
       }
       
+      // Finish transactions a crash left half-written, before anything reads project data
+      try {
+        const recovered = await this.dataPersistence.recoverInterruptedTransactions();
+        if (recovered.length > 0) {
+          console.error(`🩹 Recovered ${recovered.length} interrupted transaction(s):`,
+            recovered.map(entry => `${entry.label || entry.id} (${entry.action})`).join(', '));
+        }
+      } catch (recoveryError) {
+        console.error('⚠️ Transaction recovery failed:', recoveryError.message);
+      }
+
       // Initialize core modules with vector support
 
       
@@ -255,6 +306,13 @@ const __filename = fileURLToPath(import.meta.url);
             
             // Connect vector store to diagnostic handlers
             this.diagnosticHandlers.vectorStore = vectorStore;
+
+            // Connect vector store to project export/import and snapshot restore
+            this.projectBundle.vectorStore = vectorStore;
+            this.snapshotManager.vectorStore = vectorStore;
+            this.learningPathManager.vectorStore = vectorStore;
+            this.projectLifecycle.vectorStore = vectorStore;
+            this.htaEditor.vectorStore = vectorStore;
           } else {
             console.error('⚠️ Vector store initialization returned null, continuing without vector support');
           }
@@ -344,9 +402,47 @@ const __filename = fileURLToPath(import.meta.url);
             case 'switch_project_forest':
               result = await this.projectManagement.switchProject(args.project_id); break;
             case 'list_projects_forest':
-              result = await this.projectManagement.listProjects(); break;
+              result = await this.projectManagement.listProjects(args || {}); break;
+            case 'archive_project_forest':
+              result = await this.projectLifecycle.archiveProject(args || {}); break;
+            case 'clone_project_forest':
+              result = await this.projectLifecycle.cloneProject(args || {}); break;
+            case 'save_project_template_forest':
+              result = await this.projectLifecycle.saveTemplate(args || {}); break;
+            case 'create_project_from_template_forest':
+              result = await this.projectLifecycle.createFromTemplate(args || {}); break;
+            case 'create_path_forest':
+              result = await this.learningPathManager.createPath(args || {}); break;
+            case 'list_paths_forest':
+              result = await this.learningPathManager.listPaths(args || {}); break;
+            case 'switch_path_forest':
+              result = await this.learningPathManager.switchPath(args || {}); break;
             case 'get_active_project_forest':
               result = await this.projectManagement.getActiveProject(); break;
+            case 'export_project_forest':
+              result = await this.projectBundle.exportProject(args || {}); break;
+            case 'import_project_forest':
+              result = await this.projectBundle.importProject(args || {}); break;
+            case 'list_snapshots_forest':
+              result = await this.snapshotManager.listSnapshots(args || {}); break;
+            case 'restore_snapshot_forest':
+              result = await this.snapshotManager.restoreSnapshot(args || {}); break;
+            case 'configure_snapshots_forest':
+              result = await this.snapshotManager.configureSnapshots(args || {}); break;
+            case 'diff_hta_forest':
+              result = await this.htaChangeTracker.diffHTA(args || {}); break;
+            case 'add_hta_node_forest':
+              result = await this.htaEditor.addNode(args || {}); break;
+            case 'edit_hta_node_forest':
+              result = await this.htaEditor.editNode(args || {}); break;
+            case 'move_hta_node_forest':
+              result = await this.htaEditor.moveNode(args || {}); break;
+            case 'delete_hta_node_forest':
+              result = await this.htaEditor.deleteNode(args || {}); break;
+            case 'set_task_dependencies_forest':
+              result = await this.taskDependencies.setTaskDependencies(args || {}); break;
+            case 'infer_dependencies_forest':
+              result = await this.taskDependencies.inferDependencies(args || {}); break;
             case 'build_hta_tree_forest':
               console.error('[forest-log] [ToolRouter] About to call vectorized buildHTATree');
               result = await this.buildHTATreeVectorized(args); break;
@@ -358,12 +454,45 @@ const __filename = fileURLToPath(import.meta.url);
               result = await this.taskStrategyCore.getNextTask(args); break;
             case 'complete_block_forest':
               result = await this.vectorizedHandlers.completeBlockVectorized(args); break;
+            case 'start_task_forest':
+              result = await this.taskSessionTracker.startTask(args || {}); break;
+            case 'pause_task_forest':
+              result = await this.taskSessionTracker.pauseTask(args || {}); break;
+            case 'resume_task_forest':
+              result = await this.taskSessionTracker.resumeTask(args || {}); break;
+            case 'update_task_progress_forest':
+              result = await this.taskSessionTracker.updateProgress(args || {}); break;
+            case 'skip_task_forest':
+              result = await this.taskSkipManager.skipTask(args || {}); break;
+            case 'set_selection_policy_forest':
+              result = await this.selectionPolicyManager.setSelectionPolicy(args || {}); break;
             case 'evolve_strategy_forest':
-              result = await this.taskStrategyCore.evolveStrategy(args); break;
+              result = await this.htaChangeTracker.trackEvolution(
+                () => this.taskStrategyCore.evolveStrategy(args),
+                args?.project_id || null
+              ); break;
             case 'current_status_forest':
               result = await this.getCurrentStatus(); break;
+            case 'verify_data_integrity_forest':
+              result = await this.dataIntegrityChecker.verifyDataIntegrity(args || {}); break;
             case 'generate_daily_schedule_forest':
               result = await this.generateDailySchedule(args); break;
+            case 'forecast_goal_forest':
+              result = await this.goalForecaster.forecastGoal(args || {}); break;
+            case 'get_progress_analytics_forest':
+              result = await this.progressAnalytics.getProgressAnalytics(args || {}); break;
+            case 'get_estimate_accuracy_forest':
+              result = await this.durationCalibration.getEstimateAccuracy(args || {}); break;
+            case 'plan_week_forest':
+              result = await this.weekPlanner.planWeek(args || {}); break;
+            case 'get_week_plan_forest':
+              result = await this.weekPlanner.getWeekPlan(args || {}); break;
+            case 'edit_week_plan_forest':
+              result = await this.weekPlanner.editWeekPlan(args || {}); break;
+            case 'export_calendar_forest':
+              result = await this.calendarSync.exportCalendar(args || {}); break;
+            case 'import_calendar_forest':
+              result = await this.calendarSync.importCalendar(args || {}); break;
             case 'sync_forest_memory_forest': {
               const activeProjectSync = await this.projectManagement.getActiveProject();
               if (!activeProjectSync || !activeProjectSync.project_id) {
@@ -401,7 +530,10 @@ const __filename = fileURLToPath(import.meta.url);
               }); break;
             }
             case 'adaptive_evolution_forest':
-              result = await this.ambiguousDesiresManager.adaptiveEvolution.adaptiveEvolution(args); break;
+              result = await this.htaChangeTracker.trackEvolution(
+                () => this.ambiguousDesiresManager.adaptiveEvolution.adaptiveEvolution(args),
+                args?.project_id || null
+              ); break;
             case 'smart_evolution_forest':
               result = await this.ambiguousDesiresManager.smartEvolution(args); break;
             case 'assess_goal_clarity_forest':
@@ -437,13 +569,17 @@ const __filename = fileURLToPath(import.meta.url);
             case 'get_next_pipeline_forest':
               result = await this.getNextPipeline(args); break;
             case 'evolve_pipeline_forest':
-              result = await this.evolvePipeline(args); break;
+              result = await this.htaChangeTracker.trackEvolution(() => this.evolvePipeline(args)); break;
             
             // Vectorization Status Tools
+            case 'search_forest':
+              result = await this.hybridRetriever.searchForest(args || {}); break;
             case 'get_vectorization_status_forest':
               result = await this.vectorizedHandlers.getVectorizationStatus(args); break;
             case 'vectorize_project_data_forest':
               result = await this.vectorizedHandlers.vectorizeProjectData(args); break;
+            case 'reindex_vectors_forest':
+              result = await this.vectorizedHandlers.reindexVectors(args || {}); break;
             
             // Diagnostic Tools
             case 'verify_system_health_forest':
@@ -502,11 +638,42 @@ const __filename = fileURLToPath(import.meta.url);
         activeProjectId,
         'config.json'
       );
-      const htaData = await this.dataPersistence.loadPathData(activeProjectId, 'general', 'hta.json');
+      const activePath = projectConfig?.activePath || 'general';
+      const htaData = await this.dataPersistence.loadPathData(activeProjectId, activePath, 'hta.json');
 
       const availableTasks = htaData?.frontierNodes?.length || 0;
       const progress = projectConfig?.progress || 0;
 
+      let pathsText = '';
+      try {
+        const { rollup } = await this.learningPathManager.getPathRollup(activeProjectId, projectConfig);
+        if (rollup.path_count > 1) {
+          pathsText = `\n**Paths**: ${rollup.paths.map(row => `${row.path_name} ${row.progress}%`).join(' | ')}\n` +
+            this.learningPathManager.formatRollup(rollup) + '\n';
+        }
+      } catch (rollupError) {
+        console.error('⚠️ Path rollup failed:', rollupError.message);
+      }
+
+      let sessionsText = '';
+      try {
+        sessionsText = this.taskSessionTracker.formatStatusLines(
+          await this.taskSessionTracker.getActiveSessions(activeProjectId)
+        );
+      } catch (sessionError) {
+        console.error('⚠️ Task sessions failed:', sessionError.message);
+      }
+
+      let forecastText = '';
+      try {
+        const forecast = await this.goalForecaster.buildForecast(activeProjectId, { pathName: activePath });
+        if (forecast) {
+          forecastText = this.goalForecaster.formatStatusLine(forecast) + '\n';
+        }
+      } catch (forecastError) {
+        console.error('⚠️ Goal forecast failed:', forecastError.message);
+      }
+
       return {
         content: [
           {
@@ -516,7 +683,10 @@ const __filename = fileURLToPath(import.meta.url);
               `**Project**: ${projectConfig?.goal || 'Unknown'}\n` +
               `**Progress**: ${progress}%\n` +
               `**Available Tasks**: ${availableTasks}\n` +
-              `**Active Path**: ${projectConfig?.activePath || 'general'}\n\n` +
+              `**Active Path**: ${activePath}\n` +
+              sessionsText +
+              forecastText +
+              pathsText + '\n' +
               `Use \`get_next_task_forest\` to continue learning!`,
           },
         ],
@@ -534,30 +704,7 @@ const __filename = fileURLToPath(import.meta.url);
   }
 
   async generateDailySchedule(args) {
-    // Simple daily schedule generation - can be enhanced later
-    const activeProjectId = this.projectManagement.getActiveProjectId();
-    if (!activeProjectId) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: '**No Active Project** ❌\n\nCreate or switch to a project first.',
-          },
-        ],
-      };
-    }
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text:
-            `**Daily Schedule Generation** 📅\n\n` +
-            `Schedule generation is available but simplified in Stage1.\n` +
-            `Use \`get_next_task_forest\` for immediate task recommendations.`,
-        },
-      ],
-    };
+    return this.dailyScheduleGenerator.generateDailySchedule(args || {});
   }
 
   /**
@@ -1397,7 +1544,8 @@ Use engaging, inspiring language that matches the motto. Keep it concise but mot
       const userContext = {
         energyLevel: args.energy_level || 3,
         timeAvailable: args.time_available || '30 minutes',
-        ...args.context
+        ...args.context,
+        explain: args.explain === true
       };
 
       const result = await this.pipelinePresenter.generateNextPipeline(projectId, userContext);
@@ -1409,7 +1557,8 @@ Use engaging, inspiring language that matches the motto. Keep it concise but mot
         pipeline_info: {
           total_tasks: result.total_pipeline_tasks,
           presentation_type: result.presentation_type
-        }
+        },
+        ...(result.explanation ? { explanation: result.explanation } : {})
       };
 
     } catch (error) {
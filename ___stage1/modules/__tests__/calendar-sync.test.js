@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { CalendarSync } from '../calendar-sync.js';
+import { parseCalendar } from '../../utils/icalendar.js';
+
+describe('CalendarSync', () => {
+  let calendarSync;
+  let store;
+  let dataPersistence;
+
+  beforeEach(() => {
+    store = {
+      'config.json': { goal: 'Learn JavaScript' },
+      'daily-schedule.json': {
+        schedules: {
+          '2025-03-10': {
+            blocks: [
+              {
+                id: 'block_2025-03-10_00', type: 'task', start: '09:00', end: '09:45',
+                task_id: 'closures', title: 'Study closures', branch: 'Foundations', estimated_minutes: 45,
+              },
+              { id: 'block_2025-03-10_01', type: 'break', start: '09:45', end: '09:50', title: 'Short break' },
+            ],
+          },
+        },
+      },
+      'week-plan.json': {
+        days: [
+          { date: '2025-03-10', blocks: [{ id: 'wk_closures', task_id: 'closures', title: 'Study closures', status: 'planned' }] },
+          {
+            date: '2025-03-11',
+            blocks: [
+              { id: 'wk_async', task_id: 'async', title: 'Learn async', branch: 'Core', estimated_minutes: 60, status: 'planned' },
+              { id: 'wk_done', task_id: 'done', title: 'Finished', status: 'completed' },
+            ],
+          },
+        ],
+      },
+    };
+    dataPersistence = {
+      loadProjectData: jest.fn(async (projectId, fileName) => store[fileName] || null),
+      saveProjectData: jest.fn(async (projectId, fileName, data) => {
+        store[fileName] = data;
+        return true;
+      }),
+    };
+    const projectManagement = {
+      getActiveProject: jest.fn(async () => ({ project_id: 'js_project' })),
+    };
+    calendarSync = new CalendarSync(dataPersistence, projectManagement);
+  });
+
+  describe('exportCalendar', () => {
+    test('exports task blocks with task ID, branch and estimated duration', async () => {
+      const result = await calendarSync.exportCalendar({ start_date: '2025-03-10', days: 2 });
+      const { events } = parseCalendar(result.ics);
+
+      expect(result.success).toBe(true);
+      expect(result.events_exported).toBe(2);
+      expect(events[0]).toMatchObject({
+        summary: 'Forest: Study closures',
+        start: '2025-03-10T09:00',
+        end: '2025-03-10T09:45',
+        extensions: {
+          'X-FOREST-TASK-ID': 'closures',
+          'X-FOREST-BRANCH': 'Foundations',
+          'X-FOREST-ESTIMATED-MINUTES': '45',
+        },
+      });
+      // Week-plan blocks fill days without a generated schedule
+      expect(events[1]).toMatchObject({ summary: 'Forest: Learn async', start: '2025-03-11', allDay: true });
+    });
+
+    test('includes breaks only on request', async () => {
+      const result = await calendarSync.exportCalendar({ date: '2025-03-10', include_breaks: true });
+
+      expect(result.events_exported).toBe(2);
+    });
+
+    test('reports when nothing is in range', async () => {
+      const result = await calendarSync.exportCalendar({ date: '2030-01-01' });
+
+      expect(result.events_exported).toBe(0);
+      expect(result.content[0].text).toContain('Nothing to Export');
+    });
+  });
+
+  describe('importCalendar', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:dentist',
+      'DTSTART:20250310T100000',
+      'DTEND:20250310T110000',
+      'SUMMARY:Dentist',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:gym',
+      'DTSTART:20250310T180000',
+      'DTEND:20250310T190000',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'SUMMARY:Gym',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:free',
+      'DTSTART:20250310T120000',
+      'DTEND:20250310T130000',
+      'TRANSP:TRANSPARENT',
+      'SUMMARY:Optional lunch talk',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    test('stores busy slots, expanding recurrences and skipping free time', async () => {
+      const result = await calendarSync.importCalendar({ ics_content: ics, start_date: '2025-03-10', horizon_days: 30 });
+
+      expect(result.success).toBe(true);
+      expect(result.busy_slots_added).toBe(4);
+      expect(result.skipped).toEqual(['Optional lunch talk: marked as free time']);
+      expect(store['calendar-busy.json'].events.map(event => event.summary)).toEqual([
+        'Dentist', 'Gym', 'Gym', 'Gym',
+      ]);
+    });
+
+    test('merges repeated imports by UID', async () => {
+      await calendarSync.importCalendar({ ics_content: ics, start_date: '2025-03-10' });
+      const result = await calendarSync.importCalendar({ ics_content: ics, start_date: '2025-03-10' });
+
+      expect(result.total_busy_slots).toBe(4);
+    });
+
+    test('does not treat its own exported events as commitments', async () => {
+      const exported = await calendarSync.exportCalendar({ start_date: '2025-03-10', days: 2 });
+
+      const result = await calendarSync.importCalendar({ ics_content: exported.ics, start_date: '2025-03-10' });
+
+      expect(result.busy_slots_added).toBe(0);
+      expect(result.skipped).toHaveLength(2);
+    });
+
+    test('requires content or a file path', async () => {
+      const result = await calendarSync.importCalendar({});
+
+      expect(result.content[0].text).toContain('Calendar Import Failed');
+    });
+  });
+});
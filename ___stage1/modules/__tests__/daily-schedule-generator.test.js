@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+import { DailyScheduleGenerator } from '../daily-schedule-generator.js';
+
+const toMinutes = clock => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+describe('DailyScheduleGenerator', () => {
+  const tasks = [
+    { id: 'easy', title: 'Read introduction to closures', difficulty: 1, prerequisites: [] },
+    { id: 'hard', title: 'Debug advanced async architecture', difficulty: 5, prerequisites: [] },
+    { id: 'medium', title: 'Practice writing functions', difficulty: 3, prerequisites: [] },
+    { id: 'after-medium', title: 'Build a small project', difficulty: 3, prerequisites: ['medium'] },
+  ];
+
+  let generator;
+  let store;
+  let dataPersistence;
+
+  beforeEach(() => {
+    store = {
+      'config.json': { goal: 'Learn JavaScript', activePath: 'general' },
+      'daily-schedule.json': {
+        schedules: {},
+        preferences: { defaultFocusDuration: 25, breakDuration: 5, longBreakInterval: 4 },
+        lastGenerated: null,
+      },
+    };
+    dataPersistence = {
+      loadProjectData: jest.fn(async (projectId, fileName) => store[fileName] || null),
+      saveProjectData: jest.fn(async (projectId, fileName, data) => {
+        store[fileName] = data;
+        return true;
+      }),
+      loadPathData: jest.fn(async () => ({ frontierNodes: tasks })),
+    };
+    const projectManagement = {
+      getActiveProject: jest.fn(async () => ({ project_id: 'js_project' })),
+    };
+    generator = new DailyScheduleGenerator(dataPersistence, projectManagement);
+  });
+
+  describe('buildSchedule', () => {
+    test('covers every available window without gaps or overlaps', () => {
+      const schedule = generator.buildSchedule({
+        tasks,
+        date: '2025-03-10',
+        energyLevel: 4,
+        availableHours: '9,10,11,14,15',
+      });
+
+      expect(schedule.windows).toEqual([
+        { start: '09:00', end: '12:00' },
+        { start: '14:00', end: '16:00' },
+      ]);
+
+      for (const window of schedule.windows) {
+        const blocks = schedule.blocks.filter(
+          block => toMinutes(block.start) >= toMinutes(window.start) && toMinutes(block.end) <= toMinutes(window.end)
+        );
+        expect(blocks[0].start).toBe(window.start);
+        expect(blocks[blocks.length - 1].end).toBe(window.end);
+        for (let i = 1; i < blocks.length; i++) {
+          expect(blocks[i].start).toBe(blocks[i - 1].end);
+        }
+      }
+
+      expect(schedule.summary.total_minutes).toBe(5 * 60);
+    });
+
+    test('leaves imported busy slots free', () => {
+      const schedule = generator.buildSchedule({
+        tasks,
+        date: '2025-03-10',
+        availableHours: '9,10,11',
+        busySlots: [{ start: 10 * 60, end: 10 * 60 + 30, summaries: ['Dentist'] }],
+      });
+
+      expect(schedule.windows).toEqual([
+        { start: '09:00', end: '10:00' },
+        { start: '10:30', end: '12:00' },
+      ]);
+      expect(schedule.busy).toEqual([{ start: '10:00', end: '10:30', summary: 'Dentist' }]);
+      for (const block of schedule.blocks) {
+        expect(toMinutes(block.end) <= 600 || toMinutes(block.start) >= 630).toBe(true);
+      }
+    });
+
+    test('places the most demanding task in the morning when energy is high', () => {
+      const schedule = generator.buildSchedule({ tasks, date: '2025-03-10', energyLevel: 5 });
+      const firstTask = schedule.blocks.find(block => block.type === 'task');
+
+      expect(firstTask.task_id).toBe('hard');
+      expect(firstTask.start).toBe('09:00');
+    });
+
+    test('leaves tasks that are too demanding for low energy unscheduled', () => {
+      const schedule = generator.buildSchedule({ tasks, date: '2025-03-10', energyLevel: 1 });
+      const scheduledIds = schedule.blocks.filter(block => block.type === 'task').map(block => block.task_id);
+
+      expect(scheduledIds).not.toContain('hard');
+      expect(schedule.unscheduled.find(item => item.task_id === 'hard').reason).toMatch(/energy/);
+    });
+
+    test('schedules prerequisites before dependent tasks', () => {
+      const schedule = generator.buildSchedule({ tasks, date: '2025-03-10', energyLevel: 3 });
+      const order = schedule.blocks.filter(block => block.type === 'task').map(block => block.task_id);
+
+      expect(order.indexOf('medium')).toBeLessThan(order.indexOf('after-medium'));
+    });
+
+    test('uses the duration engine for block lengths', () => {
+      const schedule = generator.buildSchedule({ tasks: [tasks[2]], date: '2025-03-10', availableHours: '9,10,11' });
+      const expected = generator.durationEngine.calculateTaskDuration(tasks[2], { energy_level: 3, learningStyle: 'mixed' });
+
+      expect(schedule.blocks[0].estimated_minutes).toBe(Math.max(15, expected.estimated_minutes));
+    });
+  });
+
+  describe('input parsing', () => {
+    test('parses comma-separated hours and drops invalid values', () => {
+      expect(generator.parseAvailableHours('14, 9,abc,25,9')).toEqual([9, 14]);
+      expect(generator.parseAvailableHours(undefined)).toEqual([9, 10, 11, 13, 14, 15, 16]);
+    });
+
+    test('rejects malformed dates', () => {
+      expect(() => generator.resolveDate('10/03/2025')).toThrow(/YYYY-MM-DD/);
+      expect(generator.resolveDate('2025-03-10')).toBe('2025-03-10');
+    });
+  });
+
+  describe('generateDailySchedule', () => {
+    test('persists the schedule to daily-schedule.json keyed by date', async () => {
+      const result = await generator.generateDailySchedule({ date: '2025-03-10', energy_level: 3 });
+
+      expect(result.success).toBe(true);
+      expect(dataPersistence.saveProjectData).toHaveBeenCalledWith(
+        'js_project',
+        'daily-schedule.json',
+        expect.objectContaining({ lastGenerated: result.schedule.generated_at })
+      );
+      expect(store['daily-schedule.json'].schedules['2025-03-10'].blocks.length).toBeGreaterThan(0);
+      expect(store['daily-schedule.json'].preferences.breakDuration).toBe(5);
+      expect(result.content[0].text).toContain('Daily Schedule for 2025-03-10');
+    });
+
+    test('reports a missing active project', async () => {
+      generator.projectManagement.getActiveProject.mockResolvedValue({ project_id: null });
+
+      const result = await generator.generateDailySchedule({});
+
+      expect(result.content[0].text).toContain('No Active Project');
+      expect(dataPersistence.saveProjectData).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { DurationCalibration } from '../duration-calibration.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [{ name: 'Foundations' }],
+  frontierNodes: [
+    { id: 'p1', title: 'Practice open chords', branch: 'Foundations', priority: 100 },
+    { id: 'p2', title: 'Practice barre chords', branch: 'Foundations', priority: 110 },
+  ],
+});
+
+describe('DurationCalibration', () => {
+  let tempDir;
+  let calibration;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-calibration-'));
+    const dataPersistence = new DataPersistence(tempDir);
+    const projectManagement = new ProjectManagement(dataPersistence);
+    calibration = new DurationCalibration(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('logged actual minutes calibrate later estimates for the task type', async () => {
+    const task = tree().frontierNodes[1];
+    const before = calibration.durationEngine.calculateTaskDuration(task, { calibration: await calibration.loadModel() });
+
+    const first = await calibration.recordActual({ projectId: 'guitar', taskId: 'p1', actualMinutes: before.estimated_minutes * 3 });
+    expect(first).toMatchObject({ task_type: 'practice', path_name: 'general', estimated_minutes: before.estimated_minutes });
+    expect(first.base_estimated_minutes).toBe(before.estimated_minutes);
+    for (let i = 0; i < 4; i++) {
+      await calibration.recordActual({ projectId: 'guitar', taskId: 'p1', actualMinutes: before.estimated_minutes * 3 });
+    }
+
+    const after = calibration.durationEngine.calculateTaskDuration(task, { calibration: await calibration.loadModel() });
+    expect(after.estimated_minutes).toBeGreaterThan(before.estimated_minutes);
+    expect(after.calibration).toMatchObject({ samples: 5 });
+    expect(after.confidence_level).toBeLessThan(before.confidence_level);
+    expect(after.factors_considered.join(' ')).toContain('calibrated from 5 logged tasks');
+
+    // The estimate shown for the next sample is the calibrated one
+    const next = await calibration.recordActual({ projectId: 'guitar', taskId: 'p2', actualMinutes: 30 });
+    expect(next.estimated_minutes).toBe(after.estimated_minutes);
+  });
+
+  test('ignores tasks outside the tree and missing minutes', async () => {
+    expect(await calibration.recordActual({ projectId: 'guitar', taskId: 'nope', actualMinutes: 20 })).toBeNull();
+    expect(await calibration.recordActual({ projectId: 'guitar', taskId: 'p1', actualMinutes: 0 })).toBeNull();
+    expect(await calibration.loadSamples()).toEqual([]);
+  });
+
+  test('reports accuracy by week and task type', async () => {
+    const empty = await calibration.getEstimateAccuracy();
+    expect(empty.content[0].text).toContain('No actual times logged yet');
+
+    await calibration.recordActual({ projectId: 'guitar', taskId: 'p1', actualMinutes: 200 });
+    const result = await calibration.getEstimateAccuracy({ task_type: 'practice' });
+
+    expect(result.success).toBe(true);
+    expect(result.accuracy.overall.samples).toBe(1);
+    expect(result.accuracy.task_types[0].task_type).toBe('practice');
+    expect(result.content[0].text).toContain('longer than estimated');
+    expect(result.content[0].text).toContain('estimates now ×');
+  });
+});
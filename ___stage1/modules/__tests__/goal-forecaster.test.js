@@ -0,0 +1,88 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { GoalForecaster } from '../goal-forecaster.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [{ name: 'Foundations' }, { name: 'Songs' }],
+  frontierNodes: [
+    { id: 'f1', title: 'Tune the guitar', branch: 'Foundations', priority: 100, completed: true },
+    { id: 'f2', title: 'Open chords', branch: 'Foundations', priority: 110, prerequisites: ['f1'] },
+    { id: 'f3', title: 'Chord changes', branch: 'Foundations', priority: 120, prerequisites: ['f2'] },
+    { id: 's1', title: 'First song', branch: 'Songs', priority: 200, prerequisites: ['f3'] },
+  ],
+});
+
+describe('GoalForecaster', () => {
+  let tempDir;
+  let dataPersistence;
+  let forecaster;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-forecast-'));
+    dataPersistence = new DataPersistence(tempDir);
+    const projectManagement = new ProjectManagement(dataPersistence);
+    forecaster = new GoalForecaster(dataPersistence, projectManagement);
+    forecaster.estimateMinutes = () => 60;
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('forecasts from logged pace along the critical path', async () => {
+    await dataPersistence.savePathData('guitar', 'general', 'completion-log.json', {
+      completions: ['2026-03-25', '2026-03-26', '2026-03-27', '2026-03-28', '2026-03-29', '2026-03-30', '2026-03-31']
+        .map((day, index) => ({ task_id: index === 0 ? 'f1' : `practice-${index}`, completed_at: `${day}T10:00:00.000Z` })),
+    });
+
+    const result = await forecaster.forecastGoal({ as_of: '2026-03-31', window_days: 7 });
+
+    expect(result.success).toBe(true);
+    const { forecast } = result;
+    expect(forecast).toMatchObject({
+      basis: 'history',
+      velocity: { minutes_per_day: 60, completions: 7 },
+      remaining: { tasks: 3, minutes: 180 },
+      critical_path: { minutes: 180 },
+      goal_completion: { p50: '2026-04-02', p90: '2026-04-02', p50_days: 3 },
+    });
+    expect(forecast.critical_path.tasks.map(task => task.id)).toEqual(['f2', 'f3', 's1']);
+    expect(forecast.branches.map(branch => [branch.name, branch.p50, branch.on_critical_path])).toEqual([
+      ['Foundations', '2026-04-01', true],
+      ['Songs', '2026-04-02', true],
+    ]);
+    expect(result.content[0].text).toContain('Open chords → Chord changes → First song');
+  });
+
+  test('falls back to assumed capacity and rates the deadline', async () => {
+    const config = await dataPersistence.loadProjectData('guitar', 'config.json');
+    await dataPersistence.saveProjectData('guitar', 'config.json', { ...config, deadline: '2026-04-01' });
+
+    const { forecast } = await forecaster.forecastGoal({ as_of: '2026-03-30', hours_per_day: 3 });
+
+    expect(forecast.basis).toBe('assumed');
+    expect(forecast.assumed_hours_per_day).toBe(3);
+    expect(forecast.goal_completion.p50_days).toBe(1);
+    expect(forecast.deadline.date).toBe('2026-04-01');
+    expect(forecast.deadline.on_time_probability).toBeGreaterThan(0.5);
+    expect(forecaster.formatStatusLine(forecast)).toContain('assuming 3 h/day');
+  });
+
+  test('reports a finished path', async () => {
+    const done = tree();
+    done.frontierNodes.forEach(task => { task.completed = true; });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', done);
+
+    const result = await forecaster.forecastGoal();
+
+    expect(result.forecast.remaining.tasks).toBe(0);
+    expect(result.forecast.branches.every(branch => branch.complete)).toBe(true);
+    expect(result.content[0].text).toContain('Every task on this path is done');
+  });
+});
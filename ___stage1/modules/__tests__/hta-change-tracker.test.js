@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { HTAChangeTracker } from '../hta-change-tracker.js';
+
+describe('HTAChangeTracker', () => {
+  let tempDir;
+  let dataPersistence;
+  let tracker;
+
+  const tree = titles => ({
+    goal: 'Learn piano',
+    frontierNodes: titles.map((title, index) => ({ id: `t${index + 1}`, title, branch: 'Foundations' })),
+    strategicBranches: [{ name: 'Foundations' }],
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-hta-diff-'));
+    dataPersistence = new DataPersistence(tempDir);
+    tracker = new HTAChangeTracker(dataPersistence, {
+      getActiveProject: jest.fn(async () => ({ project_id: 'piano' })),
+    });
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn piano', activePath: 'general' });
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales', 'Chords']));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('attaches the tree diff to an evolution response', async () => {
+    const evolve = jest.fn(async () => {
+      // Mutates the cached object the way evolution code does before saving
+      const hta = await dataPersistence.loadPathData('piano', 'general', 'hta.json');
+      hta.frontierNodes.push({ id: 't3', title: 'Songs', branch: 'Foundations' });
+      hta.frontierNodes[0].difficulty = 4;
+      await dataPersistence.savePathData('piano', 'general', 'hta.json', hta);
+      return { success: true, content: [{ type: 'text', text: '**Strategy Evolution Complete**' }] };
+    });
+
+    const result = await tracker.trackEvolution(evolve);
+
+    expect(result.hta_diff.summary).toMatchObject({ added: 1, modified: 1, removed: 0 });
+    expect(result.content[0].text).toContain('**Tree Changes**: +1 added');
+  });
+
+  test('leaves failed evolutions untouched', async () => {
+    const failure = { content: [{ type: 'text', text: '**Failed**' }], error: 'boom' };
+
+    const result = await tracker.trackEvolution(async () => failure);
+
+    expect(result).toBe(failure);
+    expect(result.hta_diff).toBeUndefined();
+  });
+
+  test('diffs the current tree against the latest snapshot by default', async () => {
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales']));
+
+    const result = await tracker.diffHTA({});
+
+    expect(result.success).toBe(true);
+    expect(result.diff.removed.map(node => node.id)).toEqual(['t2']);
+    expect(result.to).toBe('current tree');
+    expect(result.content[0].text).toContain('**Removed** (1)');
+  });
+
+  test('diffs two snapshots', async () => {
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales', 'Chords', 'Songs']));
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales']));
+    const [newer, older] = await dataPersistence.snapshotStore.list('piano', { fileName: 'hta.json' });
+
+    const result = await tracker.diffHTA({ from_snapshot_id: older.id, to_snapshot_id: newer.id });
+
+    expect(result.diff.added.map(node => node.title)).toEqual(['Songs']);
+  });
+
+  test('rejects snapshots of other files', async () => {
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn jazz piano', activePath: 'general' });
+    const [configSnapshot] = await dataPersistence.snapshotStore.list('piano', { fileName: 'config.json' });
+
+    const result = await tracker.diffHTA({ from_snapshot_id: configSnapshot.id });
+
+    expect(result.content[0].text).toContain('not hta.json');
+  });
+});
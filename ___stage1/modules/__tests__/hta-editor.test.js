@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { HTAEditor } from '../hta-editor.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [
+    { name: 'Foundations', description: 'Basics', priority: 1 },
+    { name: 'Songs', description: 'Repertoire', priority: 2 },
+  ],
+  frontierNodes: [
+    { id: 'f1', title: 'Tune the guitar', branch: 'Foundations', priority: 100, prerequisites: [] },
+    { id: 'f2', title: 'Open chords', branch: 'Foundations', priority: 110, prerequisites: ['f1'] },
+    { id: 's1', title: 'Play a first song', branch: 'Songs', priority: 200, prerequisites: ['f2'] },
+  ],
+});
+
+describe('HTAEditor', () => {
+  let tempDir;
+  let dataPersistence;
+  let projectManagement;
+  let editor;
+
+  const loadTree = () => dataPersistence.loadPathData('guitar', 'general', 'hta.json');
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-hta-editor-'));
+    dataPersistence = new DataPersistence(tempDir);
+    projectManagement = new ProjectManagement(dataPersistence);
+    editor = new HTAEditor(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('adds a task at a position and renumbers the branch', async () => {
+    const result = await editor.addNode({ title: 'Strumming patterns', branch: 'Foundations', position: 1 });
+
+    expect(result).toMatchObject({ success: true, node: { id: 'foundations_4', branch: 'Foundations', completed: false } });
+    const foundations = (await loadTree()).frontierNodes
+      .filter(task => task.branch === 'Foundations')
+      .sort((a, b) => a.priority - b.priority)
+      .map(task => [task.id, task.priority]);
+    expect(foundations).toEqual([['f1', 100], ['foundations_4', 110], ['f2', 120]]);
+  });
+
+  test('rejects edits that break the hierarchy and saves nothing', async () => {
+    const cycle = await editor.editNode({ node_id: 'f1', updates: { prerequisites: ['s1'] } });
+    expect(cycle.error).toContain('Prerequisite cycle');
+
+    const missing = await editor.addNode({ title: 'Solo', branch: 'Songs', prerequisites: ['nope'] });
+    expect(missing.error).toContain('Unknown prerequisites');
+
+    expect((await editor.addNode({ title: 'Solo', branch: 'Jazz' })).error).toContain('Branch "Jazz" not found');
+    expect((await editor.editNode({ node_id: 'f1', updates: { id: 'x' } })).error).toContain('Cannot edit task field(s) id');
+    const saved = await loadTree();
+    expect(saved.frontierNodes.map(task => [task.id, task.prerequisites])).toEqual([['f1', []], ['f2', ['f1']], ['s1', ['f2']]]);
+  });
+
+  test('allows edits to trees that already hold unknown or title prerequisites', async () => {
+    const legacy = tree();
+    legacy.frontierNodes.push(
+      { id: 'b', title: 'Barre chords', branch: 'Foundations', priority: 120, prerequisites: ['Open chords', 'long-gone-task'] },
+      { id: 'c', title: 'Campfire song', branch: 'Songs', priority: 210, prerequisites: ['s1'] }
+    );
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', legacy);
+
+    const renamed = await editor.editNode({ node_id: 'c', updates: { title: 'Campfire medley' } });
+    expect(renamed.success).toBe(true);
+
+    // New problems are still caught, including cycles through title prerequisites
+    const missing = await editor.editNode({ node_id: 'c', updates: { prerequisites: ['s1', 'nope'] } });
+    expect(missing.error).toContain('Unknown prerequisites on: c ("nope")');
+    expect(missing.error).not.toContain('long-gone-task');
+    const cycle = await editor.editNode({ node_id: 'f2', updates: { prerequisites: ['f1', 'Barre chords'] } });
+    expect(cycle.error).toContain('Prerequisite cycle');
+    const breakTitle = await editor.editNode({ node_id: 'f2', updates: { title: 'Open position chords' } });
+    expect(breakTitle.error).toContain('b ("Open chords")');
+  });
+
+  test('renaming a branch carries its tasks along', async () => {
+    const result = await editor.editNode({ branch_name: 'Songs', updates: { name: 'Repertoire', phase: 'application' } });
+
+    expect(result.success).toBe(true);
+    const saved = await loadTree();
+    expect(saved.strategicBranches[1]).toMatchObject({ name: 'Repertoire', phase: 'application' });
+    expect(saved.frontierNodes.find(task => task.id === 's1').branch).toBe('Repertoire');
+  });
+
+  test('moves a task between branches and reorders branches', async () => {
+    await editor.moveNode({ node_id: 'f2', to_branch: 'Songs', position: 0 });
+    let saved = await loadTree();
+    expect(saved.frontierNodes.find(task => task.id === 'f2')).toMatchObject({ branch: 'Songs', priority: 200 });
+    expect(saved.frontierNodes.find(task => task.id === 's1').priority).toBe(210);
+
+    await editor.moveNode({ branch_name: 'Songs', position: 0 });
+    saved = await loadTree();
+    expect(saved.strategicBranches.map(branch => [branch.name, branch.priority])).toEqual([['Songs', 1], ['Foundations', 2]]);
+    expect(saved.frontierNodes.find(task => task.id === 'f1').priority).toBe(200);
+    expect(saved.frontierNodes.find(task => task.id === 'f2').priority).toBe(100);
+  });
+
+  test('deleting a task detaches it from dependents', async () => {
+    const result = await editor.deleteNode({ node_id: 'f2' });
+
+    expect(result).toMatchObject({ success: true, removed_tasks: ['f2'], detached_dependents: ['s1'] });
+    const saved = await loadTree();
+    expect(saved.frontierNodes.map(task => task.id)).toEqual(['f1', 's1']);
+    expect(saved.frontierNodes.find(task => task.id === 's1').prerequisites).toEqual([]);
+  });
+
+  test('deleting a branch with tasks needs reassign_to or cascade', async () => {
+    expect((await editor.deleteNode({ branch_name: 'Songs' })).error).toContain('reassign_to');
+
+    await editor.deleteNode({ branch_name: 'Songs', reassign_to: 'Foundations' });
+    let saved = await loadTree();
+    expect(saved.strategicBranches.map(branch => branch.name)).toEqual(['Foundations']);
+    expect(saved.frontierNodes.find(task => task.id === 's1')).toMatchObject({ branch: 'Foundations', priority: 120 });
+
+    await editor.deleteNode({ branch_name: 'Foundations', cascade: true });
+    saved = await loadTree();
+    expect(saved.strategicBranches).toEqual([]);
+    expect(saved.frontierNodes).toEqual([]);
+  });
+
+  test('re-vectorizes the active path and drops vectors of removed nodes', async () => {
+    const provider = { deleteVector: jest.fn(async () => true) };
+    editor.vectorStore = { provider, storeHTATree: jest.fn(async () => true) };
+
+    const result = await editor.deleteNode({ branch_name: 'Songs', cascade: true });
+
+    expect(result.vectors_refreshed).toBe(true);
+    expect(provider.deleteVector).toHaveBeenCalledWith('guitar:task:s1');
+    expect(provider.deleteVector).toHaveBeenCalledWith('guitar:branch:Songs');
+    expect(editor.vectorStore.storeHTATree).toHaveBeenCalledWith('guitar', expect.objectContaining({ goal: 'Learn guitar' }));
+  });
+});
@@ -0,0 +1,84 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { HybridRetriever } from '../hybrid-retriever.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [{ name: 'Foundations' }, { name: 'Theory' }],
+  frontierNodes: [
+    { id: 'open', title: 'Practice open chords', description: 'C, G and D shapes', branch: 'Foundations' },
+    { id: 'barre', title: 'Barre chords', description: 'F major barre on the first fret', branch: 'Foundations' },
+    { id: 'intervals', title: 'Intervals', description: 'Hear and name intervals by ear', branch: 'Theory' },
+  ],
+});
+
+describe('HybridRetriever', () => {
+  let tempDir;
+  let dataPersistence;
+  let projectManagement;
+  let retriever;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-search-'));
+    dataPersistence = new DataPersistence(tempDir);
+    projectManagement = new ProjectManagement(dataPersistence);
+    retriever = new HybridRetriever(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+    await dataPersistence.savePathData('guitar', 'general', 'completion-log.json', {
+      completions: [
+        { task_id: 'open', completed_at: '2026-04-02T10:00:00.000Z', learned: 'The G shape needs the pinky', breakthrough: true },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('finds tasks and notes by keyword and meaning, with ranks from both', async () => {
+    const result = await retriever.searchForest({ query: 'that task about barre chords' });
+
+    expect(result).toMatchObject({ success: true, project_id: 'guitar', path_name: 'general', mode: 'hybrid' });
+    expect(result.results[0]).toMatchObject({ id: 'task:barre', type: 'task', completed: false, lexical_rank: 1, vector_rank: 1 });
+    expect(result.results[0].matched_terms).toEqual(expect.arrayContaining(['barr', 'chord']));
+    expect(result.content[0].text).toContain('**Barre chords** ⬜️ (task, Foundations)');
+
+    const notes = await retriever.searchForest({ query: 'pinky', type: ['completion', 'breakthrough'] });
+    expect(notes.results.map(entry => entry.id)).toEqual(expect.arrayContaining(['completion:0', 'breakthrough:0']));
+    expect(notes.results.every(entry => entry.task_id === 'open')).toBe(true);
+  });
+
+  test('applies filters and single-ranking modes', async () => {
+    const pending = await retriever.searchForest({ query: 'chords', status: 'pending', mode: 'lexical' });
+    expect(pending.results.map(entry => entry.id)).toEqual(['task:barre']);
+    expect(pending.vector_hits).toBe(0);
+
+    const theory = await retriever.searchForest({ query: 'ear training', branch: 'Theory', mode: 'vector' });
+    expect(theory.lexical_hits).toBe(0);
+    expect(theory.results.every(entry => entry.branch === 'Theory')).toBe(true);
+
+    const dated = await retriever.searchForest({ query: 'chords', from: '2026-04-01', to: '2026-04-03' });
+    // The completion and breakthrough carry the task title
+    expect(dated.results.map(entry => entry.id).sort()).toEqual(['breakthrough:0', 'completion:0', 'task:open']);
+
+    expect((await retriever.searchForest({ query: 'chords', mode: 'fuzzy' })).error).toMatch(/Unknown mode "fuzzy"/);
+    expect((await retriever.searchForest({ query: ' ' })).error).toBe('query is required');
+  });
+
+  test('rebuilds the index when the tree changes', async () => {
+    const first = await retriever.getIndex('guitar', 'general');
+    expect(await retriever.getIndex('guitar', 'general')).toBe(first);
+
+    const data = tree();
+    data.frontierNodes.push({ id: 'strum', title: 'Strumming patterns', branch: 'Foundations' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', data);
+
+    const search = await retriever.searchForest({ query: 'strumming' });
+    expect(search.results[0].id).toBe('task:strum');
+    expect(search.content[0].text).toContain('keyword #1');
+  });
+});
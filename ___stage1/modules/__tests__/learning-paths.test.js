@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { LearningPathManager, summarizePath, buildPathRollup } from '../learning-paths.js';
+
+const tree = (count, completed = 0) => ({
+  goal: 'Learn piano',
+  frontierNodes: Array.from({ length: count }, (_, index) => ({
+    id: `t${index + 1}`,
+    title: `Task ${index + 1}`,
+    completed: index < completed,
+  })),
+});
+
+describe('summarizePath', () => {
+  test('counts tasks completed in the tree or in the completion log', () => {
+    const summary = summarizePath(tree(4, 1), {
+      completions: [
+        { task_id: 't2', completed_at: '2026-03-02T10:00:00.000Z' },
+        { task_id: 'adhoc', completed_at: '2026-03-05T10:00:00.000Z' },
+      ],
+    });
+
+    expect(summary).toEqual({
+      has_tree: true,
+      total_tasks: 4,
+      completed_tasks: 2,
+      progress: 50,
+      completions: 2,
+      last_activity: '2026-03-05T10:00:00.000Z',
+    });
+  });
+
+  test('handles paths without a tree or log', () => {
+    expect(summarizePath(null, null)).toMatchObject({ has_tree: false, progress: 0, completions: 0, last_activity: null });
+  });
+});
+
+describe('buildPathRollup', () => {
+  const now = new Date('2026-03-31T12:00:00.000Z');
+
+  test('compares each path with the average of the others', () => {
+    const rollup = buildPathRollup([
+      { path_name: 'general', ...summarizePath(tree(10, 8), { completions: [{ completed_at: '2026-03-30T10:00:00.000Z' }] }) },
+      { path_name: 'jazz', ...summarizePath(tree(10, 2), { completions: [{ completed_at: '2026-03-01T10:00:00.000Z' }] }) },
+      { path_name: 'theory', ...summarizePath(tree(10, 5), null) },
+      { path_name: 'sight_reading', ...summarizePath(null, null) },
+    ], { now });
+
+    expect(rollup).toMatchObject({
+      path_count: 4,
+      average_progress: 50,
+      overall_progress: 50,
+      total_completions: 2,
+      leading_path: 'general',
+      trailing_path: 'jazz',
+    });
+    expect(rollup.paths.map(row => [row.path_name, row.pace, row.share_of_completions, row.stale])).toEqual([
+      ['general', 'ahead', 50, false],
+      ['jazz', 'behind', 50, true],
+      ['theory', 'on_pace', 0, true],
+      ['sight_reading', 'not_started', 0, false],
+    ]);
+  });
+});
+
+describe('LearningPathManager', () => {
+  let tempDir;
+  let dataPersistence;
+  let projectManagement;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-paths-'));
+    dataPersistence = new DataPersistence(tempDir);
+    projectManagement = new ProjectManagement(dataPersistence);
+    manager = new LearningPathManager(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn piano', project_id: 'piano' });
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(4, 2));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('creates a path with its own files without switching to it', async () => {
+    const result = await manager.createPath({ path_name: 'jazz', goal: 'Improvise over jazz standards', priority: 'high' });
+
+    expect(result).toMatchObject({ success: true, active: false, path: { path_name: 'jazz', priority: 'high' } });
+    const config = await dataPersistence.loadProjectData('piano', 'config.json');
+    expect(config.activePath).toBe('general');
+    expect(config.learning_paths.map(entry => entry.path_name)).toEqual(['general', 'jazz']);
+    expect(await dataPersistence.listPathFiles('piano', 'jazz')).toEqual(
+      expect.arrayContaining(['completion-log.json', 'learning-history.json'])
+    );
+  });
+
+  test('rejects invalid and duplicate path names', async () => {
+    expect((await manager.createPath({ path_name: 'jazz piano' })).error).toContain('path_name must contain');
+    expect((await manager.createPath({ path_name: 'general' })).error).toContain('already exists');
+    expect((await manager.createPath({ path_name: 'jazz', priority: 'urgent' })).error).toContain('priority');
+  });
+
+  test('switches paths and rebuilds the vector index from the new path', async () => {
+    manager.vectorStore = { deleteProject: jest.fn(async () => true), storeHTATree: jest.fn(async () => true) };
+    await manager.createPath({ path_name: 'jazz' });
+    await dataPersistence.savePathData('piano', 'jazz', 'hta.json', tree(3));
+
+    const result = await manager.switchPath({ path_name: 'jazz' });
+
+    expect(result).toMatchObject({ success: true, active_path: 'jazz', previous_path: 'general', vectors_refreshed: true });
+    expect(result.summary).toMatchObject({ total_tasks: 3, completed_tasks: 0 });
+    expect(manager.vectorStore.deleteProject).toHaveBeenCalledWith('piano');
+    expect(manager.vectorStore.storeHTATree).toHaveBeenCalledWith('piano', expect.objectContaining({ goal: 'Learn piano' }));
+    expect((await dataPersistence.loadProjectData('piano', 'config.json')).activePath).toBe('jazz');
+
+    expect((await manager.switchPath({ path_name: 'classical' })).error).toContain('not found');
+  });
+
+  test('switches paths on a fresh ProjectManagement whose logger is not yet loaded', async () => {
+    await manager.createPath({ path_name: 'jazz' });
+    const freshManager = new LearningPathManager(dataPersistence, new ProjectManagement(dataPersistence));
+
+    const result = await freshManager.switchPath({ project_id: 'piano', path_name: 'jazz' });
+
+    expect(result).toMatchObject({ success: true, active_path: 'jazz' });
+    expect((await dataPersistence.loadProjectData('piano', 'config.json')).activePath).toBe('jazz');
+  });
+
+  test('creates and activates in one call', async () => {
+    const result = await manager.createPath({ path_name: 'theory', activate: true });
+
+    expect(result.active).toBe(true);
+    expect(result.content[0].text).toContain('build_hta_tree_forest');
+    expect((await dataPersistence.loadProjectData('piano', 'config.json')).activePath).toBe('theory');
+  });
+
+  test('lists every path with the rollup', async () => {
+    await manager.createPath({ path_name: 'jazz' });
+    await dataPersistence.savePathData('piano', 'jazz', 'hta.json', tree(4));
+
+    const result = await manager.listPaths();
+
+    expect(result.active_path).toBe('general');
+    expect(result.paths.map(entry => [entry.path_name, entry.active, entry.progress])).toEqual([
+      ['general', true, 50],
+      ['jazz', false, 0],
+    ]);
+    expect(result.rollup).toMatchObject({ average_progress: 25, leading_path: 'general', trailing_path: 'jazz' });
+    expect(result.content[0].text).toContain('**jazz** - 0/4 tasks (0%), behind');
+  });
+});
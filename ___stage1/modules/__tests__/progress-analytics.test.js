@@ -0,0 +1,68 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { ProgressAnalytics } from '../progress-analytics.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [{ name: 'Foundations' }, { name: 'Songs' }],
+  frontierNodes: [
+    { id: 'p1', title: 'Practice open chords', branch: 'Foundations' },
+    { id: 'p2', title: 'Practice barre chords', branch: 'Foundations' },
+    { id: 's1', title: 'Learn a first song', branch: 'Songs' },
+  ],
+});
+
+describe('ProgressAnalytics', () => {
+  let tempDir;
+  let dataPersistence;
+  let projectManagement;
+  let progressAnalytics;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-analytics-'));
+    dataPersistence = new DataPersistence(tempDir);
+    projectManagement = new ProjectManagement(dataPersistence);
+    progressAnalytics = new ProgressAnalytics(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+    await dataPersistence.savePathData('guitar', 'general', 'completion-log.json', {
+      completions: [
+        { task_id: 'p1', completed_at: '2026-04-13T10:00:00.000Z', actual_minutes: 30, energy_level: 3, difficulty_rating: 3 },
+        { task_id: 'p2', completed_at: '2026-04-14T10:00:00.000Z', tracked_minutes: 50, energy_level: 4, difficulty_rating: 4, breakthrough: true },
+      ],
+    });
+    await dataPersistence.savePathData('guitar', 'general', 'learning-history.json', { completedTopics: [{ id: 'p1' }, { id: 'p2' }], totalHours: 1.3 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('returns structured analytics and a markdown report for the active path', async () => {
+    const result = await progressAnalytics.getProgressAnalytics({ as_of: '2026-04-15T12:00:00.000Z', days: 7 });
+
+    expect(result).toMatchObject({ success: true, project_id: 'guitar', path_name: 'general' });
+    expect(result.analytics.totals).toMatchObject({ completions: 2, minutes: 80, all_time_hours: 1.3, topics_completed: 2 });
+    expect(result.analytics.streaks).toMatchObject({ current_days: 2, longest_days: 2 });
+    expect(result.analytics.branches[0]).toMatchObject({ branch: 'Foundations', minutes: 80, coverage: 1 });
+    expect(result.analytics.breakthroughs).toMatchObject({ count: 1, rate: 0.5 });
+
+    const text = result.content[0].text;
+    expect(text).toContain('# Progress Analytics');
+    expect(text).toContain('**Goal**: Learn guitar');
+    expect(text).toContain('| Songs | 0 | 0 | 0% | 0/1 (0%) |');
+  });
+
+  test('validates the window and handles a path with no history', async () => {
+    expect((await progressAnalytics.getProgressAnalytics({ days: 0 })).error).toMatch(/days must be from 1 to 365/);
+    expect((await progressAnalytics.getProgressAnalytics({ as_of: 'someday' })).error).toMatch(/Invalid as_of/);
+
+    const empty = await progressAnalytics.getProgressAnalytics({ path_name: 'theory' });
+    expect(empty.success).toBe(true);
+    expect(empty.analytics.totals.completions).toBe(0);
+    expect(empty.content[0].text).toContain('No difficulty ratings in this window.');
+  });
+});
@@ -0,0 +1,245 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectBundle, BUNDLE_SCHEMA_VERSION } from '../project-bundle.js';
+
+describe('ProjectBundle', () => {
+  let tempDir;
+  let dataPersistence;
+  let projectManagement;
+  let dialoguePersistence;
+  let vectors;
+  let bundleTool;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-bundle-'));
+    dataPersistence = new DataPersistence(path.join(tempDir, 'data'));
+    projectManagement = {
+      getActiveProject: jest.fn(async () => ({ project_id: 'source' })),
+      switchProject: jest.fn(async () => ({ success: true })),
+    };
+
+    const sessions = [];
+    dialoguePersistence = {
+      getDialoguesByProject: jest.fn(async projectId => sessions.filter(session => session.projectId === projectId)),
+      saveDialogueSession: jest.fn(async session => {
+        sessions.push(session);
+        return true;
+      }),
+    };
+    sessions.push({ id: 'dlg_1', projectId: 'source', originalGoal: 'Learn piano', responses: ['jazz'] });
+
+    vectors = new Map([
+      ['source:goal', { vector: [0.1, 0.2], metadata: { type: 'goal', project_id: 'source' } }],
+      ['source:task:t1', { vector: [0.3, 0.4], metadata: { type: 'task', project_id: 'source' } }],
+      ['other:goal', { vector: [0.5, 0.6], metadata: { type: 'goal' } }],
+    ]);
+    const provider = {
+      listVectors: jest.fn(async prefix => [...vectors.entries()]
+        .filter(([id]) => id.startsWith(prefix))
+        .map(([id, value]) => ({ id, ...value }))),
+      upsertVector: jest.fn(async (id, vector, metadata) => vectors.set(id, { vector, metadata })),
+      deleteNamespace: jest.fn(async prefix => {
+        for (const id of [...vectors.keys()]) {
+          if (id.startsWith(prefix)) vectors.delete(id);
+        }
+      }),
+      flush: jest.fn(async () => {}),
+    };
+
+    bundleTool = new ProjectBundle(dataPersistence, projectManagement, dialoguePersistence);
+    bundleTool.vectorStore = { provider };
+
+    await dataPersistence.saveProjectData('source', 'config.json', { id: 'source', goal: 'Learn piano', activePath: 'general' });
+    await dataPersistence.saveProjectData('source', 'learning-history.json', { completedTopics: ['scales'] });
+    await dataPersistence.savePathData('source', 'general', 'hta.json', { goal: 'Learn piano', frontierNodes: [{ id: 't1', title: 'Scales' }] });
+    await dataPersistence.savePathData('source', 'general', 'completion-log.json', { completions: [{ task_id: 't1' }] });
+    await dataPersistence.savePathData('source', 'jazz', 'hta.json', { goal: 'Jazz piano', frontierNodes: [] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('exports every project and path file, dialogues and project vectors', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+
+    const result = await bundleTool.exportProject({ output_path: outputPath, include_vectors: true });
+    const bundle = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+
+    expect(result.success).toBe(true);
+    expect(bundle.schema_version).toBe(BUNDLE_SCHEMA_VERSION);
+    expect(Object.keys(bundle.project.files).sort()).toEqual(['config.json', 'learning-history.json']);
+    expect(Object.keys(bundle.paths).sort()).toEqual(['general', 'jazz']);
+    expect(bundle.paths.general['completion-log.json'].completions).toHaveLength(1);
+    expect(bundle.dialogues.map(session => session.id)).toEqual(['dlg_1']);
+    expect(bundle.vectors.items.map(item => item.key).sort()).toEqual(['goal', 'task:t1']);
+  });
+
+  test('leaves vectors out unless requested', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+
+    await bundleTool.exportProject({ output_path: outputPath });
+    const bundle = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+
+    expect(bundle.vectors).toBeNull();
+  });
+
+  test('round-trips a gzipped bundle under a new project ID', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json.gz');
+    await bundleTool.exportProject({ output_path: outputPath, include_vectors: true });
+
+    const result = await bundleTool.importProject({ bundle_path: outputPath, project_id: 'copy' });
+
+    expect(result.success).toBe(true);
+    expect(result.migrations_applied).toEqual([]);
+    expect((await dataPersistence.loadProjectData('copy', 'config.json')).id).toBe('copy');
+    expect((await dataPersistence.loadPathData('copy', 'jazz', 'hta.json')).goal).toBe('Jazz piano');
+    expect(dialoguePersistence.saveDialogueSession).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'dlg_1_copy', projectId: 'copy' })
+    );
+    expect(vectors.get('copy:task:t1').metadata.project_id).toBe('copy');
+    expect(projectManagement.switchProject).toHaveBeenCalledWith('copy');
+    const globalConfig = await dataPersistence.loadGlobalData('config.json');
+    expect(globalConfig.projects.map(project => project.id)).toContain('copy');
+  });
+
+  test('refuses to overwrite an existing project unless asked', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+    await bundleTool.exportProject({ output_path: outputPath });
+
+    const result = await bundleTool.importProject({ bundle_path: outputPath });
+
+    expect(result.content[0].text).toContain('already exists');
+  });
+
+  test('replaces an existing project on overwrite, dropping files and vectors the bundle lacks', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+    await bundleTool.exportProject({ output_path: outputPath, include_vectors: true });
+    await dataPersistence.saveProjectData('source', 'config.json', { id: 'source', goal: 'Learn jazz piano', activePath: 'general' });
+    await dataPersistence.savePathData('source', 'classical', 'hta.json', { goal: 'Classical piano', frontierNodes: [] });
+    vectors.set('source:task:stale', { vector: [0.9, 0.9], metadata: { type: 'task', project_id: 'source' } });
+
+    const result = await bundleTool.importProject({ bundle_path: outputPath, overwrite: true });
+
+    expect(result.success).toBe(true);
+    expect((await dataPersistence.loadProjectData('source', 'config.json')).goal).toBe('Learn piano');
+    expect((await dataPersistence.listPathNames('source')).sort()).toEqual(['general', 'jazz']);
+    expect([...vectors.keys()].filter(id => id.startsWith('source:')).sort()).toEqual(['source:goal', 'source:task:t1']);
+    expect(vectors.has('other:goal')).toBe(true);
+  });
+
+  test('keeps the existing project, its dialogues and vectors when the import cannot commit', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+    await bundleTool.exportProject({ output_path: outputPath, include_vectors: true });
+    await dataPersistence.saveProjectData('source', 'config.json', { id: 'source', goal: 'Learn jazz piano', activePath: 'general' });
+    await dataPersistence.savePathData('source', 'classical', 'hta.json', { goal: 'Classical piano', frontierNodes: [] });
+    const storage = await dataPersistence.getStorage();
+    storage.commitTransaction = jest.fn(async transactionId => {
+      await storage.rollbackTransaction(transactionId);
+      throw new Error('disk full');
+    });
+
+    const result = await bundleTool.importProject({ bundle_path: outputPath, overwrite: true });
+
+    expect(result.content[0].text).toContain('disk full');
+    await dataPersistence.clearCache();
+    expect((await dataPersistence.loadProjectData('source', 'config.json')).goal).toBe('Learn jazz piano');
+    expect((await dataPersistence.loadPathData('source', 'classical', 'hta.json')).goal).toBe('Classical piano');
+    expect(dialoguePersistence.saveDialogueSession).not.toHaveBeenCalled();
+    expect(bundleTool.vectorStore.provider.deleteNamespace).not.toHaveBeenCalled();
+    expect(bundleTool.vectorStore.provider.upsertVector).not.toHaveBeenCalled();
+  });
+
+  test('reports vector failures after the commit as warnings', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+    await bundleTool.exportProject({ output_path: outputPath, include_vectors: true });
+    bundleTool.vectorStore.provider.upsertVector.mockRejectedValueOnce(new Error('vector store offline'));
+
+    const result = await bundleTool.importProject({ bundle_path: outputPath, project_id: 'copy' });
+
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual([expect.stringContaining('vector store offline')]);
+    expect((await dataPersistence.loadProjectData('copy', 'config.json')).id).toBe('copy');
+  });
+
+  test('rejects a malformed vector section before writing anything', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+    await bundleTool.exportProject({ output_path: outputPath, include_vectors: true });
+    const bundle = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    bundle.vectors.items[1].vector = 'not a vector';
+    delete bundle.checksum;
+    await fs.writeFile(outputPath, JSON.stringify(bundle));
+
+    const result = await bundleTool.importProject({ bundle_path: outputPath, project_id: 'copy' });
+
+    expect(result.content[0].text).toContain('Bundle vector 1 is malformed');
+    expect(await dataPersistence.projectExists('copy')).toBe(false);
+  });
+
+  test('rejects bundles whose path or file names escape the data directory', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+    await bundleTool.exportProject({ output_path: outputPath });
+    const bundle = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    delete bundle.checksum;
+
+    const hostile = [
+      { paths: { ...bundle.paths, '../../..': { 'pwned.json': { owned: true } } } },
+      { paths: { general: { '../../pwned.json': { owned: true } } } },
+      { project: { ...bundle.project, files: { ...bundle.project.files, 'notes.txt': {} } } },
+    ];
+    for (const [index, overrides] of hostile.entries()) {
+      const hostilePath = path.join(tempDir, `hostile-${index}.forest.json`);
+      await fs.writeFile(hostilePath, JSON.stringify({ ...bundle, ...overrides }));
+
+      const result = await bundleTool.importProject({ bundle_path: hostilePath, project_id: `copy_${index}` });
+
+      expect(result.content[0].text).toContain('is not allowed');
+      expect(await dataPersistence.projectExists(`copy_${index}`)).toBe(false);
+    }
+    await expect(fs.access(path.join(tempDir, 'pwned.json'))).rejects.toThrow();
+    await expect(fs.access(path.join(tempDir, 'data', 'pwned.json'))).rejects.toThrow();
+  });
+
+  test('migrates unversioned bundles', async () => {
+    const legacyPath = path.join(tempDir, 'legacy.forest.json.gz');
+    const legacy = {
+      format: 'forest-project-bundle',
+      project: {
+        id: 'legacy',
+        files: {
+          'config.json': { id: 'legacy', goal: 'Learn Go' },
+          'hta.json': { goal: 'Learn Go', frontierNodes: [{ id: 'g1', title: 'Tour of Go' }] },
+          'completion-log.json': [{ task_id: 'g1' }],
+        },
+      },
+    };
+    await fs.writeFile(legacyPath, zlib.gzipSync(JSON.stringify(legacy)));
+
+    const result = await bundleTool.importProject({ bundle_path: legacyPath, activate: false });
+
+    expect(result.migrations_applied).toEqual([{ from: 1, to: 2 }]);
+    expect((await dataPersistence.loadPathData('legacy', 'general', 'hta.json')).frontierNodes[0].id).toBe('g1');
+    expect((await dataPersistence.loadProjectData('legacy', 'completion-log.json')).completions).toHaveLength(1);
+    expect((await dataPersistence.loadProjectData('legacy', 'config.json')).activePath).toBe('general');
+    expect(projectManagement.switchProject).not.toHaveBeenCalled();
+  });
+
+  test('rejects bundles from a newer schema and tampered bundles', async () => {
+    const outputPath = path.join(tempDir, 'piano.forest.json');
+    await bundleTool.exportProject({ output_path: outputPath });
+    const bundle = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+
+    await fs.writeFile(outputPath, JSON.stringify({ ...bundle, schema_version: BUNDLE_SCHEMA_VERSION + 1 }));
+    const newer = await bundleTool.importProject({ bundle_path: outputPath, project_id: 'newer' });
+    expect(newer.content[0].text).toContain('newer than this Forest installation supports');
+
+    bundle.project.files['config.json'].goal = 'Something else';
+    await fs.writeFile(outputPath, JSON.stringify(bundle));
+    const tampered = await bundleTool.importProject({ bundle_path: outputPath, project_id: 'tampered' });
+    expect(tampered.content[0].text).toContain('checksum mismatch');
+  });
+});
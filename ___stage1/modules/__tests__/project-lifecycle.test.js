@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { ProjectLifecycle, resetHTAProgress } from '../project-lifecycle.js';
+
+const tree = goal => ({
+  goal,
+  strategicBranches: [{ name: 'Foundations', progress: 50 }],
+  frontierNodes: [
+    { id: 't1', title: 'Set up a dev environment', completed: true, completed_at: '2026-03-01T10:00:00.000Z', status: 'completed' },
+    { id: 't2', title: 'Read the service architecture doc', completed: false },
+  ],
+});
+
+describe('resetHTAProgress', () => {
+  test('returns a copy with every task and branch back to the start', () => {
+    const original = tree('Onboard to the backend team');
+
+    const reset = resetHTAProgress(original);
+
+    expect(reset.frontierNodes[0]).toEqual({ id: 't1', title: 'Set up a dev environment', completed: false, status: 'pending' });
+    expect(reset.strategicBranches[0].progress).toBe(0);
+    expect(original.frontierNodes[0].completed).toBe(true);
+  });
+
+  test('clears started tasks and subtasks, not only completed ones', () => {
+    const original = {
+      frontierNodes: [
+        {
+          id: 't1',
+          title: 'Write the first endpoint',
+          completed: false,
+          status: 'in_progress',
+          percent_complete: 60,
+          subtasks: [{ id: 't1a', title: 'Add the route', completed: true, completedAt: '2026-03-02T10:00:00.000Z', status: 'completed' }],
+        },
+      ],
+    };
+
+    const [task] = resetHTAProgress(original).frontierNodes;
+
+    expect(task).toEqual({
+      id: 't1',
+      title: 'Write the first endpoint',
+      completed: false,
+      status: 'pending',
+      subtasks: [{ id: 't1a', title: 'Add the route', completed: false, status: 'pending' }],
+    });
+  });
+});
+
+describe('ProjectLifecycle', () => {
+  let tempDir;
+  let dataPersistence;
+  let projectManagement;
+  let lifecycle;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-lifecycle-'));
+    dataPersistence = new DataPersistence(tempDir);
+    projectManagement = new ProjectManagement(dataPersistence);
+    lifecycle = new ProjectLifecycle(dataPersistence, projectManagement);
+
+    await projectManagement.createProject({ goal: 'Onboard to the backend team', project_id: 'backend', context: 'New hire' });
+    const started = tree('Onboard to the backend team');
+    Object.assign(started.frontierNodes[1], {
+      status: 'in_progress',
+      percent_complete: 60,
+      skip_counts: { not_relevant: 2 },
+      last_skip_reason: 'not_relevant',
+      last_skipped_at: '2026-03-03T10:00:00.000Z',
+      snoozed_until: '2099-01-01T00:00:00.000Z',
+    });
+    await dataPersistence.savePathData('backend', 'general', 'hta.json', started);
+    await dataPersistence.savePathData('backend', 'general', 'skip-log.json', { skips: [{ task_id: 't2', reason: 'not_relevant' }] });
+    await dataPersistence.savePathData('backend', 'general', 'completion-log.json', { completions: [{ task_id: 't1' }] });
+    await projectManagement.updateProjectProgress('backend', 50);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('archives a project without deleting it and restores it', async () => {
+    const archived = await lifecycle.archiveProject({ project_id: 'backend' });
+
+    expect(archived).toMatchObject({ success: true, archived: true, was_active: true });
+    expect((await projectManagement.listProjects()).projects).toEqual([]);
+    expect((await projectManagement.listProjects({ include_archived: true })).projects[0]).toMatchObject({ id: 'backend', archived: true });
+    expect((await dataPersistence.loadGlobalData('config.json')).activeProject).toBeNull();
+    expect((await projectManagement.switchProject('backend')).error).toContain('archived');
+    expect(await dataPersistence.loadPathData('backend', 'general', 'hta.json')).not.toBeNull();
+
+    expect((await lifecycle.archiveProject({ project_id: 'backend' })).error).toContain('already archived');
+    expect((await lifecycle.archiveProject({ project_id: 'backend', unarchive: true })).archived).toBe(false);
+    expect((await projectManagement.switchProject('backend')).project_id).toBe('backend');
+  });
+
+  test('clones a project with its tree and reset progress', async () => {
+    lifecycle.vectorStore = { storeHTATree: jest.fn(async () => true) };
+
+    const result = await lifecycle.cloneProject({ source_project_id: 'backend', project_id: 'backend_copy' });
+
+    expect(result).toMatchObject({ success: true, project_id: 'backend_copy', active: true, task_count: 2, vectors_stored: true });
+    const config = await dataPersistence.loadProjectData('backend_copy', 'config.json');
+    expect(config).toMatchObject({ id: 'backend_copy', goal: 'Onboard to the backend team', progress: 0, cloned_from: { project_id: 'backend' } });
+    const hta = await dataPersistence.loadPathData('backend_copy', 'general', 'hta.json');
+    expect(hta.frontierNodes.every(task => task.completed === false)).toBe(true);
+    expect(hta.frontierNodes[1].status).toBe('pending');
+    for (const field of ['percent_complete', 'skip_counts', 'last_skip_reason', 'last_skipped_at', 'snoozed_until']) {
+      expect(hta.frontierNodes[1]).not.toHaveProperty(field);
+    }
+    expect(await dataPersistence.loadPathData('backend_copy', 'general', 'completion-log.json')).toBeNull();
+    expect(await dataPersistence.loadPathData('backend_copy', 'general', 'skip-log.json')).toBeNull();
+    expect((await dataPersistence.loadProjectData('backend_copy', 'learning-history.json')).completedTopics).toEqual([]);
+    expect((await dataPersistence.loadGlobalData('config.json')).activeProject).toBe('backend_copy');
+    // The source is untouched
+    expect((await dataPersistence.loadPathData('backend', 'general', 'hta.json')).frontierNodes[0].completed).toBe(true);
+  });
+
+  test('refuses to clone onto an existing project', async () => {
+    const result = await lifecycle.cloneProject({ source_project_id: 'backend', project_id: 'backend' });
+
+    expect(result.error).toContain('already exists');
+  });
+
+  test('saves a template and instantiates it with a new goal', async () => {
+    const saved = await lifecycle.saveTemplate({ template_name: 'backend-onboarding', project_id: 'backend' });
+    expect(saved).toMatchObject({ success: true, paths: ['general'], task_count: 2 });
+    expect((await lifecycle.saveTemplate({ template_name: 'backend-onboarding', project_id: 'backend' })).error).toContain('overwrite');
+
+    const created = await lifecycle.createFromTemplate({
+      template_name: 'backend-onboarding',
+      goal: 'Onboard Alex to the backend team',
+      project_id: 'alex_onboarding',
+      activate: false,
+    });
+
+    expect(created).toMatchObject({ success: true, project_id: 'alex_onboarding', active: false });
+    const config = await dataPersistence.loadProjectData('alex_onboarding', 'config.json');
+    expect(config).toMatchObject({
+      goal: 'Onboard Alex to the backend team',
+      context: 'New hire',
+      progress: 0,
+      created_from_template: { template_name: 'backend-onboarding' },
+    });
+    const hta = await dataPersistence.loadPathData('alex_onboarding', 'general', 'hta.json');
+    expect(hta.goal).toBe('Onboard Alex to the backend team');
+    expect(hta.frontierNodes.map(task => task.completed)).toEqual([false, false]);
+    expect(hta.frontierNodes[1]).not.toHaveProperty('snoozed_until');
+    expect(hta.frontierNodes[1]).not.toHaveProperty('skip_counts');
+    expect(await dataPersistence.loadPathData('alex_onboarding', 'general', 'skip-log.json')).toBeNull();
+    expect((await dataPersistence.loadGlobalData('config.json')).activeProject).toBe('backend');
+  });
+
+  test('lists available templates when the name is unknown', async () => {
+    await lifecycle.saveTemplate({ template_name: 'backend-onboarding', project_id: 'backend' });
+
+    const result = await lifecycle.createFromTemplate({ template_name: 'frontend', goal: 'Onboard Sam' });
+
+    expect(result.error).toContain('Available templates: backend-onboarding');
+  });
+});
@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { ReviewScheduler } from '../review-scheduler.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [{ name: 'Foundations' }],
+  frontierNodes: [
+    { id: 'p1', title: 'Practice open chords', branch: 'Foundations', priority: 100 },
+    { id: 'p2', title: 'Practice barre chords', branch: 'Foundations', priority: 110 },
+  ],
+});
+
+describe('ReviewScheduler', () => {
+  const completedAt = '2026-04-01T09:00:00.000Z';
+  const nextDay = '2026-04-02T12:00:00.000Z';
+  let tempDir;
+  let dataPersistence;
+  let scheduler;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-reviews-'));
+    dataPersistence = new DataPersistence(tempDir);
+    const projectManagement = new ProjectManagement(dataPersistence);
+    scheduler = new ReviewScheduler(dataPersistence);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const schedule = (taskId, completion) =>
+    scheduler.scheduleFromCompletion({ projectId: 'guitar', pathName: 'general', taskId, completion, now: completedAt });
+
+  test('schedules a review only for completions with learning notes', async () => {
+    const item = await schedule('p1', { learned: 'C, G and D shapes', difficulty_rating: 2 });
+
+    expect(item).toMatchObject({ id: 'p1', title: 'Practice open chords', prompt: 'C, G and D shapes', due_at: '2026-04-02T09:00:00.000Z' });
+    expect(await schedule('p2', { outcome: 'done' })).toBeNull();
+    expect(await schedule('missing', { learned: 'x' })).toBeNull();
+    expect(await schedule('p1', { learned: 'again' })).toBeNull();
+    expect(await scheduler.loadItems('guitar')).toHaveLength(1);
+  });
+
+  test('due reviews lead unless the last completion was a review', async () => {
+    await schedule('p1', { learned: 'C, G and D shapes' });
+
+    expect((await scheduler.getDueReviewTasks('guitar', 'general', completedAt)).tasks).toEqual([]);
+
+    const due = await scheduler.getDueReviewTasks('guitar', 'general', nextDay);
+    expect(due.leadWithReview).toBe(true);
+    expect(due.tasks[0]).toMatchObject({ id: 'review:p1', is_review: true, title: 'Review: Practice open chords' });
+
+    await dataPersistence.savePathData('guitar', 'general', 'completion-log.json', {
+      completions: [{ task_id: 'review:p2', review: true, completed_at: completedAt }],
+    });
+    expect((await scheduler.getDueReviewTasks('guitar', 'general', nextDay)).leadWithReview).toBe(false);
+
+    // Reviews belong to the path the task was completed on
+    expect((await scheduler.getDueReviewTasks('guitar', 'theory', nextDay)).tasks).toEqual([]);
+  });
+
+  test('completing a review reschedules it and tracks retention', async () => {
+    await schedule('p1', { learned: 'C, G and D shapes' });
+
+    const recalled = await scheduler.completeReview({ projectId: 'guitar', blockId: 'review:p1', completion: { difficulty_rating: 2 }, now: nextDay });
+    expect(recalled.quality).toBe(4);
+    expect(recalled.item).toMatchObject({ repetitions: 1, interval_days: 1, due_at: '2026-04-03T12:00:00.000Z' });
+
+    const lapsed = await scheduler.completeReview({
+      projectId: 'guitar',
+      blockId: 'review:p1',
+      completion: { outcome: 'Forgot the D shape' },
+      now: '2026-04-03T12:00:00.000Z',
+    });
+    expect(lapsed.item.repetitions).toBe(0);
+    expect(lapsed.retention).toMatchObject({ reviews: 2, passed: 1, retention_rate: 0.5 });
+    expect(scheduler.formatReviewCompletion(lapsed)).toContain('lapse, starting over');
+
+    const [stored] = await scheduler.loadItems('guitar');
+    expect(stored.history).toHaveLength(2);
+    await expect(scheduler.completeReview({ projectId: 'guitar', blockId: 'review:p2', completion: {} }))
+      .rejects.toThrow('No review scheduled for "p2"');
+  });
+});
@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { SelectionPolicyManager } from '../selection-policy-manager.js';
+import { NextPipelinePresenter } from '../next-pipeline-presenter.js';
+import { TaskSelector } from '../../../modules/task-logic/task-selector.js';
+import { resolveSelectionPolicy, buildSelectionHistory } from '../../../utils/selection-policy.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  frontierNodes: [
+    { id: 'f1', title: 'Tune the guitar', branch: 'Foundations', difficulty: 2, priority: 200, completed: true, completed_at: '2026-03-01T10:00:00.000Z' },
+    { id: 'f2', title: 'Open chords', branch: 'Foundations', difficulty: 3, priority: 200, duration: '30 minutes' },
+    { id: 's1', title: 'Strumming patterns', branch: 'Rhythm', difficulty: 2, priority: 200, duration: '30 minutes' },
+  ],
+});
+
+describe('SelectionPolicyManager', () => {
+  let tempDir;
+  let dataPersistence;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-policy-'));
+    dataPersistence = new DataPersistence(tempDir);
+    const projectManagement = new ProjectManagement(dataPersistence);
+    manager = new SelectionPolicyManager(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const loadConfig = () => dataPersistence.loadProjectData('guitar', 'config.json');
+
+  test('shows the balanced policy until one is set', async () => {
+    const result = await manager.setSelectionPolicy({});
+
+    expect(result.success).toBe(true);
+    expect(result.selection_policy.preset).toBe('balanced');
+    expect((await loadConfig()).selection_policy).toBeUndefined();
+  });
+
+  test('stores presets and weight overrides in the project config', async () => {
+    await manager.setSelectionPolicy({ preset: 'Quick wins' });
+    const result = await manager.setSelectionPolicy({ weights: { goal_alignment: 2 } });
+
+    expect(result.selection_policy).toMatchObject({
+      preset: 'quick-wins',
+      weights: { time_fit: 2, goal_alignment: 2 },
+      overrides: { goal_alignment: 2 },
+    });
+    expect((await loadConfig()).selection_policy).toMatchObject({ preset: 'quick-wins', weights: { goal_alignment: 2 } });
+
+    // A new preset starts without the old overrides, reset goes back to balanced
+    expect((await manager.setSelectionPolicy({ preset: 'depth-first' })).selection_policy.overrides).toEqual({});
+    expect((await manager.setSelectionPolicy({ reset: true })).selection_policy.preset).toBe('balanced');
+  });
+
+  test('rejects unknown presets and out-of-range weights without saving', async () => {
+    const result = await manager.setSelectionPolicy({ preset: 'random', weights: { time_fit: 9, speed: 1 } });
+
+    expect(result.success).toBeUndefined();
+    expect(result.error).toMatch(/Unknown preset "random"/);
+    expect(result.error).toMatch(/Weight "time_fit" must be a number from 0 to 3/);
+    expect(result.error).toMatch(/Unknown weight "speed"/);
+    expect((await loadConfig()).selection_policy).toBeUndefined();
+  });
+
+  test('the stored policy steers the scorer and the pipeline the same way', async () => {
+    const pick = async preset => {
+      await manager.setSelectionPolicy({ preset });
+      const config = await loadConfig();
+      return TaskSelector.selectOptimalTask(tree(), 3, '45 minutes', '', config, config).id;
+    };
+
+    // Staying in Foundations means the next chord step; breadth moves to the untouched branch
+    expect(await pick('depth-first')).toBe('f2');
+    expect(await pick('breadth-first')).toBe('s1');
+
+    const presenter = new NextPipelinePresenter(dataPersistence, null, {}, null);
+    const pipelineScore = (preset, taskIndex) => presenter.calculatePipelineScore(tree().frontierNodes[taskIndex], 3, 45, null, {
+      policy: resolveSelectionPolicy({ preset }),
+      history: buildSelectionHistory(tree().frontierNodes),
+      projectConfig: { goal: 'Learn guitar' },
+    });
+    expect(pipelineScore('depth-first', 1)).toBeGreaterThan(pipelineScore('depth-first', 2));
+    expect(pipelineScore('breadth-first', 2)).toBeGreaterThan(pipelineScore('breadth-first', 1));
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { SnapshotManager } from '../snapshot-manager.js';
+
+describe('Snapshots', () => {
+  let tempDir;
+  let dataPersistence;
+  let manager;
+
+  const tree = titles => ({
+    goal: 'Learn piano',
+    frontierNodes: titles.map((title, index) => ({ id: `t${index + 1}`, title })),
+    strategicBranches: [{ name: 'Foundations' }],
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-snapshots-'));
+    dataPersistence = new DataPersistence(tempDir);
+    manager = new SnapshotManager(dataPersistence, {
+      getActiveProject: jest.fn(async () => ({ project_id: 'piano' })),
+    });
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn piano', activePath: 'general' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('snapshots the previous hta.json before each change', async () => {
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales']));
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales', 'Chords']));
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales', 'Chords', 'Songs']));
+
+    const snapshots = await dataPersistence.snapshotStore.list('piano', { fileName: 'hta.json' });
+
+    expect(snapshots).toHaveLength(2);
+    expect(snapshots[0]).toMatchObject({ path_name: 'general', summary: { tasks: 2 } });
+    expect(snapshots[1].summary.tasks).toBe(1);
+  });
+
+  test('skips snapshots when only timestamps change', async () => {
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales']));
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales']));
+
+    expect(await dataPersistence.snapshotStore.list('piano', { fileName: 'hta.json' })).toHaveLength(0);
+  });
+
+  test('does not snapshot untracked files', async () => {
+    await dataPersistence.saveProjectData('piano', 'learning-history.json', { a: 1 });
+    await dataPersistence.saveProjectData('piano', 'learning-history.json', { a: 2 });
+
+    expect(await dataPersistence.snapshotStore.list('piano')).toHaveLength(0);
+  });
+
+  test('previews a diff and restores only when confirmed', async () => {
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Scales', 'Chords']));
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(['Improvise']));
+    const [snapshot] = await dataPersistence.snapshotStore.list('piano', { fileName: 'hta.json' });
+
+    const preview = await manager.restoreSnapshot({ snapshot_id: snapshot.id });
+
+    expect(preview.preview).toBe(true);
+    expect(preview.diff.tasks_added.map(task => task.id)).toEqual(['t2']);
+    expect(preview.diff.tasks_changed.map(task => task.id)).toEqual(['t1']);
+    expect(preview.content[0].text).toContain('Restore Preview');
+    expect((await dataPersistence.loadPathData('piano', 'general', 'hta.json')).frontierNodes).toHaveLength(1);
+
+    const restored = await manager.restoreSnapshot({ snapshot_id: snapshot.id, confirm: true });
+
+    expect(restored.restored).toBe(true);
+    const current = await dataPersistence.loadPathData('piano', 'general', 'hta.json');
+    expect(current.frontierNodes.map(task => task.title)).toEqual(['Scales', 'Chords']);
+    // The overwritten version is itself snapshotted, so the restore can be undone
+    const latest = (await dataPersistence.snapshotStore.list('piano', { fileName: 'hta.json' }))[0];
+    expect(latest.summary.tasks).toBe(1);
+  });
+
+  test('applies per-project retention', async () => {
+    const configured = await manager.configureSnapshots({ max_snapshots: 2 });
+    expect(configured.retention.max_snapshots).toBe(2);
+
+    for (let count = 1; count <= 5; count++) {
+      await dataPersistence.savePathData('piano', 'general', 'hta.json', tree(Array.from({ length: count }, (_, i) => `Task ${i}`)));
+    }
+
+    const snapshots = await dataPersistence.snapshotStore.list('piano', { fileName: 'hta.json' });
+    expect(snapshots.map(snapshot => snapshot.summary.tasks)).toEqual([4, 3]);
+    const files = await fs.readdir(path.join(tempDir, 'piano', '.snapshots'));
+    expect(files.filter(file => file.startsWith('snap_'))).toHaveLength(
+      (await dataPersistence.snapshotStore.list('piano')).length
+    );
+  });
+
+  test('lists snapshots through the tool', async () => {
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn jazz piano', activePath: 'general' });
+
+    const result = await manager.listSnapshots({});
+
+    expect(result.total).toBe(1);
+    expect(result.content[0].text).toContain('goal "Learn piano"');
+  });
+
+  test('reports unknown snapshots', async () => {
+    const result = await manager.restoreSnapshot({ snapshot_id: 'snap_missing' });
+
+    expect(result.content[0].text).toContain('not found');
+  });
+});
@@ -0,0 +1,62 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { HTAEditor } from '../hta-editor.js';
+import { TaskDependencyManager } from '../task-dependencies.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [{ name: 'Foundations', priority: 1 }],
+  frontierNodes: [
+    { id: 'f1', title: 'Guitar basics', branch: 'Foundations', priority: 100, prerequisites: [] },
+    { id: 'f2', title: 'Open chords', branch: 'Foundations', priority: 110, prerequisites: [] },
+    { id: 'f3', title: 'Advanced strumming', branch: 'Foundations', priority: 120, prerequisites: [] },
+  ],
+});
+
+describe('TaskDependencyManager', () => {
+  let tempDir;
+  let dataPersistence;
+  let manager;
+
+  const loadTree = () => dataPersistence.loadPathData('guitar', 'general', 'hta.json');
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-dependencies-'));
+    dataPersistence = new DataPersistence(tempDir);
+    const projectManagement = new ProjectManagement(dataPersistence);
+    manager = new TaskDependencyManager(dataPersistence, projectManagement, new HTAEditor(dataPersistence, projectManagement));
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('sets and adjusts explicit prerequisites and rejects cycles', async () => {
+    const set = await manager.setTaskDependencies({ node_id: 'f3', depends_on: ['f1'] });
+    expect(set).toMatchObject({ success: true, blocked: true });
+    expect(set.content[0].text).toContain('Blocked until "Guitar basics" is done');
+
+    await manager.setTaskDependencies({ node_id: 'f3', add: ['f2'], remove: ['f1'] });
+    expect((await loadTree()).frontierNodes[2].prerequisites).toEqual(['f2']);
+
+    const cycle = await manager.setTaskDependencies({ node_id: 'f2', depends_on: ['f3'] });
+    expect(cycle.error).toContain('Prerequisite cycle');
+    expect((await loadTree()).frontierNodes[1].prerequisites).toEqual([]);
+  });
+
+  test('previews inferred prerequisites and applies them on request', async () => {
+    const preview = await manager.inferDependencies();
+    expect(preview).toMatchObject({ success: true, applied: 0, blocked_count: 0 });
+    expect(preview.suggestions.map(entry => [entry.task_id, entry.depends_on])).toEqual([['f3', 'f1']]);
+    expect((await loadTree()).frontierNodes[2].prerequisites).toEqual([]);
+
+    const applied = await manager.inferDependencies({ apply: true });
+    expect(applied).toMatchObject({ success: true, applied: 1 });
+    expect((await loadTree()).frontierNodes[2].prerequisites).toEqual(['f1']);
+  });
+});
@@ -0,0 +1,118 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { TaskSessionTracker } from '../task-session-tracker.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  frontierNodes: [
+    { id: 'p1', title: 'Practice open chords', branch: 'Foundations', priority: 100 },
+    { id: 'p2', title: 'Practice barre chords', branch: 'Foundations', priority: 110 },
+  ],
+});
+
+describe('TaskSessionTracker', () => {
+  let tempDir;
+  let dataPersistence;
+  let projectManagement;
+  let tracker;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-sessions-'));
+    dataPersistence = new DataPersistence(tempDir);
+    projectManagement = new ProjectManagement(dataPersistence);
+    tracker = new TaskSessionTracker(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const node = async id => (await dataPersistence.loadPathData('guitar', 'general', 'hta.json')).frontierNodes.find(task => task.id === id);
+
+  // Shift every stored timestamp back, as if the minutes had passed
+  const rewind = async minutes => {
+    const shift = value => (value ? new Date(Date.parse(value) - minutes * 60 * 1000).toISOString() : value);
+    const data = await dataPersistence.loadProjectData('guitar', 'task-sessions.json');
+    const sessions = data.sessions.map(session => ({
+      ...session,
+      started_at: shift(session.started_at),
+      updated_at: shift(session.updated_at),
+      intervals: session.intervals.map(interval => ({ start: shift(interval.start), end: shift(interval.end) })),
+    }));
+    await dataPersistence.saveProjectData('guitar', 'task-sessions.json', { sessions });
+  };
+
+  test('starts a task, marks it in progress and pauses it with progress', async () => {
+    const started = await tracker.startTask({ task_id: 'p1' });
+    expect(started.success).toBe(true);
+    expect(started.session).toMatchObject({ task_id: 'p1', status: 'active', percent_complete: 0 });
+    expect(await node('p1')).toMatchObject({ status: 'in_progress', percent_complete: 0 });
+
+    await rewind(20);
+    const paused = await tracker.pauseTask({ percent_complete: 40, note: 'C and G done' });
+    expect(paused.session).toMatchObject({ status: 'paused', percent_complete: 40, tracked_minutes: 20, remaining_minutes: 30 });
+    expect((await node('p1')).percent_complete).toBe(40);
+
+    expect((await tracker.pauseTask({})).error).toBe('No task is running');
+  });
+
+  test('keeps one task running and resumes the last paused one', async () => {
+    await tracker.startTask({ task_id: 'p1' });
+    const second = await tracker.startTask({ task_id: 'p2' });
+    expect(second.content[0].text).toContain('Paused "Practice open chords"');
+
+    await tracker.pauseTask({});
+    const resumed = await tracker.resumeTask({});
+    expect(resumed.session).toMatchObject({ task_id: 'p2', status: 'active' });
+    expect(resumed.session.intervals).toHaveLength(2);
+
+    // A fresh tracker, as after a restart, sees the same state
+    const sessions = await new TaskSessionTracker(dataPersistence, projectManagement).getActiveSessions('guitar');
+    expect(sessions.map(session => [session.task_id, session.status])).toEqual([['p2', 'active'], ['p1', 'paused']]);
+    expect(tracker.formatStatusLines(sessions)).toContain('**▶️ Active**: Practice barre chords');
+  });
+
+  test('validates tasks and progress', async () => {
+    expect((await tracker.startTask({ task_id: 'nope' })).error).toMatch(/Task "nope" not found/);
+    expect((await tracker.resumeTask({ task_id: 'p1' })).error).toMatch(/never started/);
+    expect((await tracker.updateProgress({ percent_complete: 50 })).error).toBe('No task is running');
+
+    await tracker.startTask({ task_id: 'p1' });
+    expect((await tracker.updateProgress({ percent_complete: 120 })).error).toMatch(/from 0 to 100/);
+    const done = await tracker.updateProgress({ percent_complete: 100 });
+    expect(done.content[0].text).toContain('complete_block_forest');
+  });
+
+  test('finishing a session returns its effort and clears the in-progress state', async () => {
+    await tracker.startTask({ task_id: 'p1' });
+    await rewind(30);
+    await tracker.pauseTask({ percent_complete: 50 });
+    await tracker.startTask({ task_id: 'p1' });
+    await rewind(15);
+
+    const effort = await tracker.finishSession('guitar', 'p1');
+    expect(effort).toMatchObject({ tracked_minutes: 45, sittings: 2 });
+    expect(effort.progress).toHaveLength(1);
+    expect(await tracker.getActiveSessions('guitar')).toEqual([]);
+    const finished = await node('p1');
+    expect(finished.status).toBeUndefined();
+    expect(finished.percent_complete).toBe(100);
+
+    expect(await tracker.finishSession('guitar', 'p2')).toBeNull();
+  });
+
+  test('adds completion effort to the learning history', async () => {
+    await tracker.recordEffort('guitar', 'general', { taskId: 'p1', title: 'Practice open chords', minutes: 45, learned: 'C shape', at: '2026-04-01T10:00:00.000Z' });
+    await tracker.recordEffort('guitar', 'general', { taskId: 'review:p1', minutes: 15, review: true, at: '2026-04-02T10:00:00.000Z' });
+
+    const history = await dataPersistence.loadPathData('guitar', 'general', 'learning-history.json');
+    expect(history.totalHours).toBe(1);
+    expect(history.lastActivity).toBe('2026-04-02T10:00:00.000Z');
+    expect(history.completedTopics).toEqual([expect.objectContaining({ id: 'p1', minutes: 45, learned: 'C shape' })]);
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectManagement } from '../project-management.js';
+import { TaskSkipManager } from '../task-skip-manager.js';
+import { HTAChangeTracker } from '../hta-change-tracker.js';
+import { TaskSelector } from '../../../modules/task-logic/task-selector.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  frontierNodes: [
+    { id: 'f1', title: 'Open chords', branch: 'Foundations', difficulty: 3, priority: 300, duration: '30 minutes' },
+    { id: 't1', title: 'Modes of the major scale', branch: 'Theory', difficulty: 4, priority: 200, duration: '60 minutes' },
+    { id: 't2', title: 'Circle of fifths', branch: 'Theory', difficulty: 3, priority: 200, duration: '45 minutes' },
+    { id: 't3', title: 'Secondary dominants', branch: 'Theory', difficulty: 5, priority: 200, duration: '90 minutes' },
+  ],
+});
+
+describe('TaskSkipManager', () => {
+  let tempDir;
+  let dataPersistence;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-skips-'));
+    dataPersistence = new DataPersistence(tempDir);
+    const projectManagement = new ProjectManagement(dataPersistence);
+    manager = new TaskSkipManager(dataPersistence, projectManagement);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const loadTree = () => dataPersistence.loadPathData('guitar', 'general', 'hta.json');
+  const node = async id => (await loadTree()).frontierNodes.find(task => task.id === id);
+
+  test('records the skip on the task and in the skip log', async () => {
+    const result = await manager.skipTask({ task_id: 't1', reason: 'Too hard', note: 'no idea what a mode is' });
+
+    expect(result.success).toBe(true);
+    expect(result.skip).toMatchObject({ task_id: 't1', branch: 'Theory', reason: 'too_hard', snoozed_until: null });
+    expect(await node('t1')).toMatchObject({ skip_counts: { too_hard: 1 }, last_skip_reason: 'too_hard' });
+
+    const log = await dataPersistence.loadPathData('guitar', 'general', 'skip-log.json');
+    expect(log.skips).toHaveLength(1);
+    expect(result.content[0].text).toContain('no idea what a mode is');
+  });
+
+  test('later snoozes the task out of selection until the chosen time', async () => {
+    await manager.skipTask({ task_id: 'f1', reason: 'later' });
+    const snoozed = await node('f1');
+    expect(Date.parse(snoozed.snoozed_until)).toBeGreaterThan(Date.now());
+    expect(TaskSelector.selectOptimalTask(await loadTree(), 3, '60 minutes', '', {}).id).not.toBe('f1');
+
+    const until = '2020-01-01T00:00:00.000Z';
+    await manager.skipTask({ task_id: 'f1', reason: 'later', snooze_until: until });
+    expect((await node('f1')).snoozed_until).toBe(until);
+    expect(TaskSelector.selectOptimalTask(await loadTree(), 3, '60 minutes', '', {}).id).toBe('f1');
+  });
+
+  test('rejects unknown reasons, unknown tasks and completed tasks', async () => {
+    expect((await manager.skipTask({ task_id: 't1', reason: 'meh' })).error).toMatch(/Unknown reason "meh"/);
+    expect((await manager.skipTask({ task_id: 'nope', reason: 'later' })).error).toMatch(/Task "nope" not found/);
+    expect((await manager.skipTask({ task_id: 't1', reason: 'later', snooze_until: 'soon' })).error).toMatch(/Invalid snooze_until/);
+
+    const done = tree();
+    done.frontierNodes[0].completed = true;
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', done);
+    expect((await manager.skipTask({ task_id: 'f1', reason: 'later' })).error).toMatch(/already completed/);
+  });
+
+  test('a failed skip log write leaves the task and the log untouched', async () => {
+    const savePathData = dataPersistence.savePathData.bind(dataPersistence);
+    jest.spyOn(dataPersistence, 'savePathData').mockImplementation(async (...args) => {
+      if (args[2] === 'skip-log.json') throw new Error('disk full');
+      return savePathData(...args);
+    });
+
+    const result = await manager.skipTask({ task_id: 't1', reason: 'later' });
+
+    expect(result.error).toBe('disk full');
+    const t1 = await node('t1');
+    expect(t1.skip_counts).toBeUndefined();
+    expect(t1.snoozed_until).toBeUndefined();
+    expect(await dataPersistence.loadPathData('guitar', 'general', 'skip-log.json')).toBeNull();
+  });
+
+  test('repeated rejections in a branch restructure it once', async () => {
+    await manager.skipTask({ task_id: 't1', reason: 'too_long' });
+    await manager.skipTask({ task_id: 't2', reason: 'later' });
+    await manager.skipTask({ task_id: 't3', reason: 'too_long' });
+    expect((await node('t1')).duration).toBe('60 minutes');
+
+    manager.changeTracker = new HTAChangeTracker(dataPersistence, null);
+    const result = await manager.skipTask({ task_id: 't2', reason: 'too_hard' });
+
+    expect(result.restructure).toMatchObject({ success: true, branch: 'Theory', reason: 'too_long', adjustments: ['shorten_branch_tasks'] });
+    expect(result.content[0].text).toContain('Theory restructured');
+    expect(result.restructure.hta_diff.modified.map(change => change.id)).toContain('t1');
+    const t1 = await node('t1');
+    expect(t1).toMatchObject({ duration: '30 minutes', original_duration: '60 minutes' });
+    expect(t1.skip_counts).toBeUndefined();
+    // Other branches are untouched
+    expect((await node('f1')).duration).toBe('30 minutes');
+    expect((await loadTree()).lastEvolution).toMatchObject({ strategy: 'branch_restructure', branch: 'Theory' });
+
+    // The count starts over after a restructure
+    const next = await manager.skipTask({ task_id: 't3', reason: 'not_relevant' });
+    expect(next.restructure).toBeUndefined();
+    const log = await dataPersistence.loadPathData('guitar', 'general', 'skip-log.json');
+    expect(log.restructures).toHaveLength(1);
+  });
+
+  test('mostly too_hard eases the branch behind a bridging task', async () => {
+    for (const taskId of ['t1', 't3', 't1']) {
+      await manager.skipTask({ task_id: taskId, reason: 'too_hard' });
+    }
+
+    const theory = (await loadTree()).frontierNodes.filter(task => task.branch === 'Theory');
+    expect(theory[0]).toMatchObject({ title: 'Warm-up: Modes of the major scale', difficulty: 1, generated: true });
+    expect(theory.slice(1).map(task => task.difficulty)).toEqual([3, 2, 4]);
+  });
+});
@@ -0,0 +1,134 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { ForestDataVectorization } from '../forest-data-vectorization.js';
+import { ProjectManagement } from '../project-management.js';
+import { VectorizedHandlers } from '../vectorized-handlers.js';
+import LocalJSONProvider from '../vector-providers/LocalJSONProvider.js';
+
+const tree = () => ({
+  goal: 'Learn guitar',
+  strategicBranches: [{ name: 'Foundations', description: 'Chords and rhythm' }, { name: 'Theory', description: 'Intervals' }],
+  frontierNodes: [
+    { id: 'open', title: 'Practice open chords', description: 'C, G and D shapes', branch: 'Foundations' },
+    { id: 'barre', title: 'Barre chords', description: 'F major barre', branch: 'Foundations' },
+    { id: 'intervals', title: 'Intervals', description: 'Name intervals by ear', branch: 'Theory' },
+  ],
+});
+
+describe('Vector re-index', () => {
+  let tempDir;
+  let vectorization;
+  let handlers;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-reindex-'));
+    vectorization = new ForestDataVectorization(tempDir);
+    const store = vectorization.vectorStore;
+    store.config = { ...store.config, provider: 'localjson', localjson: { baseDir: path.join(tempDir, 'vectors') } };
+    store.provider = new LocalJSONProvider(store.config.localjson);
+
+    const projectManagement = new ProjectManagement(vectorization.dataPersistence);
+    await projectManagement.createProject({ goal: 'Learn guitar', project_id: 'guitar' });
+    await vectorization.dataPersistence.savePathData('guitar', 'general', 'hta.json', tree());
+    handlers = new VectorizedHandlers(vectorization, null, projectManagement, null);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const seedStaleVectors = async () => {
+    await vectorization.vectorStore.provider.initialize(vectorization.vectorStore.config.localjson);
+    const dimension = vectorization.vectorStore.getDimension();
+    const provider = vectorization.vectorStore.provider;
+    await provider.upsertVector('guitar:task:open', new Array(dimension).fill(0.1), { type: 'task', project_id: 'guitar', title: 'Practice open chords' });
+    await provider.upsertVector('guitar:branch:Theory', new Array(8).fill(0.1), { type: 'branch', project_id: 'guitar', name: 'Theory' });
+    await provider.upsertVector('guitar:task:scales', new Array(dimension).fill(0.1), {
+      type: 'task', project_id: 'guitar', title: 'Major scale', branch: 'Theory',
+      embedding_provider: 'openai', embedding_model: 'text-embedding-3-small', embedding_dimension: dimension,
+    });
+  };
+
+  test('flags vectors from another embedding when the store initializes', async () => {
+    await seedStaleVectors();
+
+    const init = await vectorization.vectorStore.initialize();
+
+    expect(init.embedding_compatibility).toMatchObject({ status: 'mismatch', compatible: false, total: 3, mismatched: 2, unstamped: 1 });
+    expect(init.embedding_compatibility.expected).toMatchObject({ provider: 'tfidf', model: 'hashing-tfidf' });
+    expect(vectorization.vectorStore.embeddingCompatibility).toBe(init.embedding_compatibility);
+  });
+
+  test('vectorizes in checkpointed batches and resumes where it stopped', async () => {
+    await vectorization.initialize();
+    const progress = [];
+
+    const first = await vectorization.bulkVectorizeProject('guitar', { batchSize: 2, maxBatches: 2, resume: true, onProgress: p => progress.push(p.done) });
+    expect(first).toMatchObject({ vectorized: 4, errors: 0, resumed: false, types: { goals: 1, branches: 2, tasks: 1 } });
+    expect(first.progress).toMatchObject({ status: 'in_progress', total: 6, done: 4, remaining: 2, batches: 2 });
+    expect(progress).toEqual([2, 4]);
+    expect(await vectorization.dataPersistence.loadProjectData('guitar', 'task_metadata.json')).toBeNull();
+
+    const second = await vectorization.bulkVectorizeProject('guitar', { batchSize: 2, resume: true });
+    expect(second).toMatchObject({ vectorized: 2, resumed: true, types: { tasks: 2 } });
+    expect(second.progress).toMatchObject({ status: 'completed', done: 6, remaining: 0, percent: 100, batches: 3 });
+    expect((await vectorization.dataPersistence.loadProjectData('guitar', 'task_metadata.json')).tasks).toHaveLength(3);
+
+    const stored = await vectorization.vectorStore.provider.listVectors('guitar:');
+    expect(stored).toHaveLength(6);
+    expect(stored.every(entry => entry.metadata.embedding_model === 'hashing-tfidf')).toBe(true);
+
+    // A finished run is not resumed
+    const again = await vectorization.bulkVectorizeProject('guitar', { resume: true });
+    expect(again).toMatchObject({ vectorized: 6, resumed: false });
+  });
+
+  test('retries the failed item on the next run', async () => {
+    await vectorization.initialize();
+    const vectorizeTask = vectorization.vectorizeTask.bind(vectorization);
+    let failures = 1;
+    vectorization.vectorizeTask = async (...args) => {
+      if (failures-- > 0) throw new Error('store offline');
+      return vectorizeTask(...args);
+    };
+
+    const failed = await vectorization.bulkVectorizeProject('guitar', { batchSize: 10, resume: true });
+    expect(failed).toMatchObject({ vectorized: 3, errors: 1, error: 'store offline' });
+    expect(failed.progress).toMatchObject({ status: 'in_progress', done: 3, last_error: 'store offline' });
+
+    const resumed = await vectorization.bulkVectorizeProject('guitar', { batchSize: 10, resume: true });
+    expect(resumed).toMatchObject({ vectorized: 3, errors: 0, resumed: true });
+    expect(resumed.progress).toMatchObject({ status: 'completed', done: 6, last_error: null });
+  });
+
+  test('reindex_vectors_forest re-embeds the project and reports progress', async () => {
+    await seedStaleVectors();
+    await vectorization.initialize();
+
+    const paused = await handlers.reindexVectors({ batch_size: 2, max_batches: 1 });
+    expect(paused).toMatchObject({ success: true, complete: false });
+    expect(paused.content[0].text).toContain('Progress: 2/6 items (33%) in 1 batch');
+    expect(paused.content[0].text).toContain('4 items remaining');
+
+    const result = await handlers.reindexVectors({ batch_size: 2 });
+    expect(result).toMatchObject({ success: true, complete: true });
+    expect(result.reindex[0]).toMatchObject({ project_id: 'guitar', vectorized: 4, migrated: 1, resumed: true });
+    expect(result.reindex[0].before).toMatchObject({ status: 'mismatch', mismatched: 2, unstamped: 1 });
+    expect(result.reindex[0].after).toMatchObject({ status: 'compatible', total: 7, matching: 7 });
+    expect(result.embedding_compatibility).toMatchObject({ status: 'compatible' });
+    expect(result.content[0].text).toContain('Other stale vectors re-embedded: 1');
+    expect(result.content[0].text).toContain('After: All 7 vectors use tfidf/hashing-tfidf/');
+
+    const scales = await vectorization.vectorStore.provider.listVectors('guitar:task:scales');
+    expect(scales[0].metadata).toMatchObject({ title: 'Major scale', embedding_provider: 'tfidf' });
+  });
+
+  test('validates batch options and needs a project', async () => {
+    expect((await handlers.reindexVectors({ batch_size: 0 })).error).toBe('batch_size must be an integer from 1 to 500');
+    expect((await handlers.reindexVectors({ max_batches: 1.5 })).error).toBe('max_batches must be a positive integer');
+
+    const empty = new VectorizedHandlers(vectorization, null, { getActiveProject: async () => null }, null);
+    expect((await empty.reindexVectors({})).content[0].text).toContain('No Active Project');
+  });
+});
@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import { WeekPlanner } from '../week-planner.js';
+
+describe('WeekPlanner', () => {
+  const tasks = [
+    { id: 'basics', title: 'Learn the basics', difficulty: 2, prerequisites: [] },
+    { id: 'practice', title: 'Practice exercises', difficulty: 3, prerequisites: ['basics'] },
+    { id: 'project', title: 'Build a small project', difficulty: 4, prerequisites: ['practice'] },
+    { id: 'reading', title: 'Read documentation', difficulty: 1, prerequisites: [] },
+  ];
+
+  let planner;
+  let store;
+  let completionLog;
+  let dataPersistence;
+
+  beforeEach(() => {
+    store = {
+      'config.json': { goal: 'Learn JavaScript', activePath: 'general' },
+    };
+    completionLog = { completions: [] };
+    dataPersistence = {
+      loadProjectData: jest.fn(async (projectId, fileName) => store[fileName] || null),
+      saveProjectData: jest.fn(async (projectId, fileName, data) => {
+        store[fileName] = data;
+        return true;
+      }),
+      loadPathData: jest.fn(async (projectId, pathName, fileName) =>
+        fileName === 'completion-log.json' ? completionLog : { frontierNodes: tasks }
+      ),
+    };
+    const projectManagement = {
+      getActiveProject: jest.fn(async () => ({ project_id: 'js_project' })),
+    };
+    planner = new WeekPlanner(dataPersistence, projectManagement);
+  });
+
+  const findDayOf = (plan, taskId) =>
+    plan.days.findIndex(day => day.blocks.some(block => block.task_id === taskId && block.status === 'planned'));
+
+  describe('buildPlan', () => {
+    test('keeps each day within its hour budget', () => {
+      const plan = planner.buildPlan({
+        tasks,
+        startDate: '2025-03-10',
+        budgets: planner.resolveBudgets(5, 1),
+      });
+
+      for (const day of plan.days) {
+        const used = day.blocks.reduce((sum, block) => sum + block.estimated_minutes, 0);
+        const oversized = day.blocks.length === 1 && day.blocks[0].exceeds_budget;
+        expect(used <= day.budget_minutes || oversized).toBe(true);
+      }
+      expect(plan.days.map(day => day.date)).toEqual([
+        '2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14',
+      ]);
+    });
+
+    test('never plans a task before its prerequisites', () => {
+      const plan = planner.buildPlan({
+        tasks: [...tasks].reverse(),
+        startDate: '2025-03-10',
+        budgets: planner.resolveBudgets(7, 1),
+      });
+
+      expect(findDayOf(plan, 'basics')).toBeLessThanOrEqual(findDayOf(plan, 'practice'));
+      expect(findDayOf(plan, 'practice')).toBeLessThanOrEqual(findDayOf(plan, 'project'));
+    });
+
+    test('skips days without hours and reports work that does not fit', () => {
+      const plan = planner.buildPlan({
+        tasks,
+        startDate: '2025-03-10',
+        budgets: planner.resolveBudgets(2, 0, [0, 0.5]),
+      });
+
+      expect(plan.days[0].blocks).toHaveLength(0);
+      expect(plan.unplanned.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('refreshPlan', () => {
+    test('carries unfinished blocks from past days forward and marks logged completions', () => {
+      const plan = planner.buildPlan({
+        tasks: [tasks[0], tasks[3]],
+        startDate: '2025-03-10',
+        budgets: planner.resolveBudgets(3, 4),
+      });
+      expect(findDayOf(plan, 'basics')).toBe(0);
+      expect(findDayOf(plan, 'reading')).toBe(0);
+
+      const changed = planner.refreshPlan(plan, new Set(['basics']), '2025-03-11');
+
+      expect(changed).toBe(true);
+      expect(plan.days[0].blocks.find(block => block.task_id === 'basics').status).toBe('completed');
+      expect(plan.days[0].blocks.find(block => block.task_id === 'reading').status).toBe('carried_over');
+      const carried = plan.days[1].blocks.find(block => block.task_id === 'reading');
+      expect(carried).toMatchObject({ status: 'planned', carried_over_from: '2025-03-10' });
+      expect(plan.totals.carried_over_blocks).toBe(1);
+    });
+  });
+
+  describe('applyEdit', () => {
+    test('warns when a move breaks dependency order', () => {
+      const plan = planner.buildPlan({
+        tasks,
+        startDate: '2025-03-10',
+        budgets: planner.resolveBudgets(7, 8),
+      });
+      const blockFor = taskId => plan.days.flatMap(day => day.blocks).find(block => block.task_id === taskId);
+
+      const earlier = planner.applyEdit(plan, { action: 'move', block_id: blockFor('practice').id, target_date: '2025-03-13' });
+      expect(earlier).toEqual(['"Build a small project" depends on "Practice exercises" but is planned earlier']);
+
+      const late = planner.applyEdit(plan, { action: 'move', block_id: blockFor('project').id, target_date: '2025-03-12' });
+      expect(late).toEqual(['"Build a small project" is now planned before its prerequisite "Practice exercises"']);
+
+      const fixed = planner.applyEdit(plan, { action: 'move', block_id: blockFor('project').id, target_date: '2025-03-14' });
+      expect(fixed).toHaveLength(0);
+    });
+
+    test('rejects dates outside the plan', () => {
+      const plan = planner.buildPlan({ tasks, startDate: '2025-03-10', budgets: planner.resolveBudgets(2, 2) });
+
+      expect(() => planner.applyEdit(plan, { action: 'set_hours', date: '2025-04-01', hours: 2 })).toThrow(/not part of the week plan/);
+    });
+  });
+
+  describe('assessDeadline', () => {
+    test('flags work that cannot finish before the deadline', () => {
+      const plan = planner.buildPlan({ tasks, startDate: '2025-03-10', budgets: planner.resolveBudgets(2, 0.5) });
+
+      const assessment = planner.assessDeadline(plan, { constraints: { deadline: '2025-03-11' } });
+
+      expect(assessment.realistic).toBe(false);
+      expect(assessment.message).toMatch(/At risk/);
+    });
+  });
+
+  describe('tool handlers', () => {
+    test('plan_week_forest excludes logged completions and persists week-plan.json', async () => {
+      completionLog.completions.push({ task_id: 'reading' });
+
+      const result = await planner.planWeek({ start_date: '2025-03-10', days: 3, hours_per_day: 3 });
+
+      expect(result.success).toBe(true);
+      expect(store['week-plan.json'].days).toHaveLength(3);
+      const plannedIds = store['week-plan.json'].days.flatMap(day => day.blocks.map(block => block.task_id));
+      expect(plannedIds).not.toContain('reading');
+      expect(result.content[0].text).toContain('Week Plan from 2025-03-10');
+    });
+
+    test('get_week_plan_forest explains when there is no plan yet', async () => {
+      const result = await planner.getWeekPlan({});
+
+      expect(result.content[0].text).toContain('No Week Plan');
+      expect(result.week_plan).toBeNull();
+    });
+
+    test('reports a missing active project', async () => {
+      planner.projectManagement.getActiveProject.mockResolvedValue(null);
+
+      const result = await planner.planWeek({});
+
+      expect(result.content[0].text).toContain('No Active Project');
+      expect(dataPersistence.saveProjectData).not.toHaveBeenCalled();
+    });
+  });
+});
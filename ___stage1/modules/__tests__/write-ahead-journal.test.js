@@ -0,0 +1,199 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DataPersistence } from '../data-persistence.js';
+import { DataIntegrityChecker } from '../data-integrity.js';
+import { JOURNAL_CONSTANTS } from '../write-ahead-journal.js';
+
+const journalFiles = async dataDir => {
+  try {
+    return (await fs.readdir(path.join(dataDir, JOURNAL_CONSTANTS.DIR_NAME))).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    return [];
+  }
+};
+
+describe.each(['filesystem', 'sqlite'])('Write-ahead journal on %s storage', adapter => {
+  let tempDir;
+  let dataPersistence;
+  let restarted;
+
+  // Closing the adapter mid-transaction drops whatever it had not committed,
+  // like a process that died; a new instance plays the restarted server.
+  const crashAndRestart = async () => {
+    await dataPersistence.storage.close();
+    restarted = new DataPersistence(tempDir, { adapter });
+    return restarted;
+  };
+
+  const createProjectWrites = async transaction => {
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn piano' }, transaction);
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', { frontierNodes: [] }, transaction);
+    await dataPersistence.saveGlobalData('config.json', { activeProject: 'piano', projects: [{ id: 'piano' }] }, transaction);
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `forest-journal-${adapter}-`));
+    dataPersistence = new DataPersistence(tempDir, { adapter });
+    restarted = null;
+    await dataPersistence.saveGlobalData('config.json', { projects: [] });
+  });
+
+  afterEach(async () => {
+    await dataPersistence.storage.close();
+    if (restarted) await restarted.storage.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('removes the journal entry once a transaction commits or rolls back', async () => {
+    const committed = dataPersistence.beginTransaction('create_project piano');
+    await createProjectWrites(committed);
+    expect(await journalFiles(tempDir)).toHaveLength(1);
+    await dataPersistence.commitTransaction(committed);
+
+    const rolledBack = dataPersistence.beginTransaction();
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Changed' }, rolledBack);
+    await dataPersistence.rollbackTransaction(rolledBack);
+
+    expect(await journalFiles(tempDir)).toEqual([]);
+    expect(await dataPersistence.loadProjectData('piano', 'config.json')).toEqual({ goal: 'Learn piano' });
+  });
+
+  test('discards a transaction interrupted before commit', async () => {
+    const transaction = dataPersistence.beginTransaction('create_project piano');
+    await createProjectWrites(transaction);
+
+    const server = await crashAndRestart();
+    const recovered = await server.recoverInterruptedTransactions();
+
+    expect(recovered).toEqual([
+      expect.objectContaining({ label: 'create_project piano', action: 'discarded', projects: ['piano'] }),
+    ]);
+    expect(await server.projectExists('piano')).toBe(false);
+    expect(await server.loadGlobalData('config.json')).toEqual({ projects: [] });
+    expect(await journalFiles(tempDir)).toEqual([]);
+  });
+
+  test('keeps writes made outside a transaction that was interrupted before commit', async () => {
+    const transaction = dataPersistence.beginTransaction('archive_project piano');
+    await dataPersistence.saveGlobalData('config.json', { projects: [{ id: 'piano', archived: true }] }, transaction);
+    await dataPersistence.saveGlobalData('config.json', { projects: [{ id: 'piano' }, { id: 'go' }] });
+
+    const server = await crashAndRestart();
+    const recovered = await server.recoverInterruptedTransactions();
+
+    expect(recovered[0].action).toBe('discarded');
+    expect(await server.loadGlobalData('config.json')).toEqual({ projects: [{ id: 'piano' }, { id: 'go' }] });
+  });
+
+  test('completes a transaction interrupted during the storage commit', async () => {
+    const transaction = dataPersistence.beginTransaction('create_project piano');
+    await createProjectWrites(transaction);
+    await dataPersistence.journal.markCommitting(transaction);
+
+    const server = await crashAndRestart();
+    const recovered = await server.recoverInterruptedTransactions();
+
+    expect(recovered).toEqual([expect.objectContaining({ action: 'completed', operations: 3 })]);
+    expect(await server.loadProjectData('piano', 'config.json')).toEqual({ goal: 'Learn piano' });
+    expect((await server.loadGlobalData('config.json')).activeProject).toBe('piano');
+  });
+
+  test('completes a transaction interrupted after it was marked committed', async () => {
+    const transaction = dataPersistence.beginTransaction('create_project piano');
+    await createProjectWrites(transaction);
+    await dataPersistence.journal.markCommitted(transaction);
+
+    const server = await crashAndRestart();
+    const recovered = await server.recoverInterruptedTransactions();
+
+    expect(recovered[0].action).toBe('completed');
+    expect(await server.loadProjectData('piano', 'config.json')).toEqual({ goal: 'Learn piano' });
+    expect(await server.loadPathData('piano', 'general', 'hta.json')).toEqual(expect.objectContaining({ frontierNodes: [] }));
+    expect((await server.loadGlobalData('config.json')).activeProject).toBe('piano');
+  });
+
+  test('does not replay a transaction whose storage commit failed', async () => {
+    const transaction = dataPersistence.beginTransaction('create_project piano');
+    await createProjectWrites(transaction);
+    const { storage } = dataPersistence;
+    const commit = storage.commitTransaction.bind(storage);
+    storage.commitTransaction = async transactionId => {
+      await storage.rollbackTransaction(transactionId);
+      throw new Error('disk full');
+    };
+
+    await expect(dataPersistence.commitTransaction(transaction)).rejects.toThrow('disk full');
+    storage.commitTransaction = commit;
+    await dataPersistence.rollbackTransaction(transaction);
+
+    expect(await journalFiles(tempDir)).toEqual([]);
+    const server = await crashAndRestart();
+    expect(await server.recoverInterruptedTransactions()).toEqual([]);
+    expect(await server.projectExists('piano')).toBe(false);
+    expect(await server.loadGlobalData('config.json')).toEqual({ projects: [] });
+  });
+
+  test('discards torn journal entries', async () => {
+    await fs.mkdir(path.join(tempDir, JOURNAL_CONSTANTS.DIR_NAME), { recursive: true });
+    await fs.writeFile(path.join(tempDir, JOURNAL_CONSTANTS.DIR_NAME, 'tx_torn.json'), '{"id":"tx_to', 'utf8');
+
+    const recovered = await dataPersistence.recoverInterruptedTransactions();
+
+    expect(recovered).toEqual([expect.objectContaining({ id: 'tx_torn', action: 'discarded' })]);
+    expect(await journalFiles(tempDir)).toEqual([]);
+  });
+});
+
+describe('DataIntegrityChecker', () => {
+  let tempDir;
+  let dataPersistence;
+  let checker;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-integrity-'));
+    dataPersistence = new DataPersistence(tempDir);
+    checker = new DataIntegrityChecker(dataPersistence);
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn piano' });
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', { frontierNodes: [] });
+    await dataPersistence.saveGlobalData('config.json', { activeProject: 'piano', projects: [{ id: 'piano' }] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('reports a healthy store', async () => {
+    // Exported bundles share the data directory but are not projects
+    await dataPersistence.saveProjectData('exports', 'piano.forest.json', { format: 'forest-project-bundle' });
+
+    const result = await checker.verifyDataIntegrity();
+
+    expect(result.healthy).toBe(true);
+    expect(result.summary).toMatchObject({ projects_checked: 2, valid_projects: 1, errors: 0, warnings: 0 });
+    expect(result.content[0].text).toContain('No orphaned or partial projects found');
+  });
+
+  test('reports partial, orphaned and unreadable data', async () => {
+    await dataPersistence.savePathData('guitar', 'general', 'hta.json', { frontierNodes: [] });
+    await dataPersistence.saveProjectData('go', 'config.json', { goal: 'Learn Go' });
+    await dataPersistence.saveGlobalData('config.json', { activeProject: 'piano', projects: [{ id: 'piano' }, { id: 'rust' }] });
+    await fs.writeFile(path.join(tempDir, 'piano', 'learning-history.json'), '{ broken', 'utf8');
+    await fs.mkdir(path.join(tempDir, 'deleted', '.snapshots'), { recursive: true });
+    const transaction = dataPersistence.beginTransaction('create_project violin');
+    await dataPersistence.saveProjectData('violin', 'config.json', { goal: 'Learn violin' }, transaction);
+    dataPersistence.journal.entries.clear(); // as if the writing process had died
+
+    const result = await checker.verifyDataIntegrity();
+    const byType = Object.fromEntries(result.issues.map(issue => [issue.type, issue]));
+
+    expect(result.healthy).toBe(false);
+    expect(byType.PARTIAL_PROJECT).toMatchObject({ project_id: 'guitar', severity: 'error' });
+    expect(byType.CORRUPT_DOCUMENT).toMatchObject({ project_id: 'piano', file: 'learning-history.json' });
+    expect(byType.ORPHANED_REGISTRY_ENTRY).toMatchObject({ project_id: 'rust', severity: 'warning' });
+    expect(byType.UNREGISTERED_PROJECT.project_id).toBe('go');
+    expect(byType.ORPHANED_SNAPSHOTS.project_id).toBe('deleted');
+    expect(byType.INTERRUPTED_TRANSACTION).toMatchObject({ project_id: 'violin', severity: 'error' });
+    expect(result.content[0].text).toContain('**Partial projects** (1)');
+  });
+});
@@ -1119,12 +1119,7 @@ export class AdaptiveHTAEvolution {
       const results = await this.vectorStore.provider.queryVectors(queryVector, {
         limit: 50,
         threshold: 0.3,
-        filter: {
-          must: [
-            { key: 'project_id', match: { value: projectId } },
-            { key: 'type', match: { value: 'task' } }
-          ]
-        }
+        filter: { project_id: projectId, type: 'task' }
       });
       
       // Convert results to task format
@@ -1163,12 +1158,7 @@ export class AdaptiveHTAEvolution {
       const results = await this.vectorStore.provider.queryVectors(queryVector, {
         limit: 30,
         threshold: 0.25,
-        filter: {
-          must: [
-            { key: 'project_id', match: { value: projectId } },
-            { key: 'type', match: { value: 'task' } }
-          ]
-        }
+        filter: { project_id: projectId, type: 'task' }
       });
       
       // Convert results to task format
@@ -0,0 +1,327 @@
+/**
+ * Calendar Sync
+ *
+ * Exports generated daily schedules and week-plan blocks as RFC 5545 `.ics`
+ * files, and imports `.ics` files of existing commitments so those slots are
+ * treated as busy when schedules are generated. Everything is file based; no
+ * calendar service is contacted.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FILE_NAMES } from './memory-sync.js';
+import { buildCalendar, parseCalendar, expandOccurrences, addMinutes } from '../utils/icalendar.js';
+
+// Constants for calendar import/export
+const CALENDAR_CONSTANTS = {
+  DEFAULT_EXPORT_DAYS: 7,
+  MAX_EXPORT_DAYS: 90,
+  DEFAULT_HORIZON_DAYS: 90,
+  MAX_HORIZON_DAYS: 366,
+  MINUTES_PER_DAY: 24 * 60,
+  UID_DOMAIN: 'forest.local',
+  FOREST_TASK_PROPERTY: 'X-FOREST-TASK-ID',
+  FOREST_PROJECT_PROPERTY: 'X-FOREST-PROJECT-ID',
+};
+
+export class CalendarSync {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * export_calendar_forest - write schedules and planned blocks as .ics
+   */
+  async exportCalendar(args = {}) {
+    try {
+      const activeProject = await this.projectManagement.getActiveProject();
+      if (!activeProject || !activeProject.project_id) return this.noActiveProjectResponse();
+
+      const projectId = activeProject.project_id;
+      const config = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) || {};
+      const scheduleData = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE)) || {};
+      const weekPlan = args.include_week_plan === false
+        ? null
+        : await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WEEK_PLAN);
+
+      const range = this.resolveRange(args);
+      const events = this.collectEvents({
+        projectId,
+        schedules: scheduleData.schedules || {},
+        weekPlan,
+        range,
+        includeBreaks: args.include_breaks === true,
+      });
+
+      if (events.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text:
+              `**Nothing to Export** 📭\n\n` +
+              `No schedules or planned blocks were found between ${range.from} and ${range.until}.\n\n` +
+              `Use \`generate_daily_schedule_forest\` or \`plan_week_forest\` first.`,
+          }],
+          events_exported: 0,
+        };
+      }
+
+      const ics = buildCalendar(events, { calendarName: `Forest: ${config.goal || projectId}` });
+
+      let writtenTo = null;
+      if (args.output_path) {
+        writtenTo = path.resolve(args.output_path);
+        await fs.mkdir(path.dirname(writtenTo), { recursive: true });
+        await fs.writeFile(writtenTo, ics, 'utf8');
+      }
+
+      let text = `**Calendar Exported** 📆\n\n`;
+      text += `**Events**: ${events.length} (${range.from} to ${range.until})\n`;
+      text += writtenTo
+        ? `**File**: ${writtenTo}\n`
+        : `\nSave the following as a \`.ics\` file and import it into your calendar:\n\n\`\`\`\n${ics}\`\`\`\n`;
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        events_exported: events.length,
+        file_path: writtenTo,
+        ics,
+      };
+    } catch (error) {
+      console.error('CalendarSync.exportCalendar failed:', error);
+      return this.errorResponse('Calendar Export Failed', error);
+    }
+  }
+
+  /**
+   * import_calendar_forest - record existing commitments as busy time
+   */
+  async importCalendar(args = {}) {
+    try {
+      const activeProject = await this.projectManagement.getActiveProject();
+      if (!activeProject || !activeProject.project_id) return this.noActiveProjectResponse();
+
+      const projectId = activeProject.project_id;
+      let icsContent = args.ics_content;
+      if (!icsContent && args.file_path) {
+        icsContent = await fs.readFile(path.resolve(args.file_path), 'utf8');
+      }
+      if (!icsContent) {
+        throw new Error('Provide either ics_content or file_path');
+      }
+
+      const from = args.start_date ? this.validateDate(args.start_date) : this.formatDate(new Date());
+      const horizonDays = Math.min(
+        CALENDAR_CONSTANTS.MAX_HORIZON_DAYS,
+        Math.max(1, Number.parseInt(args.horizon_days, 10) || CALENDAR_CONSTANTS.DEFAULT_HORIZON_DAYS)
+      );
+      const until = addMinutes(from, (horizonDays - 1) * CALENDAR_CONSTANTS.MINUTES_PER_DAY);
+
+      const { events, errors } = parseCalendar(icsContent);
+      const { busy, skipped } = this.toBusyEvents(events, { from, until, source: args.file_path || 'inline' });
+
+      const existing = args.replace
+        ? { events: [] }
+        : (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CALENDAR_BUSY)) || { events: [] };
+      const importedUids = new Set(busy.map(event => event.uid));
+      const merged = [
+        ...(existing.events || []).filter(event => !importedUids.has(event.uid)),
+        ...busy,
+      ].sort((a, b) => a.start.localeCompare(b.start));
+
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CALENDAR_BUSY, {
+        events: merged,
+        imported_at: new Date().toISOString(),
+        horizon: { from, until },
+      });
+
+      let text = `**Calendar Imported** 📥\n\n`;
+      text += `**Busy slots added**: ${busy.length} (${from} to ${until})\n`;
+      text += `**Total busy slots**: ${merged.length}\n`;
+      if (skipped.length > 0) {
+        text += `\n**Skipped** (${skipped.length}):\n${skipped.slice(0, 5).map(item => `• ${item}`).join('\n')}\n`;
+      }
+      if (errors.length > 0) {
+        text += `\n**Could not read** (${errors.length}):\n${errors.slice(0, 5).map(item => `• ${item}`).join('\n')}\n`;
+      }
+      text += `\nThese slots are now left free when \`generate_daily_schedule_forest\` builds a schedule.`;
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        busy_slots_added: busy.length,
+        total_busy_slots: merged.length,
+        skipped,
+        errors,
+      };
+    } catch (error) {
+      console.error('CalendarSync.importCalendar failed:', error);
+      return this.errorResponse('Calendar Import Failed', error);
+    }
+  }
+
+  // ===== EXPORT HELPERS =====
+
+  /**
+   * Turn stored schedules and week-plan blocks within `range` into calendar events.
+   * Days with a generated schedule take precedence over the week plan for that day.
+   */
+  collectEvents({ projectId, schedules, weekPlan, range, includeBreaks = false }) {
+    const events = [];
+    const scheduledDates = new Set();
+
+    for (const [date, schedule] of Object.entries(schedules).sort(([a], [b]) => a.localeCompare(b))) {
+      if (date < range.from || date > range.until || !Array.isArray(schedule?.blocks)) continue;
+      scheduledDates.add(date);
+
+      for (const block of schedule.blocks) {
+        if (block.type !== 'task' && !includeBreaks) continue;
+        events.push({
+          uid: `${block.id}-${projectId}@${CALENDAR_CONSTANTS.UID_DOMAIN}`,
+          summary: block.type === 'task' ? `Forest: ${block.title}` : block.title,
+          start: `${date}T${block.start}`,
+          end: `${date}T${block.end}`,
+          description: this.describeBlock(block),
+          categories: block.type === 'task' ? ['Forest', block.branch].filter(Boolean) : ['Forest'],
+          transparent: block.type !== 'task',
+          properties: {
+            [CALENDAR_CONSTANTS.FOREST_TASK_PROPERTY]: block.task_id,
+            'X-FOREST-BRANCH': block.branch,
+            'X-FOREST-ESTIMATED-MINUTES': block.estimated_minutes,
+            [CALENDAR_CONSTANTS.FOREST_PROJECT_PROPERTY]: projectId,
+          },
+        });
+      }
+    }
+
+    for (const day of weekPlan?.days || []) {
+      if (day.date < range.from || day.date > range.until || scheduledDates.has(day.date)) continue;
+
+      for (const block of day.blocks || []) {
+        if (block.status !== 'planned') continue;
+        events.push({
+          uid: `${block.id}-${day.date}-${projectId}@${CALENDAR_CONSTANTS.UID_DOMAIN}`,
+          summary: `Forest: ${block.title}`,
+          start: day.date,
+          end: addMinutes(day.date, CALENDAR_CONSTANTS.MINUTES_PER_DAY),
+          description: this.describeBlock(block),
+          categories: ['Forest', block.branch].filter(Boolean),
+          transparent: true,
+          properties: {
+            [CALENDAR_CONSTANTS.FOREST_TASK_PROPERTY]: block.task_id,
+            'X-FOREST-BRANCH': block.branch,
+            'X-FOREST-ESTIMATED-MINUTES': block.estimated_minutes,
+            [CALENDAR_CONSTANTS.FOREST_PROJECT_PROPERTY]: projectId,
+          },
+        });
+      }
+    }
+
+    return events;
+  }
+
+  describeBlock(block) {
+    const lines = [];
+    if (block.task_id) lines.push(`Task ID: ${block.task_id}`);
+    if (block.branch) lines.push(`Branch: ${block.branch}`);
+    if (block.estimated_minutes) lines.push(`Estimated duration: ${block.estimated_minutes} min`);
+    if (block.task_id) lines.push('Mark done with complete_block_forest.');
+    return lines.join('\n');
+  }
+
+  resolveRange(args) {
+    if (args.date) {
+      const date = this.validateDate(args.date);
+      return { from: date, until: date };
+    }
+    const from = args.start_date ? this.validateDate(args.start_date) : this.formatDate(new Date());
+    const days = Math.min(
+      CALENDAR_CONSTANTS.MAX_EXPORT_DAYS,
+      Math.max(1, Number.parseInt(args.days, 10) || CALENDAR_CONSTANTS.DEFAULT_EXPORT_DAYS)
+    );
+    return { from, until: addMinutes(from, (days - 1) * CALENDAR_CONSTANTS.MINUTES_PER_DAY) };
+  }
+
+  // ===== IMPORT HELPERS =====
+
+  /**
+   * Expand parsed events into stored busy records, dropping free, cancelled
+   * and Forest-exported events.
+   */
+  toBusyEvents(events, { from, until, source }) {
+    const busy = [];
+    const skipped = [];
+
+    events.forEach((event, index) => {
+      if (event.extensions[CALENDAR_CONSTANTS.FOREST_PROJECT_PROPERTY] !== undefined) {
+        skipped.push(`${event.summary}: exported from Forest`);
+        return;
+      }
+      if (event.status === 'CANCELLED') {
+        skipped.push(`${event.summary}: cancelled`);
+        return;
+      }
+      if (event.transparent) {
+        skipped.push(`${event.summary}: marked as free time`);
+        return;
+      }
+
+      const { occurrences, unsupported } = expandOccurrences(event, { from, until });
+      if (unsupported) {
+        skipped.push(`${event.summary}: only the first occurrence of a ${event.rrule.FREQ} recurrence was imported`);
+      }
+
+      const baseUid = event.uid || `imported-${index}`;
+      for (const occurrence of occurrences) {
+        busy.push({
+          uid: event.rrule ? `${baseUid}#${occurrence.start}` : baseUid,
+          summary: event.summary,
+          start: occurrence.start,
+          end: occurrence.end,
+          all_day: event.allDay,
+          source,
+        });
+      }
+    });
+
+    return { busy, skipped };
+  }
+
+  // ===== SHARED HELPERS =====
+
+  validateDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid date "${date}". Use the YYYY-MM-DD format.`);
+    }
+    return date;
+  }
+
+  formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default CalendarSync;
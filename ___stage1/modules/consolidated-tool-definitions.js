@@ -53,175 +53,1186 @@ export const FOREST_TOOLS = {
   list_projects_forest: {
     name: 'list_projects_forest',
     description: 'View all your projects with status and progress',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_archived: {
+          type: 'boolean',
+          description: 'Also list archived projects (default false)'
+        }
+      }
+    }
+  },
+
+  archive_project_forest: {
+    name: 'archive_project_forest',
+    description: 'Archive a project: hide it from listings and switching without deleting any data. Pass unarchive: true to restore it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to archive, defaults to the active project'
+        },
+        unarchive: {
+          type: 'boolean',
+          description: 'Restore an archived project instead (default false)'
+        }
+      }
+    }
+  },
+
+  clone_project_forest: {
+    name: 'clone_project_forest',
+    description: 'Copy a project with its configuration and HTA trees under a new ID, with all progress, history and schedules reset',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source_project_id: {
+          type: 'string',
+          description: 'Project to copy, defaults to the active project'
+        },
+        project_id: {
+          type: 'string',
+          description: 'ID for the copy (default: generated from the goal)'
+        },
+        goal: {
+          type: 'string',
+          description: 'Goal for the copy (default: the source goal)'
+        },
+        context: {
+          type: 'string',
+          description: 'Context for the copy (default: the source context)'
+        },
+        activate: {
+          type: 'boolean',
+          description: 'Switch to the copy (default true)'
+        }
+      }
+    }
+  },
+
+  save_project_template_forest: {
+    name: 'save_project_template_forest',
+    description: 'Save a project\'s setup and HTA trees, without progress, as a named template for create_project_from_template_forest',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        template_name: {
+          type: 'string',
+          description: 'Template name (letters, numbers, "-" and "_")'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Project to save, defaults to the active project'
+        },
+        description: {
+          type: 'string',
+          description: 'What the template is for (default: the project goal)'
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing template with the same name'
+        }
+      },
+      required: ['template_name']
+    }
+  },
+
+  create_project_from_template_forest: {
+    name: 'create_project_from_template_forest',
+    description: 'Create a project from a saved template with a new goal. The template\'s HTA trees are reused, so no onboarding or tree building is needed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        template_name: {
+          type: 'string',
+          description: 'Template saved with save_project_template_forest'
+        },
+        goal: {
+          type: 'string',
+          description: 'Goal of the new project'
+        },
+        project_id: {
+          type: 'string',
+          description: 'ID for the new project (default: generated from the goal)'
+        },
+        context: {
+          type: 'string',
+          description: 'Context for the new project (default: the template context)'
+        },
+        activate: {
+          type: 'boolean',
+          description: 'Switch to the new project (default true)'
+        }
+      },
+      required: ['template_name', 'goal']
+    }
+  },
+
+  export_project_forest: {
+    name: 'export_project_forest',
+    description: 'Export a project as a single versioned bundle with all project and path files, dialogue sessions and optionally vectors',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to export, defaults to the active project'
+        },
+        output_path: {
+          type: 'string',
+          description: 'Bundle file to write (a .gz suffix compresses it); defaults to the exports folder in the data directory'
+        },
+        include_vectors: {
+          type: 'boolean',
+          description: 'Include vectors from the active vector provider (default false)'
+        },
+        include_dialogues: {
+          type: 'boolean',
+          description: 'Include clarification dialogue sessions (default true)'
+        }
+      }
+    }
+  },
+
+  import_project_forest: {
+    name: 'import_project_forest',
+    description: 'Import a project bundle created by export_project_forest, migrating older schema versions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bundle_path: {
+          type: 'string',
+          description: 'Path to the bundle file'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Import under this project ID instead of the exported one'
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing project with the same ID (default false)'
+        },
+        include_vectors: {
+          type: 'boolean',
+          description: 'Restore vectors contained in the bundle (default true)'
+        },
+        activate: {
+          type: 'boolean',
+          description: 'Switch to the imported project (default true)'
+        }
+      },
+      required: ['bundle_path']
+    }
+  },
+
+  list_snapshots_forest: {
+    name: 'list_snapshots_forest',
+    description: 'List automatic snapshots of hta.json and config.json taken before each change',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to inspect, defaults to the active project'
+        },
+        file_name: {
+          type: 'string',
+          enum: ['hta.json', 'config.json'],
+          description: 'Only list snapshots of this file'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Only list snapshots from this learning path'
+        },
+        limit: {
+          type: 'number',
+          minimum: 1,
+          description: 'Maximum snapshots to show (default 20)'
+        }
+      }
+    }
+  },
+
+  restore_snapshot_forest: {
+    name: 'restore_snapshot_forest',
+    description: 'Preview the differences against a snapshot, then restore it with confirm: true',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshot_id: {
+          type: 'string',
+          description: 'Snapshot ID from list_snapshots_forest'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Project the snapshot belongs to, defaults to the active project'
+        },
+        confirm: {
+          type: 'boolean',
+          description: 'Set to true to restore; otherwise only a diff preview is returned'
+        }
+      },
+      required: ['snapshot_id']
+    }
+  },
+
+  configure_snapshots_forest: {
+    name: 'configure_snapshots_forest',
+    description: 'Set how many snapshots a project keeps per file and for how long',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to configure, defaults to the active project'
+        },
+        max_snapshots: {
+          type: 'number',
+          minimum: 1,
+          maximum: 500,
+          description: 'Snapshots kept per tracked file (default 20)'
+        },
+        max_age_days: {
+          type: 'number',
+          minimum: 0,
+          description: 'Delete snapshots older than this many days; 0 keeps them regardless of age'
+        }
+      }
+    }
+  },
+
+  // ========== HTA INTELLIGENCE (Tools 4-5) ==========
+  build_hta_tree_forest: {
+    name: 'build_hta_tree_forest',
+    description: 'Build or rebuild strategic HTA framework for a specific learning path',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path_name: {
+          type: 'string',
+          description: 'Learning path to build HTA tree for (e.g. "saxophone", "piano"). Uses active path or general if not specified.'
+        },
+        goal: {
+          type: 'string',
+          description: 'Optional goal override. If not provided, uses the goal from active project configuration.'
+        },
+        context: {
+          type: 'string',
+          description: 'Optional context override. If not provided, uses context from active project configuration.'
+        },
+        learning_style: {
+          type: 'string',
+          description: 'Learning approach preference (e.g. "hands-on", "theoretical", "mixed"). Defaults to "mixed".'
+        },
+        focus_areas: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Specific areas to emphasize in the learning plan (e.g. ["fundamentals", "practical application"]).'
+        }
+      }
+    }
+  },
+
+  get_hta_status_forest: {
+    name: 'get_hta_status_forest',
+    description: 'View HTA strategic framework for active project',
     inputSchema: {
       type: 'object',
       properties: {}
     }
   },
 
-  // ========== HTA INTELLIGENCE (Tools 4-5) ==========
-  build_hta_tree_forest: {
-    name: 'build_hta_tree_forest',
-    description: 'Build or rebuild strategic HTA framework for a specific learning path',
+  // ========== TASK MANAGEMENT (Tools 6-7) ==========
+  get_next_task_forest: {
+    name: 'get_next_task_forest',
+    description: 'Get the single most logical next task based on current progress and context. No required parameters.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        energy_level: {
+          type: 'number',
+          minimum: 1,
+          maximum: 5,
+          description: 'Optional: Current energy level to match appropriate task difficulty (1-5)'
+        },
+        time_available: {
+          type: 'string',
+          description: 'Optional: Time available for the task (e.g. "30 minutes", "1 hour")'
+        },
+        context_from_memory: {
+          type: 'string',
+          description: 'Optional: Context retrieved from Memory MCP about recent progress/insights'
+        },
+        explain: {
+          type: 'boolean',
+          description: 'Optional: Include a breakdown of how the task was chosen (vector or scorer path, factor points, runners-up)'
+        }
+      }
+    }
+  },
+
+  complete_block_forest: {
+    name: 'complete_block_forest',
+    description: 'Complete time block and capture insights for active project. Blocks with `learned` notes are scheduled for spaced-repetition review; complete a due review with its `review:<task_id>` block_id. Completing a task started with `start_task_forest` stops its clock and logs the tracked time. REQUIRED: block_id parameter.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        block_id: {
+          type: 'string',
+          description: '**REQUIRED** ID of the task block to complete'
+        },
+        outcome: {
+          type: 'string',
+          description: 'Optional: What happened? Key insights?'
+        },
+        energy_level: {
+          type: 'number',
+          minimum: 1,
+          maximum: 5,
+          description: 'Optional: Energy after completion (1-5)'
+        },
+        learned: {
+          type: 'string',
+          description: 'Optional: What specific knowledge or skills did you gain?'
+        },
+        next_questions: {
+          type: 'string',
+          description: 'What questions emerged? What do you need to learn next?'
+        },
+        difficulty_rating: {
+          type: 'number',
+          minimum: 1,
+          maximum: 5,
+          description: 'How difficult was this task? (1=too easy, 5=too hard)'
+        },
+        breakthrough: {
+          type: 'boolean',
+          description: 'Major insight or breakthrough?'
+        },
+        actual_minutes: {
+          type: 'number',
+          minimum: 1,
+          description: 'Optional: Minutes actually spent on the task; calibrates future duration estimates. Defaults to the time tracked with start_task_forest'
+        }
+      },
+      required: ['block_id', 'outcome', 'energy_level']
+    }
+  },
+
+  set_selection_policy_forest: {
+    name: 'set_selection_policy_forest',
+    description: 'Set how tasks are chosen for a project: a preset (balanced, depth-first, breadth-first, quick-wins, spaced-review) and/or custom weights. With no arguments, shows the current policy.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Optional: Project ID (uses active project if not provided)'
+        },
+        preset: {
+          type: 'string',
+          enum: ['balanced', 'depth-first', 'breadth-first', 'quick-wins', 'spaced-review'],
+          description: 'Optional: Named policy; replaces earlier custom weights'
+        },
+        weights: {
+          type: 'object',
+          description: 'Optional: Weight overrides from 0 to 3 (1 = standard)',
+          properties: {
+            energy_match: { type: 'number', minimum: 0, maximum: 3 },
+            time_fit: { type: 'number', minimum: 0, maximum: 3 },
+            branch_variety: { type: 'number', minimum: 0, maximum: 3, description: 'Above 1 favours new branches, below 1 staying in started ones' },
+            difficulty_progression: { type: 'number', minimum: 0, maximum: 3, description: 'Above 1 favours stepping up in difficulty, below 1 easier tasks' },
+            goal_alignment: { type: 'number', minimum: 0, maximum: 3 }
+          }
+        },
+        reset: {
+          type: 'boolean',
+          description: 'Optional: Go back to the balanced preset with no custom weights'
+        }
+      }
+    }
+  },
+
+  start_task_forest: {
+    name: 'start_task_forest',
+    description: 'Start working on a task and track wall-clock time. Pauses any other running task; starting a paused task resumes it. Tracking survives server restarts.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'ID of the task to start'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Optional: Learning path of the task (uses the active path if not provided)'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Optional: Project ID (uses active project if not provided)'
+        }
+      },
+      required: ['task_id']
+    }
+  },
+
+  pause_task_forest: {
+    name: 'pause_task_forest',
+    description: 'Pause the running task (or the given one), optionally recording how far along it is.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'Optional: Task to pause (defaults to the running task)'
+        },
+        percent_complete: {
+          type: 'number',
+          minimum: 0,
+          maximum: 100,
+          description: 'Optional: How much of the task is done'
+        },
+        note: {
+          type: 'string',
+          description: 'Optional: Where you left off'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Optional: Project ID (uses active project if not provided)'
+        }
+      }
+    }
+  },
+
+  resume_task_forest: {
+    name: 'resume_task_forest',
+    description: 'Resume a paused task (defaults to the most recently paused one) and restart its clock.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'Optional: Task to resume'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Optional: Project ID (uses active project if not provided)'
+        }
+      }
+    }
+  },
+
+  update_task_progress_forest: {
+    name: 'update_task_progress_forest',
+    description: 'Record percentage complete for a task in progress (defaults to the running task) without stopping its clock.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        percent_complete: {
+          type: 'number',
+          minimum: 0,
+          maximum: 100,
+          description: 'How much of the task is done'
+        },
+        task_id: {
+          type: 'string',
+          description: 'Optional: Task to update (defaults to the running task)'
+        },
+        note: {
+          type: 'string',
+          description: 'Optional: What is done so far'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Optional: Project ID (uses active project if not provided)'
+        }
+      },
+      required: ['percent_complete']
+    }
+  },
+
+  skip_task_forest: {
+    name: 'skip_task_forest',
+    description: 'Skip a task and say why: too_hard, too_long, not_relevant, blocked or later. Skipped tasks rank lower for a while; later and blocked also hide the task until snooze_until (default 1 and 3 days). Repeated rejections in one branch restructure that branch.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'ID of the task to skip'
+        },
+        reason: {
+          type: 'string',
+          enum: ['too_hard', 'too_long', 'not_relevant', 'blocked', 'later'],
+          description: 'Why the task is skipped'
+        },
+        snooze_until: {
+          type: 'string',
+          description: 'Optional: ISO date or time to hide the task until, for any reason'
+        },
+        note: {
+          type: 'string',
+          description: 'Optional: Free-text detail, e.g. what it is blocked on'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Optional: Learning path of the task (uses the active path if not provided)'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Optional: Project ID (uses active project if not provided)'
+        }
+      },
+      required: ['task_id', 'reason']
+    }
+  },
+
+  // ========== STRATEGY EVOLUTION (Tool 8) ==========
+  evolve_strategy_forest: {
+    name: 'evolve_strategy_forest',
+    description: 'Analyze patterns and evolve the approach for active project. REQUIRED: hint parameter.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hint: {
+          type: 'string',
+          description: "**REQUIRED** What's working? What's not? What needs to change? (your feedback/hint for evolution)"
+        }
+      },
+      required: ['hint']
+    }
+  },
+
+  create_path_forest: {
+    name: 'create_path_forest',
+    description: 'Add a learning path to a project. Each path has its own HTA tree, completion log and learning history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path_name: {
+          type: 'string',
+          description: 'Path identifier (letters, numbers, "-" and "_"), e.g. "jazz_improvisation"'
+        },
+        goal: {
+          type: 'string',
+          description: 'What this path focuses on; used as the goal when its HTA tree is built (default: the project goal)'
+        },
+        description: {
+          type: 'string',
+          description: 'Optional notes about the path'
+        },
+        priority: {
+          type: 'string',
+          enum: ['high', 'medium', 'low'],
+          description: 'Relative priority of the path (default medium)'
+        },
+        activate: {
+          type: 'boolean',
+          description: 'Switch to the new path right away (default false)'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Project to add the path to, defaults to the active project'
+        }
+      },
+      required: ['path_name']
+    }
+  },
+
+  list_paths_forest: {
+    name: 'list_paths_forest',
+    description: 'List the learning paths of a project with per-path progress and a rollup comparing the paths',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to inspect, defaults to the active project'
+        }
+      }
+    }
+  },
+
+  switch_path_forest: {
+    name: 'switch_path_forest',
+    description: 'Make a learning path active. Task selection, HTA status and completions then use that path',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path_name: {
+          type: 'string',
+          description: 'Path to switch to'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Project the path belongs to, defaults to the active project'
+        }
+      },
+      required: ['path_name']
+    }
+  },
+
+  verify_data_integrity_forest: {
+    name: 'verify_data_integrity_forest',
+    description: 'Check stored data for interrupted transactions, orphaned or partial projects, unreadable documents and project registry mismatches. Reports only, changes nothing',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Limit the check to one project (default: every project)'
+        }
+      }
+    }
+  },
+
+  add_hta_node_forest: {
+    name: 'add_hta_node_forest',
+    description: 'Add a task or a strategic branch to the HTA tree by hand. The tree is validated before saving and the previous version is snapshotted',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to edit, defaults to the active project'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Learning path to edit, defaults to the active path'
+        },
+        node_type: {
+          type: 'string',
+          enum: ['task', 'branch'],
+          description: 'What to add (default task)'
+        },
+        title: {
+          type: 'string',
+          description: 'Task title (required for tasks)'
+        },
+        name: {
+          type: 'string',
+          description: 'Branch name (required for branches)'
+        },
+        branch: {
+          type: 'string',
+          description: 'Branch the task belongs to (required when the tree has branches)'
+        },
+        node_id: {
+          type: 'string',
+          description: 'ID for the new task (default: generated from the branch name)'
+        },
+        description: {
+          type: 'string',
+          description: 'Task or branch description'
+        },
+        difficulty: {
+          type: 'number',
+          minimum: 1,
+          maximum: 5,
+          description: 'Task difficulty 1-5 (default 3)'
+        },
+        duration: {
+          type: 'string',
+          description: 'Task duration, e.g. "30 minutes"'
+        },
+        prerequisites: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'IDs of tasks that must be completed first'
+        },
+        learning_outcome: {
+          type: 'string',
+          description: 'What completing the task teaches'
+        },
+        phase: {
+          type: 'string',
+          description: 'Branch phase'
+        },
+        position: {
+          type: 'number',
+          minimum: 0,
+          description: 'Zero-based position within the branch (tasks) or among branches (default: last)'
+        }
+      }
+    }
+  },
+
+  edit_hta_node_forest: {
+    name: 'edit_hta_node_forest',
+    description: 'Edit fields of an HTA task (node_id) or branch (branch_name). Renaming a branch moves its tasks with it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to edit, defaults to the active project'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Learning path to edit, defaults to the active path'
+        },
+        node_id: {
+          type: 'string',
+          description: 'Task to edit'
+        },
+        branch_name: {
+          type: 'string',
+          description: 'Branch to edit (instead of node_id)'
+        },
+        updates: {
+          type: 'object',
+          description: 'Fields to change. Tasks: title, description, difficulty, duration, priority, prerequisites, learning_outcome, completed. Branches: name, description, phase, priority'
+        }
+      },
+      required: ['updates']
+    }
+  },
+
+  move_hta_node_forest: {
+    name: 'move_hta_node_forest',
+    description: 'Move an HTA task to another branch and/or position, or reorder a branch. Priorities are renumbered to follow the new order',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to edit, defaults to the active project'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Learning path to edit, defaults to the active path'
+        },
+        node_id: {
+          type: 'string',
+          description: 'Task to move'
+        },
+        branch_name: {
+          type: 'string',
+          description: 'Branch to reorder (instead of node_id)'
+        },
+        to_branch: {
+          type: 'string',
+          description: 'Branch to move the task into'
+        },
+        position: {
+          type: 'number',
+          minimum: 0,
+          description: 'Zero-based target position (default: last in the target branch)'
+        }
+      }
+    }
+  },
+
+  delete_hta_node_forest: {
+    name: 'delete_hta_node_forest',
+    description: 'Delete an HTA task or branch. Deleted tasks are removed from other tasks\' prerequisites. A branch with tasks needs reassign_to or cascade',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to edit, defaults to the active project'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Learning path to edit, defaults to the active path'
+        },
+        node_id: {
+          type: 'string',
+          description: 'Task to delete'
+        },
+        branch_name: {
+          type: 'string',
+          description: 'Branch to delete (instead of node_id)'
+        },
+        reassign_to: {
+          type: 'string',
+          description: 'Branch that receives the deleted branch\'s tasks'
+        },
+        cascade: {
+          type: 'boolean',
+          description: 'Delete the branch\'s tasks with it (default false)'
+        }
+      }
+    }
+  },
+
+  set_task_dependencies_forest: {
+    name: 'set_task_dependencies_forest',
+    description: 'Set which tasks must be finished before a task can start. Edits that would create a prerequisite cycle are rejected',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to edit, defaults to the active project'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Learning path to edit, defaults to the active path'
+        },
+        node_id: {
+          type: 'string',
+          description: 'Task whose prerequisites change'
+        },
+        depends_on: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Replace the prerequisites with these task IDs (empty array clears them)'
+        },
+        add: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Task IDs to add as prerequisites'
+        },
+        remove: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Task IDs to remove from the prerequisites'
+        }
+      },
+      required: ['node_id']
+    }
+  },
+
+  infer_dependencies_forest: {
+    name: 'infer_dependencies_forest',
+    description: 'Suggest likely task prerequisites from branch order and task text, and report prerequisite cycles. Changes nothing unless apply is true',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to edit, defaults to the active project'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Learning path to edit, defaults to the active path'
+        },
+        apply: {
+          type: 'boolean',
+          description: 'Add the suggested prerequisites to the tree (default false)'
+        },
+        min_confidence: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          description: 'Lowest confidence to suggest (default 0.5; branch order scores 0.5, text mentions 0.9)'
+        },
+        max_per_task: {
+          type: 'number',
+          minimum: 1,
+          description: 'Most prerequisites suggested per task (default 2)'
+        }
+      }
+    }
+  },
+
+  diff_hta_forest: {
+    name: 'diff_hta_forest',
+    description: 'Show a structural diff of the HTA tree: added, removed, moved and modified tasks and branches. Compares snapshots, or a snapshot against the current tree',
     inputSchema: {
       type: 'object',
       properties: {
-        path_name: {
+        project_id: {
           type: 'string',
-          description: 'Learning path to build HTA tree for (e.g. "saxophone", "piano"). Uses active path or general if not specified.'
+          description: 'Project to inspect, defaults to the active project'
         },
-        goal: {
+        path_name: {
           type: 'string',
-          description: 'Optional goal override. If not provided, uses the goal from active project configuration.'
+          description: 'Learning path to diff, defaults to the active path'
         },
-        context: {
+        from_snapshot_id: {
           type: 'string',
-          description: 'Optional context override. If not provided, uses context from active project configuration.'
+          description: 'hta.json snapshot to diff from (default: the most recent snapshot of the path)'
         },
-        learning_style: {
+        to_snapshot_id: {
           type: 'string',
-          description: 'Learning approach preference (e.g. "hands-on", "theoretical", "mixed"). Defaults to "mixed".'
+          description: 'hta.json snapshot to diff to (default: the current tree)'
         },
-        focus_areas: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Specific areas to emphasize in the learning plan (e.g. ["fundamentals", "practical application"]).'
+        similarity_threshold: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          description: 'Minimum title similarity for pairing tasks whose IDs changed (default 0.6)'
         }
       }
     }
   },
 
-  get_hta_status_forest: {
-    name: 'get_hta_status_forest',
-    description: 'View HTA strategic framework for active project',
+  // ========== SYSTEM STATUS (Tools 9-10) ==========
+  current_status_forest: {
+    name: 'current_status_forest',
+    description: 'Show todays progress and next action for active project',
     inputSchema: {
       type: 'object',
       properties: {}
     }
   },
 
-  // ========== TASK MANAGEMENT (Tools 6-7) ==========
-  get_next_task_forest: {
-    name: 'get_next_task_forest',
-    description: 'Get the single most logical next task based on current progress and context. No required parameters.',
+  generate_daily_schedule_forest: {
+    name: 'generate_daily_schedule_forest',
+    description: 'ON-DEMAND: Generate comprehensive gap-free daily schedule when requested by user',
     inputSchema: {
       type: 'object',
       properties: {
+        date: {
+          type: 'string',
+          description: 'YYYY-MM-DD, defaults to today'
+        },
         energy_level: {
           type: 'number',
           minimum: 1,
           maximum: 5,
-          description: 'Optional: Current energy level to match appropriate task difficulty (1-5)'
+          description: 'Current energy level (affects task difficulty and timing)'
         },
-        time_available: {
+        available_hours: {
           type: 'string',
-          description: 'Optional: Time available for the task (e.g. "30 minutes", "1 hour")'
+          description: 'Comma-separated list of hours to prioritize (e.g. "9,10,11,14,15")'
         },
-        context_from_memory: {
+        focus_type: {
           type: 'string',
-          description: 'Optional: Context retrieved from Memory MCP about recent progress/insights'
+          enum: ['learning', 'building', 'networking', 'habits', 'mixed'],
+          description: 'Type of work to prioritize today'
+        },
+        schedule_request_context: {
+          type: 'string',
+          description: 'User context about why they need a schedule now (e.g. "planning tomorrow", "need structure today")'
         }
       }
     }
   },
 
-  complete_block_forest: {
-    name: 'complete_block_forest',
-    description: 'Complete time block and capture insights for active project. REQUIRED: block_id parameter.',
+  get_progress_analytics_forest: {
+    name: 'get_progress_analytics_forest',
+    description: 'Progress analytics for a learning path: daily and weekly completion velocity, streaks, time invested and task coverage per strategic branch, difficulty trend, energy versus outcome correlations and breakthrough frequency. Returns a markdown report and structured data',
     inputSchema: {
       type: 'object',
       properties: {
-        block_id: {
+        project_id: {
           type: 'string',
-          description: '**REQUIRED** ID of the task block to complete'
+          description: 'Project to analyze, defaults to the active project'
         },
-        outcome: {
+        path_name: {
           type: 'string',
-          description: 'Optional: What happened? Key insights?'
+          description: 'Learning path to analyze, defaults to the active path'
         },
-        energy_level: {
+        days: {
           type: 'number',
           minimum: 1,
-          maximum: 5,
-          description: 'Optional: Energy after completion (1-5)'
+          maximum: 365,
+          description: 'Days of history to analyze, ending today (default 28). Streaks always use the whole history'
         },
-        learned: {
+        as_of: {
           type: 'string',
-          description: 'Optional: What specific knowledge or skills did you gain?'
+          description: 'Date the window ends on (YYYY-MM-DD or ISO timestamp), defaults to now'
+        }
+      }
+    }
+  },
+
+  forecast_goal_forest: {
+    name: 'forecast_goal_forest',
+    description: 'Forecast when the learning goal and each strategic branch will realistically be done (P50 and P90 dates), from the critical path of remaining tasks, estimated durations and the pace in the completion log',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to forecast, defaults to the active project'
         },
-        next_questions: {
+        path_name: {
           type: 'string',
-          description: 'What questions emerged? What do you need to learn next?'
+          description: 'Learning path to forecast, defaults to the active path'
         },
-        difficulty_rating: {
+        window_days: {
           type: 'number',
           minimum: 1,
-          maximum: 5,
-          description: 'How difficult was this task? (1=too easy, 5=too hard)'
+          description: 'Days of completion history used to measure pace (default 28)'
         },
-        breakthrough: {
-          type: 'boolean',
-          description: 'Major insight or breakthrough?'
+        hours_per_day: {
+          type: 'number',
+          minimum: 0,
+          maximum: 16,
+          description: 'Assumed hours per active day while there is too little history (default 1, five days a week)'
+        },
+        as_of: {
+          type: 'string',
+          description: 'YYYY-MM-DD to forecast from, defaults to today'
         }
-      },
-      required: ['block_id', 'outcome', 'energy_level']
+      }
     }
   },
 
-  // ========== STRATEGY EVOLUTION (Tool 8) ==========
-  evolve_strategy_forest: {
-    name: 'evolve_strategy_forest',
-    description: 'Analyze patterns and evolve the approach for active project. REQUIRED: hint parameter.',
+  get_estimate_accuracy_forest: {
+    name: 'get_estimate_accuracy_forest',
+    description: 'Report how close duration estimates have been to the actual minutes logged with complete_block_forest, week by week and per task type, and how estimates are now being adjusted',
     inputSchema: {
       type: 'object',
       properties: {
-        hint: {
+        project_id: {
           type: 'string',
-          description: "**REQUIRED** What's working? What's not? What needs to change? (your feedback/hint for evolution)"
+          description: 'Optional: Only count tasks from this project (default: all projects)'
+        },
+        task_type: {
+          type: 'string',
+          enum: ['creation', 'learning', 'practice', 'debugging', 'verification', 'general'],
+          description: 'Optional: Only count tasks of this type'
         }
-      },
-      required: ['hint']
+      }
     }
   },
 
-  // ========== SYSTEM STATUS (Tools 9-10) ==========
-  current_status_forest: {
-    name: 'current_status_forest',
-    description: 'Show todays progress and next action for active project',
+  plan_week_forest: {
+    name: 'plan_week_forest',
+    description: 'Spread remaining HTA tasks across the coming days within per-day hour budgets, respecting dependencies and checking the project deadline',
     inputSchema: {
       type: 'object',
-      properties: {}
+      properties: {
+        start_date: {
+          type: 'string',
+          description: 'YYYY-MM-DD, defaults to today'
+        },
+        days: {
+          type: 'number',
+          minimum: 1,
+          maximum: 28,
+          description: 'Number of days to plan (default 7)'
+        },
+        hours_per_day: {
+          type: 'number',
+          minimum: 0,
+          maximum: 16,
+          description: 'Hours available on each day (default 2)'
+        },
+        day_hours: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Per-day hour budgets overriding hours_per_day (e.g. [2, 2, 0, 3, 2, 4, 4])'
+        },
+        energy_level: {
+          type: 'number',
+          minimum: 1,
+          maximum: 5,
+          description: 'Typical energy level used for duration estimates'
+        }
+      }
     }
   },
 
-  generate_daily_schedule_forest: {
-    name: 'generate_daily_schedule_forest',
-    description: 'ON-DEMAND: Generate comprehensive gap-free daily schedule when requested by user',
+  get_week_plan_forest: {
+    name: 'get_week_plan_forest',
+    description: 'Show the current week plan, carrying unfinished blocks from past days forward',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        as_of: {
+          type: 'string',
+          description: 'YYYY-MM-DD treated as today when carrying over unfinished blocks, defaults to today'
+        }
+      }
+    }
+  },
+
+  edit_week_plan_forest: {
+    name: 'edit_week_plan_forest',
+    description: 'Move or remove a block in the week plan, or change the hours available on a day',
     inputSchema: {
       type: 'object',
       properties: {
+        action: {
+          type: 'string',
+          enum: ['move', 'remove', 'set_hours'],
+          description: 'Edit to apply'
+        },
+        block_id: {
+          type: 'string',
+          description: 'Block to move or remove'
+        },
+        target_date: {
+          type: 'string',
+          description: 'YYYY-MM-DD destination day for move'
+        },
         date: {
           type: 'string',
-          description: 'YYYY-MM-DD, defaults to today'
+          description: 'YYYY-MM-DD day whose budget set_hours changes'
         },
-        energy_level: {
+        hours: {
+          type: 'number',
+          minimum: 0,
+          maximum: 16,
+          description: 'New hour budget for set_hours'
+        }
+      },
+      required: ['action']
+    }
+  },
+
+  export_calendar_forest: {
+    name: 'export_calendar_forest',
+    description: 'Export generated schedules and planned week blocks as an iCalendar (.ics) file with task ID, branch and estimated duration on each event',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        date: {
+          type: 'string',
+          description: 'YYYY-MM-DD to export a single day'
+        },
+        start_date: {
+          type: 'string',
+          description: 'YYYY-MM-DD start of the export range, defaults to today'
+        },
+        days: {
           type: 'number',
           minimum: 1,
-          maximum: 5,
-          description: 'Current energy level (affects task difficulty and timing)'
+          maximum: 90,
+          description: 'Number of days to export (default 7)'
         },
-        available_hours: {
+        include_week_plan: {
+          type: 'boolean',
+          description: 'Include week-plan blocks for days without a generated schedule (default true)'
+        },
+        include_breaks: {
+          type: 'boolean',
+          description: 'Include break and review blocks (default false)'
+        },
+        output_path: {
           type: 'string',
-          description: 'Comma-separated list of hours to prioritize (e.g. "9,10,11,14,15")'
+          description: 'File to write the .ics to; when omitted the calendar is returned inline'
+        }
+      }
+    }
+  },
+
+  import_calendar_forest: {
+    name: 'import_calendar_forest',
+    description: 'Import an iCalendar (.ics) file of existing commitments so those slots are treated as unavailable when scheduling',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ics_content: {
+          type: 'string',
+          description: 'Raw .ics text'
         },
-        focus_type: {
+        file_path: {
           type: 'string',
-          enum: ['learning', 'building', 'networking', 'habits', 'mixed'],
-          description: 'Type of work to prioritize today'
+          description: 'Path to an .ics file (used when ics_content is not given)'
         },
-        schedule_request_context: {
+        start_date: {
           type: 'string',
-          description: 'User context about why they need a schedule now (e.g. "planning tomorrow", "need structure today")'
+          description: 'YYYY-MM-DD start of the import horizon, defaults to today'
+        },
+        horizon_days: {
+          type: 'number',
+          minimum: 1,
+          maximum: 366,
+          description: 'Days of commitments to keep, including expanded recurring events (default 90)'
+        },
+        replace: {
+          type: 'boolean',
+          description: 'Replace previously imported commitments instead of merging by UID (default false)'
         }
       }
     }
@@ -557,6 +1568,10 @@ export const FOREST_TOOLS = {
         project_id: {
           type: 'string',
           description: 'Optional: Project ID (uses active project if not provided)'
+        },
+        explain: {
+          type: 'boolean',
+          description: 'Optional: Include a breakdown of why the primary task leads the pipeline and why runners-up lost'
         }
       }
     }
@@ -695,10 +1710,15 @@ export const FOREST_TOOLS = {
 
   optimize_vector_store_forest: {
     name: 'optimize_vector_store_forest',
-    description: 'Optimize SQLite vector store by performing WAL checkpoint and database maintenance',
+    description: 'Optimize SQLite vector store by performing WAL checkpoint and database maintenance, and rebuild the approximate nearest-neighbour (HNSW) index used for fast similarity search',
     inputSchema: {
       type: 'object',
-      properties: {}
+      properties: {
+        rebuild_index: {
+          type: 'boolean',
+          description: 'Rebuild the nearest-neighbour index from the stored vectors (default: true)'
+        }
+      }
     }
   },
 
@@ -758,6 +1778,62 @@ export const FOREST_TOOLS = {
   },
 
   // ========== VECTORIZATION TOOLS ==========
+  search_forest: {
+    name: 'search_forest',
+    description: 'Search the goal, strategic branches, tasks, completion notes and breakthroughs of a learning path. Combines keyword (BM25) and semantic matches with reciprocal-rank fusion, so "what was that task about X?" finds both exact words and paraphrases',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for, in your own words'
+        },
+        type: {
+          type: 'array',
+          items: { type: 'string', enum: ['goal', 'branch', 'task', 'completion', 'breakthrough'] },
+          description: 'Only return these kinds of results (default all)'
+        },
+        branch: {
+          type: 'string',
+          description: 'Only return results from this strategic branch'
+        },
+        from: {
+          type: 'string',
+          description: 'Only results dated on or after this date (YYYY-MM-DD); completions use their completion date'
+        },
+        to: {
+          type: 'string',
+          description: 'Only results dated on or before this date (YYYY-MM-DD)'
+        },
+        status: {
+          type: 'string',
+          enum: ['completed', 'pending'],
+          description: 'Only completed or only pending tasks'
+        },
+        limit: {
+          type: 'number',
+          minimum: 1,
+          maximum: 50,
+          description: 'Maximum number of results (default 10)'
+        },
+        mode: {
+          type: 'string',
+          enum: ['hybrid', 'lexical', 'vector'],
+          description: 'hybrid (default) fuses keyword and semantic ranking; lexical or vector use one of them'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Project to search, defaults to the active project'
+        },
+        path_name: {
+          type: 'string',
+          description: 'Learning path to search, defaults to the active path'
+        }
+      },
+      required: ['query']
+    }
+  },
+
   get_vectorization_status_forest: {
     name: 'get_vectorization_status_forest',
     description: 'Get current vectorization status and capabilities for the active project',
@@ -790,6 +1866,39 @@ export const FOREST_TOOLS = {
     }
   },
 
+  reindex_vectors_forest: {
+    name: 'reindex_vectors_forest',
+    description: 'Re-embed stored vectors with the configured embedding provider, model and dimension. Use after changing FOREST_EMBEDDING_PROVIDER, the model or a vector store dimension: each vector records the embedding it was made with, and mixed embeddings give meaningless similarities. Runs in batches with progress saved, so an interrupted or batch-limited run continues on the next call',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'string',
+          description: 'Project to re-index, defaults to the active project'
+        },
+        all_projects: {
+          type: 'boolean',
+          description: 'Re-index every non-archived project (default false)'
+        },
+        batch_size: {
+          type: 'number',
+          minimum: 1,
+          maximum: 500,
+          description: 'Items embedded per checkpointed batch (default 25)'
+        },
+        max_batches: {
+          type: 'number',
+          minimum: 1,
+          description: 'Stop after this many batches per project; call again to continue (default: run to completion)'
+        },
+        restart: {
+          type: 'boolean',
+          description: 'Start over instead of resuming an unfinished re-index (default false)'
+        }
+      }
+    }
+  },
+
   // ========== AMBIGUOUS DESIRES TOOLS ==========
   assess_goal_clarity_forest: {
     name: 'assess_goal_clarity_forest',
@@ -953,7 +2062,19 @@ export const TOOL_CATEGORIES = {
     'create_project_forest',
     'switch_project_forest',
     'list_projects_forest',
-    'get_active_project_forest'
+    'get_active_project_forest',
+    'archive_project_forest',
+    'clone_project_forest',
+    'save_project_template_forest',
+    'create_project_from_template_forest',
+    'create_path_forest',
+    'list_paths_forest',
+    'switch_path_forest',
+    'export_project_forest',
+    'import_project_forest',
+    'list_snapshots_forest',
+    'restore_snapshot_forest',
+    'configure_snapshots_forest'
   ],
   'Gated Onboarding': [
     'start_learning_journey_forest',
@@ -962,22 +2083,44 @@ export const TOOL_CATEGORIES = {
   ],
   'HTA Intelligence': [
     'build_hta_tree_forest',
-    'get_hta_status_forest'
+    'get_hta_status_forest',
+    'add_hta_node_forest',
+    'edit_hta_node_forest',
+    'move_hta_node_forest',
+    'delete_hta_node_forest',
+    'set_task_dependencies_forest',
+    'infer_dependencies_forest'
   ],
   'Task Management': [
     'get_next_task_forest',
-    'complete_block_forest'
+    'complete_block_forest',
+    'start_task_forest',
+    'pause_task_forest',
+    'resume_task_forest',
+    'update_task_progress_forest',
+    'skip_task_forest',
+    'set_selection_policy_forest'
   ],
   'Next + Pipeline': [
     'get_next_pipeline_forest',
     'evolve_pipeline_forest'
   ],
   'Strategy Evolution': [
-    'evolve_strategy_forest'
+    'evolve_strategy_forest',
+    'diff_hta_forest'
   ],
   'System Status': [
     'current_status_forest',
-    'generate_daily_schedule_forest'
+    'verify_data_integrity_forest',
+    'forecast_goal_forest',
+    'get_progress_analytics_forest',
+    'get_estimate_accuracy_forest',
+    'generate_daily_schedule_forest',
+    'plan_week_forest',
+    'get_week_plan_forest',
+    'edit_week_plan_forest',
+    'export_calendar_forest',
+    'import_calendar_forest'
   ],
   'Advanced Features': [
     'sync_forest_memory_forest',
@@ -997,8 +2140,10 @@ export const TOOL_CATEGORIES = {
     'emergency_clear_cache_forest'
   ],
   'Vector Store Management': [
+    'search_forest',
     'get_vectorization_status_forest',
     'vectorize_project_data_forest',
+    'reindex_vectors_forest',
     'get_vector_store_status_forest',
     'optimize_vector_store_forest'
   ],
@@ -0,0 +1,524 @@
+/**
+ * Daily Schedule Generator
+ *
+ * Builds gap-free, time-blocked daily schedules from the active project's HTA
+ * frontier. Block lengths come from the DurationEstimationEngine and tasks are
+ * matched to the expected energy of each slot in the day, so demanding work
+ * lands in peak hours and lighter work fills the afternoon dip. Spaced-repetition
+ * reviews due that day are interleaved with the new tasks as short, light blocks.
+ */
+
+import { DurationEstimationEngine } from './duration-estimation-engine.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { ReviewScheduler } from './review-scheduler.js';
+import { REVIEW_CONSTANTS, interleaveReviews } from '../utils/spaced-repetition.js';
+import { FILE_NAMES, DEFAULT_PATHS, TASK_CONFIG } from './memory-sync.js';
+import { getBusyIntervals } from '../utils/icalendar.js';
+import { isTaskSnoozed } from '../../utils/task-skips.js';
+
+// Constants for schedule generation
+const SCHEDULE_CONSTANTS = {
+  DEFAULT_HOURS: [9, 10, 11, 13, 14, 15, 16],
+  DEFAULT_ENERGY_LEVEL: 3,
+  DEFAULT_BREAK_MINUTES: 5,
+  DEFAULT_LONG_BREAK_MINUTES: 15,
+  DEFAULT_LONG_BREAK_INTERVAL: 4,
+  MIN_BLOCK_MINUTES: TASK_CONFIG.MIN_DURATION,
+  MAX_DIFFICULTY: 5,
+  MORNING_END_MINUTE: 12 * 60,
+  AFTERNOON_DIP_START: 13 * 60,
+  AFTERNOON_DIP_END: 15 * 60,
+  MORNING_ENERGY_BOOST: 0.5,
+  AFTERNOON_ENERGY_DIP: 1,
+  ENERGY_STRETCH_LIMIT: 2,
+  FOCUS_MATCH_BONUS: 1,
+  ORDER_TIEBREAK_WEIGHT: 0.01,
+  MINUTES_PER_HOUR: 60,
+};
+
+// Keywords used to bias task selection towards the requested focus type
+const FOCUS_KEYWORDS = {
+  learning: ['learn', 'study', 'read', 'understand', 'research', 'introduction', 'concept'],
+  building: ['build', 'create', 'implement', 'develop', 'write', 'setup', 'set up', 'project'],
+  networking: ['network', 'connect', 'reach out', 'meet', 'community', 'mentor', 'linkedin', 'interview'],
+  habits: ['practice', 'daily', 'routine', 'habit', 'review', 'exercise', 'reflect'],
+};
+
+export class DailyScheduleGenerator {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.durationEngine = new DurationEstimationEngine();
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+    this.reviewScheduler = new ReviewScheduler(dataPersistence);
+  }
+
+  /**
+   * Generate, persist and present a schedule for the active project
+   */
+  async generateDailySchedule(args = {}) {
+    try {
+      const activeProject = await this.projectManagement.getActiveProject();
+      if (!activeProject || !activeProject.project_id) {
+        return {
+          content: [{
+            type: 'text',
+            text: '**No Active Project** ❌\n\nCreate or switch to a project first.',
+          }],
+        };
+      }
+
+      const projectId = activeProject.project_id;
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error(`Project ${projectId} has no configuration`);
+      }
+
+      const date = this.resolveDate(args.date);
+      const pathName = config.activePath || DEFAULT_PATHS.GENERAL;
+      const htaData = await this.loadHTA(projectId, pathName);
+      const completedTaskIds = [
+        ...this.getCompletedTaskIds(htaData),
+        ...(await this.loadLoggedCompletionIds(projectId, pathName)),
+      ];
+      // Reviews due by the end of the scheduled day
+      const reviews = await this.reviewScheduler.getDueReviewTasks(projectId, pathName, `${date}T23:59:59.999Z`);
+      const tasks = interleaveReviews(this.getSchedulableTasks(htaData, completedTaskIds, `${date}T23:59:59.999Z`), reviews.tasks, {
+        leadWithReview: reviews.leadWithReview,
+      });
+
+      if (tasks.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text:
+              `**Daily Schedule** 📅\n\n` +
+              `No open tasks were found for **${date}**.\n\n` +
+              `Use \`build_hta_tree_forest\` or \`evolve_strategy_forest\` to generate tasks first.`,
+          }],
+          schedule: null,
+        };
+      }
+
+      const scheduleData = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE)) || {};
+      const preferences = scheduleData.preferences || {};
+      const busySlots = await this.loadBusySlots(projectId, date);
+
+      const schedule = this.buildSchedule({
+        tasks,
+        date,
+        energyLevel: args.energy_level,
+        availableHours: args.available_hours,
+        focusType: args.focus_type,
+        preferences,
+        learningStyle: config.learning_style,
+        calibration: await this.durationCalibration.loadModel(),
+        completedTaskIds,
+        busySlots,
+      });
+      schedule.project_id = projectId;
+      schedule.path_name = pathName;
+      if (args.schedule_request_context) {
+        schedule.request_context = args.schedule_request_context;
+      }
+
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE, {
+        ...scheduleData,
+        schedules: { ...(scheduleData.schedules || {}), [date]: schedule },
+        preferences,
+        lastGenerated: schedule.generated_at,
+      });
+
+      return {
+        content: [{ type: 'text', text: this.formatSchedule(schedule, config) }],
+        success: true,
+        schedule,
+      };
+    } catch (error) {
+      console.error('DailyScheduleGenerator.generateDailySchedule failed:', error);
+      return {
+        content: [{
+          type: 'text',
+          text: `**Schedule Generation Failed** ❌\n\nError: ${error.message}\n\nUse \`get_next_task_forest\` for an immediate task recommendation.`,
+        }],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Build a schedule from a list of tasks. Pure: performs no I/O.
+   */
+  buildSchedule({
+    tasks = [],
+    date,
+    energyLevel,
+    availableHours,
+    focusType = 'mixed',
+    preferences = {},
+    learningStyle = 'mixed',
+    calibration = null,
+    completedTaskIds = [],
+    busySlots = [],
+  }) {
+    const energy = this.normalizeEnergy(energyLevel);
+    const breakMinutes = preferences.breakDuration || SCHEDULE_CONSTANTS.DEFAULT_BREAK_MINUTES;
+    const longBreakInterval = preferences.longBreakInterval || SCHEDULE_CONSTANTS.DEFAULT_LONG_BREAK_INTERVAL;
+    const windows = this.subtractBusySlots(this.buildWindows(this.parseAvailableHours(availableHours)), busySlots);
+
+    const candidates = tasks.map((task, index) => this.toCandidate(task, index, energy, learningStyle, focusType, calibration));
+    const satisfied = new Set(completedTaskIds);
+    const blocks = [];
+    let tasksSinceLongBreak = 0;
+
+    for (const window of windows) {
+      let cursor = window.start;
+
+      while (cursor < window.end) {
+        const remaining = window.end - cursor;
+        const candidate = this.pickCandidate(candidates, cursor, remaining, energy, satisfied);
+
+        if (!candidate) {
+          blocks.push(this.createBlock(date, blocks.length, 'review', cursor, window.end, {
+            title: 'Review, reflect and capture notes',
+          }));
+          break;
+        }
+
+        candidate.scheduled = true;
+        satisfied.add(candidate.task.id);
+        tasksSinceLongBreak++;
+
+        // Absorb a sliver too small for another block into the task itself
+        let taskEnd = cursor + candidate.minutes;
+        if (window.end - taskEnd < SCHEDULE_CONSTANTS.MIN_BLOCK_MINUTES) {
+          taskEnd = window.end;
+        }
+        blocks.push(this.createBlock(date, blocks.length, 'task', cursor, taskEnd, {
+          task_id: candidate.task.id,
+          title: candidate.task.title || candidate.task.id,
+          branch: candidate.branch,
+          difficulty: candidate.difficulty,
+          estimated_minutes: candidate.minutes,
+          confidence: candidate.confidence,
+          completed: false,
+          ...(candidate.task.is_review ? { review_id: candidate.task.review_id } : {}),
+        }));
+        cursor = taskEnd;
+
+        if (cursor >= window.end) break;
+
+        const isLongBreak = tasksSinceLongBreak >= longBreakInterval;
+        const pause = isLongBreak ? SCHEDULE_CONSTANTS.DEFAULT_LONG_BREAK_MINUTES : breakMinutes;
+        const breakEnd = window.end - (cursor + pause) < SCHEDULE_CONSTANTS.MIN_BLOCK_MINUTES
+          ? window.end
+          : cursor + pause;
+        blocks.push(this.createBlock(date, blocks.length, 'break', cursor, breakEnd, {
+          title: isLongBreak ? 'Long break' : 'Short break',
+        }));
+        if (isLongBreak) tasksSinceLongBreak = 0;
+        cursor = breakEnd;
+      }
+    }
+
+    const unscheduled = candidates
+      .filter(candidate => !candidate.scheduled)
+      .map(candidate => ({
+        task_id: candidate.task.id,
+        title: candidate.task.title || candidate.task.id,
+        estimated_minutes: candidate.minutes,
+        reason: this.describeUnscheduled(candidate, energy, satisfied),
+      }));
+
+    return {
+      date,
+      generated_at: new Date().toISOString(),
+      energy_level: energy,
+      focus_type: focusType || 'mixed',
+      windows: windows.map(window => ({ start: this.formatClock(window.start), end: this.formatClock(window.end) })),
+      busy: busySlots.map(slot => ({
+        start: this.formatClock(slot.start),
+        end: this.formatClock(slot.end),
+        summary: (slot.summaries || []).join(', ') || 'Busy',
+      })),
+      blocks,
+      unscheduled,
+      summary: this.summarizeBlocks(blocks),
+    };
+  }
+
+  /**
+   * Choose the best-fitting task for a slot starting at `startMinute`
+   */
+  pickCandidate(candidates, startMinute, remainingMinutes, energy, satisfied) {
+    const slotEnergy = this.getSlotEnergy(energy, startMinute);
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const candidate of candidates) {
+      if (candidate.scheduled) continue;
+      if (candidate.minutes > remainingMinutes) continue;
+      if (!candidate.prerequisites.every(id => satisfied.has(id))) continue;
+      if (candidate.difficulty > slotEnergy + SCHEDULE_CONSTANTS.ENERGY_STRETCH_LIMIT) continue;
+
+      const score =
+        -Math.abs(candidate.difficulty - slotEnergy) +
+        (candidate.focusMatch ? SCHEDULE_CONSTANTS.FOCUS_MATCH_BONUS : 0) -
+        candidate.index * SCHEDULE_CONSTANTS.ORDER_TIEBREAK_WEIGHT;
+
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Expected energy for a slot: a little higher in the morning, lower in the post-lunch dip
+   */
+  getSlotEnergy(energy, startMinute) {
+    if (startMinute < SCHEDULE_CONSTANTS.MORNING_END_MINUTE) {
+      return energy + SCHEDULE_CONSTANTS.MORNING_ENERGY_BOOST;
+    }
+    if (startMinute >= SCHEDULE_CONSTANTS.AFTERNOON_DIP_START && startMinute < SCHEDULE_CONSTANTS.AFTERNOON_DIP_END) {
+      return energy - SCHEDULE_CONSTANTS.AFTERNOON_ENERGY_DIP;
+    }
+    return energy;
+  }
+
+  toCandidate(task, index, energy, learningStyle, focusType, calibration = null) {
+    // Reviews have a fixed length instead of an estimate
+    const duration = task.is_review
+      ? { estimated_minutes: REVIEW_CONSTANTS.REVIEW_MINUTES, confidence_level: 1 }
+      : this.durationEngine.calculateTaskDuration(task, {
+        energy_level: energy,
+        learningStyle,
+        calibration,
+      });
+
+    return {
+      task,
+      index,
+      minutes: Math.max(SCHEDULE_CONSTANTS.MIN_BLOCK_MINUTES, duration.estimated_minutes),
+      confidence: duration.confidence_level,
+      difficulty: Math.min(SCHEDULE_CONSTANTS.MAX_DIFFICULTY, Math.max(1, Number(task.difficulty) || 3)),
+      prerequisites: Array.isArray(task.prerequisites) ? task.prerequisites : [],
+      branch: task.branch || task.phase || 'General',
+      focusMatch: this.matchesFocus(task, focusType),
+      scheduled: false,
+    };
+  }
+
+  matchesFocus(task, focusType) {
+    const keywords = FOCUS_KEYWORDS[focusType];
+    if (!keywords) return false;
+
+    const text = `${task.title || ''} ${task.description || ''} ${task.type || ''}`.toLowerCase();
+    return keywords.some(keyword => text.includes(keyword));
+  }
+
+  describeUnscheduled(candidate, energy, satisfied) {
+    if (!candidate.prerequisites.every(id => satisfied.has(id))) {
+      return 'Waiting on prerequisites';
+    }
+    if (candidate.difficulty > energy + SCHEDULE_CONSTANTS.MORNING_ENERGY_BOOST + SCHEDULE_CONSTANTS.ENERGY_STRETCH_LIMIT) {
+      return 'Too demanding for today\'s energy level';
+    }
+    return 'No time left in available hours';
+  }
+
+  createBlock(date, index, type, start, end, details = {}) {
+    return {
+      id: `block_${date}_${String(index + 1).padStart(2, '0')}`,
+      type,
+      start: this.formatClock(start),
+      end: this.formatClock(end),
+      duration_minutes: end - start,
+      ...details,
+    };
+  }
+
+  summarizeBlocks(blocks) {
+    const sumOf = type => blocks
+      .filter(block => block.type === type)
+      .reduce((total, block) => total + block.duration_minutes, 0);
+
+    return {
+      task_blocks: blocks.filter(block => block.type === 'task').length,
+      focus_minutes: sumOf('task'),
+      break_minutes: sumOf('break'),
+      review_minutes: sumOf('review'),
+      total_minutes: blocks.reduce((total, block) => total + block.duration_minutes, 0),
+    };
+  }
+
+  // ===== INPUT NORMALIZATION =====
+
+  /**
+   * Parse "9,10,11,14" (or an array of numbers) into sorted unique hours
+   */
+  parseAvailableHours(availableHours) {
+    let hours = availableHours;
+    if (typeof hours === 'string') {
+      hours = hours.split(',').map(hour => hour.trim()).filter(Boolean).map(Number);
+    }
+    if (!Array.isArray(hours)) {
+      return [...SCHEDULE_CONSTANTS.DEFAULT_HOURS];
+    }
+
+    const valid = hours.filter(hour => Number.isInteger(hour) && hour >= 0 && hour <= 23);
+    if (valid.length === 0) {
+      return [...SCHEDULE_CONSTANTS.DEFAULT_HOURS];
+    }
+    return [...new Set(valid)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Merge consecutive hours into contiguous windows expressed in minutes since midnight
+   */
+  buildWindows(hours) {
+    const windows = [];
+    for (const hour of hours) {
+      const start = hour * SCHEDULE_CONSTANTS.MINUTES_PER_HOUR;
+      const last = windows[windows.length - 1];
+      if (last && last.end === start) {
+        last.end = start + SCHEDULE_CONSTANTS.MINUTES_PER_HOUR;
+      } else {
+        windows.push({ start, end: start + SCHEDULE_CONSTANTS.MINUTES_PER_HOUR });
+      }
+    }
+    return windows;
+  }
+
+  /**
+   * Remove busy intervals from windows, dropping fragments too short for a block
+   */
+  subtractBusySlots(windows, busySlots = []) {
+    let free = windows;
+    for (const busy of busySlots) {
+      free = free.flatMap(window => {
+        if (busy.end <= window.start || busy.start >= window.end) return [window];
+        return [
+          { start: window.start, end: Math.max(window.start, busy.start) },
+          { start: Math.min(window.end, busy.end), end: window.end },
+        ];
+      });
+    }
+    return free.filter(window => window.end - window.start >= SCHEDULE_CONSTANTS.MIN_BLOCK_MINUTES);
+  }
+
+  normalizeEnergy(energyLevel) {
+    const energy = Number(energyLevel);
+    if (!Number.isFinite(energy)) return SCHEDULE_CONSTANTS.DEFAULT_ENERGY_LEVEL;
+    return Math.max(1, Math.min(5, energy));
+  }
+
+  resolveDate(date) {
+    if (date === undefined || date === null || date === '') {
+      return this.formatDate(new Date());
+    }
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid date "${date}". Use the YYYY-MM-DD format.`);
+    }
+    return date;
+  }
+
+  formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  formatClock(minutes) {
+    const hours = String(Math.floor(minutes / SCHEDULE_CONSTANTS.MINUTES_PER_HOUR)).padStart(2, '0');
+    const mins = String(minutes % SCHEDULE_CONSTANTS.MINUTES_PER_HOUR).padStart(2, '0');
+    return `${hours}:${mins}`;
+  }
+
+  // ===== HTA ACCESS =====
+
+  async loadHTA(projectId, pathName) {
+    const pathHTA = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+    if (pathHTA) return pathHTA;
+    return this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
+  }
+
+  isTaskComplete(task) {
+    return Boolean(task.completed || task.isComplete || task.status === 'completed');
+  }
+
+  /**
+   * Open tasks, leaving out those snoozed past `awakeBy` (the end of the scheduled day)
+   */
+  getSchedulableTasks(htaData, completedTaskIds = [], awakeBy = null) {
+    const frontier = Array.isArray(htaData?.frontierNodes) ? htaData.frontierNodes : [];
+    const completed = new Set(completedTaskIds);
+    return frontier.filter(task => task && task.id && !this.isTaskComplete(task) && !completed.has(task.id) &&
+      !(awakeBy && isTaskSnoozed(task, awakeBy)));
+  }
+
+  getCompletedTaskIds(htaData) {
+    const frontier = Array.isArray(htaData?.frontierNodes) ? htaData.frontierNodes : [];
+    const completedNodes = Array.isArray(htaData?.completedNodes) ? htaData.completedNodes : [];
+    return [
+      ...frontier.filter(task => task && this.isTaskComplete(task)).map(task => task.id),
+      ...completedNodes.map(node => (typeof node === 'string' ? node : node?.id)).filter(Boolean),
+    ];
+  }
+
+  /**
+   * Task IDs recorded in the path's completion log by complete_block_forest
+   */
+  async loadLoggedCompletionIds(projectId, pathName) {
+    const completionLog = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG);
+    const completions = Array.isArray(completionLog?.completions) ? completionLog.completions : [];
+    return completions.map(entry => entry.task_id || entry.block_id).filter(Boolean);
+  }
+
+  /**
+   * Busy intervals for `date` from commitments imported with import_calendar_forest
+   */
+  async loadBusySlots(projectId, date) {
+    const busyData = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CALENDAR_BUSY);
+    return getBusyIntervals(Array.isArray(busyData?.events) ? busyData.events : [], date);
+  }
+
+  // ===== PRESENTATION =====
+
+  formatSchedule(schedule, config = {}) {
+    const icons = { task: '🎯', break: '☕', review: '📝' };
+    let text = `**Daily Schedule for ${schedule.date}** 📅\n\n`;
+    text += `**Goal**: ${config.goal || 'Unknown'}\n`;
+    text += `**Energy Level**: ${schedule.energy_level}/5 | **Focus**: ${schedule.focus_type}\n\n`;
+
+    if (schedule.busy && schedule.busy.length > 0) {
+      text += `**Busy**: ${schedule.busy.map(slot => `${slot.start}–${slot.end} ${slot.summary}`).join('; ')}\n\n`;
+    }
+
+    for (const block of schedule.blocks) {
+      text += `${block.start}–${block.end} ${icons[block.type] || '•'} ${block.title}`;
+      if (block.type === 'task') {
+        text += ` _(${block.branch}, difficulty ${block.difficulty}/5)_`;
+      }
+      text += '\n';
+    }
+
+    const { summary } = schedule;
+    text += `\n**Summary**: ${summary.task_blocks} task blocks, ${summary.focus_minutes} min focused work, ` +
+      `${summary.break_minutes} min breaks, ${summary.review_minutes} min review\n`;
+
+    if (schedule.unscheduled.length > 0) {
+      text += `\n**Not scheduled today** (${schedule.unscheduled.length}):\n`;
+      schedule.unscheduled.slice(0, 5).forEach(item => {
+        text += `• ${item.title} — ${item.reason}\n`;
+      });
+    }
+
+    text += `\nUse \`complete_block_forest\` with a task ID as you finish each block.`;
+    return text;
+  }
+}
+
+export default DailyScheduleGenerator;
@@ -0,0 +1,220 @@
+/**
+ * Data Integrity Checker - consistency report for stored projects
+ * Serves verify_data_integrity_forest: interrupted transactions, partial or
+ * orphaned projects, unreadable documents and registry mismatches.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FILE_NAMES } from './memory-sync.js';
+import { SNAPSHOT_CONSTANTS } from './snapshot-manager.js';
+
+export const INTEGRITY_ISSUES = {
+  INTERRUPTED_TRANSACTION: { severity: 'error', label: 'Interrupted transaction' },
+  PARTIAL_PROJECT: { severity: 'error', label: 'Partial project' },
+  CORRUPT_DOCUMENT: { severity: 'error', label: 'Unreadable document' },
+  ORPHANED_REGISTRY_ENTRY: { severity: 'warning', label: 'Orphaned registry entry' },
+  UNREGISTERED_PROJECT: { severity: 'warning', label: 'Unregistered project' },
+  ORPHANED_SNAPSHOTS: { severity: 'warning', label: 'Orphaned snapshots' },
+};
+
+// Documents that only ever belong to a project; anything else (e.g. exported
+// bundles) does not make a directory a project.
+const PROJECT_FILES = new Set(Object.values(FILE_NAMES));
+
+export class DataIntegrityChecker {
+  constructor(dataPersistence) {
+    this.dataPersistence = dataPersistence;
+  }
+
+  /**
+   * verify_data_integrity_forest - report only, nothing is modified.
+   * Interrupted transactions are normally repaired at server start-up; any
+   * still listed here belong to a failed recovery or another running process.
+   */
+  async verifyDataIntegrity(args = {}) {
+    try {
+      const storage = await this.dataPersistence.getStorage();
+      const issues = [];
+      const add = (type, details) => issues.push({ type, severity: INTEGRITY_ISSUES[type].severity, ...details });
+
+      // Projects an interrupted transaction touched look inconsistent until it is recovered
+      const inFlight = new Set();
+      for (const entry of await this.dataPersistence.journal.listInterrupted()) {
+        entry.operations.forEach(operation => operation.scope.projectId && inFlight.add(operation.scope.projectId));
+        add('INTERRUPTED_TRANSACTION', {
+          project_id: entry.operations.map(operation => operation.scope.projectId).find(Boolean) || null,
+          message: entry.status === 'unreadable'
+            ? `Journal entry ${entry.id} is unreadable: ${entry.error}`
+            : `${entry.label || entry.id} stopped while ${entry.status} (${entry.operations.length} document(s))`,
+        });
+      }
+
+      const projectIds = args.project_id ? [args.project_id] : await storage.listProjects();
+      const validProjects = new Set();
+      for (const projectId of projectIds) {
+        const state = await this.checkProject(storage, projectId, add, inFlight.has(projectId));
+        if (state === 'valid') validProjects.add(projectId);
+      }
+
+      let globalConfig = null;
+      try {
+        globalConfig = await storage.read({ projectId: null, fileName: FILE_NAMES.CONFIG });
+      } catch (error) {
+        add('CORRUPT_DOCUMENT', { project_id: null, file: FILE_NAMES.CONFIG, message: `Global config: ${error.message}` });
+      }
+      const registered = Array.isArray(globalConfig?.projects) ? globalConfig.projects.map(project => project?.id) : [];
+
+      for (const projectId of registered.filter(id => !args.project_id || id === args.project_id)) {
+        if (!validProjects.has(projectId) && !(await this.hasConfig(storage, projectId))) {
+          add('ORPHANED_REGISTRY_ENTRY', { project_id: projectId || null, message: 'Listed in the global config but has no project config' });
+        }
+      }
+      const activeProject = globalConfig?.activeProject;
+      if (activeProject && !registered.includes(activeProject) && (!args.project_id || activeProject === args.project_id)
+        && !(await this.hasConfig(storage, activeProject))) {
+        add('ORPHANED_REGISTRY_ENTRY', { project_id: activeProject, message: 'Active project does not exist' });
+      }
+      for (const projectId of validProjects) {
+        if (globalConfig && !registered.includes(projectId) && !inFlight.has(projectId)) {
+          add('UNREGISTERED_PROJECT', { project_id: projectId, message: 'Has a project config but is missing from the global project list' });
+        }
+      }
+
+      for (const projectId of await this.listSnapshotOwners(args.project_id)) {
+        if (!validProjects.has(projectId) && !(await this.hasConfig(storage, projectId))) {
+          add('ORPHANED_SNAPSHOTS', { project_id: projectId, message: 'Snapshot history left behind by a missing project' });
+        }
+      }
+
+      const summary = {
+        storage: storage.describe().type,
+        projects_checked: projectIds.length,
+        valid_projects: validProjects.size,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length,
+      };
+      const healthy = issues.length === 0;
+
+      return {
+        content: [{ type: 'text', text: this.formatReport(summary, issues) }],
+        success: true,
+        healthy,
+        summary,
+        issues,
+      };
+    } catch (error) {
+      console.error('DataIntegrityChecker.verifyDataIntegrity failed:', error);
+      return this.errorResponse('Integrity Check Failed', error);
+    }
+  }
+
+  /**
+   * @returns {Promise<'valid'|'partial'|'missing'|'not_a_project'>}
+   */
+  async checkProject(storage, projectId, add, inFlight = false) {
+    if (!(await storage.projectExists(projectId))) return 'missing';
+
+    const pathNames = await storage.listPaths(projectId);
+    const documents = [
+      ...(await storage.listFiles(projectId)).map(fileName => ({ projectId, pathName: null, fileName })),
+    ];
+    for (const pathName of pathNames) {
+      for (const fileName of await storage.listFiles(projectId, pathName)) {
+        documents.push({ projectId, pathName, fileName });
+      }
+    }
+
+    let hasConfig = false;
+    for (const scope of documents) {
+      try {
+        const data = await storage.read(scope);
+        if (!scope.pathName && scope.fileName === FILE_NAMES.CONFIG && data) hasConfig = true;
+      } catch (error) {
+        add('CORRUPT_DOCUMENT', {
+          project_id: projectId,
+          file: scope.pathName ? `paths/${scope.pathName}/${scope.fileName}` : scope.fileName,
+          message: error.message,
+        });
+      }
+    }
+
+    if (hasConfig) return 'valid';
+    if (inFlight || (pathNames.length === 0 && !documents.some(scope => PROJECT_FILES.has(scope.fileName)))) {
+      return 'not_a_project';
+    }
+    const corruptConfig = documents.some(scope => !scope.pathName && scope.fileName === FILE_NAMES.CONFIG);
+    add('PARTIAL_PROJECT', {
+      project_id: projectId,
+      message: corruptConfig
+        ? 'Project config is unreadable'
+        : `No project config; ${documents.length} document(s) across ${pathNames.length} path(s)`,
+    });
+    return 'partial';
+  }
+
+  async hasConfig(storage, projectId) {
+    if (!projectId) return false;
+    try {
+      return Boolean(await storage.read({ projectId, pathName: null, fileName: FILE_NAMES.CONFIG }));
+    } catch (error) {
+      return true; // exists but unreadable, already reported
+    }
+  }
+
+  // Snapshots stay on disk beside the project whatever the storage adapter
+  async listSnapshotOwners(projectId = null) {
+    const dataDir = this.dataPersistence.dataDir;
+    let names;
+    try {
+      names = projectId ? [projectId] : await fs.readdir(dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const owners = [];
+    for (const name of names.filter(entry => !entry.startsWith('.'))) {
+      try {
+        const stat = await fs.stat(path.join(dataDir, name, SNAPSHOT_CONSTANTS.DIR_NAME));
+        if (stat.isDirectory()) owners.push(name);
+      } catch (error) {
+        // no snapshot history
+      }
+    }
+    return owners;
+  }
+
+  formatReport(summary, issues) {
+    let text = `**Data Integrity Report** ${issues.length === 0 ? '✅' : '⚠️'}\n\n`;
+    text += `**Storage**: ${summary.storage}\n`;
+    text += `**Projects checked**: ${summary.projects_checked} (${summary.valid_projects} valid)\n`;
+    text += `**Errors**: ${summary.errors} | **Warnings**: ${summary.warnings}\n`;
+
+    if (issues.length === 0) {
+      return text + '\nNo orphaned or partial projects found.';
+    }
+
+    for (const [type, { label }] of Object.entries(INTEGRITY_ISSUES)) {
+      const matching = issues.filter(issue => issue.type === type);
+      if (matching.length === 0) continue;
+      text += `\n**${label}s** (${matching.length})\n`;
+      for (const issue of matching) {
+        const where = [issue.project_id, issue.file].filter(Boolean).join('/');
+        text += `- ${where ? `\`${where}\`: ` : ''}${issue.message}\n`;
+      }
+    }
+    return text;
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default DataIntegrityChecker;
@@ -9,6 +9,9 @@ import os from 'os';
 import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
 import { SQLiteCacheManager } from './stubs/sqlite-cache-manager.js';
 import { projectOperationManager } from './project-operation-manager.js';
+import { SnapshotStore } from './snapshot-manager.js';
+import { createStorageAdapter } from './storage-adapters/index.js';
+import { WriteAheadJournal } from './write-ahead-journal.js';
 // Use stderr for logging to avoid interfering with MCP JSON-RPC on stdout
 const loggerModule = {
   getLogger: async () => ({
@@ -38,11 +41,33 @@ const DATA_PERSISTENCE_CONSTANTS = {
 const dataDirGlobal = process.env.FOREST_DATA_DIR || path.join(os.homedir(), '.forest-data');
 
 export class DataPersistence {
-  constructor(dataDir) {
+  /**
+   * @param {string} [dataDir]
+   * @param {{adapter?: 'filesystem'|'sqlite', storage?: object}} [options] - storage adapter
+   *   type (defaults to config/storage-config.js) or a ready adapter instance
+   */
+  constructor(dataDir, options = {}) {
     this.dataDir = dataDir || dataDirGlobal;
     this.cache = new SQLiteCacheManager();
     this.transactions = new Map(); // Active transactions
     this.logger = null; // Will be initialized lazily
+    this.storage = options.storage || createStorageAdapter(options.adapter, this.dataDir);
+    this.storageReady = null;
+    this.snapshotStore = new SnapshotStore(this.dataDir, {
+      readConfig: projectId => this.storage.read({ projectId, fileName: FILE_NAMES.CONFIG }),
+    });
+    this.journal = new WriteAheadJournal(this.dataDir);
+  }
+
+  async getStorage() {
+    if (!this.storageReady) {
+      this.storageReady = this.storage.initialize().catch(error => {
+        this.storageReady = null;
+        throw error;
+      });
+    }
+    await this.storageReady;
+    return this.storage;
   }
 
   async getLogger() {
@@ -84,11 +109,8 @@ export class DataPersistence {
 
     return projectOperationManager.executeWithLock(projectId, async function() {
       try {
-        await this.ensureDataDir();
-        const projectDir = path.join(this.dataDir, projectId);
-        await fs.mkdir(projectDir, { recursive: true });
-
-        const filePath = path.join(projectDir, fileName);
+        const storage = await this.getStorage();
+        const scope = { projectId, pathName: null, fileName };
 
         // Normalize data before saving
         let normalizedData = data;
@@ -96,8 +118,11 @@ export class DataPersistence {
           normalizedData = this._normalizeHTAData(data);
         }
 
-        // Atomic write with validation
-        await this._atomicWriteJSON(filePath, normalizedData);
+        // Keep the previous version of tracked files restorable
+        await this._snapshotBeforeWrite({ ...scope, readCurrent: () => storage.read(scope), nextData: normalizedData });
+
+        const storageTransaction = await this._joinTransaction(transaction, scope, normalizedData);
+        await storage.write(scope, normalizedData, storageTransaction);
 
         // CRITICAL FIX: Invalidate cache BEFORE AND AFTER successful write
         // This prevents race conditions where reads happen between write and cache invalidation
@@ -148,8 +173,8 @@ export class DataPersistence {
         return cached;
       }
 
-      const filePath = path.join(this.dataDir, projectId, fileName);
-      const data = await this._readJSON(filePath);
+      const storage = await this.getStorage();
+      const data = await storage.read({ projectId, pathName: null, fileName });
 
       if (data) {
         this.cache.set(cacheKey, data);
@@ -193,11 +218,8 @@ export class DataPersistence {
 
     return projectOperationManager.executeWithLock(projectId, async () => {
       try {
-        await this.ensureDataDir();
-        const pathDir = path.join(this.dataDir, projectId, 'paths', pathName);
-        await fs.mkdir(pathDir, { recursive: true });
-
-        const filePath = path.join(pathDir, fileName);
+        const storage = await this.getStorage();
+        const scope = { projectId, pathName, fileName };
 
         // Normalize data before saving
         let normalizedData = data;
@@ -205,8 +227,11 @@ export class DataPersistence {
           normalizedData = this._normalizeHTAData(data);
         }
 
-        // Atomic write with validation
-        await this._atomicWriteJSON(filePath, normalizedData);
+        // Keep the previous version of tracked files restorable
+        await this._snapshotBeforeWrite({ ...scope, readCurrent: () => storage.read(scope), nextData: normalizedData });
+
+        const storageTransaction = await this._joinTransaction(transaction, scope, normalizedData);
+        await storage.write(scope, normalizedData, storageTransaction);
 
         // CRITICAL FIX: Invalidate cache BEFORE AND AFTER successful write
         // This prevents race conditions where reads happen between write and cache invalidation
@@ -259,8 +284,8 @@ export class DataPersistence {
         return cached;
       }
 
-      const filePath = path.join(this.dataDir, projectId, 'paths', pathName, fileName);
-      const data = await this._readJSON(filePath);
+      const storage = await this.getStorage();
+      const data = await storage.read({ projectId, pathName, fileName });
 
       if (data) {
         this.cache.set(cacheKey, data);
@@ -293,14 +318,15 @@ export class DataPersistence {
 
   // ===== GLOBAL DATA OPERATIONS =====
 
-  async saveGlobalData(fileName, data) {
+  async saveGlobalData(fileName, data, transaction = null) {
     // Use a global lock to serialize global writes
     return projectOperationManager.executeWithLock('GLOBAL', async () => {
       try {
-        await this.ensureDataDir();
-        const filePath = path.join(this.dataDir, fileName);
+        const storage = await this.getStorage();
+        const scope = { projectId: null, pathName: null, fileName };
 
-        await this._atomicWriteJSON(filePath, data);
+        const storageTransaction = await this._joinTransaction(transaction, scope, data);
+        await storage.write(scope, data, storageTransaction);
         this.cache.delete(`global:${fileName}`);
 
         await this._log('debug', '[DataPersistence] Global data saved', { fileName });
@@ -324,8 +350,8 @@ export class DataPersistence {
         return cached;
       }
 
-      const filePath = path.join(this.dataDir, fileName);
-      const data = await this._readJSON(filePath);
+      const storage = await this.getStorage();
+      const data = await storage.read({ projectId: null, pathName: null, fileName });
 
       if (data) {
         this.cache.set(cacheKey, data);
@@ -348,12 +374,19 @@ export class DataPersistence {
 
   // ===== TRANSACTION SUPPORT =====
 
-  beginTransaction() {
+  // Transactions map onto storage adapter transactions. The adapter
+  // transaction is opened lazily by the first write that passes the ID, so
+  // beginTransaction can stay synchronous for existing callers.
+  // Every write is journaled before it reaches storage, so a crash during the
+  // storage commit can be completed by recoverInterruptedTransactions().
+  beginTransaction(label = null) {
     const transactionId = `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.transactions.set(transactionId, {
       id: transactionId,
+      label,
       operations: [],
       startTime: Date.now(),
+      storageBegin: null,
     });
 
     // Use stderr for logging to avoid interfering with MCP JSON-RPC
@@ -361,6 +394,22 @@ export class DataPersistence {
     return transactionId;
   }
 
+  async _joinTransaction(transactionId, scope, data) {
+    if (!transactionId) return null;
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw new Error(`Transaction ${transactionId} not found`);
+    }
+    if (!transaction.storageBegin) {
+      this.journal.open(transactionId, transaction.label);
+      transaction.storageBegin = this.storage.beginTransaction(transactionId);
+    }
+    await transaction.storageBegin;
+    await this.journal.record(transactionId, scope, data, () => this.storage.read(scope));
+    transaction.operations.push(scope);
+    return transactionId;
+  }
+
   async commitTransaction(transactionId) {
     const transaction = this.transactions.get(transactionId);
     if (!transaction) {
@@ -368,9 +417,26 @@ export class DataPersistence {
     }
 
     try {
-      // All operations were already executed during the transaction
-      // This is just cleanup
+      if (transaction.storageBegin) {
+        await transaction.storageBegin;
+        // From here on a crash leaves storage partly written; recovery completes it
+        await this.journal.markCommitting(transactionId);
+        try {
+          await this.storage.commitTransaction(transactionId);
+        } catch (error) {
+          // The adapter applies a commit all or nothing, so storage still holds
+          // the pre-transaction data and the journal entry must not replay it.
+          // A later rollbackTransaction only has the in-memory state left to clear.
+          transaction.storageBegin = null;
+          await this.journal.close(transactionId);
+          throw error;
+        }
+        await this.journal.markCommitted(transactionId);
+        await this.journal.close(transactionId);
+      }
       this.transactions.delete(transactionId);
+      // Reads made while the transaction was open saw (and cached) the data from before it
+      this._invalidateTransactionCache(transaction);
 
       await this._log('debug', '[DataPersistence] Transaction committed', {
         transactionId,
@@ -395,10 +461,16 @@ export class DataPersistence {
     }
 
     try {
-      // For simplicity, we'll just clear the transaction
-      // In a full implementation, we'd restore previous states
+      if (transaction.storageBegin) {
+        await transaction.storageBegin;
+        await this.storage.rollbackTransaction(transactionId);
+        await this.journal.close(transactionId);
+      }
       this.transactions.delete(transactionId);
 
+      // Cached reads may hold data that no longer exists
+      this._invalidateTransactionCache(transaction);
+
       await this._log('debug', '[DataPersistence] Transaction rolled back', {
         transactionId,
         operationCount: transaction.operations.length,
@@ -414,6 +486,33 @@ export class DataPersistence {
     }
   }
 
+  _invalidateTransactionCache(transaction) {
+    for (const { projectId, fileName } of transaction.operations) {
+      if (projectId) {
+        this.invalidateProjectCache(projectId);
+      } else {
+        this.cache.delete(`global:${fileName}`);
+      }
+    }
+  }
+
+  /**
+   * Finish transactions a previous process left half-written: ones that
+   * reached the storage commit are re-applied, ones still open are discarded
+   * (their writes never left memory).
+   * Call once at start-up, before anything else writes.
+   * @returns {Promise<Array<{id: string, label: string|null, action: string, operations: number, projects: string[]}>>}
+   */
+  async recoverInterruptedTransactions() {
+    const storage = await this.getStorage();
+    const recovered = await this.journal.recover(storage);
+    if (recovered.length > 0) {
+      this.cache.clear();
+      await this._log('warn', '[DataPersistence] Recovered interrupted transactions', { recovered });
+    }
+    return recovered;
+  }
+
   // ===== CACHE MANAGEMENT =====
 
   invalidateProjectCache(projectId) {
@@ -517,57 +616,63 @@ export class DataPersistence {
     return true;
   }
 
-  // List all files in a project directory
-  async listProjectFiles(projectId) {
-    try {
-      const projectDir = path.join(this.dataDir, projectId);
-      const files = await fs.readdir(projectDir);
-      return files.filter(file => file.endsWith('.json'));
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return [];
-      }
-      throw error;
-    }
+  // Remove a project-level document; missing documents are ignored
+  async removeProjectData(projectId, fileName, transaction = null) {
+    return this._removeDocument({ projectId, pathName: null, fileName }, transaction);
   }
 
-  // ===== UTILITY METHODS =====
+  // Remove a document of a learning path; missing documents are ignored
+  async removePathData(projectId, pathName, fileName, transaction = null) {
+    return this._removeDocument({ projectId, pathName, fileName }, transaction);
+  }
 
-  async _atomicWriteJSON(filePath, data) {
-    const tempPath = `${filePath}.tmp`;
+  async _removeDocument(scope, transaction) {
+    return projectOperationManager.executeWithLock(scope.projectId, async () => {
+      const storage = await this.getStorage();
+      const storageTransaction = await this._joinTransaction(transaction, scope, null);
+      await storage.remove(scope, storageTransaction);
+      this.invalidateProjectCache(scope.projectId);
+      return true;
+    });
+  }
 
-    try {
-      // Write to temporary file first
-      await fs.writeFile(
-        tempPath,
-        JSON.stringify(data, null, DATA_PERSISTENCE_CONSTANTS.JSON_INDENT),
-        'utf8'
-      );
+  // List all project-level files of a project
+  async listProjectFiles(projectId) {
+    const storage = await this.getStorage();
+    return storage.listFiles(projectId);
+  }
 
-      // Atomic move to final location
-      await fs.rename(tempPath, filePath);
+  // List the learning paths that have their own data
+  async listPathNames(projectId) {
+    const storage = await this.getStorage();
+    return storage.listPaths(projectId);
+  }
 
-      return true;
-    } catch (error) {
-      // Clean up temp file if it exists
-      try {
-        await fs.unlink(tempPath);
-      } catch (cleanupError) {
-        // Ignore cleanup errors
-      }
-      throw error;
-    }
+  // List all files of a learning path
+  async listPathFiles(projectId, pathName) {
+    const storage = await this.getStorage();
+    return storage.listFiles(projectId, pathName);
   }
 
-  async _readJSON(filePath) {
+  // ===== UTILITY METHODS =====
+
+  async _snapshotBeforeWrite(details) {
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null;
+      const snapshot = await this.snapshotStore.captureBeforeWrite(details);
+      if (snapshot) {
+        await this._log('debug', '[DataPersistence] Snapshot taken', {
+          projectId: details.projectId,
+          fileName: details.fileName,
+          snapshotId: snapshot.id,
+        });
       }
-      throw error;
+    } catch (error) {
+      // A failed snapshot must never block the write itself
+      await this._log('warn', '[DataPersistence] Snapshot failed', {
+        projectId: details.projectId,
+        fileName: details.fileName,
+        error: error.message,
+      });
     }
   }
 
@@ -655,30 +760,28 @@ export class DataPersistence {
 
   async getProjectList() {
     try {
-      await this.ensureDataDir();
-      const entries = await fs.readdir(this.dataDir, { withFileTypes: true });
+      const storage = await this.getStorage();
+      const projectIds = await storage.listProjects();
 
       const projects = [];
-      for (const entry of entries) {
-        if (entry.isDirectory() && !entry.name.startsWith('.')) {
-          try {
-            const configPath = path.join(this.dataDir, entry.name, FILE_NAMES.CONFIG);
-            const config = await this._readJSON(configPath);
-            if (config) {
-              projects.push({
-                id: entry.name,
-                goal: config.goal,
-                created_at: config.created_at,
-                progress: config.progress || 0,
-              });
-            }
-          } catch (error) {
-            // Skip projects without valid config
-            await this._log('debug', '[DataPersistence] Skipping invalid project', {
-              projectId: entry.name,
-              error: error.message,
+      for (const projectId of projectIds) {
+        try {
+          const config = await storage.read({ projectId, pathName: null, fileName: FILE_NAMES.CONFIG });
+          if (config) {
+            projects.push({
+              id: projectId,
+              goal: config.goal,
+              created_at: config.created_at,
+              progress: config.progress || 0,
+              archived: config.archived === true,
             });
           }
+        } catch (error) {
+          // Skip projects without valid config
+          await this._log('debug', '[DataPersistence] Skipping invalid project', {
+            projectId,
+            error: error.message,
+          });
         }
       }
 
@@ -693,9 +796,8 @@ export class DataPersistence {
 
   async projectExists(projectId) {
     try {
-      const projectDir = path.join(this.dataDir, projectId);
-      const stats = await fs.stat(projectDir);
-      return stats.isDirectory();
+      const storage = await this.getStorage();
+      return await storage.projectExists(projectId);
     } catch (error) {
       return false;
     }
@@ -703,8 +805,10 @@ export class DataPersistence {
 
   async deleteProject(projectId) {
     try {
-      const projectDir = path.join(this.dataDir, projectId);
-      await fs.rm(projectDir, { recursive: true, force: true });
+      const storage = await this.getStorage();
+      await storage.deleteProject(projectId);
+      // Snapshots live on disk beside the project whatever the adapter
+      await fs.rm(path.join(this.dataDir, projectId), { recursive: true, force: true });
 
       // Clear related cache entries
       this.invalidateProjectCache(projectId);
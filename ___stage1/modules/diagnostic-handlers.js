@@ -592,6 +592,10 @@ export class DiagnosticHandlers {
   /**
    * Optimize SQLite Vector Store
    */
+  /**
+   * Checkpoint the vector database and rebuild its nearest-neighbour index.
+   * @param {{rebuild_index?: boolean}} args
+   */
   async optimizeVectorStore(args) {
     try {
       if (!this.vectorStore) {
@@ -604,10 +608,16 @@ export class DiagnosticHandlers {
         };
       }
 
+      // HTAVectorStore wraps the provider that owns the database and index
+      const provider = this.vectorStore.provider || this.vectorStore;
+      const readStats = async () => (typeof provider.getStats === 'function'
+        ? provider.getStats().catch(() => null)
+        : this.safeVectorStoreStats());
+
       let statusText = `**🔧 Optimizing SQLite Vector Store...**\n\n`;
       
       // Get initial stats
-      const initialStats = await this.safeVectorStoreStats();
+      const initialStats = await readStats();
       statusText += `**Initial Stats:**\n`;
       statusText += `• Vectors: ${initialStats?.vectorCount || 0}\n`;
       statusText += `• Database size: ${initialStats?.totalSize ? (initialStats.totalSize / 1024).toFixed(2) + ' KB' : 'Unknown'}\n\n`;
@@ -616,20 +626,34 @@ export class DiagnosticHandlers {
       statusText += `**Optimization Steps:**\n`;
       
       // 1. Flush and checkpoint WAL if method exists
-      if (typeof this.vectorStore.flush === 'function') {
-        await this.vectorStore.flush();
+      if (typeof provider.flush === 'function') {
+        await provider.flush();
         statusText += `• ✅ WAL checkpoint completed\n`;
       } else {
         statusText += `• ✅ Vector store optimization (auto-managed)\n`;
       }
+
+      // 2. Rebuild the approximate nearest-neighbour index
+      let index = null;
+      if (args?.rebuild_index === false) {
+        statusText += `• ⏭️ Index rebuild skipped\n`;
+      } else if (typeof provider.rebuildIndex === 'function') {
+        index = await provider.rebuildIndex();
+        statusText += index
+          ? `• ✅ ANN index rebuilt: ${index.vectors} vectors, ${index.levels} levels in ${index.buildMs} ms\n`
+          : `• ✅ No ANN index to rebuild\n`;
+      }
       
-      // 2. Get final stats
-      const finalStats = await this.safeVectorStoreStats();
+      // 3. Get final stats
+      const finalStats = await readStats();
       statusText += `• ✅ Statistics updated\n\n`;
       
       statusText += `**Final Stats:**\n`;
       statusText += `• Vectors: ${finalStats?.vectorCount || 0}\n`;
       statusText += `• Database size: ${finalStats?.totalSize ? (finalStats.totalSize / 1024).toFixed(2) + ' KB' : 'Unknown'}\n`;
+      if (index) {
+        statusText += `• ANN index: ${index.vectors >= index.minVectors ? 'active' : `inactive below ${index.minVectors} vectors`}\n`;
+      }
       
       // Size comparison
       if (initialStats?.totalSize && finalStats?.totalSize) {
@@ -646,6 +670,7 @@ export class DiagnosticHandlers {
         content: [{ type: 'text', text: statusText }],
         initial_stats: initialStats,
         final_stats: finalStats,
+        index,
         space_recovered: (initialStats?.totalSize && finalStats?.totalSize) ? 
           initialStats.totalSize - finalStats.totalSize : 0,
         success: true
@@ -0,0 +1,165 @@
+/**
+ * Duration Calibration
+ *
+ * Keeps the user's history of estimated vs. actual task minutes, captured by
+ * complete_block_forest, and turns it into the calibration model that the
+ * DurationEstimationEngine applies. History is stored globally so it follows
+ * the user across projects.
+ */
+
+import { DurationEstimationEngine } from './duration-estimation-engine.js';
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import { getLeafTasks } from '../utils/hta-hierarchy-utils.js';
+import {
+  CALIBRATION_CONSTANTS,
+  buildCalibrationModel,
+  summarizeAccuracy,
+} from '../utils/duration-calibration.js';
+
+export class DurationCalibration {
+  constructor(dataPersistence, projectManagement = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.durationEngine = new DurationEstimationEngine();
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * get_estimate_accuracy_forest - how close estimates have been to actual time
+   */
+  async getEstimateAccuracy(args = {}) {
+    try {
+      const samples = (await this.loadSamples()).filter(sample =>
+        (!args.project_id || sample.project_id === args.project_id) &&
+        (!args.task_type || sample.task_type === args.task_type)
+      );
+      const accuracy = summarizeAccuracy(samples);
+      const model = buildCalibrationModel(samples);
+
+      return {
+        content: [{ type: 'text', text: this.formatAccuracy(accuracy, model, args) }],
+        success: true,
+        accuracy,
+        calibration: model,
+      };
+    } catch (error) {
+      console.error('DurationCalibration.getEstimateAccuracy failed:', error);
+      return this.errorResponse('Estimate Accuracy Failed', error);
+    }
+  }
+
+  // ===== MODEL =====
+
+  async loadSamples() {
+    const data = await this.dataPersistence.loadGlobalData(FILE_NAMES.DURATION_CALIBRATION);
+    return Array.isArray(data?.samples) ? data.samples : [];
+  }
+
+  /**
+   * Calibration is an adjustment, so planners fall back to plain estimates
+   * when the history cannot be read.
+   */
+  async loadModel() {
+    try {
+      return buildCalibrationModel(await this.loadSamples());
+    } catch (error) {
+      console.error('DurationCalibration.loadModel failed, using uncalibrated estimates:', error.message);
+      return buildCalibrationModel([]);
+    }
+  }
+
+  /**
+   * Record the actual minutes spent on an HTA task next to the estimates.
+   * @returns {Promise<Object|null>} The stored sample, or null when the task is not in the tree
+   */
+  async recordActual({ projectId, pathName, taskId, actualMinutes }) {
+    const minutes = Number(actualMinutes);
+    if (!(minutes > 0)) return null;
+
+    const config = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) || {};
+    const learningStyle = config.learning_style;
+
+    const htaData = await this.dataPersistence.loadPathData(projectId, pathName || DEFAULT_PATHS.GENERAL, FILE_NAMES.HTA);
+    const task = htaData ? getLeafTasks(htaData).find(entry => entry.id === taskId) : null;
+    if (!task) return null;
+
+    const data = (await this.dataPersistence.loadGlobalData(FILE_NAMES.DURATION_CALIBRATION)) || {};
+    const samples = Array.isArray(data.samples) ? data.samples : [];
+    const shown = this.durationEngine.calculateTaskDuration(task, { learningStyle, calibration: buildCalibrationModel(samples) });
+    const base = this.durationEngine.calculateTaskDuration(task, { learningStyle });
+
+    const sample = {
+      task_id: taskId,
+      project_id: projectId,
+      path_name: pathName || DEFAULT_PATHS.GENERAL,
+      task_type: base.task_type,
+      estimated_minutes: shown.estimated_minutes,
+      base_estimated_minutes: base.estimated_minutes,
+      actual_minutes: minutes,
+      completed_at: new Date().toISOString(),
+    };
+
+    await this.dataPersistence.saveGlobalData(FILE_NAMES.DURATION_CALIBRATION, {
+      ...data,
+      samples: [...samples, sample].slice(-CALIBRATION_CONSTANTS.MAX_SAMPLES),
+      lastUpdated: sample.completed_at,
+    });
+    return sample;
+  }
+
+  // ===== FORMATTING =====
+
+  formatAccuracy(accuracy, model, args = {}) {
+    let text = `**Estimate Accuracy** ⏱️\n\n`;
+    const scope = [args.project_id && `project ${args.project_id}`, args.task_type && `${args.task_type} tasks`].filter(Boolean);
+    if (scope.length > 0) text += `**Scope**: ${scope.join(', ')}\n`;
+
+    if (!accuracy.overall) {
+      return `${text}No actual times logged yet. Pass \`actual_minutes\` to \`complete_block_forest\` and estimates will start adjusting to your pace.`;
+    }
+
+    text += `**Logged tasks**: ${accuracy.overall.samples}\n`;
+    text += `**Typical error**: ${this.formatPercent(accuracy.overall.mean_abs_error)} · ${this.formatPercent(accuracy.overall.on_target)} within ±${this.formatPercent(CALIBRATION_CONSTANTS.ON_TARGET_TOLERANCE)}\n`;
+    text += `**Tendency**: ${this.formatTendency(accuracy.overall.median_ratio)}\n`;
+
+    text += `\n**By week**:\n`;
+    for (const week of accuracy.weeks) {
+      text += `- ${week.week_start}: ${this.formatPercent(week.mean_abs_error)} error, ${this.formatPercent(week.on_target)} on target (${week.samples} tasks)\n`;
+    }
+
+    text += `\n**By task type**:\n`;
+    for (const type of accuracy.task_types) {
+      const calibration = model.types[type.task_type];
+      const adjustment = calibration ? `, estimates now ×${calibration.ratio}` : '';
+      text += `- ${type.task_type}: ${this.formatPercent(type.mean_abs_error)} error, ${this.formatTendency(type.median_ratio)}${adjustment} (${type.samples} tasks)\n`;
+    }
+
+    return text;
+  }
+
+  formatTendency(ratio) {
+    if (Math.abs(ratio - 1) < 0.05) return 'on estimate';
+    return ratio > 1
+      ? `takes ${this.formatPercent(ratio - 1)} longer than estimated`
+      : `takes ${this.formatPercent(1 - ratio)} less than estimated`;
+  }
+
+  formatPercent(share) {
+    return `${Math.round(share * 100)}%`;
+  }
+
+  // ===== RESPONSES =====
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default DurationCalibration;
@@ -3,9 +3,13 @@
  * 
  * Calculates realistic, evidence-based task durations that feel authentic
  * and manageable to users, based on task characteristics, complexity,
- * learning style, and cognitive load factors.
+ * learning style, and cognitive load factors. When a calibration model is
+ * passed in the user context, base times, variance and confidence follow the
+ * user's logged actual minutes for the task type.
  */
 
+import { CALIBRATION_CONSTANTS, getCalibration } from '../utils/duration-calibration.js';
+
 export class DurationEstimationEngine {
   constructor() {
     // Base time estimates for fundamental learning operations (in minutes)
@@ -92,9 +96,10 @@ export class DurationEstimationEngine {
     const taskType = this.inferTaskType(task);
     const complexity = this.assessTaskComplexity(task);
     const cognitiveLoad = this.calculateCognitiveLoad(task, userContext);
+    const calibration = getCalibration(userContext.calibration, taskType);
     
     // Base time calculation
-    let baseTime = this.getBaseTimeForTask(task, taskType);
+    let baseTime = this.getBaseTimeForTask(task, taskType, calibration);
     
     // Apply complexity multiplier
     baseTime *= this.complexityMultipliers[complexity];
@@ -114,7 +119,7 @@ export class DurationEstimationEngine {
     baseTime += overhead;
     
     // Apply realistic variance (tasks rarely take exactly the estimated time)
-    const variance = this.calculateRealisticVariance(baseTime, complexity);
+    const variance = this.calculateRealisticVariance(baseTime, complexity, calibration);
     baseTime += variance;
     
     // Round to realistic increments (people don't work in exact minutes)
@@ -122,9 +127,11 @@ export class DurationEstimationEngine {
     
     return {
       estimated_minutes: finalDuration,
-      confidence_level: this.calculateConfidence(task, userContext),
-      factors_considered: this.getFactorsConsidered(complexity, experience, learningStyle),
-      time_breakdown: this.getTimeBreakdown(task, baseTime, overhead, variance)
+      confidence_level: this.calculateConfidence(task, userContext, calibration),
+      factors_considered: this.getFactorsConsidered(complexity, experience, learningStyle, calibration),
+      time_breakdown: this.getTimeBreakdown(task, baseTime, overhead, variance),
+      task_type: taskType,
+      calibration: calibration ? { ratio: calibration.ratio, samples: calibration.samples } : null
     };
   }
 
@@ -215,9 +222,16 @@ export class DurationEstimationEngine {
   }
 
   /**
-   * Get base time for a task based on its characteristics
+   * Get base time for a task, scaled by the user's calibration for its type
+   */
+  getBaseTimeForTask(task, taskType, calibration = null) {
+    return this.getDefaultBaseTime(task, taskType) * (calibration?.ratio || 1);
+  }
+
+  /**
+   * Base time from the task's characteristics alone
    */
-  getBaseTimeForTask(task, taskType) {
+  getDefaultBaseTime(task, taskType) {
     const action = (task.action || '').toLowerCase();
     
     // Specific action patterns
@@ -315,9 +329,10 @@ export class DurationEstimationEngine {
   }
 
   /**
-   * Add realistic variance - tasks rarely take exactly the estimated time
+   * Add realistic variance - tasks rarely take exactly the estimated time.
+   * With enough calibration samples the observed spread replaces the fixed factors.
    */
-  calculateRealisticVariance(baseTime, complexity) {
+  calculateRealisticVariance(baseTime, complexity, calibration = null) {
     const varianceFactors = {
       trivial: 0.1,
       simple: 0.15,
@@ -327,7 +342,7 @@ export class DurationEstimationEngine {
       expert: 0.5
     };
     
-    const varianceFactor = varianceFactors[complexity] || 0.2;
+    const varianceFactor = calibration?.spread ?? varianceFactors[complexity] ?? 0.2;
     return baseTime * varianceFactor * 0.5; // Add half the variance as buffer
   }
 
@@ -351,9 +366,10 @@ export class DurationEstimationEngine {
   }
 
   /**
-   * Calculate confidence level in the estimate
+   * Calculate confidence level in the estimate, blended with the observed
+   * accuracy for the task type as calibration samples accumulate
    */
-  calculateConfidence(task, userContext) {
+  calculateConfidence(task, userContext, calibration = null) {
     let confidence = 0.8; // Base confidence
     
     // More specific actions = higher confidence
@@ -371,18 +387,27 @@ export class DurationEstimationEngine {
       confidence -= 0.2;
     }
     
+    if (calibration?.mean_abs_error != null) {
+      const weight = calibration.samples / (calibration.samples + CALIBRATION_CONSTANTS.PRIOR_SAMPLES);
+      confidence = confidence * (1 - weight) + (1 - calibration.mean_abs_error) * weight;
+      return Math.max(CALIBRATION_CONSTANTS.CONFIDENCE_FLOOR, Math.min(1.0, confidence));
+    }
+    
     return Math.max(0.5, Math.min(1.0, confidence));
   }
 
   /**
    * Get human-readable factors that influenced the estimate
    */
-  getFactorsConsidered(complexity, experience, learningStyle) {
+  getFactorsConsidered(complexity, experience, learningStyle, calibration = null) {
     const factors = [];
     
     factors.push(`${complexity} complexity`);
     factors.push(`${experience.replace('_', ' ')} experience`);
     factors.push(`${learningStyle} learning style`);
+    if (calibration) {
+      factors.push(`calibrated from ${calibration.samples} logged task${calibration.samples === 1 ? '' : 's'} (×${calibration.ratio})`);
+    }
     
     return factors;
   }
@@ -0,0 +1,49 @@
+// DeterministicEmbeddingProvider.js
+import IEmbeddingProvider from './IEmbeddingProvider.js';
+
+/**
+ * Seeded sin/cos vectors. Stable and dependency-free but without semantic
+ * meaning: only identical texts are similar. Kept for tests and as the last
+ * resort when every other provider fails.
+ * Implements IEmbeddingProvider interface
+ */
+class DeterministicEmbeddingProvider extends IEmbeddingProvider {
+    /**
+     * @param {{dimension?: number}} [config]
+     */
+    constructor(config = {}) {
+        super();
+        this.dimension = config.dimension || 1536;
+    }
+
+    async initialize(config = {}) {
+        if (config.dimension) this.dimension = config.dimension;
+        return { success: true, provider: 'DeterministicEmbeddingProvider', dimension: this.dimension };
+    }
+
+    async embed(text, dimension = this.dimension) {
+        let seed = 0;
+        for (let i = 0; i < text.length; i++) seed = (seed * 31 + text.charCodeAt(i)) >>> 0;
+        const vec = new Array(dimension);
+        for (let i = 0; i < dimension; i++) {
+            vec[i] = Math.sin(seed + i) * Math.cos(seed * (i + 1));
+        }
+        // normalize
+        const mag = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return vec.map(v => v / mag);
+    }
+
+    getDimension() {
+        return this.dimension;
+    }
+
+    supportsDimension() {
+        return true;
+    }
+
+    describe() {
+        return { provider: 'deterministic', model: 'deterministic-hash', dimension: this.dimension };
+    }
+}
+
+export default DeterministicEmbeddingProvider;
@@ -0,0 +1,58 @@
+// IEmbeddingProvider.js
+/**
+ * Interface for text embedding providers.
+ *
+ * Methods:
+ *   - initialize(config)
+ *   - embed(text, dimension)
+ *   - embedBatch(texts, dimension)
+ *   - observeDocuments(texts)
+ *   - getDimension()
+ *   - supportsDimension(dimension)
+ *   - describe()
+ *
+ * A provider owns its vector dimension. Hashing providers can produce any
+ * dimension (`supportsDimension` returns true for all); model providers only
+ * produce the dimension of their model. `cacheable` is false for providers
+ * whose vectors change as they learn from documents.
+ */
+class IEmbeddingProvider {
+    /**
+     * @param {Object} config
+     * @returns {Promise<Object>} Initialization details
+     */
+    async initialize(config) { throw new Error('Not implemented'); }
+    /**
+     * @param {String} text
+     * @param {Number} [dimension]
+     * @returns {Promise<Array<Number>>}
+     */
+    async embed(text, dimension) { throw new Error('Not implemented'); }
+    /**
+     * @param {Array<String>} texts
+     * @param {Number} [dimension]
+     * @returns {Promise<Array<Array<Number>>>}
+     */
+    async embedBatch(texts, dimension) {
+        const vectors = [];
+        for (const text of texts) vectors.push(await this.embed(text, dimension));
+        return vectors;
+    }
+    /**
+     * Learn corpus statistics from indexed documents. No-op by default.
+     * @param {Array<String>} texts
+     */
+    async observeDocuments(texts) {}
+    getDimension() { throw new Error('Not implemented'); }
+    /**
+     * @param {Number} dimension
+     */
+    supportsDimension(dimension) { return dimension === this.getDimension(); }
+    get cacheable() { return true; }
+    /**
+     * @returns {{provider: String, model: String, dimension: Number}}
+     */
+    describe() { throw new Error('Not implemented'); }
+}
+
+export default IEmbeddingProvider;
@@ -0,0 +1,85 @@
+// LocalModelEmbeddingProvider.js
+import { promises as fs } from 'fs';
+import path from 'path';
+import IEmbeddingProvider from './IEmbeddingProvider.js';
+
+// Runtimes tried in order; both expose the same pipeline API
+const RUNTIME_PACKAGES = ['@huggingface/transformers', '@xenova/transformers'];
+
+/**
+ * Sentence-embedding model (ONNX, e.g. all-MiniLM-L6-v2) run on this machine
+ * through transformers.js. The model is loaded from `modelPath` only; remote
+ * downloads are disabled so it works air-gapped. The runtime package is an
+ * optional dependency and is imported on initialize.
+ * Implements IEmbeddingProvider interface
+ */
+class LocalModelEmbeddingProvider extends IEmbeddingProvider {
+    /**
+     * @param {{modelPath?: string, dimension?: number, pooling?: string, normalize?: boolean}} [config]
+     */
+    constructor(config = {}) {
+        super();
+        this.modelPath = config.modelPath || '.forest-models/all-MiniLM-L6-v2';
+        this.dimension = config.dimension || 384;
+        this.pooling = config.pooling || 'mean';
+        this.normalize = config.normalize !== false;
+        this.extractor = null;
+    }
+
+    /**
+     * @param {{modelPath?: string, dimension?: number, pooling?: string, normalize?: boolean}} [config]
+     */
+    async initialize(config = {}) {
+        if (config.modelPath) this.modelPath = config.modelPath;
+        if (config.pooling) this.pooling = config.pooling;
+        if (config.normalize !== undefined) this.normalize = config.normalize !== false;
+
+        const modelDir = path.resolve(this.modelPath);
+        try {
+            await fs.access(modelDir);
+        } catch (err) {
+            throw new Error(`Local embedding model not found at ${modelDir}`);
+        }
+
+        const runtime = await this._loadRuntime();
+        runtime.env.allowRemoteModels = false;
+        runtime.env.localModelPath = path.dirname(modelDir);
+        this.extractor = await runtime.pipeline('feature-extraction', path.basename(modelDir), { local_files_only: true });
+
+        // The model decides the dimension; a configured value that disagrees is corrected
+        const probe = await this.embed('dimension probe');
+        if (config.dimension && config.dimension !== probe.length) {
+            console.warn(`[LocalModelEmbeddingProvider] Model produces ${probe.length} dimensions, not the configured ${config.dimension}`);
+        }
+        this.dimension = probe.length;
+
+        return { success: true, provider: 'LocalModelEmbeddingProvider', modelPath: modelDir, dimension: this.dimension };
+    }
+
+    async embed(text) {
+        if (!this.extractor) throw new Error('LocalModelEmbeddingProvider not initialized');
+        const output = await this.extractor(text, { pooling: this.pooling, normalize: this.normalize });
+        return Array.from(output.data);
+    }
+
+    getDimension() {
+        return this.dimension;
+    }
+
+    describe() {
+        return { provider: 'local', model: path.basename(this.modelPath), dimension: this.dimension };
+    }
+
+    async _loadRuntime() {
+        for (const name of RUNTIME_PACKAGES) {
+            try {
+                return await import(name);
+            } catch (err) {
+                // Try the next runtime
+            }
+        }
+        throw new Error(`Local embedding models need one of: ${RUNTIME_PACKAGES.join(', ')}`);
+    }
+}
+
+export default LocalModelEmbeddingProvider;
@@ -0,0 +1,75 @@
+// OpenAIEmbeddingProvider.js
+import IEmbeddingProvider from './IEmbeddingProvider.js';
+
+const OPENAI_URL = 'https://api.openai.com/v1/embeddings';
+
+/**
+ * OpenAI embeddings API. Needs OPENAI_API_KEY and network access. The
+ * text-embedding-3 models can shorten their vectors, so they accept any
+ * dimension up to the model's own.
+ * Implements IEmbeddingProvider interface
+ */
+class OpenAIEmbeddingProvider extends IEmbeddingProvider {
+    /**
+     * @param {{model?: string, dimension?: number, apiKey?: string}} [config]
+     */
+    constructor(config = {}) {
+        super();
+        this.model = config.model || 'text-embedding-3-small';
+        this.dimension = config.dimension || 1536;
+        this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || '';
+    }
+
+    /**
+     * @param {{model?: string, dimension?: number, apiKey?: string}} [config]
+     */
+    async initialize(config = {}) {
+        if (config.model) this.model = config.model;
+        if (config.dimension) this.dimension = config.dimension;
+        if (config.apiKey) this.apiKey = config.apiKey;
+        if (!this.apiKey) throw new Error('OPENAI_API_KEY not set');
+        return { success: true, provider: 'OpenAIEmbeddingProvider', model: this.model, dimension: this.dimension };
+    }
+
+    async embed(text, dimension = this.dimension) {
+        const [vector] = await this.embedBatch([text], dimension);
+        return vector;
+    }
+
+    async embedBatch(texts, dimension = this.dimension) {
+        const fetch = (await import('node-fetch')).default;
+        const body = { input: texts, model: this.model };
+        if (dimension !== this.dimension) body.dimensions = dimension;
+        const res = await fetch(OPENAI_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+        if (!res.ok) {
+            const errText = await res.text();
+            throw new Error(`OpenAI API error: ${res.status} ${errText}`);
+        }
+        const data = await res.json();
+        if (!Array.isArray(data?.data) || data.data.length !== texts.length || !data.data.every(item => Array.isArray(item.embedding))) {
+            throw new Error('Invalid OpenAI API response');
+        }
+        return data.data.map(item => item.embedding);
+    }
+
+    getDimension() {
+        return this.dimension;
+    }
+
+    supportsDimension(dimension) {
+        return dimension === this.dimension || (this.model.startsWith('text-embedding-3') && dimension > 0 && dimension <= this.dimension);
+    }
+
+    describe() {
+        return { provider: 'openai', model: this.model, dimension: this.dimension };
+    }
+}
+
+export default OpenAIEmbeddingProvider;
@@ -0,0 +1,166 @@
+// TfidfEmbeddingProvider.js
+import { promises as fs } from 'fs';
+import path from 'path';
+import IEmbeddingProvider from './IEmbeddingProvider.js';
+import { tokenize, hashString } from '../../utils/text-tokenizer.js';
+
+// Relative weights of the feature kinds in a vector
+const WORD_WEIGHT = 1;
+const BIGRAM_WEIGHT = 0.5;
+// Character trigrams catch spelling variants the stemmer misses; shared per word
+const TRIGRAM_WEIGHT = 0.3;
+const SIGN_SEED = 0x5bd1e995;
+// Documents remembered for de-duplication before the oldest are forgotten
+const MAX_TRACKED_DOCUMENTS = 50000;
+
+/**
+ * Offline TF-IDF embeddings with the hashing trick: stemmed words, word
+ * bigrams and character trigrams are hashed into a fixed number of signed
+ * buckets, weighted by sublinear term frequency and by inverse document
+ * frequency learned from the indexed documents. Texts that share vocabulary
+ * are similar, which is what task and goal search needs, with no network and
+ * no model files. Any dimension works; larger means fewer collisions.
+ * Implements IEmbeddingProvider interface
+ */
+class TfidfEmbeddingProvider extends IEmbeddingProvider {
+    /**
+     * @param {{dimension?: number, statsPath?: string}} [config]
+     */
+    constructor(config = {}) {
+        super();
+        this.dimension = config.dimension || 1536;
+        this.statsPath = config.statsPath || null;
+        this.documentCount = 0;
+        this.documentFrequency = new Map();
+        this.seenDocuments = new Set();
+    }
+
+    /**
+     * @param {{dimension?: number, statsPath?: string}} [config]
+     */
+    async initialize(config = {}) {
+        if (config.dimension) this.dimension = config.dimension;
+        if (config.statsPath) this.statsPath = config.statsPath;
+        await this._loadStats();
+        return {
+            success: true,
+            provider: 'TfidfEmbeddingProvider',
+            dimension: this.dimension,
+            documents: this.documentCount,
+        };
+    }
+
+    async embed(text, dimension = this.dimension) {
+        const vector = new Array(dimension).fill(0);
+        for (const [feature, weight] of this._features(text)) {
+            const bucket = hashString(feature) % dimension;
+            vector[bucket] += (hashString(feature, SIGN_SEED) & 1 ? 1 : -1) * weight;
+        }
+        const mag = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return mag > 0 ? vector.map(v => v / mag) : vector;
+    }
+
+    /**
+     * Count document frequencies of word and bigram features. A text already
+     * seen is not counted again, so re-indexing a tree does not skew the IDF.
+     */
+    async observeDocuments(texts) {
+        let changed = false;
+        for (const text of texts) {
+            if (!text || typeof text !== 'string') continue;
+            const key = hashString(text).toString(36) + hashString(text, SIGN_SEED).toString(36);
+            if (this.seenDocuments.has(key)) continue;
+            this.seenDocuments.add(key);
+            if (this.seenDocuments.size > MAX_TRACKED_DOCUMENTS) {
+                this.seenDocuments.delete(this.seenDocuments.values().next().value);
+            }
+
+            const terms = new Set([...this._features(text, { idf: false }).keys()].filter(feature => !feature.startsWith('c:')));
+            for (const term of terms) this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            this.documentCount += 1;
+            changed = true;
+        }
+        if (changed) await this._saveStats();
+    }
+
+    getDimension() {
+        return this.dimension;
+    }
+
+    supportsDimension() {
+        return true;
+    }
+
+    // Vectors depend on the learned IDF, so cached copies would go stale
+    get cacheable() {
+        return false;
+    }
+
+    describe() {
+        return { provider: 'tfidf', model: 'hashing-tfidf', dimension: this.dimension, documents: this.documentCount };
+    }
+
+    idf(term) {
+        if (this.documentCount === 0) return 1;
+        return Math.log((1 + this.documentCount) / (1 + (this.documentFrequency.get(term) || 0))) + 1;
+    }
+
+    /**
+     * @returns {Map<string, number>} feature -> weight
+     */
+    _features(text, { idf = true } = {}) {
+        const tokens = tokenize(text);
+        const counts = new Map();
+        const add = (feature, weight) => {
+            const entry = counts.get(feature) || { count: 0, weight };
+            entry.count += 1;
+            counts.set(feature, entry);
+        };
+
+        tokens.forEach((token, i) => {
+            add(`w:${token}`, WORD_WEIGHT);
+            if (i > 0) add(`b:${tokens[i - 1]}_${token}`, BIGRAM_WEIGHT);
+            if (token.length > 3) {
+                const padded = `#${token}#`;
+                const trigrams = padded.length - 2;
+                for (let j = 0; j < trigrams; j++) add(`c:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT / trigrams);
+            }
+        });
+
+        const features = new Map();
+        for (const [feature, { count, weight }] of counts) {
+            // Trigrams share their word's weight; IDF only applies to words and bigrams
+            const idfWeight = idf && !feature.startsWith('c:') ? this.idf(feature) : 1;
+            features.set(feature, (1 + Math.log(count)) * weight * idfWeight);
+        }
+        return features;
+    }
+
+    async _loadStats() {
+        if (!this.statsPath) return;
+        try {
+            const stats = JSON.parse(await fs.readFile(this.statsPath, 'utf8'));
+            this.documentCount = Number(stats.documentCount) || 0;
+            this.documentFrequency = new Map(Object.entries(stats.documentFrequency || {}));
+            this.seenDocuments = new Set(stats.seenDocuments || []);
+        } catch (err) {
+            // No statistics yet
+        }
+    }
+
+    async _saveStats() {
+        if (!this.statsPath) return;
+        try {
+            await fs.mkdir(path.dirname(this.statsPath), { recursive: true });
+            await fs.writeFile(this.statsPath, JSON.stringify({
+                documentCount: this.documentCount,
+                documentFrequency: Object.fromEntries(this.documentFrequency),
+                seenDocuments: [...this.seenDocuments],
+            }), 'utf8');
+        } catch (err) {
+            console.warn('[TfidfEmbeddingProvider] Could not save statistics:', err.message);
+        }
+    }
+}
+
+export default TfidfEmbeddingProvider;
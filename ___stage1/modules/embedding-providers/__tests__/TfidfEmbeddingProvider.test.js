@@ -0,0 +1,89 @@
+/**
+ * TF-IDF Embedding Provider Tests
+ * Offline embeddings should rank related task texts above unrelated ones
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import TfidfEmbeddingProvider from '../TfidfEmbeddingProvider.js';
+import LocalModelEmbeddingProvider from '../LocalModelEmbeddingProvider.js';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('TfidfEmbeddingProvider', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-tfidf-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const corpus = [
+    'Practice open chords C G and D on the guitar',
+    'Practicing barre chords on guitar for ten minutes',
+    'Learn music theory intervals and scales',
+    'Set up a Python development environment',
+    'Write unit tests for the Python project',
+  ];
+
+  test('produces unit vectors of the configured dimension', async () => {
+    const provider = new TfidfEmbeddingProvider({ dimension: 256 });
+    await provider.initialize();
+
+    const vector = await provider.embed('Practice open chords');
+    expect(vector).toHaveLength(256);
+    expect(cosine(vector, vector)).toBeCloseTo(1, 6);
+    expect(await provider.embed('Practice open chords', 64)).toHaveLength(64);
+    expect((await provider.embed('the and of')).every(value => value === 0)).toBe(true);
+    expect(provider.supportsDimension(1024)).toBe(true);
+    expect(provider.cacheable).toBe(false);
+  });
+
+  test('ranks texts that share vocabulary as more similar', async () => {
+    const provider = new TfidfEmbeddingProvider();
+    await provider.initialize();
+    await provider.observeDocuments(corpus);
+    const [openChords, barreChords, theory, python, tests] = await provider.embedBatch(corpus);
+
+    // Stemming merges "practice"/"practicing" and "chords"
+    expect(cosine(openChords, barreChords)).toBeGreaterThan(cosine(openChords, theory));
+    expect(cosine(openChords, barreChords)).toBeGreaterThan(cosine(openChords, python) + 0.2);
+    expect(cosine(python, tests)).toBeGreaterThan(cosine(python, theory));
+
+    const query = await provider.embed('guitar chord practice');
+    const ranked = corpus
+      .map((text, i) => ({ text, score: cosine(query, [openChords, barreChords, theory, python, tests][i]) }))
+      .sort((a, b) => b.score - a.score);
+    expect(ranked.slice(0, 2).map(entry => entry.text)).toEqual(expect.arrayContaining(corpus.slice(0, 2)));
+  });
+
+  test('weights rare terms above common ones and persists corpus statistics', async () => {
+    const statsPath = path.join(tempDir, 'stats', 'tfidf.json');
+    const provider = new TfidfEmbeddingProvider({ dimension: 256, statsPath });
+    await provider.initialize();
+    await provider.observeDocuments(corpus);
+    // Seen documents are not counted twice
+    await provider.observeDocuments(corpus.slice(0, 2));
+
+    expect(provider.describe()).toMatchObject({ provider: 'tfidf', documents: 5 });
+    expect(provider.idf('w:python')).toBeGreaterThan(provider.idf('w:guitar') - 0.0001);
+    expect(provider.idf('w:theory')).toBeGreaterThan(provider.idf('w:chord'));
+
+    const reloaded = new TfidfEmbeddingProvider({ dimension: 256, statsPath });
+    await reloaded.initialize();
+    expect(reloaded.describe().documents).toBe(5);
+    expect(await reloaded.embed(corpus[2])).toEqual(await provider.embed(corpus[2]));
+  });
+});
+
+describe('LocalModelEmbeddingProvider', () => {
+  test('fails to start without a model on disk', async () => {
+    const provider = new LocalModelEmbeddingProvider({ modelPath: path.join(os.tmpdir(), 'no-such-forest-model') });
+    await expect(provider.initialize()).rejects.toThrow(/Local embedding model not found/);
+    expect(provider.describe()).toMatchObject({ provider: 'local', model: 'no-such-forest-model', dimension: 384 });
+  });
+});
@@ -9,6 +9,9 @@ import { DataPersistence } from './data-persistence.js';
 import embeddingService from '../utils/embedding-service.js';
 import vectorConfig from '../config/vector-config.js';
 import { buildPrompt } from '../utils/hta-graph-enricher.js';
+import { rankTasksLexically, normalizedFusion } from '../utils/hybrid-search.js';
+import { hashString } from '../utils/text-tokenizer.js';
+import { vectorSignature, compareSignature, isProjectVector } from '../utils/embedding-signature.js';
 import path from 'path';
 import os from 'os';
 
@@ -29,16 +32,22 @@ const VectorUtils = {
 };
 
 // Vectorization categories and their priorities
-// Updated to use consistent dimensions for SQLite vector store
+// All use the vector store's dimension, which defaults to the active embedding
+// provider's (see config/vector-config.js and HTAVectorStore.getDimension)
+const EMBEDDING_DIMENSION = vectorConfig[vectorConfig.provider]?.dimension || vectorConfig.embedding.dimension || 1536;
 const VECTORIZATION_TYPES = {
-  PROJECT_GOAL: { priority: 1, dimension: 1536, cache: true },
-  HTA_BRANCH: { priority: 2, dimension: 1536, cache: true },
-  TASK_CONTENT: { priority: 3, dimension: 1536, cache: true },
-  LEARNING_HISTORY: { priority: 4, dimension: 1536, cache: false },
-  USER_CONTEXT: { priority: 5, dimension: 1536, cache: false },
-  BREAKTHROUGH_INSIGHT: { priority: 1, dimension: 1536, cache: true }
+  PROJECT_GOAL: { priority: 1, dimension: EMBEDDING_DIMENSION, cache: true },
+  HTA_BRANCH: { priority: 2, dimension: EMBEDDING_DIMENSION, cache: true },
+  TASK_CONTENT: { priority: 3, dimension: EMBEDDING_DIMENSION, cache: true },
+  LEARNING_HISTORY: { priority: 4, dimension: EMBEDDING_DIMENSION, cache: false },
+  USER_CONTEXT: { priority: 5, dimension: EMBEDDING_DIMENSION, cache: false },
+  BREAKTHROUGH_INSIGHT: { priority: 1, dimension: EMBEDDING_DIMENSION, cache: true }
 };
 
+// Resumable bulk vectorization (re-index) progress, per project
+const REINDEX_STATE_FILE = 'reindex_state.json';
+const REINDEX_BATCH_SIZE = { DEFAULT: 25, MAX: 500 };
+
 // Items to keep in JSON for fast access
 const JSON_ONLY_FIELDS = [
   'id', 'created_at', 'updated_at', 'completed', 'priority',
@@ -95,7 +104,7 @@ class ForestDataVectorization {
       VECTORIZATION_TYPES.PROJECT_GOAL.dimension
     );
 
-    await this.vectorStore.provider.upsertVector(
+    await this.vectorStore.upsertEmbedding(
       `${projectId}:goal`,
       goalVector,
       {
@@ -130,38 +139,46 @@ class ForestDataVectorization {
     const results = [];
 
     for (const [index, branch] of branches.entries()) {
-      const branchVector = await embeddingService.embedText(
-        buildPrompt({
-          type: 'branch',
-          depth: 1,
-          sibling_index: index,
-          prereq_count: 0,
-          child_count: branch.tasks?.length || 0,
-          raw: `${branch.name}: ${branch.description || ''}`,
-          branch: branch.name
-        }),
-        VECTORIZATION_TYPES.HTA_BRANCH.dimension
-      );
-
-      await this.vectorStore.provider.upsertVector(
-        `${projectId}:branch:${branch.name}`,
-        branchVector,
-        {
-          type: 'branch',
-          project_id: projectId,
-          name: branch.name,
-          description: branch.description,
-          priority: branch.priority,
-          strategic_importance: branch.strategicImportance,
-          estimated_tasks: branch.tasks?.length || 0,
-          vectorization_type: 'HTA_BRANCH'
-        }
-      );
-
+      await this.vectorizeBranch(projectId, branch, index);
       results.push({ name: branch.name, vectorized: true });
     }
 
-    // Save branch metadata in JSON for fast access
+    await this.saveBranchMetadata(projectId, branches);
+    return results;
+  }
+
+  async vectorizeBranch(projectId, branch, index) {
+    const branchVector = await embeddingService.embedText(
+      buildPrompt({
+        type: 'branch',
+        depth: 1,
+        sibling_index: index,
+        prereq_count: 0,
+        child_count: branch.tasks?.length || 0,
+        raw: `${branch.name}: ${branch.description || ''}`,
+        branch: branch.name
+      }),
+      VECTORIZATION_TYPES.HTA_BRANCH.dimension
+    );
+
+    await this.vectorStore.upsertEmbedding(
+      `${projectId}:branch:${branch.name}`,
+      branchVector,
+      {
+        type: 'branch',
+        project_id: projectId,
+        name: branch.name,
+        description: branch.description,
+        priority: branch.priority,
+        strategic_importance: branch.strategicImportance,
+        estimated_tasks: branch.tasks?.length || 0,
+        vectorization_type: 'HTA_BRANCH'
+      }
+    );
+  }
+
+  // Save branch metadata in JSON for fast access
+  async saveBranchMetadata(projectId, branches) {
     await this.dataPersistence.saveProjectData(projectId, 'branch_metadata.json', {
       branches: branches.map(b => ({
         name: b.name,
@@ -171,8 +188,6 @@ class ForestDataVectorization {
       })),
       last_vectorized: new Date().toISOString()
     });
-
-    return results;
   }
 
   // ===== TASK CONTENT VECTORIZATION =====
@@ -182,39 +197,47 @@ class ForestDataVectorization {
     const results = [];
 
     for (const [index, task] of tasks.entries()) {
-      const taskVector = await embeddingService.embedText(
-        buildPrompt({
-          type: 'task',
-          depth: 2,
-          sibling_index: index,
-          prereq_count: task.prerequisites?.length || 0,
-          child_count: 0,
-          raw: `${task.title}: ${task.description || ''}`,
-          branch: task.branch || 'General'
-        }),
-        VECTORIZATION_TYPES.TASK_CONTENT.dimension
-      );
-
-      await this.vectorStore.provider.upsertVector(
-        `${projectId}:task:${task.id}`,
-        taskVector,
-        {
-          type: 'task',
-          project_id: projectId,
-          task_id: task.id,
-          title: task.title,
-          description: task.description,
-          branch: task.branch || 'General',
-          learning_objective: task.learningObjective,
-          skill_tags: task.skillTags || [],
-          vectorization_type: 'TASK_CONTENT'
-        }
-      );
-
+      await this.vectorizeTask(projectId, task, index);
       results.push({ id: task.id, vectorized: true });
     }
 
-    // Save task metadata in JSON (non-vectorized fields)
+    await this.saveTaskMetadata(projectId, tasks);
+    return results;
+  }
+
+  async vectorizeTask(projectId, task, index) {
+    const taskVector = await embeddingService.embedText(
+      buildPrompt({
+        type: 'task',
+        depth: 2,
+        sibling_index: index,
+        prereq_count: task.prerequisites?.length || 0,
+        child_count: 0,
+        raw: `${task.title}: ${task.description || ''}`,
+        branch: task.branch || 'General'
+      }),
+      VECTORIZATION_TYPES.TASK_CONTENT.dimension
+    );
+
+    await this.vectorStore.upsertEmbedding(
+      `${projectId}:task:${task.id}`,
+      taskVector,
+      {
+        type: 'task',
+        project_id: projectId,
+        task_id: task.id,
+        title: task.title,
+        description: task.description,
+        branch: task.branch || 'General',
+        learning_objective: task.learningObjective,
+        skill_tags: task.skillTags || [],
+        vectorization_type: 'TASK_CONTENT'
+      }
+    );
+  }
+
+  // Save task metadata in JSON (non-vectorized fields)
+  async saveTaskMetadata(projectId, tasks) {
     await this.dataPersistence.saveProjectData(projectId, 'task_metadata.json', {
       tasks: tasks.map(t => ({
         id: t.id,
@@ -228,8 +251,6 @@ class ForestDataVectorization {
       })),
       last_vectorized: new Date().toISOString()
     });
-
-    return results;
   }
 
   // ===== LEARNING HISTORY VECTORIZATION =====
@@ -239,34 +260,37 @@ class ForestDataVectorization {
     const results = [];
 
     for (const event of learningEvents) {
-      const eventVector = await embeddingService.embedText(
-        `${event.type}: ${event.description} outcome: ${event.outcome}`,
-        VECTORIZATION_TYPES.LEARNING_HISTORY.dimension
-      );
-
-      await this.vectorStore.provider.upsertVector(
-        `${projectId}:learning:${event.id}`,
-        eventVector,
-        {
-          type: 'learning_event',
-          project_id: projectId,
-          event_id: event.id,
-          event_type: event.type,
-          task_id: event.taskId,
-          outcome: event.outcome,
-          insights: event.insights,
-          breakthrough_level: event.breakthroughLevel,
-          timestamp: event.timestamp,
-          vectorization_type: 'LEARNING_HISTORY'
-        }
-      );
-
+      await this.vectorizeLearningEvent(projectId, event);
       results.push({ id: event.id, vectorized: true });
     }
 
     return results;
   }
 
+  async vectorizeLearningEvent(projectId, event) {
+    const eventVector = await embeddingService.embedText(
+      `${event.type}: ${event.description} outcome: ${event.outcome}`,
+      VECTORIZATION_TYPES.LEARNING_HISTORY.dimension
+    );
+
+    await this.vectorStore.upsertEmbedding(
+      `${projectId}:learning:${event.id}`,
+      eventVector,
+      {
+        type: 'learning_event',
+        project_id: projectId,
+        event_id: event.id,
+        event_type: event.type,
+        task_id: event.taskId,
+        outcome: event.outcome,
+        insights: event.insights,
+        breakthrough_level: event.breakthroughLevel,
+        timestamp: event.timestamp,
+        vectorization_type: 'LEARNING_HISTORY'
+      }
+    );
+  }
+
   // ===== BREAKTHROUGH INSIGHT VECTORIZATION =====
   
   async vectorizeBreakthroughInsight(projectId, insight) {
@@ -277,7 +301,7 @@ class ForestDataVectorization {
       VECTORIZATION_TYPES.BREAKTHROUGH_INSIGHT.dimension
     );
 
-    await this.vectorStore.provider.upsertVector(
+    await this.vectorStore.upsertEmbedding(
       `${projectId}:breakthrough:${insight.id}`,
       insightVector,
       {
@@ -311,16 +335,12 @@ class ForestDataVectorization {
     try {
       const queryVector = await embeddingService.embedText(queryText, VECTORIZATION_TYPES.TASK_CONTENT.dimension);
       
-      const results = await this.vectorStore.provider.queryVectors(queryVector, {
+      const vectorResults = await this.vectorStore.provider.queryVectors(queryVector, {
         limit: options.limit || 10,
         threshold: options.threshold || 0.1,
-        filter: {
-          must: [
-            { key: 'project_id', match: { value: projectId } },
-            { key: 'vectorization_type', match: { value: 'TASK_CONTENT' } }
-          ]
-        }
+        filter: { project_id: projectId, vectorization_type: 'TASK_CONTENT' }
       });
+      const results = await this.fuseLexicalMatches(projectId, queryText, vectorResults, options.limit || 10);
 
       // Enrich with JSON metadata
       const enrichedResults = await this.enrichWithMetadata(results, 'task');
@@ -335,6 +355,49 @@ class ForestDataVectorization {
     }
   }
 
+  /**
+   * Re-rank vector results together with BM25 matches over the active path's
+   * tasks (reciprocal-rank fusion). Keyword-only matches are added in the
+   * vector result shape with similarity 0.
+   */
+  async fuseLexicalMatches(projectId, queryText, vectorResults, limit) {
+    const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+    const htaData = await this.dataPersistence.loadPathData(projectId, config?.activePath || 'general', 'hta.json');
+    const tasks = htaData?.frontierNodes || [];
+    const lexicalHits = rankTasksLexically(tasks, queryText, { idOf: task => `${projectId}:task:${task.id}` });
+    if (lexicalHits.length === 0) return vectorResults;
+
+    const relevance = normalizedFusion({
+      vector: vectorResults.map(result => result.id),
+      lexical: lexicalHits.map(hit => hit.id),
+    });
+    const known = new Set(vectorResults.map(result => result.id));
+    const tasksById = new Map(tasks.map(task => [`${projectId}:task:${task.id}`, task]));
+    const lexicalOnly = lexicalHits
+      .filter(hit => !known.has(hit.id))
+      .map(hit => {
+        const task = tasksById.get(hit.id);
+        return {
+          id: hit.id,
+          similarity: 0,
+          metadata: {
+            type: 'task',
+            project_id: projectId,
+            task_id: task.id,
+            title: task.title,
+            description: task.description,
+            branch: task.branch || 'General',
+            vectorization_type: 'TASK_CONTENT'
+          }
+        };
+      });
+
+    return [...vectorResults, ...lexicalOnly]
+      .map(result => ({ ...result, relevance: relevance.get(result.id) || 0 }))
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+
   async findRelatedBreakthroughs(projectId, context, options = {}) {
     if (!this.initialized) await this.initialize();
 
@@ -343,12 +406,7 @@ class ForestDataVectorization {
     const results = await this.vectorStore.provider.queryVectors(queryVector, {
       limit: options.limit || 5,
       threshold: options.threshold || 0.15,
-      filter: {
-        must: [
-          { key: 'project_id', match: { value: projectId } },
-          { key: 'vectorization_type', match: { value: 'BREAKTHROUGH_INSIGHT' } }
-        ]
-      }
+      filter: { project_id: projectId, vectorization_type: 'BREAKTHROUGH_INSIGHT' }
     });
 
     return await this.enrichWithMetadata(results, 'breakthrough');
@@ -362,16 +420,10 @@ class ForestDataVectorization {
     const results = await this.vectorStore.provider.queryVectors(queryVector, {
       limit: options.limit || 8,
       threshold: options.threshold || 0.2,
-      filter: {
-        must: [
-          { key: 'vectorization_type', match: { value: 'BREAKTHROUGH_INSIGHT' } }
-        ]
-      }
+      filter: { vectorization_type: 'BREAKTHROUGH_INSIGHT', project_id: { $ne: sourceProjectId } }
     });
 
-    // Filter out source project and enrich
-    const crossProjectResults = results.filter(r => r.metadata.project_id !== sourceProjectId);
-    return await this.enrichWithMetadata(crossProjectResults, 'breakthrough');
+    return await this.enrichWithMetadata(results, 'breakthrough');
   }
 
   // ===== ADAPTIVE OPERATIONS =====
@@ -416,25 +468,21 @@ class ForestDataVectorization {
         return energyMatch && timeMatch;
       });
 
-      if (viableTasks.length === 0) return [];
+      const viableTaskIds = viableTasks.map(t => t.id).filter(id => typeof id === 'string' || typeof id === 'number');
+      if (viableTaskIds.length === 0) return [];
 
       // Now use vector search on viable tasks
       const results = await this.vectorStore.provider.queryVectors(contextVector, {
-        limit: Math.min(viableTasks.length, 5),
+        limit: Math.min(viableTaskIds.length, 5),
         threshold: 0.05,
         filter: {
-          must: [
-            { key: 'project_id', match: { value: projectId } },
-            { key: 'vectorization_type', match: { value: 'TASK_CONTENT' } }
-          ]
+          project_id: projectId,
+          vectorization_type: 'TASK_CONTENT',
+          task_id: { $in: viableTaskIds }
         }
       });
 
-      // Filter to only viable tasks and enrich
-      const viableTaskIds = new Set(viableTasks.map(t => t.id));
-      const filteredResults = results.filter(r => viableTaskIds.has(r.metadata.task_id));
-      
-      return await this.enrichWithMetadata(filteredResults, 'task');
+      return await this.enrichWithMetadata(results, 'task');
       
     } catch (error) {
       console.error('[ForestDataVectorization] Error in adaptiveTaskRecommendation:', error.message);
@@ -550,7 +598,7 @@ class ForestDataVectorization {
       }
       
       // Test vector operations with a simple test vector
-      const testVector = new Array(1536).fill(0.1); // Standard dimension test vector
+      const testVector = new Array(this.vectorStore.getDimension()).fill(0.1);
       const testId = `test_${Date.now()}`;
       
       try {
@@ -583,77 +631,231 @@ class ForestDataVectorization {
 
   // ===== BULK OPERATIONS =====
   
-  async bulkVectorizeProject(projectId) {
+  /**
+   * Vectorize a project's goal, active-path branches and tasks and learning
+   * events. Items are embedded in batches and progress is checkpointed to
+   * reindex_state.json after each one, so a run that failed or stopped at
+   * maxBatches continues where it left off when called again with resume.
+   * A checkpoint is only resumed for the same items and embedding.
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Items per batch
+   * @param {number} [options.maxBatches] - Stop after this many batches; the rest stays pending
+   * @param {boolean} [options.resume] - Continue an unfinished run instead of starting over
+   * @param {(progress: Object) => void} [options.onProgress] - Called after each batch
+   */
+  async bulkVectorizeProject(projectId, options = {}) {
     if (!this.initialized) await this.initialize();
     
     console.error(`[ForestDataVectorization] Starting bulk vectorization for project: ${projectId}`);
-    const results = { vectorized: 0, errors: 0, types: {} };
+    const results = { vectorized: 0, errors: 0, types: {}, resumed: false, progress: null };
+    const batchSize = Math.min(REINDEX_BATCH_SIZE.MAX, Math.max(1, Math.floor(Number(options.batchSize)) || REINDEX_BATCH_SIZE.DEFAULT));
+    const maxBatches = Number(options.maxBatches) > 0 ? Math.floor(Number(options.maxBatches)) : Infinity;
+    let state = null;
 
     try {
-      // Load project configuration to get active path and goal
-      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
-      if (!config) {
-        throw new Error('No project configuration found');
+      const plan = await this.planProjectVectorization(projectId);
+      const embedding = await embeddingService.describeEmbedding(EMBEDDING_DIMENSION);
+      const fingerprint = hashString(JSON.stringify([embedding, plan.items.map(item => item.key)])).toString(16);
+
+      const previous = options.resume ? await this.dataPersistence.loadProjectData(projectId, REINDEX_STATE_FILE) : null;
+      results.resumed = previous?.status === 'in_progress' && previous.fingerprint === fingerprint;
+      const now = new Date().toISOString();
+      state = results.resumed
+        ? { ...previous, last_error: null }
+        : { project_id: projectId, status: 'in_progress', fingerprint, embedding, total: plan.items.length, done: 0, batches: 0, started_at: now, updated_at: now, completed_at: null, last_error: null };
+      if (results.resumed) {
+        console.error(`[ForestDataVectorization] Resuming at item ${state.done + 1} of ${state.total}`);
       }
 
-      const activePath = config.activePath || 'general';
-      const projectGoal = config.goal;
+      let batches = 0;
+      while (state.done < state.total && batches < maxBatches) {
+        for (const item of plan.items.slice(state.done, state.done + batchSize)) {
+          await item.run();
+          state.done++;
+          results.vectorized++;
+          results.types[item.type] = (results.types[item.type] || 0) + 1;
+        }
+        batches++;
+        state.batches++;
+        if (state.done >= state.total) {
+          await plan.finish();
+          state.status = 'completed';
+          state.completed_at = new Date().toISOString();
+        }
+        state.updated_at = new Date().toISOString();
+        await this.dataPersistence.saveProjectData(projectId, REINDEX_STATE_FILE, state);
+        if (options.onProgress) options.onProgress(this.vectorizationProgress(state));
+      }
+
+      results.progress = this.vectorizationProgress(state);
+      console.error(`[ForestDataVectorization] Bulk vectorization ${state.status === 'completed' ? 'completed' : 'paused'} for ${projectId}:`, results);
+      return results;
 
-      if (!projectGoal) {
-        throw new Error('No goal found in project configuration');
+    } catch (error) {
+      console.error(`[ForestDataVectorization] Bulk vectorization failed for ${projectId}:`, error.message);
+      results.errors++;
+      results.error = error.message;
+      if (state) {
+        // Keep the position of the failed item so a resumed run retries it
+        state.last_error = error.message;
+        state.updated_at = new Date().toISOString();
+        await this.dataPersistence.saveProjectData(projectId, REINDEX_STATE_FILE, state).catch(() => {});
+        results.progress = this.vectorizationProgress(state);
       }
+      return results;
+    }
+  }
 
-      // Vectorize project goal from config
-      const goalData = {
-        goal: projectGoal,
-        complexity: this.assessGoalComplexity(projectGoal, config.context || ''),
-        domain: this.extractDomain(projectGoal),
-        estimatedDuration: config.estimated_duration || '3 months',
-        created_at: config.created_at || new Date().toISOString()
-      };
+  /**
+   * Ordered work items for bulkVectorizeProject. `finish` writes the JSON
+   * metadata once every item is embedded.
+   */
+  async planProjectVectorization(projectId) {
+    // Load project configuration to get active path and goal
+    const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+    if (!config) {
+      throw new Error('No project configuration found');
+    }
 
-      await this.vectorizeProjectGoal(projectId, goalData);
-      results.vectorized++;
-      results.types.goals = 1;
+    const activePath = config.activePath || 'general';
+    const projectGoal = config.goal;
 
-      // Load HTA data from the active path
-      const htaData = await this.dataPersistence.loadPathData(projectId, activePath, 'hta.json');
-      if (htaData) {
-        console.error(`[ForestDataVectorization] Found HTA data in path: ${activePath}`);
+    if (!projectGoal) {
+      throw new Error('No goal found in project configuration');
+    }
 
-        // Vectorize branches
-        if (htaData.strategicBranches?.length > 0) {
-          const branchResults = await this.vectorizeHTABranches(projectId, htaData.strategicBranches);
-          results.vectorized += branchResults.length;
-          results.types.branches = branchResults.length;
-        }
+    // Vectorize project goal from config
+    const goalData = {
+      goal: projectGoal,
+      complexity: this.assessGoalComplexity(projectGoal, config.context || ''),
+      domain: this.extractDomain(projectGoal),
+      estimatedDuration: config.estimated_duration || '3 months',
+      created_at: config.created_at || new Date().toISOString()
+    };
 
-        // Vectorize tasks
-        if (htaData.frontierNodes?.length > 0) {
-          const taskResults = await this.vectorizeTaskContent(projectId, htaData.frontierNodes);
-          results.vectorized += taskResults.length;
-          results.types.tasks = taskResults.length;
-        }
-      } else {
-        console.error(`[ForestDataVectorization] No HTA data found in path: ${activePath} (this is normal for new projects)`);
-      }
+    // Load HTA data from the active path
+    const htaData = await this.dataPersistence.loadPathData(projectId, activePath, 'hta.json');
+    if (htaData) {
+      console.error(`[ForestDataVectorization] Found HTA data in path: ${activePath}`);
+    } else {
+      console.error(`[ForestDataVectorization] No HTA data found in path: ${activePath} (this is normal for new projects)`);
+    }
+    const branches = htaData?.strategicBranches || [];
+    const tasks = htaData?.frontierNodes || [];
+
+    // Learning history if available
+    const learningHistory = await this.dataPersistence.loadProjectData(projectId, 'learning_history.json');
+    const events = learningHistory?.events || [];
+
+    // Corpus statistics (IDF) for the offline embedding provider
+    await embeddingService.observeDocuments([
+      projectGoal,
+      ...branches.map(branch => `${branch.name}: ${branch.description || ''}`),
+      ...tasks.map(task => `${task.title}: ${task.description || ''}`),
+    ]);
+
+    const items = [
+      { key: 'goal', type: 'goals', run: () => this.vectorizeProjectGoal(projectId, goalData) },
+      ...branches.map((branch, index) => ({ key: `branch:${branch.name}`, type: 'branches', run: () => this.vectorizeBranch(projectId, branch, index) })),
+      ...tasks.map((task, index) => ({ key: `task:${task.id}`, type: 'tasks', run: () => this.vectorizeTask(projectId, task, index) })),
+      ...events.map(event => ({ key: `learning:${event.id}`, type: 'learning_events', run: () => this.vectorizeLearningEvent(projectId, event) })),
+    ];
+
+    const finish = async () => {
+      if (branches.length > 0) await this.saveBranchMetadata(projectId, branches);
+      if (tasks.length > 0) await this.saveTaskMetadata(projectId, tasks);
+    };
+
+    return { items, finish };
+  }
+
+  vectorizationProgress(state) {
+    return {
+      status: state.status,
+      total: state.total,
+      done: state.done,
+      remaining: state.total - state.done,
+      percent: state.total > 0 ? Math.round((state.done / state.total) * 100) : 100,
+      batches: state.batches,
+      embedding: state.embedding,
+      started_at: state.started_at,
+      updated_at: state.updated_at,
+      completed_at: state.completed_at,
+      last_error: state.last_error || null,
+    };
+  }
+
+  // ===== RE-INDEX =====
+
+  /**
+   * Re-embed a project with the configured embedding provider, model and
+   * dimension: bulkVectorizeProject in resumable batches, then the project's
+   * remaining vectors from another embedding (tasks of other paths, older
+   * entries) are re-embedded from their stored metadata.
+   * @param {string} projectId
+   * @param {{batchSize?: number, maxBatches?: number, restart?: boolean}} [options]
+   */
+  async reindexProject(projectId, { batchSize, maxBatches, restart = false } = {}) {
+    if (!this.initialized) await this.initialize();
 
-      // Load and vectorize learning history if available
-      const learningHistory = await this.dataPersistence.loadProjectData(projectId, 'learning_history.json');
-      if (learningHistory?.events?.length > 0) {
-        const learningResults = await this.vectorizeLearningHistory(projectId, learningHistory.events);
-        results.vectorized += learningResults.length;
-        results.types.learning_events = learningResults.length;
+    const before = await this.vectorStore.checkEmbeddingCompatibility(projectId);
+    const run = await this.bulkVectorizeProject(projectId, { batchSize, maxBatches, resume: !restart });
+
+    let migrated = 0;
+    if (run.errors === 0 && run.progress?.status === 'completed') {
+      migrated = await this.migrateStaleVectors(projectId);
+      if (typeof this.vectorStore.provider.flush === 'function') {
+        await this.vectorStore.provider.flush();
       }
+      // Refresh the store-wide report kept since initialize
+      await this.vectorStore.checkEmbeddingCompatibility();
+    }
 
-      console.error(`[ForestDataVectorization] Bulk vectorization completed for ${projectId}:`, results);
-      return results;
+    return {
+      project_id: projectId,
+      vectorized: run.vectorized,
+      types: run.types,
+      migrated,
+      errors: run.errors,
+      error: run.error || null,
+      resumed: run.resumed,
+      progress: run.progress,
+      before,
+      after: await this.vectorStore.checkEmbeddingCompatibility(projectId),
+    };
+  }
 
-    } catch (error) {
-      console.error(`[ForestDataVectorization] Bulk vectorization failed for ${projectId}:`, error.message);
-      results.errors++;
-      return results;
+  /**
+   * Re-embed the project's vectors whose embedding signature differs from
+   * the configured one, keeping their ids and metadata.
+   * @returns {Promise<number>} Vectors re-embedded
+   */
+  async migrateStaleVectors(projectId) {
+    const dimension = this.vectorStore.getDimension();
+    const expected = await embeddingService.describeEmbedding(dimension);
+    const entries = await this.vectorStore.provider.listVectors(`${projectId}:`);
+    const stale = (entries || []).filter(entry => isProjectVector(entry) && compareSignature(vectorSignature(entry), expected) !== 'match');
+
+    for (const entry of stale) {
+      const metadata = entry.metadata || {};
+      const raw = [metadata.title || metadata.name || metadata.content, metadata.description, metadata.outcome]
+        .filter(Boolean).join(': ') || String(entry.id);
+      const text = ['goal', 'branch', 'task'].includes(metadata.type)
+        ? buildPrompt({
+          type: metadata.type,
+          depth: metadata.depth ?? { goal: 0, branch: 1, task: 2 }[metadata.type],
+          sibling_index: 0,
+          prereq_count: metadata.prereq_count || 0,
+          child_count: 0,
+          raw,
+          branch: metadata.branch || metadata.name
+        })
+        : raw;
+      const vector = await embeddingService.embedText(text, dimension);
+      await this.vectorStore.upsertEmbedding(entry.id, vector, metadata);
     }
+    return stale.length;
   }
 
   async getVectorizationStats() {
@@ -688,6 +890,7 @@ class ForestDataVectorization {
     const status = {
       vector_store_status: 'unknown',
       provider_type: this.vectorStore?.provider?.constructor?.name || 'unknown',
+      embedding_compatibility: this.vectorStore?.embeddingCompatibility || null,
       last_test: null
     };
     
@@ -4,6 +4,7 @@
  */
 
 import { FILE_NAMES } from './memory-sync.js';
+import { buildSkipIndex } from '../../utils/task-skips.js';
 
 export class GoalFocusedTaskSelector {
   constructor(dataPersistence, vectorStore, goalContext) {
@@ -33,7 +34,8 @@ export class GoalFocusedTaskSelector {
         { 
           batchSize: 6, // Sweet spot: enough to see progression, not overwhelming
           maxBatchSize: 7,
-          minBatchSize: 5
+          minBatchSize: 5,
+          skips: buildSkipIndex(htaData?.frontierNodes || [])
         }
       );
       
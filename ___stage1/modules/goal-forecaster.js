@@ -0,0 +1,302 @@
+/**
+ * Goal Forecaster
+ *
+ * Answers "when will this goal realistically be done?". Remaining HTA work is
+ * estimated with the (calibrated) DurationEstimationEngine and ordered along the critical
+ * path; the pace comes from the completion log. The result is a P50 / P90
+ * completion date for the goal and for every strategic branch.
+ */
+
+import { DurationEstimationEngine } from './duration-estimation-engine.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import { getLeafTasks } from '../utils/hta-hierarchy-utils.js';
+import {
+  FORECAST_CONSTANTS,
+  planRemainingWork,
+  measureVelocity,
+  assumedDailyCapacity,
+  simulateCompletion,
+  toDateKey,
+  addDays,
+} from '../utils/goal-forecast.js';
+
+const UNBRANCHED = 'General';
+
+export class GoalForecaster {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.durationEngine = new DurationEstimationEngine();
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * forecast_goal_forest - P50/P90 completion dates for the goal and each branch
+   */
+  async forecastGoal(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const forecast = await this.buildForecast(projectId, {
+        pathName: args.path_name,
+        asOf: args.as_of,
+        windowDays: args.window_days,
+        hoursPerDay: args.hours_per_day,
+      });
+      if (!forecast) {
+        throw new Error('No HTA tree to forecast. Use build_hta_tree_forest first.');
+      }
+
+      return {
+        content: [{ type: 'text', text: this.formatForecast(forecast) }],
+        success: true,
+        forecast,
+      };
+    } catch (error) {
+      console.error('GoalForecaster.forecastGoal failed:', error);
+      return this.errorResponse('Forecast Failed', error);
+    }
+  }
+
+  // ===== FORECASTING =====
+
+  /**
+   * @returns {Promise<Object|null>} null when the path has no tree
+   */
+  async buildForecast(projectId, options = {}) {
+    const config = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) || {};
+    const pathName = options.pathName || config.activePath || DEFAULT_PATHS.GENERAL;
+    const htaData = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+    if (!htaData) return null;
+
+    const completionLog = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG);
+    const completions = Array.isArray(completionLog?.completions) ? completionLog.completions : [];
+    const asOf = options.asOf ? toDateKey(options.asOf) : toDateKey(new Date());
+    const windowDays = Number(options.windowDays) > 0 ? Math.round(Number(options.windowDays)) : FORECAST_CONSTANTS.DEFAULT_WINDOW_DAYS;
+    const calibration = await this.durationCalibration.loadModel();
+
+    const tasks = getLeafTasks(htaData);
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const loggedIds = new Set(completions.map(entry => entry?.task_id).filter(Boolean));
+    const remaining = tasks.filter(task => !this.isComplete(task) && !loggedIds.has(task.id));
+
+    const estimates = new Map();
+    const minutesFor = task => {
+      if (!estimates.has(task)) estimates.set(task, this.estimateMinutes(task, config, calibration));
+      return estimates.get(task);
+    };
+    const typicalMinutes = this.median(tasks.map(minutesFor));
+
+    const plan = planRemainingWork(remaining, minutesFor);
+    const velocity = measureVelocity(
+      completions,
+      taskId => (tasksById.has(taskId) ? minutesFor(tasksById.get(taskId)) : typicalMinutes),
+      { asOf, windowDays }
+    );
+    const basis = velocity.completions >= FORECAST_CONSTANTS.MIN_HISTORY_COMPLETIONS ? 'history' : 'assumed';
+    const requestedHours = Number(options.hoursPerDay ?? FORECAST_CONSTANTS.DEFAULT_HOURS_PER_DAY);
+    const hoursPerDay = Number.isFinite(requestedHours) ? requestedHours : FORECAST_CONSTANTS.DEFAULT_HOURS_PER_DAY;
+    const samples = basis === 'history' ? velocity.daily : assumedDailyCapacity(hoursPerDay);
+
+    const branches = this.summarizeBranches(htaData, tasks, remaining, plan);
+    const targets = [plan.total_minutes, ...branches.map(branch => branch.finish_minutes)];
+    const simulation = simulateCompletion(samples, targets);
+    const toDate = days => (days === null || days === undefined ? null : addDays(asOf, Math.max(0, days - 1)));
+    const outcome = index => {
+      const result = simulation?.targets[index];
+      return {
+        p50: result ? toDate(result.p50_days) : null,
+        p90: result ? toDate(result.p90_days) : null,
+        p50_days: result ? result.p50_days : null,
+        p90_days: result ? result.p90_days : null,
+      };
+    };
+
+    const criticalIds = new Set(plan.critical_path.task_ids);
+    const forecast = {
+      project_id: projectId,
+      path_name: pathName,
+      goal: config.goal || htaData.goal || null,
+      as_of: asOf,
+      basis,
+      assumed_hours_per_day: basis === 'assumed' ? hoursPerDay : null,
+      velocity: {
+        minutes_per_day: velocity.minutes_per_day,
+        completions: velocity.completions,
+        active_days: velocity.active_days,
+        window_days: velocity.window_days,
+      },
+      remaining: {
+        tasks: remaining.length,
+        minutes: plan.total_minutes,
+      },
+      critical_path: {
+        minutes: plan.critical_path.minutes,
+        tasks: plan.critical_path.task_ids.map(id => ({
+          id,
+          title: tasksById.get(id)?.title || id,
+          minutes: minutesFor(tasksById.get(id)),
+        })),
+      },
+      cycle_blocked: plan.cycle_blocked,
+      forecastable: simulation !== null,
+      goal_completion: outcome(0),
+      branches: branches.map((branch, index) => ({
+        name: branch.name,
+        remaining_tasks: branch.remaining_tasks,
+        remaining_minutes: branch.remaining_minutes,
+        complete: branch.remaining_tasks === 0,
+        on_critical_path: branch.task_ids.some(id => criticalIds.has(id)),
+        ...(branch.remaining_tasks === 0 ? { p50: null, p90: null, p50_days: 0, p90_days: 0 } : outcome(index + 1)),
+      })),
+      deadline: null,
+    };
+
+    const deadline = config.deadline || config.constraints?.deadline || null;
+    if (deadline && !Number.isNaN(Date.parse(deadline))) {
+      const deadlineDate = String(deadline).slice(0, 10);
+      const daysAvailable = Math.round((Date.parse(deadlineDate) - Date.parse(asOf)) / FORECAST_CONSTANTS.MS_PER_DAY) + 1;
+      forecast.deadline = {
+        date: deadlineDate,
+        on_time_probability: simulation && daysAvailable >= 0
+          ? Math.round(simulation.within(plan.total_minutes, daysAvailable) * 100) / 100
+          : null,
+      };
+    }
+
+    return forecast;
+  }
+
+  /**
+   * A branch is done when the last of its tasks is done in the planned order.
+   */
+  summarizeBranches(htaData, tasks, remaining, plan) {
+    const names = (htaData.strategicBranches || []).map(branch => branch.name).filter(Boolean);
+    for (const task of tasks) {
+      const name = task.branch || UNBRANCHED;
+      if (!names.includes(name)) names.push(name);
+    }
+    const finishById = new Map(plan.order.map(entry => [entry.id, entry]));
+
+    return names.map(name => {
+      const open = remaining.filter(task => (task.branch || UNBRANCHED) === name);
+      return {
+        name,
+        task_ids: open.map(task => task.id),
+        remaining_tasks: open.length,
+        remaining_minutes: open.reduce((sum, task) => sum + (finishById.get(task.id)?.minutes || 0), 0),
+        finish_minutes: Math.max(0, ...open.map(task => finishById.get(task.id)?.finish_minutes || 0)),
+      };
+    });
+  }
+
+  estimateMinutes(task, config = {}, calibration = null) {
+    const estimate = this.durationEngine.calculateTaskDuration(task, { learningStyle: config.learning_style, calibration });
+    return estimate.estimated_minutes;
+  }
+
+  isComplete(task) {
+    return Boolean(task.completed || task.status === 'completed');
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  // ===== FORMATTING =====
+
+  formatForecast(forecast) {
+    let text = `**Goal Forecast** 📈\n\n`;
+    if (forecast.goal) text += `**Goal**: ${forecast.goal}\n`;
+    text += `**Path**: ${forecast.path_name}\n`;
+
+    if (forecast.remaining.tasks === 0) {
+      return `${text}\n✅ Every task on this path is done.`;
+    }
+
+    text += `**Remaining**: ${forecast.remaining.tasks} tasks, ~${this.formatMinutes(forecast.remaining.minutes)} of estimated work\n`;
+    text += forecast.basis === 'history'
+      ? `**Pace**: ${forecast.velocity.minutes_per_day} min/day over the last ${forecast.velocity.window_days} days (${forecast.velocity.completions} completions)\n`
+      : `**Pace**: not enough history yet, assuming ${forecast.assumed_hours_per_day} h/day, ${FORECAST_CONSTANTS.ASSUMED_ACTIVE_DAYS_PER_WEEK} days a week\n`;
+
+    if (!forecast.forecastable) {
+      return `${text}\n⚠️ No work pace to project from. Pass \`hours_per_day\` to forecast from planned capacity.`;
+    }
+
+    text += `**Goal completion**: ${this.formatRange(forecast.goal_completion)}\n`;
+    if (forecast.deadline) {
+      text += forecast.deadline.on_time_probability === null
+        ? `**Deadline**: ${forecast.deadline.date} (passed)\n`
+        : `**Deadline**: ${forecast.deadline.date}, ${Math.round(forecast.deadline.on_time_probability * 100)}% likely on time\n`;
+    }
+
+    const path = forecast.critical_path;
+    text += `\n**Critical path** (${path.tasks.length} tasks, ~${this.formatMinutes(path.minutes)}): `;
+    text += path.tasks.map(task => task.title).join(' → ') + '\n';
+    if (forecast.cycle_blocked.length > 0) {
+      text += `⚠️ ${forecast.cycle_blocked.length} task(s) sit in a prerequisite cycle and can never start: ${forecast.cycle_blocked.join(', ')}\n`;
+    }
+
+    text += `\n**By branch**:\n`;
+    for (const branch of forecast.branches) {
+      if (branch.complete) {
+        text += `- ${branch.name}: ✅ done\n`;
+        continue;
+      }
+      text += `- ${branch.name}: ${this.formatRange(branch)} (${branch.remaining_tasks} tasks left)${branch.on_critical_path ? ' · critical' : ''}\n`;
+    }
+
+    text += `\nP50 is an even bet; P90 is the date you can promise.`;
+    return text;
+  }
+
+  /**
+   * One line for current_status_forest
+   */
+  formatStatusLine(forecast) {
+    if (forecast.remaining.tasks === 0) return '**Forecast**: all tasks done ✅';
+    if (!forecast.forecastable) return '**Forecast**: not enough pace data yet';
+    const assumed = forecast.basis === 'assumed' ? ` (assuming ${forecast.assumed_hours_per_day} h/day)` : '';
+    return `**Forecast**: ${this.formatRange(forecast.goal_completion)}${assumed}`;
+  }
+
+  formatRange(outcome) {
+    const format = date => date || `beyond ${Math.round(FORECAST_CONSTANTS.MAX_DAYS / 365)} years`;
+    return `P50 ${format(outcome.p50)} · P90 ${format(outcome.p90)}`;
+  }
+
+  formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.round((minutes / 60) * 10) / 10;
+    return `${hours} h`;
+  }
+
+  // ===== RESPONSES =====
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default GoalForecaster;
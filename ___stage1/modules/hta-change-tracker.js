@@ -0,0 +1,163 @@
+/**
+ * HTA Change Tracker - structural diffs of HTA trees
+ * Serves diff_hta_forest and attaches a tree diff to evolution responses
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import { diffHTATrees, formatHTADiff } from '../utils/hta-diff.js';
+
+export class HTAChangeTracker {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  get snapshotStore() {
+    return this.dataPersistence.snapshotStore;
+  }
+
+  /**
+   * diff_hta_forest - compare two snapshots, or a snapshot against the current tree.
+   * Without from_snapshot_id the most recent hta.json snapshot of the path is used.
+   */
+  async diffHTA(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const pathName = args.path_name || (await this.resolveActivePath(projectId));
+      const from = args.from_snapshot_id
+        ? await this.loadSnapshotTree(projectId, args.from_snapshot_id)
+        : await this.loadLatestSnapshotTree(projectId, pathName);
+      if (!from) {
+        throw new Error(`No hta.json snapshot found for path "${pathName}". Snapshots are taken before each tree change.`);
+      }
+      const to = args.to_snapshot_id
+        ? await this.loadSnapshotTree(projectId, args.to_snapshot_id)
+        : { label: 'current tree', data: await this.loadTree(projectId, pathName) };
+
+      const diff = diffHTATrees(from.data, to.data, {
+        similarityThreshold: this.parseThreshold(args.similarity_threshold),
+      });
+
+      let text = `**HTA Diff** 🌳\n\n`;
+      text += `**From**: ${from.label}\n**To**: ${to.label}\n\n`;
+      text += formatHTADiff(diff, { heading: '**Changes**' });
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        path_name: pathName,
+        from: from.label,
+        to: to.label,
+        diff,
+      };
+    } catch (error) {
+      console.error('HTAChangeTracker.diffHTA failed:', error);
+      return this.errorResponse('HTA Diff Failed', error);
+    }
+  }
+
+  /**
+   * Run an evolution and attach the resulting tree diff to its response.
+   * Diff failures never affect the evolution result itself.
+   * @param {Function} evolve - async () => tool response
+   * @param {string|null} projectId - defaults to the active project
+   */
+  async trackEvolution(evolve, projectId = null) {
+    let target = null;
+    let before = null;
+    try {
+      const resolvedProjectId = projectId || (await this.projectManagement.getActiveProject())?.project_id;
+      if (resolvedProjectId) {
+        target = { projectId: resolvedProjectId, pathName: await this.resolveActivePath(resolvedProjectId) };
+        before = await this.loadTree(target.projectId, target.pathName);
+      }
+    } catch (error) {
+      console.error('[HTAChangeTracker] Could not capture tree before evolution:', error.message);
+      target = null;
+    }
+
+    const result = await evolve();
+    if (!target || !result || result.error) return result;
+
+    try {
+      this.attachDiff(result, before, await this.loadTree(target.projectId, target.pathName));
+    } catch (error) {
+      console.error('[HTAChangeTracker] Could not diff tree after evolution:', error.message);
+    }
+    return result;
+  }
+
+  /**
+   * Attach the diff of two trees to an evolution response. For evolutions
+   * written in a transaction, whose trees a live trackEvolution cannot read.
+   */
+  attachDiff(result, before, after) {
+    const diff = diffHTATrees(before, after);
+    result.hta_diff = diff;
+    const first = result.content?.[0];
+    if (first?.type === 'text' && typeof first.text === 'string') {
+      first.text += `\n\n---\n\n${formatHTADiff(diff)}`;
+    }
+    return result;
+  }
+
+  async resolveActivePath(projectId) {
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    return config?.activePath || DEFAULT_PATHS.GENERAL;
+  }
+
+  async loadTree(projectId, pathName) {
+    const data = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+    // Loads may return the cached object, which the evolution will mutate
+    return data ? JSON.parse(JSON.stringify(data)) : null;
+  }
+
+  async loadSnapshotTree(projectId, snapshotId) {
+    const snapshot = await this.snapshotStore.get(projectId, snapshotId);
+    if (!snapshot) {
+      throw new Error(`Snapshot ${snapshotId} not found`);
+    }
+    if (snapshot.entry.file_name !== FILE_NAMES.HTA) {
+      throw new Error(`Snapshot ${snapshotId} is of ${snapshot.entry.file_name}, not ${FILE_NAMES.HTA}`);
+    }
+    return { label: `${snapshotId} (${snapshot.entry.created_at})`, data: snapshot.data };
+  }
+
+  async loadLatestSnapshotTree(projectId, pathName) {
+    const [latest] = await this.snapshotStore.list(projectId, { fileName: FILE_NAMES.HTA, pathName });
+    return latest ? this.loadSnapshotTree(projectId, latest.id) : null;
+  }
+
+  parseThreshold(value) {
+    if (value === undefined || value === null) return undefined;
+    const threshold = Number(value);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+      throw new Error('similarity_threshold must be a number in (0, 1]');
+    }
+    return threshold;
+  }
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default HTAChangeTracker;
@@ -380,7 +380,9 @@ export class HTACore {
       console.error('  - config.goal:', config?.goal);
       console.error('  - onboardingState.goal:', onboardingState?.goal);
       
-      const goal = goalOverride || config?.goal || onboardingState?.goal;
+      // Paths other than the default can focus the tree on their own goal
+      const pathGoal = config?.learning_paths?.find(path => path.path_name === pathName)?.goal;
+      const goal = goalOverride || pathGoal || config?.goal || onboardingState?.goal;
       console.error('  - Final resolved goal:', goal);
       
       if (!goal) {
@@ -762,8 +764,9 @@ export class HTACore {
       }
       
       // Fallback to traditional storage if vector store fails
+      const activePath = config?.activePath || 'general';
       if (!htaData) {
-        htaData = await this.loadPathHTA(projectId, config?.activePath || 'general');
+        htaData = await this.loadPathHTA(projectId, activePath);
         if (htaData) {
           console.error(`[HTACore] Retrieved HTA from traditional storage for project ${projectId}`);
         }
@@ -796,6 +799,7 @@ export class HTACore {
             text: 
               `**HTA Status Overview** 📊\n\n` +
               `**Goal**: ${htaData.goal}\n` +
+              `**Learning Path**: ${activePath}\n` +
               `**Complexity**: ${htaData.complexity?.score || 'Unknown'}/10 (${htaData.complexity?.level || 'Unknown'})\n` +
               `**Progress**: ${progressPercentage}% (${completedTasks}/${totalTasks} tasks)\n` +
               `**Available Tasks**: ${availableTasks}\n` +
@@ -806,6 +810,7 @@ export class HTACore {
               `Use \`get_next_task_forest\` to continue your learning journey!`,
           },
         ],
+        path_name: activePath,
         total_tasks: totalTasks,
         completed_tasks: completedTasks,
         available_tasks: availableTasks,
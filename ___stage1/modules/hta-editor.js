@@ -0,0 +1,507 @@
+/**
+ * HTA Editor - manual corrections to HTA trees
+ * Serves add_hta_node_forest, edit_hta_node_forest, move_hta_node_forest and
+ * delete_hta_node_forest. Every edit works on a copy of the tree, is checked
+ * with validateHierarchy before it is saved (the save snapshots the previous
+ * tree) and refreshes the vector index when it touches the active path.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import { validateHierarchy } from '../utils/hta-hierarchy-utils.js';
+import { buildReadinessIndex, getTaskReadiness, getPrerequisiteIds } from '../../utils/hta-eligibility.js';
+
+export const HTA_EDIT_CONSTANTS = {
+  EDITABLE_TASK_FIELDS: ['title', 'description', 'difficulty', 'duration', 'priority', 'prerequisites', 'learningOutcome', 'completed'],
+  EDITABLE_BRANCH_FIELDS: ['name', 'description', 'phase', 'priority'],
+  // Same spacing HTACore uses when it turns branches into frontier nodes
+  BRANCH_PRIORITY_STEP: 100,
+  TASK_PRIORITY_STEP: 10,
+  DEFAULT_DIFFICULTY: 3,
+  DEFAULT_DURATION: '30 minutes',
+};
+
+// snake_case aliases accepted in `updates`
+const FIELD_ALIASES = { learning_outcome: 'learningOutcome' };
+
+export class HTAEditor {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.vectorStore = null; // set after vector store initialization
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * add_hta_node_forest - add a task (default) or, with node_type "branch", a branch.
+   */
+  async addNode(args = {}) {
+    return this.applyEdit(args, 'Node Added', 'Add Node Failed', tree => {
+      if (args.node_type === 'branch') {
+        const name = this.requireString(args.name || args.branch_name, 'name');
+        if (this.findBranch(tree, name)) throw new Error(`Branch "${name}" already exists`);
+        const branch = { name, description: args.description || '', priority: 0 };
+        if (args.phase) branch.phase = args.phase;
+        this.insertAt(tree.strategicBranches, branch, args.position);
+        this.renumberBranches(tree);
+        return { message: `Added branch **${name}**`, node: branch };
+      }
+
+      const title = this.requireString(args.title, 'title');
+      const branchName = this.resolveBranchName(tree, args.branch);
+      const id = args.node_id || this.generateTaskId(tree, branchName);
+      if (this.findTask(tree, id)) throw new Error(`Task ID "${id}" already exists`);
+
+      const task = {
+        id,
+        title,
+        description: args.description || '',
+        difficulty: args.difficulty ?? HTA_EDIT_CONSTANTS.DEFAULT_DIFFICULTY,
+        duration: args.duration || HTA_EDIT_CONSTANTS.DEFAULT_DURATION,
+        prerequisites: Array.isArray(args.prerequisites) ? [...args.prerequisites] : [],
+        learningOutcome: args.learning_outcome || args.learningOutcome || '',
+        completed: false,
+        generated: false,
+        manual: true,
+        created_at: new Date().toISOString(),
+      };
+      if (branchName) task.branch = branchName;
+
+      const siblings = this.tasksInBranch(tree, branchName);
+      this.insertAt(siblings, task, args.position);
+      tree.frontierNodes.push(task);
+      this.applyBranchOrder(tree, branchName, siblings);
+      return { message: `Added task **${title}** (\`${id}\`)${branchName ? ` to ${branchName}` : ''}`, node: task };
+    });
+  }
+
+  /**
+   * edit_hta_node_forest - change fields of a task (node_id) or branch (branch_name).
+   */
+  async editNode(args = {}) {
+    return this.applyEdit(args, 'Node Updated', 'Edit Node Failed', tree => {
+      const updates = this.normalizeUpdates(args.updates);
+
+      if (args.branch_name) {
+        const branch = this.requireBranch(tree, args.branch_name);
+        this.rejectUnknownFields(updates, HTA_EDIT_CONSTANTS.EDITABLE_BRANCH_FIELDS, 'branch');
+        const removedBranches = [];
+        if (updates.name !== undefined && updates.name !== branch.name) {
+          const name = this.requireString(updates.name, 'updates.name');
+          if (this.findBranch(tree, name)) throw new Error(`Branch "${name}" already exists`);
+          for (const task of tree.frontierNodes) {
+            if (task.branch === branch.name) task.branch = name;
+          }
+          removedBranches.push(branch.name);
+        }
+        const changed = Object.keys(updates).filter(field => branch[field] !== updates[field]);
+        Object.assign(branch, updates);
+        return { message: `Updated branch **${branch.name}**: ${changed.join(', ') || 'no changes'}`, node: branch, removedBranches };
+      }
+
+      const task = this.requireTask(tree, args.node_id);
+      this.rejectUnknownFields(updates, HTA_EDIT_CONSTANTS.EDITABLE_TASK_FIELDS, 'task');
+      if (updates.title !== undefined) this.requireString(updates.title, 'updates.title');
+      if (updates.prerequisites !== undefined && !Array.isArray(updates.prerequisites)) {
+        throw new Error('updates.prerequisites must be an array of task IDs');
+      }
+      const changed = Object.keys(updates).filter(field => JSON.stringify(task[field]) !== JSON.stringify(updates[field]));
+      Object.assign(task, updates, { last_edited: new Date().toISOString() });
+      if (updates.completed === false) delete task.completed_at;
+      return { message: `Updated task **${task.title}** (\`${task.id}\`): ${changed.join(', ') || 'no changes'}`, node: task };
+    });
+  }
+
+  /**
+   * move_hta_node_forest - move a task to another branch and/or position, or
+   * reorder a branch. Priorities of the affected branches are renumbered to
+   * match the new order.
+   */
+  async moveNode(args = {}) {
+    return this.applyEdit(args, 'Node Moved', 'Move Node Failed', tree => {
+      if (args.branch_name) {
+        const branch = this.requireBranch(tree, args.branch_name);
+        if (args.position === undefined) throw new Error('position is required to reorder a branch');
+        tree.strategicBranches.splice(tree.strategicBranches.indexOf(branch), 1);
+        this.insertAt(tree.strategicBranches, branch, args.position);
+        this.renumberBranches(tree);
+        for (const entry of tree.strategicBranches) {
+          this.applyBranchOrder(tree, entry.name, this.tasksInBranch(tree, entry.name));
+        }
+        return { message: `Moved branch **${branch.name}** to position ${tree.strategicBranches.indexOf(branch) + 1}`, node: branch };
+      }
+
+      const task = this.requireTask(tree, args.node_id);
+      if (args.to_branch === undefined && args.position === undefined) {
+        throw new Error('Pass to_branch, position or both');
+      }
+      const fromBranch = task.branch || null;
+      const toBranch = args.to_branch !== undefined ? this.resolveBranchName(tree, args.to_branch) : fromBranch;
+
+      const siblings = this.tasksInBranch(tree, toBranch).filter(entry => entry !== task);
+      if (toBranch) task.branch = toBranch;
+      else delete task.branch;
+      this.insertAt(siblings, task, args.position);
+      this.applyBranchOrder(tree, toBranch, siblings);
+      if (fromBranch !== toBranch) {
+        this.applyBranchOrder(tree, fromBranch, this.tasksInBranch(tree, fromBranch));
+      }
+
+      const where = fromBranch !== toBranch ? `from ${fromBranch || '(no branch)'} to ${toBranch || '(no branch)'}` : `within ${toBranch || 'the tree'}`;
+      return { message: `Moved task **${task.title}** ${where}, position ${siblings.indexOf(task) + 1}`, node: task };
+    });
+  }
+
+  /**
+   * delete_hta_node_forest - delete a task, or a branch. A branch that still
+   * has tasks needs reassign_to (move them) or cascade: true (delete them).
+   * Deleted tasks are removed from the prerequisites of their dependents.
+   */
+  async deleteNode(args = {}) {
+    return this.applyEdit(args, 'Node Deleted', 'Delete Node Failed', tree => {
+      if (args.branch_name) {
+        const branch = this.requireBranch(tree, args.branch_name);
+        const tasks = this.tasksInBranch(tree, branch.name);
+        let removedTasks = [];
+        let reassigned = null;
+        if (tasks.length > 0) {
+          if (args.reassign_to) {
+            const target = this.requireBranch(tree, args.reassign_to);
+            if (target === branch) throw new Error('reassign_to must be a different branch');
+            // Moved tasks queue up after the target's own tasks
+            reassigned = { name: target.name, order: [...this.tasksInBranch(tree, target.name), ...tasks] };
+            for (const task of tasks) task.branch = target.name;
+          } else if (args.cascade === true) {
+            removedTasks = tasks.map(task => task.id);
+          } else {
+            throw new Error(`Branch "${branch.name}" has ${tasks.length} task(s). Pass reassign_to to move them or cascade: true to delete them.`);
+          }
+        }
+        tree.strategicBranches.splice(tree.strategicBranches.indexOf(branch), 1);
+        const detached = this.removeTasks(tree, removedTasks);
+        this.renumberBranches(tree);
+        for (const entry of tree.strategicBranches) {
+          const ordered = entry.name === reassigned?.name ? reassigned.order : this.tasksInBranch(tree, entry.name);
+          this.applyBranchOrder(tree, entry.name, ordered);
+        }
+
+        let message = `Deleted branch **${branch.name}**`;
+        if (args.reassign_to && tasks.length > 0) message += `; ${tasks.length} task(s) moved to ${args.reassign_to}`;
+        if (removedTasks.length > 0) message += ` with ${removedTasks.length} task(s)`;
+        return { message, removedTasks, removedBranches: [branch.name], detached };
+      }
+
+      const task = this.requireTask(tree, args.node_id);
+      const detached = this.removeTasks(tree, [task.id]);
+      this.applyBranchOrder(tree, task.branch || null, this.tasksInBranch(tree, task.branch || null));
+      return { message: `Deleted task **${task.title}** (\`${task.id}\`)`, removedTasks: [task.id], detached };
+    });
+  }
+
+  // ===== EDIT PIPELINE =====
+
+  /**
+   * Resolve the project and path an edit targets and load a copy of its tree.
+   * @returns {Promise<{projectId, pathName, activePath, tree}|null>} null without a project
+   */
+  async loadTarget(args = {}) {
+    const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+    if (!projectId) return null;
+
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    const activePath = config?.activePath || DEFAULT_PATHS.GENERAL;
+    const pathName = args.path_name || activePath;
+    const current = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+    if (!current) {
+      throw new Error(`No HTA tree found for path "${pathName}". Use build_hta_tree_forest first.`);
+    }
+
+    // Loaded trees are cached objects; edit a copy so a rejected edit changes nothing
+    const tree = JSON.parse(JSON.stringify(current));
+    if (!Array.isArray(tree.frontierNodes)) tree.frontierNodes = [];
+    if (!Array.isArray(tree.strategicBranches)) tree.strategicBranches = [];
+
+    return { projectId, pathName, activePath, tree };
+  }
+
+  async applyEdit(args, title, errorTitle, mutate) {
+    try {
+      const target = await this.loadTarget(args);
+      if (!target) return this.noActiveProjectResponse();
+      const { projectId, pathName, activePath, tree } = target;
+
+      const existingProblems = this.findProblems(tree);
+      const outcome = mutate(tree);
+      this.syncBranchTaskLists(tree);
+      this.assertValid(tree, existingProblems);
+
+      tree.lastUpdated = new Date().toISOString();
+      await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, tree);
+
+      const vectorsRefreshed = pathName === activePath
+        ? await this.refreshVectors(projectId, tree, outcome)
+        : false;
+
+      let text = `**${title}** ✏️\n\n${outcome.message}\n`;
+      if (outcome.detached?.length > 0) {
+        text += `\nRemoved as a prerequisite from: ${outcome.detached.map(id => `\`${id}\``).join(', ')}\n`;
+      }
+      text += `\n**Path**: ${pathName} | **Tasks**: ${tree.frontierNodes.length} | **Branches**: ${tree.strategicBranches.length}\n`;
+      text += `The previous tree was snapshotted; use \`restore_snapshot_forest\` to undo.`;
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        path_name: pathName,
+        node: outcome.node || null,
+        removed_tasks: outcome.removedTasks || [],
+        detached_dependents: outcome.detached || [],
+        vectors_refreshed: vectorsRefreshed,
+        ...(outcome.data || {}),
+      };
+    } catch (error) {
+      console.error(`HTAEditor ${errorTitle}:`, error);
+      return this.errorResponse(errorTitle, error);
+    }
+  }
+
+  /**
+   * Reject an edit only for problems it introduces: older trees may already
+   * hold unknown prerequisites, and those must not block unrelated edits.
+   * @param {Object} tree - The edited tree
+   * @param {Map<string, string>} existingProblems - findProblems() of the tree before the edit
+   */
+  assertValid(tree, existingProblems = new Map()) {
+    const problems = [];
+    const unknown = [];
+    for (const [key, message] of this.findProblems(tree)) {
+      if (existingProblems.has(key)) continue;
+      if (key.startsWith('unknown:')) unknown.push(message);
+      else problems.push(message);
+    }
+    if (unknown.length > 0) {
+      problems.push(`Unknown prerequisites on: ${unknown.join(', ')}`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`The edit would leave an invalid tree:\n- ${problems.join('\n- ')}`);
+    }
+  }
+
+  /**
+   * Problems of a tree keyed so that runs before and after an edit compare.
+   * validateHierarchy covers cycles; IDs and branch references are checked
+   * here as manual edits can break them too. Prerequisites resolve by ID or
+   * title, as task readiness does.
+   * @returns {Map<string, string>} key -> message
+   */
+  findProblems(tree) {
+    const problems = new Map();
+    const index = buildReadinessIndex(tree.frontierNodes);
+    const seen = new Set();
+    for (const task of tree.frontierNodes) {
+      if (!task.id) problems.set(`no_id:${task.title}`, `Task "${task.title}" has no ID`);
+      else if (seen.has(task.id)) problems.set(`duplicate:${task.id}`, `Duplicate task ID "${task.id}"`);
+      seen.add(task.id);
+      if (getPrerequisiteIds(task).some(prerequisite => prerequisite === task.id || index.byKey.get(prerequisite) === task)) {
+        problems.set(`self:${task.id}`, `Task "${task.id}" lists itself as a prerequisite`);
+      }
+      for (const prerequisite of getTaskReadiness(task, index).unknown) {
+        problems.set(`unknown:${task.id}:${prerequisite}`, `${task.id} ("${prerequisite}")`);
+      }
+    }
+    if (tree.strategicBranches.length > 0) {
+      const branchNames = new Set(tree.strategicBranches.map(branch => branch.name));
+      for (const task of tree.frontierNodes) {
+        if (task.branch && !branchNames.has(task.branch)) {
+          problems.set(`branch:${task.id}:${task.branch}`, `Task "${task.id}" belongs to unknown branch "${task.branch}"`);
+        }
+      }
+    }
+
+    // Cycle detection follows IDs, so title prerequisites are mapped to IDs first
+    const resolved = {
+      ...tree,
+      frontierNodes: tree.frontierNodes.map(task => ({
+        ...task,
+        prerequisites: getPrerequisiteIds(task).map(prerequisite => index.byKey.get(prerequisite)?.id ?? prerequisite),
+      })),
+    };
+    const hierarchy = validateHierarchy(resolved);
+    for (const error of hierarchy.errors) {
+      problems.set(`error:${error}`, error);
+    }
+    for (const cycle of hierarchy.cycles) {
+      problems.set(`cycle:${[...new Set(cycle)].sort().join(',')}`, `Prerequisite cycle: ${cycle.join(' → ')}`);
+    }
+    return problems;
+  }
+
+  /**
+   * storeHTATree rewrites every vector of the tree; vectors of deleted or
+   * renamed nodes are dropped first so its verification count matches.
+   */
+  async refreshVectors(projectId, tree, outcome) {
+    if (!this.vectorStore?.storeHTATree) return false;
+    try {
+      const provider = this.vectorStore.provider;
+      if (provider?.deleteVector) {
+        for (const id of outcome.removedTasks || []) await provider.deleteVector(`${projectId}:task:${id}`);
+        for (const name of outcome.removedBranches || []) await provider.deleteVector(`${projectId}:branch:${name}`);
+      }
+      await this.vectorStore.storeHTATree(projectId, tree);
+      return true;
+    } catch (vectorError) {
+      console.error('[HTAEditor] Vector refresh after edit failed:', vectorError.message);
+      return false;
+    }
+  }
+
+  // ===== TREE HELPERS =====
+
+  findTask(tree, id) {
+    return tree.frontierNodes.find(task => task.id === id) || null;
+  }
+
+  requireTask(tree, id) {
+    if (!id) throw new Error('node_id (or branch_name for a branch) is required');
+    const task = this.findTask(tree, id);
+    if (!task) throw new Error(`Task "${id}" not found`);
+    return task;
+  }
+
+  findBranch(tree, name) {
+    return tree.strategicBranches.find(branch => branch.name === name) || null;
+  }
+
+  requireBranch(tree, name) {
+    const branch = this.findBranch(tree, name);
+    if (!branch) {
+      throw new Error(`Branch "${name}" not found. Branches: ${tree.strategicBranches.map(entry => entry.name).join(', ') || 'none'}`);
+    }
+    return branch;
+  }
+
+  // Trees without branches take tasks without one
+  resolveBranchName(tree, name) {
+    if (tree.strategicBranches.length === 0) {
+      if (name) throw new Error(`Branch "${name}" not found. Add it with node_type "branch" first.`);
+      return null;
+    }
+    if (!name) {
+      throw new Error(`branch is required. Branches: ${tree.strategicBranches.map(entry => entry.name).join(', ')}`);
+    }
+    return this.requireBranch(tree, name).name;
+  }
+
+  /**
+   * Tasks of a branch in their current order (priority, then position in the tree).
+   */
+  tasksInBranch(tree, branchName) {
+    return tree.frontierNodes
+      .map((task, index) => ({ task, index }))
+      .filter(({ task }) => (task.branch || null) === (branchName || null))
+      .sort((a, b) => (a.task.priority ?? Infinity) - (b.task.priority ?? Infinity) || a.index - b.index)
+      .map(({ task }) => task);
+  }
+
+  /**
+   * Give a branch's tasks priorities that follow `ordered`.
+   */
+  applyBranchOrder(tree, branchName, ordered) {
+    const branchIndex = branchName ? tree.strategicBranches.findIndex(branch => branch.name === branchName) : 0;
+    const base = (Math.max(branchIndex, 0) + 1) * HTA_EDIT_CONSTANTS.BRANCH_PRIORITY_STEP;
+    ordered.forEach((task, index) => {
+      task.priority = base + index * HTA_EDIT_CONSTANTS.TASK_PRIORITY_STEP;
+    });
+  }
+
+  renumberBranches(tree) {
+    tree.strategicBranches.forEach((branch, index) => {
+      branch.priority = index + 1;
+    });
+  }
+
+  // Branches that carry their own task list keep it in step with frontierNodes
+  syncBranchTaskLists(tree) {
+    for (const branch of tree.strategicBranches) {
+      if (Array.isArray(branch.tasks)) {
+        branch.tasks = this.tasksInBranch(tree, branch.name).map(task => ({ ...task }));
+      }
+    }
+  }
+
+  /**
+   * @returns {string[]} IDs of remaining tasks that lost a prerequisite
+   */
+  removeTasks(tree, ids) {
+    if (ids.length === 0) return [];
+    const removed = new Set(ids);
+    tree.frontierNodes = tree.frontierNodes.filter(task => !removed.has(task.id));
+    const detached = [];
+    for (const task of tree.frontierNodes) {
+      if (Array.isArray(task.prerequisites) && task.prerequisites.some(id => removed.has(id))) {
+        task.prerequisites = task.prerequisites.filter(id => !removed.has(id));
+        detached.push(task.id);
+      }
+    }
+    return detached;
+  }
+
+  generateTaskId(tree, branchName) {
+    const prefix = (branchName || 'task').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'task';
+    let counter = tree.frontierNodes.length + 1;
+    while (this.findTask(tree, `${prefix}_${counter}`)) counter++;
+    return `${prefix}_${counter}`;
+  }
+
+  insertAt(list, item, position) {
+    const index = position === undefined || position === null
+      ? list.length
+      : Math.max(0, Math.min(list.length, Math.floor(Number(position))));
+    if (Number.isNaN(index)) throw new Error('position must be a number');
+    list.splice(index, 0, item);
+  }
+
+  normalizeUpdates(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+      throw new Error('updates must be an object with at least one field');
+    }
+    return Object.fromEntries(Object.entries(updates).map(([field, value]) => [FIELD_ALIASES[field] || field, value]));
+  }
+
+  rejectUnknownFields(updates, allowed, kind) {
+    const unknown = Object.keys(updates).filter(field => !allowed.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot edit ${kind} field(s) ${unknown.join(', ')}. Editable: ${allowed.join(', ')}`);
+    }
+  }
+
+  requireString(value, name) {
+    if (typeof value !== 'string' || value.trim() === '') throw new Error(`${name} is required`);
+    return value.trim();
+  }
+
+  // ===== RESPONSES =====
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default HTAEditor;
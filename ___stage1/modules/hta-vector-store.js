@@ -15,9 +15,24 @@ import LocalJSONProvider from './vector-providers/LocalJSONProvider.js';
 import SQLiteVecProvider from './vector-providers/SQLiteVecProvider.js';
 import { enrichHTA, buildPrompt } from '../utils/hta-graph-enricher.js';
 import embeddingService from '../utils/embedding-service.js';
+import { buildReadinessIndex, isTaskReady } from '../../utils/hta-eligibility.js';
+import {
+  resolveSelectionPolicy,
+  branchVarietySignal,
+  difficultyProgressionSignal,
+  policyAdjustment
+} from '../../utils/selection-policy.js';
+import { isTaskSnoozed, skipPenaltySignal, buildSkipIndex } from '../../utils/task-skips.js';
+import { rankTasksLexically, normalizedFusion } from '../utils/hybrid-search.js';
+import { embeddingMetadata, describeCompatibility } from '../utils/embedding-signature.js';
 
 const vectorConfig = vectorConfigModule.default || vectorConfigModule;
 
+// Scale of the selection policy adjustments on the similarity-based goal rank
+const VECTOR_POLICY_ADJUSTMENT = 0.2;
+// Similarity taken off per weighted skip (see utils/task-skips.js)
+const VECTOR_SKIP_PENALTY = 0.1;
+
 // Simple vector operations (in production, use a proper vector DB like ChromaDB/Pinecone)
 class VectorStore {
   constructor(dataDir, options = {}) {
@@ -258,7 +273,7 @@ class HTAVectorStore {
    */
   getDimension() {
     const providerName = this.config.provider || 'sqlitevec';
-    const dimension = this.config[providerName]?.dimension || 1536;
+    const dimension = this.config[providerName]?.dimension || embeddingService.getDimension();
     return dimension;
   }
 
@@ -268,11 +283,14 @@ class HTAVectorStore {
       const initDetails = await this.provider.initialize(this.config[this.config.provider]);
       this.initialized = true;
       console.error('[HTA-Vector] Provider initialized:', primaryName);
+      const embedding = await embeddingService.initialize();
       return {
         success: true,
         provider: primaryName,
         fallbackUsed: false,
         details: initDetails,
+        embedding,
+        embedding_compatibility: await this.checkEmbeddingCompatibility(),
       };
     } catch (err) {
       const msg = err && err.message ? err.message : String(err);
@@ -284,16 +302,55 @@ class HTAVectorStore {
         return { success: false, error: fallbackErr?.message || String(fallbackErr) };
       });
       this.initialized = true;
+      const embedding = await embeddingService.initialize();
       return {
         success: true,
         provider: this.provider.constructor.name,
         fallbackUsed: true,
         error: msg,
         details: fallbackDetails,
+        embedding,
+        embedding_compatibility: await this.checkEmbeddingCompatibility(),
       };
     }
   }
 
+  /**
+   * Compare the embedding recorded on stored vectors with the one configured
+   * now. A changed provider, model or dimension leaves vectors from another
+   * embedding space behind; reindex_vectors_forest re-embeds them.
+   * @param {string|null} [projectId] - Limit the check to one project
+   * @returns {Promise<Object|null>} Report from summarizeEmbeddingSignatures, null if unsupported
+   */
+  async checkEmbeddingCompatibility(projectId = null) {
+    if (typeof this.provider?.checkEmbeddingCompatibility !== 'function') return null;
+    try {
+      const expected = await embeddingService.describeEmbedding(this.getDimension());
+      const report = await this.provider.checkEmbeddingCompatibility(expected, { prefix: projectId ? `${projectId}:` : '' });
+      if (!projectId) {
+        this.embeddingCompatibility = report;
+        if (!report.compatible) {
+          console.error(`[HTA-Vector] ${describeCompatibility(report)}. Run reindex_vectors_forest to re-embed them.`);
+        }
+      }
+      return report;
+    } catch (err) {
+      console.error('[HTA-Vector] Embedding compatibility check failed:', err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Upsert a vector with the embedding that produced it recorded in its metadata
+   * @param {string} id
+   * @param {number[]} vector
+   * @param {Object} metadata
+   */
+  async upsertEmbedding(id, vector, metadata = {}) {
+    const embedding = await embeddingService.describeEmbedding(vector.length);
+    return this.provider.upsertVector(id, vector, { ...metadata, ...embeddingMetadata(embedding, vector) });
+  }
+
   /**
    * @param {string} projectId
    * @param {object} htaData
@@ -309,31 +366,41 @@ class HTAVectorStore {
       (htaData.frontierNodes ? htaData.frontierNodes.length : 0);
     const MAX_ATTEMPTS = 2;
 
+    const goalPrompt = buildPrompt({
+      type: 'goal', depth: 0, sibling_index: 0, prereq_count: 0,
+      child_count: (htaData.strategicBranches?.length || htaData.frontierNodes?.length || 0),
+      raw: htaData.goal || '',
+    });
+    const taskPrompts = new Map(htaData.frontierNodes.map(task => [task, buildPrompt({
+      type: 'task', depth: 2, sibling_index: 0,
+      prereq_count: Array.isArray(task.prerequisites) ? task.prerequisites.length : 0,
+      child_count: 0, raw: task.description || task.title || '', branch: task.branch,
+    })]));
+    const branchPrompts = new Map((htaData.strategicBranches || []).map(branch => [branch, buildPrompt({
+      type: 'branch', depth: 1, sibling_index: 0, prereq_count: 0,
+      child_count: branch.tasks ? branch.tasks.length : 0,
+      raw: branch.description || branch.name || '', branch: branch.name,
+    })]));
+    // Corpus statistics (IDF) for the offline embedding provider
+    await embeddingService.observeDocuments([goalPrompt, ...taskPrompts.values(), ...branchPrompts.values()]);
+
     // Helper that writes the whole tree using the *current* provider instance
     const writeAllVectors = async () => {
       const vectors = [];
 
       // 1. Goal vector
-      const goalVector = htaData.goal_embedding || await embeddingService.embedText(buildPrompt({
-        type: 'goal', depth: 0, sibling_index: 0, prereq_count: 0,
-        child_count: (htaData.strategicBranches?.length || htaData.frontierNodes?.length || 0),
-        raw: htaData.goal || '',
-      }), this.getDimension());
+      const goalVector = htaData.goal_embedding || await embeddingService.embedText(goalPrompt, this.getDimension());
 
-      await this.provider.upsertVector(`${projectId}:goal`, goalVector, {
+      await this.upsertEmbedding(`${projectId}:goal`, goalVector, {
         type: 'goal', project_id: projectId, content: htaData.goal,
         complexity: htaData.complexity, depth: 0,
       });
 
       // 2. Task vectors
       for (const task of htaData.frontierNodes) {
-        const taskVector = task.embedding || await embeddingService.embedText(buildPrompt({
-          type: 'task', depth: 2, sibling_index: 0,
-          prereq_count: Array.isArray(task.prerequisites) ? task.prerequisites.length : 0,
-          child_count: 0, raw: task.description || task.title || '', branch: task.branch,
-        }), this.getDimension());
+        const taskVector = task.embedding || await embeddingService.embedText(taskPrompts.get(task), this.getDimension());
 
-        await this.provider.upsertVector(`${projectId}:task:${task.id}`, taskVector, {
+        await this.upsertEmbedding(`${projectId}:task:${task.id}`, taskVector, {
           type: 'task', project_id: projectId, task_id: task.id, title: task.title,
           description: task.description, branch: task.branch, priority: task.priority,
           difficulty: task.difficulty, duration: task.duration,
@@ -347,13 +414,9 @@ class HTAVectorStore {
       // 3. Branch vectors
       if (htaData.strategicBranches) {
         for (const branch of htaData.strategicBranches) {
-          const branchVector = branch.embedding || await embeddingService.embedText(buildPrompt({
-            type: 'branch', depth: 1, sibling_index: 0, prereq_count: 0,
-            child_count: branch.tasks ? branch.tasks.length : 0,
-            raw: branch.description || branch.name || '', branch: branch.name,
-          }), this.getDimension());
+          const branchVector = branch.embedding || await embeddingService.embedText(branchPrompts.get(branch), this.getDimension());
 
-          await this.provider.upsertVector(`${projectId}:branch:${branch.name}`, branchVector, {
+          await this.upsertEmbedding(`${projectId}:branch:${branch.name}`, branchVector, {
             type: 'branch', project_id: projectId, name: branch.name,
             description: branch.description, priority: branch.priority,
             task_count: branch.tasks ? branch.tasks.length : 0, depth: 1,
@@ -579,13 +642,7 @@ class HTAVectorStore {
       const queryVector = await embeddingService.embedText(goalQuery, this.getDimension());
       
       // Enhanced filter for goal-focused task selection
-      const filter = {
-        must: [
-          { key: 'project_id', match: { value: projectId } },
-          { key: 'type', match: { value: 'task' } },
-          { key: 'completed', match: { value: false } }
-        ]
-      };
+      const filter = { project_id: projectId, type: 'task', completed: { $ne: true } };
       
       // Query vectors with goal-focused parameters - get more candidates for batch selection
       const results = await this.provider.queryVectors(queryVector, {
@@ -604,14 +661,17 @@ class HTAVectorStore {
         results, 
         recommendations, 
         alignment,
-        batchSize
+        batchSize,
+        options.skips
       );
       
       if (goalFocusedTasks.length === 0) {
         console.warn('[HTA-Vector] No tasks passed goal achievement batch filtering');
         // Fallback to best matches within size constraints
-        const fallbackSize = Math.min(results.length, maxBatchSize);
-        return results.slice(0, fallbackSize).map(result => this.convertVectorResultToTask(result));
+        const awake = results
+          .map(result => this.withSkipState(this.convertVectorResultToTask(result), options.skips))
+          .filter(task => !isTaskSnoozed(task));
+        return awake.slice(0, Math.min(awake.length, maxBatchSize));
       }
       
       // Ensure we're within optimal batch size range
@@ -626,10 +686,10 @@ class HTAVectorStore {
     }
   }
   
-  applyGoalAchievementBatchFiltering(results, recommendations, alignment, batchSize) {
+  applyGoalAchievementBatchFiltering(results, recommendations, alignment, batchSize, skips = null) {
     const candidateTasks = results
-      .filter(result => result.metadata && !result.metadata.completed)
-      .map(result => this.convertVectorResultToTask(result));
+      .map(result => this.withSkipState(this.convertVectorResultToTask(result), skips))
+      .filter(task => !isTaskSnoozed(task));
     
     // For batch selection, we want diversity in task types and difficulty levels
     const filteredTasks = this.createDiverseBatch(
@@ -715,7 +775,7 @@ class HTAVectorStore {
   }
   
   calculateTaskGoalAlignment(task, alignment) {
-    let score = task.similarity || 0;
+    let score = (task.similarity || 0) - VECTOR_SKIP_PENALTY * skipPenaltySignal(task);
     
     // Boost score for optimal focus area match
     if (this.matchesOptimalFocus(task, alignment?.optimal_focus_area)) {
@@ -730,7 +790,11 @@ class HTAVectorStore {
     return score;
   }
 
-  async findGoalFocusedTask(projectId, goalQuery, recommendations, alignment) {
+  /**
+   * @param {Object} selection - Optional { policy, history } from utils/selection-policy.js
+   *   and { skips } from utils/task-skips.js buildSkipIndex
+   */
+  async findGoalFocusedTask(projectId, goalQuery, recommendations, alignment, selection = null) {
     if (!this.initialized) await this.initialize();
     
     try {
@@ -738,13 +802,7 @@ class HTAVectorStore {
       const queryVector = await embeddingService.embedText(goalQuery, this.getDimension());
       
       // Enhanced filter for goal-focused task selection
-      const filter = {
-        must: [
-          { key: 'project_id', match: { value: projectId } },
-          { key: 'type', match: { value: 'task' } },
-          { key: 'completed', match: { value: false } }
-        ]
-      };
+      const filter = { project_id: projectId, type: 'task', completed: { $ne: true } };
       
       // Query vectors with goal-focused parameters
       const results = await this.provider.queryVectors(queryVector, {
@@ -762,12 +820,16 @@ class HTAVectorStore {
       const goalFocusedTasks = this.applyGoalAchievementFiltering(
         results, 
         recommendations, 
-        alignment
+        alignment,
+        selection
       );
       
       if (goalFocusedTasks.length === 0) {
         console.warn('[HTA-Vector] No tasks passed goal achievement filtering');
-        return this.convertVectorResultToTask(results[0]); // Fallback to best match
+        // Fallback to best match that is not snoozed
+        return results
+          .map(result => this.withSkipState(this.convertVectorResultToTask(result), selection?.skips))
+          .find(task => !isTaskSnoozed(task)) || null;
       }
       
       // Return top goal-focused task
@@ -779,10 +841,10 @@ class HTAVectorStore {
     }
   }
   
-  applyGoalAchievementFiltering(results, recommendations, alignment) {
+  applyGoalAchievementFiltering(results, recommendations, alignment, selection = null) {
     const candidateTasks = results
-      .filter(result => result.metadata && !result.metadata.completed)
-      .map(result => this.convertVectorResultToTask(result));
+      .map(result => this.withSkipState(this.convertVectorResultToTask(result), selection?.skips))
+      .filter(task => !isTaskSnoozed(task));
     
     // Apply goal achievement criteria
     const filteredTasks = candidateTasks.filter(task => {
@@ -812,19 +874,36 @@ class HTAVectorStore {
     });
     
     // Rank by goal achievement potential
-    return filteredTasks.sort((a, b) => {
-      // Prioritize tasks that match optimal focus area
-      const aFocusMatch = this.matchesOptimalFocus(a, alignment?.optimal_focus_area);
-      const bFocusMatch = this.matchesOptimalFocus(b, alignment?.optimal_focus_area);
-      
-      if (aFocusMatch && !bFocusMatch) return -1;
-      if (!aFocusMatch && bFocusMatch) return 1;
-      
-      // Then by similarity score
-      return (b.similarity || 0) - (a.similarity || 0);
-    });
+    const rankScores = new Map(filteredTasks.map(task => [task, this.calculatePolicyRankScore(task, alignment, selection)]));
+    return filteredTasks.sort((a, b) => rankScores.get(b) - rankScores.get(a));
+  }
+
+  /**
+   * Goal-achievement rank under the project's selection policy. Matching the
+   * optimal focus area is worth a full similarity point, so with the balanced
+   * policy focus matches come first and similarity orders the rest. Skips
+   * take similarity off until they wear off.
+   */
+  calculatePolicyRankScore(task, alignment, selection = null) {
+    const { weights } = selection?.policy || resolveSelectionPolicy();
+    const history = selection?.history || null;
+    const focusMatch = this.matchesOptimalFocus(task, alignment?.optimal_focus_area) ? 1 : 0;
+
+    return focusMatch * weights.goal_alignment +
+      (task.similarity || 0) -
+      VECTOR_SKIP_PENALTY * skipPenaltySignal(task) +
+      policyAdjustment(weights.branch_variety, branchVarietySignal(task, history), VECTOR_POLICY_ADJUSTMENT) +
+      policyAdjustment(weights.difficulty_progression, difficultyProgressionSignal(task, history), VECTOR_POLICY_ADJUSTMENT);
   }
   
+  /**
+   * Vector metadata carries no skip state; take it from the tree's skip index
+   */
+  withSkipState(task, skips) {
+    const state = skips?.get(task.id);
+    return state ? { ...task, ...state } : task;
+  }
+
   convertVectorResultToTask(result) {
     return {
       id: result.metadata.task_id || result.id.split(':').pop(),
@@ -898,7 +977,37 @@ class HTAVectorStore {
     return relatedTerms.some(term => taskText.includes(term));
   }
 
-  async findNextTask(projectId, context = '', energy_level = 3, time_available = '30 minutes') {
+  /**
+   * Merge BM25 matches into vector results with reciprocal-rank fusion.
+   * Each task gets `relevance` (best = 1); keyword-only matches are added
+   * from the tree. Without keyword matches the vector results are unchanged.
+   */
+  fuseLexicalMatches(vectorTasks, lexicalHits, htaData) {
+    if (lexicalHits.length === 0) return vectorTasks;
+
+    const relevance = normalizedFusion({
+      vector: vectorTasks.map(task => task.id),
+      lexical: lexicalHits.map(hit => hit.id),
+    });
+    const known = new Set(vectorTasks.map(task => task.id));
+    const nodes = new Map((htaData?.frontierNodes || []).map(node => [node.id, node]));
+    const lexicalOnly = lexicalHits
+      .filter(hit => !known.has(hit.id) && nodes.has(hit.id))
+      .map(hit => ({ ...nodes.get(hit.id), similarity: 0 }));
+
+    return [...vectorTasks, ...lexicalOnly]
+      .map(task => ({ ...task, relevance: relevance.get(task.id) || 0 }))
+      .sort((a, b) => b.relevance - a.relevance);
+  }
+
+  /**
+   * Pick the next task by similarity to the current context, fused with
+   * keyword (BM25) matches on the context text.
+   * @param {Object|null} trace - Optional object filled with how the task was
+   *   picked: `path` ('similarity', 'relaxed' or 'priority_fallback'), `reason`
+   *   and the vector `candidates` with why any were excluded
+   */
+  async findNextTask(projectId, context = '', energy_level = 3, time_available = '30 minutes', trace = null) {
     if (!this.initialized) await this.initialize();
     
     // Build context query combining user context, energy level, and time constraints
@@ -907,15 +1016,32 @@ class HTAVectorStore {
     // Embed the context into a query vector
     const queryVector = await embeddingService.embedText(contextQuery, this.getDimension());
     
-    // Query vectors with filter for this project and non-completed tasks
-    const filter = {
-      must: [
-        { key: 'project_id', match: { value: projectId } },
-        { key: 'type', match: { value: 'task' } },
-        { key: 'completed', match: { value: false } }
-      ]
+    // Prerequisites are judged against the whole tree, not just the candidates
+    let htaData = null;
+    try {
+      htaData = await this.retrieveHTATree(projectId);
+    } catch (error) {
+      console.error('[HTA-Vector] Could not load tree for readiness checks:', error.message);
+    }
+    const readiness = buildReadinessIndex(htaData?.frontierNodes || []);
+    const skips = buildSkipIndex(htaData?.frontierNodes || []);
+    const record = (path, reason, candidates = []) => {
+      if (trace) Object.assign(trace, { path, reason, candidates });
+    };
+    const pickFallbackTask = (reason, candidates) => {
+      record('priority_fallback', reason, candidates);
+      if (!htaData) return null;
+      const available = htaData.frontierNodes.filter(t => isTaskReady(t, readiness) && !isTaskSnoozed(t));
+      if (available.length === 0) return null;
+
+      // Simple heuristic: lowest priority then lowest difficulty
+      available.sort((a, b) => (a.priority || 0) - (b.priority || 0) || (a.difficulty || 0) - (b.difficulty || 0));
+      return available[0];
     };
     
+    // Query vectors with filter for this project and non-completed tasks
+    const filter = { project_id: projectId, type: 'task', completed: { $ne: true } };
+    
     try {
       // Use vector similarity search to find most relevant tasks
       const results = await this.provider.queryVectors(queryVector, {
@@ -924,21 +1050,18 @@ class HTAVectorStore {
         filter
       });
       
-      if (!results || results.length === 0) {
+      // Keyword matches on the user's own words, fused with the vector ranking
+      const lexicalHits = context && htaData
+        ? rankTasksLexically(htaData.frontierNodes.filter(t => !t.completed), context, { limit: 20 })
+        : [];
+      
+      if ((!results || results.length === 0) && lexicalHits.length === 0) {
         // Fallback to traditional approach if no vector results
-        const htaData = await this.retrieveHTATree(projectId);
-        if (!htaData) return null;
-        const available = htaData.frontierNodes.filter(t => !t.completed);
-        if (available.length === 0) return null;
-        
-        // Simple heuristic: lowest priority then lowest difficulty
-        available.sort((a, b) => (a.priority || 0) - (b.priority || 0) || (a.difficulty || 0) - (b.difficulty || 0));
-        return available[0];
+        return pickFallbackTask('Vector search returned no tasks');
       }
       
-      // Convert vector results to task format and apply additional filtering
-      const candidateTasks = results
-        .filter(result => result.metadata && !result.metadata.completed)
+      // Convert vector results to task format
+      const vectorTasks = (results || [])
         .map(result => ({
           id: result.metadata.task_id || result.id.split(':').pop(),
           title: result.metadata.title,
@@ -953,64 +1076,72 @@ class HTAVectorStore {
           generated: result.metadata.generated,
           similarity: result.similarity,
           embedding: result.vector
-        }))
-        .filter(task => {
-          // Apply energy level filtering - match difficulty to energy
-          const taskDifficulty = task.difficulty || 1;
-          const energyMatch = Math.abs(taskDifficulty - energy_level) <= 2;
-          
-          // Apply time constraint filtering (rough heuristic)
-          const timeMinutes = this.parseTimeToMinutes(time_available);
-          const taskDuration = this.parseTimeToMinutes(task.duration || '30 minutes');
-          const timeMatch = taskDuration <= timeMinutes * 1.5; // Allow some flexibility
-          
-          return energyMatch && timeMatch;
-        });
+        }));
+      const resultTasks = this.fuseLexicalMatches(vectorTasks, lexicalHits, htaData)
+        .map(task => this.withSkipState(task, skips));
+      
+      // Apply additional filtering, remembering why each task was left out
+      const timeMinutes = this.parseTimeToMinutes(time_available);
+      const exclusions = new Map(resultTasks.map(task => {
+        if (!isTaskReady(task, readiness)) return [task, 'prerequisites not done'];
+        if (isTaskSnoozed(task)) return [task, `snoozed until ${task.snoozed_until}`];
+        
+        // Apply energy level filtering - match difficulty to energy
+        const taskDifficulty = task.difficulty || 1;
+        if (Math.abs(taskDifficulty - energy_level) > 2) return [task, `difficulty ${taskDifficulty} too far from energy ${energy_level}`];
+        
+        // Apply time constraint filtering (rough heuristic)
+        const taskDuration = this.parseTimeToMinutes(task.duration || '30 minutes');
+        if (taskDuration > timeMinutes * 1.5) return [task, `${taskDuration} min is too long for ${timeMinutes} min`]; // Allow some flexibility
+        
+        return [task, null];
+      }));
+      const candidateTasks = resultTasks.filter(task => !exclusions.get(task));
+      const describeCandidates = () => resultTasks.map(task => ({
+        id: task.id,
+        title: task.title,
+        similarity: task.similarity,
+        relevance: task.relevance,
+        priority: task.priority,
+        difficulty: task.difficulty,
+        duration: task.duration,
+        excluded: exclusions.get(task)
+      }));
       
       if (candidateTasks.length === 0) {
         // If no tasks match energy/time constraints, relax constraints and return best match
-        const relaxedTasks = results
-          .filter(result => result.metadata && !result.metadata.completed)
-          .map(result => ({
-            id: result.metadata.task_id || result.id.split(':').pop(),
-            title: result.metadata.title,
-            description: result.metadata.description,
-            branch: result.metadata.branch,
-            priority: result.metadata.priority,
-            difficulty: result.metadata.difficulty,
-            duration: result.metadata.duration,
-            prerequisites: result.metadata.prerequisites,
-            learningOutcome: result.metadata.learning_outcome,
-            completed: result.metadata.completed,
-            generated: result.metadata.generated,
-            similarity: result.similarity,
-            embedding: result.vector
-          }));
+        const relaxedTasks = resultTasks.filter(task => isTaskReady(task, readiness) && !isTaskSnoozed(task));
         
-        return relaxedTasks.length > 0 ? relaxedTasks[0] : null;
+        if (relaxedTasks.length === 0) {
+          return pickFallbackTask('Every vector match is blocked by prerequisites or snoozed', describeCandidates());
+        }
+        record('relaxed', 'No vector match fit the energy and time filters, so the closest ready match was used', describeCandidates());
+        return relaxedTasks[0];
       }
       
-      // Sort by similarity score (highest first) then by priority (lowest first)
+      // Sort by similarity, or fused relevance when keywords matched (highest first, less for skipped tasks),
+      // then by priority (lowest first)
+      const effectiveSimilarity = task => (task.relevance ?? task.similarity) - VECTOR_SKIP_PENALTY * skipPenaltySignal(task);
       candidateTasks.sort((a, b) => {
-        const similarityDiff = b.similarity - a.similarity;
+        const similarityDiff = effectiveSimilarity(b) - effectiveSimilarity(a);
         if (Math.abs(similarityDiff) > 0.05) return similarityDiff; // Prioritize significantly higher similarity
         return (a.priority || 0) - (b.priority || 0); // Then by priority
       });
       
+      record(
+        'similarity',
+        lexicalHits.length > 0
+          ? 'Best keyword and semantic match to the current context among tasks fitting energy and time'
+          : 'Closest match to the current context among tasks fitting energy and time',
+        describeCandidates()
+      );
       return candidateTasks[0];
       
     } catch (error) {
       console.error('[HTA-Vector] Vector search failed, falling back to traditional approach:', error.message);
       
       // Fallback to traditional approach
-      const htaData = await this.retrieveHTATree(projectId);
-      if (!htaData) return null;
-      const available = htaData.frontierNodes.filter(t => !t.completed);
-      if (available.length === 0) return null;
-      
-      // Simple heuristic: lowest priority then lowest difficulty
-      available.sort((a, b) => (a.priority || 0) - (b.priority || 0) || (a.difficulty || 0) - (b.difficulty || 0));
-      return available[0];
+      return pickFallbackTask(`Vector search failed: ${error.message}`);
     }
   }
   
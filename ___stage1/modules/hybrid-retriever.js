@@ -0,0 +1,247 @@
+/**
+ * Hybrid Retriever
+ *
+ * search_forest: finds goal, branches, tasks, completion notes and
+ * breakthroughs of a learning path by combining a BM25 inverted index with
+ * embedding similarity, fused by reciprocal-rank fusion. Exact words ("that
+ * task about barre chords") are caught lexically, paraphrases semantically.
+ *
+ * The index and the document vectors are kept in memory per project path and
+ * rebuilt when the tree, completion log or learning history change.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import embeddingService from '../utils/embedding-service.js';
+import { BM25Index } from '../utils/bm25-index.js';
+import { hashString } from '../utils/text-tokenizer.js';
+import {
+  HYBRID_CONSTANTS,
+  reciprocalRankFusion,
+  buildSearchDocuments,
+  normalizeSearchFilters,
+  matchesSearchFilters,
+  searchSnippet,
+} from '../utils/hybrid-search.js';
+
+const TYPE_ICONS = { goal: '🎯', branch: '🌳', task: '📋', completion: '✅', breakthrough: '💡' };
+
+function cosine(a, b) {
+  let dot = 0;
+  let magA = 0;
+  let magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  return magA > 0 && magB > 0 ? dot / Math.sqrt(magA * magB) : 0;
+}
+
+export class HybridRetriever {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.indexes = new Map(); // `${projectId}:${pathName}` -> index
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * search_forest - Hybrid search over tasks, branches and learning history
+   */
+  async searchForest(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+      if (!args.query || !String(args.query).trim()) throw new Error('query is required');
+
+      const search = await this.search(projectId, String(args.query), {
+        pathName: args.path_name,
+        filters: { type: args.type, branch: args.branch, from: args.from, to: args.to, status: args.status },
+        limit: args.limit,
+        mode: args.mode,
+      });
+
+      return {
+        content: [{ type: 'text', text: this.formatResults(search) }],
+        success: true,
+        project_id: projectId,
+        ...search,
+      };
+    } catch (error) {
+      console.error('HybridRetriever.searchForest failed:', error);
+      return this.errorResponse('Search Failed', error);
+    }
+  }
+
+  // ===== SEARCH =====
+
+  /**
+   * @param {string} projectId
+   * @param {string} query
+   * @param {{pathName?: string, filters?: Object, limit?: number, mode?: string}} [options]
+   */
+  async search(projectId, query, options = {}) {
+    const mode = options.mode || 'hybrid';
+    if (!HYBRID_CONSTANTS.MODES.includes(mode)) {
+      throw new Error(`Unknown mode "${mode}". Use one of: ${HYBRID_CONSTANTS.MODES.join(', ')}`);
+    }
+    const limit = Math.min(HYBRID_CONSTANTS.MAX_LIMIT, Math.max(1, Math.round(Number(options.limit) || HYBRID_CONSTANTS.DEFAULT_LIMIT)));
+    const filters = normalizeSearchFilters(options.filters);
+    const pathName = await this.resolvePath(projectId, options.pathName);
+    const index = await this.getIndex(projectId, pathName);
+    const eligible = id => matchesSearchFilters(index.documents.get(id), filters);
+
+    const lexical = mode === 'vector' ? [] : index.bm25.search(query, { limit: HYBRID_CONSTANTS.CANDIDATES, filter: eligible });
+    const semantic = mode === 'lexical' ? [] : await this.vectorSearch(index, query, eligible);
+    const fused = reciprocalRankFusion({
+      lexical: lexical.map(hit => hit.id),
+      vector: semantic.map(hit => hit.id),
+    });
+
+    const lexicalById = new Map(lexical.map(hit => [hit.id, hit]));
+    const similarityById = new Map(semantic.map(hit => [hit.id, hit.similarity]));
+    const results = fused.slice(0, limit).map((entry, i) => {
+      const doc = index.documents.get(entry.id);
+      return {
+        rank: i + 1,
+        id: doc.id,
+        type: doc.type,
+        title: doc.title,
+        snippet: searchSnippet(doc, lexicalById.get(doc.id)?.matched),
+        branch: doc.branch || null,
+        date: doc.date || null,
+        completed: doc.completed ?? null,
+        task_id: doc.task_id || null,
+        score: Math.round(entry.score * 10000) / 10000,
+        lexical_rank: entry.ranks.lexical || null,
+        vector_rank: entry.ranks.vector || null,
+        similarity: similarityById.has(doc.id) ? Math.round(similarityById.get(doc.id) * 1000) / 1000 : null,
+        matched_terms: lexicalById.get(doc.id)?.matched || [],
+      };
+    });
+
+    return {
+      query,
+      mode,
+      path_name: pathName,
+      filters: { type: options.filters?.type || null, branch: filters.branch, from: options.filters?.from || null, to: options.filters?.to || null, status: filters.status },
+      total_documents: index.documents.size,
+      lexical_hits: lexical.length,
+      vector_hits: semantic.length,
+      embedding: embeddingService.getProviderInfo(),
+      results,
+    };
+  }
+
+  async vectorSearch(index, query, eligible) {
+    await this.ensureVectors(index);
+    const queryVector = await embeddingService.embedText(query, index.dimension);
+    return [...index.vectors.entries()]
+      .filter(([id]) => eligible(id))
+      .map(([id, vector]) => ({ id, similarity: cosine(queryVector, vector) }))
+      .filter(hit => hit.similarity >= HYBRID_CONSTANTS.MIN_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, HYBRID_CONSTANTS.CANDIDATES);
+  }
+
+  // ===== INDEX =====
+
+  async resolvePath(projectId, pathName) {
+    if (pathName) return pathName;
+    const config = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) || {};
+    return config.activePath || DEFAULT_PATHS.GENERAL;
+  }
+
+  /**
+   * The path's BM25 index, rebuilt when its sources changed.
+   */
+  async getIndex(projectId, pathName) {
+    const [htaData, completionLog, learningHistory] = await Promise.all([
+      this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA),
+      this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG),
+      this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.LEARNING_HISTORY),
+    ]);
+    const completions = Array.isArray(completionLog?.completions) ? completionLog.completions : [];
+    const fingerprint = hashString(JSON.stringify([htaData, completions, learningHistory?.completedTopics || []]));
+
+    const key = `${projectId}:${pathName}`;
+    const cached = this.indexes.get(key);
+    if (cached && cached.fingerprint === fingerprint) return cached;
+
+    const documents = buildSearchDocuments({ htaData, completions, learningHistory });
+    const bm25 = new BM25Index({ fieldWeights: HYBRID_CONSTANTS.FIELD_WEIGHTS });
+    for (const doc of documents) bm25.add(doc.id, doc.fields);
+
+    const index = { fingerprint, documents: new Map(documents.map(doc => [doc.id, doc])), bm25, vectors: null, dimension: null };
+    this.indexes.set(key, index);
+    return index;
+  }
+
+  /**
+   * Embed the documents once per index build
+   */
+  async ensureVectors(index) {
+    if (index.vectors) return;
+    const documents = [...index.documents.values()];
+    await embeddingService.observeDocuments(documents.map(doc => doc.text));
+    index.dimension = embeddingService.getDimension();
+    const vectors = new Map();
+    for (const doc of documents) vectors.set(doc.id, await embeddingService.embedText(doc.text, index.dimension));
+    index.vectors = vectors;
+  }
+
+  invalidate(projectId) {
+    for (const key of this.indexes.keys()) {
+      if (key.startsWith(`${projectId}:`)) this.indexes.delete(key);
+    }
+  }
+
+  // ===== FORMATTING =====
+
+  formatResults(search) {
+    let text = `# Search Results 🔎\n\n**Query**: ${search.query}\n`;
+    const filters = Object.entries(search.filters).filter(([, value]) => value).map(([name, value]) => `${name}=${Array.isArray(value) ? value.join(',') : value}`);
+    if (filters.length > 0) text += `**Filters**: ${filters.join(', ')}\n`;
+    text += `**Mode**: ${search.mode} (${search.lexical_hits} keyword, ${search.vector_hits} semantic matches in ${search.total_documents} documents)\n\n`;
+
+    if (search.results.length === 0) {
+      return `${text}Nothing matched. Try fewer words, another phrasing or looser filters.\n`;
+    }
+
+    for (const result of search.results) {
+      const status = result.type === 'task' ? (result.completed ? ' ✅' : ' ⬜️') : '';
+      const when = result.date && result.type !== 'task' ? `, ${result.date.slice(0, 10)}` : '';
+      text += `${result.rank}. ${TYPE_ICONS[result.type] || '•'} **${result.title}**${status} (${result.type}${result.branch && result.type !== 'branch' ? `, ${result.branch}` : ''}${when})\n`;
+      if (result.snippet) text += `   ${result.snippet}\n`;
+      const why = [];
+      if (result.lexical_rank) why.push(`keyword #${result.lexical_rank}${result.matched_terms.length ? ` (${result.matched_terms.join(', ')})` : ''}`);
+      if (result.vector_rank) why.push(`semantic #${result.vector_rank} (${result.similarity})`);
+      text += `   _${why.join(' · ')}_\n`;
+    }
+    return text;
+  }
+
+  // ===== RESPONSES =====
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default HybridRetriever;
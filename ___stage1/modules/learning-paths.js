@@ -0,0 +1,377 @@
+/**
+ * Learning Paths - several HTA trees per project
+ * Serves create_path_forest, list_paths_forest and switch_path_forest.
+ * Each path keeps its own hta.json, completion log and learning history
+ * under paths/<path_name>; the project config tracks the active one.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+
+export const PATH_CONSTANTS = {
+  NAME_PATTERN: /^[A-Za-z0-9_-]+$/,
+  PRIORITIES: ['high', 'medium', 'low'],
+  DEFAULT_PRIORITY: 'medium',
+  // Progress gap (percentage points) from the project average before a path counts as ahead/behind
+  PACE_TOLERANCE: 10,
+  STALE_AFTER_DAYS: 14,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Progress figures for one path from its tree and completion log.
+ * A task counts as done when the tree marks it completed or the log has it.
+ */
+export function summarizePath(htaData, completionLog) {
+  const tasks = Array.isArray(htaData?.frontierNodes) ? htaData.frontierNodes : [];
+  const completions = Array.isArray(completionLog?.completions) ? completionLog.completions : [];
+  const loggedIds = new Set(completions.map(entry => entry.task_id).filter(Boolean));
+  const completedTasks = tasks.filter(task => task.completed || loggedIds.has(task.id)).length;
+  const lastActivity = completions
+    .map(entry => entry.completed_at)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  return {
+    has_tree: tasks.length > 0,
+    total_tasks: tasks.length,
+    completed_tasks: completedTasks,
+    progress: tasks.length > 0 ? Math.round((completedTasks / tasks.length) * 100) : 0,
+    completions: completions.length,
+    last_activity: lastActivity,
+  };
+}
+
+/**
+ * Compare paths with each other: progress against the average of paths that
+ * have a tree, share of all completions, and paths left untouched for a while.
+ * @param {Array<{path_name: string}>} paths - entries carrying summarizePath() fields
+ * @param {{now?: Date}} [options]
+ */
+export function buildPathRollup(paths, { now = new Date() } = {}) {
+  const withTrees = paths.filter(entry => entry.has_tree);
+  const averageProgress = withTrees.length > 0
+    ? Math.round(withTrees.reduce((sum, entry) => sum + entry.progress, 0) / withTrees.length)
+    : 0;
+  const totalCompletions = paths.reduce((sum, entry) => sum + entry.completions, 0);
+  const totalTasks = withTrees.reduce((sum, entry) => sum + entry.total_tasks, 0);
+  const completedTasks = withTrees.reduce((sum, entry) => sum + entry.completed_tasks, 0);
+
+  const rows = paths.map(entry => {
+    let pace = 'not_started';
+    if (entry.has_tree) {
+      const gap = entry.progress - averageProgress;
+      if (gap > PATH_CONSTANTS.PACE_TOLERANCE) pace = 'ahead';
+      else if (gap < -PATH_CONSTANTS.PACE_TOLERANCE) pace = 'behind';
+      else pace = 'on_pace';
+    }
+    const idleDays = entry.last_activity
+      ? Math.floor((now.getTime() - new Date(entry.last_activity).getTime()) / DAY_MS)
+      : null;
+    return {
+      path_name: entry.path_name,
+      progress: entry.progress,
+      pace,
+      share_of_completions: totalCompletions > 0 ? Math.round((entry.completions / totalCompletions) * 100) : 0,
+      idle_days: idleDays,
+      stale: entry.has_tree && (idleDays === null ? totalCompletions > 0 : idleDays >= PATH_CONSTANTS.STALE_AFTER_DAYS),
+    };
+  });
+
+  const ranked = rows.filter(row => row.pace !== 'not_started').sort((a, b) => b.progress - a.progress);
+  return {
+    path_count: paths.length,
+    average_progress: averageProgress,
+    overall_progress: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
+    total_completions: totalCompletions,
+    leading_path: ranked[0]?.path_name || null,
+    trailing_path: ranked.length > 1 ? ranked[ranked.length - 1].path_name : null,
+    paths: rows,
+  };
+}
+
+export class LearningPathManager {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.vectorStore = null; // set after vector store initialization
+  }
+
+  /**
+   * create_path_forest - register a path and initialize its files.
+   * The new path becomes active only with activate: true.
+   */
+  async createPath(args = {}) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const pathName = typeof args.path_name === 'string' ? args.path_name.trim() : '';
+      if (!PATH_CONSTANTS.NAME_PATTERN.test(pathName)) {
+        throw new Error('path_name must contain only letters, numbers, "-" and "_"');
+      }
+      const priority = args.priority || PATH_CONSTANTS.DEFAULT_PRIORITY;
+      if (!PATH_CONSTANTS.PRIORITIES.includes(priority)) {
+        throw new Error(`priority must be one of: ${PATH_CONSTANTS.PRIORITIES.join(', ')}`);
+      }
+
+      const config = await this.loadConfig(projectId);
+      if ((await this.listPathNames(projectId, config)).includes(pathName)) {
+        throw new Error(`Learning path "${pathName}" already exists in project ${projectId}`);
+      }
+
+      const entry = {
+        path_name: pathName,
+        priority,
+        created_at: new Date().toISOString(),
+      };
+      if (args.goal) entry.goal = args.goal;
+      if (args.description) entry.description = args.description;
+
+      const transaction = this.dataPersistence.beginTransaction(`create_path ${projectId}/${pathName}`);
+      try {
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, {
+          ...config,
+          learning_paths: [...this.registeredPaths(config), entry],
+          last_updated: entry.created_at,
+        }, transaction);
+        await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.LEARNING_HISTORY, {
+          completedTopics: [],
+          totalHours: 0,
+          streakDays: 0,
+          lastActivity: null,
+          milestones: [],
+        }, transaction);
+        await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG, {
+          completions: [],
+          lastUpdated: entry.created_at,
+        }, transaction);
+        await this.dataPersistence.commitTransaction(transaction);
+      } catch (error) {
+        await this.dataPersistence.rollbackTransaction(transaction);
+        throw error;
+      }
+
+      let text = `**Learning Path Created** 🛤️\n\n`;
+      text += `**Path**: ${pathName}\n**Priority**: ${priority}\n`;
+      if (entry.goal) text += `**Goal**: ${entry.goal}\n`;
+      if (entry.description) text += `**Description**: ${entry.description}\n`;
+
+      const response = {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        path: entry,
+        active: false,
+      };
+
+      if (args.activate) {
+        const switched = await this.switchPath({ project_id: projectId, path_name: pathName });
+        if (switched.error) throw new Error(switched.error);
+        response.active = true;
+        response.content[0].text += `\n${switched.content[0].text}`;
+      } else {
+        response.content[0].text += `\nUse \`switch_path_forest\` with path_name "${pathName}" to work on it.`;
+      }
+      return response;
+    } catch (error) {
+      console.error('LearningPathManager.createPath failed:', error);
+      return this.errorResponse('Path Creation Failed', error);
+    }
+  }
+
+  /**
+   * list_paths_forest - every path with its progress and the project rollup.
+   */
+  async listPaths(args = {}) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const config = await this.loadConfig(projectId);
+      const { paths, rollup } = await this.getPathRollup(projectId, config);
+
+      return {
+        content: [{ type: 'text', text: this.formatPathList(projectId, paths, rollup) }],
+        success: true,
+        project_id: projectId,
+        active_path: this.activePathOf(config),
+        paths,
+        rollup,
+      };
+    } catch (error) {
+      console.error('LearningPathManager.listPaths failed:', error);
+      return this.errorResponse('Path Listing Failed', error);
+    }
+  }
+
+  /**
+   * switch_path_forest - make a path active. The vector index holds one tree
+   * per project, so it is rebuilt from the newly active path.
+   */
+  async switchPath(args = {}) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      if (!projectId) return this.noActiveProjectResponse();
+      const pathName = args.path_name;
+      if (!pathName) throw new Error('path_name is required');
+
+      let config = await this.loadConfig(projectId);
+      const known = await this.listPathNames(projectId, config);
+      if (!known.includes(pathName)) {
+        throw new Error(`Learning path "${pathName}" not found. Available paths: ${known.join(', ')}`);
+      }
+      const previousPath = this.activePathOf(config);
+
+      // Paths that only exist in storage (older projects) get registered on first use
+      if (!this.registeredPaths(config).some(entry => entry.path_name === pathName)) {
+        config = {
+          ...config,
+          learning_paths: [...this.registeredPaths(config), { path_name: pathName, priority: PATH_CONSTANTS.DEFAULT_PRIORITY }],
+        };
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+      }
+      await this.projectManagement.setActivePath(projectId, pathName);
+
+      const htaData = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+      const completionLog = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG);
+      const summary = summarizePath(htaData, completionLog);
+      const vectorsRefreshed = previousPath !== pathName ? await this.syncVectorStore(projectId, htaData) : false;
+
+      let text = `**Switched to Path: ${pathName}** ✅\n\n`;
+      if (previousPath !== pathName) text += `**Previous Path**: ${previousPath}\n`;
+      if (summary.has_tree) {
+        text += `**Progress**: ${summary.completed_tasks}/${summary.total_tasks} tasks (${summary.progress}%)\n\n`;
+        text += 'Use `get_next_task_forest` to continue on this path.';
+      } else {
+        text += `\nThis path has no HTA tree yet. Use \`build_hta_tree_forest\` to create one.`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        active_path: pathName,
+        previous_path: previousPath,
+        summary,
+        vectors_refreshed: vectorsRefreshed,
+      };
+    } catch (error) {
+      console.error('LearningPathManager.switchPath failed:', error);
+      return this.errorResponse('Path Switch Failed', error);
+    }
+  }
+
+  /**
+   * Per-path summaries plus the cross-path comparison, for list_paths_forest
+   * and the status views.
+   */
+  async getPathRollup(projectId, config = null) {
+    const projectConfig = config || (await this.loadConfig(projectId));
+    const activePath = this.activePathOf(projectConfig);
+    const registered = new Map(this.registeredPaths(projectConfig).map(entry => [entry.path_name, entry]));
+
+    const paths = [];
+    for (const pathName of await this.listPathNames(projectId, projectConfig)) {
+      const [htaData, completionLog] = await Promise.all([
+        this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA),
+        this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG),
+      ]);
+      const entry = registered.get(pathName) || {};
+      paths.push({
+        path_name: pathName,
+        active: pathName === activePath,
+        priority: entry.priority || PATH_CONSTANTS.DEFAULT_PRIORITY,
+        goal: entry.goal || null,
+        ...summarizePath(htaData, completionLog),
+      });
+    }
+    return { paths, rollup: buildPathRollup(paths) };
+  }
+
+  async syncVectorStore(projectId, htaData) {
+    if (!this.vectorStore?.deleteProject) return false;
+    try {
+      await this.vectorStore.deleteProject(projectId);
+      if (htaData?.frontierNodes?.length) {
+        await this.vectorStore.storeHTATree(projectId, htaData);
+      }
+      return true;
+    } catch (vectorError) {
+      console.error('[LearningPathManager] Vector refresh after path switch failed:', vectorError.message);
+      return false;
+    }
+  }
+
+  async listPathNames(projectId, config) {
+    const names = new Set(this.registeredPaths(config).map(entry => entry.path_name));
+    for (const name of await this.dataPersistence.listPathNames(projectId)) names.add(name);
+    names.add(this.activePathOf(config));
+    return [...names].filter(Boolean);
+  }
+
+  registeredPaths(config) {
+    return Array.isArray(config?.learning_paths) ? config.learning_paths : [];
+  }
+
+  activePathOf(config) {
+    return config?.activePath || DEFAULT_PATHS.GENERAL;
+  }
+
+  async loadConfig(projectId) {
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    if (!config) throw new Error(`Project ${projectId} not found`);
+    return config;
+  }
+
+  async resolveProjectId(args) {
+    return args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+  }
+
+  formatPathList(projectId, paths, rollup) {
+    let text = `**Learning Paths** 🛤️ (${projectId})\n\n`;
+    for (const entry of paths) {
+      const row = rollup.paths.find(item => item.path_name === entry.path_name);
+      text += `${entry.active ? '▶' : '•'} **${entry.path_name}**${entry.active ? ' (active)' : ''} - `;
+      text += entry.has_tree
+        ? `${entry.completed_tasks}/${entry.total_tasks} tasks (${entry.progress}%), ${row.pace.replace('_', ' ')}`
+        : 'no HTA tree yet';
+      if (row.stale) text += ', ⏸ idle';
+      text += `\n`;
+    }
+    text += `\n${this.formatRollup(rollup)}`;
+    return text;
+  }
+
+  formatRollup(rollup) {
+    let text = `**Rollup**: ${rollup.overall_progress}% of all path tasks done, average path progress ${rollup.average_progress}%`;
+    if (rollup.leading_path && rollup.trailing_path) {
+      text += `\nLeading: ${rollup.leading_path} | Trailing: ${rollup.trailing_path}`;
+    }
+    const stale = rollup.paths.filter(row => row.stale).map(row => row.path_name);
+    if (stale.length > 0) text += `\nIdle for ${PATH_CONSTANTS.STALE_AFTER_DAYS}+ days: ${stale.join(', ')}`;
+    return text;
+  }
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default LearningPathManager;
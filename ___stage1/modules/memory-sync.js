@@ -22,6 +22,12 @@ export const FILE_NAMES = {
   DAILY_SCHEDULE: 'daily-schedule.json',
   COMPLETION_LOG: 'completion-log.json',
   STRATEGY_EVOLUTION: 'strategy-evolution.json',
+  WEEK_PLAN: 'week-plan.json',
+  CALENDAR_BUSY: 'calendar-busy.json',
+  DURATION_CALIBRATION: 'duration-calibration.json',
+  REVIEWS: 'reviews.json',
+  SKIP_LOG: 'skip-log.json',
+  TASK_SESSIONS: 'task-sessions.json',
 };
 
 export const DEFAULT_PATHS = {
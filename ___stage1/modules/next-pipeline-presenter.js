@@ -15,6 +15,26 @@
  */
 
 import { GoalFocusedTaskSelector } from './goal-focused-task-selector.js';
+import { DurationEstimationEngine } from './duration-estimation-engine.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { ReviewScheduler } from './review-scheduler.js';
+import { interleaveReviews } from '../utils/spaced-repetition.js';
+import { getCalibration } from '../utils/duration-calibration.js';
+import { explainScoredSelection, formatSelectionExplanation } from '../utils/selection-explanation.js';
+import { TaskScorer } from '../../modules/task-logic/task-scorer.js';
+import {
+  resolveSelectionPolicy,
+  buildSelectionHistory,
+  branchVarietySignal,
+  difficultyProgressionSignal,
+  policyAdjustment
+} from '../../utils/selection-policy.js';
+import { isTaskSnoozed, skipPenaltySignal } from '../../utils/task-skips.js';
+
+// Scale of the policy adjustments that are neutral at weight 1, on the 100-point pipeline score
+const POLICY_ADJUSTMENT_POINTS = 20;
+// Points taken off per weighted skip, on the same scale
+const SKIP_PENALTY_POINTS = 15;
 
 export class NextPipelinePresenter {
   constructor(dataPersistence, vectorStore, taskStrategyCore, htaCore) {
@@ -29,12 +49,17 @@ export class NextPipelinePresenter {
       vectorStore,
       null // goalContext will be provided per request
     );
+
+    // Task durations are scaled by the user's logged actual times
+    this.durationEngine = new DurationEstimationEngine();
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+    this.reviewScheduler = new ReviewScheduler(dataPersistence);
   }
 
   /**
    * Generate Next + Pipeline presentation
    */
-  async generateNextPipeline(projectId, userContext = {}) {
+  async generateNextPipeline(projectId, requestContext = {}) {
     try {
       // Get project configuration and HTA data
       const projectConfig = await this.dataPersistence.loadProjectData(projectId, 'config.json');
@@ -44,11 +69,26 @@ export class NextPipelinePresenter {
         throw new Error('Project data not found');
       }
 
+      const userContext = {
+        ...requestContext,
+        calibration: await this.durationCalibration.loadModel(),
+        selection: {
+          policy: resolveSelectionPolicy(projectConfig.selection_policy),
+          history: buildSelectionHistory(htaData.frontierNodes || []),
+          projectConfig
+        }
+      };
+
       // Get goal achievement context for intelligent selection
       const goalContext = await this.taskStrategyCore.getGoalAchievementContext(projectId);
       
       // Generate task pipeline (6-8 tasks optimal for Next + Pipeline)
-      const pipeline = await this.generateTaskPipeline(projectId, htaData, goalContext, projectConfig, userContext);
+      const trace = userContext.explain ? {} : null;
+      const newTasks = await this.generateTaskPipeline(projectId, htaData, goalContext, projectConfig, userContext, trace);
+      
+      // Due spaced-repetition reviews alternate with new tasks
+      const reviews = await this.reviewScheduler.getDueReviewTasks(projectId, projectConfig.activePath);
+      const pipeline = interleaveReviews(newTasks || [], reviews.tasks, { leadWithReview: reviews.leadWithReview });
       
       if (!pipeline || pipeline.length === 0) {
         return this.generateNoPipelineResponse(projectConfig);
@@ -58,10 +98,13 @@ export class NextPipelinePresenter {
       const structuredPipeline = this.structurePipelinePresentation(pipeline, goalContext, userContext);
       
       // Format the presentation
-      const presentation = this.formatNextPipelinePresentation(structuredPipeline, projectConfig, goalContext);
+      const explanation = trace ? this.explainPipelineSelection(trace, pipeline[0]) : null;
+      const presentation = this.formatNextPipelinePresentation(structuredPipeline, projectConfig, goalContext)
+        + (explanation ? formatSelectionExplanation(explanation) : '');
       
       return {
         content: [{ type: 'text', text: presentation }],
+        ...(explanation ? { explanation } : {}),
         pipeline_structure: structuredPipeline,
         goal_context: goalContext,
         project_config: projectConfig,
@@ -84,7 +127,7 @@ export class NextPipelinePresenter {
   /**
    * Generate optimal task pipeline
    */
-  async generateTaskPipeline(projectId, htaData, goalContext, projectConfig, userContext) {
+  async generateTaskPipeline(projectId, htaData, goalContext, projectConfig, userContext, trace = null) {
     try {
       // Use goal-focused task selector to get optimal batch
       const batchResult = await this.goalFocusedSelector.selectGoalFocusedTaskBatch(
@@ -97,11 +140,12 @@ export class NextPipelinePresenter {
       if (batchResult && batchResult.task_batch) {
         // Ensure tasks have proper branch names
         const enhancedBatch = this.ensureTaskBranchNames(batchResult.task_batch, htaData);
+        if (trace) trace.source = 'goal_focused_batch';
         return enhancedBatch;
       }
 
-      // Fallback: Get tasks from frontier nodes
-      const frontierTasks = htaData.frontierNodes || [];
+      // Fallback: Get tasks from frontier nodes, leaving out snoozed ones
+      const frontierTasks = (htaData.frontierNodes || []).filter(task => !isTaskSnoozed(task));
       if (frontierTasks.length === 0) {
         return [];
       }
@@ -110,7 +154,7 @@ export class NextPipelinePresenter {
       const enhancedFrontierTasks = this.ensureTaskBranchNames(frontierTasks, htaData);
 
       // Select and order the best 6-8 tasks for pipeline
-      const selectedTasks = this.selectOptimalTasksForPipeline(enhancedFrontierTasks, userContext, 8);
+      const selectedTasks = this.selectOptimalTasksForPipeline(enhancedFrontierTasks, userContext, 8, trace);
       
       return selectedTasks;
 
@@ -123,18 +167,25 @@ export class NextPipelinePresenter {
   /**
    * Select optimal tasks for pipeline when goal-focused selection unavailable
    */
-  selectOptimalTasksForPipeline(availableTasks, userContext, maxTasks = 8) {
+  selectOptimalTasksForPipeline(availableTasks, userContext, maxTasks = 8, trace = null) {
     const energyLevel = userContext.energyLevel || 3;
     const timeAvailable = this.parseTimeToMinutes(userContext.timeAvailable || '30 minutes');
     
     // Score and sort tasks
-    const scoredTasks = availableTasks.map(task => ({
-      ...task,
-      pipeline_score: this.calculatePipelineScore(task, energyLevel, timeAvailable)
-    }));
+    const factorsByTask = new Map();
+    const scoredTasks = availableTasks.map(task => {
+      const { score, factors } = this.explainPipelineScore(task, energyLevel, timeAvailable, userContext.calibration, userContext.selection);
+      const scoredTask = { ...task, pipeline_score: score };
+      factorsByTask.set(scoredTask, factors);
+      return scoredTask;
+    });
 
     // Sort by score and select top tasks
     const sortedTasks = scoredTasks.sort((a, b) => b.pipeline_score - a.pipeline_score);
+    if (trace) {
+      trace.source = 'frontier_scoring';
+      trace.ranked = sortedTasks.map(task => ({ task, score: task.pipeline_score, factors: factorsByTask.get(task) }));
+    }
     
     // Take top tasks, ensuring variety in difficulty and domain
     const selectedTasks = this.ensureTaskVariety(sortedTasks.slice(0, maxTasks));
@@ -145,33 +196,94 @@ export class NextPipelinePresenter {
   /**
    * Calculate pipeline score for task selection
    */
-  calculatePipelineScore(task, energyLevel, timeAvailable) {
-    let score = 0;
+  calculatePipelineScore(task, energyLevel, timeAvailable, calibration = null, selection = null) {
+    return this.explainPipelineScore(task, energyLevel, timeAvailable, calibration, selection).score;
+  }
+
+  /**
+   * Pipeline score with the points each weighted factor contributed
+   * @param {Object} selection - { policy, history, projectConfig }; without it the balanced policy applies
+   * @returns {{score: number, factors: Array<{factor: string, points: number, detail: string}>}}
+   */
+  explainPipelineScore(task, energyLevel, timeAvailable, calibration = null, selection = null) {
+    const factors = [];
+    const { weights } = selection?.policy || resolveSelectionPolicy();
+    const history = selection?.history || null;
     
     // Energy match (30% weight)
     const taskEnergy = this.estimateTaskEnergy(task);
     const energyMatch = 1 - Math.abs(taskEnergy - energyLevel) / 5;
-    score += energyMatch * 30;
+    factors.push({ factor: 'energy_match', points: energyMatch * 30 * weights.energy_match, detail: `task energy ${taskEnergy} vs your ${energyLevel}` });
     
     // Time match (25% weight)
-    const taskTime = this.parseTimeToMinutes(task.duration || '30 minutes');
+    const taskTime = this.estimateTaskMinutes(task, calibration);
     const timeMatch = timeAvailable >= taskTime ? 1 : timeAvailable / taskTime;
-    score += timeMatch * 25;
+    factors.push({ factor: 'time_fit', points: timeMatch * 25 * weights.time_fit, detail: `${taskTime} min of ${timeAvailable} min available` });
     
     // Difficulty appropriateness (20% weight)
     const difficulty = task.difficulty || 3;
     const difficultyScore = difficulty <= 4 ? 1 : 0.7; // Prefer moderate difficulty
-    score += difficultyScore * 20;
+    factors.push({ factor: 'difficulty', points: difficultyScore * 20, detail: `difficulty ${difficulty}` });
     
     // Task quality (15% weight)
     const qualityScore = (task.action && task.validation) ? 1 : 0.7;
-    score += qualityScore * 15;
+    factors.push({ factor: 'quality', points: qualityScore * 15, detail: qualityScore === 1 ? 'has action and validation' : 'missing action or validation' });
     
     // Dependencies (10% weight)
     const dependencyScore = (task.prerequisites?.length || 0) === 0 ? 1 : 0.8;
-    score += dependencyScore * 10;
+    factors.push({ factor: 'dependencies', points: dependencyScore * 10, detail: dependencyScore === 1 ? 'no prerequisites' : 'has prerequisites' });
+    
+    // Selection policy preferences, neutral at weight 1
+    const adjustments = [
+      ['branch_variety', weights.branch_variety, branchVarietySignal(task, history), `${task.branch || 'General'} branch`],
+      ['difficulty_progression', weights.difficulty_progression, difficultyProgressionSignal(task, history), `difficulty ${difficulty} after ${history?.lastDifficulty}`],
+      ['goal_alignment', weights.goal_alignment, selection?.projectConfig && TaskScorer.isDomainRelevant(task, selection.projectConfig) ? 1 : 0, 'matches the goal']
+    ];
+    for (const [factor, weight, signal, detail] of adjustments) {
+      const points = policyAdjustment(weight, signal, POLICY_ADJUSTMENT_POINTS);
+      if (points !== 0) factors.push({ factor, points, detail: `${detail}, weight ${weight}` });
+    }
+
+    // Skipped tasks rank lower until the skips wear off
+    const skipSignal = skipPenaltySignal(task);
+    if (skipSignal > 0) {
+      factors.push({ factor: 'skipped', points: -SKIP_PENALTY_POINTS * skipSignal, detail: `last skipped as ${task.last_skip_reason || 'unknown'}` });
+    }
     
-    return score;
+    return { score: factors.reduce((sum, entry) => sum + entry.points, 0), factors };
+  }
+
+  /**
+   * Why the primary task leads the pipeline and why the next-best scored tasks did not
+   */
+  explainPipelineSelection(trace, primaryTask) {
+    if (primaryTask.is_review) {
+      return {
+        source: 'review',
+        path: 'spaced_review',
+        reason: 'A review is due and the last completion was not a review',
+        selected: { id: primaryTask.id, title: primaryTask.title },
+        runners_up: []
+      };
+    }
+    if (trace.source !== 'frontier_scoring') {
+      return {
+        source: 'goal_focused_batch',
+        path: 'goal_focused_batch',
+        reason: 'The goal-focused batch selector ordered the pipeline',
+        selected: { id: primaryTask.id, title: primaryTask.title },
+        runners_up: []
+      };
+    }
+
+    const primary = trace.ranked.find(entry => entry.task.id === primaryTask.id);
+    const ranked = primary ? [primary, ...trace.ranked.filter(entry => entry !== primary)] : trace.ranked;
+    return {
+      source: 'frontier_scoring',
+      path: 'frontier_scoring',
+      reason: 'Frontier tasks scored, then ordered for difficulty variety',
+      ...explainScoredSelection({ ranked })
+    };
   }
 
   /**
@@ -219,17 +331,18 @@ export class NextPipelinePresenter {
     }
 
     // PRIMARY: The optimal next task (index 0)
-    const primary = this.enhanceTaskForPresentation(pipeline[0], 'primary', goalContext);
+    const calibration = userContext.calibration || null;
+    const primary = this.enhanceTaskForPresentation(pipeline[0], 'primary', goalContext, 1, calibration);
 
     // SECONDARY: Coming up tasks (indices 1-3)
     const comingUp = pipeline.slice(1, 4).map((task, index) => 
-      this.enhanceTaskForPresentation(task, 'coming_up', goalContext, index + 2)
+      this.enhanceTaskForPresentation(task, 'coming_up', goalContext, index + 2, calibration)
     );
 
     // TERTIARY: Alternative tasks (select 1-2 tasks from remaining)
     const remainingTasks = pipeline.slice(4);
     const availableNow = this.selectAlternativeTasks(remainingTasks, userContext, 2)
-      .map(task => this.enhanceTaskForPresentation(task, 'available_now', goalContext));
+      .map(task => this.enhanceTaskForPresentation(task, 'available_now', goalContext, 1, calibration));
 
     return {
       primary,
@@ -277,13 +390,13 @@ export class NextPipelinePresenter {
   /**
    * Enhance task with presentation metadata
    */
-  enhanceTaskForPresentation(task, section, goalContext, pipelinePosition = 1) {
+  enhanceTaskForPresentation(task, section, goalContext, pipelinePosition = 1, calibration = null) {
     return {
       ...task,
       presentation_section: section,
       pipeline_position: pipelinePosition,
       energy_estimate: this.estimateTaskEnergy(task),
-      time_estimate: this.parseTimeToMinutes(task.duration || '30 minutes'),
+      time_estimate: this.estimateTaskMinutes(task, calibration),
       readiness_score: this.calculateTaskReadiness(task, goalContext),
       impact_description: this.generateImpactDescription(task, goalContext),
       action_prompt: this.generateActionPrompt(task, section)
@@ -354,7 +467,11 @@ export class NextPipelinePresenter {
     section += `**🚀 Impact**: ${primaryTask.impact_description}\n\n`;
     
     // Action prompt
-    section += `**📝 When Complete**: Use \`complete_block_forest\` to log your progress and get the next task.\n\n`;
+    if (primaryTask.is_review) {
+      section += `**📝 When Complete**: Use \`complete_block_forest\` with block_id \`${primaryTask.id}\` and a difficulty_rating from 1 (recalled easily) to 5 (could not recall).\n\n`;
+    } else {
+      section += `**📝 When Complete**: Use \`complete_block_forest\` to log your progress and get the next task.\n\n`;
+    }
     
     // Readiness indicator
     if (primaryTask.readiness_score > 0.8) {
@@ -457,6 +574,15 @@ export class NextPipelinePresenter {
     return Math.max(1, Math.min(5, energy));
   }
 
+  /**
+   * Minutes for a task's stated duration, scaled by the calibration for its type
+   */
+  estimateTaskMinutes(task, calibration = null) {
+    const minutes = this.parseTimeToMinutes(task.duration || '30 minutes');
+    const entry = getCalibration(calibration, this.durationEngine.inferTaskType(task));
+    return entry ? Math.round(minutes * entry.ratio) : minutes;
+  }
+
   parseTimeToMinutes(timeStr) {
     if (!timeStr || typeof timeStr !== 'string') return 30;
     
@@ -0,0 +1,114 @@
+/**
+ * Progress Analytics
+ *
+ * get_progress_analytics_forest: velocity, streaks, time and coverage per
+ * strategic branch, difficulty trend, energy versus outcome and breakthrough
+ * frequency for one learning path. The metrics are computed from the path's
+ * completion log, HTA tree and learning history, and returned both as
+ * structured data (`analytics`) and as a markdown report.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import {
+  ANALYTICS_CONSTANTS,
+  buildProgressAnalytics,
+  formatProgressReport,
+} from '../utils/progress-analytics.js';
+
+export class ProgressAnalytics {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * get_progress_analytics_forest - Learning progress metrics and report
+   */
+  async getProgressAnalytics(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const { analytics, goal, pathName } = await this.buildAnalytics(projectId, {
+        pathName: args.path_name,
+        days: args.days,
+        now: args.as_of,
+      });
+
+      return {
+        content: [{ type: 'text', text: formatProgressReport(analytics, { goal, pathName }) }],
+        success: true,
+        project_id: projectId,
+        path_name: pathName,
+        analytics,
+      };
+    } catch (error) {
+      console.error('ProgressAnalytics.getProgressAnalytics failed:', error);
+      return this.errorResponse('Progress Analytics Failed', error);
+    }
+  }
+
+  // ===== ANALYTICS =====
+
+  async buildAnalytics(projectId, options = {}) {
+    const config = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) || {};
+    const pathName = options.pathName || config.activePath || DEFAULT_PATHS.GENERAL;
+
+    const [htaData, completionLog, learningHistory] = await Promise.all([
+      this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA),
+      this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG),
+      this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.LEARNING_HISTORY),
+    ]);
+
+    const analytics = buildProgressAnalytics({
+      completions: Array.isArray(completionLog?.completions) ? completionLog.completions : [],
+      htaData,
+      learningHistory,
+      now: this.resolveNow(options.now),
+      days: this.resolveDays(options.days),
+    });
+
+    return { analytics, goal: htaData?.goal || config.goal || null, pathName };
+  }
+
+  resolveDays(days) {
+    if (days === undefined || days === null) return ANALYTICS_CONSTANTS.DEFAULT_WINDOW_DAYS;
+    const value = Math.round(Number(days));
+    if (!Number.isFinite(value) || value < 1 || value > ANALYTICS_CONSTANTS.MAX_WINDOW_DAYS) {
+      throw new Error(`days must be from 1 to ${ANALYTICS_CONSTANTS.MAX_WINDOW_DAYS}`);
+    }
+    return value;
+  }
+
+  resolveNow(asOf) {
+    if (!asOf) return new Date().toISOString();
+    const time = Date.parse(asOf);
+    if (!Number.isFinite(time)) throw new Error(`Invalid as_of date: ${asOf}`);
+    return new Date(time).toISOString();
+  }
+
+  // ===== RESPONSES =====
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default ProgressAnalytics;
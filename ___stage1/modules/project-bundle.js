@@ -0,0 +1,562 @@
+/**
+ * Project Bundle
+ *
+ * Exports a project as a single versioned JSON archive (optionally gzipped)
+ * containing every project and path data file, the project's clarification
+ * dialogues and, on request, its vectors. Importing a bundle migrates older
+ * schema versions forward before anything is written.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+
+export const BUNDLE_FORMAT = 'forest-project-bundle';
+export const BUNDLE_SCHEMA_VERSION = 2;
+
+// Constants for bundle export/import
+const BUNDLE_CONSTANTS = {
+  EXPORT_DIR: 'exports',
+  FILE_EXTENSION: '.forest.json',
+  GZIP_MAGIC: [0x1f, 0x8b],
+  JSON_INDENT: 2,
+  PROJECT_ID_PATTERN: /^[A-Za-z0-9_-]+$/,
+  PATH_NAME_PATTERN: /^[A-Za-z0-9_-]+$/,
+  FILE_NAME_PATTERN: /^[A-Za-z0-9_-][A-Za-z0-9_.-]*\.json$/,
+};
+
+/**
+ * Ordered schema migrations. Each step upgrades a bundle by exactly one version.
+ */
+export const BUNDLE_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Move project-level HTA into the default learning path and wrap completion-log arrays',
+    migrate(bundle) {
+      const files = { ...bundle.project.files };
+      const paths = { ...(bundle.paths || {}) };
+      const activePath = files[FILE_NAMES.CONFIG]?.activePath || DEFAULT_PATHS.GENERAL;
+
+      if (files[FILE_NAMES.HTA] && !paths[activePath]?.[FILE_NAMES.HTA]) {
+        paths[activePath] = { ...(paths[activePath] || {}), [FILE_NAMES.HTA]: files[FILE_NAMES.HTA] };
+      }
+
+      const wrapCompletions = data => (Array.isArray(data) ? { completions: data } : data);
+      if (files[FILE_NAMES.COMPLETION_LOG]) {
+        files[FILE_NAMES.COMPLETION_LOG] = wrapCompletions(files[FILE_NAMES.COMPLETION_LOG]);
+      }
+      for (const pathName of Object.keys(paths)) {
+        if (paths[pathName][FILE_NAMES.COMPLETION_LOG]) {
+          paths[pathName] = {
+            ...paths[pathName],
+            [FILE_NAMES.COMPLETION_LOG]: wrapCompletions(paths[pathName][FILE_NAMES.COMPLETION_LOG]),
+          };
+        }
+      }
+
+      if (files[FILE_NAMES.CONFIG] && !files[FILE_NAMES.CONFIG].activePath) {
+        files[FILE_NAMES.CONFIG] = { ...files[FILE_NAMES.CONFIG], activePath };
+      }
+
+      return {
+        ...bundle,
+        project: { ...bundle.project, files },
+        paths,
+        dialogues: bundle.dialogues || [],
+        vectors: bundle.vectors || null,
+      };
+    },
+  },
+];
+
+export class ProjectBundle {
+  constructor(dataPersistence, projectManagement, dialoguePersistence = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.dialoguePersistence = dialoguePersistence;
+    this.vectorStore = null; // set after vector store initialization
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * export_project_forest
+   */
+  async exportProject(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+      if (!(await this.dataPersistence.projectExists(projectId))) {
+        throw new Error(`Project ${projectId} does not exist`);
+      }
+
+      const bundle = await this.buildBundle(projectId, {
+        includeVectors: args.include_vectors === true,
+        includeDialogues: args.include_dialogues !== false,
+      });
+
+      const outputPath = path.resolve(
+        args.output_path ||
+          path.join(
+            this.dataPersistence.dataDir,
+            BUNDLE_CONSTANTS.EXPORT_DIR,
+            `${projectId}-${bundle.exported_at.replace(/[:.]/g, '-')}${BUNDLE_CONSTANTS.FILE_EXTENSION}`
+          )
+      );
+      await this.writeBundle(outputPath, bundle);
+
+      const { counts } = bundle;
+      let text = `**Project Exported** 📦\n\n`;
+      text += `**Project**: ${projectId}\n`;
+      text += `**File**: ${outputPath}\n`;
+      text += `**Schema Version**: ${bundle.schema_version}\n\n`;
+      text += `• ${counts.project_files} project files\n`;
+      text += `• ${counts.paths} learning paths (${counts.path_files} files)\n`;
+      text += `• ${counts.dialogues} dialogue sessions\n`;
+      text += `• ${bundle.vectors ? `${counts.vectors} vectors` : 'vectors not included'}\n`;
+      if (bundle.warnings.length > 0) {
+        text += `\n**Warnings**:\n${bundle.warnings.map(warning => `• ${warning}`).join('\n')}\n`;
+      }
+      text += `\nUse \`import_project_forest\` with this file on another machine to restore the project.`;
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        file_path: outputPath,
+        schema_version: bundle.schema_version,
+        counts,
+        warnings: bundle.warnings,
+      };
+    } catch (error) {
+      console.error('ProjectBundle.exportProject failed:', error);
+      return this.errorResponse('Project Export Failed', error);
+    }
+  }
+
+  /**
+   * import_project_forest
+   */
+  async importProject(args = {}) {
+    try {
+      if (!args.bundle_path) {
+        throw new Error('bundle_path is required');
+      }
+
+      const original = await this.readBundle(path.resolve(args.bundle_path));
+      this.verifyChecksum(original);
+      const { bundle, applied } = this.migrateBundle(original);
+
+      const projectId = args.project_id || bundle.project.id;
+      if (!projectId || !BUNDLE_CONSTANTS.PROJECT_ID_PATTERN.test(projectId)) {
+        throw new Error(`Invalid project ID "${projectId}". Use letters, numbers, "_" and "-".`);
+      }
+      const exists = await this.dataPersistence.projectExists(projectId);
+      if (exists && !args.overwrite) {
+        throw new Error(`Project ${projectId} already exists. Pass project_id to import under a new ID or overwrite: true to replace it.`);
+      }
+
+      const summary = await this.restoreBundle(bundle, projectId, {
+        includeVectors: args.include_vectors !== false,
+        replace: exists,
+      });
+      await this.registerProject(projectId, bundle.project.files[FILE_NAMES.CONFIG]);
+
+      if (args.activate !== false) {
+        await this.projectManagement.switchProject(projectId);
+      }
+
+      let text = `**Project Imported** 📥\n\n`;
+      text += `**Project**: ${projectId}${projectId !== bundle.project.id ? ` (exported as ${bundle.project.id})` : ''}\n`;
+      text += `**Schema Version**: ${original.schema_version || 1}${applied.length > 0 ? ` → ${bundle.schema_version}` : ''}\n\n`;
+      if (applied.length > 0) {
+        text += `**Migrations applied**:\n${applied.map(step => `• v${step.from} → v${step.to}: ${step.description}`).join('\n')}\n\n`;
+      }
+      text += `• ${summary.project_files} project files\n`;
+      text += `• ${summary.paths} learning paths (${summary.path_files} files)\n`;
+      text += `• ${summary.dialogues} dialogue sessions\n`;
+      text += `• ${summary.vectors} vectors\n`;
+      if (summary.warnings.length > 0) {
+        text += `\n**Warnings**:\n${summary.warnings.map(warning => `• ${warning}`).join('\n')}\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        migrations_applied: applied.map(({ from, to }) => ({ from, to })),
+        ...summary,
+      };
+    } catch (error) {
+      console.error('ProjectBundle.importProject failed:', error);
+      return this.errorResponse('Project Import Failed', error);
+    }
+  }
+
+  // ===== BUNDLE CONSTRUCTION =====
+
+  async buildBundle(projectId, { includeVectors = false, includeDialogues = true } = {}) {
+    const warnings = [];
+
+    const files = {};
+    for (const fileName of await this.dataPersistence.listProjectFiles(projectId)) {
+      files[fileName] = await this.dataPersistence.loadProjectData(projectId, fileName);
+    }
+
+    const paths = {};
+    for (const pathName of await this.dataPersistence.listPathNames(projectId)) {
+      paths[pathName] = {};
+      for (const fileName of await this.dataPersistence.listPathFiles(projectId, pathName)) {
+        paths[pathName][fileName] = await this.dataPersistence.loadPathData(projectId, pathName, fileName);
+      }
+    }
+
+    let dialogues = [];
+    if (includeDialogues) {
+      if (this.dialoguePersistence) {
+        try {
+          dialogues = await this.dialoguePersistence.getDialoguesByProject(projectId);
+        } catch (error) {
+          warnings.push(`Dialogue sessions could not be read: ${error.message}`);
+        }
+      } else {
+        warnings.push('Dialogue persistence is not available; dialogue sessions were not exported');
+      }
+    }
+
+    let vectors = null;
+    if (includeVectors) {
+      const provider = this.vectorStore?.provider;
+      if (provider && typeof provider.listVectors === 'function') {
+        const prefix = `${projectId}:`;
+        const items = await provider.listVectors(prefix);
+        vectors = {
+          provider: provider.constructor?.name || 'UnknownProvider',
+          dimension: items[0]?.vector?.length || null,
+          items: items.map(item => ({
+            key: String(item.id).startsWith(prefix) ? String(item.id).slice(prefix.length) : String(item.id),
+            vector: Array.from(item.vector || []),
+            metadata: item.metadata || {},
+          })),
+        };
+      } else {
+        warnings.push('No vector provider is active; vectors were not exported');
+      }
+    }
+
+    const payload = { project: { id: projectId, files }, paths, dialogues, vectors };
+    return {
+      format: BUNDLE_FORMAT,
+      schema_version: BUNDLE_SCHEMA_VERSION,
+      exported_at: new Date().toISOString(),
+      ...payload,
+      counts: {
+        project_files: Object.keys(files).length,
+        paths: Object.keys(paths).length,
+        path_files: Object.values(paths).reduce((sum, pathFiles) => sum + Object.keys(pathFiles).length, 0),
+        dialogues: dialogues.length,
+        vectors: vectors ? vectors.items.length : 0,
+      },
+      checksum: this.computeChecksum(payload),
+      warnings,
+    };
+  }
+
+  async writeBundle(outputPath, bundle) {
+    const json = JSON.stringify(bundle, null, BUNDLE_CONSTANTS.JSON_INDENT);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, outputPath.endsWith('.gz') ? zlib.gzipSync(json) : json);
+  }
+
+  async readBundle(bundlePath) {
+    let raw = await fs.readFile(bundlePath);
+    if (raw[0] === BUNDLE_CONSTANTS.GZIP_MAGIC[0] && raw[1] === BUNDLE_CONSTANTS.GZIP_MAGIC[1]) {
+      raw = zlib.gunzipSync(raw);
+    }
+
+    let bundle;
+    try {
+      bundle = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Bundle is not valid JSON: ${error.message}`);
+    }
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.project?.files) {
+      throw new Error(`Not a Forest project bundle (expected format "${BUNDLE_FORMAT}")`);
+    }
+    return bundle;
+  }
+
+  // ===== VERSIONING =====
+
+  /**
+   * Upgrade a bundle to BUNDLE_SCHEMA_VERSION. Bundles without a version are v1.
+   */
+  migrateBundle(bundle) {
+    let version = Number(bundle.schema_version) || 1;
+    if (version > BUNDLE_SCHEMA_VERSION) {
+      throw new Error(
+        `Bundle schema version ${version} is newer than this Forest installation supports (${BUNDLE_SCHEMA_VERSION}). Update Forest and try again.`
+      );
+    }
+
+    let migrated = bundle;
+    const applied = [];
+    while (version < BUNDLE_SCHEMA_VERSION) {
+      const step = BUNDLE_MIGRATIONS.find(migration => migration.from === version);
+      if (!step) {
+        throw new Error(`No migration available from schema version ${version}`);
+      }
+      migrated = { ...step.migrate(migrated), schema_version: step.to };
+      applied.push(step);
+      version = step.to;
+    }
+    return { bundle: migrated, applied };
+  }
+
+  computeChecksum({ project, paths, dialogues, vectors }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ project, paths, dialogues, vectors }))
+      .digest('hex');
+  }
+
+  verifyChecksum(bundle) {
+    if (!bundle.checksum) return;
+    const actual = this.computeChecksum({
+      project: bundle.project,
+      paths: bundle.paths,
+      dialogues: bundle.dialogues,
+      vectors: bundle.vectors,
+    });
+    if (actual !== bundle.checksum) {
+      throw new Error('Bundle checksum mismatch: the file was modified or corrupted after export');
+    }
+  }
+
+  // ===== RESTORE =====
+
+  /**
+   * Write the bundle's documents in one transaction, so a failed import leaves
+   * the stored data of an existing project as it was. With `replace`,
+   * documents of the existing project that the bundle does not contain are
+   * removed as well. Dialogues and vectors live outside storage and are only
+   * written once the transaction has committed; with `replace` the project's
+   * old vectors are cleared first. Failures there become warnings, as the
+   * project itself is already imported.
+   */
+  async restoreBundle(bundle, projectId, { includeVectors = true, replace = false } = {}) {
+    const warnings = [];
+    const sourceId = bundle.project.id;
+
+    const files = { ...bundle.project.files };
+    if (files[FILE_NAMES.CONFIG]) {
+      files[FILE_NAMES.CONFIG] = {
+        ...files[FILE_NAMES.CONFIG],
+        id: projectId,
+        imported_from: { project_id: sourceId, exported_at: bundle.exported_at, imported_at: new Date().toISOString() },
+      };
+    } else {
+      throw new Error('Bundle does not contain a project config.json');
+    }
+    this.validateDocumentNames(files, bundle.paths || {});
+    const vectorItems = includeVectors ? this.validateVectors(bundle.vectors) : [];
+
+    let pathFiles = 0;
+    const transaction = this.dataPersistence.beginTransaction(`import_project ${projectId}`);
+    try {
+      for (const [fileName, data] of Object.entries(files)) {
+        await this.dataPersistence.saveProjectData(projectId, fileName, data, transaction);
+      }
+
+      for (const [pathName, pathData] of Object.entries(bundle.paths || {})) {
+        for (const [fileName, data] of Object.entries(pathData)) {
+          await this.dataPersistence.savePathData(projectId, pathName, fileName, data, transaction);
+          pathFiles++;
+        }
+      }
+
+      if (replace) {
+        await this.removeStaleDocuments(projectId, files, bundle.paths || {}, transaction);
+      }
+
+      await this.dataPersistence.commitTransaction(transaction);
+    } catch (error) {
+      await this.dataPersistence.rollbackTransaction(transaction);
+      throw error;
+    }
+
+    let dialogues = 0;
+    if ((bundle.dialogues || []).length > 0) {
+      if (this.dialoguePersistence) {
+        try {
+          for (const session of bundle.dialogues) {
+            const id = projectId === sourceId ? session.id : `${session.id}_${projectId}`;
+            await this.dialoguePersistence.saveDialogueSession({ ...session, id, projectId });
+            dialogues++;
+          }
+        } catch (error) {
+          warnings.push(`Dialogue sessions could not all be restored: ${error.message}`);
+        }
+      } else {
+        warnings.push('Dialogue persistence is not available; dialogue sessions were skipped');
+      }
+    }
+
+    const vectors = await this.restoreVectors(projectId, vectorItems, { replace, warnings });
+
+    return {
+      project_files: Object.keys(files).length,
+      paths: Object.keys(bundle.paths || {}).length,
+      path_files: pathFiles,
+      dialogues,
+      vectors,
+      warnings,
+    };
+  }
+
+  async restoreVectors(projectId, items, { replace, warnings }) {
+    const provider = this.vectorStore?.provider;
+    if (!provider) {
+      if (items.length > 0) {
+        warnings.push('No vector provider is active; vectors were skipped (rebuild them from the HTA later)');
+      }
+      return 0;
+    }
+
+    let restored = 0;
+    try {
+      // Vectors of the replaced project would otherwise mix with the imported ones
+      if (replace && typeof provider.deleteNamespace === 'function') {
+        await provider.deleteNamespace(`${projectId}:`);
+      }
+      if (items.length > 0) {
+        if (typeof provider.upsertVector !== 'function') {
+          warnings.push('The active vector provider cannot store vectors; vectors were skipped (rebuild them from the HTA later)');
+          return 0;
+        }
+        for (const item of items) {
+          const metadata = { ...item.metadata };
+          if (metadata.project_id !== undefined) metadata.project_id = projectId;
+          if (metadata.projectId !== undefined) metadata.projectId = projectId;
+          await provider.upsertVector(`${projectId}:${item.key}`, item.vector, metadata);
+          restored++;
+        }
+      }
+      if (typeof provider.flush === 'function') {
+        await provider.flush();
+      }
+    } catch (error) {
+      warnings.push(`Vectors could not all be restored (${restored}/${items.length}): ${error.message}. Rebuild them from the HTA later.`);
+    }
+    return restored;
+  }
+
+  // Documents of the project being replaced that the bundle does not bring back
+  async removeStaleDocuments(projectId, files, paths, transaction) {
+    for (const fileName of await this.dataPersistence.listProjectFiles(projectId)) {
+      if (!(fileName in files)) {
+        await this.dataPersistence.removeProjectData(projectId, fileName, transaction);
+      }
+    }
+    for (const pathName of await this.dataPersistence.listPathNames(projectId)) {
+      for (const fileName of await this.dataPersistence.listPathFiles(projectId, pathName)) {
+        if (!(fileName in (paths[pathName] || {}))) {
+          await this.dataPersistence.removePathData(projectId, pathName, fileName, transaction);
+        }
+      }
+    }
+  }
+
+  /**
+   * Names in a bundle become storage locations, so only plain names pass:
+   * no separators, no "..", and project and path files must be *.json
+   */
+  validateDocumentNames(files, paths) {
+    const checkFileName = (fileName, location) => {
+      if (!BUNDLE_CONSTANTS.FILE_NAME_PATTERN.test(fileName)) {
+        throw new Error(`Bundle file name "${fileName}" in ${location} is not allowed; expected a plain *.json name`);
+      }
+    };
+    for (const fileName of Object.keys(files)) {
+      checkFileName(fileName, 'the project');
+    }
+    if (!paths || typeof paths !== 'object' || Array.isArray(paths)) {
+      throw new Error('Bundle paths section is malformed: expected an object of learning paths');
+    }
+    for (const [pathName, pathFiles] of Object.entries(paths)) {
+      if (!BUNDLE_CONSTANTS.PATH_NAME_PATTERN.test(pathName)) {
+        throw new Error(`Bundle learning path name "${pathName}" is not allowed; use letters, numbers, "_" and "-"`);
+      }
+      if (!pathFiles || typeof pathFiles !== 'object' || Array.isArray(pathFiles)) {
+        throw new Error(`Bundle learning path "${pathName}" is malformed: expected an object of files`);
+      }
+      for (const fileName of Object.keys(pathFiles)) {
+        checkFileName(fileName, `learning path "${pathName}"`);
+      }
+    }
+  }
+
+  /**
+   * Check the vector section before anything is written
+   * @returns {Array<{key: string, vector: number[], metadata: Object}>}
+   */
+  validateVectors(vectors) {
+    if (!vectors) return [];
+    if (!Array.isArray(vectors.items)) {
+      throw new Error('Bundle vector section is malformed: items must be an array');
+    }
+    for (const [index, item] of vectors.items.entries()) {
+      if (!item || typeof item.key !== 'string' || !Array.isArray(item.vector) || !item.vector.every(Number.isFinite)) {
+        throw new Error(`Bundle vector ${index} is malformed: expected a string key and an array of numbers`);
+      }
+      if (vectors.dimension && item.vector.length !== vectors.dimension) {
+        throw new Error(`Bundle vector ${item.key} has ${item.vector.length} dimensions, expected ${vectors.dimension}`);
+      }
+    }
+    return vectors.items;
+  }
+
+  /**
+   * Add the imported project to the global project list
+   */
+  async registerProject(projectId, config = {}) {
+    const globalData = (await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG)) || { projects: [] };
+    if (!Array.isArray(globalData.projects)) {
+      globalData.projects = [];
+    }
+    if (!globalData.projects.find(project => project.id === projectId)) {
+      globalData.projects.push({
+        id: projectId,
+        goal: config.goal,
+        created_at: config.created_at || new Date().toISOString(),
+        last_accessed: new Date().toISOString(),
+      });
+    }
+    await this.dataPersistence.saveGlobalData(FILE_NAMES.CONFIG, globalData);
+  }
+
+  // ===== RESPONSES =====
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default ProjectBundle;
@@ -0,0 +1,403 @@
+/**
+ * Project Lifecycle - archiving, cloning and templates
+ * Serves archive_project_forest, clone_project_forest,
+ * save_project_template_forest and create_project_from_template_forest.
+ *
+ * Clones and template instances share one "skeleton": the project config and
+ * each path's HTA tree with all progress removed. Learning history, schedules,
+ * completion and skip logs start empty, as for a new project.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+
+export const LIFECYCLE_CONSTANTS = {
+  TEMPLATES_FILE: 'project-templates.json',
+  ONBOARDING_FILE: 'onboarding_state.json',
+  NAME_PATTERN: /^[A-Za-z0-9_-]+$/,
+  // Config fields describing one project's history rather than its setup
+  RESET_CONFIG_FIELDS: [
+    'progress', 'last_updated', 'archived', 'archived_at',
+    'imported_from', 'cloned_from', 'created_from_template',
+  ],
+  // Task fields recording work done: completion, start/pause/resume progress
+  // and skips, which would hide or penalise tasks in the new project
+  RESET_TASK_FIELDS: [
+    'completed_at', 'completedAt', 'percent_complete',
+    'skip_counts', 'last_skip_reason', 'last_skipped_at', 'snoozed_until',
+  ],
+  // Task status before any work; completion and open sessions set others
+  DEFAULT_TASK_STATUS: 'pending',
+};
+
+/**
+ * Copy of an HTA tree with every task, subtasks included, back to not started.
+ */
+export function resetHTAProgress(htaData) {
+  const tree = JSON.parse(JSON.stringify(htaData));
+  const resetTask = task => {
+    if (!task || typeof task !== 'object') return;
+    task.completed = false;
+    for (const field of LIFECYCLE_CONSTANTS.RESET_TASK_FIELDS) delete task[field];
+    if (task.status) task.status = LIFECYCLE_CONSTANTS.DEFAULT_TASK_STATUS;
+    if (Array.isArray(task.subtasks)) task.subtasks.forEach(resetTask);
+  };
+  (Array.isArray(tree.frontierNodes) ? tree.frontierNodes : []).forEach(resetTask);
+  for (const branch of Array.isArray(tree.strategicBranches) ? tree.strategicBranches : []) {
+    if ('completed' in branch) branch.completed = false;
+    if ('progress' in branch) branch.progress = 0;
+  }
+  return tree;
+}
+
+export class ProjectLifecycle {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.vectorStore = null; // set after vector store initialization
+  }
+
+  // ===== ARCHIVING =====
+
+  /**
+   * archive_project_forest - hide a project from listings and switching
+   * without deleting anything. unarchive: true brings it back.
+   */
+  async archiveProject(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const config = await this.loadConfig(projectId);
+      const archive = args.unarchive !== true;
+      if (Boolean(config.archived) === archive) {
+        throw new Error(`Project ${projectId} is ${archive ? 'already' : 'not'} archived`);
+      }
+
+      const now = new Date().toISOString();
+      const nextConfig = { ...config, archived: archive, last_updated: now };
+      if (archive) nextConfig.archived_at = now;
+      else delete nextConfig.archived_at;
+
+      const globalData = (await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG)) || { projects: [] };
+      const projects = Array.isArray(globalData.projects) ? globalData.projects : [];
+      const wasActive = globalData.activeProject === projectId;
+      const nextGlobal = {
+        ...globalData,
+        projects: projects.map(project => (project.id === projectId ? { ...project, archived: archive } : project)),
+        activeProject: archive && wasActive ? null : globalData.activeProject,
+      };
+
+      await this.runTransaction(`${archive ? 'archive' : 'unarchive'}_project ${projectId}`, async transaction => {
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, nextConfig, transaction);
+        await this.dataPersistence.saveGlobalData(FILE_NAMES.CONFIG, nextGlobal, transaction);
+      });
+      if (archive && this.projectManagement.activeProjectId === projectId) {
+        this.projectManagement.activeProjectId = null;
+      }
+
+      let text = archive ? `**Project Archived** 🗄️\n\n` : `**Project Unarchived** 📂\n\n`;
+      text += `**Project**: ${projectId}\n**Goal**: ${config.goal}\n\n`;
+      text += archive
+        ? `The project is hidden from \`list_projects_forest\` and cannot be switched to. Nothing was deleted; use \`archive_project_forest\` with unarchive: true to restore it.`
+        : `Use \`switch_project_forest\` to continue working on it.`;
+      if (archive && wasActive) text += `\n\nIt was the active project; switch to another project to continue.`;
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        archived: archive,
+        was_active: wasActive,
+      };
+    } catch (error) {
+      console.error('ProjectLifecycle.archiveProject failed:', error);
+      return this.errorResponse(args.unarchive ? 'Project Unarchive Failed' : 'Project Archive Failed', error);
+    }
+  }
+
+  // ===== CLONING =====
+
+  /**
+   * clone_project_forest - copy a project's setup and HTA trees under a new ID
+   * with progress reset.
+   */
+  async cloneProject(args = {}) {
+    try {
+      const sourceId = args.source_project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!sourceId) return this.noActiveProjectResponse();
+
+      const skeleton = await this.buildSkeleton(sourceId);
+      const goal = args.goal || skeleton.config.goal;
+      const result = await this.instantiate(skeleton, {
+        projectId: args.project_id || this.projectManagement.generateProjectId(goal),
+        goal,
+        context: args.context,
+        provenance: { cloned_from: { project_id: sourceId, cloned_at: new Date().toISOString() } },
+        activate: args.activate !== false,
+      });
+
+      let text = `**Project Cloned** 🧬\n\n`;
+      text += `**Source**: ${sourceId}\n**New Project**: ${result.project_id}\n**Goal**: ${goal}\n\n`;
+      text += this.formatInstanceSummary(result);
+
+      return { content: [{ type: 'text', text }], success: true, source_project_id: sourceId, ...result };
+    } catch (error) {
+      console.error('ProjectLifecycle.cloneProject failed:', error);
+      return this.errorResponse('Project Clone Failed', error);
+    }
+  }
+
+  // ===== TEMPLATES =====
+
+  /**
+   * save_project_template_forest - store a project's skeleton under a name.
+   */
+  async saveTemplate(args = {}) {
+    try {
+      const templateName = this.validateTemplateName(args.template_name);
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const templates = await this.loadTemplates();
+      if (templates[templateName] && !args.overwrite) {
+        throw new Error(`Template "${templateName}" already exists. Pass overwrite: true to replace it.`);
+      }
+
+      const skeleton = await this.buildSkeleton(projectId);
+      const template = {
+        name: templateName,
+        description: args.description || skeleton.config.goal,
+        source_project_id: projectId,
+        saved_at: new Date().toISOString(),
+        ...skeleton,
+      };
+      await this.dataPersistence.saveGlobalData(LIFECYCLE_CONSTANTS.TEMPLATES_FILE, {
+        templates: { ...templates, [templateName]: template },
+      });
+
+      const taskCount = Object.values(skeleton.paths).reduce((sum, tree) => sum + (tree.frontierNodes?.length || 0), 0);
+      let text = `**Template Saved** 📐\n\n`;
+      text += `**Template**: ${templateName}\n**From Project**: ${projectId}\n`;
+      text += `**Paths**: ${Object.keys(skeleton.paths).length} (${taskCount} tasks)\n\n`;
+      text += `Use \`create_project_from_template_forest\` with template_name "${templateName}" and a new goal to start a project from it.`;
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        template_name: templateName,
+        source_project_id: projectId,
+        paths: Object.keys(skeleton.paths),
+        task_count: taskCount,
+      };
+    } catch (error) {
+      console.error('ProjectLifecycle.saveTemplate failed:', error);
+      return this.errorResponse('Template Save Failed', error);
+    }
+  }
+
+  /**
+   * create_project_from_template_forest - new project from a saved template
+   * with its own goal, skipping onboarding and tree building.
+   */
+  async createFromTemplate(args = {}) {
+    try {
+      const templateName = this.validateTemplateName(args.template_name);
+      if (!args.goal) throw new Error('goal is required');
+
+      const templates = await this.loadTemplates();
+      const template = templates[templateName];
+      if (!template) {
+        const available = Object.keys(templates);
+        throw new Error(`Template "${templateName}" not found. ${available.length > 0
+          ? `Available templates: ${available.join(', ')}`
+          : 'Save one first with save_project_template_forest.'}`);
+      }
+
+      const result = await this.instantiate(template, {
+        projectId: args.project_id || this.projectManagement.generateProjectId(args.goal),
+        goal: args.goal,
+        context: args.context,
+        provenance: { created_from_template: { template_name: templateName, created_at: new Date().toISOString() } },
+        activate: args.activate !== false,
+      });
+
+      let text = `**Project Created from Template** 📐\n\n`;
+      text += `**Template**: ${templateName}\n**Project ID**: ${result.project_id}\n**Goal**: ${args.goal}\n\n`;
+      text += this.formatInstanceSummary(result);
+
+      return { content: [{ type: 'text', text }], success: true, template_name: templateName, ...result };
+    } catch (error) {
+      console.error('ProjectLifecycle.createFromTemplate failed:', error);
+      return this.errorResponse('Template Instantiation Failed', error);
+    }
+  }
+
+  // ===== SKELETONS =====
+
+  /**
+   * Setup of a project without its history: config, onboarding state and one
+   * progress-free HTA tree per path.
+   */
+  async buildSkeleton(projectId) {
+    const config = await this.loadConfig(projectId);
+
+    const paths = {};
+    for (const pathName of await this.dataPersistence.listPathNames(projectId)) {
+      const htaData = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+      if (htaData) paths[pathName] = resetHTAProgress(htaData);
+    }
+    // Older projects keep the default path's tree at project level
+    const defaultPath = config.activePath || DEFAULT_PATHS.GENERAL;
+    if (!paths[defaultPath]) {
+      const legacyTree = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
+      if (legacyTree) paths[defaultPath] = resetHTAProgress(legacyTree);
+    }
+
+    const skeletonConfig = { ...config };
+    for (const field of LIFECYCLE_CONSTANTS.RESET_CONFIG_FIELDS) delete skeletonConfig[field];
+
+    return {
+      config: skeletonConfig,
+      onboarding: await this.dataPersistence.loadProjectData(projectId, LIFECYCLE_CONSTANTS.ONBOARDING_FILE),
+      paths,
+    };
+  }
+
+  async instantiate(skeleton, { projectId, goal, context, provenance, activate }) {
+    if (!LIFECYCLE_CONSTANTS.NAME_PATTERN.test(projectId || '')) {
+      throw new Error(`Invalid project ID "${projectId}". Use letters, numbers, "_" and "-".`);
+    }
+    if (await this.dataPersistence.projectExists(projectId)) {
+      throw new Error(`Project ${projectId} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const previousGoal = skeleton.config.goal;
+    const config = {
+      ...skeleton.config,
+      id: projectId,
+      goal,
+      context: context ?? skeleton.config.context,
+      created_at: now,
+      progress: 0,
+      ...provenance,
+    };
+    const learningPaths = Array.isArray(config.learning_paths) && config.learning_paths.length > 0
+      ? config.learning_paths
+      : [{ path_name: config.activePath || DEFAULT_PATHS.GENERAL, priority: 'high' }];
+
+    const trees = {};
+    for (const [pathName, tree] of Object.entries(skeleton.paths || {})) {
+      // Trees built for the old project goal take the new one; path-specific goals stay
+      trees[pathName] = tree.goal === previousGoal ? { ...tree, goal } : tree;
+    }
+
+    await this.runTransaction(`instantiate_project ${projectId}`, async transaction => {
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config, transaction);
+      if (skeleton.onboarding) {
+        await this.dataPersistence.saveProjectData(projectId, LIFECYCLE_CONSTANTS.ONBOARDING_FILE, {
+          ...skeleton.onboarding,
+          goal,
+        }, transaction);
+      }
+      for (const [pathName, tree] of Object.entries(trees)) {
+        await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, tree, transaction);
+      }
+      await this.projectManagement.initializeProjectData(projectId, learningPaths, transaction);
+
+      const globalData = (await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG)) || {};
+      const projects = Array.isArray(globalData.projects) ? globalData.projects : [];
+      await this.dataPersistence.saveGlobalData(FILE_NAMES.CONFIG, {
+        ...globalData,
+        projects: [...projects, { id: projectId, goal, created_at: now, last_accessed: now }],
+        activeProject: activate ? projectId : globalData.activeProject,
+      }, transaction);
+    });
+
+    const activePath = config.activePath || DEFAULT_PATHS.GENERAL;
+    let vectorsStored = false;
+    if (activate) {
+      this.projectManagement.activeProjectId = projectId;
+      if (trees[activePath]?.frontierNodes?.length && this.vectorStore?.storeHTATree) {
+        try {
+          await this.vectorStore.storeHTATree(projectId, trees[activePath]);
+          vectorsStored = true;
+        } catch (vectorError) {
+          console.error('[ProjectLifecycle] Vectorizing the new project failed:', vectorError.message);
+        }
+      }
+    }
+
+    return {
+      project_id: projectId,
+      active: Boolean(activate),
+      active_path: activePath,
+      paths: Object.keys(trees),
+      task_count: Object.values(trees).reduce((sum, tree) => sum + (tree.frontierNodes?.length || 0), 0),
+      vectors_stored: vectorsStored,
+    };
+  }
+
+  // ===== HELPERS =====
+
+  async runTransaction(label, work) {
+    const transaction = this.dataPersistence.beginTransaction(label);
+    try {
+      await work(transaction);
+      await this.dataPersistence.commitTransaction(transaction);
+    } catch (error) {
+      await this.dataPersistence.rollbackTransaction(transaction);
+      throw error;
+    }
+  }
+
+  async loadTemplates() {
+    const data = await this.dataPersistence.loadGlobalData(LIFECYCLE_CONSTANTS.TEMPLATES_FILE);
+    return data?.templates && typeof data.templates === 'object' ? data.templates : {};
+  }
+
+  validateTemplateName(name) {
+    if (typeof name !== 'string' || !LIFECYCLE_CONSTANTS.NAME_PATTERN.test(name)) {
+      throw new Error('template_name must contain only letters, numbers, "-" and "_"');
+    }
+    return name;
+  }
+
+  async loadConfig(projectId) {
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    if (!config) throw new Error(`Project ${projectId} not found`);
+    return config;
+  }
+
+  formatInstanceSummary(result) {
+    let text = `• ${result.paths.length} learning path tree(s) with ${result.task_count} tasks, all progress reset\n`;
+    text += `• Fresh learning history, schedule and completion log\n\n`;
+    text += result.active
+      ? (result.task_count > 0
+        ? `The project is now active. Use \`get_next_task_forest\` to start.`
+        : `The project is now active. Use \`build_hta_tree_forest\` to create its tree.`)
+      : `Use \`switch_project_forest\` with project_id "${result.project_id}" to start.`;
+    return text;
+  }
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default ProjectLifecycle;
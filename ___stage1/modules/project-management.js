@@ -118,7 +118,7 @@ export class ProjectManagement {
       };
 
       // Begin transaction for atomic project creation
-      const transaction = this.dataPersistence.beginTransaction();
+      const transaction = this.dataPersistence.beginTransaction(`create_project ${project_id}`);
 
       try {
         // Save project configuration
@@ -213,8 +213,9 @@ export class ProjectManagement {
   }
 
   async switchProject(project_id) {
+    const logger = await this.getLogger();
     try {
-      this.logger.info('[ProjectManagement] Switching to project', { project_id });
+      logger.info('[ProjectManagement] Switching to project', { project_id });
 
       // Check if project exists
       if (!(await this.dataPersistence.projectExists(project_id))) {
@@ -226,6 +227,9 @@ export class ProjectManagement {
       if (!config) {
         throw new Error(`Project ${project_id} has invalid configuration`);
       }
+      if (config.archived) {
+        throw new Error(`Project ${project_id} is archived. Use archive_project_forest with unarchive: true to restore it first.`);
+      }
 
       // Update global config
       const globalData = (await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG)) || {
@@ -247,7 +251,7 @@ export class ProjectManagement {
       // Set as active project
       this.activeProjectId = project_id;
 
-      this.logger.info('[ProjectManagement] Project switched successfully', { project_id });
+      logger.info('[ProjectManagement] Project switched successfully', { project_id });
 
       return {
         content: [
@@ -265,7 +269,7 @@ export class ProjectManagement {
         project_config: config,
       };
     } catch (error) {
-      this.logger.error('[ProjectManagement] Project switch failed', {
+      logger.error('[ProjectManagement] Project switch failed', {
         project_id,
         error: error.message,
       });
@@ -282,12 +286,17 @@ export class ProjectManagement {
     }
   }
 
-  async listProjects() {
+  /**
+   * @param {{include_archived?: boolean}} [args] - archived projects are hidden by default
+   */
+  async listProjects(args = {}) {
     try {
       const logger = await this.getLogger();
       logger.debug('[ProjectManagement] Listing projects');
 
-      const projects = await this.dataPersistence.getProjectList();
+      const allProjects = await this.dataPersistence.getProjectList();
+      const projects = args.include_archived ? allProjects : allProjects.filter(project => !project.archived);
+      const archivedCount = allProjects.filter(project => project.archived).length;
       const globalData = await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG);
       const activeProjectId = globalData?.activeProject;
 
@@ -296,10 +305,12 @@ export class ProjectManagement {
           content: [
             {
               type: 'text',
-              text: `**No Projects Found** 📂\n\nCreate your first project with \`create_project_forest\` to get started!`,
+              text: `**No Projects Found** 📂\n\nCreate your first project with \`create_project_forest\` to get started!` +
+                (archivedCount > 0 ? `\n\n${archivedCount} archived project(s) hidden; pass include_archived: true to see them.` : ''),
             },
           ],
           projects: [],
+          archived_count: archivedCount,
         };
       }
 
@@ -307,7 +318,7 @@ export class ProjectManagement {
 
       projects.forEach((project, index) => {
         const isActive = project.id === activeProjectId;
-        const status = isActive ? '🟢 ACTIVE' : '⚪ Inactive';
+        const status = project.archived ? '🗄️ Archived' : isActive ? '🟢 ACTIVE' : '⚪ Inactive';
         const createdDate = new Date(project.created_at).toLocaleDateString();
 
         projectList += `**${index + 1}. ${project.id}** ${status}\n`;
@@ -316,6 +327,9 @@ export class ProjectManagement {
         projectList += `   Progress: ${project.progress}%\n\n`;
       });
 
+      if (!args.include_archived && archivedCount > 0) {
+        projectList += `${archivedCount} archived project(s) hidden; pass include_archived: true to see them.\n`;
+      }
       projectList += `Use \`switch_project_forest\` to change active project.`;
 
       return {
@@ -327,6 +341,7 @@ export class ProjectManagement {
         ],
         projects,
         active_project: activeProjectId,
+        archived_count: archivedCount,
       };
     } catch (error) {
       const logger = await this.getLogger();
@@ -505,6 +520,7 @@ export class ProjectManagement {
   }
 
   async initializeProjectData(projectId, learningPaths, transaction = null) {
+    const logger = await this.getLogger();
     try {
       // Initialize learning history
       const learningHistory = {
@@ -553,14 +569,14 @@ export class ProjectManagement {
         );
       }
 
-      this.logger.debug('[ProjectManagement] Project data initialized', {
+      logger.debug('[ProjectManagement] Project data initialized', {
         projectId,
         pathCount: learningPaths.length,
       });
 
       return true;
     } catch (error) {
-      this.logger.error('[ProjectManagement] Failed to initialize project data', {
+      logger.error('[ProjectManagement] Failed to initialize project data', {
         projectId,
         error: error.message,
       });
@@ -600,6 +616,7 @@ export class ProjectManagement {
   }
 
   async setActivePath(projectId, pathName) {
+    const logger = await this.getLogger();
     try {
       const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
       if (!config) {
@@ -607,7 +624,7 @@ export class ProjectManagement {
       }
 
       // Validate path exists in project
-      const pathExists = config.learning_paths.some(path => path.path_name === pathName);
+      const pathExists = (config.learning_paths || []).some(path => path.path_name === pathName);
       if (!pathExists && pathName !== DEFAULT_PATHS.GENERAL) {
         throw new Error(`Learning path ${pathName} not found in project`);
       }
@@ -618,14 +635,14 @@ export class ProjectManagement {
 
       await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
 
-      this.logger.info('[ProjectManagement] Active path updated', {
+      logger.info('[ProjectManagement] Active path updated', {
         projectId,
         pathName,
       });
 
       return pathName;
     } catch (error) {
-      this.logger.error('[ProjectManagement] Failed to set active path', {
+      logger.error('[ProjectManagement] Failed to set active path', {
         projectId,
         pathName,
         error: error.message,
@@ -0,0 +1,130 @@
+/**
+ * Review Scheduler
+ *
+ * Keeps the project's spaced-repetition review items in project storage.
+ * complete_block_forest schedules a review for every completed task that came
+ * with `learned` notes, and completing a `review:<task_id>` block records how
+ * well it was recalled and reschedules it. get_next_task_forest, the pipeline
+ * and the daily schedule interleave due reviews with new tasks.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import { getLeafTasks } from '../utils/hta-hierarchy-utils.js';
+import {
+  REVIEW_CONSTANTS,
+  qualityFromCompletion,
+  scheduleReview,
+  createReviewItem,
+  getDueReviews,
+  reviewAsTask,
+  reviewItemIdFromBlock,
+  summarizeRetention,
+} from '../utils/spaced-repetition.js';
+
+export class ReviewScheduler {
+  constructor(dataPersistence) {
+    this.dataPersistence = dataPersistence;
+  }
+
+  // ===== STORAGE =====
+
+  async loadItems(projectId) {
+    const data = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.REVIEWS);
+    return Array.isArray(data?.items) ? data.items : [];
+  }
+
+  async saveItems(projectId, items) {
+    await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.REVIEWS, {
+      items,
+      lastUpdated: new Date().toISOString(),
+    });
+  }
+
+  // ===== SCHEDULING =====
+
+  /**
+   * Schedule a review for a completed task that produced learning notes.
+   * @returns {Promise<Object|null>} The new item; null when there is nothing to review,
+   *   the task is not in the tree or it is already scheduled
+   */
+  async scheduleFromCompletion({ projectId, pathName, taskId, completion, now = new Date().toISOString() }) {
+    if (!completion?.learned) return null;
+
+    const path = pathName || DEFAULT_PATHS.GENERAL;
+    const htaData = await this.dataPersistence.loadPathData(projectId, path, FILE_NAMES.HTA);
+    const task = htaData ? getLeafTasks(htaData).find(entry => entry.id === taskId) : null;
+    if (!task) return null;
+
+    const items = await this.loadItems(projectId);
+    if (items.some(item => item.id === taskId)) return null;
+
+    const item = createReviewItem({ task, pathName: path, completion, now });
+    await this.saveItems(projectId, [...items, item]);
+    return item;
+  }
+
+  /**
+   * Record a completed review and reschedule it.
+   * @returns {Promise<{item: Object, quality: number, retention: Object}>}
+   */
+  async completeReview({ projectId, blockId, completion, now = new Date().toISOString() }) {
+    const itemId = reviewItemIdFromBlock(blockId);
+    const items = await this.loadItems(projectId);
+    const index = items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw new Error(`No review scheduled for "${itemId}"`);
+    }
+
+    const quality = qualityFromCompletion(completion);
+    const updated = [...items];
+    updated[index] = scheduleReview(items[index], quality, now);
+    await this.saveItems(projectId, updated);
+
+    return { item: updated[index], quality, retention: summarizeRetention(updated) };
+  }
+
+  // ===== INTERLEAVING =====
+
+  /**
+   * Due reviews for a path as task-shaped entries, and whether the next item
+   * should be a review. Reviews and new tasks alternate: after a completed
+   * review a new task comes first.
+   * Reviews are an addition, so callers get none when the items cannot be read.
+   */
+  async getDueReviewTasks(projectId, pathName, now = new Date().toISOString()) {
+    try {
+      const path = pathName || DEFAULT_PATHS.GENERAL;
+      const items = (await this.loadItems(projectId)).filter(item => (item.path_name || DEFAULT_PATHS.GENERAL) === path);
+      const due = getDueReviews(items, now);
+      if (due.length === 0) return { tasks: [], leadWithReview: false };
+
+      const completionLog = await this.dataPersistence.loadPathData(projectId, path, FILE_NAMES.COMPLETION_LOG);
+      const completions = Array.isArray(completionLog?.completions) ? completionLog.completions : [];
+      const lastCompletion = completions[completions.length - 1];
+
+      return {
+        tasks: due.map(item => reviewAsTask(item, now)),
+        leadWithReview: !lastCompletion?.review,
+      };
+    } catch (error) {
+      console.error('ReviewScheduler.getDueReviewTasks failed, skipping reviews:', error.message);
+      return { tasks: [], leadWithReview: false };
+    }
+  }
+
+  // ===== FORMATTING =====
+
+  formatReviewCompletion({ item, quality, retention }) {
+    const passed = quality >= REVIEW_CONSTANTS.PASSING_QUALITY;
+    let text = `**Review Completed** ${passed ? '✅' : '🔁'}\n\n`;
+    text += `**Item**: ${item.title}\n`;
+    text += `**Recall**: ${quality}/${REVIEW_CONSTANTS.MAX_QUALITY}${passed ? '' : ' (lapse, starting over)'}\n`;
+    text += `**Next review**: in ${item.interval_days} day${item.interval_days === 1 ? '' : 's'} (${item.due_at.slice(0, 10)})\n`;
+    if (retention.retention_rate !== null) {
+      text += `**Retention**: ${Math.round(retention.retention_rate * 100)}% of ${retention.reviews} reviews recalled\n`;
+    }
+    return `${text}\nUse \`get_next_task_forest\` to continue.`;
+  }
+}
+
+export default ReviewScheduler;
@@ -0,0 +1,121 @@
+/**
+ * Selection Policy Manager
+ *
+ * Stores the per-project task selection policy (a named preset plus weight
+ * overrides) in the project config, where the TaskScorer, the Next + Pipeline
+ * scorer and the vector goal filter all read it.
+ */
+
+import { FILE_NAMES } from './memory-sync.js';
+import {
+  SELECTION_POLICY_PRESETS,
+  SELECTION_POLICY_WEIGHTS,
+  DEFAULT_SELECTION_PRESET,
+  normalizePresetName,
+  validateSelectionPolicy,
+  resolveSelectionPolicy,
+} from '../../utils/selection-policy.js';
+
+export class SelectionPolicyManager {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * set_selection_policy_forest - choose a preset and/or override weights.
+   * Without preset, weights or reset it shows the current policy.
+   */
+  async setSelectionPolicy(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error(`Project ${projectId} has no configuration`);
+      }
+
+      const errors = validateSelectionPolicy({ preset: args.preset, weights: args.weights });
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      const changed = args.reset === true || args.preset !== undefined || args.weights !== undefined;
+      if (changed) {
+        config.selection_policy = this.mergePolicy(config.selection_policy, args);
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+      }
+
+      const policy = resolveSelectionPolicy(config.selection_policy);
+      return {
+        content: [{ type: 'text', text: this.formatPolicy(policy, changed) }],
+        success: true,
+        project_id: projectId,
+        selection_policy: policy,
+      };
+    } catch (error) {
+      console.error('SelectionPolicyManager.setSelectionPolicy failed:', error);
+      return this.errorResponse('Selection Policy Update Failed', error);
+    }
+  }
+
+  // ===== POLICY =====
+
+  /**
+   * Stored policy after an update. Choosing a preset drops earlier overrides;
+   * weights given in the same call apply on top of it.
+   */
+  mergePolicy(stored, args) {
+    const base = args.reset === true ? {} : stored || {};
+    const preset = normalizePresetName(args.preset) || normalizePresetName(base.preset) || DEFAULT_SELECTION_PRESET;
+    const weights = args.preset !== undefined || args.reset === true ? {} : { ...(base.weights || {}) };
+
+    return {
+      preset,
+      weights: { ...weights, ...(args.weights || {}) },
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  // ===== FORMATTING =====
+
+  formatPolicy(policy, changed) {
+    let text = `**${changed ? 'Selection Policy Updated' : 'Selection Policy'}** 🎯\n\n`;
+    text += `**Preset**: ${policy.preset} - ${policy.description}\n\n`;
+    text += `**Weights** (1 = standard):\n`;
+    for (const key of SELECTION_POLICY_WEIGHTS) {
+      const overridden = policy.overrides[key] !== undefined ? ' (custom)' : '';
+      text += `- ${key}: ${policy.weights[key]}${overridden}\n`;
+    }
+
+    text += `\n**Presets**: ${Object.keys(SELECTION_POLICY_PRESETS).join(', ')}\n`;
+    text += `Applies to \`get_next_task_forest\`, \`get_next_pipeline_forest\` and goal-focused vector selection.`;
+    return text;
+  }
+
+  // ===== RESPONSES =====
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default SelectionPolicyManager;
@@ -0,0 +1,475 @@
+/**
+ * Snapshot Manager
+ *
+ * Keeps point-in-time copies of each project's `hta.json` and `config.json`.
+ * DataPersistence asks the SnapshotStore to copy the current file before it is
+ * overwritten, so a bad evolution can always be rolled back. The
+ * SnapshotManager exposes listing, diff-previewed restore and per-project
+ * retention settings as MCP tools.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+
+// Constants for snapshot storage and retention
+export const SNAPSHOT_CONSTANTS = {
+  DIR_NAME: '.snapshots',
+  INDEX_FILE: 'index.json',
+  TRACKED_FILES: [FILE_NAMES.HTA, FILE_NAMES.CONFIG],
+  DEFAULT_MAX_SNAPSHOTS: 20,
+  MAX_SNAPSHOTS_LIMIT: 500,
+  DEFAULT_LIST_LIMIT: 20,
+  MS_PER_DAY: 24 * 60 * 60 * 1000,
+  // Timestamps rewritten on every save; ignored when deciding whether content changed
+  VOLATILE_KEYS: ['lastUpdated', 'last_updated'],
+  MAX_PREVIEW_ITEMS: 10,
+};
+
+/**
+ * File-level snapshot storage under `<dataDir>/<projectId>/.snapshots/`.
+ * Callers are expected to hold the project lock while writing.
+ */
+export class SnapshotStore {
+  /**
+   * @param {string} dataDir
+   * @param {{readConfig?: Function}} [options] - async projectId => project config,
+   *   so retention settings are read through the active storage adapter
+   */
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.sequence = 0;
+    this.readConfig = options.readConfig || (projectId => this.readJSON(path.join(this.dataDir, projectId, FILE_NAMES.CONFIG)));
+  }
+
+  isTracked(fileName) {
+    return SNAPSHOT_CONSTANTS.TRACKED_FILES.includes(fileName);
+  }
+
+  getSnapshotDir(projectId) {
+    return path.join(this.dataDir, projectId, SNAPSHOT_CONSTANTS.DIR_NAME);
+  }
+
+  /**
+   * Copy the current document (from `readCurrent`) into the snapshot history
+   * if it exists and differs from `nextData`. Returns the snapshot entry or
+   * null when skipped.
+   */
+  async captureBeforeWrite({ projectId, pathName = null, fileName, readCurrent, nextData, reason = 'auto' }) {
+    if (!this.isTracked(fileName)) return null;
+
+    const current = await readCurrent();
+    if (current === null) return null;
+    if (nextData !== undefined && this.stableStringify(current) === this.stableStringify(nextData)) return null;
+
+    const createdAt = new Date();
+    const id = `snap_${createdAt.getTime()}_${String(this.sequence++ % 1000).padStart(3, '0')}`;
+    const entry = {
+      id,
+      project_id: projectId,
+      path_name: pathName,
+      file_name: fileName,
+      created_at: createdAt.toISOString(),
+      reason,
+      summary: this.summarize(fileName, current),
+    };
+
+    const snapshotDir = this.getSnapshotDir(projectId);
+    await fs.mkdir(snapshotDir, { recursive: true });
+    await fs.writeFile(path.join(snapshotDir, `${id}.json`), JSON.stringify(current), 'utf8');
+
+    const index = await this.readIndex(projectId);
+    index.snapshots.push(entry);
+    const retention = await this.getRetention(projectId, fileName === FILE_NAMES.CONFIG && pathName === null ? nextData : null);
+    await this.writeIndex(projectId, await this.prune(projectId, index, retention));
+
+    return entry;
+  }
+
+  async list(projectId, { fileName = null, pathName } = {}) {
+    const index = await this.readIndex(projectId);
+    return index.snapshots
+      .filter(entry => !fileName || entry.file_name === fileName)
+      .filter(entry => pathName === undefined || entry.path_name === pathName)
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  async get(projectId, snapshotId) {
+    const index = await this.readIndex(projectId);
+    const entry = index.snapshots.find(snapshot => snapshot.id === snapshotId);
+    if (!entry) return null;
+    const data = await this.readJSON(path.join(this.getSnapshotDir(projectId), `${snapshotId}.json`));
+    return data === null ? null : { entry, data };
+  }
+
+  /**
+   * Retention from the project config, falling back to defaults
+   */
+  async getRetention(projectId, configOverride = null) {
+    const config = configOverride || (await this.readConfig(projectId)) || {};
+    const settings = config.snapshot_retention || {};
+    return {
+      max_snapshots: Number.isInteger(settings.max_snapshots) && settings.max_snapshots > 0
+        ? Math.min(settings.max_snapshots, SNAPSHOT_CONSTANTS.MAX_SNAPSHOTS_LIMIT)
+        : SNAPSHOT_CONSTANTS.DEFAULT_MAX_SNAPSHOTS,
+      max_age_days: Number(settings.max_age_days) > 0 ? Number(settings.max_age_days) : null,
+    };
+  }
+
+  /**
+   * Drop snapshots beyond `max_snapshots` per tracked file, and older than
+   * `max_age_days`. The newest snapshot of each file is always kept.
+   */
+  async prune(projectId, index, retention) {
+    const groups = new Map();
+    for (const entry of index.snapshots) {
+      const key = `${entry.path_name || ''}/${entry.file_name}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    const cutoff = retention.max_age_days ? Date.now() - retention.max_age_days * SNAPSHOT_CONSTANTS.MS_PER_DAY : null;
+    const kept = [];
+    const removed = [];
+    for (const entries of groups.values()) {
+      entries.sort((a, b) => b.id.localeCompare(a.id));
+      entries.forEach((entry, position) => {
+        const tooMany = position >= retention.max_snapshots;
+        const tooOld = cutoff !== null && position > 0 && Date.parse(entry.created_at) < cutoff;
+        (tooMany || tooOld ? removed : kept).push(entry);
+      });
+    }
+
+    for (const entry of removed) {
+      await fs.rm(path.join(this.getSnapshotDir(projectId), `${entry.id}.json`), { force: true });
+    }
+
+    return { ...index, snapshots: kept.sort((a, b) => a.id.localeCompare(b.id)) };
+  }
+
+  async applyRetention(projectId) {
+    const index = await this.readIndex(projectId);
+    const before = index.snapshots.length;
+    const pruned = await this.prune(projectId, index, await this.getRetention(projectId));
+    await this.writeIndex(projectId, pruned);
+    return before - pruned.snapshots.length;
+  }
+
+  summarize(fileName, data) {
+    if (fileName === FILE_NAMES.HTA) {
+      const tasks = Array.isArray(data?.frontierNodes) ? data.frontierNodes : [];
+      return {
+        tasks: tasks.length,
+        completed: tasks.filter(task => task?.completed).length,
+        branches: Array.isArray(data?.strategicBranches) ? data.strategicBranches.length : 0,
+      };
+    }
+    return { goal: data?.goal || null, active_path: data?.activePath || null };
+  }
+
+  stableStringify(data) {
+    return JSON.stringify(data, (key, value) => (SNAPSHOT_CONSTANTS.VOLATILE_KEYS.includes(key) ? undefined : value));
+  }
+
+  async readIndex(projectId) {
+    const index = await this.readJSON(path.join(this.getSnapshotDir(projectId), SNAPSHOT_CONSTANTS.INDEX_FILE));
+    return index && Array.isArray(index.snapshots) ? index : { snapshots: [] };
+  }
+
+  async writeIndex(projectId, index) {
+    const snapshotDir = this.getSnapshotDir(projectId);
+    await fs.mkdir(snapshotDir, { recursive: true });
+    const indexPath = path.join(snapshotDir, SNAPSHOT_CONSTANTS.INDEX_FILE);
+    await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index, null, 2), 'utf8');
+    await fs.rename(`${indexPath}.tmp`, indexPath);
+  }
+
+  async readJSON(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * MCP tool handlers for snapshot history
+ */
+export class SnapshotManager {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.vectorStore = null; // set after vector store initialization
+  }
+
+  get store() {
+    return this.dataPersistence.snapshotStore;
+  }
+
+  /**
+   * list_snapshots_forest
+   */
+  async listSnapshots(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const limit = Math.max(1, Number.parseInt(args.limit, 10) || SNAPSHOT_CONSTANTS.DEFAULT_LIST_LIMIT);
+      const snapshots = await this.store.list(projectId, {
+        fileName: args.file_name || null,
+        pathName: args.path_name,
+      });
+      const retention = await this.store.getRetention(projectId);
+
+      let text = `**Snapshots for ${projectId}** 🕰️\n\n`;
+      text += `**Retention**: ${retention.max_snapshots} per file` +
+        `${retention.max_age_days ? `, ${retention.max_age_days} days` : ''}\n\n`;
+      if (snapshots.length === 0) {
+        text += 'No snapshots yet. One is taken automatically before each change to hta.json or config.json.';
+      } else {
+        snapshots.slice(0, limit).forEach(snapshot => {
+          const location = snapshot.path_name ? `${snapshot.path_name}/${snapshot.file_name}` : snapshot.file_name;
+          text += `• \`${snapshot.id}\` — ${location} — ${snapshot.created_at} — ${this.describeSummary(snapshot)}\n`;
+        });
+        if (snapshots.length > limit) {
+          text += `\n…and ${snapshots.length - limit} older snapshots.\n`;
+        }
+        text += `\nUse \`restore_snapshot_forest\` with a snapshot ID to preview and restore it.`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        snapshots: snapshots.slice(0, limit),
+        total: snapshots.length,
+        retention,
+      };
+    } catch (error) {
+      console.error('SnapshotManager.listSnapshots failed:', error);
+      return this.errorResponse('Snapshot Listing Failed', error);
+    }
+  }
+
+  /**
+   * restore_snapshot_forest - preview by default, restore with confirm: true
+   */
+  async restoreSnapshot(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+      if (!args.snapshot_id) {
+        throw new Error('snapshot_id is required');
+      }
+
+      const snapshot = await this.store.get(projectId, args.snapshot_id);
+      if (!snapshot) {
+        throw new Error(`Snapshot ${args.snapshot_id} not found for project ${projectId}`);
+      }
+
+      const { entry, data } = snapshot;
+      const current = entry.path_name
+        ? await this.dataPersistence.loadPathData(projectId, entry.path_name, entry.file_name)
+        : await this.dataPersistence.loadProjectData(projectId, entry.file_name);
+      const diff = this.diffData(entry.file_name, current, data);
+      const location = entry.path_name ? `${entry.path_name}/${entry.file_name}` : entry.file_name;
+
+      if (args.confirm !== true) {
+        let text = `**Restore Preview** 🔍\n\n`;
+        text += `**Snapshot**: ${entry.id} (${location}, ${entry.created_at})\n\n`;
+        text += this.formatDiff(diff);
+        text += `\n\nCall \`restore_snapshot_forest\` again with \`confirm: true\` to restore. ` +
+          `The current version is snapshotted first, so the restore can be undone.`;
+        return {
+          content: [{ type: 'text', text }],
+          success: true,
+          preview: true,
+          snapshot: entry,
+          diff,
+        };
+      }
+
+      if (entry.path_name) {
+        await this.dataPersistence.savePathData(projectId, entry.path_name, entry.file_name, data);
+      } else {
+        await this.dataPersistence.saveProjectData(projectId, entry.file_name, data);
+      }
+
+      let vectorsRefreshed = false;
+      if (entry.file_name === FILE_NAMES.HTA && this.vectorStore?.storeHTATree) {
+        try {
+          await this.vectorStore.storeHTATree(projectId, data);
+          vectorsRefreshed = true;
+        } catch (vectorError) {
+          console.error('[SnapshotManager] Vector refresh after restore failed:', vectorError.message);
+        }
+      }
+
+      let text = `**Snapshot Restored** ✅\n\n`;
+      text += `**Restored**: ${location} from ${entry.created_at}\n\n`;
+      text += this.formatDiff(diff);
+      if (vectorsRefreshed) {
+        text += `\n\nTask vectors were refreshed from the restored tree.`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        restored: true,
+        snapshot: entry,
+        diff,
+      };
+    } catch (error) {
+      console.error('SnapshotManager.restoreSnapshot failed:', error);
+      return this.errorResponse('Snapshot Restore Failed', error);
+    }
+  }
+
+  /**
+   * configure_snapshots_forest - per-project retention
+   */
+  async configureSnapshots(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error(`Project ${projectId} has no configuration`);
+      }
+
+      const retention = { ...(config.snapshot_retention || {}) };
+      if (args.max_snapshots !== undefined) {
+        const maxSnapshots = Number(args.max_snapshots);
+        if (!Number.isInteger(maxSnapshots) || maxSnapshots < 1 || maxSnapshots > SNAPSHOT_CONSTANTS.MAX_SNAPSHOTS_LIMIT) {
+          throw new Error(`max_snapshots must be an integer between 1 and ${SNAPSHOT_CONSTANTS.MAX_SNAPSHOTS_LIMIT}`);
+        }
+        retention.max_snapshots = maxSnapshots;
+      }
+      if (args.max_age_days !== undefined) {
+        const maxAgeDays = Number(args.max_age_days);
+        if (!Number.isFinite(maxAgeDays) || maxAgeDays < 0) {
+          throw new Error('max_age_days must be a positive number, or 0 to keep snapshots regardless of age');
+        }
+        retention.max_age_days = maxAgeDays > 0 ? maxAgeDays : null;
+      }
+
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, { ...config, snapshot_retention: retention });
+      const removed = await this.store.applyRetention(projectId);
+      const effective = await this.store.getRetention(projectId);
+
+      return {
+        content: [{
+          type: 'text',
+          text:
+            `**Snapshot Retention Updated** ⚙️\n\n` +
+            `**Keep**: ${effective.max_snapshots} snapshots per file` +
+            `${effective.max_age_days ? `, for up to ${effective.max_age_days} days` : ''}\n` +
+            `**Removed now**: ${removed} snapshots`,
+        }],
+        success: true,
+        retention: effective,
+        removed,
+      };
+    } catch (error) {
+      console.error('SnapshotManager.configureSnapshots failed:', error);
+      return this.errorResponse('Snapshot Configuration Failed', error);
+    }
+  }
+
+  // ===== DIFF PREVIEW =====
+
+  /**
+   * Describe what restoring `snapshot` over `current` would change
+   */
+  diffData(fileName, current, snapshot) {
+    if (fileName === FILE_NAMES.HTA) {
+      const currentTasks = new Map((current?.frontierNodes || []).map(task => [task.id, task]));
+      const snapshotTasks = new Map((snapshot?.frontierNodes || []).map(task => [task.id, task]));
+      const comparable = task => this.store.stableStringify({ ...task, completed: Boolean(task.completed) });
+
+      return {
+        type: 'hta',
+        tasks_added: [...snapshotTasks.values()].filter(task => !currentTasks.has(task.id)).map(this.describeTask),
+        tasks_removed: [...currentTasks.values()].filter(task => !snapshotTasks.has(task.id)).map(this.describeTask),
+        tasks_changed: [...snapshotTasks.values()]
+          .filter(task => currentTasks.has(task.id) && comparable(task) !== comparable(currentTasks.get(task.id)))
+          .map(this.describeTask),
+        branches_before: (current?.strategicBranches || []).map(branch => branch.name),
+        branches_after: (snapshot?.strategicBranches || []).map(branch => branch.name),
+      };
+    }
+
+    const keys = new Set([...Object.keys(current || {}), ...Object.keys(snapshot || {})]);
+    const changed = [...keys]
+      .filter(key => !SNAPSHOT_CONSTANTS.VOLATILE_KEYS.includes(key))
+      .filter(key => JSON.stringify(current?.[key]) !== JSON.stringify(snapshot?.[key]))
+      .map(key => ({ key, current: current?.[key] ?? null, restored: snapshot?.[key] ?? null }));
+    return { type: 'fields', changed };
+  }
+
+  describeTask(task) {
+    return { id: task.id, title: task.title || task.id };
+  }
+
+  formatDiff(diff) {
+    const list = items => items
+      .slice(0, SNAPSHOT_CONSTANTS.MAX_PREVIEW_ITEMS)
+      .map(item => `  • ${item.title} (${item.id})`)
+      .join('\n') + (items.length > SNAPSHOT_CONSTANTS.MAX_PREVIEW_ITEMS ? `\n  • …and ${items.length - SNAPSHOT_CONSTANTS.MAX_PREVIEW_ITEMS} more` : '');
+
+    if (diff.type === 'hta') {
+      const sections = [];
+      if (diff.tasks_added.length > 0) sections.push(`**Tasks brought back** (${diff.tasks_added.length}):\n${list(diff.tasks_added)}`);
+      if (diff.tasks_removed.length > 0) sections.push(`**Tasks removed** (${diff.tasks_removed.length}):\n${list(diff.tasks_removed)}`);
+      if (diff.tasks_changed.length > 0) sections.push(`**Tasks reverted** (${diff.tasks_changed.length}):\n${list(diff.tasks_changed)}`);
+      if (diff.branches_before.join('|') !== diff.branches_after.join('|')) {
+        sections.push(`**Branches**: ${diff.branches_before.join(', ') || 'none'} → ${diff.branches_after.join(', ') || 'none'}`);
+      }
+      return sections.length > 0 ? sections.join('\n\n') : 'No task differences from the current tree.';
+    }
+
+    if (diff.changed.length === 0) return 'No differences from the current file.';
+    return `**Fields changed** (${diff.changed.length}):\n` +
+      diff.changed
+        .slice(0, SNAPSHOT_CONSTANTS.MAX_PREVIEW_ITEMS)
+        .map(change => `  • ${change.key}: ${this.shorten(change.current)} → ${this.shorten(change.restored)}`)
+        .join('\n');
+  }
+
+  shorten(value) {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  describeSummary(snapshot) {
+    const { summary = {} } = snapshot;
+    if (snapshot.file_name === FILE_NAMES.HTA) {
+      return `${summary.tasks} tasks (${summary.completed} completed), ${summary.branches} branches`;
+    }
+    return `goal "${summary.goal || 'unknown'}", path ${summary.active_path || DEFAULT_PATHS.GENERAL}`;
+  }
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default SnapshotManager;
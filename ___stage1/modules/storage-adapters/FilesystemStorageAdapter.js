@@ -0,0 +1,229 @@
+// FilesystemStorageAdapter.js
+import { promises as fs } from 'fs';
+import path from 'path';
+import IStorageAdapter from './IStorageAdapter.js';
+
+const JSON_INDENT = 2;
+
+/**
+ * JSON-files-on-disk storage (the original DataPersistence layout):
+ *   <dataDir>/<fileName>                              global data
+ *   <dataDir>/<projectId>/<fileName>                  project data
+ *   <dataDir>/<projectId>/paths/<pathName>/<fileName> path data
+ *
+ * Writes are atomic (temp file + rename). Transactions stage their writes
+ * and apply them on commit, putting back the previous content of every file
+ * if applying fails part-way; rollback discards them. Each transaction is
+ * isolated, so any number may be open and they can end in any order.
+ */
+class FilesystemStorageAdapter extends IStorageAdapter {
+    /**
+     * @param {{dataDir: string}} config
+     */
+    constructor(config = {}) {
+        super();
+        this.dataDir = config.dataDir;
+        this.transactions = new Map(); // id -> [{ scope, data, remove }]
+        this.writeQueue = Promise.resolve();
+    }
+
+    async initialize() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        return { success: true, adapter: 'filesystem', dataDir: this.dataDir };
+    }
+
+    resolvePath({ projectId = null, pathName = null, fileName }) {
+        if (!projectId) return path.join(this.dataDir, fileName);
+        if (!pathName) return path.join(this.dataDir, projectId, fileName);
+        return path.join(this.dataDir, projectId, 'paths', pathName, fileName);
+    }
+
+    async read(scope) {
+        try {
+            return JSON.parse(await fs.readFile(this.resolvePath(scope), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async write(scope, data, transactionId = null) {
+        if (transactionId) {
+            this.stage(transactionId, { scope, data, remove: false });
+            return true;
+        }
+        await this.serialize(() => this.writeFile(this.resolvePath(scope), data));
+        return true;
+    }
+
+    async remove(scope, transactionId = null) {
+        if (transactionId) {
+            this.stage(transactionId, { scope, data: null, remove: true });
+            return true;
+        }
+        await this.serialize(() => this.removeFile(this.resolvePath(scope)));
+        return true;
+    }
+
+    async writeFile(filePath, data) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await this.atomicWrite(filePath, JSON.stringify(data, null, JSON_INDENT));
+    }
+
+    // Also drops directories left empty, so a rolled-back project disappears entirely
+    async removeFile(filePath) {
+        await fs.rm(filePath, { force: true });
+        const root = path.resolve(this.dataDir);
+        let dir = path.resolve(path.dirname(filePath));
+        while (dir.startsWith(root) && dir !== root) {
+            try {
+                await fs.rmdir(dir);
+            } catch (error) {
+                break; // not empty (or already gone)
+            }
+            dir = path.dirname(dir);
+        }
+    }
+
+    async atomicWrite(filePath, content) {
+        const tempPath = `${filePath}.tmp`;
+        try {
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    async listProjects() {
+        const entries = await this.readDir(this.dataDir);
+        return entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .map(entry => entry.name);
+    }
+
+    async projectExists(projectId) {
+        try {
+            return (await fs.stat(path.join(this.dataDir, projectId))).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async listFiles(projectId, pathName = null) {
+        const dir = pathName
+            ? path.join(this.dataDir, projectId, 'paths', pathName)
+            : path.join(this.dataDir, projectId);
+        const entries = await this.readDir(dir);
+        return entries
+            .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+            .map(entry => entry.name);
+    }
+
+    async listPaths(projectId) {
+        const entries = await this.readDir(path.join(this.dataDir, projectId, 'paths'));
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    }
+
+    async deleteProject(projectId) {
+        await this.serialize(() => fs.rm(path.join(this.dataDir, projectId), { recursive: true, force: true }));
+        return true;
+    }
+
+    async readDir(dir) {
+        try {
+            return await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // ===== TRANSACTIONS =====
+
+    async beginTransaction(transactionId) {
+        if (this.transactions.has(transactionId)) {
+            throw new Error(`Transaction ${transactionId} is already open`);
+        }
+        this.transactions.set(transactionId, []);
+    }
+
+    async commitTransaction(transactionId) {
+        const operations = this.takeTransaction(transactionId);
+        await this.serialize(() => this.applyOperations(operations));
+    }
+
+    async rollbackTransaction(transactionId) {
+        this.takeTransaction(transactionId);
+    }
+
+    stage(transactionId, operation) {
+        const operations = this.transactions.get(transactionId);
+        if (!operations) {
+            throw new Error(`Transaction ${transactionId} is not open`);
+        }
+        operations.push(operation);
+    }
+
+    takeTransaction(transactionId) {
+        const operations = this.transactions.get(transactionId);
+        if (!operations) {
+            throw new Error(`Transaction ${transactionId} is not open`);
+        }
+        this.transactions.delete(transactionId);
+        return operations;
+    }
+
+    // All or nothing: files already written are restored when a later one fails
+    async applyOperations(operations) {
+        const backups = [];
+        try {
+            for (const { scope, data, remove } of operations) {
+                const filePath = this.resolvePath(scope);
+                backups.push([filePath, await this.readRaw(filePath)]);
+                if (remove) {
+                    await this.removeFile(filePath);
+                } else {
+                    await this.writeFile(filePath, data);
+                }
+            }
+        } catch (error) {
+            for (const [filePath, content] of backups.reverse()) {
+                if (content === null) {
+                    await this.removeFile(filePath).catch(() => {});
+                } else {
+                    await this.atomicWrite(filePath, content).catch(() => {});
+                }
+            }
+            throw error;
+        }
+    }
+
+    async readRaw(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Storage changes run one at a time so a commit never interleaves with another write
+    serialize(work) {
+        const run = this.writeQueue.then(work);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    describe() {
+        return { type: 'filesystem', location: this.dataDir };
+    }
+
+    async close() {
+        await this.writeQueue;
+        this.transactions.clear();
+    }
+}
+
+export default FilesystemStorageAdapter;
@@ -0,0 +1,92 @@
+// IStorageAdapter.js
+/**
+ * Interface for DataPersistence storage backends.
+ *
+ * Documents are JSON values addressed by a scope:
+ *   { projectId, pathName, fileName }
+ * projectId === null addresses global data, pathName === null addresses
+ * project-level data.
+ *
+ * Methods:
+ *   - initialize()
+ *   - read(scope)
+ *   - write(scope, data, transactionId)
+ *   - remove(scope, transactionId)
+ *   - listProjects()
+ *   - projectExists(projectId)
+ *   - listFiles(projectId, pathName)
+ *   - listPaths(projectId)
+ *   - deleteProject(projectId)
+ *   - beginTransaction(transactionId)
+ *   - commitTransaction(transactionId)
+ *   - rollbackTransaction(transactionId)
+ *   - describe()
+ *   - close()
+ *
+ * Transactions are isolated from each other and from plain writes: writes
+ * passed a transaction ID become visible only when it commits, all at once,
+ * and rollback discards them. Any number may be open at a time and they can
+ * end in any order.
+ */
+class IStorageAdapter {
+    async initialize() { throw new Error('Not implemented'); }
+    /**
+     * @param {{projectId: String|null, pathName?: String|null, fileName: String}} scope
+     * @returns {Promise<any|null>} Parsed document, or null when missing
+     */
+    async read(scope) { throw new Error('Not implemented'); }
+    /**
+     * @param {{projectId: String|null, pathName?: String|null, fileName: String}} scope
+     * @param {any} data
+     * @param {String|null} [transactionId]
+     */
+    async write(scope, data, transactionId = null) { throw new Error('Not implemented'); }
+    /**
+     * Remove a single document; missing documents are ignored.
+     * @param {{projectId: String|null, pathName?: String|null, fileName: String}} scope
+     * @param {String|null} [transactionId]
+     */
+    async remove(scope, transactionId = null) { throw new Error('Not implemented'); }
+    /**
+     * @returns {Promise<String[]>} IDs of projects holding at least one document
+     */
+    async listProjects() { throw new Error('Not implemented'); }
+    /**
+     * @param {String} projectId
+     */
+    async projectExists(projectId) { throw new Error('Not implemented'); }
+    /**
+     * @param {String} projectId
+     * @param {String|null} [pathName] - null lists project-level files
+     * @returns {Promise<String[]>}
+     */
+    async listFiles(projectId, pathName = null) { throw new Error('Not implemented'); }
+    /**
+     * @param {String} projectId
+     * @returns {Promise<String[]>}
+     */
+    async listPaths(projectId) { throw new Error('Not implemented'); }
+    /**
+     * @param {String} projectId
+     */
+    async deleteProject(projectId) { throw new Error('Not implemented'); }
+    /**
+     * @param {String} transactionId
+     */
+    async beginTransaction(transactionId) { throw new Error('Not implemented'); }
+    /**
+     * @param {String} transactionId
+     */
+    async commitTransaction(transactionId) { throw new Error('Not implemented'); }
+    /**
+     * @param {String} transactionId
+     */
+    async rollbackTransaction(transactionId) { throw new Error('Not implemented'); }
+    /**
+     * @returns {{type: String, location: String}}
+     */
+    describe() { throw new Error('Not implemented'); }
+    async close() { throw new Error('Not implemented'); }
+}
+
+export default IStorageAdapter;
@@ -0,0 +1,231 @@
+// SQLiteStorageAdapter.js
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { promises as fs } from 'fs';
+import path from 'path';
+import IStorageAdapter from './IStorageAdapter.js';
+
+// Empty strings stand in for "global" and "project level" so the primary key stays NOT NULL
+const GLOBAL_SCOPE = '';
+
+/**
+ * Single-file SQLite storage. Every document is a row keyed by
+ * (project_id, path_name, file_name).
+ *
+ * The adapter owns a single connection, so transactions cannot be left open
+ * on it: each one stages its writes and applies them in a single database
+ * transaction on commit, and rollback discards them. Writes are queued so a
+ * commit never picks up an unrelated write, and transactions may end in any
+ * order.
+ */
+class SQLiteStorageAdapter extends IStorageAdapter {
+    /**
+     * @param {{dataDir?: string, dbPath?: string, fileName?: string}} config
+     */
+    constructor(config = {}) {
+        super();
+        this.dbPath = config.dbPath || path.join(config.dataDir || '.', config.fileName || 'forest-data.sqlite');
+        this.db = null;
+        this.initializing = null;
+        this.transactions = new Map(); // id -> [{ scope, data, remove }]
+        this.writeQueue = Promise.resolve();
+    }
+
+    async initialize() {
+        if (this.db) return { success: true, adapter: 'sqlite', dbPath: this.dbPath };
+        if (!this.initializing) {
+            this.initializing = this.openDatabase().finally(() => {
+                this.initializing = null;
+            });
+        }
+        await this.initializing;
+        return { success: true, adapter: 'sqlite', dbPath: this.dbPath };
+    }
+
+    async openDatabase() {
+        await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+        const db = await open({ filename: this.dbPath, driver: sqlite3.Database });
+        // Several DataPersistence instances may share the file
+        await db.exec('PRAGMA journal_mode = WAL;');
+        await db.exec('PRAGMA busy_timeout = 5000;');
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                project_id TEXT NOT NULL,
+                path_name TEXT NOT NULL,
+                file_name TEXT NOT NULL,
+                content TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                PRIMARY KEY (project_id, path_name, file_name)
+            );
+        `);
+        this.db = db;
+    }
+
+    async ensureConnected() {
+        if (!this.db) await this.initialize();
+        return this.db;
+    }
+
+    keyOf({ projectId = null, pathName = null, fileName }) {
+        return [projectId || GLOBAL_SCOPE, projectId && pathName ? pathName : GLOBAL_SCOPE, fileName];
+    }
+
+    async read(scope) {
+        const db = await this.ensureConnected();
+        const row = await db.get(
+            'SELECT content FROM documents WHERE project_id = ? AND path_name = ? AND file_name = ?',
+            this.keyOf(scope)
+        );
+        return row ? JSON.parse(row.content) : null;
+    }
+
+    async write(scope, data, transactionId = null) {
+        if (transactionId) {
+            this.stage(transactionId, { scope, data, remove: false });
+            return true;
+        }
+        const db = await this.ensureConnected();
+        await this.serialize(() => this.upsert(db, scope, data));
+        return true;
+    }
+
+    async remove(scope, transactionId = null) {
+        if (transactionId) {
+            this.stage(transactionId, { scope, data: null, remove: true });
+            return true;
+        }
+        const db = await this.ensureConnected();
+        await this.serialize(() => this.deleteDocument(db, scope));
+        return true;
+    }
+
+    upsert(db, scope, data) {
+        return db.run(
+            `INSERT INTO documents (project_id, path_name, file_name, content, updated_at)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (project_id, path_name, file_name)
+             DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at`,
+            [...this.keyOf(scope), JSON.stringify(data), new Date().toISOString()]
+        );
+    }
+
+    deleteDocument(db, scope) {
+        return db.run(
+            'DELETE FROM documents WHERE project_id = ? AND path_name = ? AND file_name = ?',
+            this.keyOf(scope)
+        );
+    }
+
+    async listProjects() {
+        const db = await this.ensureConnected();
+        const rows = await db.all(
+            'SELECT DISTINCT project_id FROM documents WHERE project_id != ? ORDER BY project_id',
+            [GLOBAL_SCOPE]
+        );
+        return rows.map(row => row.project_id);
+    }
+
+    async projectExists(projectId) {
+        const db = await this.ensureConnected();
+        const row = await db.get('SELECT 1 AS found FROM documents WHERE project_id = ? LIMIT 1', [projectId]);
+        return Boolean(row);
+    }
+
+    async listFiles(projectId, pathName = null) {
+        const db = await this.ensureConnected();
+        const rows = await db.all(
+            'SELECT file_name FROM documents WHERE project_id = ? AND path_name = ? ORDER BY file_name',
+            [projectId, pathName || GLOBAL_SCOPE]
+        );
+        return rows.map(row => row.file_name);
+    }
+
+    async listPaths(projectId) {
+        const db = await this.ensureConnected();
+        const rows = await db.all(
+            'SELECT DISTINCT path_name FROM documents WHERE project_id = ? AND path_name != ? ORDER BY path_name',
+            [projectId, GLOBAL_SCOPE]
+        );
+        return rows.map(row => row.path_name);
+    }
+
+    async deleteProject(projectId) {
+        const db = await this.ensureConnected();
+        await this.serialize(() => db.run('DELETE FROM documents WHERE project_id = ?', [projectId]));
+        return true;
+    }
+
+    // ===== TRANSACTIONS =====
+
+    async beginTransaction(transactionId) {
+        await this.ensureConnected();
+        if (this.transactions.has(transactionId)) {
+            throw new Error(`Transaction ${transactionId} is already open`);
+        }
+        this.transactions.set(transactionId, []);
+    }
+
+    async commitTransaction(transactionId) {
+        const operations = this.takeTransaction(transactionId);
+        const db = await this.ensureConnected();
+        await this.serialize(async () => {
+            await db.exec('BEGIN IMMEDIATE');
+            try {
+                for (const { scope, data, remove } of operations) {
+                    if (remove) {
+                        await this.deleteDocument(db, scope);
+                    } else {
+                        await this.upsert(db, scope, data);
+                    }
+                }
+                await db.exec('COMMIT');
+            } catch (error) {
+                await db.exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+    }
+
+    async rollbackTransaction(transactionId) {
+        this.takeTransaction(transactionId);
+    }
+
+    stage(transactionId, operation) {
+        const operations = this.transactions.get(transactionId);
+        if (!operations) {
+            throw new Error(`Transaction ${transactionId} is not open`);
+        }
+        operations.push(operation);
+    }
+
+    takeTransaction(transactionId) {
+        const operations = this.transactions.get(transactionId);
+        if (!operations) {
+            throw new Error(`Transaction ${transactionId} is not open`);
+        }
+        this.transactions.delete(transactionId);
+        return operations;
+    }
+
+    // Writes run one at a time so nothing lands inside another commit's BEGIN/COMMIT
+    serialize(work) {
+        const run = this.writeQueue.then(work);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    describe() {
+        return { type: 'sqlite', location: this.dbPath };
+    }
+
+    async close() {
+        await this.writeQueue;
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+        this.transactions.clear();
+    }
+}
+
+export default SQLiteStorageAdapter;
@@ -0,0 +1,148 @@
+// StorageMigrator.js
+import { FILE_NAMES } from '../memory-sync.js';
+
+/**
+ * Copies projects from one storage adapter to another.
+ *
+ * Each project is written inside a target transaction and read back to verify
+ * it before the next one starts. The source is never modified, so it stays
+ * available as a backup until it is removed by hand.
+ */
+class StorageMigrator {
+    /**
+     * @param {import('./IStorageAdapter.js').default} source
+     * @param {import('./IStorageAdapter.js').default} target
+     */
+    constructor(source, target) {
+        this.source = source;
+        this.target = target;
+        this.sequence = 0;
+    }
+
+    /**
+     * @param {{projectIds?: string[], overwrite?: boolean, dryRun?: boolean}} [options]
+     * @returns {Promise<{source: object, target: object, dryRun: boolean, projects: Array<object>, globalConfig: string}>}
+     */
+    async migrate(options = {}) {
+        const { projectIds = null, overwrite = false, dryRun = false } = options;
+        await this.source.initialize();
+        await this.target.initialize();
+
+        const available = await this.listMigratableProjects();
+        const selected = projectIds ? projectIds : available;
+        const report = {
+            source: this.source.describe(),
+            target: this.target.describe(),
+            dryRun,
+            projects: [],
+            globalConfig: 'unchanged',
+        };
+
+        for (const projectId of selected) {
+            if (!available.includes(projectId)) {
+                report.projects.push({ projectId, status: 'missing', error: 'Project not found in source storage' });
+                continue;
+            }
+            report.projects.push(await this.migrateProject(projectId, { overwrite, dryRun }));
+        }
+
+        const migrated = report.projects.filter(project => project.status === 'migrated').map(project => project.projectId);
+        if (!dryRun && migrated.length > 0) {
+            report.globalConfig = await this.mergeGlobalConfig(migrated);
+        }
+        return report;
+    }
+
+    // Projects are directories/rows that hold a config.json
+    async listMigratableProjects() {
+        const projectIds = await this.source.listProjects();
+        const migratable = [];
+        for (const projectId of projectIds) {
+            if (await this.source.read({ projectId, fileName: FILE_NAMES.CONFIG })) {
+                migratable.push(projectId);
+            }
+        }
+        return migratable;
+    }
+
+    async collectDocuments(projectId) {
+        const documents = [];
+        for (const fileName of await this.source.listFiles(projectId)) {
+            documents.push({ projectId, pathName: null, fileName });
+        }
+        for (const pathName of await this.source.listPaths(projectId)) {
+            for (const fileName of await this.source.listFiles(projectId, pathName)) {
+                documents.push({ projectId, pathName, fileName });
+            }
+        }
+        return documents;
+    }
+
+    async migrateProject(projectId, { overwrite, dryRun }) {
+        try {
+            const documents = await this.collectDocuments(projectId);
+            if (await this.target.projectExists(projectId) && !overwrite) {
+                return { projectId, status: 'skipped', documents: documents.length, error: 'Project already exists in target storage' };
+            }
+            if (dryRun) {
+                return { projectId, status: 'planned', documents: documents.length };
+            }
+
+            const transactionId = `migrate_${Date.now()}_${this.sequence++}`;
+            await this.target.beginTransaction(transactionId);
+            try {
+                // With overwrite, documents present in the source replace the target's
+                for (const scope of documents) {
+                    await this.target.write(scope, await this.source.read(scope), transactionId);
+                }
+                await this.target.commitTransaction(transactionId);
+            } catch (error) {
+                await this.target.rollbackTransaction(transactionId);
+                throw error;
+            }
+
+            await this.verify(documents);
+            return { projectId, status: 'migrated', documents: documents.length };
+        } catch (error) {
+            return { projectId, status: 'failed', error: error.message };
+        }
+    }
+
+    async verify(documents) {
+        for (const scope of documents) {
+            const [expected, actual] = await Promise.all([this.source.read(scope), this.target.read(scope)]);
+            if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+                const location = [scope.projectId, scope.pathName, scope.fileName].filter(Boolean).join('/');
+                throw new Error(`Verification failed for ${location}`);
+            }
+        }
+    }
+
+    // Register migrated projects in the target's global config (project list)
+    async mergeGlobalConfig(projectIds) {
+        const scope = { projectId: null, fileName: FILE_NAMES.CONFIG };
+        const sourceConfig = await this.source.read(scope);
+        if (!sourceConfig) return 'unchanged';
+
+        const targetConfig = await this.target.read(scope);
+        if (!targetConfig) {
+            await this.target.write(scope, sourceConfig);
+            return 'copied';
+        }
+
+        const projects = Array.isArray(targetConfig.projects) ? [...targetConfig.projects] : [];
+        for (const entry of Array.isArray(sourceConfig.projects) ? sourceConfig.projects : []) {
+            if (projectIds.includes(entry.id) && !projects.some(project => project.id === entry.id)) {
+                projects.push(entry);
+            }
+        }
+        await this.target.write(scope, {
+            ...targetConfig,
+            projects,
+            activeProject: targetConfig.activeProject || sourceConfig.activeProject || null,
+        });
+        return 'merged';
+    }
+}
+
+export default StorageMigrator;
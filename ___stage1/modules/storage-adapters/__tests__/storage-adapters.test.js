@@ -0,0 +1,267 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { FilesystemStorageAdapter, SQLiteStorageAdapter, StorageMigrator, createStorageAdapter } from '../index.js';
+import { DataPersistence } from '../../data-persistence.js';
+import { ProjectManagement } from '../../project-management.js';
+
+const ADAPTERS = [
+  ['filesystem', dataDir => new FilesystemStorageAdapter({ dataDir })],
+  ['sqlite', dataDir => new SQLiteStorageAdapter({ dataDir })],
+];
+
+describe.each(ADAPTERS)('%s storage adapter', (name, createAdapter) => {
+  let tempDir;
+  let adapter;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `forest-storage-${name}-`));
+    adapter = createAdapter(tempDir);
+    await adapter.initialize();
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('reads back global, project and path documents', async () => {
+    await adapter.write({ projectId: null, fileName: 'config.json' }, { activeProject: 'piano' });
+    await adapter.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Learn piano' });
+    await adapter.write({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' }, { frontierNodes: [] });
+
+    expect(await adapter.read({ projectId: null, fileName: 'config.json' })).toEqual({ activeProject: 'piano' });
+    expect(await adapter.read({ projectId: 'piano', fileName: 'config.json' })).toEqual({ goal: 'Learn piano' });
+    expect(await adapter.read({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' })).toEqual({ frontierNodes: [] });
+    expect(await adapter.read({ projectId: 'piano', fileName: 'missing.json' })).toBeNull();
+  });
+
+  test('lists projects, files and paths', async () => {
+    await adapter.write({ projectId: 'piano', fileName: 'config.json' }, {});
+    await adapter.write({ projectId: 'piano', pathName: 'jazz', fileName: 'hta.json' }, {});
+    await adapter.write({ projectId: 'go', fileName: 'config.json' }, {});
+
+    expect((await adapter.listProjects()).sort()).toEqual(['go', 'piano']);
+    expect(await adapter.listFiles('piano')).toEqual(['config.json']);
+    expect(await adapter.listPaths('piano')).toEqual(['jazz']);
+    expect(await adapter.listFiles('piano', 'jazz')).toEqual(['hta.json']);
+    expect(await adapter.projectExists('piano')).toBe(true);
+    expect(await adapter.projectExists('rust')).toBe(false);
+  });
+
+  test('deletes a project', async () => {
+    await adapter.write({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' }, {});
+
+    await adapter.deleteProject('piano');
+
+    expect(await adapter.projectExists('piano')).toBe(false);
+    expect(await adapter.read({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' })).toBeNull();
+  });
+
+  test('rolls back every write of a transaction', async () => {
+    await adapter.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Learn piano' });
+
+    await adapter.beginTransaction('tx_1');
+    await adapter.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Changed' }, 'tx_1');
+    await adapter.write({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' }, { frontierNodes: [] }, 'tx_1');
+    await adapter.rollbackTransaction('tx_1');
+
+    expect(await adapter.read({ projectId: 'piano', fileName: 'config.json' })).toEqual({ goal: 'Learn piano' });
+    expect(await adapter.read({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' })).toBeNull();
+  });
+
+  test('applies a transaction only when it commits', async () => {
+    await adapter.beginTransaction('tx_1');
+    await adapter.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Learn piano' }, 'tx_1');
+    await adapter.write({ projectId: 'piano', fileName: 'notes.json' }, { text: 'draft' }, 'tx_1');
+    await adapter.remove({ projectId: 'piano', fileName: 'notes.json' }, 'tx_1');
+
+    expect(await adapter.read({ projectId: 'piano', fileName: 'config.json' })).toBeNull();
+
+    await adapter.commitTransaction('tx_1');
+
+    expect(await adapter.read({ projectId: 'piano', fileName: 'config.json' })).toEqual({ goal: 'Learn piano' });
+    expect(await adapter.read({ projectId: 'piano', fileName: 'notes.json' })).toBeNull();
+  });
+
+  test('ends interleaved transactions in any order', async () => {
+    await adapter.beginTransaction('tx_a');
+    await adapter.beginTransaction('tx_b');
+    await adapter.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Learn piano' }, 'tx_a');
+    await adapter.write({ projectId: 'go', fileName: 'config.json' }, { goal: 'Learn Go' }, 'tx_b');
+    await adapter.write({ projectId: 'piano', fileName: 'notes.json' }, { text: 'from a' }, 'tx_a');
+
+    await adapter.commitTransaction('tx_a');
+    await adapter.rollbackTransaction('tx_b');
+
+    expect(await adapter.read({ projectId: 'piano', fileName: 'notes.json' })).toEqual({ text: 'from a' });
+    expect(await adapter.projectExists('go')).toBe(false);
+    await expect(adapter.commitTransaction('tx_a')).rejects.toThrow('not open');
+    await expect(adapter.write({ projectId: 'go', fileName: 'config.json' }, {}, 'tx_b')).rejects.toThrow('not open');
+  });
+
+  test('keeps an unrelated write made while another transaction is open', async () => {
+    await adapter.beginTransaction('tx_1');
+    await adapter.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Learn piano' }, 'tx_1');
+
+    await adapter.write({ projectId: 'go', fileName: 'config.json' }, { goal: 'Learn Go' });
+    await adapter.rollbackTransaction('tx_1');
+
+    expect(await adapter.read({ projectId: 'go', fileName: 'config.json' })).toEqual({ goal: 'Learn Go' });
+    expect(await adapter.projectExists('piano')).toBe(false);
+  });
+
+  test('commits concurrent transactions and plain writes without losing any', async () => {
+    const projects = ['piano', 'go', 'rust', 'chess'];
+
+    await Promise.all(projects.map(async (projectId, index) => {
+      const transactionId = `tx_${projectId}`;
+      await adapter.beginTransaction(transactionId);
+      await adapter.write({ projectId, fileName: 'config.json' }, { goal: projectId }, transactionId);
+      await adapter.write({ projectId: 'shared', fileName: `${projectId}.json` }, { index });
+      await adapter.write({ projectId, pathName: 'general', fileName: 'hta.json' }, { frontierNodes: [] }, transactionId);
+      if (index % 2 === 0) {
+        await adapter.commitTransaction(transactionId);
+      } else {
+        await adapter.rollbackTransaction(transactionId);
+      }
+    }));
+
+    expect((await adapter.listProjects()).sort()).toEqual(['piano', 'rust', 'shared']);
+    expect((await adapter.listFiles('shared')).sort()).toEqual(['chess.json', 'go.json', 'piano.json', 'rust.json']);
+    expect(await adapter.read({ projectId: 'rust', pathName: 'general', fileName: 'hta.json' })).toEqual({ frontierNodes: [] });
+  });
+});
+
+describe('DataPersistence on the SQLite adapter', () => {
+  let tempDir;
+  let dataPersistence;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-storage-dp-'));
+    dataPersistence = new DataPersistence(tempDir, { adapter: 'sqlite' });
+  });
+
+  afterEach(async () => {
+    await dataPersistence.storage.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('stores everything in one database file', async () => {
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn piano', activePath: 'general' });
+    await dataPersistence.savePathData('piano', 'general', 'hta.json', { frontierNodes: [{ id: 't1', title: 'Scales' }] });
+    await dataPersistence.saveGlobalData('config.json', { activeProject: 'piano' });
+
+    await dataPersistence.clearCache();
+    expect((await dataPersistence.loadPathData('piano', 'general', 'hta.json')).frontierNodes[0].title).toBe('Scales');
+    expect(await dataPersistence.getProjectList()).toEqual([expect.objectContaining({ id: 'piano', goal: 'Learn piano' })]);
+    expect(await dataPersistence.listPathNames('piano')).toEqual(['general']);
+    expect((await fs.readdir(tempDir)).filter(file => file.endsWith('.json'))).toEqual([]);
+  });
+
+  test('maps beginTransaction/rollbackTransaction onto a database transaction', async () => {
+    await dataPersistence.saveGlobalData('config.json', { projects: [] });
+    const transaction = dataPersistence.beginTransaction();
+
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn piano' }, transaction);
+    await dataPersistence.saveGlobalData('config.json', { projects: [{ id: 'piano' }] }, transaction);
+    // Isolated: nothing is visible before the commit
+    expect(await dataPersistence.loadProjectData('piano', 'config.json')).toBeNull();
+    await dataPersistence.rollbackTransaction(transaction);
+
+    expect(await dataPersistence.loadProjectData('piano', 'config.json')).toBeNull();
+    expect(await dataPersistence.loadGlobalData('config.json')).toEqual({ projects: [] });
+    expect(await dataPersistence.projectExists('piano')).toBe(false);
+  });
+
+  test('runs overlapping project creations side by side', async () => {
+    const projectManagement = new ProjectManagement(dataPersistence);
+
+    const results = await Promise.all([
+      projectManagement.createProject({ goal: 'Learn piano', project_id: 'piano' }),
+      projectManagement.createProject({ goal: 'Learn Go', project_id: 'go' }),
+    ]);
+
+    expect(results.map(result => result.success)).toEqual([true, true]);
+    await dataPersistence.clearCache();
+    expect(await dataPersistence.loadProjectData('piano', 'config.json')).toMatchObject({ goal: 'Learn piano' });
+    expect(await dataPersistence.loadProjectData('go', 'config.json')).toMatchObject({ goal: 'Learn Go' });
+  });
+
+  test('deletes projects with their snapshots', async () => {
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn piano' });
+    await dataPersistence.saveProjectData('piano', 'config.json', { goal: 'Learn jazz piano' });
+    expect(await dataPersistence.snapshotStore.list('piano')).toHaveLength(1);
+
+    await dataPersistence.deleteProject('piano');
+
+    expect(await dataPersistence.projectExists('piano')).toBe(false);
+    expect(await dataPersistence.snapshotStore.list('piano')).toHaveLength(0);
+  });
+});
+
+describe('StorageMigrator', () => {
+  let tempDir;
+  let filesystem;
+  let sqlite;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-storage-migrate-'));
+    filesystem = createStorageAdapter('filesystem', tempDir);
+    sqlite = createStorageAdapter('sqlite', tempDir);
+    await filesystem.initialize();
+    await filesystem.write({ projectId: null, fileName: 'config.json' }, { activeProject: 'piano', projects: [{ id: 'piano' }, { id: 'go' }] });
+    await filesystem.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Learn piano' });
+    await filesystem.write({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' }, { frontierNodes: [{ id: 't1' }] });
+    await filesystem.write({ projectId: 'go', fileName: 'config.json' }, { goal: 'Learn Go' });
+    // Not a project: exported bundles live in a directory without config.json
+    await filesystem.write({ projectId: 'exports', fileName: 'piano.forest.json' }, { format: 'forest-project-bundle' });
+  });
+
+  afterEach(async () => {
+    await sqlite.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('copies every project and the global config, then verifies them', async () => {
+    const report = await new StorageMigrator(filesystem, sqlite).migrate();
+
+    expect(report.projects.map(project => [project.projectId, project.status]).sort()).toEqual([
+      ['go', 'migrated'],
+      ['piano', 'migrated'],
+    ]);
+    expect(report.globalConfig).toBe('copied');
+    expect(await sqlite.read({ projectId: 'piano', pathName: 'general', fileName: 'hta.json' })).toEqual({ frontierNodes: [{ id: 't1' }] });
+    expect(await sqlite.read({ projectId: null, fileName: 'config.json' })).toMatchObject({ activeProject: 'piano' });
+    // The source is left in place
+    expect(await filesystem.projectExists('piano')).toBe(true);
+  });
+
+  test('skips existing projects unless overwriting, and supports dry runs', async () => {
+    await sqlite.initialize();
+    await sqlite.write({ projectId: 'piano', fileName: 'config.json' }, { goal: 'Older piano' });
+
+    const dryRun = await new StorageMigrator(filesystem, sqlite).migrate({ dryRun: true });
+    expect(dryRun.projects.find(project => project.projectId === 'go')).toMatchObject({ status: 'planned', documents: 1 });
+    expect(await sqlite.projectExists('go')).toBe(false);
+
+    const first = await new StorageMigrator(filesystem, sqlite).migrate({ projectIds: ['piano'] });
+    expect(first.projects[0].status).toBe('skipped');
+
+    const second = await new StorageMigrator(filesystem, sqlite).migrate({ projectIds: ['piano', 'rust'], overwrite: true });
+    expect(second.projects.map(project => project.status)).toEqual(['migrated', 'missing']);
+    expect(await sqlite.read({ projectId: 'piano', fileName: 'config.json' })).toEqual({ goal: 'Learn piano' });
+  });
+
+  test('migrates back to the filesystem', async () => {
+    await new StorageMigrator(filesystem, sqlite).migrate();
+    const restoredDir = path.join(tempDir, 'restored');
+    const restored = createStorageAdapter('filesystem', restoredDir);
+
+    const report = await new StorageMigrator(sqlite, restored).migrate();
+
+    expect(report.projects.every(project => project.status === 'migrated')).toBe(true);
+    const hta = JSON.parse(await fs.readFile(path.join(restoredDir, 'piano', 'paths', 'general', 'hta.json'), 'utf8'));
+    expect(hta.frontierNodes).toEqual([{ id: 't1' }]);
+  });
+});
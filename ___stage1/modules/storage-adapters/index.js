@@ -0,0 +1,27 @@
+// index.js
+import storageConfig from '../../config/storage-config.js';
+import FilesystemStorageAdapter from './FilesystemStorageAdapter.js';
+import SQLiteStorageAdapter from './SQLiteStorageAdapter.js';
+import StorageMigrator from './StorageMigrator.js';
+
+export const STORAGE_ADAPTERS = {
+    filesystem: FilesystemStorageAdapter,
+    sqlite: SQLiteStorageAdapter,
+};
+
+/**
+ * Create a storage adapter for a data directory.
+ * @param {string} [type] - 'filesystem' | 'sqlite', defaults to storage-config
+ * @param {string} dataDir
+ * @returns {import('./IStorageAdapter.js').default}
+ */
+export function createStorageAdapter(type, dataDir) {
+    const adapterType = type || storageConfig.adapter;
+    const Adapter = STORAGE_ADAPTERS[adapterType];
+    if (!Adapter) {
+        throw new Error(`Unknown storage adapter "${adapterType}". Use one of: ${Object.keys(STORAGE_ADAPTERS).join(', ')}`);
+    }
+    return new Adapter({ dataDir, ...(adapterType === 'sqlite' ? storageConfig.sqlite : {}) });
+}
+
+export { FilesystemStorageAdapter, SQLiteStorageAdapter, StorageMigrator };
@@ -4,6 +4,7 @@
  */
 
 import { FILE_NAMES, DEFAULT_PATHS, EVOLUTION_STRATEGIES, THRESHOLDS } from './memory-sync.js';
+import { dominantReason } from '../../utils/task-skips.js';
 
 const STRATEGY_CONSTANTS = {
   MIN_TASKS_FOR_STRATEGY: 3,
@@ -12,8 +13,19 @@ const STRATEGY_CONSTANTS = {
   DIFFICULTY_ADJUSTMENT_FACTOR: 0.7,
   STRATEGY_IMPROVEMENT_FACTOR: 0.5,
   STRATEGY_SCORE_MULTIPLIER: 100,
+  BRANCH_DEPRIORITIZE_FACTOR: 0.5,
+  SHORTEN_FACTOR: 0.5,
+  MIN_TASK_MINUTES: 10,
+  BRIDGING_TASK_MINUTES: 15,
 };
 
+function taskMinutes(task) {
+  const text = String(task.duration || task.estimated_duration || '30 minutes').toLowerCase();
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*h/);
+  const minutes = text.match(/(\d+)\s*m/);
+  return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0)) || 30;
+}
+
 export class StrategyEvolver {
   constructor(dataPersistence, projectManagement = null, llmInterface = null) {
     this.dataPersistence = dataPersistence;
@@ -334,6 +346,115 @@ export class StrategyEvolver {
     htaData.frontierNodes.push(deepeningTask);
   }
 
+  /**
+   * Restructure one branch after repeated rejections. The most common reason
+   * picks the change: too_hard eases the branch and adds a bridging task,
+   * too_long shortens its long tasks, not_relevant lowers its priority.
+   * Skip penalties of the changed tasks are cleared; snoozes stay.
+   * @param {Array<Object>} rejections - Skip log entries for the branch
+   * @param {Object} [options]
+   * @param {Object} [options.htaData] - Tree to restructure instead of the stored one
+   * @param {string} [options.transaction] - Transaction to save the restructured tree in
+   */
+  async restructureBranch(projectId, pathName, branchName, rejections = [], options = {}) {
+    try {
+      const activePath = pathName || DEFAULT_PATHS.GENERAL;
+      const htaData = options.htaData || await this.dataPersistence.loadPathData(projectId, activePath, FILE_NAMES.HTA);
+      if (!htaData?.frontierNodes) {
+        return { success: false, message: 'No HTA data found to restructure' };
+      }
+
+      const evolvedHTA = JSON.parse(JSON.stringify(htaData)); // Deep clone
+      const branch = branchName || 'General';
+      const openTasks = evolvedHTA.frontierNodes.filter(task => (task.branch || 'General') === branch && !task.completed);
+      if (openTasks.length === 0) {
+        return { success: false, message: `Branch "${branch}" has no open tasks to restructure` };
+      }
+
+      const reason = dominantReason(rejections);
+      const adjustments = [];
+      switch (reason) {
+        case 'too_hard':
+          this.easeBranch(evolvedHTA, openTasks, branch);
+          adjustments.push('reduce_branch_difficulty', 'add_bridging_task');
+          break;
+        case 'too_long':
+          this.shortenBranchTasks(openTasks);
+          adjustments.push('shorten_branch_tasks');
+          break;
+        default:
+          this.deprioritizeBranch(openTasks);
+          adjustments.push('deprioritize_branch');
+      }
+
+      for (const task of openTasks) {
+        delete task.skip_counts;
+        delete task.last_skip_reason;
+        delete task.last_skipped_at;
+      }
+
+      evolvedHTA.lastEvolution = {
+        timestamp: new Date().toISOString(),
+        strategy: 'branch_restructure',
+        branch,
+        adjustments,
+        feedback: `${rejections.length} rejections in ${branch}, mostly ${reason}`,
+        version: (htaData.version || 1) + 1
+      };
+      await this.dataPersistence.savePathData(projectId, activePath, FILE_NAMES.HTA, evolvedHTA, options.transaction);
+
+      return {
+        success: true,
+        branch,
+        reason,
+        adjustments,
+        changed_tasks: openTasks.map(task => task.id),
+        message: `Restructured ${branch} (${adjustments.join(', ')}) after ${rejections.length} rejections`
+      };
+    } catch (error) {
+      console.error('StrategyEvolver.restructureBranch failed:', error);
+      return { success: false, error: error.message, message: 'Branch restructure failed due to technical error' };
+    }
+  }
+
+  easeBranch(htaData, openTasks, branch) {
+    openTasks.forEach(task => {
+      task.difficulty = Math.max(1, (task.difficulty || 3) - 1);
+    });
+
+    // A small first step ahead of the branch's open tasks
+    const first = openTasks[0];
+    const bridgingTask = {
+      id: `bridge_${Date.now()}`,
+      title: `Warm-up: ${first.title}`,
+      description: `A smaller first step into ${branch} before "${first.title}"`,
+      branch,
+      difficulty: 1,
+      priority: Math.max(...openTasks.map(task => Number(task.priority) || 200)),
+      duration: `${STRATEGY_CONSTANTS.BRIDGING_TASK_MINUTES} minutes`,
+      prerequisites: [],
+      generated: true
+    };
+    htaData.frontierNodes.splice(htaData.frontierNodes.indexOf(first), 0, bridgingTask);
+  }
+
+  shortenBranchTasks(openTasks) {
+    openTasks.forEach(task => {
+      const minutes = taskMinutes(task);
+      const shortened = Math.max(STRATEGY_CONSTANTS.MIN_TASK_MINUTES, Math.round(minutes * STRATEGY_CONSTANTS.SHORTEN_FACTOR));
+      if (shortened < minutes) {
+        task.original_duration = task.duration || `${minutes} minutes`;
+        task.duration = `${shortened} minutes`;
+      }
+    });
+  }
+
+  deprioritizeBranch(openTasks) {
+    openTasks.forEach(task => {
+      task.priority = Math.round((Number(task.priority) || 200) * STRATEGY_CONSTANTS.BRANCH_DEPRIORITIZE_FACTOR);
+    });
+  }
+
   extractTopicAreas(tasks) {
     const topics = new Set();
     
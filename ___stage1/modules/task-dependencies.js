@@ -0,0 +1,125 @@
+/**
+ * Task Dependencies - explicit and inferred prerequisites
+ * Serves set_task_dependencies_forest and infer_dependencies_forest. Writes go
+ * through HTAEditor, so every change is cycle-checked, snapshotted and
+ * re-vectorized like any other manual edit.
+ */
+
+import { validateHierarchy } from '../utils/hta-hierarchy-utils.js';
+import { inferDependencies, explainBlockedTask, getBlockedTasks, DEPENDENCY_CONSTANTS } from '../utils/task-dependencies.js';
+
+export class TaskDependencyManager {
+  constructor(dataPersistence, projectManagement, htaEditor) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.htaEditor = htaEditor;
+  }
+
+  /**
+   * set_task_dependencies_forest - replace a task's prerequisites with
+   * depends_on, or adjust them with add / remove.
+   */
+  async setTaskDependencies(args = {}) {
+    return this.htaEditor.applyEdit(args, 'Dependencies Updated', 'Set Dependencies Failed', tree => {
+      const task = this.htaEditor.requireTask(tree, args.node_id);
+      if (args.depends_on === undefined && args.add === undefined && args.remove === undefined) {
+        throw new Error('Pass depends_on to replace the prerequisites, or add / remove to adjust them');
+      }
+      for (const field of ['depends_on', 'add', 'remove']) {
+        if (args[field] !== undefined && !Array.isArray(args[field])) {
+          throw new Error(`${field} must be an array of task IDs`);
+        }
+      }
+
+      let prerequisites = args.depends_on !== undefined ? [...args.depends_on] : [...(task.prerequisites || [])];
+      for (const id of args.add || []) {
+        if (!prerequisites.includes(id)) prerequisites.push(id);
+      }
+      prerequisites = prerequisites.filter(id => !(args.remove || []).includes(id));
+      task.prerequisites = prerequisites;
+
+      const explanation = explainBlockedTask(tree, task.id);
+      let message = prerequisites.length > 0
+        ? `\`${task.id}\` (${task.title}) now depends on: ${prerequisites.map(id => `\`${id}\``).join(', ')}`
+        : `\`${task.id}\` (${task.title}) no longer has prerequisites`;
+      if (explanation && !explanation.ready && task.completed !== true) {
+        message += `\nBlocked until ${this.formatTaskList(explanation.unmet)} ${explanation.unmet.length === 1 ? 'is' : 'are'} done.`;
+      }
+      return { message, node: task, data: { blocked: explanation ? !explanation.ready : false } };
+    });
+  }
+
+  /**
+   * infer_dependencies_forest - suggest prerequisites from branch order and
+   * task text. Lists them (and any existing cycles) unless apply is true.
+   */
+  async inferDependencies(args = {}) {
+    const options = {
+      minConfidence: args.min_confidence ?? DEPENDENCY_CONSTANTS.DEFAULT_MIN_CONFIDENCE,
+      maxPerTask: args.max_per_task ?? DEPENDENCY_CONSTANTS.DEFAULT_MAX_PER_TASK,
+    };
+
+    if (args.apply === true) {
+      return this.htaEditor.applyEdit(args, 'Dependencies Inferred', 'Infer Dependencies Failed', tree => {
+        const suggestions = inferDependencies(tree, options);
+        for (const suggestion of suggestions) {
+          const task = this.htaEditor.findTask(tree, suggestion.task_id);
+          task.prerequisites = [...(task.prerequisites || []), suggestion.depends_on];
+        }
+        const message = suggestions.length > 0
+          ? `Added ${suggestions.length} prerequisite(s):\n${this.formatSuggestions(suggestions)}\n\n${getBlockedTasks(tree).length} task(s) are now blocked.`
+          : 'No new prerequisites found.';
+        return { message, data: { suggestions, applied: suggestions.length } };
+      });
+    }
+
+    try {
+      const target = await this.htaEditor.loadTarget(args);
+      if (!target) return this.htaEditor.noActiveProjectResponse();
+      const { projectId, pathName, tree } = target;
+
+      const suggestions = inferDependencies(tree, options);
+      const { cycles } = validateHierarchy(tree);
+      const blocked = getBlockedTasks(tree);
+
+      let text = `**Dependency Suggestions** 🔗\n\n**Path**: ${pathName}\n`;
+      text += `**Blocked tasks now**: ${blocked.length}\n\n`;
+      if (cycles.length > 0) {
+        text += `⚠️ **Prerequisite cycles** (no task in a cycle can ever start):\n`;
+        text += cycles.map(cycle => `- ${cycle.join(' → ')}`).join('\n') + '\n\n';
+      }
+      if (suggestions.length > 0) {
+        text += `${this.formatSuggestions(suggestions)}\n\n`;
+        text += 'Run again with `apply: true` to add them, or use `set_task_dependencies_forest` for individual edits.';
+      } else {
+        text += 'No new prerequisites found.';
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        project_id: projectId,
+        path_name: pathName,
+        suggestions,
+        cycles,
+        blocked_count: blocked.length,
+        applied: 0,
+      };
+    } catch (error) {
+      console.error('TaskDependencyManager.inferDependencies failed:', error);
+      return this.htaEditor.errorResponse('Infer Dependencies Failed', error);
+    }
+  }
+
+  formatSuggestions(suggestions) {
+    return suggestions
+      .map(entry => `- **${entry.task_title}** ← ${entry.depends_on_title} (${entry.reason}, ${Math.round(entry.confidence * 100)}%)`)
+      .join('\n');
+  }
+
+  formatTaskList(tasks) {
+    return tasks.map(task => `"${task.title}"`).join(', ');
+  }
+}
+
+export default TaskDependencyManager;
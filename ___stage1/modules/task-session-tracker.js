@@ -0,0 +1,349 @@
+/**
+ * Task Session Tracker
+ *
+ * Start/pause/resume lifecycle for tasks worked on over several sittings,
+ * with wall-clock time and percentage-complete updates. Sessions persist in
+ * project storage, so an in-progress task survives a server restart, and the
+ * task node carries `status: 'in_progress'` while a session is open.
+ * complete_block_forest closes the session: its tracked minutes become the
+ * block's actual minutes and the effort goes to the completion log and the
+ * learning history.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import { getLeafTasks } from '../utils/hta-hierarchy-utils.js';
+import {
+  isSessionActive,
+  trackedMinutes,
+  createSession,
+  pauseSession,
+  resumeSession,
+  recordProgress,
+  summarizeSession,
+  estimateRemainingMinutes,
+} from '../utils/task-sessions.js';
+
+export class TaskSessionTracker {
+  constructor(dataPersistence, projectManagement = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * start_task_forest - start working on a task. Another running task is
+   * paused; a paused task is resumed.
+   */
+  async startTask(args = {}) {
+    try {
+      const context = await this.resolveContext(args);
+      if (!context) return this.noActiveProjectResponse();
+      const { projectId, pathName } = context;
+      const now = new Date().toISOString();
+
+      if (!args.task_id) {
+        throw new Error('task_id is required');
+      }
+
+      const sessions = await this.loadSessions(projectId);
+      const existing = sessions.find(session => session.task_id === args.task_id);
+      if (existing && isSessionActive(existing)) {
+        return this.sessionResponse('Task Already In Progress', '⏱️', existing, now, projectId);
+      }
+
+      // Only one task runs at a time
+      const paused = sessions.filter(session => isSessionActive(session) && session.task_id !== args.task_id);
+      let updated = sessions.map(session => (paused.includes(session) ? pauseSession(session, now) : session));
+
+      let session;
+      if (existing) {
+        session = resumeSession(existing, now);
+        updated = updated.map(entry => (entry === existing ? session : entry));
+      } else {
+        const task = await this.findOpenTask(projectId, pathName, args.task_id);
+        session = createSession({ task, pathName, now });
+        updated = [...updated, session];
+      }
+
+      await this.saveSessions(projectId, updated);
+      await this.markTaskNode(projectId, session.path_name, session.task_id, { status: 'in_progress', percent_complete: session.percent_complete });
+
+      const note = paused.length > 0 ? `Paused ${paused.map(entry => `"${entry.title}"`).join(', ')} to start this one.\n` : '';
+      return this.sessionResponse(existing ? 'Task Resumed' : 'Task Started', '▶️', session, now, projectId, note);
+    } catch (error) {
+      console.error('TaskSessionTracker.startTask failed:', error);
+      return this.errorResponse('Task Start Failed', error);
+    }
+  }
+
+  /**
+   * pause_task_forest - stop the clock, optionally recording progress.
+   * Without task_id it pauses the running task.
+   */
+  async pauseTask(args = {}) {
+    try {
+      const context = await this.resolveContext(args);
+      if (!context) return this.noActiveProjectResponse();
+      const { projectId } = context;
+      const now = new Date().toISOString();
+
+      const sessions = await this.loadSessions(projectId);
+      const session = args.task_id
+        ? sessions.find(entry => entry.task_id === args.task_id)
+        : sessions.find(isSessionActive);
+      if (!session) {
+        throw new Error(args.task_id ? `Task "${args.task_id}" is not in progress` : 'No task is running');
+      }
+      if (!isSessionActive(session)) {
+        throw new Error(`"${session.title}" is already paused`);
+      }
+
+      let updated = pauseSession(session, now);
+      if (args.percent_complete !== undefined) {
+        updated = recordProgress(updated, { percent: args.percent_complete, note: args.note, now });
+      }
+      await this.replaceSession(projectId, sessions, session, updated);
+
+      return this.sessionResponse('Task Paused', '⏸️', updated, now, projectId);
+    } catch (error) {
+      console.error('TaskSessionTracker.pauseTask failed:', error);
+      return this.errorResponse('Task Pause Failed', error);
+    }
+  }
+
+  /**
+   * resume_task_forest - restart the clock. Without task_id it resumes the
+   * most recently paused task.
+   */
+  async resumeTask(args = {}) {
+    try {
+      const context = await this.resolveContext(args);
+      if (!context) return this.noActiveProjectResponse();
+
+      let taskId = args.task_id;
+      if (!taskId) {
+        const paused = (await this.loadSessions(context.projectId))
+          .filter(session => !isSessionActive(session))
+          .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))[0];
+        if (!paused) {
+          throw new Error('No paused task to resume');
+        }
+        taskId = paused.task_id;
+      } else if (!(await this.loadSessions(context.projectId)).some(session => session.task_id === taskId)) {
+        throw new Error(`Task "${taskId}" was never started; use start_task_forest`);
+      }
+
+      return this.startTask({ ...args, project_id: context.projectId, task_id: taskId });
+    } catch (error) {
+      console.error('TaskSessionTracker.resumeTask failed:', error);
+      return this.errorResponse('Task Resume Failed', error);
+    }
+  }
+
+  /**
+   * update_task_progress_forest - record how far along a task is.
+   * Without task_id it updates the running task.
+   */
+  async updateProgress(args = {}) {
+    try {
+      const context = await this.resolveContext(args);
+      if (!context) return this.noActiveProjectResponse();
+      const { projectId } = context;
+      const now = new Date().toISOString();
+
+      const percent = Number(args.percent_complete);
+      if (args.percent_complete === undefined || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+        throw new Error('percent_complete must be a number from 0 to 100');
+      }
+
+      const sessions = await this.loadSessions(projectId);
+      const session = args.task_id
+        ? sessions.find(entry => entry.task_id === args.task_id)
+        : sessions.find(isSessionActive);
+      if (!session) {
+        throw new Error(args.task_id ? `Task "${args.task_id}" is not in progress; start it first` : 'No task is running');
+      }
+
+      const updated = recordProgress(session, { percent, note: args.note, now });
+      await this.replaceSession(projectId, sessions, session, updated);
+
+      const hint = updated.percent_complete === 100 ? 'Use `complete_block_forest` to log the outcome.\n' : '';
+      return this.sessionResponse('Progress Updated', '📈', updated, now, projectId, hint);
+    } catch (error) {
+      console.error('TaskSessionTracker.updateProgress failed:', error);
+      return this.errorResponse('Progress Update Failed', error);
+    }
+  }
+
+  // ===== COMPLETION AND STATUS =====
+
+  /**
+   * Close a task's session when its block is completed.
+   * @returns {Promise<Object|null>} summarizeSession figures, null when the task was not tracked
+   */
+  async finishSession(projectId, taskId, now = new Date().toISOString()) {
+    const sessions = await this.loadSessions(projectId);
+    const session = sessions.find(entry => entry.task_id === taskId);
+    if (!session) return null;
+
+    await this.saveSessions(projectId, sessions.filter(entry => entry !== session));
+    await this.markTaskNode(projectId, session.path_name, taskId, { status: null, percent_complete: 100 });
+    return summarizeSession(session, now);
+  }
+
+  /**
+   * Add a completion's effort to the path's learning history
+   * @param {Object} effort - { taskId, title, minutes, learned, nextQuestions, difficulty, breakthrough, review, at }
+   */
+  async recordEffort(projectId, pathName, effort) {
+    const history = (await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.LEARNING_HISTORY)) || {};
+    const minutes = Number(effort.minutes) > 0 ? Number(effort.minutes) : 0;
+    const completedTopics = Array.isArray(history.completedTopics) ? [...history.completedTopics] : [];
+
+    // Reviews add time but no new topic
+    if (!effort.review) {
+      completedTopics.push({
+        id: effort.taskId,
+        title: effort.title,
+        completedAt: effort.at,
+        minutes: minutes || null,
+        learned: effort.learned || '',
+        nextQuestions: effort.nextQuestions || '',
+        difficulty: effort.difficulty,
+        breakthrough: !!effort.breakthrough,
+      });
+    }
+
+    await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.LEARNING_HISTORY, {
+      streakDays: 0,
+      milestones: [],
+      ...history,
+      completedTopics,
+      totalHours: Math.round(((Number(history.totalHours) || 0) + minutes / 60) * 100) / 100,
+      lastActivity: effort.at,
+    });
+  }
+
+  /**
+   * Open sessions with their tracked minutes, running task first
+   */
+  async getActiveSessions(projectId, now = new Date().toISOString()) {
+    const sessions = await this.loadSessions(projectId);
+    return sessions
+      .map(session => ({
+        ...session,
+        tracked_minutes: trackedMinutes(session, now),
+        remaining_minutes: estimateRemainingMinutes(session, now),
+      }))
+      .sort((a, b) => isSessionActive(b) - isSessionActive(a) || new Date(b.updated_at) - new Date(a.updated_at));
+  }
+
+  /**
+   * Lines for current_status_forest; empty when nothing is in progress
+   */
+  formatStatusLines(sessions) {
+    if (sessions.length === 0) return '';
+    return sessions.map(session => {
+      const state = isSessionActive(session) ? '▶️ Active' : '⏸️ Paused';
+      const remaining = session.remaining_minutes !== null ? `, ~${session.remaining_minutes} min left` : '';
+      return `**${state}**: ${session.title} (${session.percent_complete}%, ${session.tracked_minutes} min${remaining})\n`;
+    }).join('');
+  }
+
+  // ===== STORAGE =====
+
+  async loadSessions(projectId) {
+    const data = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.TASK_SESSIONS);
+    return Array.isArray(data?.sessions) ? data.sessions : [];
+  }
+
+  async saveSessions(projectId, sessions) {
+    await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.TASK_SESSIONS, {
+      sessions,
+      lastUpdated: new Date().toISOString(),
+    });
+  }
+
+  async replaceSession(projectId, sessions, previous, updated) {
+    await this.saveSessions(projectId, sessions.map(session => (session === previous ? updated : session)));
+    await this.markTaskNode(projectId, updated.path_name, updated.task_id, { percent_complete: updated.percent_complete });
+  }
+
+  async resolveContext(args) {
+    const projectId = args.project_id || (await this.projectManagement?.getActiveProject())?.project_id;
+    if (!projectId) return null;
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    return { projectId, pathName: args.path_name || config?.activePath || DEFAULT_PATHS.GENERAL };
+  }
+
+  async findOpenTask(projectId, pathName, taskId) {
+    const htaData = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+    const task = getLeafTasks(htaData).find(entry => entry.id === taskId);
+    if (!task) {
+      throw new Error(`Task "${taskId}" not found in path "${pathName}"`);
+    }
+    if (task.completed) {
+      throw new Error(`Task "${taskId}" is already completed`);
+    }
+    return task;
+  }
+
+  /**
+   * Mirror the session on the task node. A null field is removed.
+   * The node may be gone after an evolution, which is not an error.
+   */
+  async markTaskNode(projectId, pathName, taskId, fields) {
+    const htaData = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+    const task = getLeafTasks(htaData).find(entry => entry.id === taskId);
+    if (!task) return;
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === null) delete task[key];
+      else task[key] = value;
+    }
+    await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData);
+  }
+
+  // ===== RESPONSES =====
+
+  sessionResponse(title, icon, session, now, projectId, note = '') {
+    const minutes = trackedMinutes(session, now);
+    const remaining = estimateRemainingMinutes(session, now);
+
+    let text = `**${title}** ${icon}\n\n`;
+    text += `**Task**: ${session.title}\n`;
+    text += `**Time tracked**: ${minutes} min over ${session.intervals.length} sitting${session.intervals.length === 1 ? '' : 's'}\n`;
+    text += `**Progress**: ${session.percent_complete}%${remaining !== null ? ` (~${remaining} min left at this pace)` : ''}\n`;
+    if (note) text += `\n${note}`;
+    text += `\nUse \`pause_task_forest\`, \`update_task_progress_forest\` or \`complete_block_forest\` with block_id "${session.task_id}".`;
+
+    return {
+      content: [{ type: 'text', text }],
+      success: true,
+      project_id: projectId,
+      session: { ...session, tracked_minutes: minutes, remaining_minutes: remaining },
+    };
+  }
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default TaskSessionTracker;
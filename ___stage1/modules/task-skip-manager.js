@@ -0,0 +1,217 @@
+/**
+ * Task Skip Manager
+ *
+ * skip_task_forest: "not this task, not now". A skip records its reason on the
+ * task node, where the TaskScorer and the vector selectors turn it into a
+ * decaying penalty; `later` and `blocked` (or an explicit snooze_until) also
+ * hide the task until the snooze ends. Every skip goes to the path's skip
+ * log, and repeated rejections within one branch have the StrategyEvolver
+ * restructure that branch.
+ */
+
+import { FILE_NAMES, DEFAULT_PATHS } from './memory-sync.js';
+import { StrategyEvolver } from './strategy-evolution-engine.js';
+import {
+  SKIP_REASONS,
+  REJECTION_REASONS,
+  SKIP_CONSTANTS,
+  normalizeSkipReason,
+  resolveSnoozeUntil,
+  applySkip,
+  branchRejections,
+} from '../../utils/task-skips.js';
+
+export class TaskSkipManager {
+  constructor(dataPersistence, projectManagement, changeTracker = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.changeTracker = changeTracker;
+    this.strategyEvolver = new StrategyEvolver(dataPersistence, projectManagement);
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * skip_task_forest - skip or snooze a task and say why
+   */
+  async skipTask(args = {}) {
+    try {
+      const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+      if (!projectId) return this.noActiveProjectResponse();
+
+      const reason = normalizeSkipReason(args.reason);
+      if (!reason) {
+        throw new Error(`Unknown reason "${args.reason}". Use one of: ${SKIP_REASONS.join(', ')}`);
+      }
+
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const pathName = args.path_name || config?.activePath || DEFAULT_PATHS.GENERAL;
+      const now = new Date().toISOString();
+      const snoozedUntil = resolveSnoozeUntil(reason, args.snooze_until, now);
+
+      // The task update, skip log and any restructure land together or not at all
+      const transaction = this.dataPersistence.beginTransaction(`skip_task ${projectId}/${pathName}`);
+      let skipped;
+      let entry;
+      let restructure;
+      try {
+        skipped = await this.recordSkip(projectId, pathName, args.task_id, { reason, snoozedUntil, now }, transaction);
+        entry = {
+          task_id: skipped.task.id,
+          title: skipped.task.title,
+          branch: skipped.task.branch || 'General',
+          reason,
+          note: args.note || '',
+          snoozed_until: snoozedUntil,
+          skipped_at: now,
+        };
+        restructure = await this.logSkip(projectId, pathName, entry, skipped.htaData, transaction);
+        await this.dataPersistence.commitTransaction(transaction);
+      } catch (error) {
+        await this.dataPersistence.rollbackTransaction(transaction);
+        throw error;
+      }
+      if (restructure?.success) {
+        await this.attachRestructureDiff(projectId, pathName, skipped.htaData, restructure);
+      }
+
+      return {
+        content: [{ type: 'text', text: this.formatSkip(entry, restructure) }],
+        success: true,
+        project_id: projectId,
+        skip: entry,
+        ...(restructure ? { restructure } : {}),
+      };
+    } catch (error) {
+      console.error('TaskSkipManager.skipTask failed:', error);
+      return this.errorResponse('Task Skip Failed', error);
+    }
+  }
+
+  // ===== SKIPS =====
+
+  /**
+   * Store the skip on the task node
+   * @returns {Promise<{task: Object, htaData: Object}>} The updated task and tree
+   */
+  async recordSkip(projectId, pathName, taskId, skip, transaction = null) {
+    if (!taskId) {
+      throw new Error('task_id is required');
+    }
+
+    const htaData = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+    const nodes = Array.isArray(htaData?.frontierNodes) ? htaData.frontierNodes : [];
+    const index = nodes.findIndex(node => node.id === taskId);
+    if (index === -1) {
+      throw new Error(`Task "${taskId}" not found in path "${pathName}"`);
+    }
+    if (nodes[index].completed) {
+      throw new Error(`Task "${taskId}" is already completed`);
+    }
+
+    const updated = applySkip(nodes[index], skip);
+    const frontierNodes = [...nodes];
+    frontierNodes[index] = updated;
+    const updatedHTA = { ...htaData, frontierNodes };
+    await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, updatedHTA, transaction);
+    return { task: updated, htaData: updatedHTA };
+  }
+
+  /**
+   * Append to the skip log and restructure the branch once its rejections
+   * since the last restructure reach the threshold within the window.
+   * @param {Object} htaData - Tree with the skip applied, not yet committed
+   * @returns {Promise<Object|null>} Restructure result, when one ran
+   */
+  async logSkip(projectId, pathName, entry, htaData, transaction = null) {
+    const log = (await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.SKIP_LOG)) || {};
+    const skips = [...(Array.isArray(log.skips) ? log.skips : []), entry];
+    const restructures = Array.isArray(log.restructures) ? [...log.restructures] : [];
+
+    let restructure = null;
+    if (REJECTION_REASONS.includes(entry.reason)) {
+      const windowStart = new Date(Date.parse(entry.skipped_at) - SKIP_CONSTANTS.BRANCH_REJECTION_WINDOW_DAYS * SKIP_CONSTANTS.MS_PER_DAY);
+      const lastRestructure = restructures.filter(item => item.branch === entry.branch).pop();
+      const since = lastRestructure && Date.parse(lastRestructure.restructured_at) > windowStart.getTime()
+        ? lastRestructure.restructured_at
+        : windowStart.toISOString();
+      const rejections = branchRejections(skips, entry.branch, since);
+
+      if (rejections.length >= SKIP_CONSTANTS.BRANCH_REJECTION_THRESHOLD) {
+        restructure = await this.strategyEvolver.restructureBranch(projectId, pathName, entry.branch, rejections, {
+          htaData,
+          transaction,
+        });
+        if (restructure?.success) {
+          restructures.push({
+            branch: entry.branch,
+            reason: restructure.reason,
+            adjustments: restructure.adjustments,
+            rejections: rejections.length,
+            restructured_at: entry.skipped_at,
+          });
+        }
+      }
+    }
+
+    await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.SKIP_LOG, {
+      ...log,
+      skips,
+      restructures,
+      lastUpdated: new Date().toISOString(),
+    }, transaction);
+    return restructure;
+  }
+
+  // The restructure was written in the skip transaction, so the tracker
+  // diffs the committed tree against the skipped one instead of running it
+  async attachRestructureDiff(projectId, pathName, before, restructure) {
+    if (!this.changeTracker) return;
+    try {
+      this.changeTracker.attachDiff(restructure, before, await this.changeTracker.loadTree(projectId, pathName));
+    } catch (error) {
+      console.error('[TaskSkipManager] Could not diff tree after restructure:', error.message);
+    }
+  }
+
+  // ===== FORMATTING =====
+
+  formatSkip(entry, restructure) {
+    let text = `**Task Skipped** ⏭️\n\n`;
+    text += `**Task**: ${entry.title || entry.task_id}\n`;
+    text += `**Reason**: ${entry.reason.replace(/_/g, ' ')}${entry.note ? ` (${entry.note})` : ''}\n`;
+    text += entry.snoozed_until
+      ? `**Hidden until**: ${entry.snoozed_until}\n`
+      : `It will rank lower for a while; the penalty fades over ${SKIP_CONSTANTS.PENALTY_HALF_LIFE_DAYS}-day half-lives.\n`;
+
+    if (restructure?.success) {
+      text += `\n🔧 **${entry.branch} restructured**: ${restructure.message}\n`;
+    } else if (restructure) {
+      text += `\n⚠️ ${entry.branch} keeps getting rejected, but the restructure failed: ${restructure.error || restructure.message}\n`;
+    }
+    return `${text}\nUse \`get_next_task_forest\` for something else.`;
+  }
+
+  // ===== RESPONSES =====
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first, or pass project_id.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default TaskSkipManager;
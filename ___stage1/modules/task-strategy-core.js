@@ -9,7 +9,15 @@ import { TaskBatchOptimizer } from './task-batch-optimizer.js';
 import { HTAVectorStore } from './hta-vector-store.js';
 import { GoalAchievementContext } from './goal-achievement-context.js';
 import { TaskSelector } from '../../modules/task-logic/task-selector.js';
+import { TaskScorer } from '../../modules/task-logic/task-scorer.js';
+import { buildReadinessIndex } from '../../utils/hta-eligibility.js';
+import { explainBlockedTask, getBlockedTasks } from '../utils/task-dependencies.js';
+import { explainScoredSelection, explainVectorSelection, formatSelectionExplanation } from '../utils/selection-explanation.js';
 import { TaskFormatter } from './task-formatter.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { ReviewScheduler } from './review-scheduler.js';
+import { TaskSessionTracker } from './task-session-tracker.js';
+import { isReviewBlockId } from '../utils/spaced-repetition.js';
 import { FILE_NAMES } from './memory-sync.js';
 import { guard } from '../utils/hta-guard.js';
 
@@ -29,6 +37,9 @@ export class TaskStrategyCore {
     this.goalFocusedSelector = new GoalFocusedTaskSelector(dataPersistence);
     this.taskGenerator = new TaskGeneratorEvolution(dataPersistence, projectManagement, this.llmInterface, eventBus);
     this.batchOptimizer = new TaskBatchOptimizer();
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+    this.reviewScheduler = new ReviewScheduler(dataPersistence);
+    this.taskSessions = new TaskSessionTracker(dataPersistence, projectManagement);
     
     // Initialize vector store and goal context
     this.vectorStore = new HTAVectorStore();
@@ -75,6 +86,7 @@ export class TaskStrategyCore {
     const contextFromMemory = args.context_from_memory || args.contextFromMemory || '';
     const energyLevel = args.energy_level || args.energyLevel || 3;
     const timeAvailable = args.time_available || args.timeAvailable || '30 minutes';
+    const explain = args.explain === true;
     
     try {
       // Initialize systems
@@ -93,9 +105,17 @@ export class TaskStrategyCore {
         return this.handleNoHtaData();
       }
       
+      // Due reviews alternate with new tasks
+      const reviews = await this.reviewScheduler.getDueReviewTasks(projectId, config.activePath);
+      if (reviews.leadWithReview) {
+        return this.formatReviewResponse(reviews.tasks, energyLevel, timeAvailable, config, explain);
+      }
+      
       // Try goal-focused task selection first
       const goalFocusedResult = await this.tryGoalFocusedSelection(projectId, htaData, config, args);
-      if (goalFocusedResult) return goalFocusedResult;
+      if (goalFocusedResult) {
+        return explain ? this.withExplanation(goalFocusedResult, this.explainGoalFocusedSelection()) : goalFocusedResult;
+      }
       
       // Handle breakthrough context evolution
       await this.handleBreakthroughEvolution(contextFromMemory, projectId, config);
@@ -123,16 +143,27 @@ export class TaskStrategyCore {
       }
       
       // Select task using vector or traditional methods
-      const selectedTask = await this.selectOptimalTask(projectId, htaData, energyLevel, timeAvailable, contextFromMemory, config);
+      const trace = explain ? {} : null;
+      const selectedTask = await this.selectOptimalTask(projectId, htaData, energyLevel, timeAvailable, contextFromMemory, config, trace);
       
       if (!selectedTask) {
+        if (reviews.tasks.length > 0) {
+          return this.formatReviewResponse(reviews.tasks, energyLevel, timeAvailable, config, explain);
+        }
         return {
           content: [{ type: 'text', text: '🤔 No suitable tasks found for your current energy level and time availability. Try adjusting your parameters or use `evolve_strategy` to generate new tasks.' }]
         };
       }
       
+      // Explain the blocked task that would otherwise have won
+      const blockedAlternative = this.explainBlockedAlternative(htaData, selectedTask, energyLevel, timeAvailable, contextFromMemory, config);
+      
+      const explanation = explain
+        ? this.buildSelectionExplanation(htaData, selectedTask, trace, energyLevel, timeAvailable, contextFromMemory, config)
+        : null;
+      
       // Format and return response
-      return await this.formatTaskResponse(selectedTask, energyLevel, timeAvailable, config);
+      return await this.formatTaskResponse(selectedTask, energyLevel, timeAvailable, config, blockedAlternative, explanation);
       
     } catch (error) {
       console.error('TaskStrategyCore.getNextTask failed:', error);
@@ -301,32 +332,49 @@ export class TaskStrategyCore {
     }
   }
 
-  async selectOptimalTask(projectId, htaData, energyLevel, timeAvailable, contextFromMemory, config) {
+  /**
+   * @param {Object|null} trace - Optional object filled with the vector trace,
+   *   the scorer ranking (when the fallback ran) and why the fallback ran
+   */
+  async selectOptimalTask(projectId, htaData, energyLevel, timeAvailable, contextFromMemory, config, trace = null) {
     let selectedTask = null;
+    const vectorTrace = {};
+    let fallbackReason = 'Vector store is not initialized';
     
     // Try vector-based selection first
     if (this.vectorStoreInitialized && await this.vectorStore.htaExists(projectId)) {
       try {
-        selectedTask = await this.vectorStore.findNextTask(
+        const vectorTask = await this.vectorStore.findNextTask(
           projectId,
           contextFromMemory,
           energyLevel,
-          timeAvailable
+          timeAvailable,
+          vectorTrace
         );
         
-        if (selectedTask) {
-          selectedTask.selection_method = 'vector';
-          selectedTask.context_similarity = selectedTask.similarity;
-          console.error(`[TaskStrategy] Selected task via vector intelligence: ${selectedTask.title || selectedTask.id}`);
+        if (vectorTask) {
+          selectedTask = {
+            ...vectorTask,
+            selection_method: 'vector',
+            selection_path: vectorTrace.path,
+            selection_reason: vectorTrace.reason,
+            context_similarity: vectorTask.similarity
+          };
+          console.error(`[TaskStrategy] Selected task via vector intelligence (${vectorTrace.path}): ${selectedTask.title || selectedTask.id}`);
+        } else {
+          fallbackReason = vectorTrace.reason || 'Vector search found no ready task';
         }
       } catch (error) {
         console.error('[TaskStrategy] Vector task selection failed:', error.message);
+        fallbackReason = `Vector selection failed: ${error.message}`;
       }
+    } else if (this.vectorStoreInitialized) {
+      fallbackReason = 'No vectors stored for this project';
     }
     
     // Fallback to traditional selection if vector failed
     if (!selectedTask) {
-      selectedTask = TaskSelector.selectOptimalTask(
+      const scorerArgs = [
         htaData,
         energyLevel,
         timeAvailable,
@@ -334,14 +382,27 @@ export class TaskStrategyCore {
         config,
         config,
         null // reasoningAnalysis skipped for Stage1
-      );
+      ];
+      if (trace) {
+        // Same selection, keeping every candidate's score breakdown
+        trace.scorer = TaskSelector.explainSelection(...scorerArgs);
+        selectedTask = trace.scorer?.selected || null;
+      } else {
+        selectedTask = TaskSelector.selectOptimalTask(...scorerArgs);
+      }
       
       if (selectedTask) {
         selectedTask.selection_method = 'traditional';
+        selectedTask.selection_path = 'scorer';
+        selectedTask.selection_reason = fallbackReason;
         console.error(`[TaskStrategy] Selected task via traditional selection: ${selectedTask.title}`);
       }
     }
     
+    if (trace) {
+      trace.vector = vectorTrace.path ? vectorTrace : null;
+    }
+    
     // Track task selection for pipeline evolution analysis
     if (selectedTask) {
       this.trackTaskSelection(projectId, selectedTask);
@@ -350,12 +411,144 @@ export class TaskStrategyCore {
     return selectedTask;
   }
 
-  async formatTaskResponse(selectedTask, energyLevel, timeAvailable, config) {
+  /**
+   * Structured account of how the task was picked: the source path, each
+   * scoring factor's contribution and why the runners-up lost. For vector
+   * picks the TaskScorer's view of the same tree is included for comparison.
+   */
+  buildSelectionExplanation(htaData, selectedTask, trace, energyLevel, timeAvailable, contextFromMemory, config) {
+    try {
+      const path = selectedTask.selection_path || 'scorer';
+      if (path === 'scorer') {
+        return {
+          source: 'traditional',
+          path,
+          reason: selectedTask.selection_reason || null,
+          ...explainScoredSelection(trace?.scorer)
+        };
+      }
+
+      const scorerSelection = TaskSelector.explainSelection(htaData, energyLevel, timeAvailable, contextFromMemory, config, config, null);
+      const scorer = explainScoredSelection(scorerSelection);
+      return {
+        source: 'vector',
+        path,
+        reason: selectedTask.selection_reason || null,
+        ...explainVectorSelection(trace?.vector, selectedTask),
+        scorer: scorer ? { ...scorer, agrees: scorer.selected.id === selectedTask.id } : null
+      };
+    } catch (error) {
+      console.warn('[TaskStrategy] Selection explanation failed:', error.message);
+      return null;
+    }
+  }
+
+  withExplanation(response, explanation) {
+    const [first, ...rest] = response.content || [];
+    const content = first?.type === 'text'
+      ? [{ ...first, text: first.text + formatSelectionExplanation(explanation) }, ...rest]
+      : response.content;
+    return { ...response, content, explanation };
+  }
+
+  /**
+   * Present the most overdue review as the next task
+   */
+  formatReviewResponse(reviewTasks, energyLevel, timeAvailable, config, explain = false) {
+    const [review, ...moreReviews] = reviewTasks;
+    const overdue = review.overdue_days > 0 ? ` (${review.overdue_days} day${review.overdue_days === 1 ? '' : 's'} overdue)` : '';
+    let text = `**🔁 Review Due**: ${review.title}\n\n`;
+    text += `${review.description}\n\n`;
+    text += `⏱️ ${review.duration} · due ${review.due_at.slice(0, 10)}${overdue}\n\n`;
+    text += `When done, use \`complete_block_forest\` with block_id \`${review.id}\` and a difficulty_rating from 1 (recalled easily) to 5 (could not recall).`;
+    if (moreReviews.length > 0) {
+      text += `\n\n${moreReviews.length} more review${moreReviews.length === 1 ? '' : 's'} due; reviews alternate with new tasks.`;
+    }
+
+    const explanation = explain ? {
+      source: 'review',
+      path: 'spaced_review',
+      reason: 'A review is due and the last completion was not a review',
+      selected: { id: review.id, title: review.title },
+      runners_up: []
+    } : null;
+    if (explanation) text += formatSelectionExplanation(explanation);
+
+    return {
+      content: [{ type: 'text', text }],
+      selected_task: review,
+      reviews_due: reviewTasks.length,
+      ...(explanation ? { explanation } : {}),
+      energy_level: energyLevel,
+      time_available: timeAvailable,
+      project_context: config,
+      selection_method: 'review',
+      selection_path: 'spaced_review'
+    };
+  }
+
+  explainGoalFocusedSelection() {
+    return {
+      source: 'goal_focused',
+      path: 'goal_focused_batch',
+      reason: 'A goal achievement context was available, so the goal-focused batch selector chose the tasks',
+      selected: null,
+      runners_up: []
+    };
+  }
+
+  /**
+   * Find the highest-scoring blocked task that would outrank the selection
+   * if its prerequisites were done, and explain what unlocks it.
+   * @returns {Object|null} explainBlockedTask result plus unlocked_by_selection
+   */
+  explainBlockedAlternative(htaData, selectedTask, energyLevel, timeAvailable, contextFromMemory, config) {
+    try {
+      const readiness = buildReadinessIndex(htaData?.frontierNodes || []);
+      const blocked = getBlockedTasks(htaData, readiness);
+      if (blocked.length === 0) return null;
+
+      const timeInMinutes = TaskScorer.parseTimeToMinutes(timeAvailable);
+      const score = task => TaskScorer.calculateTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, config, config);
+      const selectedScore = score(readiness.byKey.get(selectedTask.id) || selectedTask);
+
+      const tempting = blocked
+        .map(task => ({ task, score: score(task) }))
+        .filter(entry => entry.score > selectedScore)
+        .sort((a, b) => b.score - a.score)[0];
+      if (!tempting) return null;
+
+      const explanation = explainBlockedTask(htaData, tempting.task.id, readiness);
+      return {
+        ...explanation,
+        unlocked_by_selection: explanation.unlocked_by.some(task => task.id === selectedTask.id),
+      };
+    } catch (error) {
+      console.warn('[TaskStrategy] Blocked task explanation failed:', error.message);
+      return null;
+    }
+  }
+
+  formatBlockedAlternative(blocked) {
+    const quote = tasks => tasks.map(task => `"${task.title}"`).join(', ');
+    let text = `\n\n🔒 **Not yet**: "${blocked.title}" would rank higher, but it waits on ${quote(blocked.unmet)}.`;
+    if (blocked.unlocked_by_selection) {
+      text += blocked.remaining === 1 ? '\n🔑 Finishing this task unlocks it.' : '\n🔑 Finishing this task brings it closer.';
+    } else if (blocked.unlocked_by.length > 0) {
+      text += `\n🔑 Unlock it by finishing ${quote(blocked.unlocked_by)}`;
+      text += blocked.remaining > blocked.unlocked_by.length ? ` (${blocked.remaining} tasks to go in total).` : '.';
+    }
+    return text;
+  }
+
+  async formatTaskResponse(selectedTask, energyLevel, timeAvailable, config, blockedAlternative = null, explanation = null) {
     const extSummary = await this.webContext.refreshIfNeeded(config.goal, selectedTask.title || '');
     const taskText = TaskFormatter.formatTaskResponse(selectedTask, energyLevel, timeAvailable);
     
     let selectionInfo = '';
-    if (selectedTask.selection_method === 'vector') {
+    if (selectedTask.selection_path === 'priority_fallback') {
+      selectionInfo = `\n\n📋 Selected by HTA order (${selectedTask.selection_reason || 'vector ranking unavailable'})`;
+    } else if (selectedTask.selection_method === 'vector') {
       const similarityScore = selectedTask.context_similarity ? 
         `(similarity: ${selectedTask.context_similarity.toFixed(3)})` : '';
       selectionInfo = `\n\n🧠 Selected using AI vectorized intelligence ${similarityScore}`;
@@ -363,16 +556,21 @@ export class TaskStrategyCore {
       selectionInfo = '\n\n📋 Selected using traditional task prioritization';
     }
     
-    const finalText = taskText + selectionInfo + (extSummary ? `\n\n🌐 External context used:\n${extSummary}` : '');
+    const blockedInfo = blockedAlternative ? this.formatBlockedAlternative(blockedAlternative) : '';
+    const explanationInfo = explanation ? formatSelectionExplanation(explanation) : '';
+    const finalText = taskText + selectionInfo + explanationInfo + blockedInfo + (extSummary ? `\n\n🌐 External context used:\n${extSummary}` : '');
     
     return {
       content: [{ type: 'text', text: finalText }],
       selected_task: selectedTask,
+      blocked_alternative: blockedAlternative,
+      ...(explanation ? { explanation } : {}),
       energy_level: energyLevel,
       time_available: timeAvailable,
       context_used: selectedTask.context_from_memory ? 'yes' : 'no',
       project_context: config,
-      selection_method: selectedTask.selection_method || 'unknown'
+      selection_method: selectedTask.selection_method || 'unknown',
+      selection_path: selectedTask.selection_path || null
     };
   }
 
@@ -670,6 +868,7 @@ export class TaskStrategyCore {
         next_questions = '',
         difficulty_rating = 3,
         breakthrough = false,
+        actual_minutes = null,
         projectId = null,
         pathName = null
       } = data;
@@ -693,11 +892,23 @@ export class TaskStrategyCore {
         learned,
         nextQuestions: next_questions,
         difficulty: difficulty_rating,
-        breakthrough: !!breakthrough
+        breakthrough: !!breakthrough,
+        actualMinutes: actual_minutes
       };
       
       console.error(`🔄 TaskStrategyCore processing block completion: ${block.title || 'Unknown Block'}`);
-      
+
+      if (isReviewBlockId(block_id)) {
+        return await this.handleReviewCompletion(activeProjectId, activePathName, { ...block, review: true }, data);
+      }
+
+      // Record the completion so planners and analytics can see what was actually done
+      await this.finishTaskSession(activeProjectId, block);
+      const timing = await this.recordCompletion(activeProjectId, activePathName, block);
+      const timingText = [this.formatTiming(timing), await this.scheduleReview(activeProjectId, activePathName, block, data)]
+        .filter(Boolean)
+        .join('\n');
+
       // Check for automatic strategy evolution conditions
       const shouldAutoEvolve = await this.checkAutoEvolutionConditions(block, activeProjectId, config);
       
@@ -705,7 +916,7 @@ export class TaskStrategyCore {
       if (!block.learned && !block.nextQuestions && !block.breakthrough && !shouldAutoEvolve) {
         return {
           success: true,
-          content: [{ type: 'text', text: `**Block Completed** ✅\n\nOutcome captured. No new learning items detected, so HTA evolution was skipped.` }]
+          content: [{ type: 'text', text: `**Block Completed** ✅\n\nOutcome captured. No new learning items detected, so HTA evolution was skipped.${timingText ? `\n${timingText}` : ''}` }]
         };
       }
       
@@ -746,6 +957,7 @@ export class TaskStrategyCore {
                 `${learned ? `📚 Learned: ${learned}\n` : ''}` +
                 `${next_questions ? `❓ Next Questions: ${next_questions}\n` : ''}` +
                 `${breakthrough ? '🚀 Breakthrough detected; strategy updated!\n' : ''}` +
+                `${timingText ? `${timingText}\n` : ''}` +
                 `Use \`get_next_task_forest\` to continue.`
         }]
       };
@@ -759,6 +971,130 @@ export class TaskStrategyCore {
     }
   }
 
+  /**
+   * Close the block's tracked session, if it had one. The tracked time stands
+   * in for actual minutes when none were given.
+   */
+  async finishTaskSession(projectId, block) {
+    try {
+      const session = await this.taskSessions.finishSession(projectId, block.id);
+      if (!session) return;
+      block.session = session;
+      if (!(Number(block.actualMinutes) > 0) && session.tracked_minutes > 0) {
+        block.actualMinutes = Math.max(1, Math.round(session.tracked_minutes));
+      }
+    } catch (error) {
+      console.error('[TaskStrategy] Failed to close task session:', error.message);
+    }
+  }
+
+  /**
+   * Append a completed block to the path's completion log and its effort to
+   * the learning history. Actual minutes, when given or tracked, also feed
+   * the duration calibration.
+   * @returns {Promise<Object|null>} Estimated vs. actual minutes, when actual minutes are known
+   */
+  async recordCompletion(projectId, pathName, block) {
+    let timing = null;
+    try {
+      const actualMinutes = Number(block.actualMinutes) > 0 ? Number(block.actualMinutes) : null;
+      if (actualMinutes) {
+        const sample = await this.durationCalibration.recordActual({ projectId, pathName, taskId: block.id, actualMinutes });
+        timing = { actual_minutes: actualMinutes, estimated_minutes: sample?.estimated_minutes ?? null };
+        if (block.session) timing.sittings = block.session.sittings;
+      }
+
+      const completionLog = (await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG)) || {};
+      const completions = Array.isArray(completionLog.completions) ? completionLog.completions : [];
+
+      completions.push({
+        task_id: block.id,
+        outcome: block.outcome,
+        energy_level: block.energyLevel,
+        difficulty_rating: block.difficulty,
+        learned: block.learned,
+        next_questions: block.nextQuestions,
+        breakthrough: block.breakthrough,
+        ...(timing || {}),
+        ...(block.session ? {
+          tracked_minutes: block.session.tracked_minutes,
+          sittings: block.session.sittings,
+          started_at: block.session.started_at,
+          progress: block.session.progress
+        } : {}),
+        ...(block.review ? { review: true } : {}),
+        completed_at: new Date().toISOString()
+      });
+
+      await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.COMPLETION_LOG, {
+        ...completionLog,
+        completions,
+        lastUpdated: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('[TaskStrategy] Failed to record completion:', error.message);
+    }
+
+    try {
+      await this.taskSessions.recordEffort(projectId, pathName, {
+        taskId: block.id,
+        title: block.session?.title || block.title,
+        minutes: block.actualMinutes,
+        learned: block.learned,
+        nextQuestions: block.nextQuestions,
+        difficulty: block.difficulty,
+        breakthrough: block.breakthrough,
+        review: block.review,
+        at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('[TaskStrategy] Failed to update learning history:', error.message);
+    }
+    return timing;
+  }
+
+  /**
+   * Completions with learning notes get a spaced-repetition review
+   * @returns {Promise<string>} Line for the completion message, empty when nothing was scheduled
+   */
+  async scheduleReview(projectId, pathName, block, data) {
+    try {
+      const item = await this.reviewScheduler.scheduleFromCompletion({
+        projectId,
+        pathName,
+        taskId: block.id,
+        completion: data
+      });
+      return item ? `🔁 First review scheduled for ${item.due_at.slice(0, 10)}` : '';
+    } catch (error) {
+      console.error('[TaskStrategy] Failed to schedule review:', error.message);
+      return '';
+    }
+  }
+
+  async handleReviewCompletion(projectId, pathName, block, data) {
+    const result = await this.reviewScheduler.completeReview({ projectId, blockId: block.id, completion: data });
+    const timing = await this.recordCompletion(projectId, pathName, block);
+    const timingText = this.formatTiming(timing);
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: this.reviewScheduler.formatReviewCompletion(result) + (timingText ? `\n${timingText}` : '')
+      }],
+      review: result.item,
+      retention: result.retention
+    };
+  }
+
+  formatTiming(timing) {
+    if (!timing) return '';
+    const tracked = timing.sittings ? ` tracked over ${timing.sittings} sitting${timing.sittings === 1 ? '' : 's'}` : '';
+    if (!timing.estimated_minutes) return `⏱️ Took ${timing.actual_minutes} min${tracked}`;
+    return `⏱️ Took ${timing.actual_minutes} min${tracked} (estimated ${timing.estimated_minutes} min); future estimates will adjust.`;
+  }
+
   // ===== STRATEGY EVOLUTION DELEGATION =====
 
   async evolveHTABasedOnLearning(feedback, projectId, options = {}) {
@@ -1,4 +1,6 @@
 // IVectorProvider.js
+import { summarizeEmbeddingSignatures } from '../../utils/embedding-signature.js';
+
 /**
  * Interface for vector database providers.
  *
@@ -8,6 +10,9 @@
  *   - queryVectors(queryVector, options)
  *   - deleteVector(id)
  *   - deleteNamespace(namespace)
+ *   - listVectors(prefix)
+ *   - checkEmbeddingCompatibility(expected)
+ *   - rebuildIndex()
  *   - getStats()
  *   - flush()
  *   - close()
@@ -30,8 +35,11 @@ class IVectorProvider {
      */
     async upsertVector(id, vector, metadata) { throw new Error('Not implemented'); }
     /**
+     * `options.filter` uses the metadata filter language of
+     * utils/vector-filter.js; providers must return exactly the vectors it
+     * selects (see __tests__/vector-provider-conformance.test.js).
      * @param {Array<Number>} queryVector
-     * @param {Object} options
+     * @param {{limit?: Number, threshold?: Number, filter?: Object}} options
      */
     async queryVectors(queryVector, options) { throw new Error('Not implemented'); }
     /**
@@ -48,6 +56,24 @@ class IVectorProvider {
      * @returns {Promise<Array<{id: String|Number, vector: Number[], metadata: any}>>}
      */
     async listVectors(prefix) { throw new Error('Not implemented'); }
+    /**
+     * Compare the embedding signature recorded on stored vectors (see
+     * utils/embedding-signature.js) with the embedding now configured.
+     * Called when the store initializes; providers that can read metadata
+     * without loading vectors may override it.
+     * @param {{provider?: String, model?: String, dimension?: Number}} expected
+     * @param {{prefix?: String}} [options]
+     * @returns {Promise<Object>} Report from summarizeEmbeddingSignatures
+     */
+    async checkEmbeddingCompatibility(expected, options = {}) {
+        const entries = await this.listVectors(options.prefix || '');
+        return summarizeEmbeddingSignatures(entries, expected);
+    }
+    /**
+     * Rebuild the provider's nearest-neighbour index, if it keeps one.
+     * @returns {Promise<Object|null>} Index stats, or null without an index
+     */
+    async rebuildIndex() { return null; }
     async getStats() { throw new Error('Not implemented'); }
     async flush() { throw new Error('Not implemented'); }
     async close() { throw new Error('Not implemented'); }
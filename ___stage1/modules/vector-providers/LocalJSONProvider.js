@@ -1,14 +1,19 @@
 // LocalJSONProvider.js
 import { FileSystem } from '../../../modules/utils/file-system.js';
 import IVectorProvider from './IVectorProvider.js';
+import { HNSWIndex, ANN_DEFAULTS } from '../../utils/hnsw-index.js';
+import { parseVectorFilter, matchesVectorFilter } from '../../utils/vector-filter.js';
 
 /**
  * Local JSON file-based vector provider (fallback for Qdrant)
  * Implements IVectorProvider interface
+ *
+ * Once the store holds `ann.minVectors` vectors, queries go through an
+ * in-memory HNSW index built on first use (not persisted).
  */
 class LocalJSONProvider extends IVectorProvider {
     /**
-     * @param {{baseDir?: string}} [config]
+     * @param {{baseDir?: string, ann?: Object}} [config]
      */
     constructor(config) {
         super();
@@ -24,17 +29,23 @@ class LocalJSONProvider extends IVectorProvider {
         this.maxCacheSize = (config && config.maxCacheSize) || parseInt(process.env.VECTOR_CACHE_MAX) || 5000;
         this.cacheAccessOrder = new Map(); // Track access order for LRU
         this.accessCounter = 0;
+
+        // Approximate nearest-neighbour index
+        this.ann = { ...ANN_DEFAULTS, ...((config && config.ann) || {}) };
+        this.annIndex = null;
     }
     /**
-     * @param {{baseDir?: string}} [config]
+     * @param {{baseDir?: string, ann?: Object}} [config]
      */
     async initialize(config = {}) {
         if (config && typeof config === 'object' && typeof config.baseDir === 'string') {
             this.baseDir = config.baseDir;
         }
+        if (config && config.ann) this.ann = { ...this.ann, ...config.ann };
         await FileSystem.ensureDir(this.baseDir);
         this.initialized = true;
         await this._loadAll();
+        this.annIndex = null;
 
         // Successful initialization status
         return {
@@ -53,6 +64,7 @@ class LocalJSONProvider extends IVectorProvider {
         this._evictIfNeeded();
         
         this.cache.set(id, { vector, metadata });
+        this._annUpdate(id, vector);
         
         // Update access tracking
         this._updateAccess(id);
@@ -61,30 +73,25 @@ class LocalJSONProvider extends IVectorProvider {
     }
     /**
      * @param {number[]} queryVector
-     * @param {{threshold?: number, limit?: number}} [options]
+     * @param {{threshold?: number, limit?: number, filter?: Object}} [options] - filter: see utils/vector-filter.js
      * @returns {Promise<Array<{id: string, similarity: number, metadata: Object, vector: number[]}>}
      */
     async queryVectors(queryVector, options = {}) {
         if (!Array.isArray(queryVector)) throw new Error('LocalJSONProvider: queryVector must be an array');
-        const { threshold = 0.1, limit = 10, filter = null } = options || {};
-        const results = [];
-        for (const [id, { vector, metadata }] of this.cache.entries()) {
-            // Update access tracking for queried vectors
-            this._updateAccess(id);
-            
-            if (filter && !this._matchesFilter(metadata, filter)) continue;
-            const similarity = this._cosineSimilarity(queryVector, vector);
-            if (similarity >= threshold) {
-                results.push({ id, similarity, metadata, vector });
-            }
+        const { threshold = 0.1, limit = 10 } = options || {};
+        const filter = parseVectorFilter(options?.filter);
+        const index = this._annIndexFor(queryVector);
+        if (index) {
+            return this._queryIndexed(index, queryVector, { threshold, limit, filter });
         }
-        return results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+        return this._scoreEntries(this.cache.entries(), queryVector, { threshold, limit, filter });
     }
     /**
      * @param {string} id
      */
     async deleteVector(id) {
         this.cache.delete(id);
+        if (this.annIndex) this.annIndex.remove(id);
         await this._persistAll();
     }
     /**
@@ -94,10 +101,26 @@ class LocalJSONProvider extends IVectorProvider {
         for (const id of Array.from(this.cache.keys())) {
             if (id.startsWith(namespace)) {
                 this.cache.delete(id);
+                if (this.annIndex) this.annIndex.remove(id);
             }
         }
         await this._persistAll();
     }
+    /**
+     * Rebuild the ANN index from the stored vectors (optimize_vector_store_forest).
+     * @param {number} [dimension] - Defaults to the dimension of the current index or the first vector
+     * @returns {Promise<Object|null>} Index stats, or null when the store is empty
+     */
+    async rebuildIndex(dimension) {
+        const started = Date.now();
+        const size = dimension || this.annIndex?.dimension || this.cache.values().next().value?.vector?.length;
+        if (!size) {
+            this.annIndex = null;
+            return null;
+        }
+        this.annIndex = this._buildAnnIndex(size);
+        return { ...this.annIndex.stats(), minVectors: this.ann.minVectors, buildMs: Date.now() - started };
+    }
     /**
      * List all vectors whose ID starts with the given prefix.
      * @param {String} prefix
@@ -125,6 +148,7 @@ class LocalJSONProvider extends IVectorProvider {
     }
     async close() {
         this.cache.clear();
+        this.annIndex = null;
     }
     async _persistAll() {
         const filePath = FileSystem.join(this.baseDir, 'vectors.json');
@@ -143,18 +167,6 @@ class LocalJSONProvider extends IVectorProvider {
      * @param {number[]} vec2
      * @returns {number}
      */
-    _matchesFilter(metadata, filterObj) {
-        if (!filterObj || typeof filterObj !== 'object') return true;
-        if (Array.isArray(filterObj.must)) {
-            for (const clause of filterObj.must) {
-                if (clause.key && clause.match && 'value' in clause.match) {
-                    if (metadata?.[clause.key] !== clause.match.value) return false;
-                }
-            }
-        }
-        return true;
-    }
-
     _cosineSimilarity(vec1, vec2) {
         if (!Array.isArray(vec1) || !Array.isArray(vec2) || vec1.length !== vec2.length) return 0;
         let dot = 0, mag1 = 0, mag2 = 0;
@@ -167,6 +179,78 @@ class LocalJSONProvider extends IVectorProvider {
         return mag > 0 ? dot / mag : 0;
     }
 
+    // ANN index
+
+    /**
+     * The index for a query, built on first use once the store is large
+     * enough. Null means brute force.
+     */
+    _annIndexFor(queryVector) {
+        if (!this.ann.enabled || this.cache.size < this.ann.minVectors) return null;
+        if (!this.annIndex || this.annIndex.dimension !== queryVector.length) {
+            this.annIndex = this._buildAnnIndex(queryVector.length);
+        }
+        return this.annIndex.size >= this.ann.minVectors ? this.annIndex : null;
+    }
+
+    _buildAnnIndex(dimension) {
+        const index = new HNSWIndex({
+            dimension,
+            M: this.ann.M,
+            efConstruction: this.ann.efConstruction,
+            efSearch: this.ann.efSearch
+        });
+        for (const [id, { vector }] of this.cache.entries()) {
+            if (Array.isArray(vector) && vector.length === dimension) index.add(id, vector);
+        }
+        return index;
+    }
+
+    _annUpdate(id, vector) {
+        if (!this.annIndex) return;
+        if (Array.isArray(vector) && vector.length === this.annIndex.dimension) {
+            this.annIndex.add(id, vector);
+        } else {
+            this.annIndex.remove(id);
+        }
+        if (this.annIndex.needsCompaction()) {
+            this.annIndex = this.annIndex.compact();
+        }
+    }
+
+    /**
+     * Approximate query. Filters are checked first: when few vectors match
+     * they are scored exactly, otherwise the graph search skips the rest.
+     */
+    _queryIndexed(index, queryVector, { threshold, limit, filter }) {
+        let accept = null;
+        if (filter) {
+            const matching = [...this.cache.entries()].filter(([, entry]) => matchesVectorFilter(entry.metadata, filter));
+            if (matching.length <= this.ann.exactLimit) {
+                return this._scoreEntries(matching, queryVector, { threshold, limit });
+            }
+            const allowed = new Set(matching.map(([id]) => id));
+            accept = id => allowed.has(id);
+        }
+        const hits = index.search(queryVector, limit, { ef: Math.max(this.ann.efSearch, limit), filter: accept });
+        return this._scoreEntries(hits.map(hit => [hit.id, this.cache.get(hit.id)]), queryVector, { threshold, limit });
+    }
+
+    _scoreEntries(entries, queryVector, { threshold, limit, filter = null }) {
+        const results = [];
+        for (const [id, { vector, metadata }] of entries) {
+            // Update access tracking for queried vectors
+            this._updateAccess(id);
+            
+            if (filter && !matchesVectorFilter(metadata, filter)) continue;
+            const similarity = this._cosineSimilarity(queryVector, vector);
+            if (similarity >= threshold) {
+                results.push({ id, similarity, metadata, vector });
+            }
+        }
+        return results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    }
+
     // LRU Cache Management Methods
     _evictIfNeeded() {
         if (this.cache.size >= this.maxCacheSize) {
@@ -184,6 +268,7 @@ class LocalJSONProvider extends IVectorProvider {
             if (oldestId) {
                 this.cache.delete(oldestId);
                 this.cacheAccessOrder.delete(oldestId);
+                if (this.annIndex) this.annIndex.remove(oldestId);
                 console.warn(`[LocalJSONProvider] Evicted vector ${oldestId} from cache (LRU)`);
             }
         }
@@ -1,3 +1,6 @@
+// Constructor from @qdrant/js-client-rest, loaded on first use
+let QdrantClient = null;
+
 /**
  * Dynamically load Qdrant client only if the package is installed.
  * Throws with clear message otherwise so caller can fall back.
@@ -15,6 +18,7 @@ async function loadQdrantClient() {
   }
 }
 import IVectorProvider from './IVectorProvider.js';
+import { parseVectorFilter } from '../../utils/vector-filter.js';
 
 /**
  * Qdrant vector database provider (default)
@@ -86,14 +90,15 @@ class QdrantProvider extends IVectorProvider {
     }
     /**
      * @param {number[]} queryVector
-     * @param {{limit?: number, threshold?: number}} [options]
-     * @returns {Promise<void>}
+     * @param {{limit?: number, threshold?: number, filter?: Object}} [options] - filter: see utils/vector-filter.js
+     * @returns {Promise<Array<{id: string|number, similarity: number, metadata: Object, vector: number[]}>>}
      */
     async queryVectors(queryVector, options = {}) {
         if (!this.client) throw new Error('QdrantProvider: client not initialized');
         if (!Array.isArray(queryVector)) throw new Error('QdrantProvider: queryVector must be an array');
 
-        const { limit = 10, threshold = 0.1, filter = {} } = options || {};
+        const { limit = 10, threshold = 0.1 } = options || {};
+        const filter = parseVectorFilter(options?.filter);
 
         try {
             // Qdrant REST client returns an array of points with distance/score
@@ -101,7 +106,9 @@ class QdrantProvider extends IVectorProvider {
             const results = await this.client.search(this.collection, {
                 vector: queryVector,
                 limit,
-                filter,
+                with_payload: true,
+                with_vector: true,
+                ...(filter ? { filter: this._toQdrantFilter(filter) } : {}),
             });
 
             // The client may wrap results in { result: [...] }
@@ -124,6 +131,55 @@ class QdrantProvider extends IVectorProvider {
             throw new Error('QdrantProvider: queryVectors failed: ' + (err && err.message ? err.message : String(err)));
         }
     }
+    /**
+     * Translate a parsed filter (utils/vector-filter.js) to a Qdrant payload filter.
+     * @param {Object} node
+     * @returns {Object} Qdrant Filter ({must, should, must_not})
+     */
+    _toQdrantFilter(node) {
+        const condition = this._toQdrantCondition(node);
+        return ('must' in condition || 'should' in condition || 'must_not' in condition) ? condition : { must: [condition] };
+    }
+
+    _toQdrantCondition(node) {
+        switch (node.op) {
+            case 'and':
+                return { must: node.clauses.map(clause => this._toQdrantCondition(clause)) };
+            case 'or':
+                return { should: node.clauses.map(clause => this._toQdrantCondition(clause)) };
+            case 'not':
+                return { must_not: [this._toQdrantCondition(node.clause)] };
+            case 'eq':
+                return this._toQdrantMatch(node.key, node.value);
+            case 'in': {
+                // match.any takes keywords or integers, not a mix
+                const keywords = node.values.every(value => typeof value === 'string');
+                const integers = node.values.every(value => Number.isInteger(value));
+                return keywords || integers
+                    ? { key: node.key, match: { any: node.values } }
+                    : { should: node.values.map(value => this._toQdrantMatch(node.key, value)) };
+            }
+            case 'range': {
+                const range = {};
+                for (const bound of ['gt', 'gte', 'lt', 'lte']) {
+                    if (node[bound] !== undefined) range[bound] = node[bound];
+                }
+                return { key: node.key, range };
+            }
+            case 'exists':
+                // is_empty: missing, null or []
+                return { must_not: [{ is_empty: { key: node.key } }] };
+            default:
+                throw new Error(`QdrantProvider: unknown filter node "${node.op}"`);
+        }
+    }
+
+    _toQdrantMatch(key, value) {
+        if (value === null) return { is_null: { key } };
+        // match.value covers keywords, integers and booleans; floats need a range
+        if (typeof value === 'number' && !Number.isInteger(value)) return { key, range: { gte: value, lte: value } };
+        return { key, match: { value } };
+    }
     /**
      * @param {string} id
      */
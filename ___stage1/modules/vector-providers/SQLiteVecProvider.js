@@ -3,14 +3,24 @@ import sqlite3 from 'sqlite3';
 import { promises as fs } from 'fs';
 import path from 'path';
 import IVectorProvider from './IVectorProvider.js';
+import { HNSWIndex, ANN_DEFAULTS } from '../../utils/hnsw-index.js';
+import { parseVectorFilter } from '../../utils/vector-filter.js';
+
+// Ids per `IN (...)` lookup, below SQLite's bound-parameter limit
+const ID_CHUNK_SIZE = 500;
 
 /**
  * SQLite-based vector provider for local storage
  * Implements IVectorProvider interface
+ *
+ * Large stores are queried through an HNSW index (utils/hnsw-index.js),
+ * persisted next to the database as `${dbPath}.hnsw`. A trigger-maintained
+ * generation counter in the database tells whether the persisted index is
+ * current; a stale index is rebuilt on the next query.
  */
 class SQLiteVecProvider extends IVectorProvider {
     /**
-     * @param {{dbPath?: string, dimension?: number}} [config]
+     * @param {{dbPath?: string, dimension?: number, ann?: Object, annIndexPath?: string}} [config]
      */
     constructor(config = {}) {
         super();
@@ -18,6 +28,15 @@ class SQLiteVecProvider extends IVectorProvider {
         this.dimension = config.dimension || 1536;
         this.db = null;
         this.initialized = false;
+
+        // Approximate nearest-neighbour index
+        this.ann = { ...ANN_DEFAULTS, ...(config.ann || {}) };
+        this.annIndexPath = config.annIndexPath || null;
+        this.annIndex = null;
+        this.annSource = null;
+        this.annDirty = false;
+        this.annBuild = null;
+        this.annPending = [];
         
         // Cache for frequently accessed vectors
         this.cache = new Map();
@@ -27,11 +46,13 @@ class SQLiteVecProvider extends IVectorProvider {
     }
 
     /**
-     * @param {{dbPath?: string, dimension?: number}} [config]
+     * @param {{dbPath?: string, dimension?: number, ann?: Object, annIndexPath?: string}} [config]
      */
     async initialize(config = {}) {
         if (config.dbPath) this.dbPath = config.dbPath;
         if (config.dimension) this.dimension = config.dimension;
+        if (config.ann) this.ann = { ...this.ann, ...config.ann };
+        if (config.annIndexPath) this.annIndexPath = config.annIndexPath;
 
         // Ensure directory exists
         const dir = path.dirname(this.dbPath);
@@ -71,12 +92,13 @@ class SQLiteVecProvider extends IVectorProvider {
                             }
 
                             this.initialized = true;
-                            resolve({
+                            this._prepareAnnIndex().then(() => resolve({
                                 success: true,
                                 provider: 'SQLiteVecProvider',
                                 dbPath: this.dbPath,
-                                dimension: this.dimension
-                            });
+                                dimension: this.dimension,
+                                ann: this.getAnnStats()
+                            }), reject);
                         });
                     });
                 });
@@ -116,8 +138,9 @@ class SQLiteVecProvider extends IVectorProvider {
                     return;
                 }
 
-                // Update cache
+                // Update cache and index
                 this._updateCache(id, vector, metadata);
+                this._annUpdate(index => index.add(id, vector));
                 resolve();
             });
         });
@@ -125,7 +148,7 @@ class SQLiteVecProvider extends IVectorProvider {
 
     /**
      * @param {number[]} queryVector
-     * @param {{threshold?: number, limit?: number, filter?: Object}} [options]
+     * @param {{threshold?: number, limit?: number, filter?: Object}} [options] - filter: see utils/vector-filter.js
      * @returns {Promise<Array<{id: string, similarity: number, metadata: Object, vector: number[]}>>}
      */
     async queryVectors(queryVector, options = {}) {
@@ -137,59 +160,33 @@ class SQLiteVecProvider extends IVectorProvider {
             throw new Error('Query vector must be an array');
         }
 
+        const query = { ...options, filter: parseVectorFilter(options?.filter) };
+        const index = await this._annIndexFor(queryVector);
+        if (index) {
+            return this._queryIndexed(index, queryVector, query);
+        }
+        return this._queryAll(queryVector, query);
+    }
+
+    /**
+     * Brute force: score every stored vector the filter selects
+     */
+    async _queryAll(queryVector, options = {}) {
         const { threshold = 0.1, limit = 10, filter = null } = options;
+        const where = filter ? this._compileFilter(filter) : { sql: '1', params: [] };
 
         return new Promise((resolve, reject) => {
             this.db.all(`
                 SELECT id, vector, metadata 
                 FROM vectors 
+                WHERE ${where.sql}
                 ORDER BY created_at DESC
-            `, [], (err, rows) => {
+            `, where.params, (err, rows) => {
                 if (err) {
                     reject(new Error(`Failed to query vectors: ${err.message}`));
                     return;
                 }
-
-                const results = [];
-                
-                for (const row of rows) {
-                    try {
-                        // Convert buffer back to vector
-                        const vectorArray = new Float32Array(row.vector.buffer);
-                        const vector = Array.from(vectorArray);
-                        
-                        // Parse metadata
-                        const metadata = JSON.parse(row.metadata || '{}');
-                        
-                        // Apply filter if provided
-                        if (filter && !this._matchesFilter(metadata, filter)) {
-                            continue;
-                        }
-
-                        // Calculate similarity
-                        const similarity = this._cosineSimilarity(queryVector, vector);
-                        
-                        if (similarity >= threshold) {
-                            results.push({
-                                id: row.id,
-                                similarity,
-                                metadata,
-                                vector
-                            });
-                        }
-
-                        // Update cache access
-                        this._updateCache(row.id, vector, metadata);
-                        
-                    } catch (parseErr) {
-                        console.warn(`Failed to parse vector ${row.id}:`, parseErr.message);
-                        continue;
-                    }
-                }
-
-                // Sort by similarity and limit results
-                results.sort((a, b) => b.similarity - a.similarity);
-                resolve(results.slice(0, limit));
+                resolve(this._scoreRows(rows, queryVector, { threshold, limit }));
             });
         });
     }
@@ -209,9 +206,10 @@ class SQLiteVecProvider extends IVectorProvider {
                     return;
                 }
 
-                // Remove from cache
+                // Remove from cache and index
                 this.cache.delete(id);
                 this.cacheAccessOrder.delete(id);
+                this._annUpdate(index => index.remove(id));
                 resolve();
             });
         });
@@ -239,6 +237,9 @@ class SQLiteVecProvider extends IVectorProvider {
                         this.cacheAccessOrder.delete(id);
                     }
                 }
+                this._annUpdate(index => {
+                    for (const id of index.idsWithPrefix(namespace)) index.remove(id);
+                });
 
                 resolve();
             });
@@ -321,7 +322,8 @@ class SQLiteVecProvider extends IVectorProvider {
                     averageVectorSize: row.avg_vector_size,
                     totalSize: row.total_size,
                     cacheSize: this.cache.size,
-                    cacheUtilization: (this.cache.size / this.maxCacheSize * 100).toFixed(2) + '%'
+                    cacheUtilization: (this.cache.size / this.maxCacheSize * 100).toFixed(2) + '%',
+                    ann: this.getAnnStats()
                 });
             });
         });
@@ -343,7 +345,7 @@ class SQLiteVecProvider extends IVectorProvider {
         // SQLite automatically flushes, but we can optimize by checkpointing WAL
         if (!this.initialized) return;
 
-        return new Promise((resolve, reject) => {
+        await new Promise((resolve, reject) => {
             this.db.run(`PRAGMA wal_checkpoint(TRUNCATE)`, (err) => {
                 if (err) {
                     console.warn('Failed to checkpoint WAL:', err.message);
@@ -351,10 +353,13 @@ class SQLiteVecProvider extends IVectorProvider {
                 resolve();
             });
         });
+        await this._persistAnnIndex();
     }
 
     async close() {
         if (!this.initialized || !this.db) return;
+        if (this.annBuild) await this.annBuild.catch(() => {});
+        await this._persistAnnIndex().catch(err => console.warn('Failed to persist ANN index:', err.message));
 
         return new Promise((resolve) => {
             this.db.close((err) => {
@@ -370,6 +375,316 @@ class SQLiteVecProvider extends IVectorProvider {
         });
     }
 
+    // ===== ANN INDEX =====
+
+    /**
+     * Rebuild the ANN index from every stored vector of the store's dimension
+     * and persist it (optimize_vector_store_forest). Concurrent calls share
+     * one build; writes made during the build are applied afterwards.
+     * @returns {Promise<Object>} Index stats and build time
+     */
+    async rebuildIndex() {
+        if (!this.initialized) {
+            throw new Error('SQLiteVecProvider not initialized');
+        }
+        if (!this.annBuild) {
+            this.annBuild = this._buildAnnIndex().finally(() => {
+                this.annBuild = null;
+            });
+        }
+        return this.annBuild;
+    }
+
+    getAnnStats() {
+        return {
+            enabled: this.ann.enabled,
+            built: Boolean(this.annIndex),
+            active: Boolean(this.annIndex) && this.annIndex.size >= this.ann.minVectors,
+            minVectors: this.ann.minVectors,
+            source: this.annSource,
+            path: this._annIndexPath(),
+            ...(this.annIndex ? this.annIndex.stats() : {})
+        };
+    }
+
+    _annIndexPath() {
+        return this.annIndexPath || `${this.dbPath}.hnsw`;
+    }
+
+    async _prepareAnnIndex() {
+        await this._run(`CREATE TABLE IF NOT EXISTS vector_store_meta (key TEXT PRIMARY KEY, value INTEGER NOT NULL)`);
+        await this._run(`INSERT OR IGNORE INTO vector_store_meta (key, value) VALUES ('generation', 0)`);
+        for (const event of ['INSERT', 'UPDATE', 'DELETE']) {
+            await this._run(`
+                CREATE TRIGGER IF NOT EXISTS vectors_generation_${event.toLowerCase()} AFTER ${event} ON vectors
+                BEGIN UPDATE vector_store_meta SET value = value + 1 WHERE key = 'generation'; END
+            `);
+        }
+        if (this.ann.enabled) {
+            await this._loadAnnIndex();
+        }
+    }
+
+    async _generation() {
+        const row = await this._get(`SELECT value FROM vector_store_meta WHERE key = 'generation'`);
+        return row ? row.value : 0;
+    }
+
+    async _loadAnnIndex() {
+        let buffer;
+        try {
+            buffer = await fs.readFile(this._annIndexPath());
+        } catch (err) {
+            return; // Not built yet
+        }
+        try {
+            const index = HNSWIndex.fromBuffer(buffer);
+            if (index.dimension === this.dimension && index.meta.generation === await this._generation()) {
+                this.annIndex = index;
+                this.annSource = 'file';
+            } else {
+                console.warn('[SQLiteVecProvider] ANN index is out of date and will be rebuilt on the next query');
+            }
+        } catch (err) {
+            console.warn(`[SQLiteVecProvider] Ignoring unreadable ANN index: ${err.message}`);
+        }
+    }
+
+    /**
+     * The index for a query, built on first use once the store is large
+     * enough for approximate search to pay off. Null means brute force.
+     */
+    async _annIndexFor(queryVector) {
+        if (!this.ann.enabled || queryVector.length !== this.dimension) return null;
+        if (this.annIndex) {
+            return this.annIndex.size >= this.ann.minVectors ? this.annIndex : null;
+        }
+        const row = await this._get(`SELECT COUNT(*) AS count FROM vectors`);
+        if (row.count < this.ann.minVectors) return null;
+        await this.rebuildIndex();
+        return this.annIndex;
+    }
+
+    async _buildAnnIndex() {
+        const started = Date.now();
+        const index = new HNSWIndex({
+            dimension: this.dimension,
+            M: this.ann.M,
+            efConstruction: this.ann.efConstruction,
+            efSearch: this.ann.efSearch
+        });
+        this.annPending = [];
+
+        await new Promise((resolve, reject) => {
+            this.db.each(`SELECT id, vector FROM vectors`, [], (err, row) => {
+                if (err) return;
+                const vector = this._decodeVector(row.vector);
+                if (vector.length === this.dimension) index.add(row.id, vector);
+            }, (err) => {
+                if (err) {
+                    reject(new Error(`Failed to build ANN index: ${err.message}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+
+        for (const update of this.annPending) update(index);
+        this.annPending = [];
+        this.annIndex = index;
+        this.annSource = 'built';
+        this.annDirty = true;
+        await this._persistAnnIndex();
+        return { ...this.getAnnStats(), buildMs: Date.now() - started };
+    }
+
+    /**
+     * Apply a change to the live index, and to one being built
+     */
+    _annUpdate(update) {
+        if (this.annIndex) {
+            update(this.annIndex);
+            this.annDirty = true;
+        }
+        if (this.annBuild) {
+            this.annPending.push(update);
+        }
+    }
+
+    async _persistAnnIndex() {
+        if (!this.annIndex || !this.annDirty || !this.db) return;
+        if (this.annIndex.needsCompaction()) {
+            this.annIndex = this.annIndex.compact();
+        }
+        this.annIndex.meta.generation = await this._generation();
+        const target = this._annIndexPath();
+        const temp = `${target}.tmp`;
+        await fs.writeFile(temp, this.annIndex.toBuffer());
+        await fs.rename(temp, target);
+        this.annDirty = false;
+    }
+
+    /**
+     * Approximate query. Filters are resolved in SQL first: when few vectors
+     * match they are scored exactly, otherwise the graph search skips the rest.
+     */
+    async _queryIndexed(index, queryVector, options = {}) {
+        const { threshold = 0.1, limit = 10, filter = null } = options;
+        let allowed = null;
+        if (filter) {
+            const ids = await this._idsMatchingFilter(filter);
+            if (ids.length <= this.ann.exactLimit) {
+                return this._scoreRows(await this._loadRows(ids), queryVector, { threshold, limit });
+            }
+            allowed = new Set(ids);
+        }
+
+        const hits = index.search(queryVector, limit, {
+            ef: Math.max(this.ann.efSearch, limit),
+            filter: allowed ? id => allowed.has(id) : null
+        });
+        return this._scoreRows(await this._loadRows(hits.map(hit => hit.id)), queryVector, { threshold, limit });
+    }
+
+    /**
+     * Ids of the vectors a parsed filter selects, without decoding vectors
+     */
+    async _idsMatchingFilter(filter) {
+        const where = this._compileFilter(filter);
+        const rows = await this._all(`SELECT id FROM vectors WHERE ${where.sql}`, where.params);
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Compile a parsed filter (utils/vector-filter.js) to a WHERE clause over
+     * the metadata JSON. Every clause yields 0 or 1, never NULL, so NOT
+     * behaves as in memory.
+     * @returns {{sql: string, params: Array}}
+     */
+    _compileFilter(node) {
+        switch (node.op) {
+            case 'and':
+            case 'or': {
+                const parts = node.clauses.map(clause => this._compileFilter(clause));
+                return {
+                    sql: `(${parts.map(part => part.sql).join(node.op === 'and' ? ' AND ' : ' OR ')})`,
+                    params: parts.flatMap(part => part.params)
+                };
+            }
+            case 'not': {
+                const inner = this._compileFilter(node.clause);
+                return { sql: `(NOT ${inner.sql})`, params: inner.params };
+            }
+            default:
+                return this._compileCondition(node);
+        }
+    }
+
+    /**
+     * A field condition holds when the value, or any element of an array
+     * value, passes the test. Keys are validated by parseVectorFilter, so
+     * the JSON path can be inlined.
+     */
+    _compileCondition(node) {
+        const jsonPath = `'$.${node.key.split('.').map(segment => `"${segment}"`).join('.')}'`;
+        const test = (type, value) => {
+            switch (node.op) {
+                case 'eq':
+                    return this._compileEquals(type, value, [node.value]);
+                case 'in':
+                    return this._compileEquals(type, value, node.values);
+                case 'range': {
+                    const bounds = [['gt', '>'], ['gte', '>='], ['lt', '<'], ['lte', '<=']]
+                        .filter(([bound]) => node[bound] !== undefined);
+                    return {
+                        sql: `${type} IN ('integer', 'real')${bounds.map(([, operator]) => ` AND ${value} ${operator} ?`).join('')}`,
+                        params: bounds.map(([bound]) => node[bound])
+                    };
+                }
+                case 'exists':
+                    return { sql: `${type} IS NOT NULL AND ${type} != 'null'`, params: [] };
+                default:
+                    throw new Error(`SQLiteVecProvider: unknown filter node "${node.op}"`);
+            }
+        };
+
+        const element = test('element.type', 'element.value');
+        const scalar = test(`json_type(metadata, ${jsonPath})`, `json_extract(metadata, ${jsonPath})`);
+        return {
+            sql: `(CASE json_type(metadata, ${jsonPath})
+                WHEN 'array' THEN EXISTS (SELECT 1 FROM json_each(metadata, ${jsonPath}) AS element WHERE ${element.sql})
+                ELSE COALESCE((${scalar.sql}), 0) END)`,
+            params: [...element.params, ...scalar.params]
+        };
+    }
+
+    _compileEquals(type, value, values) {
+        const strings = values.filter(candidate => typeof candidate === 'string');
+        const numbers = values.filter(candidate => typeof candidate === 'number');
+        const tests = [];
+        if (strings.length > 0) tests.push(`(${type} = 'text' AND ${value} IN (${strings.map(() => '?').join(', ')}))`);
+        if (numbers.length > 0) tests.push(`(${type} IN ('integer', 'real') AND ${value} IN (${numbers.map(() => '?').join(', ')}))`);
+        if (values.includes(true)) tests.push(`${type} = 'true'`);
+        if (values.includes(false)) tests.push(`${type} = 'false'`);
+        if (values.includes(null)) tests.push(`${type} = 'null'`);
+        return { sql: tests.join(' OR '), params: [...strings, ...numbers] };
+    }
+
+    async _loadRows(ids) {
+        const rows = [];
+        for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+            const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+            rows.push(...await this._all(
+                `SELECT id, vector, metadata FROM vectors WHERE id IN (${chunk.map(() => '?').join(', ')})`,
+                chunk
+            ));
+        }
+        return rows;
+    }
+
+    _scoreRows(rows, queryVector, { threshold, limit }) {
+        const results = [];
+        for (const row of rows) {
+            try {
+                const vector = Array.from(this._decodeVector(row.vector));
+                const metadata = JSON.parse(row.metadata || '{}');
+
+                const similarity = this._cosineSimilarity(queryVector, vector);
+                if (similarity >= threshold) {
+                    results.push({ id: row.id, similarity, metadata, vector });
+                }
+                this._updateCache(row.id, vector, metadata);
+            } catch (parseErr) {
+                console.warn(`Failed to parse vector ${row.id}:`, parseErr.message);
+            }
+        }
+        return results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    }
+
+    _decodeVector(blob) {
+        // Float32Array views need 4-byte aligned offsets; copy otherwise
+        const bytes = blob.byteOffset % 4 === 0 ? blob : new Uint8Array(blob);
+        return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+    }
+
+    _run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    _get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    }
+
+    _all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+
     // Helper methods
     _updateCache(id, vector, metadata) {
         // Evict if cache is full
@@ -399,20 +714,6 @@ class SQLiteVecProvider extends IVectorProvider {
         }
     }
 
-    _matchesFilter(metadata, filterObj) {
-        if (!filterObj || typeof filterObj !== 'object') return true;
-        
-        if (Array.isArray(filterObj.must)) {
-            for (const clause of filterObj.must) {
-                if (clause.key && clause.match && 'value' in clause.match) {
-                    if (metadata?.[clause.key] !== clause.match.value) return false;
-                }
-            }
-        }
-        
-        return true;
-    }
-
     _cosineSimilarity(vec1, vec2) {
         if (!Array.isArray(vec1) || !Array.isArray(vec2) || vec1.length !== vec2.length) {
             return 0;
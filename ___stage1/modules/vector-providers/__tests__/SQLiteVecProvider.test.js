@@ -0,0 +1,173 @@
+/**
+ * SQLite Vector Provider Tests
+ * Approximate nearest-neighbour index: queries, filters, persistence
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import SQLiteVecProvider from '../SQLiteVecProvider.js';
+import LocalJSONProvider from '../LocalJSONProvider.js';
+
+const dimension = 8;
+const ann = { minVectors: 100, exactLimit: 20 };
+
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296 - 0.5;
+  };
+};
+
+const random = createRandom(11);
+const vectors = Array.from({ length: 300 }, () => Array.from({ length: dimension }, random));
+const query = Array.from({ length: dimension }, random);
+const metadataFor = (i) => ({ type: i % 2 ? 'task' : 'branch', rank: i, pinned: i % 25 === 0 });
+
+const seed = async (provider) => {
+  for (let i = 0; i < vectors.length; i++) {
+    await provider.upsertVector(`p:${i}`, vectors[i], metadataFor(i));
+  }
+};
+
+const ids = results => results.map(result => result.id);
+
+describe('SQLiteVecProvider ANN index', () => {
+  let tempDir;
+  let dbPath;
+  let provider;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-sqlitevec-'));
+    dbPath = path.join(tempDir, 'forest_vectors.sqlite');
+    provider = new SQLiteVecProvider({ dbPath, dimension, ann });
+    await provider.initialize();
+  });
+
+  afterEach(async () => {
+    await provider.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const bruteForce = async (options) => {
+    provider.ann.enabled = false;
+    try {
+      return await provider.queryVectors(query, options);
+    } finally {
+      provider.ann.enabled = true;
+    }
+  };
+
+  test('stays exact below the size threshold', async () => {
+    await provider.upsertVector('p:1', vectors[1], metadataFor(1));
+    await provider.queryVectors(query, { threshold: -1 });
+    expect(provider.getAnnStats()).toMatchObject({ built: false, active: false });
+  });
+
+  test('builds the index on first query and matches brute force', async () => {
+    await seed(provider);
+    const options = { limit: 5, threshold: -1 };
+
+    const indexed = await provider.queryVectors(query, options);
+    expect(provider.getAnnStats()).toMatchObject({ built: true, active: true, source: 'built', vectors: 300 });
+    expect(ids(indexed)).toEqual(ids(await bruteForce(options)));
+    expect(indexed[0].metadata).toEqual(metadataFor(Number(indexed[0].id.slice(2))));
+    expect(indexed[0].vector).toHaveLength(dimension);
+  });
+
+  test('applies filters on both the exact and the indexed path', async () => {
+    await seed(provider);
+    // 12 pinned vectors: below exactLimit, scored exactly
+    const pinned = { limit: 5, threshold: -1, filter: { must: [{ key: 'pinned', match: { value: true } }] } };
+    const pinnedResults = await provider.queryVectors(query, pinned);
+    expect(ids(pinnedResults)).toEqual(ids(await bruteForce(pinned)));
+    expect(pinnedResults.every(result => result.metadata.pinned === true)).toBe(true);
+
+    // 150 tasks: searched through the graph
+    const tasks = { limit: 5, threshold: -1, filter: { must: [{ key: 'type', match: { value: 'task' } }] } };
+    const taskResults = await provider.queryVectors(query, tasks);
+    expect(ids(taskResults)).toEqual(ids(await bruteForce(tasks)));
+    expect(taskResults.every(result => result.metadata.type === 'task')).toBe(true);
+  });
+
+  test('keeps the index current on upsert and delete', async () => {
+    await seed(provider);
+    const [first] = await provider.queryVectors(query, { limit: 1 });
+
+    await provider.deleteVector(first.id);
+    expect(ids(await provider.queryVectors(query, { limit: 10, threshold: -1 }))).not.toContain(first.id);
+
+    await provider.upsertVector('p:new', query, { type: 'task' });
+    expect((await provider.queryVectors(query, { limit: 1 }))[0]).toMatchObject({ id: 'p:new' });
+
+    await provider.deleteNamespace('p:new');
+    expect(provider.annIndex.has('p:new')).toBe(false);
+  });
+
+  test('persists the index next to the database and reloads it', async () => {
+    await seed(provider);
+    await provider.rebuildIndex();
+    await provider.upsertVector('p:new', query, { type: 'task' });
+    await provider.close();
+    await expect(fs.stat(`${dbPath}.hnsw`)).resolves.toBeTruthy();
+
+    provider = new SQLiteVecProvider({ dbPath, dimension, ann });
+    const init = await provider.initialize();
+    expect(init.ann).toMatchObject({ built: true, source: 'file', vectors: 301 });
+    expect((await provider.queryVectors(query, { limit: 1 }))[0].id).toBe('p:new');
+  });
+
+  test('ignores a persisted index the database has moved past', async () => {
+    await seed(provider);
+    await provider.rebuildIndex();
+    await provider.close();
+
+    // Another writer without the index
+    const writer = new SQLiteVecProvider({ dbPath, dimension, ann: { enabled: false } });
+    await writer.initialize();
+    await writer.upsertVector('p:other', query, { type: 'task' });
+    await writer.close();
+
+    provider = new SQLiteVecProvider({ dbPath, dimension, ann });
+    expect((await provider.initialize()).ann).toMatchObject({ built: false });
+    expect((await provider.queryVectors(query, { limit: 1 }))[0].id).toBe('p:other');
+    expect(provider.getAnnStats()).toMatchObject({ source: 'built', vectors: 301 });
+  });
+
+  test('rebuildIndex reports index stats', async () => {
+    await seed(provider);
+    const stats = await provider.rebuildIndex();
+    expect(stats).toMatchObject({ vectors: 300, deleted: 0, dimension, path: `${dbPath}.hnsw` });
+    expect(stats.buildMs).toEqual(expect.any(Number));
+    expect((await provider.getStats()).ann).toMatchObject({ active: true, vectors: 300 });
+  });
+});
+
+describe('LocalJSONProvider ANN index', () => {
+  let tempDir;
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('searches through an in-memory index once large enough', async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-localjson-'));
+    const provider = new LocalJSONProvider({ baseDir: tempDir, ann });
+    await provider.initialize();
+    // Persisting on every upsert is slow; fill the cache directly
+    vectors.forEach((vector, i) => provider.cache.set(`p:${i}`, { vector, metadata: metadataFor(i) }));
+
+    const options = { limit: 5, threshold: -1, filter: { must: [{ key: 'type', match: { value: 'task' } }] } };
+    const indexed = await provider.queryVectors(query, options);
+    expect(provider.annIndex.size).toBe(300);
+
+    provider.ann.enabled = false;
+    expect(ids(indexed)).toEqual(ids(await provider.queryVectors(query, options)));
+    provider.ann.enabled = true;
+
+    await provider.deleteVector(indexed[0].id);
+    expect(provider.annIndex.has(indexed[0].id)).toBe(false);
+    expect(await provider.rebuildIndex()).toMatchObject({ vectors: 299, minVectors: 100 });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Vector Provider Conformance Tests
+ * Every IVectorProvider must return exactly the vectors a metadata filter
+ * (utils/vector-filter.js) selects. New providers join by adding a row to
+ * PROVIDERS.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import LocalJSONProvider from '../LocalJSONProvider.js';
+import SQLiteVecProvider from '../SQLiteVecProvider.js';
+import QdrantProvider from '../QdrantProvider.js';
+import ChromaDBProvider from '../ChromaDBProvider.js';
+
+// ---- In-memory Qdrant client with Qdrant's payload filter semantics ----
+
+const payloadValue = (payload, key) => key.split('.').reduce(
+  (value, segment) => (value && typeof value === 'object' && !Array.isArray(value) ? value[segment] : undefined),
+  payload
+);
+
+const payloadValues = (payload, key) => {
+  const value = payloadValue(payload, key);
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const isFilter = condition => ['must', 'should', 'must_not'].some(clause => clause in condition);
+
+function qdrantCondition(payload, condition) {
+  if (isFilter(condition)) return qdrantFilter(payload, condition);
+  if (condition.is_empty) {
+    const value = payloadValue(payload, condition.is_empty.key);
+    return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+  }
+  if (condition.is_null) return payloadValue(payload, condition.is_null.key) === null;
+
+  const values = payloadValues(payload, condition.key);
+  if (condition.match && 'value' in condition.match) {
+    const expected = condition.match.value;
+    if (!['string', 'boolean'].includes(typeof expected) && !Number.isInteger(expected)) {
+      throw new Error(`Qdrant: match.value takes keywords, integers or booleans, got ${JSON.stringify(expected)}`);
+    }
+    return values.some(value => value === expected);
+  }
+  if (condition.match && 'any' in condition.match) {
+    const any = condition.match.any;
+    if (!any.every(value => typeof value === 'string') && !any.every(value => Number.isInteger(value))) {
+      throw new Error(`Qdrant: match.any takes keywords or integers, got ${JSON.stringify(any)}`);
+    }
+    return values.some(value => any.includes(value));
+  }
+  if (condition.range) {
+    const { gt, gte, lt, lte } = condition.range;
+    return values.some(value => typeof value === 'number'
+      && (gt === undefined || value > gt) && (gte === undefined || value >= gte)
+      && (lt === undefined || value < lt) && (lte === undefined || value <= lte));
+  }
+  throw new Error(`Qdrant: unsupported condition ${JSON.stringify(condition)}`);
+}
+
+function qdrantFilter(payload, filter) {
+  return (filter.must || []).every(condition => qdrantCondition(payload, condition))
+    && (!filter.should || filter.should.length === 0 || filter.should.some(condition => qdrantCondition(payload, condition)))
+    && !(filter.must_not || []).some(condition => qdrantCondition(payload, condition));
+}
+
+const cosine = (a, b) => {
+  let dot = 0, ma = 0, mb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    ma += a[i] * a[i];
+    mb += b[i] * b[i];
+  }
+  return dot / Math.sqrt(ma * mb);
+};
+
+class FakeQdrantClient {
+  constructor() {
+    this.points = new Map();
+  }
+  async getCollections() { return { collections: [] }; }
+  async createCollection() { return true; }
+  async upsert(collection, { points }) {
+    points.forEach(point => this.points.set(point.id, point));
+  }
+  async delete(collection, { points }) {
+    points.forEach(id => this.points.delete(id));
+  }
+  async scroll() {
+    return { points: [...this.points.values()], next_page_offset: null };
+  }
+  async search(collection, { vector, limit, filter, with_payload: withPayload, with_vector: withVector }) {
+    return [...this.points.values()]
+      .filter(point => !filter || qdrantFilter(point.payload, filter))
+      .map(point => ({
+        id: point.id,
+        score: cosine(vector, point.vector),
+        ...(withPayload ? { payload: point.payload } : {}),
+        ...(withVector ? { vector: point.vector } : {}),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+// Every filtered query goes through the graph index
+const forcedAnn = { minVectors: 1, exactLimit: 0 };
+
+const initialized = async (provider, config) => {
+  await provider.initialize(config);
+  return provider;
+};
+
+const PROVIDERS = [
+  ['LocalJSONProvider', dir => initialized(new LocalJSONProvider({ baseDir: dir }))],
+  ['LocalJSONProvider (ANN index)', dir => initialized(new LocalJSONProvider({ baseDir: dir, ann: forcedAnn }))],
+  ['SQLiteVecProvider', dir => initialized(new SQLiteVecProvider({ dbPath: path.join(dir, 'vectors.sqlite'), dimension: 4 }))],
+  ['SQLiteVecProvider (ANN index)', dir => initialized(new SQLiteVecProvider({ dbPath: path.join(dir, 'vectors.sqlite'), dimension: 4, ann: forcedAnn }))],
+  ['QdrantProvider', async () => {
+    // @qdrant/js-client-rest is optional; search runs against the fake client
+    const provider = new QdrantProvider({ collection: 'conformance', dimension: 4 });
+    provider.client = new FakeQdrantClient();
+    return provider;
+  }],
+  ['ChromaDBProvider', dir => initialized(new ChromaDBProvider({ baseDir: dir }), { baseDir: dir })],
+];
+
+const VECTORS = {
+  t1: [[1, 0.2, 0.1, 0.3], { project_id: 'p1', type: 'task', completed: false, difficulty: 2, tags: ['chords', 'rhythm'], branch: 'Foundations', context: { energy: 3 }, note: null }],
+  t2: [[0.2, 1, 0.4, 0.1], { project_id: 'p1', type: 'task', completed: true, difficulty: 4, tags: ['theory'], branch: 'Theory', context: { energy: 5 } }],
+  t3: [[0.3, 0.3, 1, 0.2], { project_id: 'p1', type: 'task', difficulty: 3.5, tags: [], branch: 'Foundations' }],
+  t4: [[0.5, 0.5, 0.5, 1], { project_id: 'p1', type: 'branch', name: 'Foundations', difficulty: '3' }],
+  t5: [[1, 1, 0.2, 0.2], { project_id: 'p2', type: 'task', completed: false, difficulty: 1, tags: ['chords'], learning_outcome: 'Play C', context: { energy: 1 } }],
+  t6: [[0.1, 0.2, 0.3, 0.4], { project_id: 'p2', type: 'goal', priority: 0 }],
+};
+
+const CASES = [
+  ['no filter', undefined, ['t1', 't2', 't3', 't4', 't5', 't6']],
+  ['equality', { project_id: 'p1' }, ['t1', 't2', 't3', 't4']],
+  ['several equalities', { type: 'task', completed: false }, ['t1', 't5']],
+  ['boolean', { completed: true }, ['t2']],
+  ['$ne includes missing keys', { completed: { $ne: true } }, ['t1', 't3', 't4', 't5', 't6']],
+  ['$in', { type: { $in: ['branch', 'goal'] } }, ['t4', 't6']],
+  ['$nin', { type: { $nin: ['task'] } }, ['t4', 't6']],
+  ['$in with booleans', { completed: { $in: [true, false] } }, ['t1', 't2', 't5']],
+  ['$in with mixed types', { difficulty: { $in: [1, 3.5, '3'] } }, ['t3', 't4', 't5']],
+  ['range', { difficulty: { $gte: 2, $lt: 4 } }, ['t1', 't3']],
+  ['open range', { difficulty: { $gt: 3.5 } }, ['t2']],
+  ['type-strict equality', { difficulty: '3' }, ['t4']],
+  ['float equality', { difficulty: 3.5 }, ['t3']],
+  ['zero', { priority: 0 }, ['t6']],
+  ['array contains', { tags: 'chords' }, ['t1', 't5']],
+  ['$in over arrays', { tags: { $in: ['theory', 'rhythm'] } }, ['t1', 't2']],
+  ['$exists', { tags: { $exists: true } }, ['t1', 't2', 't5']],
+  ['$exists false', { tags: { $exists: false } }, ['t3', 't4', 't6']],
+  ['explicit null', { note: null }, ['t1']],
+  ['$exists ignores null', { note: { $exists: true } }, []],
+  ['nested key', { 'context.energy': { $lte: 3 } }, ['t1', 't5']],
+  ['$or', { $or: [{ type: 'goal' }, { difficulty: { $gte: 4 } }] }, ['t2', 't6']],
+  ['$not', { $not: { project_id: 'p1' } }, ['t5', 't6']],
+  ['fields with $or', { project_id: 'p1', $or: [{ branch: 'Theory' }, { type: 'branch' }] }, ['t2', 't4']],
+  ['$and with $not', { $and: [{ type: 'task' }, { $not: { tags: 'chords' } }] }, ['t2', 't3']],
+  ['no match', { project_id: 'p3' }, []],
+  ['Qdrant-style must/must_not', {
+    must: [{ key: 'project_id', match: { value: 'p1' } }],
+    must_not: [{ key: 'type', match: { value: 'task' } }],
+  }, ['t4']],
+  ['Qdrant-style should', {
+    should: [{ key: 'difficulty', range: { gte: 4 } }, { key: 'type', match: { any: ['goal'] } }],
+  }, ['t2', 't6']],
+];
+
+const INVALID = [
+  { type: { $regex: 't' } },
+  { $nor: [{ type: 'task' }] },
+  { tags: ['chords'] },
+  { difficulty: { $gt: '2' } },
+  { 'bad key': 1 },
+];
+
+describe.each(PROVIDERS)('%s filter conformance', (name, createProvider) => {
+  let tempDir;
+  let provider;
+  const query = [1, 1, 1, 1];
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-conformance-'));
+    provider = await createProvider(tempDir);
+    for (const [id, [vector, metadata]] of Object.entries(VECTORS)) {
+      await provider.upsertVector(id, vector, metadata);
+    }
+  });
+
+  afterAll(async () => {
+    if (provider instanceof SQLiteVecProvider) await provider.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test.each(CASES)('%s', async (label, filter, expected) => {
+    const results = await provider.queryVectors(query, { limit: 10, threshold: -1, filter });
+    expect(results.map(result => result.id).sort()).toEqual(expected);
+    results.forEach(result => expect(result.metadata).toEqual(VECTORS[result.id][1]));
+  });
+
+  test('applies limit and threshold after filtering', async () => {
+    const ranked = Object.entries(VECTORS)
+      .filter(([, [, metadata]]) => metadata.project_id === 'p1')
+      .map(([id, [vector]]) => ({ id, similarity: cosine(query, vector) }))
+      .sort((a, b) => b.similarity - a.similarity);
+
+    const top = await provider.queryVectors(query, { limit: 2, threshold: -1, filter: { project_id: 'p1' } });
+    expect(top.map(result => result.id)).toEqual(ranked.slice(0, 2).map(hit => hit.id));
+    expect(top[0].similarity).toBeCloseTo(ranked[0].similarity, 5);
+
+    const cutoff = ranked[1].similarity - 1e-6;
+    const above = await provider.queryVectors(query, { limit: 10, threshold: cutoff, filter: { project_id: 'p1' } });
+    expect(above.map(result => result.id)).toEqual(ranked.slice(0, 2).map(hit => hit.id));
+  });
+
+  test.each(INVALID)('rejects %j', async (filter) => {
+    await expect(provider.queryVectors(query, { filter })).rejects.toThrow('Invalid vector filter');
+  });
+});
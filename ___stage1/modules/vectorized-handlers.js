@@ -4,6 +4,8 @@
  * Handles all vectorized task operations and ChromaDB management
  */
 
+import { describeCompatibility, signatureKey } from '../utils/embedding-signature.js';
+
 export class VectorizedHandlers {
   constructor(forestDataVectorization, taskStrategyCore, projectManagement, chromaDBLifecycle) {
     this.forestDataVectorization = forestDataVectorization;
@@ -294,6 +296,99 @@ export class VectorizedHandlers {
     }
   }
 
+  /**
+   * Re-embed project vectors with the configured embedding model. Resumable:
+   * a run stopped by max_batches or an error continues on the next call.
+   */
+  async reindexVectors(args = {}) {
+    try {
+      const batchSize = args.batch_size === undefined ? undefined : Number(args.batch_size);
+      if (batchSize !== undefined && !(Number.isInteger(batchSize) && batchSize >= 1 && batchSize <= 500)) {
+        throw new Error('batch_size must be an integer from 1 to 500');
+      }
+      const maxBatches = args.max_batches === undefined ? undefined : Number(args.max_batches);
+      if (maxBatches !== undefined && !(Number.isInteger(maxBatches) && maxBatches >= 1)) {
+        throw new Error('max_batches must be a positive integer');
+      }
+
+      let projectIds;
+      if (args.all_projects) {
+        const projects = await this.forestDataVectorization.dataPersistence.getProjectList();
+        projectIds = projects.filter(project => !project.archived).map(project => project.id);
+      } else {
+        const projectId = args.project_id || (await this.projectManagement.getActiveProject())?.project_id;
+        if (!projectId) {
+          return {
+            content: [{
+              type: 'text',
+              text: '**No Active Project** ❌\n\nCreate or switch to a project first, pass project_id, or set all_projects to re-index every project.'
+            }]
+          };
+        }
+        projectIds = [projectId];
+      }
+
+      const reports = [];
+      for (const projectId of projectIds) {
+        reports.push(await this.forestDataVectorization.reindexProject(projectId, {
+          batchSize,
+          maxBatches,
+          restart: args.restart === true
+        }));
+      }
+
+      const failed = reports.filter(report => report.errors > 0);
+      return {
+        content: [{ type: 'text', text: this.formatReindexReport(reports) }],
+        success: failed.length === 0,
+        complete: reports.every(report => report.progress?.status === 'completed'),
+        reindex: reports,
+        embedding_compatibility: this.forestDataVectorization.vectorStore.embeddingCompatibility || null,
+        ...(failed.length > 0 ? { error: failed.map(report => `${report.project_id}: ${report.error}`).join('; ') } : {})
+      };
+    } catch (error) {
+      console.error('VectorizedHandlers.reindexVectors failed:', error);
+      return {
+        content: [{
+          type: 'text',
+          text: `**❌ Vector Re-index Failed**\n\nError: ${error.message}`
+        }],
+        error: error.message
+      };
+    }
+  }
+
+  formatReindexReport(reports) {
+    if (reports.length === 0) {
+      return '**Vector Re-index** 🔄\n\nNo projects to re-index.';
+    }
+
+    const embedding = reports.find(report => report.progress)?.progress.embedding;
+    let text = '**Vector Re-index** 🔄\n\n';
+    if (embedding) text += `**Embedding**: ${signatureKey(embedding)}\n\n`;
+
+    for (const report of reports) {
+      const progress = report.progress;
+      const types = Object.entries(report.types).map(([type, count]) => `${count} ${type.replace('_', ' ')}`).join(', ');
+      text += `**${report.project_id}**\n`;
+      if (report.before) text += `• Before: ${describeCompatibility(report.before)}\n`;
+      if (progress) {
+        text += `• Progress: ${progress.done}/${progress.total} items (${progress.percent}%) in ${progress.batches} batch${progress.batches === 1 ? '' : 'es'}${report.resumed ? ', resumed' : ''}\n`;
+      }
+      if (report.vectorized > 0) text += `• Re-embedded this run: ${report.vectorized}${types ? ` (${types})` : ''}\n`;
+      if (report.migrated > 0) text += `• Other stale vectors re-embedded: ${report.migrated}\n`;
+      if (report.error) {
+        text += `• ❌ Stopped: ${report.error}. Run again to resume from item ${(progress?.done || 0) + 1}.\n`;
+      } else if (progress && progress.status !== 'completed') {
+        text += `• ⏸️ ${progress.remaining} items remaining. Run again to continue.\n`;
+      } else if (report.after) {
+        text += `• After: ${describeCompatibility(report.after)}\n`;
+      }
+      text += '\n';
+    }
+    return text.trim();
+  }
+
   /**
    * Get ChromaDB status - Legacy method maintained for backward compatibility
    */
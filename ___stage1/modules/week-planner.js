@@ -0,0 +1,593 @@
+/**
+ * Week Planner
+ *
+ * Spreads HTA leaf tasks across a multi-day horizon within per-day hour
+ * budgets, respecting prerequisite order. Blocks that were planned for a past
+ * day but never reached the completion log are carried over to the next day
+ * with room, and the plan is checked against the project deadline.
+ */
+
+import { DailyScheduleGenerator } from './daily-schedule-generator.js';
+import { FILE_NAMES, DEFAULT_PATHS, TASK_CONFIG } from './memory-sync.js';
+import { getLeafTasks, buildDependencyGraph } from '../utils/hta-hierarchy-utils.js';
+import { getBusyIntervals } from '../utils/icalendar.js';
+
+// Constants for multi-day planning
+const WEEK_PLAN_CONSTANTS = {
+  DEFAULT_DAYS: 7,
+  MAX_DAYS: 28,
+  DEFAULT_HOURS_PER_DAY: 2,
+  MAX_HOURS_PER_DAY: 16,
+  MIN_BLOCK_MINUTES: TASK_CONFIG.MIN_DURATION,
+  MINUTES_PER_HOUR: 60,
+  MS_PER_DAY: 24 * 60 * 60 * 1000,
+};
+
+export class WeekPlanner {
+  constructor(dataPersistence, projectManagement, scheduleGenerator = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.scheduleGenerator = scheduleGenerator || new DailyScheduleGenerator(dataPersistence, projectManagement);
+  }
+
+  // ===== TOOL ENTRY POINTS =====
+
+  /**
+   * plan_week_forest - build a fresh plan for the active project
+   */
+  async planWeek(args = {}) {
+    try {
+      const context = await this.loadContext();
+      if (!context) return this.noActiveProjectResponse();
+
+      const { projectId, config, pathName, htaData, completedIds } = context;
+      const startDate = this.scheduleGenerator.resolveDate(args.start_date);
+      const days = this.clampDays(args.days);
+      const budgets = await this.excludeBusyDays(
+        projectId,
+        startDate,
+        this.resolveBudgets(days, args.hours_per_day, args.day_hours)
+      );
+
+      const plan = this.buildPlan({
+        tasks: getLeafTasks(htaData).filter(task => !this.scheduleGenerator.isTaskComplete(task) && !completedIds.has(task.id)),
+        htaData,
+        startDate,
+        budgets,
+        energyLevel: args.energy_level,
+        learningStyle: config.learning_style,
+        calibration: await this.scheduleGenerator.durationCalibration.loadModel(),
+        completedIds,
+      });
+      plan.project_id = projectId;
+      plan.path_name = pathName;
+      plan.deadline_assessment = this.assessDeadline(plan, config);
+
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.WEEK_PLAN, plan);
+
+      return {
+        content: [{ type: 'text', text: this.formatPlan(plan, config) }],
+        success: true,
+        week_plan: plan,
+      };
+    } catch (error) {
+      console.error('WeekPlanner.planWeek failed:', error);
+      return this.errorResponse('Week Planning Failed', error);
+    }
+  }
+
+  /**
+   * get_week_plan_forest - show the stored plan after carrying over unfinished blocks
+   */
+  async getWeekPlan(args = {}) {
+    try {
+      const context = await this.loadContext();
+      if (!context) return this.noActiveProjectResponse();
+
+      const { projectId, config, completedIds } = context;
+      const plan = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WEEK_PLAN);
+      if (!plan || !Array.isArray(plan.days)) {
+        return {
+          content: [{
+            type: 'text',
+            text: '**No Week Plan** 📭\n\nUse `plan_week_forest` to spread your tasks across the coming days.',
+          }],
+          week_plan: null,
+        };
+      }
+
+      const today = this.scheduleGenerator.resolveDate(args.as_of);
+      const changed = this.refreshPlan(plan, completedIds, today);
+      plan.deadline_assessment = this.assessDeadline(plan, config);
+      if (changed) {
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.WEEK_PLAN, plan);
+      }
+
+      return {
+        content: [{ type: 'text', text: this.formatPlan(plan, config) }],
+        success: true,
+        week_plan: plan,
+      };
+    } catch (error) {
+      console.error('WeekPlanner.getWeekPlan failed:', error);
+      return this.errorResponse('Week Plan Unavailable', error);
+    }
+  }
+
+  /**
+   * edit_week_plan_forest - move or remove a block, or change a day's hour budget
+   */
+  async editWeekPlan(args = {}) {
+    try {
+      const context = await this.loadContext();
+      if (!context) return this.noActiveProjectResponse();
+
+      const { projectId, config } = context;
+      const plan = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WEEK_PLAN);
+      if (!plan || !Array.isArray(plan.days)) {
+        throw new Error('No week plan exists yet. Use plan_week_forest first.');
+      }
+
+      const warnings = this.applyEdit(plan, args);
+      plan.deadline_assessment = this.assessDeadline(plan, config);
+      plan.last_edited = new Date().toISOString();
+
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.WEEK_PLAN, plan);
+
+      let text = `**Week Plan Updated** ✏️\n\n`;
+      if (warnings.length > 0) {
+        text += `**Warnings**:\n${warnings.map(warning => `• ${warning}`).join('\n')}\n\n`;
+      }
+      text += this.formatPlan(plan, config);
+
+      return {
+        content: [{ type: 'text', text }],
+        success: true,
+        week_plan: plan,
+        warnings,
+      };
+    } catch (error) {
+      console.error('WeekPlanner.editWeekPlan failed:', error);
+      return this.errorResponse('Week Plan Edit Failed', error);
+    }
+  }
+
+  // ===== PLANNING =====
+
+  /**
+   * Build a plan from leaf tasks. Pure: performs no I/O.
+   */
+  buildPlan({ tasks = [], htaData = null, startDate, budgets, energyLevel, learningStyle = 'mixed', calibration = null, completedIds = new Set() }) {
+    const energy = this.scheduleGenerator.normalizeEnergy(energyLevel);
+    const days = budgets.map((budgetMinutes, index) => ({
+      date: this.addDays(startDate, index),
+      budget_minutes: budgetMinutes,
+      blocks: [],
+    }));
+    const plan = {
+      start_date: startDate,
+      created_at: new Date().toISOString(),
+      energy_level: energy,
+      days,
+      unplanned: [],
+    };
+
+    const ordered = this.orderByDependencies(tasks, htaData);
+    const placedOn = new Map(); // taskId -> day index
+
+    for (const task of ordered) {
+      const duration = this.scheduleGenerator.durationEngine.calculateTaskDuration(task, {
+        energy_level: energy,
+        learningStyle,
+        calibration,
+      });
+      const estimatedMinutes = Math.max(WEEK_PLAN_CONSTANTS.MIN_BLOCK_MINUTES, duration.estimated_minutes);
+      const prerequisites = Array.isArray(task.prerequisites) ? task.prerequisites : [];
+      const pendingPrereqs = prerequisites.filter(id => !completedIds.has(id));
+
+      if (pendingPrereqs.some(id => !placedOn.has(id) && tasks.some(other => other.id === id))) {
+        plan.unplanned.push(this.toUnplanned(task, estimatedMinutes, 'Prerequisite could not be planned'));
+        continue;
+      }
+
+      const earliestDay = pendingPrereqs.reduce((day, id) => Math.max(day, placedOn.get(id) ?? 0), 0);
+      const block = {
+        id: `wk_${task.id}`,
+        task_id: task.id,
+        title: task.title || task.id,
+        branch: task.branch || task.phase || 'General',
+        estimated_minutes: estimatedMinutes,
+        prerequisites,
+        status: 'planned',
+      };
+
+      const dayIndex = this.placeBlock(plan, block, earliestDay);
+      if (dayIndex === -1) {
+        plan.unplanned.push(this.toUnplanned(task, block.estimated_minutes, 'No remaining hours in the planning horizon'));
+      } else {
+        placedOn.set(task.id, dayIndex);
+      }
+    }
+
+    this.updateTotals(plan);
+    return plan;
+  }
+
+  /**
+   * Topologically order tasks by prerequisite edges, keeping HTA order as tie-breaker
+   */
+  orderByDependencies(tasks, htaData) {
+    const taskIds = new Set(tasks.map(task => task.id));
+    const indexOf = new Map(tasks.map((task, index) => [task.id, index]));
+    const graph = buildDependencyGraph(htaData && Array.isArray(htaData.frontierNodes) ? htaData : { frontierNodes: tasks });
+
+    const inDegree = new Map(tasks.map(task => [task.id, 0]));
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    for (const edge of graph.edges) {
+      if (!taskIds.has(edge.from) || !taskIds.has(edge.to)) continue;
+      inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+      dependents.get(edge.from).push(edge.to);
+    }
+
+    const ready = tasks.filter(task => inDegree.get(task.id) === 0).map(task => task.id);
+    const orderedIds = [];
+    while (ready.length > 0) {
+      ready.sort((a, b) => indexOf.get(a) - indexOf.get(b));
+      const id = ready.shift();
+      orderedIds.push(id);
+      for (const dependent of dependents.get(id)) {
+        inDegree.set(dependent, inDegree.get(dependent) - 1);
+        if (inDegree.get(dependent) === 0) ready.push(dependent);
+      }
+    }
+
+    // Tasks caught in cycles keep their HTA order at the end of the plan
+    const remaining = tasks.filter(task => !orderedIds.includes(task.id)).map(task => task.id);
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    return [...orderedIds, ...remaining].map(id => byId.get(id));
+  }
+
+  /**
+   * Put a block on the first day at or after `fromIndex` with enough budget left.
+   * A block larger than a whole day's budget may occupy an otherwise empty day.
+   */
+  placeBlock(plan, block, fromIndex) {
+    for (let index = Math.max(0, fromIndex); index < plan.days.length; index++) {
+      const day = plan.days[index];
+      if (day.budget_minutes <= 0) continue;
+
+      const used = this.getUsedMinutes(day);
+      const fits = used + block.estimated_minutes <= day.budget_minutes;
+      const oversizedOnEmptyDay = used === 0 && block.estimated_minutes > day.budget_minutes;
+      if (fits || oversizedOnEmptyDay) {
+        day.blocks.push(oversizedOnEmptyDay ? { ...block, exceeds_budget: true } : block);
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Mark completed blocks and move unfinished blocks from past days forward.
+   * Returns true when the plan changed.
+   */
+  refreshPlan(plan, completedIds, today) {
+    let changed = false;
+    const firstOpenIndex = plan.days.findIndex(day => day.date >= today);
+
+    plan.days.forEach((day, dayIndex) => {
+      for (const block of day.blocks) {
+        if (block.status === 'planned' && completedIds.has(block.task_id)) {
+          block.status = 'completed';
+          changed = true;
+        }
+      }
+
+      if (day.date >= today) return;
+
+      for (const block of day.blocks) {
+        if (block.status !== 'planned') continue;
+
+        block.status = 'carried_over';
+        changed = true;
+        const carried = {
+          ...block,
+          id: `${block.id}_${dayIndex + 1}`,
+          status: 'planned',
+          carried_over_from: block.carried_over_from || day.date,
+        };
+        delete carried.exceeds_budget;
+
+        const target = firstOpenIndex === -1 ? -1 : this.placeBlock(plan, carried, Math.max(firstOpenIndex, dayIndex + 1));
+        if (target === -1) {
+          plan.unplanned.push({
+            task_id: carried.task_id,
+            title: carried.title,
+            estimated_minutes: carried.estimated_minutes,
+            reason: `Unfinished on ${day.date}; no room left in the planning horizon`,
+          });
+        }
+      }
+    });
+
+    if (changed) {
+      plan.last_refreshed = new Date().toISOString();
+      this.updateTotals(plan);
+    }
+    return changed;
+  }
+
+  /**
+   * Apply a single edit. Returns human-readable warnings.
+   */
+  applyEdit(plan, { action, block_id, target_date, date, hours }) {
+    const warnings = [];
+
+    if (action === 'set_hours') {
+      const day = this.findDay(plan, date);
+      const budgetHours = Number(hours);
+      if (!Number.isFinite(budgetHours) || budgetHours < 0 || budgetHours > WEEK_PLAN_CONSTANTS.MAX_HOURS_PER_DAY) {
+        throw new Error(`hours must be between 0 and ${WEEK_PLAN_CONSTANTS.MAX_HOURS_PER_DAY}`);
+      }
+      day.budget_minutes = Math.round(budgetHours * WEEK_PLAN_CONSTANTS.MINUTES_PER_HOUR);
+      if (this.getUsedMinutes(day) > day.budget_minutes) {
+        warnings.push(`${day.date} is now over budget by ${this.getUsedMinutes(day) - day.budget_minutes} minutes`);
+      }
+      this.updateTotals(plan);
+      return warnings;
+    }
+
+    const located = this.findBlock(plan, block_id);
+    if (!located) {
+      throw new Error(`Block ${block_id} not found in the week plan`);
+    }
+    const { day: sourceDay, block } = located;
+
+    if (action === 'remove') {
+      sourceDay.blocks = sourceDay.blocks.filter(candidate => candidate !== block);
+    } else if (action === 'move') {
+      const targetDay = this.findDay(plan, target_date);
+      sourceDay.blocks = sourceDay.blocks.filter(candidate => candidate !== block);
+      targetDay.blocks.push(block);
+
+      if (this.getUsedMinutes(targetDay) > targetDay.budget_minutes) {
+        warnings.push(`${targetDay.date} is now over budget by ${this.getUsedMinutes(targetDay) - targetDay.budget_minutes} minutes`);
+      }
+      for (const prereqId of block.prerequisites || []) {
+        const prereq = this.findBlockByTask(plan, prereqId);
+        if (prereq && prereq.day.date > targetDay.date) {
+          warnings.push(`"${block.title}" is now planned before its prerequisite "${prereq.block.title}"`);
+        }
+      }
+      for (const other of plan.days.flatMap(day => day.blocks.map(candidate => ({ day, block: candidate })))) {
+        if ((other.block.prerequisites || []).includes(block.task_id) && other.day.date < targetDay.date) {
+          warnings.push(`"${other.block.title}" depends on "${block.title}" but is planned earlier`);
+        }
+      }
+    } else {
+      throw new Error(`Unknown action "${action}". Use move, remove or set_hours.`);
+    }
+
+    this.updateTotals(plan);
+    return warnings;
+  }
+
+  /**
+   * Compare remaining work with the capacity available before the project deadline
+   */
+  assessDeadline(plan, config = {}) {
+    const deadline = config.deadline || config.constraints?.deadline || null;
+    const remainingMinutes = plan.totals.planned_minutes + plan.unplanned.reduce((sum, item) => sum + (item.estimated_minutes || 0), 0);
+    const lastPlannedDay = [...plan.days].reverse().find(day => day.blocks.some(block => block.status === 'planned'));
+
+    if (!deadline || Number.isNaN(Date.parse(deadline))) {
+      return {
+        deadline: null,
+        realistic: null,
+        remaining_minutes: remainingMinutes,
+        projected_finish: plan.unplanned.length === 0 ? lastPlannedDay?.date || null : null,
+        message: 'No deadline set in the project configuration.',
+      };
+    }
+
+    const deadlineDate = String(deadline).slice(0, 10);
+    const averageBudget = plan.days.reduce((sum, day) => sum + day.budget_minutes, 0) / Math.max(1, plan.days.length);
+    const daysUntilDeadline = Math.max(
+      0,
+      Math.round((Date.parse(deadlineDate) - Date.parse(plan.start_date)) / WEEK_PLAN_CONSTANTS.MS_PER_DAY) + 1
+    );
+    const capacityMinutes = Math.round(averageBudget * daysUntilDeadline);
+
+    let projectedFinish = null;
+    if (plan.unplanned.length === 0) {
+      projectedFinish = lastPlannedDay?.date || plan.start_date;
+    } else if (averageBudget > 0) {
+      const extraDays = Math.ceil(plan.unplanned.reduce((sum, item) => sum + (item.estimated_minutes || 0), 0) / averageBudget);
+      projectedFinish = this.addDays(plan.days[plan.days.length - 1].date, extraDays);
+    }
+
+    const realistic = projectedFinish !== null && projectedFinish <= deadlineDate && remainingMinutes <= capacityMinutes;
+    return {
+      deadline: deadlineDate,
+      realistic,
+      remaining_minutes: remainingMinutes,
+      capacity_minutes: capacityMinutes,
+      projected_finish: projectedFinish,
+      message: realistic
+        ? `On track: remaining work fits before ${deadlineDate}.`
+        : `At risk: ${remainingMinutes} minutes of work remain against ${capacityMinutes} minutes of capacity before ${deadlineDate}.`,
+    };
+  }
+
+  // ===== HELPERS =====
+
+  async loadContext() {
+    const activeProject = await this.projectManagement.getActiveProject();
+    if (!activeProject || !activeProject.project_id) return null;
+
+    const projectId = activeProject.project_id;
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    if (!config) {
+      throw new Error(`Project ${projectId} has no configuration`);
+    }
+
+    const pathName = config.activePath || DEFAULT_PATHS.GENERAL;
+    const htaData = await this.scheduleGenerator.loadHTA(projectId, pathName);
+    const completedIds = new Set([
+      ...this.scheduleGenerator.getCompletedTaskIds(htaData),
+      ...(await this.scheduleGenerator.loadLoggedCompletionIds(projectId, pathName)),
+    ]);
+
+    return { projectId, config, pathName, htaData, completedIds };
+  }
+
+  clampDays(days) {
+    const value = Number.parseInt(days, 10);
+    if (!Number.isFinite(value) || value < 1) return WEEK_PLAN_CONSTANTS.DEFAULT_DAYS;
+    return Math.min(WEEK_PLAN_CONSTANTS.MAX_DAYS, value);
+  }
+
+  /**
+   * Per-day budgets in minutes. `dayHours` overrides `hoursPerDay` day by day.
+   */
+  resolveBudgets(days, hoursPerDay, dayHours) {
+    const defaultHours = Number.isFinite(Number(hoursPerDay)) && Number(hoursPerDay) >= 0
+      ? Math.min(WEEK_PLAN_CONSTANTS.MAX_HOURS_PER_DAY, Number(hoursPerDay))
+      : WEEK_PLAN_CONSTANTS.DEFAULT_HOURS_PER_DAY;
+    const overrides = Array.isArray(dayHours) ? dayHours : [];
+
+    return Array.from({ length: days }, (_, index) => {
+      const override = Number(overrides[index]);
+      const hours = overrides[index] !== undefined && Number.isFinite(override) && override >= 0
+        ? Math.min(WEEK_PLAN_CONSTANTS.MAX_HOURS_PER_DAY, override)
+        : defaultHours;
+      return Math.round(hours * WEEK_PLAN_CONSTANTS.MINUTES_PER_HOUR);
+    });
+  }
+
+  /**
+   * Zero the budget of days fully covered by imported calendar commitments
+   */
+  async excludeBusyDays(projectId, startDate, budgets) {
+    const busyData = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CALENDAR_BUSY);
+    const events = Array.isArray(busyData?.events) ? busyData.events : [];
+    if (events.length === 0) return budgets;
+
+    return budgets.map((budget, index) => {
+      const intervals = getBusyIntervals(events, this.addDays(startDate, index));
+      const fullDay = intervals.some(interval => interval.start === 0 && interval.end >= 24 * WEEK_PLAN_CONSTANTS.MINUTES_PER_HOUR);
+      return fullDay ? 0 : budget;
+    });
+  }
+
+  addDays(date, count) {
+    const [year, month, day] = date.split('-').map(Number);
+    return this.scheduleGenerator.formatDate(new Date(year, month - 1, day + count));
+  }
+
+  getUsedMinutes(day) {
+    return day.blocks
+      .filter(block => block.status === 'planned' || block.status === 'completed')
+      .reduce((sum, block) => sum + block.estimated_minutes, 0);
+  }
+
+  updateTotals(plan) {
+    const blocks = plan.days.flatMap(day => day.blocks);
+    plan.totals = {
+      planned_blocks: blocks.filter(block => block.status === 'planned').length,
+      completed_blocks: blocks.filter(block => block.status === 'completed').length,
+      carried_over_blocks: blocks.filter(block => block.carried_over_from && block.status === 'planned').length,
+      planned_minutes: blocks.filter(block => block.status === 'planned').reduce((sum, block) => sum + block.estimated_minutes, 0),
+      budget_minutes: plan.days.reduce((sum, day) => sum + day.budget_minutes, 0),
+      unplanned_tasks: plan.unplanned.length,
+    };
+  }
+
+  findDay(plan, date) {
+    const day = plan.days.find(candidate => candidate.date === date);
+    if (!day) {
+      throw new Error(`Date ${date} is not part of the week plan (${plan.days[0]?.date} to ${plan.days[plan.days.length - 1]?.date})`);
+    }
+    return day;
+  }
+
+  findBlock(plan, blockId) {
+    for (const day of plan.days) {
+      const block = day.blocks.find(candidate => candidate.id === blockId);
+      if (block) return { day, block };
+    }
+    return null;
+  }
+
+  findBlockByTask(plan, taskId) {
+    for (const day of plan.days) {
+      const block = day.blocks.find(candidate => candidate.task_id === taskId && candidate.status !== 'carried_over');
+      if (block) return { day, block };
+    }
+    return null;
+  }
+
+  toUnplanned(task, estimatedMinutes, reason) {
+    return {
+      task_id: task.id,
+      title: task.title || task.id,
+      estimated_minutes: estimatedMinutes,
+      reason,
+    };
+  }
+
+  // ===== PRESENTATION =====
+
+  formatPlan(plan, config = {}) {
+    const icons = { planned: '🎯', completed: '✅', carried_over: '↪️' };
+    let text = `**Week Plan from ${plan.start_date}** 🗓️\n\n`;
+    text += `**Goal**: ${config.goal || 'Unknown'}\n\n`;
+
+    for (const day of plan.days) {
+      const used = this.getUsedMinutes(day);
+      text += `**${day.date}** — ${used}/${day.budget_minutes} min\n`;
+      if (day.blocks.length === 0) {
+        text += `   _(free)_\n`;
+      }
+      for (const block of day.blocks) {
+        const carried = block.carried_over_from && block.status === 'planned' ? ` (carried over from ${block.carried_over_from})` : '';
+        text += `   ${icons[block.status] || '•'} ${block.title} — ${block.estimated_minutes} min [${block.id}]${carried}\n`;
+      }
+    }
+
+    if (plan.unplanned.length > 0) {
+      text += `\n**Not planned** (${plan.unplanned.length}):\n`;
+      plan.unplanned.slice(0, 5).forEach(item => {
+        text += `• ${item.title} — ${item.reason}\n`;
+      });
+    }
+
+    if (plan.deadline_assessment) {
+      text += `\n**Deadline Check**: ${plan.deadline_assessment.message}\n`;
+    }
+
+    text += `\nUse \`edit_week_plan_forest\` to move or remove blocks, or change a day's hours.`;
+    return text;
+  }
+
+  noActiveProjectResponse() {
+    return {
+      content: [{
+        type: 'text',
+        text: '**No Active Project** ❌\n\nCreate or switch to a project first.',
+      }],
+    };
+  }
+
+  errorResponse(title, error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `**${title}** ❌\n\nError: ${error.message}`,
+      }],
+      error: error.message,
+    };
+  }
+}
+
+export default WeekPlanner;
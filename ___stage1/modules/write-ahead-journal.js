@@ -0,0 +1,204 @@
+/**
+ * Write-Ahead Journal - crash safety for multi-file transactions
+ * Records every document a transaction is about to change (before and after
+ * content) under `<dataDir>/.journal/` before the change reaches storage.
+ * Storage adapters stage transaction writes until commit, so an entry is
+ * marked "committing" right before the storage commit. At start-up, entries
+ * that got that far are completed; pending ones never touched storage and are
+ * discarded.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const JOURNAL_CONSTANTS = {
+  DIR_NAME: '.journal',
+  STATUS: {
+    PENDING: 'pending',
+    COMMITTING: 'committing',
+    COMMITTED: 'committed',
+  },
+};
+
+export class WriteAheadJournal {
+  constructor(dataDir) {
+    this.journalDir = path.join(dataDir, JOURNAL_CONSTANTS.DIR_NAME);
+    this.entries = new Map(); // transactionId -> { entry, writing }
+  }
+
+  entryPath(transactionId) {
+    return path.join(this.journalDir, `${transactionId}.json`);
+  }
+
+  /**
+   * Start journaling a transaction. Nothing is written until the first record.
+   */
+  open(transactionId, label = null) {
+    if (this.entries.has(transactionId)) return;
+    this.entries.set(transactionId, {
+      entry: {
+        id: transactionId,
+        label,
+        status: JOURNAL_CONSTANTS.STATUS.PENDING,
+        created_at: new Date().toISOString(),
+        operations: [],
+      },
+      writing: Promise.resolve(),
+    });
+  }
+
+  isOpen(transactionId) {
+    return this.entries.has(transactionId);
+  }
+
+  hasOperations(transactionId) {
+    return (this.entries.get(transactionId)?.entry.operations.length || 0) > 0;
+  }
+
+  /**
+   * Durably record an intended change. `readBefore` is only called the first
+   * time a document is touched, so rollback restores the pre-transaction state.
+   * @param {string} transactionId
+   * @param {{projectId: string|null, pathName: string|null, fileName: string}} scope
+   * @param {any} after - content about to be written (null = document removed)
+   * @param {Function} readBefore - async () => current content or null
+   */
+  async record(transactionId, scope, after, readBefore) {
+    const state = this.entries.get(transactionId);
+    if (!state) {
+      throw new Error(`Transaction ${transactionId} is not journaled`);
+    }
+    const key = this.scopeKey(scope);
+    const existing = state.entry.operations.find(operation => this.scopeKey(operation.scope) === key);
+    if (existing) {
+      existing.after = after ?? null;
+    } else {
+      state.entry.operations.push({ scope: this.normalizeScope(scope), before: (await readBefore()) ?? null, after: after ?? null });
+    }
+    await this.persist(transactionId);
+  }
+
+  /**
+   * Call right before the storage commit: from here on recovery completes the
+   * transaction, since storage may hold some or all of its writes.
+   */
+  async markCommitting(transactionId) {
+    const state = this.entries.get(transactionId);
+    if (!state || state.entry.operations.length === 0) return;
+    state.entry.status = JOURNAL_CONSTANTS.STATUS.COMMITTING;
+    await this.persist(transactionId);
+  }
+
+  async markCommitted(transactionId) {
+    const state = this.entries.get(transactionId);
+    if (!state || state.entry.operations.length === 0) return;
+    state.entry.status = JOURNAL_CONSTANTS.STATUS.COMMITTED;
+    state.entry.committed_at = new Date().toISOString();
+    await this.persist(transactionId);
+  }
+
+  /**
+   * Forget a finished transaction (committed to storage or rolled back).
+   */
+  async close(transactionId) {
+    const state = this.entries.get(transactionId);
+    this.entries.delete(transactionId);
+    if (state) await state.writing.catch(() => {});
+    await fs.rm(this.entryPath(transactionId), { force: true });
+  }
+
+  async persist(transactionId) {
+    const state = this.entries.get(transactionId);
+    // Serialize writes of the same entry; each one is write + fsync + rename
+    state.writing = state.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(this.journalDir, { recursive: true });
+      const filePath = this.entryPath(transactionId);
+      const tempPath = `${filePath}.tmp`;
+      const handle = await fs.open(tempPath, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(state.entry), 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, filePath);
+    });
+    await state.writing;
+  }
+
+  /**
+   * Journal entries left on disk by transactions that never finished.
+   * Unreadable entries are reported with an `error` instead of operations.
+   */
+  async listInterrupted() {
+    let files;
+    try {
+      files = await fs.readdir(this.journalDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const interrupted = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      const id = file.slice(0, -'.json'.length);
+      if (this.entries.has(id)) continue; // still running in this process
+      try {
+        interrupted.push(JSON.parse(await fs.readFile(path.join(this.journalDir, file), 'utf8')));
+      } catch (error) {
+        interrupted.push({ id, status: 'unreadable', operations: [], error: error.message });
+      }
+    }
+    return interrupted;
+  }
+
+  /**
+   * Complete transactions that reached the storage commit and discard the
+   * rest. A pending entry's writes were still staged in memory, so nothing of
+   * it is in storage; writing its before content back would overwrite newer
+   * writes made outside the transaction.
+   * @param {import('./storage-adapters/IStorageAdapter.js').default} storage
+   * @returns {Promise<Array<{id: string, label: string|null, action: string, operations: number, projects: string[]}>>}
+   */
+  async recover(storage) {
+    const results = [];
+    for (const entry of await this.listInterrupted()) {
+      const projects = [...new Set(entry.operations.map(operation => operation.scope.projectId).filter(Boolean))];
+      const { COMMITTING, COMMITTED } = JOURNAL_CONSTANTS.STATUS;
+      if (entry.status !== COMMITTING && entry.status !== COMMITTED) {
+        // Pending, or torn by a crash mid-write: the transaction never touched storage
+        await fs.rm(this.entryPath(entry.id), { force: true });
+        results.push({ id: entry.id, label: entry.label || null, action: 'discarded', operations: 0, projects });
+        continue;
+      }
+
+      for (const operation of entry.operations) {
+        if (operation.after === null) {
+          await storage.remove(operation.scope);
+        } else {
+          await storage.write(operation.scope, operation.after);
+        }
+      }
+      await fs.rm(this.entryPath(entry.id), { force: true });
+      results.push({
+        id: entry.id,
+        label: entry.label || null,
+        action: 'completed',
+        operations: entry.operations.length,
+        projects,
+      });
+    }
+    return results;
+  }
+
+  normalizeScope({ projectId = null, pathName = null, fileName }) {
+    return { projectId: projectId || null, pathName: projectId ? pathName || null : null, fileName };
+  }
+
+  scopeKey(scope) {
+    const { projectId, pathName, fileName } = this.normalizeScope(scope);
+    return `${projectId || ''}/${pathName || ''}/${fileName}`;
+  }
+}
+
+export default WriteAheadJournal;
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark: ANN index vs brute force
+ * Compares query latency and recall@k of the HNSW index against exact
+ * cosine search, in memory and through SQLiteVecProvider, on synthetic
+ * embedding-like vectors.
+ *
+ * Usage: node ___stage1/scripts/benchmark-vector-index.js [--vectors 100000] [--dimension 384]
+ *        [--queries 100] [--k 10] [--no-memory] [--no-sqlite]
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { HNSWIndex, ANN_DEFAULTS } from '../utils/hnsw-index.js';
+import SQLiteVecProvider from '../modules/vector-providers/SQLiteVecProvider.js';
+
+function parseArgs(argv) {
+  const options = { vectors: 100000, dimension: 384, queries: 100, k: 10, memory: true, sqlite: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--no-sqlite') options.sqlite = false;
+    else if (arg === '--no-memory') options.memory = false;
+    else if (arg.startsWith('--')) options[arg.slice(2)] = Number(argv[++i]);
+  }
+  return options;
+}
+
+// Seeded so runs are comparable
+function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Text embeddings have a low intrinsic dimension: vectors are mixtures of a
+ * few latent factors plus noise. Isotropic noise in 384 dimensions would make
+ * all neighbours nearly equidistant, which no ANN index handles well.
+ */
+function createGenerator(dimension, random, factors = 32) {
+  const basis = Array.from({ length: factors }, () => Float32Array.from({ length: dimension }, () => gaussian(random)));
+  return count => Array.from({ length: count }, () => {
+    const vector = new Float32Array(dimension);
+    for (const direction of basis) {
+      const weight = gaussian(random);
+      for (let d = 0; d < dimension; d++) vector[d] += weight * direction[d];
+    }
+    for (let d = 0; d < dimension; d++) vector[d] += gaussian(random);
+    return vector;
+  });
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, value => value / norm);
+}
+
+function bruteForce(normalized, query, k) {
+  const q = normalize(query);
+  const best = [];
+  for (let i = 0; i < normalized.length; i++) {
+    const vector = normalized[i];
+    let similarity = 0;
+    for (let d = 0; d < q.length; d++) similarity += vector[d] * q[d];
+    if (best.length < k || similarity > best[best.length - 1].similarity) {
+      best.push({ id: `v${i}`, similarity });
+      best.sort((a, b) => b.similarity - a.similarity);
+      if (best.length > k) best.pop();
+    }
+  }
+  return best;
+}
+
+async function timeQueries(queries, run) {
+  const latencies = [];
+  const results = [];
+  for (const query of queries) {
+    const started = process.hrtime.bigint();
+    results.push(await run(query));
+    latencies.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  latencies.sort((a, b) => a - b);
+  return {
+    results,
+    meanMs: latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length,
+    p95Ms: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+  };
+}
+
+function recall(expected, actual) {
+  let found = 0;
+  let total = 0;
+  expected.forEach((hits, i) => {
+    const ids = new Set(actual[i].map(hit => hit.id));
+    found += hits.filter(hit => ids.has(hit.id)).length;
+    total += hits.length;
+  });
+  return total ? found / total : 1;
+}
+
+function report(label, timing, exactTiming, recallValue) {
+  const speedup = exactTiming ? ` (${(exactTiming.meanMs / timing.meanMs).toFixed(1)}x)` : '';
+  const recallText = recallValue === undefined ? '' : `  recall@k ${(recallValue * 100).toFixed(1)}%`;
+  console.log(`  ${label.padEnd(24)} mean ${timing.meanMs.toFixed(2).padStart(8)} ms  p95 ${timing.p95Ms.toFixed(2).padStart(8)} ms${speedup}${recallText}`);
+}
+
+async function benchmarkSQLite(vectors, queries, exact, options) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-ann-bench-'));
+  const provider = new SQLiteVecProvider({
+    dbPath: path.join(dir, 'forest_vectors.sqlite'),
+    dimension: options.dimension,
+    ann: { ...ANN_DEFAULTS, enabled: false }
+  });
+  try {
+    await provider.initialize();
+    const started = Date.now();
+    await provider._run('BEGIN');
+    for (let i = 0; i < vectors.length; i++) {
+      await provider._run(
+        `INSERT INTO vectors (id, vector, metadata) VALUES (?, ?, ?)`,
+        [`v${i}`, Buffer.from(vectors[i].buffer), JSON.stringify({ type: i % 2 ? 'task' : 'branch' })]
+      );
+    }
+    await provider._run('COMMIT');
+    console.log(`  inserted ${vectors.length} rows in ${((Date.now() - started) / 1000).toFixed(1)} s`);
+
+    const queryOptions = { limit: options.k, threshold: -1 };
+    const brute = await timeQueries(queries, query => provider.queryVectors(Array.from(query), queryOptions));
+
+    provider.ann.enabled = true;
+    const built = await provider.rebuildIndex();
+    console.log(`  index built and persisted in ${(built.buildMs / 1000).toFixed(1)} s`);
+    const file = await fs.stat(provider._annIndexPath());
+    console.log(`  index file ${(file.size / 1024 / 1024).toFixed(1)} MB`);
+    const indexed = await timeQueries(queries, query => provider.queryVectors(Array.from(query), queryOptions));
+
+    report('SQLite brute force', brute, null, recall(exact, brute.results));
+    report('SQLite HNSW', indexed, brute, recall(exact, indexed.results));
+  } finally {
+    await provider.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const random = createRandom();
+  console.log(`Vector index benchmark: ${options.vectors} vectors, dimension ${options.dimension}, ${options.queries} queries, k=${options.k}`);
+
+  const generate = createGenerator(options.dimension, random);
+  const vectors = generate(options.vectors);
+  const queries = generate(options.queries);
+  const normalized = vectors.map(normalize);
+
+  const exact = await timeQueries(queries, query => bruteForce(normalized, query, options.k));
+
+  if (options.memory) {
+    const index = new HNSWIndex({ dimension: options.dimension, M: ANN_DEFAULTS.M, efConstruction: ANN_DEFAULTS.efConstruction, efSearch: ANN_DEFAULTS.efSearch });
+    const started = Date.now();
+    vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+    console.log(`\nIn memory (HNSW M=${ANN_DEFAULTS.M}, efConstruction=${ANN_DEFAULTS.efConstruction}), built in ${((Date.now() - started) / 1000).toFixed(1)} s`);
+
+    report('brute force', exact);
+    for (const ef of [32, 64, 128, 256]) {
+      const timing = await timeQueries(queries, query => index.search(query, options.k, { ef }));
+      report(`HNSW efSearch=${ef}`, timing, exact, recall(exact.results, timing.results));
+    }
+  }
+
+  if (options.sqlite) {
+    console.log(`\nSQLiteVecProvider.queryVectors (efSearch=${ANN_DEFAULTS.efSearch})`);
+    await benchmarkSQLite(vectors, queries, exact.results, options);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Move project data between storage adapters
+ *
+ * Usage:
+ *   node ___stage1/scripts/migrate-storage.js --from filesystem --to sqlite
+ *   node ___stage1/scripts/migrate-storage.js --from sqlite --to filesystem --project my_project --overwrite
+ *
+ * Options:
+ *   --from <adapter>   Source adapter (filesystem | sqlite)
+ *   --to <adapter>     Target adapter (filesystem | sqlite)
+ *   --data-dir <dir>   Data directory (default: FOREST_DATA_DIR or ~/.forest-data)
+ *   --project <id>     Only migrate this project (repeatable)
+ *   --overwrite        Replace projects that already exist in the target
+ *   --dry-run          Report what would be migrated without writing
+ *
+ * The source is left untouched. Set FOREST_STORAGE_ADAPTER to the target
+ * adapter afterwards to start using it.
+ */
+
+import path from 'path';
+import os from 'os';
+import { createStorageAdapter, StorageMigrator } from '../modules/storage-adapters/index.js';
+
+class StorageMigration {
+  constructor(argv) {
+    this.options = this.parseArgs(argv);
+  }
+
+  parseArgs(argv) {
+    const options = {
+      from: null,
+      to: null,
+      dataDir: process.env.FOREST_DATA_DIR || path.join(os.homedir(), '.forest-data'),
+      projectIds: [],
+      overwrite: false,
+      dryRun: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+      switch (argv[i]) {
+        case '--from': options.from = argv[++i]; break;
+        case '--to': options.to = argv[++i]; break;
+        case '--data-dir': options.dataDir = argv[++i]; break;
+        case '--project': options.projectIds.push(argv[++i]); break;
+        case '--overwrite': options.overwrite = true; break;
+        case '--dry-run': options.dryRun = true; break;
+        default: throw new Error(`Unknown option: ${argv[i]}`);
+      }
+    }
+    if (!options.from || !options.to) {
+      throw new Error('Both --from and --to are required');
+    }
+    if (options.from === options.to) {
+      throw new Error('--from and --to must name different adapters');
+    }
+    return options;
+  }
+
+  async run() {
+    const { from, to, dataDir, projectIds, overwrite, dryRun } = this.options;
+    const source = createStorageAdapter(from, dataDir);
+    const target = createStorageAdapter(to, dataDir);
+
+    console.log(`🔄 Migrating project data: ${from} → ${to}`);
+    console.log(`📁 Data directory: ${dataDir}`);
+    if (dryRun) console.log('🔍 Dry run: nothing will be written');
+
+    try {
+      const report = await new StorageMigrator(source, target).migrate({
+        projectIds: projectIds.length > 0 ? projectIds : null,
+        overwrite,
+        dryRun,
+      });
+      this.printReport(report);
+      return report.projects.some(project => project.status === 'failed' || project.status === 'missing') ? 1 : 0;
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  }
+
+  printReport(report) {
+    console.log(`\n📊 Migration Results (${report.source.location} → ${report.target.location}):`);
+    console.log('=====================================');
+    if (report.projects.length === 0) {
+      console.log('No projects found in the source storage.');
+    }
+    for (const project of report.projects) {
+      const detail = project.error ? ` — ${project.error}` : ` (${project.documents} documents)`;
+      console.log(`  ${project.status.padEnd(8)} ${project.projectId}${detail}`);
+    }
+    console.log(`Global config: ${report.globalConfig}`);
+  }
+}
+
+// Run migration if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const migration = new StorageMigration(process.argv.slice(2));
+    migration.run()
+      .then(code => process.exit(code))
+      .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+      });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export { StorageMigration };
@@ -0,0 +1,54 @@
+import {
+  CALIBRATION_CONSTANTS,
+  buildCalibrationModel,
+  getCalibration,
+  summarizeAccuracy,
+} from '../duration-calibration.js';
+
+const samples = [
+  { task_type: 'practice', base_estimated_minutes: 10, estimated_minutes: 10, actual_minutes: 20, completed_at: '2026-03-02T10:00:00.000Z' },
+  { task_type: 'practice', base_estimated_minutes: 10, estimated_minutes: 10, actual_minutes: 20, completed_at: '2026-03-03T10:00:00.000Z' },
+  { task_type: 'practice', base_estimated_minutes: 10, estimated_minutes: 15, actual_minutes: 20, completed_at: '2026-03-10T10:00:00.000Z' },
+  { task_type: 'learning', base_estimated_minutes: 30, estimated_minutes: 30, actual_minutes: 30, completed_at: '2026-03-11T10:00:00.000Z' },
+  { task_type: 'learning', base_estimated_minutes: 0, actual_minutes: 30 },
+];
+
+describe('Duration calibration', () => {
+  test('shrinks observed ratios towards the overall ratio and that towards 1', () => {
+    const model = buildCalibrationModel(samples);
+
+    expect(model.sample_count).toBe(4);
+    expect(model.overall).toEqual({ samples: 4, ratio: 1.26, spread: 0.3, mean_abs_error: 0.31 });
+    // Every practice task took twice the base estimate, but three samples only move it half way
+    expect(model.types.practice).toEqual({ samples: 3, ratio: 1.5, spread: 0, mean_abs_error: 0.42 });
+    // A single on-estimate learning task is pulled up by the overall ratio and has no spread yet
+    expect(model.types.learning).toMatchObject({ samples: 1, ratio: 1.21, spread: null });
+  });
+
+  test('clamps extreme ratios', () => {
+    const model = buildCalibrationModel(Array.from({ length: 50 }, () => (
+      { task_type: 'general', base_estimated_minutes: 5, actual_minutes: 500 }
+    )));
+    expect(model.types.general.ratio).toBe(CALIBRATION_CONSTANTS.MAX_RATIO);
+  });
+
+  test('getCalibration falls back to the overall entry and is empty without history', () => {
+    const model = buildCalibrationModel(samples);
+    expect(getCalibration(model, 'practice')).toBe(model.types.practice);
+    expect(getCalibration(model, 'debugging')).toBe(model.overall);
+    expect(getCalibration(buildCalibrationModel([]), 'practice')).toBeNull();
+    expect(getCalibration(undefined, 'practice')).toBeNull();
+  });
+
+  test('summarizeAccuracy reports shown estimates per week and task type', () => {
+    const accuracy = summarizeAccuracy(samples);
+
+    expect(accuracy.overall).toEqual({ samples: 4, mean_abs_error: 0.31, median_ratio: 2, on_target: 0.5 });
+    expect(accuracy.weeks).toEqual([
+      { week_start: '2026-03-02', samples: 2, mean_abs_error: 0.5, median_ratio: 2, on_target: 0 },
+      { week_start: '2026-03-09', samples: 2, mean_abs_error: 0.13, median_ratio: 1.33, on_target: 1 },
+    ]);
+    expect(accuracy.task_types.map(type => [type.task_type, type.samples])).toEqual([['practice', 3], ['learning', 1]]);
+    expect(summarizeAccuracy([])).toEqual({ overall: null, weeks: [], task_types: [] });
+  });
+});
@@ -0,0 +1,74 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { EmbeddingService, createEmbeddingProvider } from '../embedding-service.js';
+import { tokenize, stem } from '../text-tokenizer.js';
+
+describe('Embedding service', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-embeddings-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const config = (provider, providers = {}) => ({
+    provider,
+    fallbackProvider: 'tfidf',
+    cacheDir: path.join(tempDir, 'cache'),
+    dimension: providers[provider]?.dimension,
+    providers: {
+      tfidf: { dimension: 128 },
+      deterministic: { dimension: 96 },
+      ...providers,
+    },
+  });
+
+  test('tokenizes and stems words without stop words', () => {
+    expect(tokenize('Practicing the Open Chords, twice!')).toEqual(['practic', 'open', 'chord', 'twic']);
+    expect(['practice', 'practiced', 'practices'].map(stem)).toEqual(['practic', 'practic', 'practic']);
+    expect(stem('class')).toBe('class');
+  });
+
+  test('embeds with the configured provider and its dimension', async () => {
+    const service = new EmbeddingService(config('tfidf', { tfidf: { dimension: 128 } }));
+    const vector = await service.embedText('Practice open chords');
+
+    expect(vector).toHaveLength(128);
+    expect(service.getDimension()).toBe(128);
+    expect(service.getProviderInfo()).toMatchObject({ provider: 'tfidf', configured: 'tfidf', fallbackUsed: false });
+    expect(await service.embedText('')).toEqual(new Array(128).fill(0));
+    await expect(service.embed(42)).rejects.toThrow('text must be a string');
+  });
+
+  test('falls back to the offline provider at the configured dimension', async () => {
+    const service = new EmbeddingService(config('local', {
+      local: { modelPath: path.join(tempDir, 'missing-model'), dimension: 384 },
+    }));
+    const info = await service.initialize();
+
+    expect(info).toMatchObject({ provider: 'tfidf', configured: 'local', fallbackUsed: true, dimension: 384 });
+    expect(info.error).toMatch(/Local embedding model not found/);
+    expect(await service.embedText('Practice open chords')).toHaveLength(384);
+  });
+
+  test('caches cacheable providers on disk per provider and dimension', async () => {
+    const service = new EmbeddingService(config('deterministic', { deterministic: { dimension: 96 } }));
+    const first = await service.embedText('Practice open chords');
+    const files = await fs.readdir(path.join(tempDir, 'cache'));
+    expect(files).toHaveLength(1);
+
+    expect(await service.embedText('Practice open chords', 48)).toHaveLength(48);
+    expect(await fs.readdir(path.join(tempDir, 'cache'))).toHaveLength(2);
+
+    const fresh = new EmbeddingService(config('deterministic', { deterministic: { dimension: 96 } }));
+    expect(await fresh.embedText('Practice open chords')).toEqual(first);
+  });
+
+  test('rejects unknown providers by name', () => {
+    expect(() => createEmbeddingProvider('word2vec')).toThrow(/Unknown embedding provider "word2vec"/);
+  });
+});
@@ -0,0 +1,55 @@
+import {
+  embeddingMetadata,
+  vectorSignature,
+  compareSignature,
+  summarizeEmbeddingSignatures,
+  describeCompatibility,
+} from '../embedding-signature.js';
+
+const expected = { provider: 'tfidf', model: 'hashing-tfidf', dimension: 4 };
+const stamped = (id, signature, length = signature.dimension) => ({
+  id,
+  vector: new Array(length).fill(0.5),
+  metadata: { type: 'task', ...embeddingMetadata(signature) },
+});
+
+describe('Embedding signature', () => {
+  test('records provider, model and the actual vector length', () => {
+    expect(embeddingMetadata(expected, [1, 2, 3])).toEqual({
+      embedding_provider: 'tfidf',
+      embedding_model: 'hashing-tfidf',
+      embedding_dimension: 3,
+    });
+    expect(vectorSignature({ vector: [1, 2], metadata: {} })).toEqual({ provider: null, model: null, dimension: 2 });
+  });
+
+  test('compares dimension first, then provider and model', () => {
+    expect(compareSignature({ provider: 'tfidf', model: 'hashing-tfidf', dimension: 4 }, expected)).toBe('match');
+    expect(compareSignature({ provider: null, model: null, dimension: 8 }, expected)).toBe('mismatch');
+    expect(compareSignature({ provider: null, model: null, dimension: 4 }, expected)).toBe('unstamped');
+    expect(compareSignature({ provider: 'openai', model: 'text-embedding-3-small', dimension: 4 }, expected)).toBe('mismatch');
+    expect(compareSignature({ provider: 'local', model: 'other-model', dimension: 4 }, { ...expected, provider: 'local' })).toBe('mismatch');
+  });
+
+  test('summarizes a store and ignores bookkeeping vectors', () => {
+    expect(summarizeEmbeddingSignatures([], expected)).toMatchObject({ status: 'empty', compatible: true, total: 0 });
+
+    const entries = [
+      stamped('p:goal', expected),
+      stamped('p:task:a', expected),
+      stamped('p:task:b', { provider: 'openai', model: 'text-embedding-3-small', dimension: 8 }),
+      { id: 'p:task:c', vector: [0, 0, 0, 1], metadata: { type: 'task' } },
+      { id: 'test_1', vector: [1], metadata: { type: 'test' } },
+    ];
+    const report = summarizeEmbeddingSignatures(entries, expected);
+
+    expect(report).toMatchObject({ status: 'mismatch', compatible: false, total: 4, matching: 2, mismatched: 1, unstamped: 1 });
+    expect(report.signatures[0]).toMatchObject({ provider: 'tfidf', count: 2, compatible: true });
+    expect(describeCompatibility(report)).toBe('2 of 4 vectors were embedded with openai/text-embedding-3-small/8 (1), unknown/unknown/4 (1), not tfidf/hashing-tfidf/4');
+
+    const unverified = summarizeEmbeddingSignatures(entries.filter(entry => entry.id !== 'p:task:b'), expected);
+    expect(unverified).toMatchObject({ status: 'unverified', compatible: false });
+    expect(describeCompatibility(unverified)).toContain('1 of 3 vectors predate embedding signatures');
+    expect(describeCompatibility(summarizeEmbeddingSignatures(entries.slice(0, 2), expected))).toBe('All 2 vectors use tfidf/hashing-tfidf/4');
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  planRemainingWork,
+  measureVelocity,
+  assumedDailyCapacity,
+  simulateCompletion,
+  addDays,
+} from '../goal-forecast.js';
+
+describe('Goal forecast', () => {
+  const minutes = { a: 30, b: 60, c: 20, d: 45, e: 10 };
+  const minutesFor = task => minutes[task.id];
+
+  describe('planRemainingWork', () => {
+    test('finds the critical path and orders its head first', () => {
+      const plan = planRemainingWork([
+        { id: 'e', title: 'Warm-up', priority: 1 },
+        { id: 'a', title: 'Scales', priority: 2 },
+        { id: 'b', title: 'Chords', prerequisites: ['a'] },
+        { id: 'c', title: 'Strumming', prerequisites: ['Chords'] },
+        { id: 'd', title: 'Picking', prerequisites: ['a'] },
+      ], minutesFor);
+
+      expect(plan.critical_path).toEqual({ task_ids: ['a', 'b', 'c'], minutes: 110 });
+      expect(plan.order.map(entry => [entry.id, entry.finish_minutes])).toEqual([
+        ['a', 30], ['b', 90], ['d', 135], ['c', 155], ['e', 165],
+      ]);
+      expect(plan.total_minutes).toBe(165);
+      expect(plan.cycle_blocked).toEqual([]);
+    });
+
+    test('treats finished prerequisites as done and puts cycles last', () => {
+      const plan = planRemainingWork([
+        { id: 'b', title: 'Chords', prerequisites: ['finished-task', 'c'] },
+        { id: 'c', title: 'Strumming', prerequisites: ['b'] },
+        { id: 'e', title: 'Warm-up', prerequisites: ['finished-task'] },
+      ], minutesFor);
+
+      expect(plan.order.map(entry => entry.id)).toEqual(['e', 'b', 'c']);
+      expect(plan.cycle_blocked).toEqual(['b', 'c']);
+    });
+  });
+
+  test('measureVelocity buckets completions by day inside the window', () => {
+    const velocity = measureVelocity([
+      { task_id: 'a', completed_at: '2026-03-28T09:00:00.000Z' },
+      { task_id: 'b', completed_at: '2026-03-28T18:00:00.000Z' },
+      { task_id: 'c', completed_at: '2026-03-30T09:00:00.000Z' },
+      { task_id: 'd', completed_at: '2026-02-01T09:00:00.000Z' },
+    ], id => minutes[id], { asOf: '2026-03-30', windowDays: 7 });
+
+    expect(velocity.daily).toEqual([0, 0, 0, 0, 90, 0, 20]);
+    expect(velocity).toMatchObject({ completions: 3, minutes: 110, active_days: 2, minutes_per_day: 15.7 });
+  });
+
+  describe('simulateCompletion', () => {
+    test('is exact for constant throughput and repeatable for varied throughput', () => {
+      const steady = simulateCompletion([60], [0, 60, 150]);
+      expect(steady.targets).toEqual([
+        { p50_days: 0, p90_days: 0 },
+        { p50_days: 1, p90_days: 1 },
+        { p50_days: 3, p90_days: 3 },
+      ]);
+
+      const samples = assumedDailyCapacity(1);
+      expect(samples).toEqual([60, 60, 60, 60, 60, 0, 0]);
+      const first = simulateCompletion(samples, [600]);
+      const second = simulateCompletion(samples, [600]);
+      expect(first.targets).toEqual(second.targets);
+      expect(first.targets[0].p50_days).toBeGreaterThanOrEqual(10);
+      expect(first.targets[0].p90_days).toBeGreaterThanOrEqual(first.targets[0].p50_days);
+      expect(first.within(600, 10000)).toBe(1);
+    });
+
+    test('returns null without any throughput and null days past the horizon', () => {
+      expect(simulateCompletion([0, 0], [10])).toBeNull();
+      expect(simulateCompletion([1], [100], { maxDays: 10 }).targets[0]).toEqual({ p50_days: null, p90_days: null });
+    });
+  });
+
+  test('addDays crosses month ends in UTC', () => {
+    expect(addDays('2026-01-30', 3)).toBe('2026-02-02');
+  });
+});
@@ -0,0 +1,110 @@
+import { HNSWIndex } from '../hnsw-index.js';
+
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296 - 0.5;
+  };
+};
+
+const randomVectors = (count, dimension, seed = 7) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => Array.from({ length: dimension }, random));
+};
+
+const cosine = (a, b) => {
+  let dot = 0, ma = 0, mb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    ma += a[i] * a[i];
+    mb += b[i] * b[i];
+  }
+  return dot / Math.sqrt(ma * mb);
+};
+
+const exactTop = (vectors, query, k, accept = () => true) => vectors
+  .map((vector, i) => ({ id: `v${i}`, similarity: cosine(vector, query) }))
+  .filter(hit => accept(hit.id))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, k)
+  .map(hit => hit.id);
+
+describe('HNSWIndex', () => {
+  const dimension = 16;
+  const vectors = randomVectors(2000, dimension);
+  const queries = randomVectors(20, dimension, 99);
+  let index;
+
+  beforeAll(() => {
+    index = new HNSWIndex({ dimension });
+    vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+  });
+
+  const recall = (search, accept) => {
+    let found = 0;
+    for (const query of queries) {
+      const ids = new Set(search(query).map(hit => hit.id));
+      found += exactTop(vectors, query, 10, accept).filter(id => ids.has(id)).length;
+    }
+    return found / (queries.length * 10);
+  };
+
+  test('finds nearly the same neighbours as brute force', () => {
+    expect(index.size).toBe(2000);
+    expect(recall(query => index.search(query, 10))).toBeGreaterThanOrEqual(0.95);
+
+    const [best] = index.search(vectors[42], 1);
+    expect(best.id).toBe('v42');
+    expect(best.similarity).toBeCloseTo(1, 5);
+  });
+
+  test('filters results without losing recall', () => {
+    const accept = id => Number(id.slice(1)) % 3 === 0;
+    const hits = index.search(queries[0], 10, { filter: accept });
+    expect(hits).toHaveLength(10);
+    expect(hits.every(hit => accept(hit.id))).toBe(true);
+    expect(recall(query => index.search(query, 10, { filter: accept }), accept)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('round-trips through a buffer', () => {
+    const restored = HNSWIndex.fromBuffer(index.toBuffer());
+    expect(restored.stats()).toEqual(index.stats());
+    expect(restored.search(queries[3], 10)).toEqual(index.search(queries[3], 10));
+    expect(() => HNSWIndex.fromBuffer(Buffer.from('not an index'))).toThrow('not an index file');
+  });
+
+  test('removes, replaces and compacts', () => {
+    const small = new HNSWIndex({ dimension: 4 });
+    small.add('a', [1, 0, 0, 0]);
+    small.add('b', [0, 1, 0, 0]);
+    small.add('c', [0, 0, 1, 0]);
+    small.meta.generation = 3;
+
+    // Same vector: nothing changes
+    small.add('a', [2, 0, 0, 0]);
+    expect(small.stats()).toMatchObject({ vectors: 3, nodes: 3, deleted: 0 });
+
+    small.add('a', [0, 0, 0, 1]);
+    expect(small.search([0, 0, 0, 1], 1)[0].id).toBe('a');
+    expect(small.stats()).toMatchObject({ vectors: 3, nodes: 4, deleted: 1 });
+
+    expect(small.remove('b')).toBe(true);
+    expect(small.remove('b')).toBe(false);
+    expect(small.search([0, 1, 0, 0], 3).map(hit => hit.id)).not.toContain('b');
+    expect(small.idsWithPrefix()).toEqual(['c', 'a']);
+    expect(small.needsCompaction()).toBe(true);
+
+    const compacted = small.compact();
+    expect(compacted.stats()).toMatchObject({ vectors: 2, nodes: 2, deleted: 0 });
+    expect(compacted.meta).toEqual({ generation: 3 });
+    expect(compacted.search([0, 0, 1, 0], 1)[0].id).toBe('c');
+  });
+
+  test('rejects vectors of another dimension', () => {
+    expect(() => new HNSWIndex({ dimension: 0 })).toThrow('dimension must be a positive integer');
+    expect(() => index.add('x', [1, 2, 3])).toThrow('expected 16 dimensions, got 3');
+    expect(() => index.search([1, 2, 3], 5)).toThrow('expected 16 dimensions, got 3');
+    expect(new HNSWIndex({ dimension: 2 }).search([1, 0], 5)).toEqual([]);
+  });
+});
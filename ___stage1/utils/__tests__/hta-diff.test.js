@@ -0,0 +1,142 @@
+import { diffHTATrees, formatHTADiff, titleSimilarity } from '../hta-diff.js';
+
+describe('HTA diff', () => {
+  const baseTree = () => ({
+    goal: 'Learn piano',
+    strategicBranches: [
+      { name: 'Foundations', priority: 1 },
+      { name: 'Repertoire', priority: 2 },
+    ],
+    frontierNodes: [
+      { id: 't1', title: 'Learn major scales', branch: 'Foundations', priority: 200, difficulty: 2, prerequisites: [] },
+      { id: 't2', title: 'Practice chord inversions', branch: 'Foundations', priority: 180, difficulty: 3, prerequisites: ['t1'] },
+      { id: 't3', title: 'Play a simple song', branch: 'Repertoire', priority: 150, difficulty: 3, prerequisites: ['t2'] },
+    ],
+  });
+
+  test('reports no changes for identical trees', () => {
+    const diff = diffHTATrees(baseTree(), baseTree());
+
+    expect(diff.summary.has_changes).toBe(false);
+    expect(formatHTADiff(diff)).toContain('no structural changes');
+  });
+
+  test('reports added and removed nodes with affected dependents', () => {
+    const after = baseTree();
+    after.frontierNodes = after.frontierNodes.filter(node => node.id !== 't1');
+    after.frontierNodes.push({ id: 't4', title: 'Sight-read etudes', branch: 'Repertoire' });
+
+    const diff = diffHTATrees(baseTree(), after);
+
+    expect(diff.added.map(node => node.id)).toEqual(['t4']);
+    expect(diff.removed).toEqual([
+      expect.objectContaining({ id: 't1', dependents: ['t2', 't3'] }),
+    ]);
+  });
+
+  test('reports modified fields', () => {
+    const after = baseTree();
+    after.frontierNodes[2].priority = 250;
+    after.frontierNodes[2].difficulty = 4;
+
+    const diff = diffHTATrees(baseTree(), after);
+
+    expect(diff.modified).toHaveLength(1);
+    expect(diff.modified[0]).toMatchObject({
+      id: 't3',
+      match: 'id',
+      changes: [
+        { field: 'priority', before: 150, after: 250 },
+        { field: 'difficulty', before: 3, after: 4 },
+      ],
+    });
+    expect(diff.moved).toHaveLength(0);
+  });
+
+  test('reports branch and prerequisite moves', () => {
+    const after = baseTree();
+    after.frontierNodes[1].branch = 'Repertoire';
+    after.frontierNodes[2].prerequisites = ['t1'];
+
+    const diff = diffHTATrees(baseTree(), after);
+
+    expect(diff.moved.map(node => node.id)).toEqual(['t2', 't3']);
+    expect(diff.moved[0].from.branch).toBe('Foundations');
+    expect(diff.moved[0].to.branch).toBe('Repertoire');
+    expect(diff.moved[1].to.prerequisites).toEqual(['t1']);
+  });
+
+  test('reports reparented subtasks', () => {
+    const before = baseTree();
+    before.frontierNodes[0].subtasks = [{ id: 's1', title: 'C major', branch: 'Foundations' }];
+    const after = baseTree();
+    after.frontierNodes[1].subtasks = [{ id: 's1', title: 'C major', branch: 'Foundations' }];
+
+    const diff = diffHTATrees(before, after);
+
+    expect(diff.moved).toEqual([
+      expect.objectContaining({ id: 's1', from: expect.objectContaining({ parent: 't1' }), to: expect.objectContaining({ parent: 't2' }) }),
+    ]);
+  });
+
+  test('pairs regenerated nodes by title similarity', () => {
+    const after = baseTree();
+    after.frontierNodes[1] = { ...after.frontierNodes[1], id: 'evo_1', title: 'Practice all chord inversions' };
+    after.frontierNodes[2].prerequisites = ['evo_1'];
+
+    const diff = diffHTATrees(baseTree(), after);
+
+    expect(diff.added).toHaveLength(0);
+    expect(diff.removed).toHaveLength(0);
+    // The dependent's prerequisite points at the regenerated node, so it has not moved
+    expect(diff.moved).toHaveLength(0);
+    expect(diff.modified).toEqual([
+      expect.objectContaining({ id: 'evo_1', previous_id: 't2', match: 'title', similarity: 0.75 }),
+    ]);
+  });
+
+  test('does not pair dissimilar titles', () => {
+    const after = baseTree();
+    after.frontierNodes[1] = { ...after.frontierNodes[1], id: 'evo_1', title: 'Record a performance' };
+
+    const diff = diffHTATrees(baseTree(), after);
+
+    expect(diff.summary).toMatchObject({ added: 1, removed: 1, matched_by_title: 0 });
+  });
+
+  test('follows branch renames without reporting task moves', () => {
+    const renameBranch = (hta, from, to) => {
+      hta.strategicBranches.forEach(branch => {
+        if (branch.name === from) branch.name = to;
+      });
+      hta.frontierNodes.forEach(node => {
+        if (node.branch === from) node.branch = to;
+      });
+      return hta;
+    };
+    const before = renameBranch(baseTree(), 'Foundations', 'Piano Foundations');
+    const after = renameBranch(baseTree(), 'Foundations', 'Piano Technique Foundations');
+    after.strategicBranches.push({ name: 'Improvisation' });
+
+    const diff = diffHTATrees(before, after);
+
+    expect(diff.moved).toHaveLength(0);
+    expect(diff.branches.added).toEqual([{ name: 'Improvisation' }]);
+    expect(diff.branches.modified).toEqual([
+      expect.objectContaining({ name: 'Piano Technique Foundations', previous_name: 'Piano Foundations', match: 'title' }),
+    ]);
+    expect(formatHTADiff(diff)).toContain('Piano Foundations → Piano Technique Foundations');
+  });
+
+  test('treats a missing tree as empty', () => {
+    const diff = diffHTATrees(null, baseTree());
+
+    expect(diff.summary).toMatchObject({ nodes_before: 0, nodes_after: 3, added: 3, branches_added: 2 });
+  });
+
+  test('scores title similarity by shared words', () => {
+    expect(titleSimilarity('Learn major scales', 'learn MAJOR scales!')).toBe(1);
+    expect(titleSimilarity('Learn scales', 'Play songs')).toBe(0);
+    expect(titleSimilarity('', '')).toBe(0);
+  });
+});
@@ -0,0 +1,106 @@
+import { BM25Index } from '../bm25-index.js';
+import {
+  reciprocalRankFusion,
+  normalizedFusion,
+  rankTasksLexically,
+  buildSearchDocuments,
+  normalizeSearchFilters,
+  matchesSearchFilters,
+  searchSnippet,
+} from '../hybrid-search.js';
+
+describe('Hybrid search', () => {
+  const tree = {
+    goal: 'Learn guitar',
+    strategicBranches: [{ name: 'Foundations', description: 'Chords and rhythm' }, { name: 'Theory' }],
+    frontierNodes: [
+      { id: 'open', title: 'Practice open chords', description: 'C, G and D shapes', branch: 'Foundations' },
+      { id: 'barre', title: 'Barre chords', description: 'F major barre on the first fret', branch: 'Foundations' },
+      { id: 'intervals', title: 'Intervals', description: 'Hear and name intervals', branch: 'Theory', learningOutcome: 'Recognize a perfect fifth' },
+    ],
+  };
+
+  test('BM25 favours rare terms, weighted fields and short documents', () => {
+    const index = new BM25Index({ fieldWeights: { title: 3, description: 1 } });
+    index.add('a', { title: 'Barre chords', description: 'Practice every day' });
+    index.add('b', { title: 'Open chords', description: 'Practice the barre shape later, slowly, with a metronome and patience' });
+    index.add('c', { title: 'Scales', description: 'Practice major scales' });
+
+    expect(index.search('barre').map(hit => hit.id)).toEqual(['a', 'b']);
+    expect(index.idf('barr')).toBeGreaterThan(index.idf('practic'));
+    expect(index.search('barre')[0].matched).toEqual(['barr']);
+    expect(index.search('the of')).toEqual([]);
+
+    index.remove('a');
+    expect(index.size).toBe(2);
+    expect(index.search('barre').map(hit => hit.id)).toEqual(['b']);
+    expect(index.search('practice', { filter: id => id !== 'c' }).map(hit => hit.id)).toEqual(['b']);
+  });
+
+  test('fuses rankings by reciprocal rank', () => {
+    const fused = reciprocalRankFusion({ lexical: ['a', 'b', 'c'], vector: ['b', 'd'] }, { k: 60 });
+
+    expect(fused.map(entry => entry.id)).toEqual(['b', 'a', 'd', 'c']);
+    expect(fused[0]).toMatchObject({ ranks: { lexical: 2, vector: 1 } });
+    expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 61, 10);
+    // Ties go to the better single rank
+    expect(reciprocalRankFusion({ x: ['p', 'q'], y: ['q', 'p'] }).map(entry => entry.id)).toEqual(['p', 'q']);
+
+    const normalized = normalizedFusion({ lexical: ['a', 'b'] });
+    expect(normalized.get('a')).toBe(1);
+    expect(normalized.get('b')).toBeCloseTo(61 / 62, 10);
+  });
+
+  test('ranks tasks by title, description and outcome', () => {
+    expect(rankTasksLexically(tree.frontierNodes, 'fifth').map(hit => hit.id)).toEqual(['intervals']);
+    expect(rankTasksLexically(tree.frontierNodes, 'chord', { idOf: task => `p:task:${task.id}` }).map(hit => hit.id))
+      .toEqual(expect.arrayContaining(['p:task:open', 'p:task:barre']));
+  });
+
+  test('builds documents for the tree, completion notes and breakthroughs', () => {
+    const completions = [
+      { task_id: 'open', completed_at: '2026-04-02T10:00:00.000Z', learned: 'G needs the pinky', next_questions: 'How to switch faster?', breakthrough: true },
+      { task_id: 'barre', completed_at: '2026-04-05T10:00:00.000Z', learned: '' },
+      { task_id: 'review:open', completed_at: '2026-04-08T10:00:00.000Z', learned: 'Switching is smoother', review: true },
+    ];
+    const history = { completedTopics: [{ id: 'old', title: 'Tuning', completedAt: '2026-03-01T10:00:00.000Z', learned: 'Use a clip-on tuner' }] };
+    const docs = buildSearchDocuments({ htaData: tree, completions, learningHistory: history });
+    const byId = new Map(docs.map(doc => [doc.id, doc]));
+
+    expect(docs.filter(doc => doc.type === 'task').map(doc => [doc.task_id, doc.completed, doc.date])).toEqual([
+      ['open', true, '2026-04-02T10:00:00.000Z'],
+      ['barre', true, '2026-04-05T10:00:00.000Z'],
+      ['intervals', false, null],
+    ]);
+    expect(byId.get('completion:0')).toMatchObject({ type: 'completion', title: 'Practice open chords', branch: 'Foundations' });
+    expect(byId.get('completion:0').text).toContain('How to switch faster?');
+    expect(byId.has('completion:1')).toBe(false);
+    expect(byId.get('completion:2').title).toBe('Review: Practice open chords');
+    expect(byId.get('breakthrough:0').fields.insight).toBe('G needs the pinky');
+    expect(byId.get('completion:3')).toMatchObject({ title: 'Tuning', task_id: 'old', branch: 'General' });
+    expect(byId.get('branch:Foundations').fields.description).toBe('Chords and rhythm');
+  });
+
+  test('filters by type, branch, status and date', () => {
+    const docs = buildSearchDocuments({
+      htaData: tree,
+      completions: [{ task_id: 'open', completed_at: '2026-04-02T10:00:00.000Z', learned: 'G needs the pinky' }],
+    });
+    const ids = filters => docs.filter(doc => matchesSearchFilters(doc, normalizeSearchFilters(filters))).map(doc => doc.id);
+
+    expect(ids({ type: 'task', status: 'pending' })).toEqual(['task:barre', 'task:intervals']);
+    expect(ids({ type: ['task', 'completion'], branch: 'foundations', status: 'completed' })).toEqual(['task:open', 'completion:0']);
+    expect(ids({ from: '2026-04-02', to: '2026-04-02' })).toEqual(['task:open', 'completion:0']);
+    expect(ids({ from: '2026-04-03' })).toEqual([]);
+
+    expect(() => normalizeSearchFilters({ type: 'note' })).toThrow(/Unknown type "note"/);
+    expect(() => normalizeSearchFilters({ status: 'done' })).toThrow(/Unknown status "done"/);
+    expect(() => normalizeSearchFilters({ from: 'last week' })).toThrow(/Invalid date/);
+  });
+
+  test('snippets come from the field that matched', () => {
+    const [doc] = buildSearchDocuments({ htaData: tree }).filter(entry => entry.id === 'task:intervals');
+    expect(searchSnippet(doc, ['fifth'])).toBe('Recognize a perfect fifth');
+    expect(searchSnippet(doc, [])).toBe('Hear and name intervals');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * iCalendar Utility Tests
+ */
+
+import {
+  buildCalendar,
+  parseCalendar,
+  foldLine,
+  unfoldLines,
+  parseDateTimeValue,
+  parseDuration,
+  expandOccurrences,
+  getBusyIntervals,
+} from '../icalendar.js';
+
+describe('iCalendar utilities', () => {
+  describe('buildCalendar', () => {
+    test('writes CRLF-terminated VEVENTs with escaped text and custom properties', () => {
+      const ics = buildCalendar([
+        {
+          uid: 'block-1@forest.local',
+          summary: 'Forest: Read chapter 1, then summarize',
+          start: '2025-03-10T09:00',
+          end: '2025-03-10T09:45',
+          description: 'Task ID: t1\nBranch: Foundations',
+          categories: ['Forest', 'Foundations'],
+          properties: { 'X-FOREST-TASK-ID': 't1', 'X-FOREST-ESTIMATED-MINUTES': 45 },
+        },
+      ], { now: new Date(Date.UTC(2025, 2, 1, 12, 0, 0)) });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('DTSTAMP:20250301T120000Z');
+      expect(ics).toContain('DTSTART:20250310T090000');
+      expect(ics).toContain('DTEND:20250310T094500');
+      expect(ics).toContain('SUMMARY:Forest: Read chapter 1\\, then summarize');
+      expect(ics).toContain('DESCRIPTION:Task ID: t1\\nBranch: Foundations');
+      expect(ics).toContain('X-FOREST-TASK-ID:t1');
+      expect(ics).toContain('X-FOREST-ESTIMATED-MINUTES:45');
+    });
+
+    test('uses VALUE=DATE for all-day events', () => {
+      const ics = buildCalendar([{ uid: 'a', summary: 'Plan', start: '2025-03-10', end: '2025-03-11' }]);
+
+      expect(ics).toContain('DTSTART;VALUE=DATE:20250310');
+      expect(ics).toContain('DTEND;VALUE=DATE:20250311');
+    });
+
+    test('round-trips through parseCalendar', () => {
+      const ics = buildCalendar([
+        {
+          uid: 'x',
+          summary: 'Semi; colon, comma \\ backslash',
+          start: '2025-03-10T14:00',
+          end: '2025-03-10T15:30',
+          properties: { 'X-FOREST-BRANCH': 'Practice' },
+        },
+      ]);
+      const { events, errors } = parseCalendar(ics);
+
+      expect(errors).toHaveLength(0);
+      expect(events[0]).toMatchObject({
+        uid: 'x',
+        summary: 'Semi; colon, comma \\ backslash',
+        start: '2025-03-10T14:00',
+        end: '2025-03-10T15:30',
+        allDay: false,
+        extensions: { 'X-FOREST-BRANCH': 'Practice' },
+      });
+    });
+  });
+
+  describe('line folding', () => {
+    test('folds long lines at 75 octets without splitting multi-byte characters', () => {
+      const line = `SUMMARY:${'é'.repeat(60)}`;
+      const physical = foldLine(line).split('\r\n');
+
+      for (const part of physical) {
+        expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+      }
+      expect(unfoldLines(foldLine(line))).toEqual([line]);
+    });
+  });
+
+  describe('parsing values', () => {
+    test('converts UTC date-times to local time', () => {
+      const instant = new Date(Date.UTC(2025, 2, 10, 9, 30));
+      const expected = `2025-03-${String(instant.getDate()).padStart(2, '0')}T` +
+        `${String(instant.getHours()).padStart(2, '0')}:${String(instant.getMinutes()).padStart(2, '0')}`;
+
+      expect(parseDateTimeValue('20250310T093000Z')).toEqual({ value: expected, allDay: false });
+    });
+
+    test('keeps floating times and detects dates', () => {
+      expect(parseDateTimeValue('20250310T093000')).toEqual({ value: '2025-03-10T09:30', allDay: false });
+      expect(parseDateTimeValue('20250310', { VALUE: 'DATE' })).toEqual({ value: '2025-03-10', allDay: true });
+      expect(parseDateTimeValue('not-a-date')).toBeNull();
+    });
+
+    test('parses durations', () => {
+      expect(parseDuration('PT1H30M')).toBe(90);
+      expect(parseDuration('P1D')).toBe(1440);
+      expect(parseDuration('P1W')).toBe(10080);
+      expect(parseDuration('garbage')).toBeNull();
+    });
+
+    test('derives the end from DURATION and ignores nested alarms', () => {
+      const { events } = parseCalendar([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:meeting',
+        'DTSTART:20250310T100000',
+        'DURATION:PT45M',
+        'SUMMARY:Standup',
+        'BEGIN:VALARM',
+        'SUMMARY:Reminder',
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\n'));
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ summary: 'Standup', end: '2025-03-10T10:45' });
+    });
+
+    test('rejects text that is not a calendar', () => {
+      expect(() => parseCalendar('hello')).toThrow(/BEGIN:VCALENDAR/);
+    });
+  });
+
+  describe('expandOccurrences', () => {
+    const weekly = {
+      start: '2025-03-10T18:00',
+      end: '2025-03-10T19:00',
+      allDay: false,
+      rrule: { FREQ: 'WEEKLY', BYDAY: 'MO,WE' },
+      exdates: ['2025-03-12T18:00'],
+    };
+
+    test('expands weekly rules within the range and honours EXDATE', () => {
+      const { occurrences } = expandOccurrences(weekly, { from: '2025-03-10', until: '2025-03-19' });
+
+      expect(occurrences.map(occurrence => occurrence.start)).toEqual([
+        '2025-03-10T18:00',
+        '2025-03-17T18:00',
+        '2025-03-19T18:00',
+      ]);
+    });
+
+    test('stops after COUNT occurrences', () => {
+      const daily = { ...weekly, rrule: { FREQ: 'DAILY', COUNT: '3' }, exdates: [] };
+      const { occurrences } = expandOccurrences(daily, { from: '2025-03-01', until: '2025-03-31' });
+
+      expect(occurrences).toHaveLength(3);
+    });
+
+    test('flags unsupported frequencies', () => {
+      const monthly = { ...weekly, rrule: { FREQ: 'MONTHLY' } };
+
+      expect(expandOccurrences(monthly, { from: '2025-03-01', until: '2025-03-31' }).unsupported).toBe(true);
+    });
+  });
+
+  describe('getBusyIntervals', () => {
+    test('merges overlapping events and clips multi-day events to the day', () => {
+      const intervals = getBusyIntervals([
+        { start: '2025-03-10T09:00', end: '2025-03-10T10:00', summary: 'A' },
+        { start: '2025-03-10T09:30', end: '2025-03-10T11:00', summary: 'B' },
+        { start: '2025-03-09T22:00', end: '2025-03-10T01:00', summary: 'Overnight' },
+        { start: '2025-03-11T09:00', end: '2025-03-11T10:00', summary: 'Tomorrow' },
+      ], '2025-03-10');
+
+      expect(intervals).toEqual([
+        { start: 0, end: 60, summaries: ['Overnight'] },
+        { start: 540, end: 660, summaries: ['A', 'B'] },
+      ]);
+    });
+
+    test('treats all-day events as covering the whole day until their exclusive end', () => {
+      const events = [{ start: '2025-03-10', end: '2025-03-12', all_day: true, summary: 'Trip' }];
+
+      expect(getBusyIntervals(events, '2025-03-11')).toEqual([{ start: 0, end: 1440, summaries: ['Trip'] }]);
+      expect(getBusyIntervals(events, '2025-03-12')).toEqual([]);
+    });
+  });
+});
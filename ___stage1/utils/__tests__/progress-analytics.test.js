@@ -0,0 +1,117 @@
+import {
+  dayKey,
+  weekStart,
+  pearson,
+  computeVelocity,
+  computeStreaks,
+  computeBranchCoverage,
+  computeDifficultyTrend,
+  computeEnergyOutcome,
+  buildProgressAnalytics,
+  formatProgressReport,
+} from '../progress-analytics.js';
+
+describe('Progress analytics', () => {
+  const now = '2026-04-15T18:00:00.000Z'; // a Wednesday
+  const on = (day, fields = {}) => ({ task_id: 't1', completed_at: `2026-04-${String(day).padStart(2, '0')}T10:00:00.000Z`, ...fields });
+
+  const tree = {
+    strategicBranches: [{ name: 'Foundations' }, { name: 'Theory' }, { name: 'Songs' }],
+    frontierNodes: [
+      { id: 't1', title: 'Open chords', branch: 'Foundations' },
+      { id: 't2', title: 'Barre chords', branch: 'Foundations' },
+      { id: 't3', title: 'Intervals', branch: 'Theory' },
+    ],
+  };
+
+  test('uses UTC days and Monday week starts', () => {
+    expect(dayKey('2026-04-15T23:30:00.000Z')).toBe('2026-04-15');
+    expect(weekStart('2026-04-15T10:00:00.000Z')).toBe('2026-04-13');
+    expect(weekStart('2026-04-19T10:00:00.000Z')).toBe('2026-04-13');
+    expect(weekStart('2026-04-13T00:00:00.000Z')).toBe('2026-04-13');
+  });
+
+  test('measures daily and weekly velocity over the window', () => {
+    const entries = [on(2, { actual_minutes: 30 }), on(9), on(14, { tracked_minutes: 20 }), on(15, { actual_minutes: 10 })];
+    const velocity = computeVelocity(entries, { now, days: 14 });
+
+    expect(velocity.daily).toHaveLength(14);
+    expect(velocity.daily[0].date).toBe('2026-04-02');
+    expect(velocity.daily.at(-1)).toEqual({ date: '2026-04-15', completions: 1, minutes: 10 });
+    expect(velocity.weekly.map(week => [week.week_start, week.completions, week.minutes])).toEqual([
+      ['2026-03-30', 1, 30],
+      ['2026-04-06', 1, 0],
+      ['2026-04-13', 2, 30],
+    ]);
+    expect(velocity.per_week).toBe(2);
+    expect(velocity).toMatchObject({ last_7_days: 3, previous_7_days: 1 });
+  });
+
+  test('counts streaks, keeping the current one alive until a day is missed', () => {
+    const entries = [on(1), on(2), on(3), on(3), on(10), on(13), on(14)];
+    expect(computeStreaks(entries, now)).toEqual({ current_days: 2, longest_days: 3, active_days: 6, last_active_date: '2026-04-14' });
+    expect(computeStreaks(entries, '2026-04-16T09:00:00.000Z').current_days).toBe(0);
+    expect(computeStreaks([], now)).toMatchObject({ current_days: 0, longest_days: 0, last_active_date: null });
+  });
+
+  test('attributes time to branches and reports coverage, including untouched branches', () => {
+    const entries = [
+      on(14, { task_id: 't1', actual_minutes: 30 }),
+      on(15, { task_id: 'review:t1', actual_minutes: 10, review: true }),
+      on(15, { task_id: 't3', actual_minutes: 40 }),
+      on(15, { task_id: 'gone', actual_minutes: 20 }),
+    ];
+    const rows = computeBranchCoverage(entries, tree, new Set(['t1', 't3', 'gone']));
+
+    expect(rows.map(row => row.branch)).toEqual(['Foundations', 'Theory', 'Unassigned', 'Songs']);
+    expect(rows[0]).toMatchObject({ completions: 2, minutes: 40, tasks_completed: 1, tasks_total: 2, coverage: 0.5, share_of_time: 0.4 });
+    expect(rows[1]).toMatchObject({ coverage: 1, share_of_time: 0.4 });
+    expect(rows[3]).toMatchObject({ completions: 0, tasks_total: 0, coverage: null });
+  });
+
+  test('detects the direction of difficulty ratings', () => {
+    const harder = computeDifficultyTrend([on(1, { difficulty_rating: 2 }), on(8, { difficulty_rating: 3 }), on(15, { difficulty_rating: 4 })]);
+    expect(harder).toMatchObject({ rated: 3, average: 3, slope_per_week: 1, direction: 'getting harder' });
+    expect(harder.weekly.map(week => week.week_start)).toEqual(['2026-03-30', '2026-04-06', '2026-04-13']);
+
+    const steady = computeDifficultyTrend([on(1, { difficulty_rating: 3 }), on(8, { difficulty_rating: 3 }), on(15, { difficulty_rating: 3 })]);
+    expect(steady.direction).toBe('steady');
+    expect(computeDifficultyTrend([on(1, { difficulty_rating: 3 })]).direction).toBe('not enough data');
+  });
+
+  test('relates energy to difficulty, learning and breakthroughs', () => {
+    const entries = [
+      on(1, { energy_level: 1, difficulty_rating: 5, learned: '' }),
+      on(2, { energy_level: 3, difficulty_rating: 3, learned: 'scales' }),
+      on(3, { energy_level: 5, difficulty_rating: 2, learned: 'modes', breakthrough: true }),
+      on(4, { energy_level: 5, difficulty_rating: 1, learned: 'arpeggios', breakthrough: true }),
+    ];
+    const result = computeEnergyOutcome(entries);
+
+    expect(result.by_energy.map(row => [row.energy, row.completions, row.breakthrough_rate])).toEqual([[1, 1, 0], [3, 1, 0], [5, 2, 1]]);
+    expect(result.correlations.difficulty_rating).toBeLessThan(-0.9);
+    expect(result.correlations.breakthrough).toBeGreaterThan(0.8);
+    expect(result.correlations.time_vs_estimate).toBeNull();
+    expect(pearson([[1, 1], [2, 1], [3, 1]])).toBeNull();
+  });
+
+  test('builds the full analytics and a markdown report', () => {
+    const completions = [
+      on(1, { task_id: 't1', actual_minutes: 30, energy_level: 3, difficulty_rating: 3, breakthrough: true }),
+      on(14, { task_id: 't3', actual_minutes: 45, energy_level: 4, difficulty_rating: 4 }),
+      { task_id: 'broken' },
+    ];
+    const analytics = buildProgressAnalytics({ completions, htaData: tree, learningHistory: { totalHours: 1.25 }, now, days: 7 });
+
+    expect(analytics.window).toEqual({ days: 7, from: '2026-04-09', to: '2026-04-15' });
+    expect(analytics.totals).toMatchObject({ completions: 1, minutes: 45, all_time_completions: 2, all_time_hours: 1.25, topics_completed: 2 });
+    expect(analytics.breakthroughs).toMatchObject({ count: 0, rate: 0 });
+    // Coverage counts everything ever completed, time only the window
+    expect(analytics.branches.find(row => row.branch === 'Foundations')).toMatchObject({ minutes: 0, tasks_completed: 1 });
+
+    const report = formatProgressReport(analytics, { goal: 'Learn guitar', pathName: 'general' });
+    expect(report).toContain('**Goal**: Learn guitar');
+    expect(report).toContain('| Theory | 1 | 45 | 100% | 1/1 (100%) |');
+    expect(report).toContain('Current: 1 day, longest: 1');
+  });
+});
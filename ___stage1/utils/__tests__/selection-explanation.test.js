@@ -0,0 +1,74 @@
+import {
+  compareFactors,
+  explainScoredSelection,
+  explainVectorSelection,
+  formatSelectionExplanation,
+} from '../selection-explanation.js';
+
+describe('Selection explanation', () => {
+  const entry = (id, factors) => ({
+    task: { id, title: `Task ${id}`, branch: 'Core' },
+    score: factors.reduce((sum, factor) => sum + factor.points, 0),
+    factors,
+  });
+
+  const ranked = [
+    entry('a', [{ factor: 'priority', points: 200 }, { factor: 'energy_match', points: 100 }, { factor: 'time_fit', points: 50 }]),
+    entry('b', [{ factor: 'priority', points: 200 }, { factor: 'energy_match', points: 60 }, { factor: 'time_fit', points: -20 }]),
+    entry('c', [{ factor: 'priority', points: 200 }, { factor: 'energy_match', points: 100 }, { factor: 'time_fit', points: 50 }]),
+  ];
+
+  test('lists the factors a runner-up lost on, largest first', () => {
+    expect(compareFactors(ranked[0].factors, ranked[1].factors)).toEqual([
+      { factor: 'time_fit', points_behind: 70 },
+      { factor: 'energy_match', points_behind: 40 },
+    ]);
+  });
+
+  test('explains scored runners-up, including ties', () => {
+    const explanation = explainScoredSelection({ ranked, tie_broken: true });
+
+    expect(explanation.selected).toMatchObject({ id: 'a', score: 350 });
+    expect(explanation.tie_broken).toBe(true);
+    expect(explanation.runners_up[0]).toMatchObject({ id: 'b', score_gap: 110 });
+    expect(explanation.runners_up[0].reason).toBe('110 points behind, mostly on time fit (-70), energy match (-40)');
+    expect(explanation.runners_up[1].reason).toMatch(/Tied on score/);
+  });
+
+  test('notes when a higher-scoring task was ordered later', () => {
+    const explanation = explainScoredSelection({ ranked: [ranked[1], ranked[0]] });
+    expect(explanation.runners_up[0].reason).toBe('Scored 110 points higher but was placed later for variety');
+  });
+
+  test('explains vector picks from the trace', () => {
+    const trace = {
+      path: 'similarity',
+      reason: 'Closest match',
+      candidates: [
+        { id: 'x', title: 'Blocked', similarity: 0.95, priority: 1, excluded: 'prerequisites not done' },
+        { id: 'y', title: 'Picked', similarity: 0.8, priority: 2, excluded: null },
+        { id: 'z', title: 'Close second', similarity: 0.78, priority: 3, excluded: null },
+        { id: 'w', title: 'Far', similarity: 0.4, priority: 4, excluded: null },
+      ],
+    };
+
+    const explanation = explainVectorSelection(trace, { id: 'y', title: 'Picked', priority: 2 });
+
+    expect(explanation.selected).toMatchObject({ id: 'y', similarity: 0.8 });
+    expect(explanation.runners_up.map(runnerUp => [runnerUp.id, runnerUp.reason])).toEqual([
+      ['z', 'Similar match, later in HTA order (priority 3 vs 2)'],
+      ['w', 'Lower similarity (0.4 vs 0.8)'],
+      ['x', 'Excluded: prerequisites not done'],
+    ]);
+  });
+
+  test('formats the source, factor points and runners-up', () => {
+    const explanation = { source: 'traditional', path: 'scorer', reason: 'No vectors stored for this project', ...explainScoredSelection({ ranked }) };
+    const text = formatSelectionExplanation(explanation);
+
+    expect(text).toContain('TaskScorer fallback (No vectors stored for this project)');
+    expect(text).toContain('**Score 350**: HTA priority +200 · energy match +100 · time fit +50');
+    expect(text).toContain('"Task b" (score 240)');
+    expect(formatSelectionExplanation(null)).toBe('');
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  REVIEW_CONSTANTS,
+  qualityFromCompletion,
+  scheduleReview,
+  createReviewItem,
+  getDueReviews,
+  reviewAsTask,
+  interleaveReviews,
+  summarizeRetention,
+} from '../spaced-repetition.js';
+
+describe('Spaced repetition', () => {
+  const now = '2026-04-01T09:00:00.000Z';
+  const task = { id: 'chords', title: 'Open chords', branch: 'Foundations' };
+
+  test('derives recall quality from completion data', () => {
+    expect(qualityFromCompletion({ difficulty_rating: 1 })).toBe(5);
+    expect(qualityFromCompletion({ difficulty_rating: 4 })).toBe(2);
+    expect(qualityFromCompletion({})).toBe(REVIEW_CONSTANTS.DEFAULT_QUALITY);
+    expect(qualityFromCompletion({ difficulty_rating: 2, outcome: 'I forgot the G shape' })).toBe(2);
+    expect(qualityFromCompletion({ difficulty_rating: 2, breakthrough: true })).toBe(5);
+  });
+
+  test('grows intervals with SM-2 and starts over after a lapse', () => {
+    let item = createReviewItem({ task, pathName: 'general', completion: { learned: 'C, G and D shapes', difficulty_rating: 2 }, now });
+    expect(item).toMatchObject({ id: 'chords', prompt: 'C, G and D shapes', repetitions: 0, due_at: '2026-04-02T09:00:00.000Z' });
+
+    item = scheduleReview(item, 4, '2026-04-02T09:00:00.000Z');
+    expect(item).toMatchObject({ repetitions: 1, interval_days: 1, ease_factor: 2.5 });
+    item = scheduleReview(item, 5, '2026-04-03T09:00:00.000Z');
+    expect(item).toMatchObject({ repetitions: 2, interval_days: 6, ease_factor: 2.6 });
+    item = scheduleReview(item, 4, '2026-04-09T09:00:00.000Z');
+    expect(item).toMatchObject({ repetitions: 3, interval_days: 16, due_at: '2026-04-25T09:00:00.000Z' });
+
+    item = scheduleReview(item, 1, '2026-04-25T09:00:00.000Z');
+    expect(item).toMatchObject({ repetitions: 0, interval_days: 1 });
+    expect(item.ease_factor).toBeCloseTo(2.06);
+    expect(item.history.map(review => review.passed)).toEqual([true, true, true, false]);
+  });
+
+  test('never lets the ease factor drop below the minimum', () => {
+    let item = createReviewItem({ task, pathName: 'general', completion: { learned: 'x' }, now });
+    for (let i = 0; i < 10; i++) item = scheduleReview(item, 0, now);
+    expect(item.ease_factor).toBe(REVIEW_CONSTANTS.MIN_EASE);
+  });
+
+  test('lists due reviews most overdue first, as tasks', () => {
+    const items = [
+      { id: 'a', title: 'A', due_at: '2026-03-31T09:00:00.000Z' },
+      { id: 'b', title: 'B', due_at: '2026-03-28T09:00:00.000Z' },
+      { id: 'c', title: 'C', due_at: '2026-04-05T09:00:00.000Z' },
+    ];
+
+    const due = getDueReviews(items, now);
+    expect(due.map(item => item.id)).toEqual(['b', 'a']);
+    expect(reviewAsTask(due[0], now)).toMatchObject({
+      id: 'review:b',
+      title: 'Review: B',
+      is_review: true,
+      overdue_days: 4,
+      duration: `${REVIEW_CONSTANTS.REVIEW_MINUTES} minutes`,
+    });
+  });
+
+  test('alternates reviews with new tasks', () => {
+    expect(interleaveReviews(['t1', 't2', 't3'], ['r1', 'r2'])).toEqual(['r1', 't1', 'r2', 't2', 't3']);
+    expect(interleaveReviews(['t1', 't2'], ['r1', 'r2', 'r3', 'r4'], { leadWithReview: false }))
+      .toEqual(['t1', 'r1', 't2', 'r2', 'r3']);
+    expect(interleaveReviews([], ['r1'])).toEqual(['r1']);
+  });
+
+  test('summarizes retention across reviews', () => {
+    const items = [
+      { history: [{ quality: 5, passed: true }, { quality: 2, passed: false }] },
+      { history: [{ quality: 4, passed: true }] },
+      { history: [] },
+    ];
+    expect(summarizeRetention(items)).toEqual({ items: 3, reviews: 3, passed: 2, retention_rate: 0.67, average_quality: 3.67 });
+    expect(summarizeRetention([]).retention_rate).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+import { inferDependencies, explainBlockedTask, getBlockedTasks } from '../task-dependencies.js';
+
+describe('Task dependencies', () => {
+  const tree = () => ({
+    goal: 'Learn guitar',
+    strategicBranches: [
+      { name: 'Foundations', priority: 1 },
+      { name: 'Songs', priority: 2 },
+    ],
+    frontierNodes: [
+      { id: 'f1', title: 'Guitar basics', branch: 'Foundations', priority: 100, completed: true },
+      { id: 'f2', title: 'Open chords', branch: 'Foundations', priority: 110 },
+      { id: 'f3', title: 'Practice chord changes', branch: 'Foundations', priority: 120 },
+      { id: 'f4', title: 'Advanced strumming', branch: 'Foundations', priority: 130 },
+      { id: 's1', title: 'First song', description: 'Use your open chords to play along', branch: 'Songs', priority: 200 },
+    ],
+  });
+
+  test('infers prerequisites from text, level words and branch order', () => {
+    const suggestions = inferDependencies(tree());
+
+    expect(suggestions.map(entry => [entry.task_id, entry.depends_on, entry.confidence])).toEqual([
+      ['f3', 'f2', 0.6],
+      ['f4', 'f1', 0.7],
+      ['s1', 'f2', 0.9],
+      ['s1', 'f4', 0.5],
+    ]);
+    expect(suggestions[2].reason).toBe('mentions "Open chords"');
+  });
+
+  test('skips suggestions that exist or would close a cycle', () => {
+    const hta = tree();
+    hta.frontierNodes[1].prerequisites = ['s1'];
+    hta.frontierNodes[2].prerequisites = ['f2'];
+
+    const suggestions = inferDependencies(hta, { minConfidence: 0.8 });
+
+    // s1 mentions f2, but f2 already depends on s1
+    expect(suggestions).toEqual([]);
+  });
+
+  test('explains what unlocks a blocked task through the chain', () => {
+    const hta = tree();
+    hta.frontierNodes[2].prerequisites = ['f2'];
+    hta.frontierNodes[3].prerequisites = ['f3', 'Guitar basics'];
+
+    const explanation = explainBlockedTask(hta, 'f4');
+
+    expect(explanation).toEqual({
+      task_id: 'f4',
+      title: 'Advanced strumming',
+      ready: false,
+      unmet: [{ id: 'f3', title: 'Practice chord changes' }],
+      unlocked_by: [{ id: 'f2', title: 'Open chords' }],
+      remaining: 2,
+    });
+    expect(getBlockedTasks(hta).map(task => task.id)).toEqual(['f3', 'f4']);
+  });
+});
@@ -0,0 +1,54 @@
+import {
+  SESSION_STATUS,
+  trackedMinutes,
+  createSession,
+  pauseSession,
+  resumeSession,
+  recordProgress,
+  summarizeSession,
+  estimateRemainingMinutes,
+} from '../task-sessions.js';
+
+describe('Task sessions', () => {
+  const task = { id: 'chords', title: 'Open chords' };
+  const at = minute => new Date(Date.UTC(2026, 3, 1, 9, minute)).toISOString();
+
+  test('tracks time across pauses, counting the running interval up to now', () => {
+    let session = createSession({ task, pathName: 'general', now: at(0) });
+    expect(session.status).toBe(SESSION_STATUS.ACTIVE);
+    expect(trackedMinutes(session, at(20))).toBe(20);
+
+    session = pauseSession(session, at(20));
+    expect(session.status).toBe(SESSION_STATUS.PAUSED);
+    // Paused time does not count
+    expect(trackedMinutes(session, at(50))).toBe(20);
+
+    session = resumeSession(session, at(40));
+    expect(trackedMinutes(session, at(55))).toBe(35);
+    expect(session.intervals).toHaveLength(2);
+  });
+
+  test('records clamped progress and extrapolates the time left', () => {
+    let session = createSession({ task, pathName: 'general', now: at(0) });
+    expect(estimateRemainingMinutes(session, at(10))).toBeNull();
+
+    session = recordProgress(session, { percent: 25, note: 'C and G', now: at(10) });
+    expect(session.progress[0]).toMatchObject({ percent: 25, note: 'C and G', tracked_minutes: 10 });
+    expect(estimateRemainingMinutes(session, at(10))).toBe(30);
+
+    expect(recordProgress(session, { percent: 140, now: at(12) }).percent_complete).toBe(100);
+  });
+
+  test('summarizes the effort when the session ends', () => {
+    let session = createSession({ task, pathName: 'general', now: at(0) });
+    session = pauseSession(session, at(15));
+    session = resumeSession(session, at(30));
+
+    expect(summarizeSession(session, at(45))).toEqual({
+      tracked_minutes: 30,
+      sittings: 2,
+      started_at: at(0),
+      progress: [],
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { parseVectorFilter, matchesVectorFilter, metadataValue } from '../vector-filter.js';
+
+describe('Vector filter', () => {
+  test('parses equality, operators and combinators into one tree', () => {
+    expect(parseVectorFilter(null)).toBeNull();
+    expect(parseVectorFilter({})).toBeNull();
+    expect(parseVectorFilter({ project_id: 'p1' })).toEqual({ op: 'eq', key: 'project_id', value: 'p1', parsed: true });
+
+    expect(parseVectorFilter({
+      type: { $in: ['task', 'branch'] },
+      difficulty: { $gte: 2, $lt: 5, $ne: 3 },
+      $or: [{ completed: false }, { 'context.energy': { $exists: false } }],
+    })).toEqual({
+      op: 'and',
+      parsed: true,
+      clauses: [
+        { op: 'in', key: 'type', values: ['task', 'branch'] },
+        { op: 'and', clauses: [{ op: 'not', clause: { op: 'eq', key: 'difficulty', value: 3 } }, { op: 'range', key: 'difficulty', gte: 2, lt: 5 }] },
+        { op: 'or', clauses: [{ op: 'eq', key: 'completed', value: false }, { op: 'not', clause: { op: 'exists', key: 'context.energy' } }] },
+      ],
+    });
+  });
+
+  test('accepts the Qdrant-style must/should/must_not form', () => {
+    const filter = {
+      must: [{ key: 'project_id', match: { value: 'p1' } }, { key: 'difficulty', range: { gte: 2 } }],
+      should: [{ key: 'type', match: { any: ['task'] } }, { is_null: { key: 'branch' } }],
+      must_not: [{ key: 'tags', match: { except: ['a'] } }, { is_empty: { key: 'title' } }],
+    };
+    expect(parseVectorFilter(filter).clauses.map(clause => clause.op)).toEqual(['eq', 'range', 'or', 'not', 'not']);
+    expect(parseVectorFilter({ must: [] })).toBeNull();
+    expect(matchesVectorFilter({ project_id: 'p1', difficulty: 3, type: 'task', tags: ['a'], title: 'x' }, filter)).toBe(true);
+    expect(matchesVectorFilter({ project_id: 'p1', difficulty: 3, type: 'task', tags: ['b'], title: 'x' }, filter)).toBe(false);
+  });
+
+  test('matches type-strictly, element-wise on arrays and through nested keys', () => {
+    const metadata = { difficulty: 3, tags: ['chords', 'rhythm'], empty: [], note: null, context: { energy: 2 } };
+    expect(matchesVectorFilter(metadata, { difficulty: 3 })).toBe(true);
+    expect(matchesVectorFilter(metadata, { difficulty: '3' })).toBe(false);
+    expect(matchesVectorFilter(metadata, { tags: 'rhythm' })).toBe(true);
+    expect(matchesVectorFilter(metadata, { tags: { $nin: ['rhythm'] } })).toBe(false);
+    expect(matchesVectorFilter(metadata, { empty: { $exists: true } })).toBe(false);
+    expect(matchesVectorFilter(metadata, { note: null, missing: { $exists: false } })).toBe(true);
+    expect(matchesVectorFilter(metadata, { missing: { $ne: 1 } })).toBe(true);
+    expect(matchesVectorFilter(metadata, { 'context.energy': { $gt: 1, $lte: 2 } })).toBe(true);
+    expect(metadataValue(metadata, 'context.energy.level')).toBeUndefined();
+    expect(matchesVectorFilter(undefined, null)).toBe(true);
+  });
+
+  test.each([
+    [[], 'filter must be an object'],
+    [{ type: ['task'] }, 'use { $in: [...] } to match "type"'],
+    [{ type: { $regex: 't' } }, 'unknown operator "$regex" on "type"'],
+    [{ $nor: [{ type: 'task' }] }, 'unknown operator "$nor"'],
+    [{ $or: [] }, '$or needs a non-empty array'],
+    [{ type: { $in: [] } }, '$in on "type" needs a non-empty array'],
+    [{ type: { $in: [{}] } }, '$in on "type" needs a string, number, boolean or null'],
+    [{ difficulty: { $gt: '2' } }, '$gt on "difficulty" needs a number'],
+    [{ tags: { $exists: 1 } }, '$exists on "tags" needs true or false'],
+    [{ 'bad key': 1 }, '"bad key" is not a metadata key'],
+    [{ type: {} }, 'no condition given for "type"'],
+    [{ must: [{ key: 'type' }] }, 'unsupported condition on "type"'],
+  ])('rejects %j', (filter, message) => {
+    expect(() => parseVectorFilter(filter)).toThrow(`Invalid vector filter: ${message}`);
+  });
+});
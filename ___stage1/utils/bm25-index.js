@@ -0,0 +1,111 @@
+/**
+ * BM25 Index
+ * ----------
+ * In-memory inverted index with Okapi BM25 scoring over weighted fields
+ * (BM25F-style: field term frequencies are weighted and summed before
+ * saturation). Tokens come from the shared text tokenizer, so lexical and
+ * offline-embedding search agree on stemming and stop words.
+ */
+
+import { tokenize } from './text-tokenizer.js';
+
+export const BM25_DEFAULTS = {
+  K1: 1.2,
+  B: 0.75,
+};
+
+export class BM25Index {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.fieldWeights] - Weight per field; unlisted fields weigh 1
+   * @param {number} [options.k1]
+   * @param {number} [options.b]
+   */
+  constructor({ fieldWeights = {}, k1 = BM25_DEFAULTS.K1, b = BM25_DEFAULTS.B } = {}) {
+    this.fieldWeights = fieldWeights;
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map(); // term -> Map(docId -> weighted term frequency)
+    this.lengths = new Map(); // docId -> weighted length
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.lengths.size;
+  }
+
+  /**
+   * Index a document, replacing any earlier version with the same id.
+   * @param {string} id
+   * @param {Object<string, string|string[]>} fields
+   */
+  add(id, fields) {
+    if (this.lengths.has(id)) this.remove(id);
+
+    const frequencies = new Map();
+    let length = 0;
+    for (const [field, value] of Object.entries(fields)) {
+      const weight = this.fieldWeights[field] ?? 1;
+      const text = Array.isArray(value) ? value.join(' ') : value;
+      if (!weight || !text) continue;
+      for (const term of tokenize(String(text))) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, frequency);
+    }
+    this.lengths.set(id, length);
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    if (!this.lengths.has(id)) return;
+    for (const [term, docs] of this.postings) {
+      docs.delete(id);
+      if (docs.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= this.lengths.get(id);
+    this.lengths.delete(id);
+  }
+
+  idf(term) {
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * @param {string} query
+   * @param {{limit?: number, filter?: (id: string) => boolean}} [options]
+   * @returns {Array<{id: string, score: number, matched: string[]}>} Best first
+   */
+  search(query, { limit = 10, filter = null } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.size === 0) return [];
+
+    const averageLength = this.totalLength / this.size || 1;
+    const scores = new Map();
+    for (const term of terms) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+      const idf = this.idf(term);
+      for (const [id, frequency] of docs) {
+        if (filter && !filter(id)) continue;
+        const norm = this.k1 * (1 - this.b + this.b * (this.lengths.get(id) / averageLength));
+        const entry = scores.get(id) || { id, score: 0, matched: [] };
+        entry.score += idf * ((frequency * (this.k1 + 1)) / (frequency + norm));
+        entry.matched.push(term);
+        scores.set(id, entry);
+      }
+    }
+
+    return [...scores.values()]
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, limit);
+  }
+}
+
+export default BM25Index;
@@ -1,12 +1,44 @@
 // claude-context-builder.js
 // Build a concise, structure-aware context snippet for Claude.
-// Combines semantic similarity (vector search) with live HTA state.
+// Combines semantic similarity (vector search) and keyword (BM25) matches,
+// fused by reciprocal rank, with live HTA state.
 
 import embeddingService from './embedding-service.js';
 import * as vectorConfigModule from '../config/vector-config.js';
+import { rankTasksLexically, reciprocalRankFusion } from './hybrid-search.js';
 
 const vectorConfig = vectorConfigModule.default || vectorConfigModule;
 
+/**
+ * Keyword matches over the project's stored goal, branch and task vectors'
+ * metadata, fused with the vector results. Keyword-only matches keep the
+ * stored metadata; without keyword matches the vector order is unchanged.
+ */
+async function fuseKeywordMatches(vectorStore, projectId, userContext, results) {
+  if (!userContext.trim() || typeof vectorStore.provider.listVectors !== 'function') return results;
+
+  const stored = await vectorStore.provider.listVectors(`${projectId}:`);
+  const entries = (stored || []).filter((v) => ['goal', 'branch', 'task'].includes(v.metadata?.type));
+  const hits = rankTasksLexically(
+    entries.map((v) => ({
+      id: String(v.id),
+      title: v.metadata.title || v.metadata.name || v.metadata.content,
+      description: v.metadata.description,
+      learningOutcome: v.metadata.learning_outcome,
+      branch: v.metadata.branch,
+    })),
+    userContext,
+  );
+  if (hits.length === 0) return results;
+
+  const byId = new Map([...entries.map((v) => [String(v.id), v]), ...results.map((r) => [String(r.id), r])]);
+  const fused = reciprocalRankFusion({
+    vector: results.map((r) => String(r.id)),
+    lexical: hits.map((h) => h.id),
+  });
+  return fused.map(({ id }) => byId.get(id));
+}
+
 /**
  * Build a Claude-ready context block.
  * @param {HTAVectorStore} vectorStore – initialised instance
@@ -19,22 +51,21 @@ export async function buildClaudeContext(vectorStore, projectId, userContext = '
   if (!userContext) userContext = '';
 
   // Step 1: embed the user context
-  const queryVec = await embeddingService.embedText(userContext, vectorConfig.qdrant.dimension);
+  const queryVec = await embeddingService.embedText(userContext, vectorStore.getDimension?.() || vectorConfig.qdrant.dimension);
 
   // Step 2: similarity search (filter to this project & non-completed tasks)
-  const filter = {
-    must: [
-      { key: 'project_id', match: { value: projectId } },
-    ],
-  };
+  const filter = { project_id: projectId };
 
   // provider.queryVectors supports {limit, threshold, filter}
-  const results = await vectorStore.provider.queryVectors(queryVec, {
+  const vectorResults = await vectorStore.provider.queryVectors(queryVec, {
     limit: limit * 2, // extra for later filtering
     threshold: 0.05,
     filter,
   });
 
+  // Step 3: fuse with keyword matches so exact terms are not missed
+  const results = await fuseKeywordMatches(vectorStore, projectId, userContext, vectorResults || []);
+
   // Keep unique branches/tasks by ID, prefer higher similarity
   const chosen = [];
   const seen = new Set();
@@ -0,0 +1,156 @@
+/**
+ * Duration Calibration
+ * --------------------
+ * Learns how far the DurationEstimationEngine is off from the minutes people
+ * actually spend, per task type.
+ *
+ * A sample pairs the engine's uncalibrated estimate (`base_estimated_minutes`)
+ * with the logged `actual_minutes`; the estimate that was shown at the time
+ * (`estimated_minutes`) is kept for accuracy reporting. Ratios are averaged in
+ * log space and shrunk towards the overall ratio (and that towards 1), so a
+ * handful of samples nudges the estimates instead of swinging them.
+ */
+
+export const CALIBRATION_CONSTANTS = {
+  MAX_SAMPLES: 500,
+  // Weight of the prior, in samples, when shrinking an observed ratio
+  PRIOR_SAMPLES: 5,
+  MIN_RATIO: 0.25,
+  MAX_RATIO: 4,
+  // Fewer samples than this and the fixed variance factors are kept
+  MIN_SPREAD_SAMPLES: 3,
+  // An estimate within this share of the actual time counts as on target
+  ON_TARGET_TOLERANCE: 0.25,
+  CONFIDENCE_FLOOR: 0.2,
+  MS_PER_DAY: 24 * 60 * 60 * 1000,
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const isUsable = sample => Number(sample?.actual_minutes) > 0 && Number(sample?.base_estimated_minutes) > 0;
+
+const logRatio = sample => Math.log(Number(sample.actual_minutes) / Number(sample.base_estimated_minutes));
+
+function describe(samples, mean) {
+  const logs = samples.map(logRatio);
+  const shown = samples.filter(sample => Number(sample.estimated_minutes) > 0);
+  const ratio = Math.min(CALIBRATION_CONSTANTS.MAX_RATIO, Math.max(CALIBRATION_CONSTANTS.MIN_RATIO, Math.exp(mean)));
+  const observedMean = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+  const spread = logs.length >= CALIBRATION_CONSTANTS.MIN_SPREAD_SAMPLES
+    ? Math.sqrt(logs.reduce((sum, value) => sum + (value - observedMean) ** 2, 0) / logs.length)
+    : null;
+
+  return {
+    samples: samples.length,
+    ratio: round2(ratio),
+    spread: spread === null ? null : round2(spread),
+    mean_abs_error: shown.length > 0 ? round2(meanAbsError(shown)) : null,
+  };
+}
+
+function meanAbsError(samples) {
+  return samples.reduce((sum, sample) => {
+    const actual = Number(sample.actual_minutes);
+    return sum + Math.abs(actual - Number(sample.estimated_minutes)) / actual;
+  }, 0) / samples.length;
+}
+
+/**
+ * Fit the calibration model.
+ * @param {Array<object>} samples - Recorded estimate/actual pairs
+ * @returns {{sample_count: number, overall: object|null, types: Object<string, object>}}
+ *   Each entry has `samples`, `ratio` (actual / estimate), `spread` (standard
+ *   deviation of the log ratio, or null) and `mean_abs_error` of the shown estimates.
+ */
+export function buildCalibrationModel(samples = []) {
+  const usable = (Array.isArray(samples) ? samples : []).filter(isUsable);
+  if (usable.length === 0) return { sample_count: 0, overall: null, types: {} };
+
+  const prior = CALIBRATION_CONSTANTS.PRIOR_SAMPLES;
+  const overallMean = usable.reduce((sum, sample) => sum + logRatio(sample), 0) / (usable.length + prior);
+
+  const byType = new Map();
+  for (const sample of usable) {
+    const type = sample.task_type || 'general';
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(sample);
+  }
+
+  const types = {};
+  for (const [type, typeSamples] of byType) {
+    const mean = (typeSamples.reduce((sum, sample) => sum + logRatio(sample), 0) + prior * overallMean) / (typeSamples.length + prior);
+    types[type] = describe(typeSamples, mean);
+  }
+
+  return { sample_count: usable.length, overall: describe(usable, overallMean), types };
+}
+
+/**
+ * Calibration entry for a task type, falling back to the overall entry.
+ * @returns {object|null}
+ */
+export function getCalibration(model, taskType) {
+  if (!model?.sample_count) return null;
+  return model.types?.[taskType] || model.overall;
+}
+
+function weekStart(timestamp) {
+  const date = new Date(timestamp);
+  const offset = (date.getUTCDay() + 6) % 7; // Monday starts the week
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - offset * CALIBRATION_CONSTANTS.MS_PER_DAY)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function accuracyOf(samples) {
+  const ratios = samples
+    .map(sample => Number(sample.actual_minutes) / Number(sample.estimated_minutes))
+    .sort((a, b) => a - b);
+  const onTarget = samples.filter(sample => {
+    const actual = Number(sample.actual_minutes);
+    return Math.abs(actual - Number(sample.estimated_minutes)) / actual <= CALIBRATION_CONSTANTS.ON_TARGET_TOLERANCE;
+  });
+
+  return {
+    samples: samples.length,
+    mean_abs_error: round2(meanAbsError(samples)),
+    median_ratio: round2(ratios[Math.floor(ratios.length / 2)]),
+    on_target: round2(onTarget.length / samples.length),
+  };
+}
+
+/**
+ * Accuracy of the estimates that were shown, overall, per week and per task type.
+ * `median_ratio` above 1 means work took longer than estimated.
+ * @returns {{overall: object|null, weeks: Array<object>, task_types: Array<object>}}
+ */
+export function summarizeAccuracy(samples = []) {
+  const shown = (Array.isArray(samples) ? samples : []).filter(sample =>
+    Number(sample?.actual_minutes) > 0 && Number(sample?.estimated_minutes) > 0
+  );
+  if (shown.length === 0) return { overall: null, weeks: [], task_types: [] };
+
+  const group = keyOf => {
+    const groups = new Map();
+    for (const sample of shown) {
+      const key = keyOf(sample);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(sample);
+    }
+    return groups;
+  };
+
+  const weeks = [...group(sample => {
+    const at = Date.parse(sample.completed_at);
+    return Number.isNaN(at) ? null : weekStart(at);
+  })]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([week_start, weekSamples]) => ({ week_start, ...accuracyOf(weekSamples) }));
+
+  const taskTypes = [...group(sample => sample.task_type || 'general')]
+    .map(([task_type, typeSamples]) => ({ task_type, ...accuracyOf(typeSamples) }))
+    .sort((a, b) => b.samples - a.samples || a.task_type.localeCompare(b.task_type));
+
+  return { overall: accuracyOf(shown), weeks, task_types: taskTypes };
+}
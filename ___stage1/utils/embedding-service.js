@@ -1,26 +1,53 @@
 // embedding-service.js
-// Deterministic embedding service for Forest vector operations
-// Uses mathematical functions to generate consistent vector representations
+// Embedding service for Forest vector operations
+// Delegates to a pluggable embedding provider (see modules/embedding-providers/)
+// with an offline fallback, and caches vectors per provider
 
 import crypto from 'crypto';
-import fs from 'fs';
 import path from 'path';
 import vectorConfig from '../config/vector-config.js';
 import fsPromises from 'fs/promises';
+import TfidfEmbeddingProvider from '../modules/embedding-providers/TfidfEmbeddingProvider.js';
+import LocalModelEmbeddingProvider from '../modules/embedding-providers/LocalModelEmbeddingProvider.js';
+import OpenAIEmbeddingProvider from '../modules/embedding-providers/OpenAIEmbeddingProvider.js';
+import DeterministicEmbeddingProvider from '../modules/embedding-providers/DeterministicEmbeddingProvider.js';
 
 const EMBEDDING_CACHE_DIR = vectorConfig.embedding.cacheDir || '.embedding-cache';
 
-class EmbeddingService {
-  constructor() {
-    this.provider = 'deterministic';
-    this.cacheDir = EMBEDDING_CACHE_DIR;
+const EMBEDDING_PROVIDERS = {
+  tfidf: TfidfEmbeddingProvider,
+  local: LocalModelEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  deterministic: DeterministicEmbeddingProvider,
+};
+
+export function createEmbeddingProvider(name, config = {}) {
+  const Provider = EMBEDDING_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider "${name}". Use one of: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+  return new Provider(config);
+}
+
+export class EmbeddingService {
+  /**
+   * @param {Object} [config] - vector-config.js `embedding` section
+   */
+  constructor(config = vectorConfig.embedding) {
+    this.config = config;
+    this.providerName = config.provider || 'tfidf';
+    this.provider = null;
+    this.fallbackProvider = null;
+    this.initError = null;
+    this.initPromise = null;
+    this.cacheDir = config.cacheDir || EMBEDDING_CACHE_DIR;
     this.cache = new Map();
-    
+
     // LRU cache management for embeddings
     this.maxCacheSize = parseInt(process.env.EMBEDDING_CACHE_MAX) || 1000;
     this.cacheAccessOrder = new Map();
     this.accessCounter = 0;
-    
+
     this._ensureCacheDir();
   }
 
@@ -32,49 +59,129 @@ class EmbeddingService {
     }
   }
 
-  _getCachePath(text) {
-    // Use hash to create short, unique filenames
-    const hash = crypto.createHash('sha256').update(text).digest('hex');
-    return path.join(this.cacheDir, `${hash}.json`);
+  /**
+   * Start the configured provider, falling back to the offline provider and
+   * then to deterministic vectors. Runs once; later calls share the result.
+   */
+  async initialize() {
+    if (!this.initPromise) this.initPromise = this._initializeProviders();
+    return this.initPromise;
+  }
+
+  async _initializeProviders() {
+    const providers = this.config.providers || {};
+    const dimension = this.config.dimension || providers[this.providerName]?.dimension;
+    const chain = [...new Set([this.providerName, this.config.fallbackProvider || 'tfidf', 'deterministic'])];
+
+    for (const name of chain) {
+      try {
+        // Fallbacks produce the configured dimension so stored vectors stay comparable
+        const settings = name === this.providerName ? providers[name] : { ...providers[name], dimension };
+        const provider = createEmbeddingProvider(name, settings);
+        await provider.initialize(settings || {});
+        this.provider = provider;
+        if (name !== this.providerName) {
+          console.warn(`[EmbeddingService] Using ${name} embeddings instead of ${this.providerName}: ${this.initError}`);
+        }
+        return this.getProviderInfo();
+      } catch (err) {
+        this.initError = this.initError || err.message;
+        console.warn(`[EmbeddingService] ${name} provider unavailable:`, err.message);
+      }
+    }
+    throw new Error(`EmbeddingService: no embedding provider could start (${this.initError})`);
+  }
+
+  getDimension() {
+    return this.provider ? this.provider.getDimension() : (this.config.dimension || 1536);
+  }
+
+  getProviderInfo() {
+    const active = this.provider ? this.provider.describe() : { provider: this.providerName, dimension: this.getDimension() };
+    return {
+      ...active,
+      configured: this.providerName,
+      fallbackUsed: Boolean(this.provider) && active.provider !== this.providerName,
+      error: this.initError,
+    };
+  }
+
+  /**
+   * Provider for a requested dimension. Model providers have a fixed
+   * dimension, so other sizes go to a dimension-flexible fallback.
+   */
+  async _providerFor(dimension) {
+    await this.initialize();
+    if (this.provider.supportsDimension(dimension)) return this.provider;
+
+    if (!this.fallbackProvider) {
+      const name = this.config.fallbackProvider || 'tfidf';
+      const settings = (this.config.providers || {})[name] || {};
+      this.fallbackProvider = createEmbeddingProvider(name, settings);
+      await this.fallbackProvider.initialize(settings);
+      console.warn(`[EmbeddingService] ${this.provider.describe().provider} cannot produce ${dimension}-dimension vectors, using ${name}`);
+    }
+    return this.fallbackProvider;
+  }
+
+  /**
+   * Provider and model that embedText uses for a dimension; recorded on
+   * stored vectors so a later model change can be detected.
+   * @param {number} [dimension]
+   * @returns {Promise<{provider: string, model: string, dimension: number}>}
+   */
+  async describeEmbedding(dimension) {
+    const size = dimension || this.getDimension();
+    const { provider, model } = (await this._providerFor(size)).describe();
+    return { provider, model, dimension: size };
+  }
+
+  _cacheKey(provider, text, dimension) {
+    const { provider: name, model } = provider.describe();
+    return crypto.createHash('sha256').update(`${name}:${model}:${dimension}:${text}`).digest('hex');
+  }
+
+  _getCachePath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
   }
 
   async embed(text) {
     if (!text || typeof text !== 'string') throw new Error('EmbeddingService: text must be a string');
-    
+    return this.embedText(text);
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} [dimension] - Defaults to the active provider's dimension
+   * @returns {Promise<number[]>} Zero vector for empty text
+   */
+  async embedText(text, dimension) {
+    await this.initialize();
+    const size = dimension || this.getDimension();
+    if (!text) return new Array(size).fill(0);
+    const provider = await this._providerFor(size);
+    if (!provider.cacheable) return this._embedWith(provider, text, size);
+
+    const key = this._cacheKey(provider, text, size);
     // Check in-memory cache
-    if (this.cache.has(text)) {
-      this._updateAccess(text);
-      return this.cache.get(text);
+    if (this.cache.has(key)) {
+      this._updateAccess(key);
+      return this.cache.get(key);
     }
     // Check disk cache
-    const cachePath = this._getCachePath(text);
+    const cachePath = this._getCachePath(key);
     try {
-      const cached = await fsPromises.readFile(cachePath, 'utf8');
-      const parsed = JSON.parse(cached);
-      this.cache.set(text, parsed);
-      return parsed;
+      const cached = JSON.parse(await fsPromises.readFile(cachePath, 'utf8'));
+      if (Array.isArray(cached) && cached.length === size) {
+        this._remember(key, cached);
+        return cached;
+      }
     } catch (err) {
       // Not cached, continue
     }
-    // Generate embedding
-    let embedding;
-    if (this.provider === 'openai' && process.env.OPENAI_API_KEY) {
-      try {
-        embedding = await this._embedOpenAI(text);
-      } catch (err) {
-        console.warn('[EmbeddingService] OpenAI failed, falling back to deterministic:', err.message);
-        embedding = this._deterministicVector(text, 1536);
-      }
-    } else {
-      // Use deterministic embedding for all other cases
-      embedding = this._deterministicVector(text, 1536);
-    }
-    
-    // Cache result
-    this._evictIfNeeded();
-    this.cache.set(text, embedding);
-    this._updateAccess(text);
-    
+
+    const embedding = await this._embedWith(provider, text, size);
+    this._remember(key, embedding);
     try {
       await fsPromises.writeFile(cachePath, JSON.stringify(embedding), 'utf8');
     } catch (err) {
@@ -83,117 +190,65 @@ class EmbeddingService {
     return embedding;
   }
 
-  async _embedOpenAI(text) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) throw new Error('EmbeddingService: OPENAI_API_KEY not set');
-    const fetch = (await import('node-fetch')).default;
-    const url = 'https://api.openai.com/v1/embeddings';
-    const body = {
-      input: text,
-      model: this.model,
-    };
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) {
-      const errText = await res.text();
-      throw new Error(`EmbeddingService: OpenAI API error: ${res.status} ${errText}`);
-    }
-    const data = await res.json();
-    if (!data || !data.data || !Array.isArray(data.data) || !data.data[0]?.embedding) {
-      throw new Error('EmbeddingService: Invalid OpenAI API response');
+  async _embedWith(provider, text, dimension) {
+    try {
+      return await provider.embed(text, dimension);
+    } catch (err) {
+      console.warn(`[EmbeddingService] ${provider.describe().provider} embedding failed, using deterministic vector:`, err.message);
+      return new DeterministicEmbeddingProvider({ dimension }).embed(text, dimension);
     }
-    return data.data[0].embedding;
   }
 
-  _hash(str) {
-    return crypto.createHash('sha256').update(str).digest('hex');
+  /**
+   * @param {string[]} texts
+   * @param {number} [dimension]
+   */
+  async embedBatch(texts, dimension) {
+    const vectors = [];
+    for (const text of texts) vectors.push(await this.embedText(text, dimension));
+    return vectors;
   }
 
-  async embedText(text, dimension = 1536) {
-    if (!text) return new Array(dimension).fill(0);
-    const key = this._hash(`${this.model}:${text}`);
-    const cacheFile = this._getCachePath(text);
-    if (fs.existsSync(cacheFile)) {
-      try {
-        const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-        if (Array.isArray(cached) && cached.length === dimension) return cached;
-      } catch (_) {}
-    }
-
-    let vector;
-
-    if (this.provider === 'openai' && process.env.OPENAI_API_KEY) {
-      try {
-        const res = await fetch(OPENAI_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          },
-          body: JSON.stringify({
-            input: text,
-            model: this.model,
-          }),
-        });
-        const data = await res.json();
-        vector = data?.data?.[0]?.embedding;
-      } catch (err) {
-        console.error('[Embedding] OpenAI request failed, falling back to deterministic embedding:', err?.message || err);
-      }
-    }
-
-    if (!vector) {
-      // Deterministic fallback: simple hashed vector
-      vector = this._deterministicVector(text, dimension);
-    }
-
-    fs.writeFileSync(cacheFile, JSON.stringify(vector));
-    return vector;
+  /**
+   * Let the provider learn corpus statistics (IDF for tfidf) from texts
+   * that are about to be indexed.
+   */
+  async observeDocuments(texts) {
+    await this.initialize();
+    const documents = (texts || []).filter(text => text && typeof text === 'string');
+    await this.provider.observeDocuments(documents);
+    if (this.fallbackProvider) await this.fallbackProvider.observeDocuments(documents);
   }
 
-  _deterministicVector(text, dimension) {
-    let seed = 0;
-    for (let i = 0; i < text.length; i++) seed = (seed * 31 + text.charCodeAt(i)) >>> 0;
-    const vec = new Array(dimension);
-    for (let i = 0; i < dimension; i++) {
-      const val = Math.sin(seed + i) * Math.cos(seed * (i + 1));
-      vec[i] = val;
-    }
-    // normalize
-    const mag = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
-    return vec.map(v => v / mag);
+  _remember(key, embedding) {
+    this._evictIfNeeded();
+    this.cache.set(key, embedding);
+    this._updateAccess(key);
   }
 
   // LRU Cache Management Methods
   _evictIfNeeded() {
     if (this.cache.size >= this.maxCacheSize) {
       // Find least recently used item
-      let oldestText = null;
+      let oldestKey = null;
       let oldestAccess = Infinity;
-      
-      for (const [text, accessTime] of this.cacheAccessOrder.entries()) {
+
+      for (const [key, accessTime] of this.cacheAccessOrder.entries()) {
         if (accessTime < oldestAccess) {
           oldestAccess = accessTime;
-          oldestText = text;
+          oldestKey = key;
         }
       }
-      
-      if (oldestText) {
-        this.cache.delete(oldestText);
-        this.cacheAccessOrder.delete(oldestText);
-        console.warn(`[EmbeddingService] Evicted embedding from cache (LRU): ${oldestText.substring(0, 50)}...`);
+
+      if (oldestKey) {
+        this.cache.delete(oldestKey);
+        this.cacheAccessOrder.delete(oldestKey);
       }
     }
   }
 
-  _updateAccess(text) {
-    this.cacheAccessOrder.set(text, ++this.accessCounter);
+  _updateAccess(key) {
+    this.cacheAccessOrder.set(key, ++this.accessCounter);
   }
 
   clearCache() {
@@ -0,0 +1,122 @@
+/**
+ * Embedding Signature
+ * -------------------
+ * Every stored vector records the embedding provider, model and dimension it
+ * was made with. Vectors from different models live in unrelated spaces, so
+ * a store that mixes them returns meaningless similarities; the signature
+ * lets providers detect that and tells the re-index which vectors are stale.
+ */
+
+export const EMBEDDING_METADATA_KEYS = {
+  PROVIDER: 'embedding_provider',
+  MODEL: 'embedding_model',
+  DIMENSION: 'embedding_dimension',
+};
+
+// Bookkeeping vectors (integrity tests, health checks) are not project data
+const IGNORED_TYPES = ['test', 'health_check'];
+
+/**
+ * Metadata fields recording how a vector was embedded.
+ * @param {{provider: string, model?: string, dimension?: number}} embedding - From EmbeddingService.describeEmbedding
+ * @param {number[]} [vector] - Its length wins over the described dimension
+ */
+export function embeddingMetadata(embedding, vector) {
+  return {
+    [EMBEDDING_METADATA_KEYS.PROVIDER]: embedding?.provider || null,
+    [EMBEDDING_METADATA_KEYS.MODEL]: embedding?.model || null,
+    [EMBEDDING_METADATA_KEYS.DIMENSION]: Array.isArray(vector) ? vector.length : embedding?.dimension || null,
+  };
+}
+
+/**
+ * Signature of a stored vector. provider/model are null for vectors written
+ * before signatures were recorded.
+ * @param {{vector?: number[], metadata?: Object}} entry - From IVectorProvider.listVectors
+ * @returns {{provider: string|null, model: string|null, dimension: number|null}}
+ */
+export function vectorSignature(entry) {
+  const metadata = entry?.metadata || {};
+  const dimension = Number(metadata[EMBEDDING_METADATA_KEYS.DIMENSION]) || (Array.isArray(entry?.vector) ? entry.vector.length : null);
+  return {
+    provider: metadata[EMBEDDING_METADATA_KEYS.PROVIDER] || null,
+    model: metadata[EMBEDDING_METADATA_KEYS.MODEL] || null,
+    dimension,
+  };
+}
+
+export function signatureKey({ provider, model, dimension }) {
+  return `${provider || 'unknown'}/${model || 'unknown'}/${dimension || '?'}`;
+}
+
+/**
+ * 'match', 'mismatch', or 'unstamped' (right dimension, unknown model).
+ * @param {Object} signature - From vectorSignature
+ * @param {{provider?: string, model?: string, dimension?: number}} expected
+ */
+export function compareSignature(signature, expected) {
+  if (expected.dimension && signature.dimension && signature.dimension !== expected.dimension) return 'mismatch';
+  if (!signature.provider && !signature.model) return 'unstamped';
+  if (expected.provider && signature.provider && signature.provider !== expected.provider) return 'mismatch';
+  if (expected.model && signature.model && signature.model !== expected.model) return 'mismatch';
+  return 'match';
+}
+
+export function isProjectVector(entry) {
+  return !IGNORED_TYPES.includes(entry?.metadata?.type);
+}
+
+/**
+ * Compatibility report for a set of stored vectors.
+ * @param {Array<{id: string, vector?: number[], metadata?: Object}>} entries
+ * @param {{provider?: string, model?: string, dimension?: number}} expected
+ * @returns {{status: string, compatible: boolean, expected: Object, total: number, matching: number,
+ *   mismatched: number, unstamped: number, signatures: Array<Object>}}
+ *   status is 'empty', 'compatible', 'mismatch' or 'unverified' (only unstamped vectors disagree)
+ */
+export function summarizeEmbeddingSignatures(entries, expected = {}) {
+  const counts = { match: 0, mismatch: 0, unstamped: 0 };
+  const signatures = new Map();
+
+  for (const entry of (entries || []).filter(isProjectVector)) {
+    const signature = vectorSignature(entry);
+    const verdict = compareSignature(signature, expected);
+    counts[verdict]++;
+    const key = signatureKey(signature);
+    const summary = signatures.get(key) || { ...signature, count: 0, compatible: verdict === 'match' };
+    summary.count++;
+    signatures.set(key, summary);
+  }
+
+  const total = counts.match + counts.mismatch + counts.unstamped;
+  const status = total === 0 ? 'empty' : counts.mismatch > 0 ? 'mismatch' : counts.unstamped > 0 ? 'unverified' : 'compatible';
+  return {
+    status,
+    compatible: status === 'empty' || status === 'compatible',
+    expected: { provider: expected.provider || null, model: expected.model || null, dimension: expected.dimension || null },
+    total,
+    matching: counts.match,
+    mismatched: counts.mismatch,
+    unstamped: counts.unstamped,
+    signatures: [...signatures.values()].sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * One-line description of a compatibility report.
+ */
+export function describeCompatibility(report) {
+  const expected = signatureKey(report.expected);
+  switch (report.status) {
+    case 'empty':
+      return 'No vectors stored yet';
+    case 'compatible':
+      return `All ${report.total} vectors use ${expected}`;
+    case 'unverified':
+      return `${report.unstamped} of ${report.total} vectors predate embedding signatures; re-index to verify them against ${expected}`;
+    default: {
+      const others = report.signatures.filter(signature => !signature.compatible).map(signature => `${signatureKey(signature)} (${signature.count})`);
+      return `${report.total - report.matching} of ${report.total} vectors were embedded with ${others.join(', ')}, not ${expected}`;
+    }
+  }
+}
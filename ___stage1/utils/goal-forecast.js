@@ -0,0 +1,224 @@
+/**
+ * Goal Forecast
+ * -------------
+ * Time-to-goal forecasting over an HTA tree.
+ *
+ * Remaining tasks are ordered critical-path first (the task heading the
+ * longest chain of dependent work goes next), which gives the point in the
+ * remaining effort at which each branch and the goal are done. Daily
+ * throughput observed in the completion log is then resampled in a seeded
+ * Monte Carlo run to turn those effort points into P50 / P90 dates.
+ *
+ * Dates are "YYYY-MM-DD" strings in UTC. Durations are minutes.
+ */
+
+import { getPrerequisiteIds } from '../../utils/hta-eligibility.js';
+
+export const FORECAST_CONSTANTS = {
+  DEFAULT_WINDOW_DAYS: 28,
+  // Fewer logged completions than this and the forecast uses assumed capacity
+  MIN_HISTORY_COMPLETIONS: 3,
+  DEFAULT_HOURS_PER_DAY: 1,
+  ASSUMED_ACTIVE_DAYS_PER_WEEK: 5,
+  SIMULATIONS: 500,
+  SEED: 1337,
+  MAX_DAYS: 3650,
+  MS_PER_DAY: 24 * 60 * 60 * 1000,
+};
+
+export function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+export function addDays(dateKey, days) {
+  return toDateKey(Date.parse(`${dateKey}T00:00:00.000Z`) + days * FORECAST_CONSTANTS.MS_PER_DAY);
+}
+
+// mulberry32: small seeded PRNG so forecasts are repeatable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Order the remaining work and find its critical path.
+ * Prerequisites outside `remaining` count as done. Tasks caught in a
+ * prerequisite cycle can never start; they go last and are listed as blocked.
+ * @param {Array<object>} remaining - Unfinished tasks
+ * @param {(task: object) => number} minutesFor - Estimated minutes of a task
+ * @returns {{order: Array<{id, title, branch, minutes, finish_minutes}>, critical_path: {task_ids: string[], minutes: number},
+ *   total_minutes: number, cycle_blocked: string[]}}
+ */
+export function planRemainingWork(remaining, minutesFor) {
+  const byKey = new Map();
+  for (const task of remaining) {
+    for (const key of [task.id, task.title]) {
+      if (key && !byKey.has(key)) byKey.set(key, task);
+    }
+  }
+  const minutes = new Map(remaining.map(task => [task, Math.max(0, Number(minutesFor(task)) || 0)]));
+  const prerequisitesOf = new Map(remaining.map(task => [
+    task,
+    [...new Set(getPrerequisiteIds(task).map(key => byKey.get(key)).filter(entry => entry && entry !== task))],
+  ]));
+  const dependentsOf = new Map(remaining.map(task => [task, []]));
+  for (const [task, prerequisites] of prerequisitesOf) {
+    for (const prerequisite of prerequisites) dependentsOf.get(prerequisite).push(task);
+  }
+
+  // Longest chain of work through a task, memoized; an edge back into the
+  // current walk is a cycle and is ignored
+  const longest = (edges) => {
+    const memo = new Map();
+    const visiting = new Set();
+    const walk = task => {
+      if (memo.has(task)) return memo.get(task);
+      if (visiting.has(task)) return 0;
+      visiting.add(task);
+      const next = Math.max(0, ...edges.get(task).map(walk));
+      visiting.delete(task);
+      memo.set(task, minutes.get(task) + next);
+      return memo.get(task);
+    };
+    remaining.forEach(walk);
+    return memo;
+  };
+  const head = longest(prerequisitesOf); // chain ending at the task
+  const tail = longest(dependentsOf); // chain starting at the task
+
+  const criticalPath = [];
+  let current = remaining.reduce((best, task) => (!best || head.get(task) > head.get(best) ? task : best), null);
+  while (current) {
+    criticalPath.unshift(current);
+    const needed = head.get(current) - minutes.get(current);
+    current = prerequisitesOf.get(current).find(task => !criticalPath.includes(task) && head.get(task) === needed) || null;
+  }
+
+  // List scheduling: among startable tasks take the longest tail first
+  const waiting = new Map(remaining.map(task => [task, prerequisitesOf.get(task).length]));
+  const position = new Map(remaining.map((task, index) => [task, index]));
+  const ready = remaining.filter(task => waiting.get(task) === 0);
+  const order = [];
+  let elapsed = 0;
+  while (ready.length > 0) {
+    ready.sort((a, b) => tail.get(b) - tail.get(a) || (a.priority ?? Infinity) - (b.priority ?? Infinity) || position.get(a) - position.get(b));
+    const task = ready.shift();
+    elapsed += minutes.get(task);
+    order.push({ id: task.id, title: task.title, branch: task.branch || null, minutes: minutes.get(task), finish_minutes: elapsed });
+    for (const dependent of dependentsOf.get(task)) {
+      waiting.set(dependent, waiting.get(dependent) - 1);
+      if (waiting.get(dependent) === 0) ready.push(dependent);
+    }
+  }
+
+  const scheduled = new Set(order.map(entry => entry.id));
+  const cycleBlocked = remaining.filter(task => !scheduled.has(task.id));
+  for (const task of cycleBlocked) {
+    elapsed += minutes.get(task);
+    order.push({ id: task.id, title: task.title, branch: task.branch || null, minutes: minutes.get(task), finish_minutes: elapsed });
+  }
+
+  return {
+    order,
+    critical_path: {
+      task_ids: criticalPath.map(task => task.id),
+      minutes: criticalPath.reduce((sum, task) => sum + minutes.get(task), 0),
+    },
+    total_minutes: elapsed,
+    cycle_blocked: cycleBlocked.map(task => task.id),
+  };
+}
+
+/**
+ * Daily throughput over the window before `asOf`, in estimated minutes.
+ * @param {Array<{task_id?: string, completed_at: string}>} completions
+ * @param {(taskId: string) => number} minutesFor - Estimated minutes of a completed task
+ * @param {object} [options]
+ * @returns {{daily: number[], completions: number, minutes: number, minutes_per_day: number, active_days: number, window_days: number}}
+ */
+export function measureVelocity(completions = [], minutesFor, options = {}) {
+  const windowDays = options.windowDays || FORECAST_CONSTANTS.DEFAULT_WINDOW_DAYS;
+  const end = Date.parse(`${toDateKey(options.asOf || new Date())}T00:00:00.000Z`) + FORECAST_CONSTANTS.MS_PER_DAY;
+  const start = end - windowDays * FORECAST_CONSTANTS.MS_PER_DAY;
+
+  const daily = new Array(windowDays).fill(0);
+  let count = 0;
+  for (const entry of completions) {
+    const at = Date.parse(entry?.completed_at);
+    if (Number.isNaN(at) || at < start || at >= end) continue;
+    daily[Math.floor((at - start) / FORECAST_CONSTANTS.MS_PER_DAY)] += Math.max(0, Number(minutesFor(entry.task_id)) || 0);
+    count++;
+  }
+
+  const minutes = daily.reduce((sum, value) => sum + value, 0);
+  return {
+    daily,
+    completions: count,
+    minutes,
+    minutes_per_day: Math.round((minutes / windowDays) * 10) / 10,
+    active_days: daily.filter(value => value > 0).length,
+    window_days: windowDays,
+  };
+}
+
+/**
+ * A week of assumed capacity for projects without enough history.
+ */
+export function assumedDailyCapacity(hoursPerDay = FORECAST_CONSTANTS.DEFAULT_HOURS_PER_DAY) {
+  const minutes = Math.round(Math.max(0, Number(hoursPerDay)) * 60);
+  return Array.from({ length: 7 }, (_, day) => (day < FORECAST_CONSTANTS.ASSUMED_ACTIVE_DAYS_PER_WEEK ? minutes : 0));
+}
+
+/**
+ * Resample daily throughput until each target amount of work is done.
+ * Day 1 is the first forecast day.
+ * @param {number[]} dailySamples - Minutes of work done on observed days
+ * @param {number[]} targets - Cumulative minutes to reach
+ * @param {object} [options]
+ * @returns {{targets: Array<{p50_days: number|null, p90_days: number|null}>, within: (target: number, days: number) => number}|null}
+ *   null when the samples contain no work at all. Days are null when the
+ *   target is beyond MAX_DAYS. `within` gives the share of runs that
+ *   reached a target within a number of days.
+ */
+export function simulateCompletion(dailySamples, targets, options = {}) {
+  if (!dailySamples.some(value => value > 0)) return null;
+
+  const simulations = options.simulations || FORECAST_CONSTANTS.SIMULATIONS;
+  const maxDays = options.maxDays || FORECAST_CONSTANTS.MAX_DAYS;
+  const random = createRandom(options.seed ?? FORECAST_CONSTANTS.SEED);
+  const sortedTargets = [...new Set(targets)].sort((a, b) => a - b);
+  const runs = new Map(sortedTargets.map(target => [target, []]));
+
+  for (let run = 0; run < simulations; run++) {
+    let done = 0;
+    let day = 0;
+    let next = 0;
+    while (next < sortedTargets.length && sortedTargets[next] <= 0) runs.get(sortedTargets[next++]).push(0);
+    while (next < sortedTargets.length && day < maxDays) {
+      day++;
+      done += dailySamples[Math.floor(random() * dailySamples.length)];
+      while (next < sortedTargets.length && sortedTargets[next] <= done) runs.get(sortedTargets[next++]).push(day);
+    }
+    while (next < sortedTargets.length) runs.get(sortedTargets[next++]).push(Infinity);
+  }
+
+  const percentile = (values, share) => {
+    const value = values[Math.max(0, Math.ceil(share * values.length) - 1)];
+    return Number.isFinite(value) ? value : null;
+  };
+  for (const values of runs.values()) values.sort((a, b) => a - b);
+
+  return {
+    targets: targets.map(target => ({
+      p50_days: percentile(runs.get(target), 0.5),
+      p90_days: percentile(runs.get(target), 0.9),
+    })),
+    within: (target, days) => runs.get(target).filter(value => value <= days).length / simulations,
+  };
+}
@@ -0,0 +1,476 @@
+/**
+ * HNSW Index
+ * ----------
+ * In-process approximate nearest-neighbour index (Hierarchical Navigable
+ * Small World graph, Malkov & Yashunin) for cosine similarity. Vectors are
+ * normalized on insert, so similarity is a dot product.
+ *
+ * Inserts link the new node into every layer it reaches. Removal is a
+ * tombstone: the node keeps routing searches but is never returned, and
+ * compact() rebuilds the graph without tombstones. toBuffer/fromBuffer
+ * persist the graph in a compact binary form.
+ */
+
+export const HNSW_DEFAULTS = {
+  // Links per node on upper layers; layer 0 keeps twice as many
+  M: 16,
+  EF_CONSTRUCTION: 100,
+  EF_SEARCH: 128,
+  // Tombstone share of all nodes above which compaction pays off
+  COMPACTION_RATIO: 0.25,
+};
+
+// How vector providers use the index (see config/vector-config.js `ann`)
+export const ANN_DEFAULTS = {
+  enabled: true,
+  // Below this many vectors brute force is fast and exact
+  minVectors: 1000,
+  // Filters matching at most this many vectors are scored exactly
+  exactLimit: 2000,
+  M: HNSW_DEFAULTS.M,
+  efConstruction: HNSW_DEFAULTS.EF_CONSTRUCTION,
+  efSearch: HNSW_DEFAULTS.EF_SEARCH,
+};
+
+const MAGIC = 0x57534e48; // "HNSW"
+const FORMAT_VERSION = 1;
+
+// Deterministic level generator so rebuilds give the same graph
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalized(vector) {
+  const out = Float32Array.from(vector);
+  let magnitude = 0;
+  for (let i = 0; i < out.length; i++) magnitude += out[i] * out[i];
+  magnitude = Math.sqrt(magnitude);
+  if (magnitude > 0) for (let i = 0; i < out.length; i++) out[i] /= magnitude;
+  return out;
+}
+
+// Unrolled: dot products are nearly all of the build and search time
+function dot(a, b) {
+  const n = a.length;
+  const tail = n % 4;
+  let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+  for (let i = 0; i < n - tail; i += 4) {
+    s0 += a[i] * b[i];
+    s1 += a[i + 1] * b[i + 1];
+    s2 += a[i + 2] * b[i + 2];
+    s3 += a[i + 3] * b[i + 3];
+  }
+  for (let i = n - tail; i < n; i++) s0 += a[i] * b[i];
+  return s0 + s1 + s2 + s3;
+}
+
+/**
+ * Binary heap of {node, sim}. `max` puts the most similar on top.
+ */
+class Heap {
+  constructor(max) {
+    this.items = [];
+    this.better = max ? (a, b) => a.sim > b.sim : (a, b) => a.sim < b.sim;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.better(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.better(items[left], items[best])) best = left;
+        if (right < items.length && this.better(items[right], items[best])) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+export class HNSWIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimension
+   * @param {number} [options.M]
+   * @param {number} [options.efConstruction]
+   * @param {number} [options.efSearch]
+   * @param {number} [options.seed]
+   */
+  constructor({ dimension, M = HNSW_DEFAULTS.M, efConstruction = HNSW_DEFAULTS.EF_CONSTRUCTION, efSearch = HNSW_DEFAULTS.EF_SEARCH, seed = 1 } = {}) {
+    if (!Number.isInteger(dimension) || dimension <= 0) throw new Error('HNSWIndex: dimension must be a positive integer');
+    this.dimension = dimension;
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = Math.max(efConstruction, M);
+    this.efSearch = efSearch;
+    this.seed = seed;
+    this.levelMultiplier = 1 / Math.log(Math.max(M, 2));
+    this.random = mulberry32(seed);
+
+    this.ids = []; // node -> external id
+    this.nodeOf = new Map(); // external id -> live node
+    this.vectors = []; // node -> normalized Float32Array
+    this.links = []; // node -> [layer] -> neighbour nodes
+    this.deleted = new Set(); // tombstoned nodes
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.visited = new Uint32Array(0);
+    this.visitMark = 0;
+    // Free-form data persisted with the index (e.g. store generation)
+    this.meta = {};
+  }
+
+  /** Live (not removed) vectors */
+  get size() {
+    return this.nodeOf.size;
+  }
+
+  has(id) {
+    return this.nodeOf.has(id);
+  }
+
+  /** Live ids, optionally only those starting with a prefix */
+  idsWithPrefix(prefix = '') {
+    return [...this.nodeOf.keys()].filter(id => String(id).startsWith(prefix));
+  }
+
+  /**
+   * Insert or replace a vector. Re-adding an unchanged vector is a no-op.
+   * @param {string} id
+   * @param {ArrayLike<number>} vector
+   */
+  add(id, vector) {
+    if (!vector || vector.length !== this.dimension) {
+      throw new Error(`HNSWIndex: expected ${this.dimension} dimensions, got ${vector ? vector.length : 0}`);
+    }
+    const vec = normalized(vector);
+    if (this.nodeOf.has(id)) {
+      const current = this.vectors[this.nodeOf.get(id)];
+      if (current.every((value, i) => Math.abs(value - vec[i]) < 1e-6)) return;
+      this.remove(id);
+    }
+
+    const node = this.ids.length;
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    this.ids.push(id);
+    this.vectors.push(vec);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.nodeOf.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      current = this._greedyClosest(vec, current, layer);
+    }
+
+    const live = candidate => !this.deleted.has(candidate);
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const found = this._searchLayer(vec, current, this.efConstruction, layer, live);
+      const neighbours = this._selectNeighbours(found, this.M);
+      this.links[node][layer] = neighbours.map(entry => entry.node);
+      for (const { node: neighbour } of neighbours) this._link(neighbour, node, layer);
+      if (found.length > 0) current = found[0].node;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  /**
+   * Tombstone a vector; it is skipped by search from now on.
+   * @returns {boolean} Whether the id was indexed
+   */
+  remove(id) {
+    const node = this.nodeOf.get(id);
+    if (node === undefined) return false;
+    this.nodeOf.delete(id);
+    this.deleted.add(node);
+    return true;
+  }
+
+  /**
+   * @param {ArrayLike<number>} query
+   * @param {number} k
+   * @param {{ef?: number, filter?: (id: string) => boolean}} [options] - filter limits results, not routing
+   * @returns {Array<{id: string, similarity: number}>} Most similar first
+   */
+  search(query, k, { ef, filter = null } = {}) {
+    if (this.entryPoint === -1 || this.size === 0 || k <= 0) return [];
+    if (!query || query.length !== this.dimension) {
+      throw new Error(`HNSWIndex: expected ${this.dimension} dimensions, got ${query ? query.length : 0}`);
+    }
+    const vec = normalized(query);
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      current = this._greedyClosest(vec, current, layer);
+    }
+    const accept = node => !this.deleted.has(node) && (!filter || filter(this.ids[node]));
+    return this._searchLayer(vec, current, Math.max(k, ef || this.efSearch), 0, accept)
+      .slice(0, k)
+      .map(({ node, sim }) => ({ id: this.ids[node], similarity: sim }));
+  }
+
+  needsCompaction() {
+    return this.deleted.size > 0 && this.deleted.size / this.ids.length > HNSW_DEFAULTS.COMPACTION_RATIO;
+  }
+
+  /**
+   * A new index with the live vectors only.
+   * @returns {HNSWIndex}
+   */
+  compact() {
+    const index = new HNSWIndex({ dimension: this.dimension, M: this.M, efConstruction: this.efConstruction, efSearch: this.efSearch, seed: this.seed });
+    index.meta = { ...this.meta };
+    for (const [id, node] of this.nodeOf) index.add(id, this.vectors[node]);
+    return index;
+  }
+
+  stats() {
+    return {
+      vectors: this.size,
+      nodes: this.ids.length,
+      deleted: this.deleted.size,
+      dimension: this.dimension,
+      levels: this.maxLevel + 1,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+    };
+  }
+
+  // ===== PERSISTENCE =====
+
+  /**
+   * Layout: magic, version, header length (uint32 each), JSON header padded
+   * to 4 bytes, Float32 vectors (node order), then per node and layer a
+   * neighbour count followed by the neighbours (int32).
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const header = Buffer.from(JSON.stringify({
+      dimension: this.dimension,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      seed: this.seed,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      ids: this.ids,
+      levels: this.links.map(layers => layers.length - 1),
+      deleted: [...this.deleted],
+      meta: this.meta,
+    }));
+    const headerLength = Math.ceil(header.length / 4) * 4;
+    const linkCount = this.links.reduce((sum, layers) => sum + layers.reduce((n, list) => n + 1 + list.length, 0), 0);
+    const buffer = Buffer.alloc(12 + headerLength + this.ids.length * this.dimension * 4 + linkCount * 4, 0x20);
+
+    buffer.writeUInt32LE(MAGIC, 0);
+    buffer.writeUInt32LE(FORMAT_VERSION, 4);
+    buffer.writeUInt32LE(headerLength, 8);
+    header.copy(buffer, 12);
+
+    let offset = 12 + headerLength;
+    for (const vector of this.vectors) {
+      Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).copy(buffer, offset);
+      offset += vector.byteLength;
+    }
+    const links = new Int32Array(linkCount);
+    let position = 0;
+    for (const layers of this.links) {
+      for (const list of layers) {
+        links[position++] = list.length;
+        for (const neighbour of list) links[position++] = neighbour;
+      }
+    }
+    Buffer.from(links.buffer).copy(buffer, offset);
+    return buffer;
+  }
+
+  /**
+   * @param {Buffer} buffer - From toBuffer
+   * @returns {HNSWIndex}
+   */
+  static fromBuffer(buffer) {
+    if (buffer.length < 12 || buffer.readUInt32LE(0) !== MAGIC) throw new Error('HNSWIndex: not an index file');
+    const version = buffer.readUInt32LE(4);
+    if (version !== FORMAT_VERSION) throw new Error(`HNSWIndex: unsupported format version ${version}`);
+    const headerLength = buffer.readUInt32LE(8);
+    const header = JSON.parse(buffer.subarray(12, 12 + headerLength).toString().trimEnd());
+
+    const index = new HNSWIndex(header);
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.meta = header.meta || {};
+    index.ids = header.ids;
+    index.deleted = new Set(header.deleted);
+    // Copy into fresh, aligned memory; vectors are views into it
+    const start = buffer.byteOffset + 12 + headerLength;
+    const vectorBytes = header.ids.length * header.dimension * 4;
+    const allVectors = new Float32Array(buffer.buffer.slice(start, start + vectorBytes));
+    const links = new Int32Array(buffer.buffer.slice(start + vectorBytes, buffer.byteOffset + buffer.length));
+
+    let position = 0;
+    header.ids.forEach((id, node) => {
+      index.vectors.push(allVectors.subarray(node * header.dimension, (node + 1) * header.dimension));
+      const layers = [];
+      for (let layer = 0; layer <= header.levels[node]; layer++) {
+        const count = links[position++];
+        layers.push(Array.from(links.subarray(position, position + count)));
+        position += count;
+      }
+      index.links.push(layers);
+      if (!index.deleted.has(node)) index.nodeOf.set(id, node);
+    });
+    // Keep inserted levels from repeating the persisted sequence
+    index.random = mulberry32(header.seed + header.ids.length);
+    return index;
+  }
+
+  // ===== GRAPH =====
+
+  _greedyClosest(vec, start, layer) {
+    let current = start;
+    let best = dot(vec, this.vectors[current]);
+    for (let improved = true; improved;) {
+      improved = false;
+      for (const neighbour of this.links[current][layer] || []) {
+        const sim = dot(vec, this.vectors[neighbour]);
+        if (sim > best) {
+          best = sim;
+          current = neighbour;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  _beginVisit() {
+    if (this.visited.length < this.ids.length) {
+      this.visited = new Uint32Array(Math.max(this.ids.length * 2, 1024));
+      this.visitMark = 0;
+    }
+    this.visitMark++;
+    if (this.visitMark === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitMark = 1;
+    }
+    return this.visitMark;
+  }
+
+  /**
+   * Best-first search of one layer. Every node routes the search; only
+   * accepted nodes enter the result set.
+   * @returns {Array<{node: number, sim: number}>} Most similar first
+   */
+  _searchLayer(vec, entry, ef, layer, accept) {
+    const mark = this._beginVisit();
+    const visited = this.visited;
+    const candidates = new Heap(true);
+    const results = new Heap(false);
+
+    const start = { node: entry, sim: dot(vec, this.vectors[entry]) };
+    visited[entry] = mark;
+    candidates.push(start);
+    if (accept(entry)) results.push(start);
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+      if (results.size >= ef && closest.sim < results.peek().sim) break;
+      for (const neighbour of this.links[closest.node][layer] || []) {
+        if (visited[neighbour] === mark) continue;
+        visited[neighbour] = mark;
+        const sim = dot(vec, this.vectors[neighbour]);
+        if (results.size < ef || sim > results.peek().sim) {
+          candidates.push({ node: neighbour, sim });
+          if (accept(neighbour)) {
+            results.push({ node: neighbour, sim });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+    return results.items.sort((a, b) => b.sim - a.sim);
+  }
+
+  /**
+   * Neighbour selection heuristic: skip candidates closer to an already
+   * chosen neighbour than to the node, then top up with the best skipped.
+   * @param {Array<{node: number, sim: number}>} candidates - Most similar first
+   */
+  _selectNeighbours(candidates, limit) {
+    const selected = [];
+    const skipped = [];
+    for (const candidate of candidates) {
+      if (selected.length >= limit) break;
+      const vector = this.vectors[candidate.node];
+      if (selected.every(chosen => dot(vector, this.vectors[chosen.node]) < candidate.sim)) {
+        selected.push(candidate);
+      } else {
+        skipped.push(candidate);
+      }
+    }
+    for (const candidate of skipped) {
+      if (selected.length >= limit) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  _link(from, to, layer) {
+    const list = this.links[from][layer];
+    list.push(to);
+    const limit = layer === 0 ? this.maxM0 : this.M;
+    if (list.length <= limit) return;
+
+    const vector = this.vectors[from];
+    const candidates = list
+      .map(node => ({ node, sim: dot(vector, this.vectors[node]) }))
+      .sort((a, b) => b.sim - a.sim);
+    this.links[from][layer] = this._selectNeighbours(candidates, limit).map(entry => entry.node);
+  }
+}
+
+export default HNSWIndex;
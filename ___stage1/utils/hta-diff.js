@@ -0,0 +1,334 @@
+/**
+ * HTA Tree Diff
+ * -------------
+ * Structural comparison of two versions of an HTA tree.
+ *
+ * Nodes are matched by ID first. Nodes whose IDs disappeared are then paired
+ * with newly added nodes by title similarity, so a task that was regenerated
+ * under a fresh ID is reported as modified rather than removed + added.
+ *
+ * The result lists added, removed, moved (branch, nesting parent or
+ * prerequisites changed) and modified (tracked fields changed) nodes, plus the
+ * same view for strategic branches.
+ */
+
+import { buildParentChildMap, getDescendants, getLeafTasks } from './hta-hierarchy-utils.js';
+
+export const HTA_DIFF_CONSTANTS = {
+  DEFAULT_SIMILARITY_THRESHOLD: 0.6,
+  TRACKED_NODE_FIELDS: ['title', 'description', 'priority', 'difficulty', 'duration', 'completed', 'status'],
+  TRACKED_BRANCH_FIELDS: ['name', 'description', 'priority', 'phase'],
+  DEFAULT_MAX_LISTED: 10,
+};
+
+/**
+ * Lowercased word tokens used for title similarity.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function tokenize(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Similarity of two titles in [0, 1] (token Jaccard index).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function titleSimilarity(a, b) {
+  const left = tokenize(a);
+  const right = tokenize(b);
+  if (left.size === 0 && right.size === 0) return 0;
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) shared++;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Flatten frontier nodes (including nested subtasks) with their placement.
+ * @param {object} hta
+ * @returns {Map<string, {node: object, parent: string|null, branch: string|null}>}
+ */
+function indexNodes(hta) {
+  const index = new Map();
+
+  function visit(node, parent) {
+    if (!node || typeof node !== 'object' || !node.id) return;
+    index.set(node.id, { node, parent, branch: node.branch || null });
+    if (Array.isArray(node.subtasks)) {
+      node.subtasks.forEach(subtask => visit(subtask, node.id));
+    }
+  }
+
+  (Array.isArray(hta?.frontierNodes) ? hta.frontierNodes : []).forEach(node => visit(node, null));
+  return index;
+}
+
+/**
+ * Reverse of buildParentChildMap: prerequisite ID → dependent IDs.
+ * @param {object} parentChildMap
+ * @returns {object}
+ */
+function buildDependentsMap(parentChildMap) {
+  const reverse = {};
+  for (const [id, prerequisites] of Object.entries(parentChildMap)) {
+    for (const prerequisite of prerequisites) {
+      (reverse[prerequisite] = reverse[prerequisite] || []).push(id);
+    }
+  }
+  return reverse;
+}
+
+function branchKey(branch, position) {
+  return branch?.id || branch?.name || `branch_${position}`;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter(field => !sameValue(before[field], after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Pair unmatched old and new items by title similarity, best pairs first.
+ * @returns {Array<{from: string, to: string, similarity: number}>}
+ */
+function matchBySimilarity(oldItems, newItems, titleOf, threshold) {
+  const candidates = [];
+  for (const [oldKey, oldItem] of oldItems) {
+    for (const [newKey, newItem] of newItems) {
+      const similarity = titleSimilarity(titleOf(oldItem), titleOf(newItem));
+      if (similarity >= threshold) {
+        candidates.push({ from: oldKey, to: newKey, similarity });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.similarity - a.similarity);
+  const usedOld = new Set();
+  const usedNew = new Set();
+  const pairs = [];
+  for (const candidate of candidates) {
+    if (usedOld.has(candidate.from) || usedNew.has(candidate.to)) continue;
+    usedOld.add(candidate.from);
+    usedNew.add(candidate.to);
+    pairs.push({ ...candidate, similarity: Math.round(candidate.similarity * 100) / 100 });
+  }
+  return pairs;
+}
+
+/**
+ * Match items by key, then by similarity among the leftovers.
+ * @returns {{pairs: Array<{from: string, to: string, match: string, similarity?: number}>, added: string[], removed: string[]}}
+ */
+function matchItems(oldIndex, newIndex, titleOf, threshold) {
+  const pairs = [];
+  const unmatchedOld = new Map();
+  const unmatchedNew = new Map(newIndex);
+
+  for (const [key, item] of oldIndex) {
+    if (newIndex.has(key)) {
+      pairs.push({ from: key, to: key, match: 'id' });
+      unmatchedNew.delete(key);
+    } else {
+      unmatchedOld.set(key, item);
+    }
+  }
+
+  for (const pair of matchBySimilarity(unmatchedOld, unmatchedNew, titleOf, threshold)) {
+    pairs.push({ ...pair, match: 'title' });
+    unmatchedOld.delete(pair.from);
+    unmatchedNew.delete(pair.to);
+  }
+
+  return { pairs, added: [...unmatchedNew.keys()], removed: [...unmatchedOld.keys()] };
+}
+
+function diffBranches(before, after, threshold) {
+  const index = hta => new Map(
+    (Array.isArray(hta?.strategicBranches) ? hta.strategicBranches : [])
+      .map((branch, position) => [branchKey(branch, position), branch])
+  );
+  const oldBranches = index(before);
+  const newBranches = index(after);
+  const { pairs, added, removed } = matchItems(oldBranches, newBranches, branch => branch.name, threshold);
+
+  // Old branch name → new branch name, so renamed branches do not count as task moves
+  const renames = new Map();
+  const modified = [];
+  for (const pair of pairs) {
+    const oldBranch = oldBranches.get(pair.from);
+    const newBranch = newBranches.get(pair.to);
+    if (oldBranch.name) renames.set(oldBranch.name, newBranch.name || null);
+    const changes = fieldChanges(oldBranch, newBranch, HTA_DIFF_CONSTANTS.TRACKED_BRANCH_FIELDS);
+    if (changes.length > 0) {
+      modified.push({ name: newBranch.name || pair.to, previous_name: oldBranch.name || pair.from, match: pair.match, changes });
+    }
+  }
+
+  return {
+    renames,
+    added: added.map(key => ({ name: newBranches.get(key).name || key })),
+    removed: removed.map(key => ({ name: oldBranches.get(key).name || key })),
+    modified,
+  };
+}
+
+/**
+ * Compare two HTA trees.
+ * @param {object|null} before - Previous tree
+ * @param {object|null} after - Current tree
+ * @param {{similarityThreshold?: number}} [options]
+ * @returns {object} Diff with summary, added, removed, moved, modified and branches
+ */
+export function diffHTATrees(before, after, options = {}) {
+  const threshold = options.similarityThreshold ?? HTA_DIFF_CONSTANTS.DEFAULT_SIMILARITY_THRESHOLD;
+  const oldNodes = indexNodes(before);
+  const newNodes = indexNodes(after);
+  const oldPrerequisites = buildParentChildMap(before);
+  const newPrerequisites = buildParentChildMap(after);
+  const oldDependents = buildDependentsMap(oldPrerequisites);
+  const newDependents = buildDependentsMap(newPrerequisites);
+
+  const branches = diffBranches(before, after, threshold);
+  const { pairs, added, removed } = matchItems(oldNodes, newNodes, entry => entry.node.title, threshold);
+  const idMap = new Map(pairs.map(pair => [pair.from, pair.to]));
+  const translate = id => idMap.get(id) || id;
+  const describe = (id, entry) => ({ id, title: entry.node.title || id, branch: entry.branch });
+
+  const moved = [];
+  const modified = [];
+  for (const pair of pairs) {
+    const oldEntry = oldNodes.get(pair.from);
+    const newEntry = newNodes.get(pair.to);
+    const identity = {
+      ...describe(pair.to, newEntry),
+      ...(pair.from !== pair.to && { previous_id: pair.from }),
+      match: pair.match,
+      ...(pair.similarity !== undefined && { similarity: pair.similarity }),
+    };
+
+    const oldBranch = oldEntry.branch && branches.renames.has(oldEntry.branch)
+      ? branches.renames.get(oldEntry.branch)
+      : oldEntry.branch;
+    const oldParent = oldEntry.parent ? translate(oldEntry.parent) : null;
+    const oldPrereqs = (oldPrerequisites[pair.from] || []).map(translate).sort();
+    const newPrereqs = [...(newPrerequisites[pair.to] || [])].sort();
+
+    if (oldBranch !== newEntry.branch || oldParent !== newEntry.parent || !sameValue(oldPrereqs, newPrereqs)) {
+      moved.push({
+        ...identity,
+        from: { branch: oldEntry.branch, parent: oldEntry.parent, prerequisites: oldPrerequisites[pair.from] || [] },
+        to: { branch: newEntry.branch, parent: newEntry.parent, prerequisites: newPrerequisites[pair.to] || [] },
+        dependents: getDescendants(pair.to, newDependents),
+      });
+    }
+
+    const changes = fieldChanges(oldEntry.node, newEntry.node, HTA_DIFF_CONSTANTS.TRACKED_NODE_FIELDS);
+    if (changes.length > 0) {
+      modified.push({ ...identity, changes });
+    }
+  }
+
+  const addedNodes = added.map(id => describe(id, newNodes.get(id)));
+  const removedNodes = removed.map(id => ({
+    ...describe(id, oldNodes.get(id)),
+    // Tasks that depended on the removed one, directly or transitively
+    dependents: getDescendants(id, oldDependents).map(translate).filter(dependent => newNodes.has(dependent)),
+  }));
+
+  const summary = {
+    nodes_before: getLeafTasks(before).length,
+    nodes_after: getLeafTasks(after).length,
+    added: addedNodes.length,
+    removed: removedNodes.length,
+    moved: moved.length,
+    modified: modified.length,
+    matched_by_title: pairs.filter(pair => pair.match === 'title').length,
+    branches_added: branches.added.length,
+    branches_removed: branches.removed.length,
+    branches_modified: branches.modified.length,
+  };
+  summary.has_changes = ['added', 'removed', 'moved', 'modified', 'branches_added', 'branches_removed', 'branches_modified']
+    .some(key => summary[key] > 0);
+
+  return {
+    summary,
+    added: addedNodes,
+    removed: removedNodes,
+    moved,
+    modified,
+    branches: { added: branches.added, removed: branches.removed, modified: branches.modified },
+  };
+}
+
+/**
+ * Render a diff as markdown for tool responses.
+ * @param {object} diff - Result of diffHTATrees
+ * @param {{maxListed?: number, heading?: string}} [options]
+ * @returns {string}
+ */
+export function formatHTADiff(diff, options = {}) {
+  const maxListed = options.maxListed ?? HTA_DIFF_CONSTANTS.DEFAULT_MAX_LISTED;
+  const heading = options.heading ?? '**Tree Changes**';
+  const { summary } = diff;
+
+  if (!summary.has_changes) {
+    return `${heading}: no structural changes.`;
+  }
+
+  const list = (items, render) => items
+    .slice(0, maxListed)
+    .map(item => `  • ${render(item)}`)
+    .join('\n') + (items.length > maxListed ? `\n  • …and ${items.length - maxListed} more` : '');
+  const placement = where => [where.branch, where.parent && `under ${where.parent}`].filter(Boolean).join(' ') || 'top level';
+  const value = raw => {
+    const text = JSON.stringify(raw);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  };
+
+  const sections = [
+    `${heading}: +${summary.added} added, -${summary.removed} removed, ${summary.moved} moved, ${summary.modified} modified`,
+  ];
+  if (diff.added.length > 0) {
+    sections.push(`**Added** (${diff.added.length}):\n${list(diff.added, node => `${node.title}${node.branch ? ` [${node.branch}]` : ''}`)}`);
+  }
+  if (diff.removed.length > 0) {
+    sections.push(`**Removed** (${diff.removed.length}):\n${list(diff.removed, node =>
+      `${node.title}${node.dependents.length > 0 ? ` — ${node.dependents.length} dependent task(s) affected` : ''}`)}`);
+  }
+  if (diff.moved.length > 0) {
+    sections.push(`**Moved** (${diff.moved.length}):\n${list(diff.moved, node => {
+      const prereqsChanged = !sameValue([...node.from.prerequisites].sort(), [...node.to.prerequisites].sort());
+      const where = placement(node.from) !== placement(node.to) ? `${placement(node.from)} → ${placement(node.to)}` : 'prerequisites changed';
+      return `${node.title}: ${where}${prereqsChanged && where !== 'prerequisites changed' ? ', prerequisites changed' : ''}`;
+    })}`);
+  }
+  if (diff.modified.length > 0) {
+    sections.push(`**Modified** (${diff.modified.length}):\n${list(diff.modified, node =>
+      `${node.title}: ${node.changes.map(change => `${change.field} ${value(change.before)} → ${value(change.after)}`).join(', ')}`)}`);
+  }
+  const { branches } = diff;
+  if (branches.added.length + branches.removed.length + branches.modified.length > 0) {
+    const parts = [
+      ...branches.added.map(branch => `+${branch.name}`),
+      ...branches.removed.map(branch => `-${branch.name}`),
+      ...branches.modified.map(branch => branch.previous_name !== branch.name ? `${branch.previous_name} → ${branch.name}` : `~${branch.name}`),
+    ];
+    sections.push(`**Branches**: ${parts.join(', ')}`);
+  }
+
+  return sections.join('\n\n');
+}
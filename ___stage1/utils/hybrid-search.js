@@ -0,0 +1,213 @@
+/**
+ * Hybrid Search
+ * -------------
+ * Lexical (BM25) + vector retrieval over a project's tree and history, fused
+ * with reciprocal-rank fusion (RRF). RRF only looks at ranks, so BM25 scores
+ * and cosine similarities never need to be put on the same scale.
+ *
+ * Search documents are the goal, strategic branches, tasks, completions that
+ * carry notes (learned, next questions) and breakthroughs.
+ */
+
+import { BM25Index } from './bm25-index.js';
+import { getLeafTasks } from './hta-hierarchy-utils.js';
+
+export const HYBRID_CONSTANTS = {
+  // Standard RRF damping constant
+  RRF_K: 60,
+  FIELD_WEIGHTS: { title: 3, outcome: 1.5, learned: 1.5, insight: 2, branch: 1, description: 1, questions: 1 },
+  SEARCH_TYPES: ['goal', 'branch', 'task', 'completion', 'breakthrough'],
+  STATUSES: ['completed', 'pending'],
+  MODES: ['hybrid', 'lexical', 'vector'],
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 50,
+  // How deep each ranking goes before fusion
+  CANDIDATES: 50,
+  MIN_SIMILARITY: 0.05,
+  SNIPPET_LENGTH: 160,
+};
+
+/**
+ * Reciprocal-rank fusion: score(d) = sum over rankings of 1 / (k + rank).
+ * @param {Object<string, string[]>} rankings - Ranking name -> ids, best first
+ * @returns {Array<{id: string, score: number, ranks: Object<string, number>}>} Best first
+ */
+export function reciprocalRankFusion(rankings, { k = HYBRID_CONSTANTS.RRF_K } = {}) {
+  const fused = new Map();
+  for (const [name, ids] of Object.entries(rankings)) {
+    [...new Set(ids)].forEach((id, index) => {
+      const entry = fused.get(id) || { id, score: 0, ranks: {} };
+      entry.score += 1 / (k + index + 1);
+      entry.ranks[name] = index + 1;
+      fused.set(id, entry);
+    });
+  }
+  const bestRank = entry => Math.min(...Object.values(entry.ranks));
+  return [...fused.values()].sort((a, b) => b.score - a.score || bestRank(a) - bestRank(b) || String(a.id).localeCompare(String(b.id)));
+}
+
+/**
+ * Fused scores scaled so the best result is 1.
+ * @returns {Map<string, number>}
+ */
+export function normalizedFusion(rankings, options) {
+  const fused = reciprocalRankFusion(rankings, options);
+  const top = fused[0]?.score || 1;
+  return new Map(fused.map(entry => [entry.id, entry.score / top]));
+}
+
+export function taskSearchFields(task) {
+  return {
+    title: task.title || task.name || '',
+    description: task.description || '',
+    outcome: task.learningOutcome || task.learning_outcome || '',
+    branch: task.branch || '',
+  };
+}
+
+/**
+ * BM25 ranking of tasks against free text.
+ * @param {Array<Object>} tasks
+ * @param {string} query
+ * @param {{limit?: number, idOf?: (task: Object) => string}} [options]
+ * @returns {Array<{id: string, score: number, matched: string[]}>}
+ */
+export function rankTasksLexically(tasks, query, { limit = HYBRID_CONSTANTS.CANDIDATES, idOf = task => task.id } = {}) {
+  const index = new BM25Index({ fieldWeights: HYBRID_CONSTANTS.FIELD_WEIGHTS });
+  for (const task of tasks) index.add(idOf(task), taskSearchFields(task));
+  return index.search(query, { limit });
+}
+
+const textOf = value => (Array.isArray(value) ? value.filter(Boolean).join('; ') : value ? String(value) : '');
+
+/**
+ * Search documents for one learning path.
+ * @param {Object} params
+ * @param {Object} params.htaData
+ * @param {Array<Object>} params.completions - completion-log.json entries
+ * @param {Object} params.learningHistory - Used for completed topics missing from the log
+ * @returns {Array<Object>} {id, type, title, fields, text, branch, date, completed, task_id}
+ */
+export function buildSearchDocuments({ htaData = null, completions = [], learningHistory = null }) {
+  const documents = [];
+  const add = doc => documents.push({ ...doc, text: Object.values(doc.fields).filter(Boolean).join('\n') });
+
+  const tasks = getLeafTasks(htaData);
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const taskOf = taskId => tasksById.get(String(taskId || '').replace(/^review:/, ''));
+
+  // Completions from the log, then history topics the log does not have
+  const entries = completions.filter(entry => entry?.task_id).map(entry => ({
+    task_id: entry.task_id,
+    at: entry.completed_at,
+    outcome: entry.outcome,
+    learned: entry.learned,
+    questions: entry.next_questions,
+    breakthrough: entry.breakthrough,
+    review: Boolean(entry.review),
+  }));
+  const logged = new Set(entries.map(entry => entry.task_id));
+  for (const topic of learningHistory?.completedTopics || []) {
+    if (!topic?.id || logged.has(topic.id)) continue;
+    entries.push({ task_id: topic.id, title: topic.title, at: topic.completedAt, learned: topic.learned, questions: topic.nextQuestions, breakthrough: topic.breakthrough });
+  }
+  const completedAt = new Map();
+  for (const entry of entries) {
+    if (!entry.review && entry.at && !(completedAt.get(entry.task_id) > entry.at)) completedAt.set(entry.task_id, entry.at);
+  }
+
+  if (htaData?.goal) {
+    add({ id: 'goal', type: 'goal', title: htaData.goal, fields: { title: htaData.goal, description: htaData.context || '' }, date: htaData.created || null });
+  }
+
+  for (const branch of htaData?.strategicBranches || []) {
+    const name = typeof branch === 'string' ? branch : branch?.name || branch?.title;
+    if (!name) continue;
+    add({ id: `branch:${name}`, type: 'branch', title: name, fields: { title: name, description: branch.description || '' }, branch: name, date: null });
+  }
+
+  for (const task of tasks) {
+    add({
+      id: `task:${task.id}`,
+      type: 'task',
+      title: task.title || task.id,
+      fields: taskSearchFields(task),
+      branch: task.branch || 'General',
+      date: completedAt.get(task.id) || task.created || null,
+      completed: task.completed === true || completedAt.has(task.id),
+      task_id: task.id,
+    });
+  }
+
+  entries.forEach((entry, index) => {
+    const task = taskOf(entry.task_id);
+    const title = task?.title || entry.title || entry.task_id;
+    const base = { branch: task?.branch || 'General', date: entry.at || null, completed: true, task_id: task?.id || entry.task_id };
+
+    if (textOf(entry.learned) || textOf(entry.questions)) {
+      add({
+        ...base,
+        id: `completion:${index}`,
+        type: 'completion',
+        title: entry.review ? `Review: ${title}` : title,
+        fields: { title, learned: textOf(entry.learned), questions: textOf(entry.questions), outcome: entry.outcome || '' },
+      });
+    }
+    if (entry.breakthrough) {
+      const insight = typeof entry.breakthrough === 'string' ? entry.breakthrough : textOf(entry.learned);
+      add({ ...base, id: `breakthrough:${index}`, type: 'breakthrough', title, fields: { title, insight } });
+    }
+  });
+
+  return documents;
+}
+
+function dateBound(value, endOfDay) {
+  if (!value) return null;
+  const text = String(value);
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : text);
+  if (!Number.isFinite(time)) throw new Error(`Invalid date: ${value}`);
+  return time;
+}
+
+/**
+ * Normalize and validate search filters.
+ * @returns {{types: string[]|null, branch: string|null, from: number|null, to: number|null, status: string|null}}
+ */
+export function normalizeSearchFilters({ type = null, branch = null, from = null, to = null, status = null } = {}) {
+  const types = type ? (Array.isArray(type) ? type : [type]).map(value => String(value).toLowerCase()) : null;
+  const unknown = (types || []).filter(value => !HYBRID_CONSTANTS.SEARCH_TYPES.includes(value));
+  if (unknown.length > 0) throw new Error(`Unknown type "${unknown[0]}". Use one of: ${HYBRID_CONSTANTS.SEARCH_TYPES.join(', ')}`);
+  if (status && !HYBRID_CONSTANTS.STATUSES.includes(status)) {
+    throw new Error(`Unknown status "${status}". Use one of: ${HYBRID_CONSTANTS.STATUSES.join(', ')}`);
+  }
+  return { types, branch: branch || null, from: dateBound(from, false), to: dateBound(to, true), status: status || null };
+}
+
+/**
+ * @param {Object} doc - From buildSearchDocuments
+ * @param {Object} filters - From normalizeSearchFilters
+ */
+export function matchesSearchFilters(doc, filters) {
+  if (filters.types && !filters.types.includes(doc.type)) return false;
+  if (filters.branch && String(doc.branch || '').toLowerCase() !== String(filters.branch).toLowerCase()) return false;
+  if (filters.status === 'completed' && doc.completed !== true) return false;
+  if (filters.status === 'pending' && doc.completed !== false) return false;
+  if (filters.from !== null || filters.to !== null) {
+    const time = Date.parse(doc.date);
+    if (!Number.isFinite(time)) return false;
+    if (filters.from !== null && time < filters.from) return false;
+    if (filters.to !== null && time > filters.to) return false;
+  }
+  return true;
+}
+
+/**
+ * Short excerpt from the first field that mentions a matched term.
+ */
+export function searchSnippet(doc, matchedTerms = []) {
+  const texts = Object.entries(doc.fields).filter(([field, text]) => field !== 'title' && text).map(([, text]) => text);
+  const lower = term => texts.find(text => text.toLowerCase().includes(term));
+  const text = matchedTerms.map(lower).find(Boolean) || texts[0] || '';
+  return text.length > HYBRID_CONSTANTS.SNIPPET_LENGTH ? `${text.slice(0, HYBRID_CONSTANTS.SNIPPET_LENGTH - 1)}…` : text;
+}
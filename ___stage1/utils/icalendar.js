@@ -0,0 +1,497 @@
+/**
+ * iCalendar Utility Functions
+ * ---------------------------
+ * Minimal RFC 5545 reader/writer used to move Forest schedules in and out of
+ * ordinary calendar applications. No calendar service is contacted; these
+ * helpers only convert between `.ics` text and plain objects.
+ *
+ * Date-times are represented locally as "YYYY-MM-DDTHH:MM" strings and all-day
+ * dates as "YYYY-MM-DD", matching the clock strings used by Forest schedules.
+ */
+
+export const ICS_CONSTANTS = {
+  LINE_BREAK: '\r\n',
+  MAX_LINE_OCTETS: 75,
+  PRODUCT_ID: '-//Forest//Forest Schedule Export//EN',
+  MINUTES_PER_DAY: 24 * 60,
+  MAX_OCCURRENCES: 1000,
+  WEEKDAYS: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+};
+
+// ===== TEXT ENCODING =====
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Reverse escapeText.
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets (RFC 5545 §3.1).
+ * Multi-byte characters are never split.
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  let limit = ICS_CONSTANTS.MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = ICS_CONSTANTS.MAX_LINE_OCTETS - 1; // continuation lines start with a space
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join(`${ICS_CONSTANTS.LINE_BREAK} `);
+}
+
+/**
+ * Split .ics text into logical content lines, undoing line folding.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function unfoldLines(text) {
+  const lines = [];
+  for (const physical of String(text ?? '').split(/\r?\n/)) {
+    if ((physical.startsWith(' ') || physical.startsWith('\t')) && lines.length > 0) {
+      lines[lines.length - 1] += physical.slice(1);
+    } else if (physical.length > 0) {
+      lines.push(physical);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Parse "NAME;PARAM=VALUE:content" into its parts. Parameter values may be quoted.
+ * @param {string} line
+ * @returns {{name: string, params: object, value: string}|null}
+ */
+export function parseContentLine(line) {
+  let inQuotes = false;
+  let separator = -1;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) {
+      separator = index;
+      break;
+    }
+  }
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  if (!name) return null;
+
+  const params = {};
+  for (const param of rawParams) {
+    const equals = param.indexOf('=');
+    if (equals === -1) continue;
+    params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+// ===== DATE HANDLING =====
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function toLocalString(date, withTime = true) {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return withTime ? `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+}
+
+function fromLocalString(value) {
+  const [datePart, timePart = '00:00'] = value.split('T');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hours, minutes] = timePart.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Add minutes to a local "YYYY-MM-DDTHH:MM" or "YYYY-MM-DD" string, keeping its form.
+ * @param {string} value
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function addMinutes(value, minutes) {
+  const isDateOnly = !value.includes('T');
+  const date = fromLocalString(value);
+  date.setMinutes(date.getMinutes() + minutes);
+  return toLocalString(date, !isDateOnly);
+}
+
+/**
+ * Offset in minutes of `timeZone` from UTC at the given instant, or null if unknown.
+ */
+function getZoneOffsetMinutes(timeZone, instant) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(instant);
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const zoned = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return Math.round((zoned - instant.getTime()) / 60000);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a DATE or DATE-TIME property value to the local representation.
+ * UTC values and values with a recognised TZID are converted to local time;
+ * floating values (and unknown TZIDs) are taken as local wall-clock time.
+ * @param {string} value - e.g. "20250310T090000Z", "20250310T090000", "20250310"
+ * @param {object} params - content line parameters (VALUE, TZID)
+ * @returns {{value: string, allDay: boolean}|null}
+ */
+export function parseDateTimeValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds = '00', utc] = match;
+  if (params.VALUE === 'DATE' || hours === undefined) {
+    return { value: `${year}-${month}-${day}`, allDay: true };
+  }
+
+  if (utc) {
+    const instant = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+    return { value: toLocalString(instant), allDay: false };
+  }
+
+  if (params.TZID) {
+    const wallClockAsUtc = Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds);
+    const offset = getZoneOffsetMinutes(params.TZID, new Date(wallClockAsUtc));
+    if (offset !== null) {
+      const instant = new Date(wallClockAsUtc - offset * 60000);
+      return { value: toLocalString(instant), allDay: false };
+    }
+  }
+
+  return { value: `${year}-${month}-${day}T${hours}:${minutes}`, allDay: false };
+}
+
+/**
+ * Parse an RFC 5545 DURATION (e.g. "PT1H30M", "P1D", "P2W") into minutes.
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = (+weeks * 7 + +days) * ICS_CONSTANTS.MINUTES_PER_DAY + +hours * 60 + +minutes + Math.floor(+seconds / 60);
+  return sign === '-' ? -total : total;
+}
+
+function formatDateTimeValue(value) {
+  if (!value.includes('T')) return value.replace(/-/g, '');
+  const [datePart, timePart] = value.split('T');
+  return `${datePart.replace(/-/g, '')}T${timePart.replace(':', '')}00`;
+}
+
+function formatUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ===== WRITING =====
+
+/**
+ * Serialize events into a VCALENDAR document.
+ * Timed events use floating local time, all-day events use VALUE=DATE.
+ * @param {Array<object>} events - {uid, summary, start, end, description?, categories?, properties?}
+ * @param {object} [options] - {calendarName, productId, now}
+ * @returns {string} .ics text with CRLF line endings
+ */
+export function buildCalendar(events, options = {}) {
+  const stamp = formatUtcStamp(options.now || new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${options.productId || ICS_CONSTANTS.PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (options.calendarName) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.calendarName)}`);
+  }
+
+  for (const event of events) {
+    const allDay = !event.start.includes('T');
+    const dateParam = allDay ? ';VALUE=DATE' : '';
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(`DTSTART${dateParam}:${formatDateTimeValue(event.start)}`);
+    lines.push(`DTEND${dateParam}:${formatDateTimeValue(event.end)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (Array.isArray(event.categories) && event.categories.length > 0) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+    for (const [name, value] of Object.entries(event.properties || {})) {
+      if (value === undefined || value === null || value === '') continue;
+      lines.push(`${name.toUpperCase()}:${escapeText(value)}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(ICS_CONSTANTS.LINE_BREAK) + ICS_CONSTANTS.LINE_BREAK;
+}
+
+// ===== READING =====
+
+/**
+ * Parse VEVENTs out of .ics text. Nested components such as VALARM are ignored.
+ * @param {string} text
+ * @returns {{events: Array<object>, errors: Array<string>}}
+ */
+export function parseCalendar(text) {
+  const lines = unfoldLines(text);
+  if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar document: missing BEGIN:VCALENDAR');
+  }
+
+  const events = [];
+  const errors = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    const parsed = parseContentLine(line);
+    if (!parsed) continue;
+
+    if (parsed.name === 'BEGIN') {
+      stack.push(parsed.value.toUpperCase());
+      if (parsed.value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+        current = { properties: {}, exdates: [] };
+      }
+      continue;
+    }
+    if (parsed.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        const event = finalizeEvent(current);
+        if (event.error) errors.push(event.error);
+        else events.push(event);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || stack[stack.length - 1] !== 'VEVENT') continue;
+
+    if (parsed.name === 'EXDATE') {
+      for (const value of parsed.value.split(',')) {
+        const exdate = parseDateTimeValue(value, parsed.params);
+        if (exdate) current.exdates.push(exdate.value);
+      }
+    } else {
+      current.properties[parsed.name] = parsed;
+    }
+  }
+
+  return { events, errors };
+}
+
+function finalizeEvent({ properties, exdates }) {
+  const uid = properties.UID?.value || null;
+  const summary = unescapeText(properties.SUMMARY?.value || 'Busy');
+  const start = properties.DTSTART && parseDateTimeValue(properties.DTSTART.value, properties.DTSTART.params);
+  if (!start) {
+    return { error: `Event "${summary}" has no valid DTSTART` };
+  }
+
+  let end = properties.DTEND && parseDateTimeValue(properties.DTEND.value, properties.DTEND.params);
+  if (!end && properties.DURATION) {
+    const minutes = parseDuration(properties.DURATION.value);
+    if (minutes !== null) {
+      end = { value: addMinutes(start.value, minutes), allDay: start.allDay };
+    }
+  }
+  if (!end) {
+    // RFC 5545: a DATE start without end lasts one day; a DATE-TIME start ends where it starts
+    end = { value: start.allDay ? addMinutes(start.value, ICS_CONSTANTS.MINUTES_PER_DAY) : start.value, allDay: start.allDay };
+  }
+
+  const extensions = {};
+  for (const [name, property] of Object.entries(properties)) {
+    if (name.startsWith('X-')) extensions[name] = unescapeText(property.value);
+  }
+
+  return {
+    uid,
+    summary,
+    description: properties.DESCRIPTION ? unescapeText(properties.DESCRIPTION.value) : '',
+    start: start.value,
+    end: end.value,
+    allDay: start.allDay,
+    status: (properties.STATUS?.value || 'CONFIRMED').toUpperCase(),
+    transparent: (properties.TRANSP?.value || '').toUpperCase() === 'TRANSPARENT',
+    rrule: properties.RRULE ? parseRecurrenceRule(properties.RRULE.value) : null,
+    exdates,
+    extensions,
+  };
+}
+
+/**
+ * Parse an RRULE value into an object of upper-cased keys.
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @returns {object}
+ */
+export function parseRecurrenceRule(value) {
+  const rule = {};
+  for (const part of String(value).split(';')) {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue !== undefined) rule[key.toUpperCase()] = ruleValue;
+  }
+  return rule;
+}
+
+/**
+ * Expand an event into concrete occurrences between `from` and `until` (YYYY-MM-DD, inclusive).
+ * Supports FREQ=DAILY and FREQ=WEEKLY with INTERVAL, COUNT, UNTIL, BYDAY and EXDATE.
+ * Other frequencies return only the first occurrence and set `unsupported`.
+ * @param {object} event - parsed event from parseCalendar
+ * @param {{from: string, until: string}} range
+ * @returns {{occurrences: Array<{start: string, end: string}>, unsupported: boolean}}
+ */
+export function expandOccurrences(event, { from, until }) {
+  const durationMinutes = Math.round((fromLocalString(event.end) - fromLocalString(event.start)) / 60000);
+  const inRange = start => start.slice(0, 10) <= until && addMinutes(start, durationMinutes).slice(0, 10) >= from;
+  const toOccurrence = start => ({ start, end: addMinutes(start, durationMinutes) });
+
+  if (!event.rrule) {
+    return { occurrences: inRange(event.start) ? [toOccurrence(event.start)] : [], unsupported: false };
+  }
+
+  const rule = event.rrule;
+  if (rule.FREQ !== 'DAILY' && rule.FREQ !== 'WEEKLY') {
+    return { occurrences: inRange(event.start) ? [toOccurrence(event.start)] : [], unsupported: true };
+  }
+
+  const interval = Math.max(1, Number.parseInt(rule.INTERVAL, 10) || 1);
+  const count = rule.COUNT ? Number.parseInt(rule.COUNT, 10) : Infinity;
+  const ruleUntil = rule.UNTIL ? parseDateTimeValue(rule.UNTIL, {})?.value : null;
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(',').map(day => ICS_CONSTANTS.WEEKDAYS.indexOf(day.slice(-2))).filter(day => day >= 0)
+    : null;
+  const exdates = new Set(event.exdates);
+  const startDate = fromLocalString(event.start);
+  const timeSuffix = event.allDay ? '' : event.start.slice(10);
+
+  const occurrences = [];
+  let generated = 0;
+  for (let offset = 0; generated < count && offset < ICS_CONSTANTS.MAX_OCCURRENCES * 7; offset++) {
+    const candidateDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + offset);
+    const candidate = `${toLocalString(candidateDate, false)}${timeSuffix}`;
+    if (candidate.slice(0, 10) > until) break;
+    if (ruleUntil && candidate > ruleUntil) break;
+
+    let matches;
+    if (rule.FREQ === 'DAILY') {
+      matches = offset % interval === 0;
+    } else {
+      // Weeks start on Monday (the RFC 5545 default WKST)
+      const week = Math.floor((offset + (startDate.getDay() + 6) % 7) / 7);
+      const days = byDay && byDay.length > 0 ? byDay : [startDate.getDay()];
+      matches = week % interval === 0 && days.includes(candidateDate.getDay());
+    }
+    if (!matches) continue;
+
+    generated++;
+    if (!exdates.has(candidate) && inRange(candidate)) {
+      occurrences.push(toOccurrence(candidate));
+    }
+    if (occurrences.length >= ICS_CONSTANTS.MAX_OCCURRENCES) break;
+  }
+
+  return { occurrences, unsupported: false };
+}
+
+/**
+ * Busy intervals for one day, in minutes since midnight, merged and sorted.
+ * @param {Array<{start: string, end: string, all_day?: boolean, summary?: string}>} busyEvents
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<{start: number, end: number, summaries: string[]}>}
+ */
+export function getBusyIntervals(busyEvents, date) {
+  const intervals = [];
+  for (const event of busyEvents || []) {
+    const startDay = event.start.slice(0, 10);
+    const endValue = event.end || event.start;
+    if (startDay > date) continue;
+
+    let start;
+    let end;
+    if (event.all_day || !event.start.includes('T')) {
+      // All-day events end exclusively on their DTEND date
+      const endDay = endValue.slice(0, 10) > startDay ? endValue.slice(0, 10) : addMinutes(startDay, ICS_CONSTANTS.MINUTES_PER_DAY);
+      if (endDay <= date) continue;
+      start = 0;
+      end = ICS_CONSTANTS.MINUTES_PER_DAY;
+    } else {
+      const endDay = endValue.slice(0, 10);
+      if (endDay < date) continue;
+      start = startDay < date ? 0 : toMinutes(event.start.slice(11));
+      end = endDay > date ? ICS_CONSTANTS.MINUTES_PER_DAY : toMinutes(endValue.slice(11));
+    }
+    if (end > start) intervals.push({ start, end, summaries: [event.summary || 'Busy'] });
+  }
+
+  intervals.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+      last.summaries.push(...interval.summaries);
+    } else {
+      merged.push({ ...interval, summaries: [...interval.summaries] });
+    }
+  }
+  return merged;
+}
+
+function toMinutes(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+}
@@ -0,0 +1,373 @@
+/**
+ * Progress Analytics
+ * ------------------
+ * Learning progress metrics from a path's completion log, HTA and learning
+ * history: completion velocity, streaks, time and coverage per branch,
+ * difficulty trend, energy versus outcome and breakthrough frequency.
+ *
+ * Days are UTC calendar days and weeks start on Monday. Streaks use the whole
+ * log; every other metric covers the window ending at `now`.
+ */
+
+import { getLeafTasks } from './hta-hierarchy-utils.js';
+
+export const ANALYTICS_CONSTANTS = {
+  DEFAULT_WINDOW_DAYS: 28,
+  MAX_WINDOW_DAYS: 365,
+  // Change in average difficulty_rating per week that counts as a trend
+  DIFFICULTY_TREND_PER_WEEK: 0.25,
+  // Fewest samples for a correlation
+  MIN_CORRELATION_SAMPLES: 3,
+  REVIEW_PREFIX: 'review:',
+  UNASSIGNED_BRANCH: 'Unassigned',
+  MS_PER_DAY: 24 * 60 * 60 * 1000,
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+export function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+export function weekStart(timestamp) {
+  const date = new Date(`${dayKey(timestamp)}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return dayKey(date);
+}
+
+function addDays(key, days) {
+  return dayKey(new Date(Date.parse(`${key}T00:00:00.000Z`) + days * ANALYTICS_CONSTANTS.MS_PER_DAY));
+}
+
+/**
+ * Minutes spent on a completion: reported, else tracked. null when unknown.
+ */
+export function entryMinutes(entry) {
+  const minutes = Number(entry.actual_minutes) || Number(entry.tracked_minutes);
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Pearson correlation, null with too few samples or no variation
+ */
+export function pearson(pairs) {
+  if (pairs.length < ANALYTICS_CONSTANTS.MIN_CORRELATION_SAMPLES) return null;
+  const meanX = average(pairs.map(([x]) => x));
+  const meanY = average(pairs.map(([, y]) => y));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  return varianceX === 0 || varianceY === 0 ? null : round(covariance / Math.sqrt(varianceX * varianceY));
+}
+
+function sumMinutes(entries) {
+  return round(entries.reduce((sum, entry) => sum + (entryMinutes(entry) || 0), 0), 1);
+}
+
+// ===== METRICS =====
+
+/**
+ * Completions per day and week over the window, and the last 7 days against the 7 before
+ */
+export function computeVelocity(entries, { now, days }) {
+  const today = dayKey(now);
+  const byDay = new Map();
+  for (const entry of entries) {
+    const key = dayKey(entry.completed_at);
+    byDay.set(key, [...(byDay.get(key) || []), entry]);
+  }
+
+  const daily = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = addDays(today, -offset);
+    const dayEntries = byDay.get(date) || [];
+    daily.push({ date, completions: dayEntries.length, minutes: sumMinutes(dayEntries) });
+  }
+
+  const weeks = new Map();
+  for (const day of daily) {
+    const key = weekStart(day.date);
+    const week = weeks.get(key) || { week_start: key, completions: 0, minutes: 0 };
+    week.completions += day.completions;
+    week.minutes = round(week.minutes + day.minutes, 1);
+    weeks.set(key, week);
+  }
+
+  const lastWeek = daily.slice(-7).reduce((sum, day) => sum + day.completions, 0);
+  const previousWeek = daily.slice(-14, -7).reduce((sum, day) => sum + day.completions, 0);
+
+  return {
+    completions: entries.length,
+    per_day: round(entries.length / days),
+    per_week: round((entries.length / days) * 7),
+    daily,
+    weekly: [...weeks.values()],
+    last_7_days: lastWeek,
+    previous_7_days: days >= 14 ? previousWeek : null,
+  };
+}
+
+/**
+ * Consecutive active days. The current streak still counts when today has
+ * no completion yet but yesterday had.
+ */
+export function computeStreaks(entries, now) {
+  const days = [...new Set(entries.map(entry => dayKey(entry.completed_at)))].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const day of days) {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  const today = dayKey(now);
+  const last = days[days.length - 1] || null;
+  const current = last === today || last === addDays(today, -1) ? run : 0;
+
+  return { current_days: current, longest_days: longest, active_days: days.length, last_active_date: last };
+}
+
+/**
+ * Time invested and task coverage per branch of the tree
+ */
+export function computeBranchCoverage(entries, htaData, completedIds) {
+  const tasks = getLeafTasks(htaData);
+  const rows = new Map();
+  const row = branch => {
+    if (!rows.has(branch)) rows.set(branch, { branch, completions: 0, minutes: 0, tasks_total: 0, tasks_completed: 0 });
+    return rows.get(branch);
+  };
+
+  for (const branch of htaData?.strategicBranches || []) {
+    const name = typeof branch === 'string' ? branch : branch?.name || branch?.title;
+    if (name) row(name);
+  }
+  for (const task of tasks) {
+    const entry = row(task.branch || 'General');
+    entry.tasks_total += 1;
+    if (task.completed === true || completedIds.has(task.id)) entry.tasks_completed += 1;
+  }
+
+  const branchOf = new Map(tasks.map(task => [task.id, task.branch || 'General']));
+  for (const entry of entries) {
+    const taskId = String(entry.task_id || '').replace(ANALYTICS_CONSTANTS.REVIEW_PREFIX, '');
+    const target = row(branchOf.get(taskId) || ANALYTICS_CONSTANTS.UNASSIGNED_BRANCH);
+    target.completions += 1;
+    target.minutes = round(target.minutes + (entryMinutes(entry) || 0), 1);
+  }
+
+  const totalMinutes = [...rows.values()].reduce((sum, entry) => sum + entry.minutes, 0);
+  return [...rows.values()]
+    .map(entry => ({
+      ...entry,
+      share_of_time: totalMinutes > 0 ? round(entry.minutes / totalMinutes) : 0,
+      coverage: entry.tasks_total > 0 ? round(entry.tasks_completed / entry.tasks_total) : null,
+    }))
+    .sort((a, b) => b.minutes - a.minutes || b.completions - a.completions || a.branch.localeCompare(b.branch));
+}
+
+/**
+ * Weekly average difficulty_rating (1 too easy, 5 too hard) and its direction
+ */
+export function computeDifficultyTrend(entries) {
+  const rated = entries
+    .filter(entry => Number(entry.difficulty_rating) >= 1)
+    .map(entry => ({ at: Date.parse(entry.completed_at), rating: Number(entry.difficulty_rating), week: weekStart(entry.completed_at) }));
+
+  const weeks = new Map();
+  for (const entry of rated) weeks.set(entry.week, [...(weeks.get(entry.week) || []), entry.rating]);
+
+  // Least-squares slope of rating over time, per week
+  let slope = null;
+  if (rated.length >= ANALYTICS_CONSTANTS.MIN_CORRELATION_SAMPLES) {
+    const first = Math.min(...rated.map(entry => entry.at));
+    const points = rated.map(entry => [(entry.at - first) / (7 * ANALYTICS_CONSTANTS.MS_PER_DAY), entry.rating]);
+    const meanX = average(points.map(([x]) => x));
+    const meanY = average(points.map(([, y]) => y));
+    const spread = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    slope = spread > 0 ? round(points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0) / spread) : null;
+  }
+
+  let direction = 'not enough data';
+  if (slope !== null) {
+    if (slope >= ANALYTICS_CONSTANTS.DIFFICULTY_TREND_PER_WEEK) direction = 'getting harder';
+    else if (slope <= -ANALYTICS_CONSTANTS.DIFFICULTY_TREND_PER_WEEK) direction = 'getting easier';
+    else direction = 'steady';
+  }
+
+  return {
+    rated: rated.length,
+    average: rated.length > 0 ? round(average(rated.map(entry => entry.rating))) : null,
+    weekly: [...weeks.entries()].sort(([a], [b]) => a.localeCompare(b))
+      .map(([week, ratings]) => ({ week_start: week, average: round(average(ratings)), count: ratings.length })),
+    slope_per_week: slope,
+    direction,
+  };
+}
+
+/**
+ * Outcomes by reported energy level, and how energy correlates with them
+ */
+export function computeEnergyOutcome(entries) {
+  const withEnergy = entries.filter(entry => Number(entry.energy_level) >= 1);
+  const levels = new Map();
+  for (const entry of withEnergy) {
+    const level = Math.round(Number(entry.energy_level));
+    levels.set(level, [...(levels.get(level) || []), entry]);
+  }
+
+  const rate = (group, test) => round(group.filter(test).length / group.length);
+  const ratings = group => group.filter(entry => Number(entry.difficulty_rating) >= 1).map(entry => Number(entry.difficulty_rating));
+  const timeRatio = entry => (entryMinutes(entry) && Number(entry.estimated_minutes) > 0 ? entryMinutes(entry) / Number(entry.estimated_minutes) : null);
+
+  const byEnergy = [...levels.entries()].sort(([a], [b]) => a - b).map(([energy, group]) => ({
+    energy,
+    completions: group.length,
+    avg_difficulty_rating: ratings(group).length > 0 ? round(average(ratings(group))) : null,
+    learned_rate: rate(group, entry => Boolean(entry.learned)),
+    breakthrough_rate: rate(group, entry => Boolean(entry.breakthrough)),
+  }));
+
+  const pairs = select => withEnergy
+    .map(entry => [Number(entry.energy_level), select(entry)])
+    .filter(([, value]) => value !== null && value !== undefined && !Number.isNaN(value));
+
+  return {
+    samples: withEnergy.length,
+    by_energy: byEnergy,
+    correlations: {
+      difficulty_rating: pearson(pairs(entry => (Number(entry.difficulty_rating) >= 1 ? Number(entry.difficulty_rating) : null))),
+      learned: pearson(pairs(entry => (entry.learned ? 1 : 0))),
+      breakthrough: pearson(pairs(entry => (entry.breakthrough ? 1 : 0))),
+      time_vs_estimate: pearson(pairs(timeRatio)),
+    },
+  };
+}
+
+export function computeBreakthroughs(entries, days) {
+  const breakthroughs = entries.filter(entry => entry.breakthrough);
+  const last = breakthroughs.map(entry => entry.completed_at).sort().pop() || null;
+  return {
+    count: breakthroughs.length,
+    rate: entries.length > 0 ? round(breakthroughs.length / entries.length) : null,
+    per_week: round((breakthroughs.length / days) * 7),
+    completions_per_breakthrough: breakthroughs.length > 0 ? round(entries.length / breakthroughs.length, 1) : null,
+    last_at: last,
+  };
+}
+
+// ===== REPORT =====
+
+/**
+ * All metrics for one path.
+ * @param {Object} params
+ * @param {Array<Object>} params.completions - completion-log.json entries
+ * @param {Object} params.htaData - The path's tree
+ * @param {Object} params.learningHistory - learning-history.json
+ * @param {string} params.now - ISO timestamp the window ends at
+ * @param {number} params.days - Window length in days
+ */
+export function buildProgressAnalytics({ completions = [], htaData = null, learningHistory = null, now, days = ANALYTICS_CONSTANTS.DEFAULT_WINDOW_DAYS }) {
+  const all = completions.filter(entry => entry && Number.isFinite(Date.parse(entry.completed_at)));
+  const from = addDays(dayKey(now), -(days - 1));
+  const inWindow = all.filter(entry => dayKey(entry.completed_at) >= from && Date.parse(entry.completed_at) <= Date.parse(now));
+  const completedIds = new Set(all.filter(entry => !entry.review).map(entry => entry.task_id));
+
+  return {
+    generated_at: now,
+    window: { days, from, to: dayKey(now) },
+    totals: {
+      completions: inWindow.length,
+      reviews: inWindow.filter(entry => entry.review).length,
+      minutes: sumMinutes(inWindow),
+      untimed_completions: inWindow.filter(entry => entryMinutes(entry) === null).length,
+      all_time_completions: all.length,
+      all_time_hours: Number(learningHistory?.totalHours) || round(sumMinutes(all) / 60),
+      topics_completed: Array.isArray(learningHistory?.completedTopics) ? learningHistory.completedTopics.length : completedIds.size,
+    },
+    velocity: computeVelocity(inWindow, { now, days }),
+    streaks: computeStreaks(all, now),
+    branches: computeBranchCoverage(inWindow, htaData, completedIds),
+    difficulty: computeDifficultyTrend(inWindow),
+    energy_outcome: computeEnergyOutcome(inWindow),
+    breakthroughs: computeBreakthroughs(inWindow, days),
+  };
+}
+
+const percent = value => (value === null ? 'n/a' : `${Math.round(value * 100)}%`);
+const correlationText = value => (value === null ? 'n/a' : value.toFixed(2));
+
+/**
+ * Markdown report of buildProgressAnalytics output
+ */
+export function formatProgressReport(analytics, { goal = null, pathName = null } = {}) {
+  const { window, totals, velocity, streaks, branches, difficulty, energy_outcome: energy, breakthroughs } = analytics;
+
+  let text = `# Progress Analytics 📈\n\n`;
+  if (goal) text += `**Goal**: ${goal}\n`;
+  if (pathName) text += `**Path**: ${pathName}\n`;
+  text += `**Window**: ${window.from} to ${window.to} (${window.days} days)\n\n`;
+
+  text += `## Velocity\n`;
+  text += `- ${totals.completions} completions (${totals.reviews} reviews), ${round(totals.minutes / 60, 1)} h logged\n`;
+  text += `- ${velocity.per_day} per day, ${velocity.per_week} per week\n`;
+  text += `- Last 7 days: ${velocity.last_7_days}${velocity.previous_7_days !== null ? ` (previous 7: ${velocity.previous_7_days})` : ''}\n`;
+  if (totals.untimed_completions > 0) text += `- ${totals.untimed_completions} completions had no time logged\n`;
+  text += `\n| Week of | Completions | Minutes |\n|---|---|---|\n`;
+  for (const week of velocity.weekly) text += `| ${week.week_start} | ${week.completions} | ${week.minutes} |\n`;
+
+  text += `\n## Streaks\n`;
+  text += `- Current: ${streaks.current_days} day${streaks.current_days === 1 ? '' : 's'}, longest: ${streaks.longest_days}\n`;
+  text += `- ${streaks.active_days} active days in total, last on ${streaks.last_active_date || 'never'}\n`;
+  text += `- All time: ${totals.all_time_completions} completions, ${totals.all_time_hours} h, ${totals.topics_completed} topics\n`;
+
+  text += `\n## Branches\n`;
+  if (branches.length === 0) {
+    text += `No branches yet.\n`;
+  } else {
+    text += `| Branch | Completions | Minutes | Share of time | Coverage |\n|---|---|---|---|---|\n`;
+    for (const row of branches) {
+      const coverage = row.coverage === null ? 'n/a' : `${row.tasks_completed}/${row.tasks_total} (${percent(row.coverage)})`;
+      text += `| ${row.branch} | ${row.completions} | ${row.minutes} | ${percent(row.share_of_time)} | ${coverage} |\n`;
+    }
+  }
+
+  text += `\n## Difficulty\n`;
+  if (difficulty.rated === 0) {
+    text += `No difficulty ratings in this window.\n`;
+  } else {
+    text += `- Average rating ${difficulty.average} over ${difficulty.rated} ratings (1 too easy, 5 too hard)\n`;
+    text += `- Trend: ${difficulty.direction}${difficulty.slope_per_week !== null ? ` (${difficulty.slope_per_week >= 0 ? '+' : ''}${difficulty.slope_per_week} per week)` : ''}\n`;
+  }
+
+  text += `\n## Energy and Outcomes\n`;
+  if (energy.samples === 0) {
+    text += `No energy levels in this window.\n`;
+  } else {
+    text += `| Energy | Completions | Avg difficulty | Learned | Breakthroughs |\n|---|---|---|---|---|\n`;
+    for (const row of energy.by_energy) {
+      text += `| ${row.energy} | ${row.completions} | ${row.avg_difficulty_rating ?? 'n/a'} | ${percent(row.learned_rate)} | ${percent(row.breakthrough_rate)} |\n`;
+    }
+    const { correlations } = energy;
+    text += `\nCorrelation with energy: difficulty ${correlationText(correlations.difficulty_rating)}, ` +
+      `learned ${correlationText(correlations.learned)}, breakthrough ${correlationText(correlations.breakthrough)}, ` +
+      `time vs estimate ${correlationText(correlations.time_vs_estimate)}\n`;
+  }
+
+  text += `\n## Breakthroughs\n`;
+  text += `- ${breakthroughs.count} in this window (${percent(breakthroughs.rate)} of completions, ${breakthroughs.per_week} per week)\n`;
+  if (breakthroughs.completions_per_breakthrough !== null) {
+    text += `- One every ${breakthroughs.completions_per_breakthrough} completions, last on ${dayKey(breakthroughs.last_at)}\n`;
+  }
+
+  return text;
+}
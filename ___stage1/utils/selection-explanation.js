@@ -0,0 +1,184 @@
+/**
+ * Selection Explanation
+ * ---------------------
+ * Turns the traces of task selection into a structured explanation: where
+ * the pick came from (vector similarity or the TaskScorer fallback), what
+ * each scoring factor contributed, and why the runners-up lost.
+ */
+
+export const EXPLANATION_CONSTANTS = {
+  MAX_RUNNERS_UP: 3,
+  MAX_LOST_ON: 3,
+  // Similarity gap below which HTA priority decides between vector matches
+  SIMILARITY_TIE: 0.05,
+};
+
+const FACTOR_LABELS = {
+  priority: 'HTA priority',
+  blocked: 'blocked',
+  life_change: 'life change fit',
+  energy_match: 'energy match',
+  time_fit: 'time fit',
+  domain_relevance: 'goal relevance',
+  memory_context: 'recent context',
+  momentum: 'momentum',
+  breakthrough: 'breakthrough',
+  generated: 'freshly generated',
+  budget_fit: 'budget fit',
+  habit_goal: 'habit goal',
+  time_constraints: 'time constraints',
+  location_fit: 'location fit',
+  learning_style: 'learning style',
+  interests: 'interests',
+  existing_habits: 'existing habits',
+  pacing: 'pacing',
+  difficulty_pattern: 'difficulty pattern',
+  energy_pattern: 'energy pattern',
+  breakthrough_pattern: 'breakthrough pattern',
+  velocity_pattern: 'velocity pattern',
+  recommendations: 'recommendations',
+  quality: 'task quality',
+  difficulty: 'difficulty',
+  dependencies: 'dependencies',
+};
+
+const PATH_LABELS = {
+  similarity: 'vector similarity',
+  relaxed: 'vector similarity (energy/time filters relaxed)',
+  priority_fallback: 'HTA order fallback inside the vector path',
+  scorer: 'TaskScorer fallback',
+  goal_focused_batch: 'goal-focused batch selection',
+  frontier_scoring: 'pipeline frontier scoring',
+  spaced_review: 'spaced-repetition review',
+};
+
+const round1 = value => Math.round(value * 10) / 10;
+
+export function factorLabel(factor) {
+  return FACTOR_LABELS[factor] || factor.replace(/_/g, ' ');
+}
+
+function summarize(entry) {
+  return {
+    id: entry.task.id,
+    title: entry.task.title,
+    branch: entry.task.branch || null,
+    score: round1(entry.score),
+    factors: entry.factors.map(factor => ({ ...factor, points: round1(factor.points) })),
+  };
+}
+
+/**
+ * Factors on which a runner-up scored fewer points than the winner, largest first.
+ * @returns {Array<{factor: string, points_behind: number}>}
+ */
+export function compareFactors(winnerFactors, runnerUpFactors) {
+  const pointsOf = factors => new Map(factors.map(entry => [entry.factor, entry.points]));
+  const winner = pointsOf(winnerFactors);
+  const runnerUp = pointsOf(runnerUpFactors);
+  const names = new Set([...winner.keys(), ...runnerUp.keys()]);
+
+  return [...names]
+    .map(factor => ({ factor, points_behind: round1((winner.get(factor) || 0) - (runnerUp.get(factor) || 0)) }))
+    .filter(entry => entry.points_behind > 0)
+    .sort((a, b) => b.points_behind - a.points_behind)
+    .slice(0, EXPLANATION_CONSTANTS.MAX_LOST_ON);
+}
+
+/**
+ * Explain a ranking of scored tasks, winner first.
+ * @param {{ranked: Array<{task, score, factors}>, tie_broken?: boolean}|null} selection
+ * @returns {{selected: Object, runners_up: Array<Object>, tie_broken: boolean}|null}
+ */
+export function explainScoredSelection(selection, maxRunnersUp = EXPLANATION_CONSTANTS.MAX_RUNNERS_UP) {
+  if (!selection?.ranked?.length) return null;
+  const [winner, ...rest] = selection.ranked;
+
+  return {
+    selected: summarize(winner),
+    runners_up: rest.slice(0, maxRunnersUp).map(entry => {
+      const gap = round1(winner.score - entry.score);
+      const lostOn = compareFactors(winner.factors, entry.factors);
+      let reason = `${gap} points behind, mostly on ${lostOn.map(item => `${factorLabel(item.factor)} (-${item.points_behind})`).join(', ')}`;
+      if (gap === 0) reason = 'Tied on score; the tie went to branch variety';
+      if (gap < 0) reason = `Scored ${-gap} points higher but was placed later for variety`;
+      return { ...summarize(entry), score_gap: gap, lost_on: lostOn, reason };
+    }),
+    tie_broken: Boolean(selection.tie_broken),
+  };
+}
+
+/**
+ * Explain a pick made by HTAVectorStore.findNextTask from its trace.
+ * @param {{path: string, reason: string, candidates: Array<Object>}} trace
+ * @param {Object} selectedTask
+ */
+export function explainVectorSelection(trace, selectedTask, maxRunnersUp = EXPLANATION_CONSTANTS.MAX_RUNNERS_UP) {
+  const candidates = trace?.candidates || [];
+  const chosen = candidates.find(candidate => candidate.id === selectedTask.id);
+  const similarity = value => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : null);
+
+  const reasonFor = candidate => {
+    if (candidate.excluded) return `Excluded: ${candidate.excluded}`;
+    if (trace.path === 'priority_fallback') return 'Vector ranking was not used';
+    if (!chosen || chosen.similarity - candidate.similarity > EXPLANATION_CONSTANTS.SIMILARITY_TIE) {
+      return `Lower similarity (${similarity(candidate.similarity)} vs ${similarity(chosen?.similarity)})`;
+    }
+    return `Similar match, later in HTA order (priority ${candidate.priority ?? 'none'} vs ${chosen.priority ?? 'none'})`;
+  };
+
+  const runnersUp = candidates
+    .filter(candidate => candidate.id !== selectedTask.id)
+    .sort((a, b) => Boolean(a.excluded) - Boolean(b.excluded) || (b.similarity || 0) - (a.similarity || 0))
+    .slice(0, maxRunnersUp)
+    .map(candidate => ({
+      id: candidate.id,
+      title: candidate.title,
+      similarity: similarity(candidate.similarity),
+      priority: candidate.priority ?? null,
+      reason: reasonFor(candidate),
+    }));
+
+  return {
+    selected: {
+      id: selectedTask.id,
+      title: selectedTask.title,
+      similarity: similarity(chosen?.similarity ?? selectedTask.similarity),
+      priority: selectedTask.priority ?? null,
+    },
+    runners_up: runnersUp,
+  };
+}
+
+/**
+ * Markdown section for a selection explanation.
+ */
+export function formatSelectionExplanation(explanation) {
+  if (!explanation) return '';
+  let text = `\n\n🔍 **Why this task**\n`;
+  text += `**Source**: ${PATH_LABELS[explanation.path] || explanation.path}`;
+  text += explanation.reason ? ` (${explanation.reason})\n` : '\n';
+
+  const { selected } = explanation;
+  if (selected?.factors) {
+    const factors = selected.factors
+      .filter(entry => entry.points !== 0)
+      .map(entry => `${factorLabel(entry.factor)} ${entry.points > 0 ? '+' : ''}${entry.points}`);
+    text += `**Score ${selected.score}**: ${factors.join(' · ')}\n`;
+  } else if (selected?.similarity !== null && selected?.similarity !== undefined) {
+    text += `**Similarity**: ${selected.similarity}\n`;
+  }
+
+  if (explanation.runners_up?.length > 0) {
+    text += `**Runners-up**:\n`;
+    for (const runnerUp of explanation.runners_up) {
+      const score = runnerUp.score !== undefined ? ` (score ${runnerUp.score})` : '';
+      text += `- "${runnerUp.title}"${score}: ${runnerUp.reason}\n`;
+    }
+  }
+
+  if (explanation.scorer && explanation.scorer.agrees === false && explanation.scorer.selected) {
+    text += `⚖️ The TaskScorer fallback would have picked "${explanation.scorer.selected.title}" (score ${explanation.scorer.selected.score}).\n`;
+  }
+  return text.trimEnd();
+}
@@ -0,0 +1,190 @@
+/**
+ * Spaced Repetition
+ * -----------------
+ * SM-2 style review scheduling for completed learning tasks. A review item is
+ * created from a completed block and rescheduled every time it is reviewed:
+ * the interval grows with the item's ease factor after successful recall and
+ * drops back to one day after a lapse.
+ *
+ * Recall quality is on SM-2's 0-5 scale and is derived from the data that
+ * complete_block_forest already collects: `difficulty_rating`, the `learned`
+ * notes, the `outcome` text and `breakthrough`.
+ */
+
+export const REVIEW_CONSTANTS = {
+  INITIAL_EASE: 2.5,
+  MIN_EASE: 1.3,
+  FIRST_INTERVAL_DAYS: 1,
+  SECOND_INTERVAL_DAYS: 6,
+  // Quality below this is a lapse
+  PASSING_QUALITY: 3,
+  MAX_QUALITY: 5,
+  DEFAULT_QUALITY: 4,
+  REVIEW_MINUTES: 10,
+  REVIEW_DIFFICULTY: 2,
+  // Most reviews interleaved into one pipeline or daily schedule
+  MAX_INTERLEAVED_REVIEWS: 3,
+  BLOCK_PREFIX: 'review:',
+  MS_PER_DAY: 24 * 60 * 60 * 1000,
+};
+
+const STRUGGLE_PATTERN = /\b(forgot|forgotten|couldn'?t (?:remember|recall)|blank|confus\w*|stuck|struggl\w*|lost)\b/i;
+
+/**
+ * SM-2 recall quality (0-5) for a completed block or review.
+ * `difficulty_rating` 1 ("too easy") maps to 5, 5 ("too hard") to 1.
+ */
+export function qualityFromCompletion({ difficulty_rating, learned, outcome, breakthrough } = {}) {
+  const rating = Number(difficulty_rating);
+  let quality = rating >= 1 && rating <= 5 ? 6 - Math.round(rating) : REVIEW_CONSTANTS.DEFAULT_QUALITY;
+
+  if (STRUGGLE_PATTERN.test(`${outcome || ''} ${learned || ''}`)) {
+    quality = Math.min(quality, REVIEW_CONSTANTS.PASSING_QUALITY - 1);
+  }
+  if (breakthrough) {
+    quality += 1;
+  }
+  return Math.max(0, Math.min(REVIEW_CONSTANTS.MAX_QUALITY, quality));
+}
+
+function addDays(timestamp, days) {
+  return new Date(new Date(timestamp).getTime() + days * REVIEW_CONSTANTS.MS_PER_DAY).toISOString();
+}
+
+/**
+ * Apply one SM-2 step.
+ * @param {Object} item - Review item with ease_factor, interval_days and repetitions
+ * @param {number} quality - Recall quality, 0-5
+ * @param {string} now - ISO timestamp of the review
+ * @returns {Object} The rescheduled item, with the review appended to its history
+ */
+export function scheduleReview(item, quality, now) {
+  const passed = quality >= REVIEW_CONSTANTS.PASSING_QUALITY;
+  const ease = item.ease_factor ?? REVIEW_CONSTANTS.INITIAL_EASE;
+  let repetitions = item.repetitions ?? 0;
+  let interval;
+
+  if (!passed) {
+    repetitions = 0;
+    interval = REVIEW_CONSTANTS.FIRST_INTERVAL_DAYS;
+  } else {
+    if (repetitions === 0) interval = REVIEW_CONSTANTS.FIRST_INTERVAL_DAYS;
+    else if (repetitions === 1) interval = REVIEW_CONSTANTS.SECOND_INTERVAL_DAYS;
+    else interval = Math.round((item.interval_days || REVIEW_CONSTANTS.SECOND_INTERVAL_DAYS) * ease);
+    repetitions += 1;
+  }
+
+  const missing = REVIEW_CONSTANTS.MAX_QUALITY - quality;
+  const easeFactor = Math.max(REVIEW_CONSTANTS.MIN_EASE, ease + 0.1 - missing * (0.08 + missing * 0.02));
+
+  return {
+    ...item,
+    ease_factor: Math.round(easeFactor * 100) / 100,
+    interval_days: interval,
+    repetitions,
+    due_at: addDays(now, interval),
+    last_reviewed_at: now,
+    history: [...(item.history || []), { reviewed_at: now, quality, passed, interval_days: interval }],
+  };
+}
+
+/**
+ * A new review item for a completed task. The completion itself counts as the
+ * first learning pass, so the first review is due a day later.
+ */
+export function createReviewItem({ task, pathName, completion, now }) {
+  return {
+    id: task.id,
+    task_id: task.id,
+    path_name: pathName,
+    title: task.title || task.id,
+    branch: task.branch || 'General',
+    prompt: completion.learned || '',
+    outcome: completion.outcome || '',
+    initial_quality: qualityFromCompletion(completion),
+    ease_factor: REVIEW_CONSTANTS.INITIAL_EASE,
+    interval_days: REVIEW_CONSTANTS.FIRST_INTERVAL_DAYS,
+    repetitions: 0,
+    due_at: addDays(now, REVIEW_CONSTANTS.FIRST_INTERVAL_DAYS),
+    created_at: now,
+    last_reviewed_at: null,
+    history: [],
+  };
+}
+
+/**
+ * Items due at `now`, most overdue first.
+ */
+export function getDueReviews(items = [], now) {
+  const at = new Date(now).getTime();
+  return items
+    .filter(item => new Date(item.due_at).getTime() <= at)
+    .sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+}
+
+export function isReviewBlockId(blockId) {
+  return typeof blockId === 'string' && blockId.startsWith(REVIEW_CONSTANTS.BLOCK_PREFIX);
+}
+
+export function reviewItemIdFromBlock(blockId) {
+  return blockId.slice(REVIEW_CONSTANTS.BLOCK_PREFIX.length);
+}
+
+/**
+ * Task-shaped view of a review item, for the task selectors and planners.
+ */
+export function reviewAsTask(item, now) {
+  const overdueDays = Math.max(0, Math.floor((new Date(now) - new Date(item.due_at)) / REVIEW_CONSTANTS.MS_PER_DAY));
+  return {
+    id: `${REVIEW_CONSTANTS.BLOCK_PREFIX}${item.id}`,
+    title: `Review: ${item.title}`,
+    description: item.prompt
+      ? `Recall without notes, then check: ${item.prompt}`
+      : `Recall the key points of "${item.title}" without notes, then check`,
+    branch: item.branch,
+    difficulty: REVIEW_CONSTANTS.REVIEW_DIFFICULTY,
+    duration: `${REVIEW_CONSTANTS.REVIEW_MINUTES} minutes`,
+    prerequisites: [],
+    is_review: true,
+    review_id: item.id,
+    due_at: item.due_at,
+    overdue_days: overdueDays,
+    repetitions: item.repetitions,
+  };
+}
+
+/**
+ * Alternate between reviews and new tasks, reviews first when `leadWithReview`.
+ * Once either list runs out the other fills the rest.
+ */
+export function interleaveReviews(tasks, reviews, { leadWithReview = true, maxReviews = REVIEW_CONSTANTS.MAX_INTERLEAVED_REVIEWS } = {}) {
+  const reviewQueue = reviews.slice(0, maxReviews);
+  const taskQueue = [...tasks];
+  const result = [];
+  let reviewTurn = leadWithReview;
+
+  while (reviewQueue.length > 0 || taskQueue.length > 0) {
+    const queue = (reviewTurn && reviewQueue.length > 0) || taskQueue.length === 0 ? reviewQueue : taskQueue;
+    result.push(queue.shift());
+    reviewTurn = !reviewTurn;
+  }
+  return result;
+}
+
+/**
+ * Retention across all recorded reviews.
+ * @returns {{items: number, reviews: number, passed: number, retention_rate: number|null, average_quality: number|null}}
+ */
+export function summarizeRetention(items = []) {
+  const reviews = items.flatMap(item => item.history || []);
+  const passed = reviews.filter(review => review.passed).length;
+  const round2 = value => Math.round(value * 100) / 100;
+
+  return {
+    items: items.length,
+    reviews: reviews.length,
+    passed,
+    retention_rate: reviews.length > 0 ? round2(passed / reviews.length) : null,
+    average_quality: reviews.length > 0 ? round2(reviews.reduce((sum, review) => sum + review.quality, 0) / reviews.length) : null,
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Task Dependencies
+ * -----------------
+ * Inference and explanation of task prerequisites.
+ *
+ * Readiness itself (which prerequisites block a task) lives in
+ * utils/hta-eligibility.js so task selection, scoring and vector search
+ * all apply the same rule. This file adds what sits on top of it:
+ * suggesting prerequisites the tree never recorded, and explaining what a
+ * blocked task is waiting for.
+ */
+
+import { getLeafTasks } from './hta-hierarchy-utils.js';
+import { buildReadinessIndex, getTaskReadiness, getPrerequisiteIds } from '../../utils/hta-eligibility.js';
+
+export const DEPENDENCY_CONSTANTS = {
+  DEFAULT_MIN_CONFIDENCE: 0.5,
+  DEFAULT_MAX_PER_TASK: 2,
+  // Shortest task title that counts as "mentioned" in another task's text
+  MIN_MENTION_LENGTH: 8,
+  CONFIDENCE: {
+    MENTION: 0.9,
+    LEVEL_PROGRESSION: 0.7,
+    CONTINUATION: 0.6,
+    BRANCH_ORDER: 0.5,
+  },
+  BASIC_TERMS: ['basic', 'basics', 'introduction', 'intro', 'fundamental', 'fundamentals', 'beginner', 'getting started', 'set up', 'setup', 'install'],
+  ADVANCED_TERMS: ['advanced', 'intermediate', 'complex', 'deeper', 'in-depth', 'mastery', 'master'],
+  CONTINUATION_TERMS: ['continue', 'practice', 'review', 'apply', 'refine', 'extend', 'next', 'build on', 'revisit'],
+};
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function hasTerm(text, terms) {
+  return terms.some(term => new RegExp(`\\b${term}\\b`).test(text));
+}
+
+/**
+ * Tasks grouped by branch in tree order: branches in strategicBranches order
+ * (unknown branches after them), tasks by priority then position.
+ * @returns {Array<{branch: string|null, tasks: Array<object>}>}
+ */
+function groupByBranch(hta, tasks) {
+  const order = (hta.strategicBranches || []).map(branch => branch.name);
+  const groups = new Map(order.map(name => [name, []]));
+  tasks.forEach((task, index) => {
+    const key = task.branch || null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ task, index });
+  });
+  return [...groups.entries()]
+    .filter(([, entries]) => entries.length > 0)
+    .map(([branch, entries]) => ({
+      branch,
+      tasks: entries
+        .sort((a, b) => (a.task.priority ?? Infinity) - (b.task.priority ?? Infinity) || a.index - b.index)
+        .map(entry => entry.task),
+    }));
+}
+
+/**
+ * Suggest prerequisites from task text and branch order. Suggestions that
+ * already exist or would close a cycle are skipped.
+ * @param {object} hta - HTA structure with frontierNodes
+ * @param {object} [options]
+ * @param {number} [options.minConfidence]
+ * @param {number} [options.maxPerTask]
+ * @returns {Array<{task_id, task_title, depends_on, depends_on_title, reason, confidence}>}
+ */
+export function inferDependencies(hta, options = {}) {
+  const minConfidence = options.minConfidence ?? DEPENDENCY_CONSTANTS.DEFAULT_MIN_CONFIDENCE;
+  const maxPerTask = options.maxPerTask ?? DEPENDENCY_CONSTANTS.DEFAULT_MAX_PER_TASK;
+  const { CONFIDENCE } = DEPENDENCY_CONSTANTS;
+
+  const tasks = getLeafTasks(hta);
+  const groups = groupByBranch(hta, tasks);
+
+  // prerequisite edges, existing and accepted, for cycle checks
+  const prerequisitesOf = new Map(tasks.map(task => [task.id, new Set(getPrerequisiteIds(task))]));
+  const dependsOn = (from, to) => {
+    const stack = [from];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === to) return true;
+      if (seen.has(current)) continue;
+      seen.add(current);
+      stack.push(...(prerequisitesOf.get(current) || []));
+    }
+    return false;
+  };
+
+  const suggestions = [];
+  groups.forEach((group, groupIndex) => {
+    group.tasks.forEach((task, position) => {
+      const text = normalize(`${task.title} ${task.description}`);
+      const title = normalize(task.title);
+      const candidates = [];
+
+      for (const other of tasks) {
+        const otherTitle = normalize(other.title);
+        if (other === task || otherTitle.length < DEPENDENCY_CONSTANTS.MIN_MENTION_LENGTH) continue;
+        if (text.includes(otherTitle)) {
+          candidates.push({ prerequisite: other, reason: `mentions "${other.title}"`, confidence: CONFIDENCE.MENTION });
+        }
+      }
+
+      const earlier = group.tasks.slice(0, position);
+      if (hasTerm(text, DEPENDENCY_CONSTANTS.ADVANCED_TERMS)) {
+        const basics = [...earlier].reverse().find(other => hasTerm(normalize(other.title), DEPENDENCY_CONSTANTS.BASIC_TERMS));
+        if (basics) {
+          candidates.push({ prerequisite: basics, reason: `builds on the basics in "${basics.title}"`, confidence: CONFIDENCE.LEVEL_PROGRESSION });
+        }
+      }
+      if (position > 0 && hasTerm(title, DEPENDENCY_CONSTANTS.CONTINUATION_TERMS)) {
+        const previous = group.tasks[position - 1];
+        candidates.push({ prerequisite: previous, reason: `continues "${previous.title}"`, confidence: CONFIDENCE.CONTINUATION });
+      }
+      if (position === 0 && groupIndex > 0 && group.branch) {
+        const previousGroup = groups[groupIndex - 1];
+        const last = previousGroup.tasks[previousGroup.tasks.length - 1];
+        candidates.push({
+          prerequisite: last,
+          reason: `branch "${group.branch}" follows "${previousGroup.branch || 'unbranched tasks'}"`,
+          confidence: CONFIDENCE.BRANCH_ORDER,
+        });
+      }
+
+      const own = prerequisitesOf.get(task.id);
+      const accepted = new Set();
+      candidates
+        .filter(candidate => candidate.confidence >= minConfidence)
+        .sort((a, b) => b.confidence - a.confidence)
+        .forEach(candidate => {
+          const prerequisiteId = candidate.prerequisite.id;
+          if (accepted.size >= maxPerTask || accepted.has(prerequisiteId)) return;
+          if (own.has(prerequisiteId) || own.has(candidate.prerequisite.title)) return;
+          if (dependsOn(prerequisiteId, task.id)) return;
+
+          own.add(prerequisiteId);
+          accepted.add(prerequisiteId);
+          suggestions.push({
+            task_id: task.id,
+            task_title: task.title,
+            depends_on: prerequisiteId,
+            depends_on_title: candidate.prerequisite.title,
+            reason: candidate.reason,
+            confidence: candidate.confidence,
+          });
+        });
+    });
+  });
+
+  return suggestions;
+}
+
+/**
+ * Explain why a task is blocked and what unlocks it.
+ * @param {object} hta - HTA structure with frontierNodes
+ * @param {string} taskId
+ * @param {object} [readiness] - Index from buildReadinessIndex, built when omitted
+ * @returns {{task_id, title, ready, unmet: Array<{id, title}>, unlocked_by: Array<{id, title}>, remaining: number}|null}
+ *   unlocked_by lists the unfinished prerequisites (direct or further up the
+ *   chain) that can be started right now; remaining counts every unfinished
+ *   task standing between the user and this one.
+ */
+export function explainBlockedTask(hta, taskId, readiness = null) {
+  const tasks = getLeafTasks(hta);
+  const index = readiness || buildReadinessIndex(tasks);
+  const task = index.byKey.get(taskId);
+  if (!task) return null;
+
+  const summary = entry => ({ id: entry.id, title: entry.title });
+  const { ready, unmet } = getTaskReadiness(task, index);
+
+  const unlockedBy = [];
+  const seen = new Set();
+  let remaining = 0;
+  const queue = unmet.map(key => index.byKey.get(key));
+  while (queue.length > 0) {
+    const prerequisite = queue.shift();
+    if (!prerequisite || seen.has(prerequisite.id)) continue;
+    seen.add(prerequisite.id);
+    remaining++;
+
+    const upstream = getTaskReadiness(prerequisite, index);
+    if (upstream.ready) unlockedBy.push(summary(prerequisite));
+    else queue.push(...upstream.unmet.map(key => index.byKey.get(key)));
+  }
+
+  return {
+    task_id: task.id,
+    title: task.title,
+    ready,
+    unmet: unmet.map(key => summary(index.byKey.get(key))),
+    unlocked_by: unlockedBy,
+    remaining,
+  };
+}
+
+/**
+ * Unfinished tasks whose prerequisites are not yet met.
+ * @returns {Array<object>}
+ */
+export function getBlockedTasks(hta, readiness = null) {
+  const tasks = getLeafTasks(hta);
+  const index = readiness || buildReadinessIndex(tasks);
+  return tasks.filter(task => task.completed !== true && !getTaskReadiness(task, index).ready);
+}
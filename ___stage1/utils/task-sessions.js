@@ -0,0 +1,101 @@
+/**
+ * Task Sessions
+ * -------------
+ * Wall-clock time tracking for tasks that are worked on across several
+ * sittings. A session is a list of intervals; the open interval (no `end`)
+ * is the one running now. Timestamps are stored rather than running totals,
+ * so a session survives server restarts.
+ */
+
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+};
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export function isSessionActive(session) {
+  return session?.status === SESSION_STATUS.ACTIVE;
+}
+
+/**
+ * Minutes worked so far, counting the open interval up to `now`.
+ */
+export function trackedMinutes(session, now) {
+  const at = new Date(now).getTime();
+  const ms = (session?.intervals || []).reduce((sum, interval) => {
+    const end = interval.end ? new Date(interval.end).getTime() : at;
+    return sum + Math.max(0, end - new Date(interval.start).getTime());
+  }, 0);
+  return Math.round((ms / MS_PER_MINUTE) * 10) / 10;
+}
+
+export function createSession({ task, pathName, now }) {
+  return {
+    task_id: task.id,
+    path_name: pathName,
+    title: task.title || task.id,
+    branch: task.branch || 'General',
+    status: SESSION_STATUS.ACTIVE,
+    started_at: now,
+    updated_at: now,
+    intervals: [{ start: now, end: null }],
+    percent_complete: Number(task.percent_complete) || 0,
+    progress: [],
+  };
+}
+
+export function pauseSession(session, now) {
+  return {
+    ...session,
+    status: SESSION_STATUS.PAUSED,
+    updated_at: now,
+    intervals: session.intervals.map(interval => (interval.end ? interval : { ...interval, end: now })),
+  };
+}
+
+export function resumeSession(session, now) {
+  return {
+    ...session,
+    status: SESSION_STATUS.ACTIVE,
+    updated_at: now,
+    intervals: [...session.intervals, { start: now, end: null }],
+  };
+}
+
+/**
+ * Record a percentage-complete update. Percentages are clamped to 0-100.
+ */
+export function recordProgress(session, { percent, note = '', now }) {
+  const value = Math.max(0, Math.min(100, Math.round(Number(percent))));
+  return {
+    ...session,
+    percent_complete: value,
+    updated_at: now,
+    progress: [...session.progress, { percent: value, note, at: now, tracked_minutes: trackedMinutes(session, now) }],
+  };
+}
+
+/**
+ * Effort figures for the completion log once a session ends.
+ */
+export function summarizeSession(session, now) {
+  const closed = pauseSession(session, now);
+  return {
+    tracked_minutes: trackedMinutes(closed, now),
+    sittings: closed.intervals.length,
+    started_at: session.started_at,
+    progress: session.progress,
+  };
+}
+
+/**
+ * Minutes left by linear extrapolation from the percentage done.
+ * @returns {number|null} null until some progress is recorded
+ */
+export function estimateRemainingMinutes(session, now) {
+  const percent = session?.percent_complete || 0;
+  if (percent <= 0 || percent >= 100) return null;
+  const minutes = trackedMinutes(session, now);
+  return Math.round((minutes * (100 - percent)) / percent);
+}
@@ -0,0 +1,72 @@
+/**
+ * Text Tokenizer
+ * --------------
+ * Lexical helpers for the offline embedding provider: Unicode-aware word
+ * tokens, a small English stop-word list, a light suffix-stripping stemmer so
+ * "practicing" and "practice" meet, and a seeded 32-bit hash for the hashing
+ * trick.
+ */
+
+export const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on',
+  'or', 'our', 'so', 'than', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to',
+  'up', 'was', 'we', 'were', 'what', 'when', 'which', 'will', 'with', 'you', 'your',
+]);
+
+// Longest first; a suffix is only stripped when at least three characters remain
+const SUFFIXES = ['fulness', 'ations', 'ation', 'ments', 'ities', 'ingly', 'ness', 'ment', 'ion', 'ing', 'ies', 'ity', 'ed', 'ly', 'es', 's'];
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Light stemmer. Not Porter; just enough to merge the common inflections.
+ */
+export function stem(word) {
+  if (word.length <= MIN_STEM_LENGTH || /^\d+$/.test(word)) return word;
+  for (const suffix of SUFFIXES) {
+    // "class", "focus"
+    if (suffix === 's' && /[su]s$/.test(word)) continue;
+    if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+      let root = word.slice(0, -suffix.length);
+      if (suffix === 'ies') root += 'y';
+      // "running" -> "runn" -> "run"
+      if (root.length > MIN_STEM_LENGTH && root.at(-1) === root.at(-2) && !'lsz'.includes(root.at(-1))) root = root.slice(0, -1);
+      // "practice" and "practicing" -> "practic"
+      return root.endsWith('e') && root.length > MIN_STEM_LENGTH ? root.slice(0, -1) : root;
+    }
+  }
+  return word.endsWith('e') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Lower-cased word tokens, stemmed and without stop words by default.
+ * @param {string} text
+ * @param {{stopWords?: boolean, stemming?: boolean}} [options]
+ * @returns {string[]}
+ */
+export function tokenize(text, { stopWords = true, stemming = true } = {}) {
+  if (!text || typeof text !== 'string') return [];
+  const words = text.toLowerCase().normalize('NFKC').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return words
+    .filter(word => !stopWords || !STOP_WORDS.has(word))
+    .map(word => (stemming ? stem(word) : word));
+}
+
+/**
+ * Seeded 32-bit FNV-1a hash with the murmur3 finalizer, so the low bits used
+ * for bucket and sign are well mixed.
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function hashString(value, seed = 0) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
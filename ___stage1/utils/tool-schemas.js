@@ -15,6 +15,42 @@ export const toolSchemas = {
   get_active_project_forest: {
     required: [],
   },
+  export_project_forest: {
+    required: [],
+  },
+  import_project_forest: {
+    required: ['bundle_path'],
+  },
+  list_snapshots_forest: {
+    required: [],
+  },
+  restore_snapshot_forest: {
+    required: ['snapshot_id'],
+  },
+  configure_snapshots_forest: {
+    required: [],
+  },
+  diff_hta_forest: {
+    required: [],
+  },
+  add_hta_node_forest: {
+    required: [],
+  },
+  edit_hta_node_forest: {
+    required: ['updates'],
+  },
+  move_hta_node_forest: {
+    required: [],
+  },
+  delete_hta_node_forest: {
+    required: [],
+  },
+  set_task_dependencies_forest: {
+    required: ['node_id'],
+  },
+  infer_dependencies_forest: {
+    required: [],
+  },
   build_hta_tree_forest: {
     // All parameters optional. Goal is inferred from project config if not provided.
     required: [],
@@ -28,15 +64,87 @@ export const toolSchemas = {
   complete_block_forest: {
     required: ['block_id', 'outcome', 'energy_level'],
   },
+  start_task_forest: {
+    required: ['task_id'],
+  },
+  pause_task_forest: {
+    required: [],
+  },
+  resume_task_forest: {
+    required: [],
+  },
+  update_task_progress_forest: {
+    required: ['percent_complete'],
+  },
+  skip_task_forest: {
+    required: ['task_id', 'reason'],
+  },
+  set_selection_policy_forest: {
+    required: [],
+  },
   evolve_strategy_forest: {
     required: ['hint'],
   },
   current_status_forest: {
     required: [],
   },
+  verify_data_integrity_forest: {
+    required: [],
+  },
+  create_path_forest: {
+    required: ['path_name'],
+  },
+  list_paths_forest: {
+    required: [],
+  },
+  switch_path_forest: {
+    required: ['path_name'],
+  },
+  archive_project_forest: {
+    required: [],
+  },
+  clone_project_forest: {
+    required: [],
+  },
+  save_project_template_forest: {
+    required: ['template_name'],
+  },
+  create_project_from_template_forest: {
+    required: ['template_name', 'goal'],
+  },
   generate_daily_schedule_forest: {
     required: [],
   },
+  forecast_goal_forest: {
+    required: [],
+  },
+  get_progress_analytics_forest: {
+    required: [],
+  },
+  search_forest: {
+    required: ['query'],
+  },
+  reindex_vectors_forest: {
+    required: [],
+  },
+  get_estimate_accuracy_forest: {
+    required: [],
+  },
+  plan_week_forest: {
+    required: [],
+  },
+  get_week_plan_forest: {
+    required: [],
+  },
+  edit_week_plan_forest: {
+    required: ['action'],
+  },
+  export_calendar_forest: {
+    required: [],
+  },
+  import_calendar_forest: {
+    required: [],
+  },
   sync_forest_memory_forest: {
     required: [],
   },
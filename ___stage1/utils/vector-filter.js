@@ -0,0 +1,230 @@
+/**
+ * Vector Filter
+ * -------------
+ * Provider-agnostic metadata filter for IVectorProvider.queryVectors
+ * (`options.filter`). Providers translate it natively where they can (SQL in
+ * SQLiteVecProvider, payload filters in QdrantProvider) and otherwise use
+ * matchesVectorFilter in memory; vector-providers/__tests__/
+ * vector-provider-conformance.test.js holds every provider to the same results.
+ *
+ * Syntax (all conditions of an object must hold):
+ *   { project_id: 'p1' }                      equality (string, number, boolean, null)
+ *   { type: { $in: ['task', 'branch'] } }     any of; $nin for none of
+ *   { difficulty: { $gte: 2, $lt: 5 } }       numeric range ($gt, $gte, $lt, $lte)
+ *   { completed: { $ne: true } }              not equal; also matches a missing key
+ *   { learning_outcome: { $exists: true } }   present, not null, not an empty array
+ *   { $or: [...] }, { $and: [...] }, { $not: {...} }
+ *   { 'context.energy': 3 }                   dotted keys reach nested objects
+ *
+ * An array value matches when any of its elements does, so
+ * { prerequisites: 'open' } finds tasks listing 'open' among their
+ * prerequisites. Comparisons are type-strict: 3 does not equal '3'.
+ *
+ * The Qdrant-style form `{ must, should, must_not }` with `match` / `range`
+ * clauses is accepted as well.
+ */
+
+const FIELD_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists'];
+const RANGE_OPERATORS = { $gt: 'gt', $gte: 'gte', $lt: 'lt', $lte: 'lte' };
+// Restricted so keys can be embedded in SQL JSON paths and Qdrant keys verbatim
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+function invalid(message) {
+  return new Error(`Invalid vector filter: ${message}`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return value === null || typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function checkKey(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw invalid(`"${key}" is not a metadata key (letters, digits, _ and -, nested with dots)`);
+  }
+  return key;
+}
+
+function checkScalar(key, operator, value) {
+  if (!isScalar(value)) {
+    throw invalid(`${operator} on "${key}" needs a string, number, boolean or null, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function checkValues(key, operator, values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw invalid(`${operator} on "${key}" needs a non-empty array`);
+  }
+  values.forEach(value => checkScalar(key, operator, value));
+  return values;
+}
+
+const and = clauses => (clauses.length === 1 ? clauses[0] : { op: 'and', clauses });
+
+function parseField(key, condition) {
+  checkKey(key);
+  if (!isPlainObject(condition)) {
+    if (Array.isArray(condition)) throw invalid(`use { $in: [...] } to match "${key}" against several values`);
+    return { op: 'eq', key, value: checkScalar(key, '$eq', condition) };
+  }
+
+  const operators = Object.keys(condition);
+  if (operators.length === 0) throw invalid(`no condition given for "${key}"`);
+  const clauses = [];
+  const range = {};
+  for (const operator of operators) {
+    const value = condition[operator];
+    if (!FIELD_OPERATORS.includes(operator)) {
+      throw invalid(`unknown operator "${operator}" on "${key}". Use one of: ${FIELD_OPERATORS.join(', ')}`);
+    }
+    if (operator === '$eq') clauses.push({ op: 'eq', key, value: checkScalar(key, operator, value) });
+    if (operator === '$ne') clauses.push({ op: 'not', clause: { op: 'eq', key, value: checkScalar(key, operator, value) } });
+    if (operator === '$in') clauses.push({ op: 'in', key, values: checkValues(key, operator, value) });
+    if (operator === '$nin') clauses.push({ op: 'not', clause: { op: 'in', key, values: checkValues(key, operator, value) } });
+    if (operator === '$exists') {
+      if (typeof value !== 'boolean') throw invalid(`$exists on "${key}" needs true or false`);
+      const exists = { op: 'exists', key };
+      clauses.push(value ? exists : { op: 'not', clause: exists });
+    }
+    if (RANGE_OPERATORS[operator]) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid(`${operator} on "${key}" needs a number`);
+      range[RANGE_OPERATORS[operator]] = value;
+    }
+  }
+  if (Object.keys(range).length > 0) clauses.push({ op: 'range', key, ...range });
+  return and(clauses);
+}
+
+function parseList(operator, filters) {
+  if (!Array.isArray(filters) || filters.length === 0) throw invalid(`${operator} needs a non-empty array of filters`);
+  return filters.map(filter => parseNode(filter, operator));
+}
+
+function parseNode(filter, where = 'filter') {
+  if (!isPlainObject(filter)) throw invalid(`${where} must be an object, got ${JSON.stringify(filter)}`);
+  if (['must', 'should', 'must_not'].some(key => Array.isArray(filter[key]))) return parseQdrantStyle(filter);
+
+  const keys = Object.keys(filter);
+  if (keys.length === 0) throw invalid(`empty condition in ${where}`);
+  const clauses = keys.map(key => {
+    if (key === '$and') return and(parseList(key, filter[key]));
+    if (key === '$or') return { op: 'or', clauses: parseList(key, filter[key]) };
+    if (key === '$not') return { op: 'not', clause: parseNode(filter[key], key) };
+    if (key.startsWith('$')) throw invalid(`unknown operator "${key}". Use $and, $or or $not`);
+    return parseField(key, filter[key]);
+  });
+  return and(clauses);
+}
+
+function parseQdrantCondition(condition) {
+  if (!isPlainObject(condition)) throw invalid(`condition must be an object, got ${JSON.stringify(condition)}`);
+  if (['must', 'should', 'must_not'].some(key => Array.isArray(condition[key]))) return parseQdrantStyle(condition);
+  if (condition.is_empty) return { op: 'not', clause: { op: 'exists', key: checkKey(condition.is_empty.key) } };
+  if (condition.is_null) return { op: 'eq', key: checkKey(condition.is_null.key), value: null };
+
+  const key = checkKey(condition.key);
+  if (isPlainObject(condition.match)) {
+    const match = condition.match;
+    if ('value' in match) return { op: 'eq', key, value: checkScalar(key, 'match.value', match.value) };
+    if ('any' in match) return { op: 'in', key, values: checkValues(key, 'match.any', match.any) };
+    if ('except' in match) return { op: 'not', clause: { op: 'in', key, values: checkValues(key, 'match.except', match.except) } };
+  }
+  if (isPlainObject(condition.range)) {
+    const operators = Object.fromEntries(Object.entries(condition.range).map(([bound, value]) => [`$${bound}`, value]));
+    return parseField(key, operators);
+  }
+  throw invalid(`unsupported condition on "${key}"`);
+}
+
+function parseQdrantStyle(filter) {
+  const clauses = [];
+  for (const key of Object.keys(filter)) {
+    if (!['must', 'should', 'must_not'].includes(key)) throw invalid(`unknown clause "${key}" next to must/should/must_not`);
+    const conditions = filter[key];
+    if (!Array.isArray(conditions)) throw invalid(`${key} must be an array`);
+    if (conditions.length === 0) continue;
+    const parsed = conditions.map(parseQdrantCondition);
+    if (key === 'must') clauses.push(...parsed);
+    if (key === 'should') clauses.push({ op: 'or', clauses: parsed });
+    if (key === 'must_not') clauses.push(...parsed.map(clause => ({ op: 'not', clause })));
+  }
+  return clauses.length === 0 ? null : and(clauses);
+}
+
+/**
+ * Validate a filter and reduce it to a tree of
+ * and/or/not over eq, in, range and exists conditions.
+ * @param {Object|null|undefined} filter - See the module comment
+ * @returns {Object|null} Parsed filter, null when nothing is filtered
+ * @throws {Error} "Invalid vector filter: ..." for malformed filters
+ */
+export function parseVectorFilter(filter) {
+  if (filter === null || filter === undefined) return null;
+  if (isPlainObject(filter) && filter.op && filter.parsed === true) return filter;
+  if (isPlainObject(filter) && Object.keys(filter).length === 0) return null;
+  const parsed = parseNode(filter);
+  return parsed ? { ...parsed, parsed: true } : null;
+}
+
+/**
+ * Value at a dotted key. Undefined when any step is missing.
+ */
+export function metadataValue(metadata, key) {
+  let value = metadata;
+  for (const segment of key.split('.')) {
+    if (!isPlainObject(value)) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+// The values a condition is tested against: array elements, or the value itself
+function candidates(metadata, key) {
+  const value = metadataValue(metadata, key);
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function inRange(value, node) {
+  return typeof value === 'number'
+    && (node.gt === undefined || value > node.gt)
+    && (node.gte === undefined || value >= node.gte)
+    && (node.lt === undefined || value < node.lt)
+    && (node.lte === undefined || value <= node.lte);
+}
+
+function evaluate(metadata, node) {
+  switch (node.op) {
+    case 'and':
+      return node.clauses.every(clause => evaluate(metadata, clause));
+    case 'or':
+      return node.clauses.some(clause => evaluate(metadata, clause));
+    case 'not':
+      return !evaluate(metadata, node.clause);
+    case 'eq':
+      return candidates(metadata, node.key).some(value => value === node.value);
+    case 'in':
+      return candidates(metadata, node.key).some(value => node.values.includes(value));
+    case 'range':
+      return candidates(metadata, node.key).some(value => inRange(value, node));
+    case 'exists':
+      return candidates(metadata, node.key).some(value => value !== null && value !== undefined);
+    default:
+      throw invalid(`unknown node "${node.op}"`);
+  }
+}
+
+/**
+ * In-memory evaluation, for providers without native filtering.
+ * @param {Object} metadata
+ * @param {Object|null} filter - Raw or from parseVectorFilter
+ * @returns {boolean}
+ */
+export function matchesVectorFilter(metadata, filter) {
+  const parsed = parseVectorFilter(filter);
+  return parsed ? evaluate(metadata || {}, parsed) : true;
+}
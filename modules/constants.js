@@ -42,7 +42,13 @@ export const SCORING = {
   CONTEXT_RELEVANCE_BONUS: 50,
   MOMENTUM_TASK_BASE_BOOST: 500,
   BREAKTHROUGH_AMPLIFICATION_BONUS: 100,
-  GENERATED_TASK_BOOST: 25
+  GENERATED_TASK_BOOST: 25,
+  BLOCKED_TASK_PENALTY: -2000,
+  // Per weighted skip, decaying as the skip ages (see utils/task-skips.js)
+  SKIPPED_TASK_PENALTY: -150,
+  // Scale of the selection policy's branch variety and difficulty progression adjustments
+  BRANCH_VARIETY_POINTS: 100,
+  DIFFICULTY_PROGRESSION_POINTS: 100
 };
 
 // Performance Constants
@@ -1,5 +1,8 @@
+import { jest } from '@jest/globals';
 import { TaskScorer } from '../task-scorer.js';
 import { SCORING } from '../../constants.js';
+import { buildReadinessIndex } from '../../../utils/hta-eligibility.js';
+import { buildSelectionHistory } from '../../../utils/selection-policy.js';
 
 describe('TaskScorer', () => {
   // Sample task objects for testing
@@ -62,6 +65,20 @@ describe('TaskScorer', () => {
       expect(score).toBe(450);
     });
 
+    test('should sink tasks whose prerequisites are unfinished when given a readiness index', () => {
+      const blockedTask = { ...basicTask, id: 'task5', prerequisites: ['task1'] };
+      const readiness = buildReadinessIndex([basicTask, blockedTask]);
+
+      const blocked = TaskScorer.calculateTaskScore(blockedTask, 3, 60, '', projectContext, null, null, readiness);
+      const unblocked = TaskScorer.calculateTaskScore(
+        blockedTask, 3, 60, '', projectContext, null, null,
+        buildReadinessIndex([{ ...basicTask, completed: true }, blockedTask])
+      );
+
+      expect(blocked).toBe(450 + SCORING.BLOCKED_TASK_PENALTY);
+      expect(unblocked).toBe(450);
+    });
+
     test('should penalize energy mismatch', () => {
       const score = TaskScorer.calculateTaskScore(
         basicTask,
@@ -195,6 +212,72 @@ describe('TaskScorer', () => {
     });
   });
 
+  describe('explainTaskScore', () => {
+    test('breaks the score into factors that add up to calculateTaskScore', () => {
+      // Momentum scoring adds a random variation
+      const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const readiness = buildReadinessIndex([basicTask, momentumTask]);
+      for (const task of [basicTask, momentumTask, breakthroughTask, adaptiveTask]) {
+        const { score, factors } = TaskScorer.explainTaskScore(task, 3, 60, 'javascript', projectContext, null, null, readiness);
+        const total = factors.reduce((sum, entry) => sum + entry.points, 0);
+
+        expect(total).toBeCloseTo(score);
+        expect(score).toBe(TaskScorer.calculateTaskScore(task, 3, 60, 'javascript', projectContext, null, null, readiness));
+      }
+      random.mockRestore();
+    });
+
+    test('names each contribution', () => {
+      const { factors } = TaskScorer.explainTaskScore(basicTask, 3, 60, '', projectContext);
+      const points = Object.fromEntries(factors.map(entry => [entry.factor, entry.points]));
+
+      expect(points).toMatchObject({ priority: 200, energy_match: 100, time_fit: 50, domain_relevance: 100 });
+    });
+
+    test('scales factors by the project selection policy', () => {
+      const config = { ...projectContext, selection_policy: { preset: 'quick-wins', weights: { goal_alignment: 0 } } };
+      const { factors } = TaskScorer.explainTaskScore(basicTask, 3, 60, '', config, config);
+      const points = Object.fromEntries(factors.map(entry => [entry.factor, entry.points]));
+
+      expect(points).toMatchObject({ priority: 200, energy_match: 150, time_fit: 100, domain_relevance: 0 });
+    });
+
+    test('adds branch variety and difficulty progression only when the policy leans on them', () => {
+      const history = buildSelectionHistory([
+        { id: 'done', branch: 'Basics', difficulty: 2, completed: true },
+        { ...basicTask, branch: 'Basics' },
+      ]);
+      const score = preset => {
+        const config = { ...projectContext, selection_policy: { preset } };
+        return TaskScorer.explainTaskScore({ ...basicTask, branch: 'Basics' }, 3, 60, '', config, config, null, null, history);
+      };
+
+      expect(score('balanced').factors.map(entry => entry.factor)).not.toContain('branch_variety');
+      // Basics is the most worked branch (-1) and difficulty 3 is one step up (+1)
+      const depthFirst = Object.fromEntries(score('depth-first').factors.map(entry => [entry.factor, entry.points]));
+      expect(depthFirst.branch_variety).toBe(SCORING.BRANCH_VARIETY_POINTS);
+      expect(depthFirst.difficulty_progression).toBe(0.75 * SCORING.DIFFICULTY_PROGRESSION_POINTS);
+    });
+
+    test('penalizes skipped tasks by reason, fading as the skip ages', () => {
+      const skipped = daysAgo => ({
+        ...basicTask,
+        skip_counts: { not_relevant: 1, later: 2 },
+        last_skip_reason: 'not_relevant',
+        last_skipped_at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+      });
+      const penalty = task => TaskScorer.explainTaskScore(task, 3, 60, '', projectContext).factors
+        .find(entry => entry.factor === 'skipped');
+
+      // not_relevant weighs 2, later nothing
+      expect(penalty(skipped(0)).points).toBeCloseTo(2 * SCORING.SKIPPED_TASK_PENALTY);
+      expect(penalty(skipped(0)).detail).toBe('skipped 3 times, last as not_relevant');
+      expect(penalty(skipped(7)).points).toBeCloseTo(SCORING.SKIPPED_TASK_PENALTY, 0);
+      expect(penalty(basicTask)).toBeUndefined();
+      expect(penalty({ ...basicTask, skip_counts: { later: 1 } })).toBeUndefined();
+    });
+  });
+
   describe('getBranchVariation', () => {
     test('should return specific boost for known branches', () => {
       expect(TaskScorer.getBranchVariation('expert_networking')).toBe(15);
@@ -141,4 +141,63 @@ describe('TaskSelector.selectOptimalTask', () => {
     // Restore original
     TaskScorer.calculateTaskScore.mockRestore();
   });
+
+  test('skips tasks whose prerequisites are unfinished, by ID or legacy title', () => {
+    const htaData = {
+      frontierNodes: [
+        { id: 'basics', title: 'Variables and types', ...baseTaskProps, completed: true },
+        { id: 'loops', title: 'Loops', ...baseTaskProps, priority: 300 },
+        { id: 'closures', title: 'Closures', momentumBuilding: true, ...baseTaskProps, prerequisites: ['loops'] },
+        { id: 'dom', title: 'DOM basics', ...baseTaskProps, priority: 100, prerequisites: ['Variables and types', 'missing-task'] },
+      ]
+    };
+
+    const selected = TaskSelector.selectOptimalTask(htaData, 3, '60 minutes', '', projectContext);
+
+    // closures would win on momentum but waits on loops; dom's unknown prerequisite does not block
+    expect(selected.id).toBe('loops');
+  });
+
+  test('hides snoozed tasks until the snooze ends', () => {
+    const hour = 60 * 60 * 1000;
+    const htaData = {
+      frontierNodes: [
+        { id: 'loops', title: 'Loops', ...baseTaskProps, priority: 300, snoozed_until: new Date(Date.now() + hour).toISOString() },
+        { id: 'dom', title: 'DOM basics', ...baseTaskProps, priority: 100 },
+      ]
+    };
+
+    expect(TaskSelector.selectOptimalTask(htaData, 3, '60 minutes', '', projectContext).id).toBe('dom');
+
+    htaData.frontierNodes[0].snoozed_until = new Date(Date.now() - hour).toISOString();
+    expect(TaskSelector.selectOptimalTask(htaData, 3, '60 minutes', '', projectContext).id).toBe('loops');
+  });
+});
+
+describe('TaskSelector.explainSelection', () => {
+  const projectContext = { goal: 'Master JavaScript', domain: 'programming web development' };
+  const baseTaskProps = { completed: false, prerequisites: [], difficulty: 3, duration: '30 minutes', priority: 200 };
+
+  test('picks the same task as selectOptimalTask and ranks the rest with their factors', () => {
+    const htaData = {
+      frontierNodes: [
+        { id: 'a', title: 'Read docs', ...baseTaskProps, priority: 100 },
+        { id: 'b', title: 'Build a project', ...baseTaskProps, momentumBuilding: true },
+        { id: 'c', title: 'Hard refactor', ...baseTaskProps, difficulty: 5 },
+        { id: 'd', title: 'Done already', ...baseTaskProps, completed: true },
+      ]
+    };
+
+    const explained = TaskSelector.explainSelection(htaData, 3, '60 minutes', '', projectContext);
+    const selected = TaskSelector.selectOptimalTask(htaData, 3, '60 minutes', '', projectContext);
+
+    expect(explained.selected.id).toBe(selected.id);
+    expect(explained.ranked.map(entry => entry.task.id)).toEqual(['b', 'c', 'a']);
+    expect(explained.ranked[0].factors.some(entry => entry.factor === 'momentum')).toBe(true);
+    expect(explained.tie_broken).toBe(false);
+  });
+
+  test('returns null when nothing is available', () => {
+    expect(TaskSelector.explainSelection({ frontierNodes: [] }, 3, '30 minutes', '', projectContext)).toBeNull();
+  });
 });
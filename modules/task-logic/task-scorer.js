@@ -4,6 +4,14 @@
  */
 
 import { SCORING, DEFAULT_PATHS } from '../constants.js';
+import { isTaskReady } from '../../utils/hta-eligibility.js';
+import {
+  resolveSelectionPolicy,
+  branchVarietySignal,
+  difficultyProgressionSignal,
+  policyAdjustment
+} from '../../utils/selection-policy.js';
+import { skipPenaltySignal } from '../../utils/task-skips.js';
 
 export class TaskScorer {
   constructor() {
@@ -26,49 +34,88 @@ export class TaskScorer {
    * @param {Object} projectContext - Project context including goal and domain
    * @param {Object} fullConfig - Full project configuration with user profile, constraints, habits
    * @param {Object} reasoningAnalysis - Analysis from reasoning engine (optional)
+   * @param {Object} readiness - Readiness index from buildReadinessIndex (optional)
+   * @param {Object} history - Selection history from buildSelectionHistory (optional)
    * @returns {number} Task score
    */
-  static calculateTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig = null, reasoningAnalysis = null) {
-    let score = task.priority || 200;
+  static calculateTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig = null, reasoningAnalysis = null, readiness = null, history = null) {
+    return TaskScorer.explainTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig, reasoningAnalysis, readiness, history).score;
+  }
+
+  /**
+   * Score a task and record what each factor contributed.
+   * Takes the same arguments as calculateTaskScore.
+   * @returns {{score: number, factors: Array<{factor: string, points: number, detail: string}>}}
+   *   Factors appear in the order they were applied; repeated factors are summed.
+   */
+  static explainTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig = null, reasoningAnalysis = null, readiness = null, history = null) {
+    const factors = [];
+    const add = (factor, points, detail) => {
+      const existing = factors.find(entry => entry.factor === factor);
+      if (existing) {
+        existing.points += points;
+        existing.detail = `${existing.detail}; ${detail}`;
+      } else {
+        factors.push({ factor, points, detail });
+      }
+    };
+
+    // The project's selection policy scales the weighted factors
+    const { weights } = resolveSelectionPolicy(fullConfig?.selection_policy || projectContext?.selection_policy);
+
+    add('priority', task.priority || 200, task.priority ? `HTA priority ${task.priority}` : 'default priority');
+
+    // Blocked tasks sink below anything that can be started now
+    if (readiness && !isTaskReady(task, readiness)) {
+      add('blocked', SCORING.BLOCKED_TASK_PENALTY, 'prerequisites not done');
+    }
+
+    // Skipped tasks sink until the skips wear off
+    const skipSignal = skipPenaltySignal(task);
+    if (skipSignal > 0) {
+      const skips = Object.values(task.skip_counts).reduce((sum, count) => sum + count, 0);
+      add('skipped', SCORING.SKIPPED_TASK_PENALTY * skipSignal, `skipped ${skips} time${skips === 1 ? '' : 's'}, last as ${task.last_skip_reason || 'unknown'}`);
+    }
 
     // CRITICAL: Major life change adaptation gets HIGHEST priority
     if (contextFromMemory && TaskScorer.isLifeChangeContext(contextFromMemory)) {
       const changeType = TaskScorer.detectLifeChangeType(contextFromMemory);
       if (TaskScorer.isTaskAdaptedForLifeChange(task, changeType)) {
-        score += SCORING.ADAPTIVE_TASK_BOOST; // Massive boost for adaptive tasks
+        add('life_change', SCORING.ADAPTIVE_TASK_BOOST, `adapted for ${changeType.replace(/_/g, ' ')}`); // Massive boost for adaptive tasks
       }
     }
 
     // Energy level matching
     const taskDifficulty = task.difficulty || 3;
     const energyMatch = 5 - Math.abs(energyLevel - taskDifficulty);
-    score += energyMatch * 20; // 20 points per energy match level (perfect match = 5*20 = 100)
+    add('energy_match', energyMatch * 20 * weights.energy_match, `difficulty ${taskDifficulty} at energy ${energyLevel}`); // 20 points per energy match level (perfect match = 5*20 = 100)
 
     // CRITICAL FIX: Better time constraint handling
     const taskDuration = TaskScorer.parseTimeToMinutes(task.duration || '30 minutes');
+    const timeDetail = `${taskDuration} min task, ${timeInMinutes} min available`;
 
     if (timeInMinutes >= taskDuration) {
       // Task fits perfectly within time constraint
-      score += SCORING.TIME_FIT_BONUS;
+      add('time_fit', SCORING.TIME_FIT_BONUS * weights.time_fit, `${timeDetail}: fits`);
     } else if (timeInMinutes >= taskDuration * 0.8) {
       // Task is slightly longer but could be adapted
-      score += SCORING.TIME_ADAPT_BONUS;
+      add('time_fit', SCORING.TIME_ADAPT_BONUS * weights.time_fit, `${timeDetail}: slightly long`);
     } else if (timeInMinutes >= taskDuration * 0.5) {
       // Task is much longer but could be partially completed
-      score += SCORING.TIME_ADAPT_BONUS * -1;
+      add('time_fit', SCORING.TIME_ADAPT_BONUS * -1 * weights.time_fit, `${timeDetail}: only partly doable`);
     } else {
       // Task is way too long
-      score += SCORING.TIME_TOO_LONG_PENALTY;
+      add('time_fit', SCORING.TIME_TOO_LONG_PENALTY * weights.time_fit, `${timeDetail}: too long`);
     }
 
     // Domain context relevance
     if (TaskScorer.isDomainRelevant(task, projectContext)) {
-      score += SCORING.DOMAIN_RELEVANCE_BONUS;
+      add('domain_relevance', SCORING.DOMAIN_RELEVANCE_BONUS * weights.goal_alignment, 'matches the goal or active path');
     }
 
     // Context relevance from memory
     if (contextFromMemory && TaskScorer.isContextRelevant(task, contextFromMemory)) {
-      score += SCORING.CONTEXT_RELEVANCE_BONUS;
+      add('memory_context', SCORING.CONTEXT_RELEVANCE_BONUS * weights.goal_alignment, 'matches recent context');
     }
 
     // CRITICAL: Momentum building tasks get HIGHEST priority with slight variations for diversity
@@ -76,36 +123,46 @@ export class TaskScorer {
       const baseBoost = SCORING.MOMENTUM_TASK_BASE_BOOST;
       const branchVariation = TaskScorer.getBranchVariation(task.branch);
       const randomVariation = Math.random() * 10; // 0-10 points for diversity
-      score += baseBoost + branchVariation + randomVariation;
+      add('momentum', baseBoost + branchVariation + randomVariation, 'momentum-building task');
     }
 
     // Breakthrough potential
     if (task.opportunityType === 'breakthrough_amplification') {
-      score += SCORING.BREAKTHROUGH_AMPLIFICATION_BONUS;
+      add('breakthrough', SCORING.BREAKTHROUGH_AMPLIFICATION_BONUS, 'amplifies a breakthrough');
     }
 
     // Recently generated tasks get boost
     if (task.generated) {
-      score += SCORING.GENERATED_TASK_BOOST;
+      add('generated', SCORING.GENERATED_TASK_BOOST, 'recently generated');
+    }
+
+    // Policy preferences that are neutral at weight 1
+    const varietyPoints = policyAdjustment(weights.branch_variety, branchVarietySignal(task, history), SCORING.BRANCH_VARIETY_POINTS);
+    if (varietyPoints !== 0) {
+      add('branch_variety', varietyPoints, `${task.branch || 'General'} branch, variety weight ${weights.branch_variety}`);
+    }
+    const progressionPoints = policyAdjustment(weights.difficulty_progression, difficultyProgressionSignal(task, history), SCORING.DIFFICULTY_PROGRESSION_POINTS);
+    if (progressionPoints !== 0) {
+      add('difficulty_progression', progressionPoints, `difficulty ${taskDifficulty} after ${history.lastDifficulty}, progression weight ${weights.difficulty_progression}`);
     }
 
     // ===== ENHANCED RICH CONTEXT SCORING =====
     if (fullConfig) {
       // Financial Constraint Alignment
       if (task.isFreeResource && fullConfig.constraints?.financial_constraints?.includes('no budget')) {
-        score += 150; // Massively boost free tasks if user has no budget
+        add('budget_fit', 150, 'free resource, no budget'); // Massively boost free tasks if user has no budget
       }
 
       if (task.cost === 'free' || task.budget === 'zero' || task.title?.toLowerCase().includes('free')) {
         if (fullConfig.constraints?.financial_constraints?.includes('no budget') ||
             fullConfig.constraints?.financial_constraints?.includes('limited budget')) {
-          score += 120; // Major boost for free resources when budget is constrained
+          add('budget_fit', 120, 'free, budget is constrained'); // Major boost for free resources when budget is constrained
         }
       }
 
       // Habit Alignment
       if (task.branch === 'habit_building' && fullConfig.current_habits?.habit_goals?.includes(task.title)) {
-        score += 100; // Boost tasks that align with stated habit goals
+        add('habit_goal', 100, 'stated habit goal'); // Boost tasks that align with stated habit goals
       }
 
       // Time Constraint Alignment
@@ -113,11 +170,11 @@ export class TaskScorer {
         const timeConstraints = fullConfig.constraints.time_constraints;
 
         if (timeConstraints.includes('limited time') && taskDuration <= 15) {
-          score += 80; // Boost very short tasks for time-constrained users
+          add('time_constraints', 80, 'short task, limited time'); // Boost very short tasks for time-constrained users
         }
 
         if (timeConstraints.includes('flexible schedule') && taskDuration >= 45) {
-          score += 60; // Boost longer tasks for users with flexible schedules
+          add('time_constraints', 60, 'long task, flexible schedule'); // Boost longer tasks for users with flexible schedules
         }
       }
 
@@ -127,12 +184,12 @@ export class TaskScorer {
 
         if (locationConstraints.includes('home only') &&
             (task.location === 'home' || task.remote === true || task.online === true)) {
-          score += 90; // Major boost for home/online tasks when location-constrained
+          add('location_fit', 90, 'doable from home'); // Major boost for home/online tasks when location-constrained
         }
 
         if (locationConstraints.includes('mobile learner') &&
             (task.mobile === true || task.title?.toLowerCase().includes('mobile'))) {
-          score += 70; // Boost mobile-friendly tasks
+          add('location_fit', 70, 'mobile friendly'); // Boost mobile-friendly tasks
         }
       }
 
@@ -143,19 +200,19 @@ export class TaskScorer {
         if (style.includes('visual') &&
             (task.type === 'visual' || task.title?.toLowerCase().includes('visual') ||
              task.title?.toLowerCase().includes('diagram') || task.title?.toLowerCase().includes('chart'))) {
-          score += 60;
+          add('learning_style', 60, 'visual');
         }
 
         if (style.includes('hands-on') &&
             (task.type === 'practical' || task.title?.toLowerCase().includes('practice') ||
              task.title?.toLowerCase().includes('build') || task.title?.toLowerCase().includes('create'))) {
-          score += 60;
+          add('learning_style', 60, 'hands-on');
         }
 
         if (style.includes('social') &&
             (task.type === 'social' || task.title?.toLowerCase().includes('discuss') ||
              task.title?.toLowerCase().includes('collaborate') || task.title?.toLowerCase().includes('share'))) {
-          score += 60;
+          add('learning_style', 60, 'social');
         }
       }
 
@@ -164,7 +221,7 @@ export class TaskScorer {
         const taskText = `${task.title} ${task.description}`.toLowerCase();
         for (const interest of fullConfig.specific_interests) {
           if (taskText.includes(interest.toLowerCase())) {
-            score += 40; // Boost tasks that match specific interests
+            add('interests', 40, `mentions "${interest}"`); // Boost tasks that match specific interests
           }
         }
       }
@@ -174,7 +231,7 @@ export class TaskScorer {
         const taskText = `${task.title} ${task.description}`.toLowerCase();
         for (const habit of fullConfig.current_habits.existing_habits) {
           if (taskText.includes(habit.toLowerCase())) {
-            score += 35; // Boost tasks that build on existing habits
+            add('existing_habits', 35, `builds on "${habit}"`); // Boost tasks that build on existing habits
           }
         }
       }
@@ -184,11 +241,11 @@ export class TaskScorer {
     if (reasoningAnalysis) {
       // Energy Pattern Alignment
       if (reasoningAnalysis.pacingContext?.pacingAnalysis?.status === 'behind' && task.difficulty < 3) {
-        score += 80; // Boost easier tasks if user is behind schedule to build momentum
+        add('pacing', 80, 'easier task while behind schedule'); // Boost easier tasks if user is behind schedule to build momentum
       }
 
       if (reasoningAnalysis.pacingContext?.pacingAnalysis?.status === 'ahead' && task.difficulty >= 4) {
-        score += 70; // Boost challenging tasks if user is ahead of schedule
+        add('pacing', 70, 'challenging task while ahead of schedule'); // Boost challenging tasks if user is ahead of schedule
       }
 
       // Velocity Pattern Alignment
@@ -196,45 +253,45 @@ export class TaskScorer {
       for (const deduction of deductions) {
         if (deduction.type === 'difficulty_pattern') {
           if (deduction.insight?.includes('too easy') && task.difficulty >= 4) {
-            score += 90; // Major boost for harder tasks if current tasks are too easy
+            add('difficulty_pattern', 90, 'harder task, recent work too easy'); // Major boost for harder tasks if current tasks are too easy
           }
 
           if (deduction.insight?.includes('too challenging') && task.difficulty <= 2) {
-            score += 85; // Major boost for easier tasks if current tasks are too hard
+            add('difficulty_pattern', 85, 'easier task, recent work too hard'); // Major boost for easier tasks if current tasks are too hard
           }
 
           if (deduction.insight?.includes('plateau') && task.difficulty >= 3) {
-            score += 75; // Boost challenging tasks to break difficulty plateau
+            add('difficulty_pattern', 75, 'breaks a difficulty plateau'); // Boost challenging tasks to break difficulty plateau
           }
         }
 
         if (deduction.type === 'energy_pattern') {
           if (deduction.insight?.includes('draining') && taskDuration <= 20) {
-            score += 70; // Boost shorter tasks if learning is currently draining
+            add('energy_pattern', 70, 'short task while learning is draining'); // Boost shorter tasks if learning is currently draining
           }
 
           if (deduction.insight?.includes('energizing') && taskDuration >= 45) {
-            score += 65; // Boost longer tasks if learning is energizing
+            add('energy_pattern', 65, 'long task while learning is energizing'); // Boost longer tasks if learning is energizing
           }
         }
 
         if (deduction.type === 'breakthrough_pattern') {
           if (deduction.insight?.includes('high breakthrough rate') && task.difficulty >= 3) {
-            score += 80; // Boost challenging tasks if user has high breakthrough rate
+            add('breakthrough_pattern', 80, 'high breakthrough rate'); // Boost challenging tasks if user has high breakthrough rate
           }
 
           if (deduction.evidence?.some(e => e.includes('difficulty')) && task.difficulty >= 3) {
-            score += 60; // Boost tasks at breakthrough difficulty level
+            add('breakthrough_pattern', 60, 'breakthrough difficulty level'); // Boost tasks at breakthrough difficulty level
           }
         }
 
         if (deduction.type === 'velocity_pattern') {
           if (deduction.insight?.includes('high velocity') && task.priority >= 300) {
-            score += 50; // Boost high-priority tasks if user has high velocity
+            add('velocity_pattern', 50, 'high velocity'); // Boost high-priority tasks if user has high velocity
           }
 
           if (deduction.insight?.includes('slowing down') && task.difficulty <= 2) {
-            score += 55; // Boost easier tasks if velocity is slowing
+            add('velocity_pattern', 55, 'velocity slowing'); // Boost easier tasks if velocity is slowing
           }
         }
       }
@@ -242,23 +299,25 @@ export class TaskScorer {
       // Recommendation Alignment
       if (reasoningAnalysis.recommendations) {
         const recText = JSON.stringify(reasoningAnalysis.recommendations).toLowerCase();
-        const taskText = `${task.title} ${task.description}`.toLowerCase();
 
         if (recText.includes('easier') && task.difficulty <= 2) {
-          score += 45; // Boost easier tasks if recommendations suggest it
+          add('recommendations', 45, 'easier tasks recommended'); // Boost easier tasks if recommendations suggest it
         }
 
         if (recText.includes('challenging') && task.difficulty >= 4) {
-          score += 45; // Boost harder tasks if recommendations suggest it
+          add('recommendations', 45, 'challenging tasks recommended'); // Boost harder tasks if recommendations suggest it
         }
 
         if (recText.includes('variety') && task.branch !== projectContext.activePath) {
-          score += 40; // Boost tasks from different branches if variety is recommended
+          add('recommendations', 40, 'variety recommended'); // Boost tasks from different branches if variety is recommended
         }
       }
     }
 
-    return score;
+    return {
+      score: factors.reduce((sum, entry) => sum + entry.points, 0),
+      factors,
+    };
   }
 
   /**
@@ -6,10 +6,11 @@
 // @ts-nocheck
 
 import { TaskScorer } from './task-scorer.js';
-import { isNodeReady } from '../../utils/hta-eligibility.js';
+import { isNodeReady, buildReadinessIndex } from '../../utils/hta-eligibility.js';
+import { buildSelectionHistory } from '../../utils/selection-policy.js';
+import { isTaskSnoozed } from '../../utils/task-skips.js';
 
 // Constants used throughout task selection logic to avoid magic numbers
-const TIME_TOLERANCE_FACTOR = 1.2; // Allow tasks up to 120% of available time
 const RANDOM_TIE_BREAK_EPSILON = 0.5; // Random threshold for tie-breaking
 
 export class TaskSelector {
@@ -25,28 +26,7 @@ export class TaskSelector {
    * @returns {Object|null} Selected task or null if none available
    */
   static selectOptimalTask(htaData, energyLevel, timeAvailable, contextFromMemory, projectContext, fullConfig = null, reasoningAnalysis = null) {
-    const nodes = htaData.frontierNodes || [];
-
-    // Pre-compute completed node IDs as a Set for O(1) lookup
-    const completedNodeIds = new Set(nodes.filter(n => n.completed).map(n => n.id));
-
-    // Create a map for fast node lookup by title (for legacy prerequisite support)
-    const nodesByTitle = new Map();
-    for (const node of nodes) {
-      if (node.completed) {
-        nodesByTitle.set(node.title, node);
-      }
-    }
-
-    // Filter available tasks (not completed, prerequisites met)
-    const availableTasks = [];
-    const timeInMinutes = TaskScorer.parseTimeToMinutes(timeAvailable);
-
-    for (const node of nodes) {
-      if (isNodeReady(node, completedNodeIds, timeInMinutes, TIME_TOLERANCE_FACTOR)) {
-        availableTasks.push(node);
-      }
-    }
+    const { availableTasks, readiness, history, timeInMinutes } = this.getAvailableTasks(htaData, timeAvailable);
 
     if (availableTasks.length === 0) {
       return null;
@@ -55,19 +35,74 @@ export class TaskSelector {
     // Score all tasks and collect high-scoring ones for diversity
     const scoredTasks = availableTasks.map(task => ({
       ...task,
-      score: TaskScorer.calculateTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig, reasoningAnalysis)
+      score: TaskScorer.calculateTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig, reasoningAnalysis, readiness, history)
     }));
 
+    return this.pickTopTask(scoredTasks);
+  }
+
+  /**
+   * Select the optimal task and keep the per-factor breakdown of every candidate.
+   * Takes the same arguments as selectOptimalTask.
+   * @returns {{selected: Object, ranked: Array<{task: Object, score: number, factors: Array}>, tie_broken: boolean}|null}
+   *   `ranked` starts with the selected task, then the rest by score.
+   */
+  static explainSelection(htaData, energyLevel, timeAvailable, contextFromMemory, projectContext, fullConfig = null, reasoningAnalysis = null) {
+    const { availableTasks, readiness, history, timeInMinutes } = this.getAvailableTasks(htaData, timeAvailable);
+
+    if (availableTasks.length === 0) {
+      return null;
+    }
+
+    const ranked = availableTasks.map(task => {
+      const { score, factors } = TaskScorer.explainTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig, reasoningAnalysis, readiness, history);
+      return { task: { ...task, score }, score, factors };
+    });
+    const selected = this.pickTopTask(ranked.map(entry => entry.task));
+
+    ranked.sort((a, b) => (b.task === selected) - (a.task === selected) || b.score - a.score);
+
+    return {
+      selected,
+      ranked,
+      tie_broken: ranked.filter(entry => entry.score === selected.score).length > 1
+    };
+  }
+
+  /**
+   * Tasks that can be started now (not completed, prerequisites met, not snoozed), with
+   * the readiness index and selection history the scorer uses
+   */
+  static getAvailableTasks(htaData, timeAvailable) {
+    const nodes = htaData.frontierNodes || [];
+
+    // Completed IDs and titles (titles for legacy prerequisite support)
+    const readiness = buildReadinessIndex(nodes);
+
+    return {
+      availableTasks: nodes.filter(node => isNodeReady(node, readiness) && !isTaskSnoozed(node)),
+      readiness,
+      history: buildSelectionHistory(nodes),
+      timeInMinutes: TaskScorer.parseTimeToMinutes(timeAvailable)
+    };
+  }
+
+  /**
+   * Highest-scoring task, with ties broken for variety
+   * @param {Array} scoredTasks - Tasks carrying a `score`
+   * @returns {Object|null} Selected task
+   */
+  static pickTopTask(scoredTasks) {
     // Sort by score descending
-    scoredTasks.sort((a, b) => b.score - a.score);
+    const sortedTasks = [...scoredTasks].sort((a, b) => b.score - a.score);
 
-    if (scoredTasks.length === 0) {
+    if (sortedTasks.length === 0) {
       return null;
     }
 
     // CRITICAL FIX: If multiple tasks have same high score, add variety
-    const topScore = scoredTasks[0].score;
-    const topTasks = scoredTasks.filter(task => task.score === topScore);
+    const topScore = sortedTasks[0].score;
+    const topTasks = sortedTasks.filter(task => task.score === topScore);
 
     if (topTasks.length === 1) {
       return topTasks[0];
@@ -3,6 +3,78 @@
  * Determines if a task is eligible for selection based on various criteria
  */
 
+/**
+ * Normalize a task's prerequisites. Some vector providers store metadata
+ * arrays as JSON or comma-separated strings.
+ */
+export function getPrerequisiteIds(task) {
+  const prerequisites = task?.prerequisites;
+  if (Array.isArray(prerequisites)) {
+    return prerequisites.filter(Boolean);
+  }
+  if (typeof prerequisites === 'string' && prerequisites.trim()) {
+    try {
+      const parsed = JSON.parse(prerequisites);
+      if (Array.isArray(parsed)) return parsed.filter(Boolean);
+    } catch {
+      // Not JSON, fall through to comma-separated
+    }
+    return prerequisites.split(',').map(id => id.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Build the lookup every readiness check shares. Prerequisites may name a
+ * task by ID or, in older trees, by title.
+ * @param {Array<Object>} tasks - All tasks of the tree, completed or not
+ * @returns {{completed: Set<string>, known: Set<string>, byKey: Map<string, Object>}}
+ */
+export function buildReadinessIndex(tasks = []) {
+  const completed = new Set();
+  const known = new Set();
+  const byKey = new Map();
+
+  for (const task of tasks) {
+    if (!task) continue;
+    for (const key of [task.id, task.title]) {
+      if (!key) continue;
+      known.add(key);
+      if (!byKey.has(key)) byKey.set(key, task);
+      if (task.completed === true) completed.add(key);
+    }
+  }
+
+  return { completed, known, byKey };
+}
+
+/**
+ * The readiness rule: a task is ready when it is not completed and every
+ * prerequisite that exists in the tree is completed. Prerequisites that name
+ * no task can never be met, so they are reported but do not block.
+ * @param {Object} task
+ * @param {Object} index - From buildReadinessIndex
+ * @returns {{ready: boolean, unmet: string[], unknown: string[]}}
+ */
+export function getTaskReadiness(task, index) {
+  const unmet = [];
+  const unknown = [];
+
+  for (const prerequisite of getPrerequisiteIds(task)) {
+    if (!index.known.has(prerequisite)) {
+      unknown.push(prerequisite);
+    } else if (!index.completed.has(prerequisite)) {
+      unmet.push(prerequisite);
+    }
+  }
+
+  return { ready: task?.completed !== true && unmet.length === 0, unmet, unknown };
+}
+
+export function isTaskReady(task, index) {
+  return getTaskReadiness(task, index).ready;
+}
+
 export function isTaskEligible(task, context = {}) {
   if (!task || typeof task !== 'object') {
     return false;
@@ -13,11 +85,9 @@ export function isTaskEligible(task, context = {}) {
     return false;
   }
   
-  // Check prerequisites
+  // Check prerequisites when the caller passes a readiness index
   if (task.prerequisites && task.prerequisites.length > 0) {
-    // For now, assume all prerequisites are met
-    // In a real implementation, this would check against completed tasks
-    return true;
+    return context.readiness ? isTaskReady(task, context.readiness) : true;
   }
   
   // Check difficulty vs energy level
@@ -41,15 +111,23 @@ export function filterEligibleTasks(tasks, context = {}) {
 }
 
 export function checkPrerequisites(task, completedTasks = []) {
-  if (!task.prerequisites || task.prerequisites.length === 0) {
+  const prerequisites = getPrerequisiteIds(task);
+  if (prerequisites.length === 0) {
     return true;
   }
   
-  const completedIds = new Set(completedTasks.map(t => t.id));
-  return task.prerequisites.every(prereqId => completedIds.has(prereqId));
+  const completedIds = new Set(completedTasks.map(t => (typeof t === 'string' ? t : t.id)));
+  return prerequisites.every(prereqId => completedIds.has(prereqId));
 }
 
-export function isNodeReady(task, context = {}) {
+/**
+ * Readiness check used by task selection. Takes a readiness index from
+ * buildReadinessIndex, or an eligibility context for older callers.
+ */
+export function isNodeReady(task, readiness = {}) {
+  if (readiness && readiness.known instanceof Set) {
+    return !!task && isTaskReady(task, readiness);
+  }
   // Alias for isTaskEligible for compatibility
-  return isTaskEligible(task, context);
+  return isTaskEligible(task, readiness);
 } 
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Task Selection Policy
+ * Per-project weights shared by every task selection path: the TaskScorer
+ * fallback, the Next + Pipeline scorer and the vector goal-achievement filter.
+ *
+ * A policy is stored in the project config as `selection_policy`:
+ *   { preset: 'depth-first', weights: { time_fit: 1.5 } }
+ * where `weights` override the preset's. Each weight scales one factor; 1 is
+ * the standard strength, so the `balanced` preset reproduces the unweighted
+ * scores. For branch variety and difficulty progression, 1 is neutral: above
+ * 1 favours new branches / stepping up in difficulty, below 1 favours staying
+ * in familiar branches / easier tasks.
+ */
+
+export const SELECTION_POLICY_WEIGHTS = [
+  'energy_match',
+  'time_fit',
+  'branch_variety',
+  'difficulty_progression',
+  'goal_alignment',
+];
+
+export const SELECTION_POLICY_LIMITS = {
+  MIN_WEIGHT: 0,
+  MAX_WEIGHT: 3,
+};
+
+export const DEFAULT_SELECTION_PRESET = 'balanced';
+
+const NEUTRAL_WEIGHTS = Object.fromEntries(SELECTION_POLICY_WEIGHTS.map(key => [key, 1]));
+
+export const SELECTION_POLICY_PRESETS = {
+  balanced: {
+    description: 'Standard weighting of every factor',
+    weights: { ...NEUTRAL_WEIGHTS },
+  },
+  'depth-first': {
+    description: 'Stay in the branches you have started and climb their difficulty before moving on',
+    weights: { ...NEUTRAL_WEIGHTS, branch_variety: 0, difficulty_progression: 1.75, goal_alignment: 1.25 },
+  },
+  'breadth-first': {
+    description: 'Touch every branch before going deep in any of them',
+    weights: { ...NEUTRAL_WEIGHTS, branch_variety: 2.5, difficulty_progression: 0.5 },
+  },
+  'quick-wins': {
+    description: 'Short, easy tasks that fit the time and energy you have right now',
+    weights: { ...NEUTRAL_WEIGHTS, energy_match: 1.5, time_fit: 2, difficulty_progression: 0.25, goal_alignment: 0.75 },
+  },
+  'spaced-review': {
+    description: 'Rotate back to branches you have not worked on recently, at a comfortable difficulty',
+    weights: { ...NEUTRAL_WEIGHTS, branch_variety: 1.75, difficulty_progression: 0.75, energy_match: 1.25 },
+  },
+};
+
+/**
+ * Canonical preset name ("Quick wins", "quick_wins" -> "quick-wins").
+ * @returns {string|null} Null when no preset has that name
+ */
+export function normalizePresetName(name) {
+  if (typeof name !== 'string') return null;
+  const normalized = name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return SELECTION_POLICY_PRESETS[normalized] ? normalized : null;
+}
+
+/**
+ * Problems with a policy update, empty when it can be saved.
+ * @param {{preset?: string, weights?: Object}} policy
+ * @returns {string[]}
+ */
+export function validateSelectionPolicy(policy = {}) {
+  const errors = [];
+  if (policy.preset !== undefined && !normalizePresetName(policy.preset)) {
+    errors.push(`Unknown preset "${policy.preset}". Available: ${Object.keys(SELECTION_POLICY_PRESETS).join(', ')}`);
+  }
+
+  if (policy.weights !== undefined) {
+    if (!policy.weights || typeof policy.weights !== 'object' || Array.isArray(policy.weights)) {
+      errors.push('weights must be an object');
+      return errors;
+    }
+    for (const [key, value] of Object.entries(policy.weights)) {
+      if (!SELECTION_POLICY_WEIGHTS.includes(key)) {
+        errors.push(`Unknown weight "${key}". Available: ${SELECTION_POLICY_WEIGHTS.join(', ')}`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value) ||
+        value < SELECTION_POLICY_LIMITS.MIN_WEIGHT || value > SELECTION_POLICY_LIMITS.MAX_WEIGHT) {
+        errors.push(`Weight "${key}" must be a number from ${SELECTION_POLICY_LIMITS.MIN_WEIGHT} to ${SELECTION_POLICY_LIMITS.MAX_WEIGHT}`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Full policy from the stored one, falling back to `balanced` for anything
+ * missing or invalid.
+ * @param {{preset?: string, weights?: Object}|null} stored - config.selection_policy
+ * @returns {{preset: string, description: string, weights: Object<string, number>, overrides: Object<string, number>}}
+ */
+export function resolveSelectionPolicy(stored = null) {
+  const preset = normalizePresetName(stored?.preset) || DEFAULT_SELECTION_PRESET;
+  const weights = { ...SELECTION_POLICY_PRESETS[preset].weights };
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(stored?.weights || {})) {
+    if (SELECTION_POLICY_WEIGHTS.includes(key) && typeof value === 'number' && Number.isFinite(value)) {
+      overrides[key] = Math.min(SELECTION_POLICY_LIMITS.MAX_WEIGHT, Math.max(SELECTION_POLICY_LIMITS.MIN_WEIGHT, value));
+      weights[key] = overrides[key];
+    }
+  }
+
+  return { preset, description: SELECTION_POLICY_PRESETS[preset].description, weights, overrides };
+}
+
+/**
+ * What has been done so far, for branch variety and difficulty progression.
+ * @param {Array<Object>} tasks - All tasks of the tree
+ * @returns {{completedByBranch: Map<string, number>, maxBranchCount: number, lastBranch: string|null, lastDifficulty: number|null}}
+ */
+export function buildSelectionHistory(tasks = []) {
+  const completed = (tasks || []).filter(task => task?.completed === true);
+  const completedAt = task => Date.parse(task.completed_at || task.completedAt || '') || 0;
+  // Stable sort keeps tree order for tasks without a completion time
+  const ordered = [...completed].sort((a, b) => completedAt(a) - completedAt(b));
+  const completedByBranch = new Map();
+
+  for (const task of ordered) {
+    const branch = task.branch || 'General';
+    completedByBranch.set(branch, (completedByBranch.get(branch) || 0) + 1);
+  }
+
+  const last = ordered[ordered.length - 1];
+  return {
+    completedByBranch,
+    maxBranchCount: Math.max(0, ...completedByBranch.values()),
+    lastBranch: last ? last.branch || 'General' : null,
+    lastDifficulty: last ? Number(last.difficulty) || 3 : null,
+  };
+}
+
+/**
+ * Branch novelty in [-1, 1]: 1 for a branch with nothing done yet, -1 for the
+ * most worked branch. 0 without history.
+ */
+export function branchVarietySignal(task, history) {
+  if (!history?.maxBranchCount) return 0;
+  const done = history.completedByBranch.get(task.branch || 'General') || 0;
+  return 1 - 2 * (done / history.maxBranchCount);
+}
+
+/**
+ * How well a task steps up from the last completed difficulty, in [-1, 1]:
+ * 1 for one level up, 0.5 for two, 0 for the same level or a bigger jump,
+ * negative for easier tasks. 0 without history.
+ */
+export function difficultyProgressionSignal(task, history) {
+  if (!history?.lastDifficulty) return 0;
+  const step = (Number(task.difficulty) || 3) - history.lastDifficulty;
+  if (step === 1) return 1;
+  if (step === 2) return 0.5;
+  if (step > 2) return 0;
+  return Math.max(-1, step / 2);
+}
+
+/**
+ * Points a neutral-at-1 weight adds: (weight - 1) * scale * signal.
+ */
+export function policyAdjustment(weight, signal, scale) {
+  return (weight - 1) * scale * signal;
+}
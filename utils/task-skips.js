@@ -0,0 +1,142 @@
+/**
+ * Task Skips
+ * Skip, snooze and rejection state shared by the TaskScorer, the vector
+ * selectors and the planners. The state lives on the task node:
+ * `skip_counts` per reason, `last_skipped_at`, `last_skip_reason` and
+ * `snoozed_until`.
+ */
+
+export const SKIP_REASONS = ['too_hard', 'too_long', 'not_relevant', 'blocked', 'later'];
+
+// Reasons that say the task itself is wrong, not just the moment
+export const REJECTION_REASONS = ['too_hard', 'too_long', 'not_relevant'];
+
+export const SKIP_CONSTANTS = {
+  // How much one skip counts towards the scoring penalty, per reason
+  REASON_WEIGHTS: { too_hard: 1, too_long: 1, not_relevant: 2, blocked: 1, later: 0 },
+  // The penalty halves every week after the last skip
+  PENALTY_HALF_LIFE_DAYS: 7,
+  // Snooze applied when the caller gives no time
+  DEFAULT_SNOOZE_HOURS: { later: 24, blocked: 72 },
+  // Rejections within a branch that trigger a restructure
+  BRANCH_REJECTION_THRESHOLD: 3,
+  BRANCH_REJECTION_WINDOW_DAYS: 14,
+  MS_PER_HOUR: 60 * 60 * 1000,
+  MS_PER_DAY: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Accept "too hard", "Too-Hard" and "too_hard" alike.
+ * @returns {string|null} The canonical reason, or null when unknown
+ */
+export function normalizeSkipReason(reason) {
+  if (typeof reason !== 'string') return null;
+  const key = reason.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return SKIP_REASONS.includes(key) ? key : null;
+}
+
+const toTime = value => {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * True while a task (or its skip state) is snoozed at `now`.
+ */
+export function isTaskSnoozed(task, now = Date.now()) {
+  const until = toTime(task?.snoozed_until);
+  return until !== null && until > (toTime(now) ?? Date.now());
+}
+
+/**
+ * When a skip should wake up: the requested time, else the reason's default.
+ * @returns {string|null} ISO timestamp, null when the task is not snoozed
+ */
+export function resolveSnoozeUntil(reason, snoozeUntil, now) {
+  if (snoozeUntil) {
+    const until = toTime(snoozeUntil);
+    if (until === null) throw new Error(`Invalid snooze_until "${snoozeUntil}"`);
+    return new Date(until).toISOString();
+  }
+  const hours = SKIP_CONSTANTS.DEFAULT_SNOOZE_HOURS[reason];
+  return hours ? new Date(toTime(now) + hours * SKIP_CONSTANTS.MS_PER_HOUR).toISOString() : null;
+}
+
+/**
+ * The task node after one more skip.
+ */
+export function applySkip(task, { reason, snoozedUntil = null, now }) {
+  const counts = { ...(task.skip_counts || {}) };
+  counts[reason] = (counts[reason] || 0) + 1;
+
+  const next = { ...task, skip_counts: counts, last_skip_reason: reason, last_skipped_at: now };
+  if (snoozedUntil) {
+    next.snoozed_until = snoozedUntil;
+  } else {
+    delete next.snoozed_until;
+  }
+  return next;
+}
+
+/**
+ * Weighted skip count, decayed since the last skip. 0 for tasks never skipped.
+ */
+export function skipPenaltySignal(task, now = Date.now()) {
+  const counts = task?.skip_counts;
+  if (!counts) return 0;
+
+  const weighted = Object.entries(counts)
+    .reduce((sum, [reason, count]) => sum + (SKIP_CONSTANTS.REASON_WEIGHTS[reason] || 0) * count, 0);
+  if (weighted === 0) return 0;
+
+  const last = toTime(task.last_skipped_at);
+  const ageDays = last === null ? 0 : Math.max(0, ((toTime(now) ?? Date.now()) - last) / SKIP_CONSTANTS.MS_PER_DAY);
+  return weighted * Math.pow(0.5, ageDays / SKIP_CONSTANTS.PENALTY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Skip state by task ID, for candidates that come from the vector store
+ * without it.
+ * @returns {Map<string, Object>}
+ */
+export function buildSkipIndex(tasks = []) {
+  const index = new Map();
+  for (const task of tasks || []) {
+    if (task?.id && (task.skip_counts || task.snoozed_until)) {
+      index.set(task.id, {
+        skip_counts: task.skip_counts,
+        last_skipped_at: task.last_skipped_at,
+        last_skip_reason: task.last_skip_reason,
+        snoozed_until: task.snoozed_until,
+      });
+    }
+  }
+  return index;
+}
+
+/**
+ * Rejections of a branch since `since`, most recent last.
+ * @param {Array<Object>} entries - Skip log entries
+ */
+export function branchRejections(entries = [], branch, since) {
+  const from = toTime(since) ?? 0;
+  return entries.filter(entry =>
+    (entry.branch || 'General') === (branch || 'General') &&
+    REJECTION_REASONS.includes(entry.reason) &&
+    (toTime(entry.skipped_at) ?? 0) > from
+  );
+}
+
+/**
+ * The most common rejection reason, ties going to the latest.
+ */
+export function dominantReason(entries = []) {
+  const counts = new Map();
+  for (const entry of entries) counts.set(entry.reason, (counts.get(entry.reason) || 0) + 1);
+
+  let best = null;
+  for (const entry of [...entries].reverse()) {
+    if (best === null || counts.get(entry.reason) > counts.get(best)) best = entry.reason;
+  }
+  return best;
+}